@@ -0,0 +1,73 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const AUDIT_MODEL = require('../audit/model');
+const AUTHORIZE = require('../auth/authorize');
+const LOGGER = require('../libs/log4');
+const {validate_model_result} = require('../exhibits/exhibits_helper');
+
+function has_authorize() {
+    return AUTHORIZE && typeof AUTHORIZE.check_permission === 'function';
+}
+
+/**
+ * GET — a filtered page of the audit log. Requires `view_audit_log`; the log
+ * spans every owner's records, so there is no ownership fallback.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.get_audit_records = async function (req, res) {
+
+    try {
+
+        if (!has_authorize()) {
+            return res.status(500).json({success: false, message: 'Authorization service unavailable.', data: null});
+        }
+
+        const is_authorized = await AUTHORIZE.check_permission({
+            req,
+            permissions: ['view_audit_log'],
+            record_type: null,
+            parent_id: null,
+            child_id: null
+        });
+
+        if (is_authorized !== true) {
+            return res.status(403).json({success: false, message: 'Unauthorized request', data: null});
+        }
+
+        const result = await AUDIT_MODEL.get_audit_records(req.query);
+
+        if (!validate_model_result(result)) {
+            throw new Error('Invalid response from model');
+        }
+
+        return res.status(result.status).json({
+            success: result.status === 200,
+            message: result.message,
+            data: result.data || null
+        });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/audit/controller (get_audit_records)] ${error.message}`);
+        return res.status(500).json({success: false, message: 'Unable to retrieve audit log', data: null});
+    }
+};
@@ -0,0 +1,41 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const APP_CONFIG = require('../config/app_config')();
+const APP_PATH = APP_CONFIG.app_path;
+const PREFIX = '/api/';
+const VERSION = 'v1';
+const ENDPOINT = '/audit';
+const ENDPOINTS = {
+    audit: {
+        endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}`,
+        get_audit_records: {
+            description: 'Gets a page of the audit log, newest first',
+            get: {
+                description: 'Gets audit log entries',
+                params: 'token, page, page_size (max 200), actor, action, record_type, record_uuid (UUID or user id; a UUID also matches the owning exhibit), from, to (YYYY-MM-DD)'
+            }
+        }
+    }
+};
+
+module.exports = () => {
+    return ENDPOINTS;
+};
@@ -0,0 +1,266 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const DB = require('../config/db_config')();
+const DB_TABLES = require('../config/db_tables_config')();
+const TABLES = DB_TABLES.exhibits;
+const AUDIT_TASKS = require('./tasks/audit_tasks');
+const EXHIBIT_REVISION_RECORD_TASKS = require('../exhibits/tasks/exhibit_revision_record_tasks');
+const LOGGER = require('../libs/log4');
+const {is_valid_uuid, build_response} = require('../exhibits/common_helper');
+
+const CONSTANTS = {
+    STATUS_CODES: {
+        OK: 200,
+        BAD_REQUEST: 400
+    },
+    DEFAULT_PAGE_SIZE: 50,
+    MAX_PAGE_SIZE: 200,
+    MAX_SUMMARY_FIELDS: 40,
+    MAX_VALUE_LENGTH: 200,
+    MAX_FILTER_LENGTH: 255,
+    // Field names never copied into a summary
+    SECRET_FIELD: /pass(word)?|token|secret|api_key|signature/i,
+    DATE: /^\d{4}-\d{2}-\d{2}$/,
+    // User entries are recorded against the user's numeric id
+    RECORD_ID: /^[1-9]\d{0,18}$/
+};
+
+const audit_task = new AUDIT_TASKS(DB, TABLES);
+const revision_task = new EXHIBIT_REVISION_RECORD_TASKS(DB, TABLES);
+
+/**
+ * Reduces a record or request body to a small, flat summary for the log:
+ * scalar fields only, long strings truncated, secrets dropped. Nested objects
+ * and arrays are noted by size rather than copied.
+ * @param {*} value - Record or request body
+ * @returns {Object|null}
+ */
+const summarize = (value) => {
+
+    if (value === null || value === undefined || typeof value !== 'object' || Array.isArray(value)) {
+        return null;
+    }
+
+    const summary = {};
+
+    for (const [key, field] of Object.entries(value)) {
+
+        if (Object.keys(summary).length >= CONSTANTS.MAX_SUMMARY_FIELDS) {
+            break;
+        }
+
+        if (CONSTANTS.SECRET_FIELD.test(key)) {
+            continue;
+        }
+
+        if (typeof field === 'string') {
+            summary[key] = field.length > CONSTANTS.MAX_VALUE_LENGTH
+                ? `${field.substring(0, CONSTANTS.MAX_VALUE_LENGTH)}…`
+                : field;
+        } else if (typeof field === 'number' || typeof field === 'boolean' || field === null) {
+            summary[key] = field;
+        } else if (Array.isArray(field)) {
+            summary[key] = `[${field.length} items]`;
+        } else if (typeof field === 'object') {
+            summary[key] = '[object]';
+        }
+    }
+
+    return summary;
+};
+
+/**
+ * Identifies who made a request: the JWT subject, or `api_key` for requests
+ * authenticated with the shared key (TOKEN.verify leaves req.decoded unset)
+ * @param {Object} req - Express request object
+ * @returns {string}
+ */
+const get_actor = (req) => {
+
+    if (req?.decoded?.sub) {
+        return String(req.decoded.sub);
+    }
+
+    return req?.query?.api_key ? 'api_key' : 'unknown';
+};
+
+/**
+ * Writes one audit entry for a successful mutating request. Never throws: a
+ * failed audit write is logged, and the change it describes still stands.
+ * @param {Object} req - Express request object (actor and IP are taken from it)
+ * @param {Object} entry
+ * @param {string} entry.action - create|update|delete|publish|suppress|...
+ * @param {string} entry.record_type - exhibit|heading|item|grid|grid_item|timeline|timeline_item|media|user
+ * @param {string} [entry.record_uuid] - UUID (or id) of the record acted on
+ * @param {string} [entry.exhibit_uuid] - Owning exhibit, for child records
+ * @param {Object} [entry.before] - Prior state, when the caller has it
+ * @param {Object} [entry.after] - New state or submitted fields
+ * @returns {Promise<void>}
+ */
+exports.record = async (req, entry) => {
+
+    try {
+
+        const before = summarize(entry.before);
+        const after = summarize(entry.after);
+
+        await audit_task.insert_entry({
+            actor: get_actor(req),
+            action: entry.action,
+            record_type: entry.record_type,
+            record_uuid: entry.record_uuid === undefined || entry.record_uuid === null ? null : String(entry.record_uuid),
+            exhibit_uuid: entry.exhibit_uuid || null,
+            summary: before || after ? JSON.stringify({before, after}) : null,
+            ip: req?.ip || null
+        });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/audit/model (record)] ${error.message}`, {
+            action: entry?.action,
+            record_type: entry?.record_type,
+            record_uuid: entry?.record_uuid
+        });
+    }
+};
+
+/**
+ * Reads a component as it is before an update or delete, for the entry's
+ * `before`. Uses the same read as revision capture, and like it is
+ * best-effort: null when the record cannot be read.
+ * @param {string} record_type - exhibit|heading|item|grid|grid_item|timeline|timeline_item
+ * @param {string} uuid - Record UUID
+ * @returns {Promise<Object|null>} Row or null
+ */
+exports.get_record_state = async (record_type, uuid) => {
+    return revision_task.get_record_state(record_type, uuid);
+};
+
+/**
+ * Writes an audit entry only when a model call succeeded (2xx), so controllers
+ * can pass their result status straight through
+ * @param {Object} req - Express request object
+ * @param {number|string} status - Status of the model result
+ * @param {Object} entry - See record()
+ * @returns {Promise<void>}
+ */
+exports.record_success = async (req, status, entry) => {
+
+    const status_code = parseInt(status, 10);
+
+    if (status_code >= 200 && status_code < 300) {
+        await exports.record(req, entry);
+    }
+};
+
+/**
+ * Gets a filtered page of the audit log, newest first
+ * @param {Object} query - Request query: page, page_size, actor, action, record_type, record_uuid,
+ * from, to (YYYY-MM-DD; `to` is inclusive)
+ * @returns {Promise<Object>} Response object; data is {entries, total, page, page_size}
+ */
+exports.get_audit_records = async (query = {}) => {
+
+    try {
+
+        const page = query.page === undefined ? 1 : Number(query.page);
+        const page_size = query.page_size === undefined ? CONSTANTS.DEFAULT_PAGE_SIZE : Number(query.page_size);
+
+        if (!Number.isInteger(page) || page < 1) {
+            return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, 'page must be a positive integer');
+        }
+
+        if (!Number.isInteger(page_size) || page_size < 1 || page_size > CONSTANTS.MAX_PAGE_SIZE) {
+            return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, `page_size must be between 1 and ${CONSTANTS.MAX_PAGE_SIZE}`);
+        }
+
+        const filters = {};
+
+        for (const key of ['actor', 'action', 'record_type']) {
+
+            if (query[key] === undefined || query[key] === '') {
+                continue;
+            }
+
+            if (typeof query[key] !== 'string' || query[key].length > CONSTANTS.MAX_FILTER_LENGTH) {
+                return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, `Invalid ${key} filter`);
+            }
+
+            filters[key] = query[key].trim();
+        }
+
+        if (query.record_uuid !== undefined && query.record_uuid !== '') {
+
+            const is_record_id = typeof query.record_uuid === 'string' && CONSTANTS.RECORD_ID.test(query.record_uuid);
+
+            if (!is_valid_uuid(query.record_uuid) && !is_record_id) {
+                return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, 'record_uuid must be a UUID or a user id');
+            }
+
+            filters.record_uuid = query.record_uuid;
+        }
+
+        for (const key of ['from', 'to']) {
+
+            if (query[key] === undefined || query[key] === '') {
+                continue;
+            }
+
+            if (typeof query[key] !== 'string' || !CONSTANTS.DATE.test(query[key]) || isNaN(Date.parse(query[key]))) {
+                return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, `${key} must be a date (YYYY-MM-DD)`);
+            }
+
+            filters[key] = query[key];
+        }
+
+        if (filters.to) {
+            // Make the end date inclusive
+            const end = new Date(`${filters.to}T00:00:00Z`);
+            end.setUTCDate(end.getUTCDate() + 1);
+            filters.to = end.toISOString().substring(0, 10);
+        }
+
+        const {rows, total} = await audit_task.get_entries(filters, page_size, (page - 1) * page_size);
+
+        const entries = rows.map((row) => {
+
+            let summary = null;
+
+            try {
+                summary = row.summary ? JSON.parse(row.summary) : null;
+            } catch (error) {
+                summary = null;
+            }
+
+            return {...row, summary};
+        });
+
+        return build_response(CONSTANTS.STATUS_CODES.OK, 'Audit log retrieved', {entries, total, page, page_size});
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/audit/model (get_audit_records)] ${error.message}`, {
+            stack: error.stack
+        });
+
+        return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, 'Unable to retrieve audit log');
+    }
+};
+
+exports.summarize = summarize;
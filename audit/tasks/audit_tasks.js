@@ -0,0 +1,133 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const Base_tasks = require('../../exhibits/tasks/tasks_helper');
+
+/**
+ * Tasks used to append to and page through the audit log (`tbl_audit_log`).
+ *
+ * Construct with the full tables config object (`DB_TABLES.exhibits`). The log
+ * is append-only: there is deliberately no update or delete here.
+ *
+ * @type {Audit_tasks}
+ */
+const Audit_tasks = class extends Base_tasks {
+
+    constructor(DB, TABLE) {
+        super(DB, TABLE);
+    }
+
+    /**
+     * Appends one entry to the audit log
+     * @param {Object} entry - {actor, action, record_type, record_uuid, exhibit_uuid, summary, ip}
+     * @returns {Promise<boolean>}
+     */
+    async insert_entry(entry) {
+
+        try {
+            this._validate_database();
+            this._validate_table('audit_records');
+
+            await this.DB(this.TABLE.audit_records)
+                .insert({
+                    actor: entry.actor,
+                    action: entry.action,
+                    record_type: entry.record_type,
+                    record_uuid: entry.record_uuid || null,
+                    exhibit_uuid: entry.exhibit_uuid || null,
+                    summary: entry.summary || null,
+                    ip: entry.ip || null
+                })
+                .timeout(this.QUERY_TIMEOUT);
+
+            return true;
+
+        } catch (error) {
+            this._handle_error(error, 'insert_entry', {action: entry?.action, record_uuid: entry?.record_uuid});
+        }
+    }
+
+    /**
+     * Gets a page of audit entries, newest first
+     * @param {Object} filters - Any of {actor, action, record_type, record_uuid, from, to}; record_uuid
+     * also matches entries whose exhibit_uuid is that UUID, so an exhibit's history includes its items
+     * @param {number} limit - Page size
+     * @param {number} offset - Rows to skip
+     * @returns {Promise<Object>} {rows, total}
+     */
+    async get_entries(filters, limit, offset) {
+
+        try {
+            this._validate_database();
+            this._validate_table('audit_records');
+
+            const apply_filters = (query) => {
+
+                if (filters.actor) {
+                    query.where('actor', filters.actor);
+                }
+
+                if (filters.action) {
+                    query.where('action', filters.action);
+                }
+
+                if (filters.record_type) {
+                    query.where('record_type', filters.record_type);
+                }
+
+                if (filters.record_uuid) {
+                    query.where((builder) => {
+                        builder.where('record_uuid', filters.record_uuid)
+                            .orWhere('exhibit_uuid', filters.record_uuid);
+                    });
+                }
+
+                if (filters.from) {
+                    query.where('created', '>=', filters.from);
+                }
+
+                if (filters.to) {
+                    query.where('created', '<', filters.to);
+                }
+
+                return query;
+            };
+
+            const count = await apply_filters(this.DB(this.TABLE.audit_records))
+                .count('id as total')
+                .first()
+                .timeout(this.QUERY_TIMEOUT);
+
+            const rows = await apply_filters(this.DB(this.TABLE.audit_records))
+                .select('id', 'actor', 'action', 'record_type', 'record_uuid', 'exhibit_uuid', 'summary', 'ip', 'created')
+                .orderBy([{column: 'created', order: 'desc'}, {column: 'id', order: 'desc'}])
+                .limit(limit)
+                .offset(offset)
+                .timeout(this.QUERY_TIMEOUT);
+
+            return {rows, total: Number(count?.total || 0)};
+
+        } catch (error) {
+            this._handle_error(error, 'get_entries', {filters});
+        }
+    }
+};
+
+module.exports = Audit_tasks;
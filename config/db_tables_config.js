@@ -32,7 +32,13 @@ const TABLES = {
     roles_records: process.env.ROLES_RECORDS,
     users_roles: process.env.USERS_ROLES,
     media_library_records: process.env.MEDIA_LIBRARY_RECORDS,
-    exhibit_media_records: process.env.EXHIBIT_MEDIA_RECORDS
+    exhibit_media_records: process.env.EXHIBIT_MEDIA_RECORDS,
+    revision_records: process.env.REVISION_RECORDS,
+    review_records: process.env.REVIEW_RECORDS,
+    audit_records: process.env.AUDIT_RECORDS,
+    media_ingest_job_records: process.env.MEDIA_INGEST_JOB_RECORDS,
+    media_version_records: process.env.MEDIA_VERSION_RECORDS,
+    index_job_records: process.env.INDEX_JOB_RECORDS
 };
 const DB_TABLES_CONFIG = {
     exhibits: HELPER_TASK.check_config(TABLES)
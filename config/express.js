@@ -102,8 +102,17 @@ module.exports = function() {
     require('../exhibits/share_routes')(APP);
     require('../indexer/routes')(APP);
     require('../users/routes')(APP);
+    require('../audit/routes')(APP);
     require('../exhibits/recycle_routes')(APP);
+    require('../exhibits/revisions_routes')(APP);
+    require('../exhibits/bundle_routes')(APP);
+    require('../exhibits/schedule_routes')(APP);
+    require('../exhibits/review_routes')(APP);
+    require('../exhibits/accessibility_routes')(APP);
     require('../media-library/routes')(APP);
+    require('../media-library/ingest-routes')(APP);
+    require('../media-library/replace-routes')(APP);
+    require('../media-library/fixity-routes')(APP);
     require('../media-library/uploads')(APP);
 
     if (!FS.existsSync(`./storage`)){
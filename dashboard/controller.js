@@ -47,7 +47,9 @@ const APP_PATH = CONFIG.app_path;
 const ADMIN_UTILS_LINKS = [
     { id: 'admin-users-link', label: 'Users', icon: 'bi bi-people-fill', href: APP_PATH + '/users', admin_only: true },
     { id: 'admin-index-management-link', label: 'Index Management', icon: 'bi bi-database-gear', href: APP_PATH + '/index-management', admin_only: true },
-    { id: 'admin-recycle-bin-link', label: 'Recycle Bin', icon: 'bi bi-trash', href: APP_PATH + '/recycle', admin_only: true }
+    { id: 'admin-recycle-bin-link', label: 'Recycle Bin', icon: 'bi bi-trash', href: APP_PATH + '/recycle', admin_only: true },
+    { id: 'admin-audit-log-link', label: 'Audit Log', icon: 'bi bi-journal-text', href: APP_PATH + '/audit', admin_only: true },
+    { id: 'admin-fixity-link', label: 'Fixity', icon: 'bi bi-shield-check', href: APP_PATH + '/fixity', admin_only: true }
 ];
 
 /**
@@ -60,8 +62,9 @@ const NAV_CONFIGS = {
     exhibits_list: {
         links: [
             { label: 'Add Exhibit', icon: 'ti-layout', modal: '#add-exhibit-modal' },
+            { label: 'Import Exhibit', icon: 'fa fa-upload', modal: '#import-exhibit-modal' },
             { label: 'Media Library', icon: 'bi bi-collection-play-fill', href: APP_PATH + '/media/library' },
-            // Users / Index Management / Recycle Bin are nested under Admin Utils, which
+            // Users / Index Management / Recycle Bin / Audit Log / Fixity are nested under Admin Utils, which
             // opens the Users view by default; the sub-tools appear as its sub-nav on the
             // admin pages (see ADMIN_UTILS_LINKS).
             { id: 'admin-utils-link', label: 'Admin Utils', icon: 'fa fa-cogs', href: APP_PATH + '/users', admin_only: true }
@@ -84,6 +87,18 @@ const NAV_CONFIGS = {
         },
         links: [
             { id: 'exhibit-styles', label: 'Exhibit Styles', icon: 'bi bi-border-style', nav_path: '/styles?exhibit_id={exhibit_id}' },
+            { id: 'item-list', label: 'Exhibit Items', icon: 'fa fa-list pr-1', nav_path: '/items?exhibit_id={exhibit_id}', wrapper_id: 'item-list-nav' },
+            { id: 'exhibit-revisions', label: 'Revision History', icon: 'fa fa-history pr-1', nav_path: '/exhibits/exhibit/revisions?exhibit_id={exhibit_id}' }
+        ]
+    },
+
+    exhibits_revisions: {
+        back: {
+            id: 'back-to-exhibit',
+            label: 'Back to Exhibit',
+            nav_path: '/exhibits/exhibit/details?exhibit_id={exhibit_id}'
+        },
+        links: [
             { id: 'item-list', label: 'Exhibit Items', icon: 'fa fa-list pr-1', nav_path: '/items?exhibit_id={exhibit_id}', wrapper_id: 'item-list-nav' }
         ]
     },
@@ -309,7 +324,7 @@ const NAV_CONFIGS = {
         },
         // Add User sits directly under Users (its parent tool), ahead of the other
         // admin tools. Users is the first/default entry in ADMIN_UTILS_LINKS, so insert
-        // Add User right after it, then the remaining tools (Index Management, Recycle Bin).
+        // Add User right after it, then the remaining tools (Index Management, Recycle Bin, Audit Log, Fixity).
         links: [
             ADMIN_UTILS_LINKS[0],
             { label: 'Add User', icon: 'fa fa-user', href: APP_PATH + '/users/add', wrapper_id: 'add-user' },
@@ -370,6 +385,24 @@ const NAV_CONFIGS = {
             href: APP_PATH + '/exhibits'
         },
         links: [...ADMIN_UTILS_LINKS]
+    },
+
+    audit: {
+        back: {
+            id: 'back-to-exhibits',
+            label: 'Exhibit Builder',
+            href: APP_PATH + '/exhibits'
+        },
+        links: [...ADMIN_UTILS_LINKS]
+    },
+
+    fixity: {
+        back: {
+            id: 'back-to-exhibits',
+            label: 'Exhibit Builder',
+            href: APP_PATH + '/exhibits'
+        },
+        links: [...ADMIN_UTILS_LINKS]
     }
 };
 
@@ -395,6 +428,13 @@ exports.get_dashboard_exhibits_details = function (req, res) {
     });
 };
 
+exports.get_dashboard_exhibits_revisions = function (req, res) {
+    res.render('dist/exhibits/dashboard-exhibits-revisions', {
+        ...template_config,
+        nav: NAV_CONFIGS.exhibits_revisions
+    });
+};
+
 exports.get_dashboard_exhibits_edit_form = function (req, res) {
     res.render('dist/exhibits/dashboard-exhibits-edit-form', {
         ...template_config,
@@ -703,6 +743,20 @@ exports.get_dashboard_recycle = function (req, res) {
     });
 };
 
+exports.get_dashboard_audit = function (req, res) {
+    res.render('dist/dashboard-audit', {
+        ...template_config,
+        nav: NAV_CONFIGS.audit
+    });
+};
+
+exports.get_dashboard_fixity = function (req, res) {
+    res.render('dist/dashboard-fixity', {
+        ...template_config,
+        nav: NAV_CONFIGS.fixity
+    });
+};
+
 //======================== Media Library ========================//
 exports.get_dashboard_media = function (req, res) {
     res.render('dist/media-library/dashboard-media-home.ejs', {
@@ -48,6 +48,9 @@ module.exports = function (app) {
     app.route(APP_PATH + '/exhibits/exhibit/delete')
         .get(PAGE_AUTH, CONTROLLER.get_dashboard_exhibits_delete_form);
 
+    app.route(APP_PATH + '/exhibits/exhibit/revisions')
+        .get(PAGE_AUTH, CONTROLLER.get_dashboard_exhibits_revisions);
+
     //============Standard Items============//
     app.route(APP_PATH + '/items')
         .get(PAGE_AUTH, CONTROLLER.get_dashboard_items);
@@ -176,6 +179,12 @@ module.exports = function (app) {
     app.route(APP_PATH + '/recycle')
         .get(PAGE_AUTH, CONTROLLER.get_dashboard_recycle);
 
+    app.route(APP_PATH + '/audit')
+        .get(PAGE_AUTH, CONTROLLER.get_dashboard_audit);
+
+    app.route(APP_PATH + '/fixity')
+        .get(PAGE_AUTH, CONTROLLER.get_dashboard_fixity);
+
     //============Media============//
     app.route(APP_PATH + '/media/library')
         .get(PAGE_AUTH, CONTROLLER.get_dashboard_media);
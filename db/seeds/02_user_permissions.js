@@ -2,8 +2,10 @@
  * Seed: tbl_user_permissions
  *
  * Snapshot of production `exhibitsv2` permissions: the 34 from 2026-04-30,
- * `manage_index` (added 2026-06-10 to gate the indexer `/manage` route), and
- * `manage_recycle_bin` (added 2026-06-11 to gate system-wide recycle-bin ops).
+ * `manage_index` (added 2026-06-10 to gate the indexer `/manage` route),
+ * `manage_recycle_bin` (added 2026-06-11 to gate system-wide recycle-bin ops),
+ * the three editorial review transitions, `view_audit_log` and
+ * `view_fixity_report` (added 2026-10-19).
  * Re-running this seed wipes and reinserts all rows. Run with `knex seed:run`.
  *
  * IDs are omitted so the database assigns them via AUTO_INCREMENT. Row order
@@ -56,6 +58,11 @@ exports.seed = async function (knex) {
     { permission: 'can_delete_any_media',                description: 'Allows user to delete any media library record' },
     { permission: 'manage_index',                        description: 'Allows user to create and rebuild the search index' },
     { permission: 'manage_recycle_bin',                  description: 'Allows user to view and empty the entire recycle bin (all owners)' },
+    { permission: 'submit_exhibit_for_review',           description: 'Allows user to submit an exhibit for editorial review' },
+    { permission: 'approve_exhibit',                     description: 'Allows user to approve an exhibit that is in review' },
+    { permission: 'request_exhibit_changes',             description: 'Allows user to send an exhibit in review back to its curator with comments' },
+    { permission: 'view_audit_log',                      description: 'Allows user to view the audit log of changes made in the dashboard' },
+    { permission: 'view_fixity_report',                  description: 'Allows user to view the fixity report of stored media files and re-check them' },
   ];
 
   await knex('tbl_user_permissions').del();
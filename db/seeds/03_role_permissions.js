@@ -22,6 +22,11 @@
  *         (can_create_media ~ add_item; can_*_any_media ~ *_any_item)
  *       - manage_index / manage_recycle_bin are Administrator-only (system ops;
  *         note: live v2 previously granted these to all roles)
+ *     Editorial review (2026-10-19): every role may submit an exhibit for
+ *     review; approving and requesting changes is for Administrator and
+ *     Power User.
+ *     view_audit_log and view_fixity_report (2026-10-19) are
+ *     Administrator-only, like the other admin utilities.
  *
  * @param { import("knex").Knex } knex
  * @returns { Promise<void> }
@@ -66,15 +71,20 @@ exports.seed = async function (knex) {
     'Administrator': [
       'can_create_media', 'can_update_media', 'can_delete_media', 'can_update_any_media', 'can_delete_any_media',
       'manage_index', 'manage_recycle_bin',
+      'submit_exhibit_for_review', 'approve_exhibit', 'request_exhibit_changes',
+      'view_audit_log', 'view_fixity_report',
     ],
     'Power User': [
       'can_create_media', 'can_update_media', 'can_delete_media', 'can_update_any_media', 'can_delete_any_media',
+      'submit_exhibit_for_review', 'approve_exhibit', 'request_exhibit_changes',
     ],
     'General User': [
       'can_create_media', 'can_update_media', 'can_delete_media',
+      'submit_exhibit_for_review',
     ],
     'Student': [
       'can_create_media', 'can_update_media', 'can_delete_media',
+      'submit_exhibit_for_review',
     ],
   };
 
@@ -29,12 +29,18 @@ const sources = [
 
     // exhibits
     'public/app/exhibits/exhibits.add.form.module.js',
+    'public/app/exhibits/exhibits.bundle.module.js',
     'public/app/exhibits/exhibits.common.form.module.js',
     'public/app/exhibits/exhibits.details.module.js',
     'public/app/exhibits/exhibits.edit.form.module.js',
     'public/app/exhibits/exhibits.module.js',
+    'public/app/exhibits/exhibits.review.module.js',
+    'public/app/exhibits/exhibits.accessibility.module.js',
+    'public/app/exhibits/exhibits.revisions.module.js',
+    'public/app/exhibits/exhibits.schedule.module.js',
     'public/app/exhibits/exhibits.styles.module.js',
     'public/app/exhibits/exhibits.styles.form.module.js',
+    'public/app/exhibits/exhibits.transfer.module.js',
 
     // grid-items
     'public/app/grid-items/items.add.grid.form.module.js',
@@ -84,9 +90,12 @@ const sources = [
 
     // top-level modules
     'public/app/home.module.js',
+    'public/app/items.bulk.module.js',
     'public/app/items.list.displays.module.js',
     'public/app/items.module.js',
     'public/app/recycle.module.js',
+    'public/app/audit.module.js',
+    'public/app/fixity.module.js',
     'public/app/user.module.js',
     'public/app/index.management.module.js',
 
@@ -94,6 +103,7 @@ const sources = [
     'public/app/media-library/helper.media.library.module.js',
     'public/app/media-library/helper.repo.subjects.module.js',
     'public/app/media-library/kaltura.service.module.js',
+    'public/app/media-library/media.ingest.module.js',
     'public/app/media-library/media.library.module.js',
     'public/app/media-library/modals.delete.module.js',
     'public/app/media-library/modals.edit.module.js',
@@ -33,9 +33,24 @@ const { register_process_handlers } = require('./config/process_handlers');
 register_process_handlers({ on_fatal: () => uploads.shutdown_exiftool() });
 
 const express = require('./config/express');
+const publish_scheduler = require('./exhibits/publish_scheduler');
+const index_job_worker = require('./exhibits/index_job_worker');
+const indexer_service = require('./indexer/service');
 const app = express();
 
+// Runs scheduled publish/suppress transitions (publish_at / suppress_at).
+publish_scheduler.start();
+
+// Runs queued search index jobs (re-index after edits, reorders, bulk actions).
+index_job_worker.start();
+
+// Logs a search index built from older mappings/analyzers, and rebuilds it
+// when INDEX_AUTO_REBUILD=on (set it on one app server only).
+indexer_service.ensure_current_mapping();
+
 process.on('SIGTERM', async () => {
+ publish_scheduler.stop();
+ index_job_worker.stop();
  await uploads.shutdown_exiftool();
  process.exit(0);
 });
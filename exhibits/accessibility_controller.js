@@ -0,0 +1,63 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const ACCESSIBILITY_MODEL = require('../exhibits/accessibility_model');
+const LOGGER = require('../libs/log4');
+const {
+    validate_string_param,
+    has_path_traversal,
+    validate_model_result
+} = require('../exhibits/exhibits_helper');
+
+/**
+ * GET — accessibility and completeness report for an exhibit
+ */
+exports.get_exhibit_accessibility = async function (req, res) {
+
+    try {
+
+        const exhibit_id = req.params.exhibit_id;
+        const check = validate_string_param(exhibit_id, 'exhibit UUID');
+
+        if (!check.valid) {
+            return res.status(400).json({ success: false, message: check.error_message, data: null });
+        }
+
+        if (has_path_traversal(exhibit_id)) {
+            return res.status(400).json({ success: false, message: 'Invalid exhibit UUID format', data: null });
+        }
+
+        const result = await ACCESSIBILITY_MODEL.check_exhibit(exhibit_id);
+
+        if (!validate_model_result(result)) {
+            throw new Error('Invalid response from model');
+        }
+
+        return res.status(result.status).json({
+            success: result.status === 200,
+            message: result.message,
+            data: result.data || null
+        });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/accessibility_controller (get_exhibit_accessibility)] ${error.message}`);
+        return res.status(500).json({ success: false, message: 'Unable to check exhibit accessibility', data: null });
+    }
+};
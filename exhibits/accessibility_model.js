@@ -0,0 +1,282 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const DB = require('../config/db_config')();
+const DB_TABLES = require('../config/db_tables_config')();
+const TABLES = DB_TABLES.exhibits;
+const EXHIBIT_ACCESSIBILITY_TASKS = require('./tasks/exhibit_accessibility_tasks');
+const LOGGER = require('../libs/log4');
+const {is_valid_uuid, build_response} = require('./common_helper');
+
+const CONSTANTS = {
+    STATUS_CODES: {
+        OK: 200,
+        BAD_REQUEST: 400,
+        NOT_FOUND: 404
+    },
+    SEVERITY: {
+        ERROR: 'error',
+        WARNING: 'warning'
+    },
+    // ACCESSIBILITY_CHECK_ON_PUBLISH values
+    MODES: ['off', 'block'],
+    TEXT_ITEM_TYPE: 'text',
+    IMAGE_TYPE: 'image',
+    // Style sections the exhibit style form requires, and the fields each must have
+    REQUIRED_STYLE_SECTIONS: ['introduction', 'navigation', 'heading1', 'item1'],
+    REQUIRED_STYLE_FIELDS: ['backgroundColor', 'color', 'fontFamily', 'fontSize'],
+    MAX_LABEL_LENGTH: 80
+};
+
+const accessibility_task = new EXHIBIT_ACCESSIBILITY_TASKS(DB, TABLES);
+
+/**
+ * Reads ACCESSIBILITY_CHECK_ON_PUBLISH. Unset or unrecognised values mean off
+ * (the check is available, but publishing does not wait on it).
+ * @returns {string} off|block
+ */
+const get_check_mode = () => {
+    const mode = String(process.env.ACCESSIBILITY_CHECK_ON_PUBLISH || '').trim().toLowerCase();
+    return CONSTANTS.MODES.includes(mode) ? mode : 'off';
+};
+
+/**
+ * Plain-text label for a record in the report: its title, heading text or
+ * caption with markup removed, shortened
+ * @param {Object} record
+ * @returns {string}
+ */
+const get_label = (record) => {
+
+    const source = [record.title, record.text, record.caption]
+        .find((value) => typeof value === 'string' && value.trim().length > 0) || '';
+
+    const text = source.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+    return text.length > CONSTANTS.MAX_LABEL_LENGTH
+        ? `${text.substring(0, CONSTANTS.MAX_LABEL_LENGTH)}…`
+        : text;
+};
+
+/**
+ * Whether a rich-text field is empty once markup and whitespace are removed
+ * @param {*} value
+ * @returns {boolean}
+ */
+const is_blank = (value) => {
+
+    if (typeof value !== 'string') {
+        return true;
+    }
+
+    return value.replace(/<[^>]*>/g, '').replace(/&nbsp;/g, ' ').trim().length === 0;
+};
+
+/**
+ * Checks one standard, grid or timeline item
+ * @param {Object} record - Item row with media library join fields (see Accessibility_tasks)
+ * @param {string} record_type - item|grid_item|timeline_item
+ * @param {Function} add - Issue collector
+ */
+const check_item = (record, record_type, add) => {
+
+    if (record.item_type === CONSTANTS.TEXT_ITEM_TYPE) {
+        return;
+    }
+
+    const issue = (severity, code, message) => add({severity, code, record_type, uuid: record.uuid, title: get_label(record), message});
+    const media_deleted = Boolean(record.media_uuid) && (!record.media_lib_uuid || Number(record.media_lib_is_deleted) === 1);
+    // Legacy Kaltura items keep the entry id in `media` and have no library record
+    const kaltura_entry_id = record.kaltura_entry_id
+        || (Number(record.is_kaltura_item) === 1 && !record.media_lib_uuid ? record.media : null);
+
+    if (media_deleted) {
+        issue(CONSTANTS.SEVERITY.ERROR, 'broken_media_reference', 'Media has been deleted from the media library');
+    } else if (!record.media_uuid && !kaltura_entry_id) {
+        issue(CONSTANTS.SEVERITY.ERROR, 'missing_media', 'Media item has no media attached');
+    }
+
+    if (record.thumbnail_media_uuid && (!record.thumb_lib_uuid || Number(record.thumb_lib_is_deleted) === 1)) {
+        issue(CONSTANTS.SEVERITY.WARNING, 'broken_media_reference', 'Thumbnail has been deleted from the media library');
+    }
+
+    // Library metadata wins over the item's own copy, as in the indexer
+    const media_type = record.media_lib_media_type || record.item_type;
+    const alt_text = record.media_alt_text || record.alt_text;
+    const is_decorative = Number(record.media_is_alt_text_decorative ?? record.is_alt_text_decorative) === 1;
+
+    if (media_type === CONSTANTS.IMAGE_TYPE && !is_decorative && is_blank(alt_text)) {
+        issue(CONSTANTS.SEVERITY.ERROR, 'missing_alt_text', 'Image has no alt text and is not marked decorative');
+    }
+
+    if (is_blank(record.caption)) {
+        issue(CONSTANTS.SEVERITY.WARNING, 'empty_caption', 'Caption is empty');
+    }
+};
+
+/**
+ * Checks the exhibit's required style sections
+ * @param {Object} exhibit - Exhibit row with styles (JSON string)
+ * @param {Function} add - Issue collector
+ */
+const check_styles = (exhibit, add) => {
+
+    let styles = {};
+
+    try {
+        styles = typeof exhibit.styles === 'string' ? JSON.parse(exhibit.styles) : (exhibit.styles || {});
+    } catch (error) {
+        styles = {};
+    }
+
+    const sections = styles?.exhibit || {};
+
+    for (const section of CONSTANTS.REQUIRED_STYLE_SECTIONS) {
+
+        const missing = CONSTANTS.REQUIRED_STYLE_FIELDS.filter((field) => is_blank(sections[section]?.[field]));
+
+        if (missing.length > 0) {
+            add({
+                severity: CONSTANTS.SEVERITY.ERROR,
+                code: 'missing_required_styles',
+                record_type: 'exhibit',
+                uuid: exhibit.uuid,
+                title: get_label(exhibit),
+                message: `Style section "${section}" is missing ${missing.join(', ')}`
+            });
+        }
+    }
+};
+
+/**
+ * Runs every check over an exhibit's content
+ * @param {Object} content - Result of Accessibility_tasks.get_exhibit_content
+ * @returns {Array<Object>} Issues: {severity, code, record_type, uuid, title, message}
+ */
+const find_issues = (content) => {
+
+    const issues = [];
+    const add = (issue) => issues.push(issue);
+
+    check_styles(content.exhibit, add);
+
+    for (const heading of content.headings) {
+
+        if (Number(heading.is_anchor) === 1 && Number(heading.is_visible) === 0) {
+            add({
+                severity: CONSTANTS.SEVERITY.WARNING,
+                code: 'hidden_anchor_heading',
+                record_type: 'heading',
+                uuid: heading.uuid,
+                title: get_label(heading),
+                message: 'Heading is a navigation anchor but is not visible'
+            });
+        }
+    }
+
+    for (const [record_type, records] of Object.entries(content.items)) {
+        for (const record of records) {
+            check_item(record, record_type, add);
+        }
+    }
+
+    return issues;
+};
+
+/**
+ * Builds the report returned by the API
+ * @param {string} uuid - Exhibit UUID
+ * @param {Array<Object>} issues
+ * @returns {Object} {uuid, passed, error_count, warning_count, issues}
+ */
+const build_report = (uuid, issues) => {
+
+    const error_count = issues.filter((issue) => issue.severity === CONSTANTS.SEVERITY.ERROR).length;
+
+    return {
+        uuid,
+        passed: error_count === 0,
+        error_count,
+        warning_count: issues.length - error_count,
+        issues
+    };
+};
+
+/**
+ * Checks an exhibit for accessibility and completeness problems: images
+ * without alt text, media items without media, references to deleted media,
+ * invisible anchor headings, empty captions and unset required styles.
+ * Errors block publishing when ACCESSIBILITY_CHECK_ON_PUBLISH=block; warnings never do.
+ * @param {string} exhibit_id - Exhibit UUID
+ * @returns {Promise<Object>} Response object; data is the report (see build_report) plus `mode`
+ */
+exports.check_exhibit = async (exhibit_id) => {
+
+    try {
+
+        if (!is_valid_uuid(exhibit_id)) {
+            return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, 'Invalid UUID provided');
+        }
+
+        const content = await accessibility_task.get_exhibit_content(exhibit_id);
+
+        if (!content) {
+            return build_response(CONSTANTS.STATUS_CODES.NOT_FOUND, 'Exhibit not found');
+        }
+
+        return build_response(CONSTANTS.STATUS_CODES.OK, 'Exhibit accessibility check complete', {
+            ...build_report(exhibit_id, find_issues(content)),
+            mode: get_check_mode()
+        });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/accessibility_model (check_exhibit)] ${error.message}`, {
+            exhibit_id,
+            stack: error.stack
+        });
+
+        return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, 'Unable to check exhibit');
+    }
+};
+
+/**
+ * Gets the errors that stop an exhibit from being published. Always empty
+ * while the publish check is off. Throws on a database error so a failed
+ * check never waves an exhibit through.
+ * @param {string} exhibit_id - Exhibit UUID
+ * @returns {Promise<Array<Object>>} Error-severity issues
+ */
+exports.get_publish_blockers = async (exhibit_id) => {
+
+    if (get_check_mode() !== 'block') {
+        return [];
+    }
+
+    const content = await accessibility_task.get_exhibit_content(exhibit_id);
+
+    if (!content) {
+        return [];
+    }
+
+    return find_issues(content).filter((issue) => issue.severity === CONSTANTS.SEVERITY.ERROR);
+};
+
+exports.find_issues = find_issues;
+exports.get_check_mode = get_check_mode;
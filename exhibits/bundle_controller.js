@@ -0,0 +1,168 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const BUNDLE_MODEL = require('../exhibits/bundle_model');
+const AUTHORIZE = require('../auth/authorize');
+const AUDIT = require('../audit/model');
+const LOGGER = require('../libs/log4');
+const {
+    validate_string_param,
+    has_path_traversal,
+    validate_model_result
+} = require('../exhibits/exhibits_helper');
+
+function has_authorize() {
+    return AUTHORIZE && typeof AUTHORIZE.check_permission === 'function';
+}
+
+/**
+ * GET — download an exhibit bundle. A bundle carries every component and media
+ * file of the exhibit, so exporting needs the same permission + ownership as
+ * editing the exhibit. The bundle itself is the response body, so the
+ * downloaded file can be uploaded to the import endpoint unchanged.
+ */
+exports.export_exhibit = async function (req, res) {
+
+    try {
+
+        const exhibit_id = req.params.exhibit_id;
+        const uuid_check = validate_string_param(exhibit_id, 'exhibit UUID');
+
+        if (!uuid_check.valid || has_path_traversal(exhibit_id)) {
+            return res.status(400).json({
+                success: false,
+                message: uuid_check.error_message || 'Invalid exhibit UUID',
+                data: null
+            });
+        }
+
+        if (!has_authorize()) {
+            return res.status(500).json({ success: false, message: 'Authorization service unavailable.', data: null });
+        }
+
+        const is_authorized = await AUTHORIZE.check_permission({
+            req,
+            permissions: ['update_exhibit', 'update_any_exhibit'],
+            record_type: 'exhibit',
+            parent_id: exhibit_id,
+            child_id: null
+        });
+
+        if (is_authorized !== true) {
+            LOGGER.module().warn(`WARNING: [/exhibits/bundle_controller (export_exhibit)] Unauthorized export attempt for exhibit: ${exhibit_id} by user: ${req.decoded?.sub || 'unknown'}`);
+            return res.status(403).json({ success: false, message: 'Unauthorized request', data: null });
+        }
+
+        const result = await BUNDLE_MODEL.export_exhibit(exhibit_id);
+
+        if (!validate_model_result(result)) {
+            throw new Error('Invalid response from model');
+        }
+
+        if (result.status !== 200) {
+            return res.status(result.status).json({ success: false, message: result.message, data: null });
+        }
+
+        res.set('Content-Disposition', `attachment; filename="exhibit-${exhibit_id}.json"`);
+        return res.status(200).json(result.data);
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/bundle_controller (export_exhibit)] ${error.message}`);
+        return res.status(500).json({ success: false, message: 'Unable to export exhibit', data: null });
+    }
+};
+
+/**
+ * POST (multipart) — create a new exhibit from an uploaded bundle file. The
+ * bundle arrives as a file rather than a JSON body: bundles embed media files
+ * and are far larger than the JSON body limit. Requires add_exhibit; the
+ * importing user becomes the owner, as with the add-exhibit form.
+ */
+exports.import_exhibit = async function (req, res) {
+
+    try {
+
+        if (!has_authorize()) {
+            return res.status(500).json({ success: false, message: 'Authorization service unavailable.', data: null });
+        }
+
+        const is_authorized = await AUTHORIZE.check_permission({
+            req,
+            permissions: ['add_exhibit'],
+            record_type: 'exhibit',
+            parent_id: null,
+            child_id: null
+        });
+
+        if (is_authorized !== true) {
+            LOGGER.module().warn(`WARNING: [/exhibits/bundle_controller (import_exhibit)] Unauthorized import attempt by user: ${req.decoded?.sub || 'unknown'}`);
+            return res.status(403).json({ success: false, message: 'Unauthorized request', data: null });
+        }
+
+        if (!req.file || !req.file.buffer) {
+            return res.status(400).json({ success: false, message: 'A bundle file is required', data: null });
+        }
+
+        const owner = Number(req.body?.owner);
+
+        if (!Number.isInteger(owner) || owner <= 0) {
+            return res.status(400).json({ success: false, message: 'A valid owner is required', data: null });
+        }
+
+        let bundle;
+
+        try {
+            bundle = JSON.parse(req.file.buffer.toString('utf8'));
+        } catch (parse_error) {
+            return res.status(400).json({ success: false, message: 'Bundle file is not valid JSON', data: null });
+        }
+
+        const created_by = (typeof req.body.created_by === 'string' && req.body.created_by.trim())
+            || req.decoded?.sub
+            || null;
+
+        const result = await BUNDLE_MODEL.import_exhibit(bundle, { owner, created_by });
+
+        if (!validate_model_result(result)) {
+            throw new Error('Invalid response from model');
+        }
+
+        if (result.status === 201) {
+            LOGGER.module().info(`INFO: [/exhibits/bundle_controller (import_exhibit)] Exhibit ${result.data.uuid} imported from ${result.data.source_uuid} by user: ${req.decoded?.sub || 'unknown'}`);
+        }
+
+        await AUDIT.record_success(req, result.status, {
+            action: 'import',
+            record_type: 'exhibit',
+            record_uuid: result.data?.uuid,
+            after: {source_uuid: result.data?.source_uuid, owner}
+        });
+
+        return res.status(result.status).json({
+            success: result.status === 201,
+            message: result.message,
+            data: result.data || null
+        });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/bundle_controller (import_exhibit)] ${error.message}`);
+        return res.status(500).json({ success: false, message: 'Unable to import exhibit', data: null });
+    }
+};
@@ -0,0 +1,408 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const path = require('path');
+const DB = require('../config/db_config')();
+const DB_TABLES = require('../config/db_tables_config')();
+const TABLES = DB_TABLES.exhibits;
+const EXHIBIT_BUNDLE_TASKS = require('./tasks/exhibit_bundle_tasks');
+const UPLOADS = require('../media-library/uploads');
+const STORAGE = require('../media-library/storage-adapter')();
+const FIXITY = require('../media-library/fixity-service');
+const XSS = require('../libs/dom');
+const LOGGER = require('../libs/log4');
+const {is_valid_uuid, build_response} = require('./common_helper');
+
+const CONSTANTS = {
+    STATUS_CODES: {
+        OK: 200,
+        CREATED: 201,
+        BAD_REQUEST: 400,
+        NOT_FOUND: 404,
+        INTERNAL_SERVER_ERROR: 500
+    },
+    BUNDLE_FORMAT: 'exhibits-bundle',
+    BUNDLE_VERSION: 1
+};
+
+const bundle_task = new EXHIBIT_BUNDLE_TASKS(DB, TABLES);
+
+/**
+ * Decodes the HTML entities the request sanitizer writes into stored paths
+ * @param {string} str - Stored value
+ * @returns {string} Decoded value
+ */
+const decode_html_entities = (str) => {
+    if (!str || typeof str !== 'string') {
+        return str;
+    }
+    return str
+        .replace(/&#x2F;/gi, '/')
+        .replace(/&#x27;/gi, "'")
+        .replace(/&quot;/gi, '"')
+        .replace(/&lt;/gi, '<')
+        .replace(/&gt;/gi, '>')
+        .replace(/&amp;/gi, '&');
+};
+
+/**
+ * SHA-256 of a buffer as hex
+ * @param {Buffer} buffer - File content
+ * @returns {string} Hex digest
+ */
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Reads a stored file into a bundle entry
+ * @param {string|null} relative_path - Storage-relative path from the database
+ * @returns {Promise<Object|null>} {name, sha256, data (base64)}, or null when there is no file
+ */
+const read_stored_file = async (relative_path) => {
+
+    if (!relative_path) {
+        return null;
+    }
+
+    const storage_path = decode_html_entities(relative_path);
+    const buffer = await STORAGE.get(storage_path);
+
+    return {
+        name: path.basename(storage_path),
+        sha256: sha256(buffer),
+        data: buffer.toString('base64')
+    };
+};
+
+/**
+ * Decodes a bundled file and checks it against its recorded digest
+ * @param {Object} file - Bundle file entry
+ * @param {string} label - Used in the error message
+ * @returns {Buffer} File content
+ */
+const decode_bundled_file = (file, label) => {
+
+    const buffer = Buffer.from(file.data || '', 'base64');
+
+    if (sha256(buffer) !== file.sha256) {
+        const error = new Error(`Checksum mismatch for ${label}`);
+        error.code = 'INVALID_BUNDLE';
+        throw error;
+    }
+
+    return buffer;
+};
+
+/**
+ * Checks the bundle envelope, and each exhibit and component row's columns
+ * against its table, before anything is written
+ * @param {Object} bundle - Parsed bundle
+ * @returns {string|null} Problem description, or null when the bundle is usable
+ */
+const validate_bundle = (bundle) => {
+
+    if (!bundle || typeof bundle !== 'object' || bundle.format !== CONSTANTS.BUNDLE_FORMAT) {
+        return 'Not an exhibit bundle';
+    }
+
+    if (bundle.version !== CONSTANTS.BUNDLE_VERSION) {
+        return `Unsupported bundle version: ${bundle.version}`;
+    }
+
+    if (!bundle.exhibit || !is_valid_uuid(bundle.exhibit.uuid)) {
+        return 'Bundle has no exhibit record';
+    }
+
+    for (const key of [...Object.keys(bundle_task.COMPONENTS), 'exhibit_media', 'media']) {
+
+        if (!Array.isArray(bundle[key])) {
+            return `Bundle is missing ${key}`;
+        }
+    }
+
+    for (const key of Object.keys(bundle_task.COMPONENTS)) {
+
+        if (bundle[key].some((row) => !row || !is_valid_uuid(row.uuid))) {
+            return `Bundle has an invalid ${key} record`;
+        }
+    }
+
+    const rows = [['exhibit_records', bundle.exhibit]];
+
+    for (const [key, table_key] of Object.entries(bundle_task.COMPONENTS)) {
+        bundle[key].forEach((row) => rows.push([table_key, row]));
+    }
+
+    for (const [table_key, row] of rows) {
+
+        const problem = bundle_task.check_row_columns(table_key, row);
+
+        if (problem) {
+            return `Bundle has an invalid record: ${problem}`;
+        }
+    }
+
+    if (bundle.media.some((entry) => !entry || !entry.record || !is_valid_uuid(entry.record.uuid))) {
+        return 'Bundle has an invalid media record';
+    }
+
+    return null;
+};
+
+/**
+ * Looks for stored media with the same content as a bundled file
+ * @param {Object} record - Bundled media record
+ * @param {Buffer} buffer - Bundled file content
+ * @returns {Promise<string|null>} Matching media UUID
+ */
+const find_media_by_hash = async (record, buffer) => {
+
+    const digest = sha256(buffer);
+    const candidates = await bundle_task.get_media_by_size(record.media_type, buffer.length);
+
+    for (const candidate of candidates) {
+
+        try {
+
+            if (await UPLOADS.hash_stored_file(decode_html_entities(candidate.storage_path)) === digest) {
+                return candidate.uuid;
+            }
+
+        } catch (error) {
+            LOGGER.module().warn(`WARNING: [/exhibits/bundle_model (find_media_by_hash)] Unable to hash ${candidate.uuid}: ${error.message}`);
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Exports an exhibit as a self-contained bundle: the exhibit row, its active
+ * headings, items, grids, timelines and their items, its media bindings, and
+ * every media library record it references together with the stored original
+ * and thumbnail (base64, with a SHA-256 per file). Files missing from storage
+ * are reported in `warnings` rather than failing the export.
+ * @param {string} uuid - Exhibit UUID
+ * @returns {Promise<Object>} Response object; data is the bundle
+ */
+exports.export_exhibit = async (uuid) => {
+
+    try {
+
+        if (!is_valid_uuid(uuid)) {
+            return build_response(
+                CONSTANTS.STATUS_CODES.BAD_REQUEST,
+                'Invalid UUID provided'
+            );
+        }
+
+        const graph = await bundle_task.get_exhibit_graph(uuid);
+
+        if (!graph) {
+            return build_response(
+                CONSTANTS.STATUS_CODES.NOT_FOUND,
+                'Exhibit not found'
+            );
+        }
+
+        const records = await bundle_task.get_media_records(bundle_task.collect_media_uuids(graph));
+        const warnings = [];
+        const media = [];
+
+        for (const record of records) {
+
+            const entry = {record, file: null, thumbnail: null};
+
+            for (const [key, column] of [['file', 'storage_path'], ['thumbnail', 'thumbnail_path']]) {
+
+                try {
+                    entry[key] = await read_stored_file(record[column]);
+                } catch (error) {
+                    warnings.push(`Media ${record.uuid}: ${column} could not be read (${error.message})`);
+                }
+            }
+
+            media.push(entry);
+        }
+
+        const bundle = {
+            format: CONSTANTS.BUNDLE_FORMAT,
+            version: CONSTANTS.BUNDLE_VERSION,
+            exported_at: new Date().toISOString(),
+            ...graph,
+            media,
+            warnings
+        };
+
+        return build_response(
+            CONSTANTS.STATUS_CODES.OK,
+            'Exhibit exported',
+            bundle
+        );
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/bundle_model (export_exhibit)] ${error.message}`, {
+            uuid,
+            stack: error.stack
+        });
+
+        return build_response(
+            CONSTANTS.STATUS_CODES.INTERNAL_SERVER_ERROR,
+            `Unable to export exhibit: ${error.message}`
+        );
+    }
+};
+
+/**
+ * Imports an exhibit bundle as a new, unpublished exhibit owned by the
+ * importing user. Every record gets a fresh UUID. Each bundled media record is
+ * resolved against this environment's library first — by `repo_uuid`, then
+ * `kaltura_entry_id`, then file content (SHA-256 of same-sized files of the
+ * same type) — and an existing match is reused instead of duplicated. Media
+ * without a match is stored into hash-bucketed storage as a new record. Files
+ * written for an import that then fails are removed again.
+ * @param {Object} bundle - Parsed bundle (see export_exhibit)
+ * @param {Object} options
+ * @param {number} options.owner - tbl_users.id of the importing user
+ * @param {string} [options.created_by] - Display name of the importing user
+ * @returns {Promise<Object>} Response object; data is {uuid, counts, media}
+ */
+exports.import_exhibit = async (bundle, options = {}) => {
+
+    const stored_files = [];
+
+    try {
+
+        const problem = validate_bundle(bundle);
+
+        if (problem) {
+            return build_response(
+                CONSTANTS.STATUS_CODES.BAD_REQUEST,
+                problem
+            );
+        }
+
+        // Bundle contents never passed through the request sanitizers
+        const graph = {exhibit: bundle.exhibit, exhibit_media: bundle.exhibit_media};
+
+        for (const key of Object.keys(bundle_task.COMPONENTS)) {
+            graph[key] = bundle[key];
+        }
+
+        XSS.sanitize_object(graph);
+        bundle.media.forEach((entry) => XSS.sanitize_object(entry.record));
+
+        const media_plan = [];
+        const media_report = [];
+
+        for (const entry of bundle.media) {
+
+            const source = entry.record;
+            const file = entry.file ? decode_bundled_file(entry.file, `media ${source.uuid}`) : null;
+            const thumbnail = entry.thumbnail ? decode_bundled_file(entry.thumbnail, `media ${source.uuid} thumbnail`) : null;
+
+            let match = await bundle_task.find_media_by_identifier(source);
+
+            if (!match && file) {
+                const uuid = await find_media_by_hash(source, file);
+                match = uuid ? {uuid, matched_by: 'file_hash'} : null;
+            }
+
+            if (match) {
+                media_plan.push({source_uuid: source.uuid, uuid: match.uuid, record: null});
+                media_report.push({source_uuid: source.uuid, uuid: match.uuid, resolution: match.matched_by});
+                continue;
+            }
+
+            const {uuid: source_uuid, ...record} = source;
+
+            record.storage_path = null;
+            record.thumbnail_path = null;
+
+            // Fixity describes the copy stored here, not the exporting site's
+            Object.assign(record, {fixity_status: null, fixity_message: null, fixity_checked: null, fixity_verified: null});
+
+            if (file) {
+                const stored = await UPLOADS.store_file(file, source.original_filename || entry.file.name, source.mime_type);
+                stored_files.push([stored.storage_path, stored.thumbnail_path]);
+                record.storage_path = stored.storage_path;
+                record.thumbnail_path = stored.thumbnail_path;
+                record.filename = path.basename(stored.storage_path);
+                record.size = stored.file_size;
+                record.content_hash = stored.content_hash;
+                Object.assign(record, FIXITY.baseline());
+            }
+
+            if (thumbnail && !record.thumbnail_path) {
+                record.thumbnail_path = await UPLOADS.store_thumbnail_file(thumbnail);
+                stored_files.push([record.thumbnail_path, null]);
+            }
+
+            const uuid = crypto.randomUUID();
+            media_plan.push({source_uuid, uuid, record});
+            media_report.push({source_uuid, uuid, resolution: 'created'});
+        }
+
+        const result = await bundle_task.import_exhibit_graph(graph, media_plan, {
+            owner: options.owner,
+            created_by: options.created_by || null
+        });
+
+        return build_response(
+            CONSTANTS.STATUS_CODES.CREATED,
+            'Exhibit imported',
+            {
+                uuid: result.uuid,
+                source_uuid: bundle.exhibit.uuid,
+                counts: result.counts,
+                media: media_report
+            }
+        );
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/bundle_model (import_exhibit)] ${error.message}`, {
+            source_uuid: bundle?.exhibit?.uuid,
+            stack: error.stack
+        });
+
+        for (const [storage_path, thumbnail_path] of stored_files) {
+
+            try {
+                await UPLOADS.delete_stored_file(storage_path, thumbnail_path);
+            } catch (cleanup_error) {
+                LOGGER.module().error(`ERROR: [/exhibits/bundle_model (import_exhibit)] Unable to remove ${storage_path}: ${cleanup_error.message}`);
+            }
+        }
+
+        // Only a problem with the bundle itself is the caller's to fix; anything
+        // else is a database or storage failure and is not described to them
+        if (error.code === 'INVALID_BUNDLE') {
+            return build_response(
+                CONSTANTS.STATUS_CODES.BAD_REQUEST,
+                `Unable to import exhibit: ${error.message}`
+            );
+        }
+
+        return build_response(
+            CONSTANTS.STATUS_CODES.INTERNAL_SERVER_ERROR,
+            'Unable to import exhibit'
+        );
+    }
+};
@@ -0,0 +1,70 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const multer = require('multer');
+const CONTROLLER = require('../exhibits/bundle_controller');
+const ENDPOINTS = require('../exhibits/endpoints/index');
+const TOKEN = require('../libs/tokens');
+const STORAGE_CONFIG = require('../media-library/storage_config')();
+const { rate_limits } = require('../config/rate_limits_loader');
+
+// Surface a rejected handler promise to Express' error handling.
+const async_handler = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+// Bundles are parsed in memory; one file per request.
+const bundle_upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: STORAGE_CONFIG.bundle_max,
+        files: 1
+    }
+}).single('bundle');
+
+// Turn multer failures (oversized bundle, unexpected field) into a 400.
+const receive_bundle = (req, res, next) => {
+    bundle_upload(req, res, (error) => {
+        if (error) {
+            return res.status(400).json({ success: false, message: `Unable to read bundle: ${error.message}`, data: null });
+        }
+        next();
+    });
+};
+
+module.exports = function (app) {
+
+    const endpoints = ENDPOINTS();
+
+    // Download an exhibit bundle.
+    app.route(endpoints.exhibits.exhibit_export.get.endpoint)
+        .get(
+            rate_limits.read_operations,
+            TOKEN.verify,
+            async_handler(CONTROLLER.export_exhibit)
+        );
+
+    // Create a new exhibit from an uploaded bundle (writes media files, so media limits apply).
+    app.route(endpoints.exhibits.exhibit_import.post.endpoint)
+        .post(
+            rate_limits.media_operations,
+            TOKEN.verify,
+            receive_bundle,
+            async_handler(CONTROLLER.import_exhibit)
+        );
+};
@@ -0,0 +1,13 @@
+'use strict';
+
+const { APP_PATH, PREFIX, VERSION, ENDPOINT } = require('./endpoints_config');
+
+module.exports = {
+    exhibit_accessibility: {
+        get: {
+            description: 'Checks an exhibit for missing alt text, missing or deleted media, hidden anchor headings, empty captions and unset required styles',
+            endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/:exhibit_id/accessibility`,
+            params: 'token or api_key'
+        }
+    }
+};
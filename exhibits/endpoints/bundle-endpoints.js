@@ -0,0 +1,21 @@
+'use strict';
+
+const { APP_PATH, PREFIX, VERSION, ENDPOINT } = require('./endpoints_config');
+
+module.exports = {
+    exhibit_export: {
+        get: {
+            description: 'Exports an exhibit, its components, media records and stored files as a JSON bundle',
+            endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/:exhibit_id/export`,
+            params: 'token or api_key'
+        }
+    },
+    exhibit_import: {
+        post: {
+            description: 'Imports an exhibit bundle as a new unpublished exhibit',
+            endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/import`,
+            params: 'token or api_key',
+            body: 'multipart/form-data: bundle (file), owner (user id), created_by'
+        }
+    }
+};
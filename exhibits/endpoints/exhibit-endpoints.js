@@ -31,6 +31,14 @@ module.exports = {
             }
         }
     },
+    exhibit_clone: {
+        post: {
+            description: 'Clones an exhibit and all of its components as a new unpublished draft',
+            endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/:exhibit_id/clone`,
+            params: 'token or api_key',
+            body: 'owner (user id of the cloning user), created_by'
+        }
+    },
     exhibit_preview: {
         get: {
             description: 'Previews exhibit',
@@ -8,6 +8,11 @@ const headingEndpoints = require('./heading-endpoints');
 const timelineEndpoints = require('./timeline-endpoints');
 const workflowEndpoints = require('./workflow-endpoints');
 const utilityEndpoints = require('./utility-endpoints');
+const revisionEndpoints = require('./revision-endpoints');
+const bundleEndpoints = require('./bundle-endpoints');
+const scheduleEndpoints = require('./schedule-endpoints');
+const reviewEndpoints = require('./review-endpoints');
+const accessibilityEndpoints = require('./accessibility-endpoints');
 
 const ENDPOINTS = {
     exhibits: {
@@ -18,7 +23,12 @@ const ENDPOINTS = {
         ...headingEndpoints,
         ...timelineEndpoints,
         ...workflowEndpoints,
-        ...utilityEndpoints
+        ...utilityEndpoints,
+        ...revisionEndpoints,
+        ...bundleEndpoints,
+        ...scheduleEndpoints,
+        ...reviewEndpoints,
+        ...accessibilityEndpoints
     }
 };
 
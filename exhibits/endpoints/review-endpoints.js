@@ -0,0 +1,37 @@
+'use strict';
+
+const { APP_PATH, PREFIX, VERSION, ENDPOINT } = require('./endpoints_config');
+
+module.exports = {
+    exhibit_review: {
+        get: {
+            description: 'Retrieves the editorial review state and review log of an exhibit',
+            endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/:exhibit_id/review`,
+            params: 'token or api_key'
+        }
+    },
+    exhibit_review_submit: {
+        post: {
+            description: 'Submits an exhibit for editorial review',
+            endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/:exhibit_id/review/submit`,
+            params: 'token or api_key',
+            body: 'comment (optional), created_by'
+        }
+    },
+    exhibit_review_approve: {
+        post: {
+            description: 'Approves an exhibit in review so it can be published',
+            endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/:exhibit_id/review/approve`,
+            params: 'token or api_key',
+            body: 'comment (optional), created_by'
+        }
+    },
+    exhibit_review_request_changes: {
+        post: {
+            description: 'Sends an exhibit in review back to its curator with comments',
+            endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/:exhibit_id/review/request-changes`,
+            params: 'token or api_key',
+            body: 'comment (required), created_by'
+        }
+    }
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+const { APP_PATH, PREFIX, VERSION, ENDPOINT } = require('./endpoints_config');
+
+module.exports = {
+    revision_records: {
+        get: {
+            description: 'Retrieves revision history for an exhibit and its components',
+            endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/:exhibit_id/revisions`,
+            params: 'token or api_key, optional record_id query param (single component)'
+        }
+    },
+    revision_record: {
+        get: {
+            description: 'Retrieves a revision with its snapshot and the record\'s current state',
+            endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/:exhibit_id/revisions/:revision_id`,
+            params: 'token or api_key'
+        }
+    },
+    revision_restore: {
+        post: {
+            description: 'Restores a record to the state captured in a revision',
+            endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/:exhibit_id/revisions/:revision_id/restore`,
+            params: 'token or api_key',
+            body: 'updated_by (optional display name)'
+        }
+    }
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+const { APP_PATH, PREFIX, VERSION, ENDPOINT } = require('./endpoints_config');
+
+module.exports = {
+    exhibit_schedule: {
+        put: {
+            description: 'Sets or clears the scheduled publish/suppress times of an exhibit',
+            endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/:exhibit_id/schedule`,
+            params: 'token or api_key',
+            body: 'publish_at, suppress_at (ISO 8601 or null to clear; omitted fields are unchanged), scheduled_by'
+        }
+    },
+    item_schedule: {
+        put: {
+            description: 'Sets or clears the scheduled publish/suppress times of a standard item',
+            endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/:exhibit_id/items/:item_id/schedule`,
+            params: 'token or api_key',
+            body: 'publish_at, suppress_at (ISO 8601 or null to clear; omitted fields are unchanged), scheduled_by'
+        }
+    },
+    scheduled_transitions: {
+        get: {
+            description: 'Retrieves pending scheduled publish/suppress transitions, soonest first',
+            endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/schedule/transitions`,
+            params: 'token or api_key'
+        }
+    }
+};
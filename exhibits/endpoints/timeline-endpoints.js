@@ -61,6 +61,13 @@ module.exports = {
                 description: 'Suppresses timeline item',
                 endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/:exhibit_id/timelines/suppress/:timeline_id/item/:timeline_item_id`
             }
+        },
+        timeline_item_date_order: {
+            post: {
+                description: 'Orders timeline items chronologically by their EDTF dates',
+                endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/:exhibit_id/timelines/:timeline_id/order-by-date`,
+                params: 'token or api_key'
+            }
         }
     },
     timeline_item_record: {
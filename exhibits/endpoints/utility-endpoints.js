@@ -11,6 +11,22 @@ module.exports = {
             body: 'item array of objects'
         }
     },
+    bulk_records: {
+        post: {
+            description: 'publishes, suppresses or deletes selected items in exhibit',
+            endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/:exhibit_id/items/bulk`,
+            params: 'token or api_key',
+            body: '{action: publish|suppress|delete, records: [{type, uuid}]}'
+        }
+    },
+    move_record: {
+        post: {
+            description: 'moves an item to another place in its exhibit or to another exhibit, converting between standard, grid and timeline items',
+            endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/:exhibit_id/items/move`,
+            params: 'token or api_key',
+            body: '{type, uuid, target_type: item|grid_item|timeline_item, target_exhibit_id (optional), target_container_id (grid or timeline), date (optional, timeline items)}'
+        }
+    },
     token_verify: {
         description: 'Verifies token',
         endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/verify`,
@@ -15,6 +15,13 @@ module.exports = {
             endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/:exhibit_id/suppress`
         }
     },
+    exhibit_transfer: {
+        post: {
+            description: 'Transfers exhibit ownership to another user',
+            endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/:exhibit_id/transfer`,
+            body: 'owner (user id), cascade (optional boolean: also transfer components and media), updated_by'
+        }
+    },
     exhibit_unlock_record: {
         post: {
             description: 'Unlock exhibit record',
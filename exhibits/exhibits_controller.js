@@ -21,6 +21,7 @@
 const WEBSERVICES_CONFIG = require('../config/webservices_config')();
 const EXHIBITS_MODEL = require('../exhibits/exhibits_model');
 const AUTHORIZE = require('../auth/authorize');
+const AUDIT = require('../audit/model');
 const LOGGER = require('../libs/log4');
 const {
     validate_string_param,
@@ -72,6 +73,13 @@ exports.create_exhibit_record = async (req, res) => {
             throw new Error('Invalid response from model');
         }
 
+        await AUDIT.record_success(req, result.status, {
+            action: 'create',
+            record_type: 'exhibit',
+            record_uuid: result.data,
+            after: req.body
+        });
+
         return res.status(result.status).json(result);
 
     } catch (error) {
@@ -282,6 +290,8 @@ exports.update_exhibit_record = async (req, res) => {
             });
         }
 
+        const before = await AUDIT.get_record_state('exhibit', uuid);
+
         // Update exhibit record
         const result = await EXHIBITS_MODEL.update_exhibit_record(uuid, req.body);
 
@@ -290,6 +300,14 @@ exports.update_exhibit_record = async (req, res) => {
             throw new Error('Invalid response from model');
         }
 
+        await AUDIT.record_success(req, result.status, {
+            action: 'update',
+            record_type: 'exhibit',
+            record_uuid: uuid,
+            before,
+            after: req.body
+        });
+
         return res.status(result.status).json(result);
 
     } catch (error) {
@@ -371,6 +389,8 @@ exports.delete_exhibit_record = async function (req, res) {
             });
         }
 
+        const before = await AUDIT.get_record_state('exhibit', sanitized_exhibit_uuid);
+
         // Delete exhibit record
         const result = await EXHIBITS_MODEL.delete_exhibit_record(sanitized_exhibit_uuid);
 
@@ -395,6 +415,13 @@ exports.delete_exhibit_record = async function (req, res) {
             LOGGER.module().info(`INFO: [/exhibits/controller (delete_exhibit_record)] Successfully deleted exhibit: ${sanitized_exhibit_uuid} by user: ${req.decoded?.sub || 'unknown'}`);
         }
 
+        await AUDIT.record_success(req, status_code, {
+            action: 'delete',
+            record_type: 'exhibit',
+            record_uuid: sanitized_exhibit_uuid,
+            before
+        });
+
         // Send successful response
         return res.status(status_code).json(result);
 
@@ -637,8 +664,33 @@ exports.publish_exhibit = async function (req, res) {
             });
         }
 
+        if (result.status === 'accessibility_errors') {
+            LOGGER.module().info(`INFO: [/exhibits/controller (publish_exhibit)] Publish failed - accessibility errors: ${sanitized_uuid}`);
+            return res.status(422).json({
+                success: false,
+                message: 'Exhibit has accessibility errors that must be fixed before it can be published',
+                data: result.data || []
+            });
+        }
+
+        if (result.status === 'not_approved') {
+            LOGGER.module().info(`INFO: [/exhibits/controller (publish_exhibit)] Publish failed - exhibit not approved: ${sanitized_uuid}`);
+            return res.status(409).json({
+                success: false,
+                message: 'Exhibit must be approved in editorial review before it can be published',
+                data: null
+            });
+        }
+
         if (result.status === true) {
             LOGGER.module().info(`INFO: [/exhibits/controller (publish_exhibit)] Successfully published exhibit: ${sanitized_uuid} by user: ${req.decoded?.sub || 'unknown'}`);
+            await AUDIT.record(req, {
+                action: 'publish',
+                record_type: 'exhibit',
+                record_uuid: sanitized_uuid,
+                before: {is_published: 0},
+                after: {is_published: 1}
+            });
             return res.status(200).json({
                 success: true,
                 message: 'Exhibit published successfully',
@@ -748,6 +800,13 @@ exports.suppress_exhibit = async function (req, res) {
 
         if (result.status === true) {
             LOGGER.module().info(`INFO: [/exhibits/controller (suppress_exhibit)] Successfully suppressed exhibit: ${sanitized_uuid} by user: ${req.decoded?.sub || 'unknown'}`);
+            await AUDIT.record(req, {
+                action: 'suppress',
+                record_type: 'exhibit',
+                record_uuid: sanitized_uuid,
+                before: {is_published: 1},
+                after: {is_published: 0}
+            });
             return res.status(200).json({
                 success: true,
                 message: 'Exhibit suppressed successfully',
@@ -779,6 +838,254 @@ exports.suppress_exhibit = async function (req, res) {
     }
 };
 
+/**
+ * Transfers exhibit ownership to another user. Body: `owner` (tbl_users.id of the
+ * new owner), optional `cascade` (also transfer components and media) and
+ * `updated_by`. transfer_exhibit covers the caller's own exhibits;
+ * transfer_any_exhibit covers every exhibit.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.transfer_exhibit = async function (req, res) {
+
+    try {
+
+        const exhibit_uuid = req.params.exhibit_id;
+        const data = req.body;
+
+        // Validate UUID
+        const uuid_check = validate_string_param(exhibit_uuid, 'exhibit UUID');
+        if (!uuid_check.valid) {
+            return res.status(400).json({
+                success: false,
+                message: uuid_check.error_message,
+                data: null
+            });
+        }
+
+        const sanitized_uuid = uuid_check.sanitized;
+
+        // Check for path traversal attempts
+        if (has_path_traversal(sanitized_uuid)) {
+            LOGGER.module().warn(`WARNING: [/exhibits/controller (transfer_exhibit)] Path traversal attempt detected: ${sanitized_uuid}`);
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid exhibit UUID format',
+                data: null
+            });
+        }
+
+        if (!validate_request_body(data)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing request data',
+                data: null
+            });
+        }
+
+        const owner = Number(data.owner);
+        if (!Number.isInteger(owner) || owner <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'A valid new owner is required',
+                data: null
+            });
+        }
+
+        if (data.cascade !== undefined && typeof data.cascade !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cascade parameter. Must be true or false',
+                data: null
+            });
+        }
+
+        // Validate authorization module exists
+        if (!AUTHORIZE || typeof AUTHORIZE.check_permission !== 'function') {
+            LOGGER.module().error(`ERROR: [/exhibits/controller (transfer_exhibit)] Authorization module not properly initialized`);
+            return res.status(500).json({
+                success: false,
+                message: 'Internal server error',
+                data: null
+            });
+        }
+
+        // Check permissions
+        const authorization_options = {
+            req: req,
+            permissions: ['transfer_exhibit', 'transfer_any_exhibit'],
+            record_type: 'exhibit',
+            parent_id: sanitized_uuid,
+            child_id: null
+        };
+
+        const is_authorized = await AUTHORIZE.check_permission(authorization_options);
+
+        if (!is_authorized) {
+            LOGGER.module().warn(`WARNING: [/exhibits/controller (transfer_exhibit)] Unauthorized transfer attempt for exhibit: ${sanitized_uuid} by user: ${req.decoded?.sub || 'unknown'}`);
+            return res.status(403).json({
+                success: false,
+                message: 'Unauthorized request',
+                data: null
+            });
+        }
+
+        const result = await EXHIBITS_MODEL.transfer_exhibit(sanitized_uuid, owner, {
+            cascade: data.cascade === true,
+            updated_by: typeof data.updated_by === 'string' ? data.updated_by : (req.decoded?.sub || null)
+        });
+
+        if (!validate_model_result(result)) {
+            throw new Error('Invalid response from database');
+        }
+
+        if (result.status === 200) {
+            LOGGER.module().info(`INFO: [/exhibits/controller (transfer_exhibit)] Exhibit ${sanitized_uuid} transferred to user ${owner} by user: ${req.decoded?.sub || 'unknown'}, cascade: ${data.cascade === true}`);
+        }
+
+        await AUDIT.record_success(req, result.status, {
+            action: 'transfer',
+            record_type: 'exhibit',
+            record_uuid: sanitized_uuid,
+            after: {owner, cascade: data.cascade === true}
+        });
+
+        return res.status(result.status).json({
+            success: result.status === 200,
+            message: result.message,
+            data: result.data || null
+        });
+
+    } catch (error) {
+
+        LOGGER.module().error(`ERROR: [/exhibits/controller (transfer_exhibit)] ${error.message}`);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Unable to transfer exhibit',
+            data: null
+        });
+    }
+};
+
+/**
+ * Clones an exhibit and its components as a new unpublished draft owned by the caller
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.clone_exhibit = async function (req, res) {
+
+    try {
+
+        const exhibit_uuid = req.params.exhibit_id;
+        const data = req.body || {};
+
+        const uuid_check = validate_string_param(exhibit_uuid, 'exhibit UUID');
+        if (!uuid_check.valid) {
+            return res.status(400).json({
+                success: false,
+                message: uuid_check.error_message,
+                data: null
+            });
+        }
+
+        const sanitized_uuid = uuid_check.sanitized;
+
+        if (has_path_traversal(sanitized_uuid)) {
+            LOGGER.module().warn(`WARNING: [/exhibits/controller (clone_exhibit)] Path traversal attempt detected: ${sanitized_uuid}`);
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid exhibit UUID format',
+                data: null
+            });
+        }
+
+        const owner = Number(data.owner);
+        if (!Number.isInteger(owner) || owner <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'A valid owner is required',
+                data: null
+            });
+        }
+
+        if (!AUTHORIZE || typeof AUTHORIZE.check_permission !== 'function') {
+            LOGGER.module().error(`ERROR: [/exhibits/controller (clone_exhibit)] Authorization module not properly initialized`);
+            return res.status(500).json({
+                success: false,
+                message: 'Internal server error',
+                data: null
+            });
+        }
+
+        // A clone is a new exhibit, so it needs the same permission as the add form
+        const can_add = await AUTHORIZE.check_permission({
+            req: req,
+            permissions: ['add_exhibit'],
+            record_type: 'exhibit',
+            parent_id: null,
+            child_id: null
+        });
+
+        // It also copies every component and media binding of the source, so the
+        // caller must be able to edit the source, as for a bundle export
+        const can_edit_source = can_add === true && await AUTHORIZE.check_permission({
+            req: req,
+            permissions: ['update_exhibit', 'update_any_exhibit'],
+            record_type: 'exhibit',
+            parent_id: sanitized_uuid,
+            child_id: null
+        });
+
+        if (can_edit_source !== true) {
+            LOGGER.module().warn(`WARNING: [/exhibits/controller (clone_exhibit)] Unauthorized clone attempt for exhibit: ${sanitized_uuid} by user: ${req.decoded?.sub || 'unknown'}`);
+            return res.status(403).json({
+                success: false,
+                message: 'Unauthorized request',
+                data: null
+            });
+        }
+
+        const result = await EXHIBITS_MODEL.clone_exhibit(sanitized_uuid, {
+            owner,
+            created_by: typeof data.created_by === 'string' ? data.created_by : (req.decoded?.sub || null)
+        });
+
+        if (!validate_model_result(result)) {
+            throw new Error('Invalid response from database');
+        }
+
+        if (result.status === 201) {
+            LOGGER.module().info(`INFO: [/exhibits/controller (clone_exhibit)] Exhibit ${sanitized_uuid} cloned as ${result.data.uuid} by user: ${req.decoded?.sub || 'unknown'}`);
+        }
+
+        await AUDIT.record_success(req, result.status, {
+            action: 'clone',
+            record_type: 'exhibit',
+            record_uuid: result.data?.uuid,
+            after: {source_uuid: sanitized_uuid, owner}
+        });
+
+        return res.status(result.status).json({
+            success: result.status === 201,
+            message: result.message,
+            data: result.data || null
+        });
+
+    } catch (error) {
+
+        LOGGER.module().error(`ERROR: [/exhibits/controller (clone_exhibit)] ${error.message}`);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Unable to clone exhibit',
+            data: null
+        });
+    }
+};
+
 exports.unlock_exhibit_record = async function (req, res) {
 
     try {
@@ -965,6 +1272,13 @@ exports.unlock_exhibit_record = async function (req, res) {
 
         LOGGER.module().info(`INFO: [/exhibits/controller (unlock_exhibit_record)] Successfully unlocked exhibit: ${sanitized_uuid} by user: ${req.decoded?.sub || 'unknown'}, force: ${is_force_unlock}`);
 
+        await AUDIT.record(req, {
+            action: 'unlock',
+            record_type: 'exhibit',
+            record_uuid: sanitized_uuid,
+            after: {uid: sanitized_uid, force: is_force_unlock}
+        });
+
         return res.status(200).json({
             success: true,
             message: 'Exhibit record unlocked successfully',
@@ -1078,6 +1392,13 @@ exports.bind_exhibit_media = async (req, res) => {
             throw new Error('Invalid response from model');
         }
 
+        await AUDIT.record_success(req, result.status, {
+            action: 'bind_media',
+            record_type: 'exhibit',
+            record_uuid: sanitized_exhibit_uuid,
+            after: {media_uuid: media_uuid.trim(), media_role}
+        });
+
         return res.status(result.status).json(result);
 
     } catch (error) {
@@ -1215,6 +1536,13 @@ exports.unbind_exhibit_media = async (req, res) => {
             throw new Error('Invalid response from model');
         }
 
+        await AUDIT.record_success(req, result.status, {
+            action: 'unbind_media',
+            record_type: 'exhibit',
+            record_uuid: sanitized_exhibit_uuid,
+            before: {media_role}
+        });
+
         // 204 responses should not have a body
         if (result.status === 204) {
             return res.status(204).end();
@@ -29,6 +29,8 @@ const EXHIBIT_HEADING_RECORD_TASKS = require('./tasks/exhibit_heading_record_tas
 const EXHIBIT_GRID_RECORD_TASKS = require('./tasks/exhibit_grid_record_tasks');
 const EXHIBIT_TIMELINE_RECORD_TASKS = require('./tasks/exhibit_timeline_record_tasks');
 const EXHIBIT_MEDIA_LIBRARY_TASKS = require('./tasks/exhibit_media_library_tasks');
+const EXHIBIT_REVISION_RECORD_TASKS = require('./tasks/exhibit_revision_record_tasks');
+const EXHIBIT_BUNDLE_TASKS = require('./tasks/exhibit_bundle_tasks');
 const HELPER = require('../libs/helper');
 const VALIDATOR = require('../libs/validate');
 const INDEXER_MODEL = require('../indexer/model');
@@ -37,6 +39,8 @@ const GRIDS_MODEL = require('../exhibits/grid_model');
 const TIMELINES_MODEL = require('../exhibits/timelines_model');
 const LOGGER = require('../libs/log4');
 const REINDEX_COALESCER = require('./reindex_coalescer');
+const REVIEW_MODEL = require('./review_model');
+const ACCESSIBILITY_MODEL = require('./accessibility_model');
 const { validate_string_param } = require('../exhibits/exhibits_helper');
 const { build_response, validate_input, prepare_styles } = require('../exhibits/common_helper');
 
@@ -48,6 +52,7 @@ const CONSTANTS = {
         CREATED: 201,
         NO_CONTENT: 204,
         BAD_REQUEST: 400,
+        NOT_FOUND: 404,
         INTERNAL_SERVER_ERROR: 500
     },
     RECORD_TYPES: {
@@ -67,6 +72,8 @@ const heading_record_task = new EXHIBIT_HEADING_RECORD_TASKS(DB, TABLES);
 const grid_record_task = new EXHIBIT_GRID_RECORD_TASKS(DB, TABLES);
 const timeline_record_task = new EXHIBIT_TIMELINE_RECORD_TASKS(DB, TABLES);
 const exhibit_media_library_task = new EXHIBIT_MEDIA_LIBRARY_TASKS(DB, TABLES);
+const revision_task = new EXHIBIT_REVISION_RECORD_TASKS(DB, TABLES);
+const bundle_task = new EXHIBIT_BUNDLE_TASKS(DB, TABLES);
 
 // build_response, validate_input, prepare_styles imported from common_helper
 
@@ -315,15 +322,7 @@ const handle_republish = async (uuid) => {
         // scratch still go through publish_exhibit -> index_exhibit.)
         // Coalesced per exhibit: a burst of edits collapses to one near-real-time
         // re-index (was a flat 5s delay + one independent timer per edit).
-        REINDEX_COALESCER.schedule_reindex(`exhibit:${uuid}`, async () => {
-            const indexed = await INDEXER_MODEL.index_exhibit_record(uuid);
-
-            if (indexed === true) {
-                LOGGER.module().info('INFO: [/exhibits/model (handle_republish)] Exhibit re-indexed after edit.');
-            } else {
-                LOGGER.module().error('ERROR: [/exhibits/model (handle_republish)] Failed to re-index exhibit after edit.');
-            }
-        });
+        await REINDEX_COALESCER.schedule_reindex(`exhibit:${uuid}`, 'index_exhibit', {uuid});
     } catch (error) {
         LOGGER.module().error(`ERROR: [/exhibits/model (handle_republish)] ${error.message}`, {
             uuid,
@@ -336,9 +335,11 @@ const handle_republish = async (uuid) => {
  * Updates exhibit record
  * @param {string} uuid - Exhibit UUID
  * @param {Object} data - Update data
+ * @param {Object} [options]
+ * @param {string} [options.restored_from] - Revision UUID when the update restores one (set by revisions_model.restore_revision)
  * @returns {Promise<Object>} Response object
  */
-exports.update_exhibit_record = async (uuid, data) => {
+exports.update_exhibit_record = async (uuid, data, options = {}) => {
 
     try {
 
@@ -380,34 +381,56 @@ exports.update_exhibit_record = async (uuid, data) => {
         const is_published = data.is_published;
         delete data.is_published;
 
-        // Update record
-        const result = await exhibit_record_task.update_exhibit_record(uuid, data);
+        const updated_by = data.updated_by || null;
+
+        // Update record and create/update media library bindings for any
+        // selected media assets, reading the record's pre- and post-save state
+        // for the revision history in the same transaction. The post-save
+        // state is read after the bindings, so the snapshot carries the bound
+        // media uuids.
+        const saved = await revision_task.capture_save('exhibit', uuid, async (trx) => {
+
+            const updated = await new EXHIBIT_RECORD_TASKS(trx, TABLES).update_exhibit_record(uuid, data);
+
+            if (updated !== true) {
+                return updated;
+            }
+
+            const media_library_task = new EXHIBIT_MEDIA_LIBRARY_TASKS(trx, TABLES);
+
+            if (hero_image_media_uuid) {
+                try {
+                    await media_library_task.bind_media(uuid, hero_image_media_uuid, 'hero_image', updated_by);
+                } catch (bind_error) {
+                    LOGGER.module().error(`ERROR: [/exhibits/model (update_exhibit_record)] Failed to bind hero_image: ${bind_error.message}`);
+                }
+            }
 
-        if (result !== true) {
+            if (thumbnail_media_uuid) {
+                try {
+                    await media_library_task.bind_media(uuid, thumbnail_media_uuid, 'thumbnail', updated_by);
+                } catch (bind_error) {
+                    LOGGER.module().error(`ERROR: [/exhibits/model (update_exhibit_record)] Failed to bind thumbnail: ${bind_error.message}`);
+                }
+            }
+
+            return updated;
+        });
+
+        if (saved.result !== true) {
             return build_response(
                 CONSTANTS.STATUS_CODES.BAD_REQUEST,
                 'Unable to update exhibit record'
             );
         }
 
-        // Create/update media library bindings for any selected media assets
-        const updated_by = data.updated_by || null;
-
-        if (hero_image_media_uuid) {
-            try {
-                await exhibit_media_library_task.bind_media(uuid, hero_image_media_uuid, 'hero_image', updated_by);
-            } catch (bind_error) {
-                LOGGER.module().error(`ERROR: [/exhibits/model (update_exhibit_record)] Failed to bind hero_image: ${bind_error.message}`);
-            }
-        }
+        await revision_task.record_revision('exhibit', saved.before, {
+            after: saved.after,
+            created_by: updated_by,
+            restored_from: options.restored_from
+        });
 
-        if (thumbnail_media_uuid) {
-            try {
-                await exhibit_media_library_task.bind_media(uuid, thumbnail_media_uuid, 'thumbnail', updated_by);
-            } catch (bind_error) {
-                LOGGER.module().error(`ERROR: [/exhibits/model (update_exhibit_record)] Failed to bind thumbnail: ${bind_error.message}`);
-            }
-        }
+        await REVIEW_MODEL.revoke_approval(uuid);
 
         // Handle republishing if needed (non-blocking)
         if (is_published === 1) {
@@ -754,6 +777,27 @@ const publish_exhibit = async (uuid) => {
             };
         }
 
+        // Exhibits under editorial review must be approved first
+        if (!(await REVIEW_MODEL.is_publishable(uuid))) {
+            LOGGER.module().info('INFO: [/exhibits/model (publish_exhibit)] Exhibit has not been approved');
+            return {
+                status: 'not_approved',
+                message: 'Exhibit has not been approved for publishing'
+            };
+        }
+
+        // Accessibility errors block publishing when ACCESSIBILITY_CHECK_ON_PUBLISH=block
+        const accessibility_errors = await ACCESSIBILITY_MODEL.get_publish_blockers(uuid);
+
+        if (accessibility_errors.length > 0) {
+            LOGGER.module().info(`INFO: [/exhibits/model (publish_exhibit)] Exhibit has ${accessibility_errors.length} accessibility error(s)`);
+            return {
+                status: 'accessibility_errors',
+                message: 'Exhibit has accessibility errors',
+                data: accessibility_errors
+            };
+        }
+
         // Check if exhibit has content
         const counts = await get_exhibit_counts(uuid);
 
@@ -783,6 +827,7 @@ const publish_exhibit = async (uuid) => {
         const index_result = await INDEXER_MODEL.index_exhibit(uuid, 'publish');
 
         if (index_result.status === CONSTANTS.STATUS_CODES.CREATED) {
+            await REVIEW_MODEL.record_publication(uuid, true);
             return {
                 status: true,
                 message: 'Exhibit published'
@@ -841,135 +886,67 @@ const get_all_exhibit_records = async (uuid) => {
 };
 
 /**
- * Deletes items from index
- * @param {Array} items - Array of items to delete
- * @returns {Promise<void>}
- */
-const delete_items_from_index = async (items) => {
-
-    if (!items || items.length === 0) {
-        return;
-    }
-
-    const delete_promises = items.map(async (item) => {
-
-        try {
-
-            const delete_result = await INDEXER_MODEL.delete_record(item.uuid);
-
-            if (delete_result.status !== CONSTANTS.STATUS_CODES.NO_CONTENT) {
-                LOGGER.module().error(
-                    `ERROR: [/exhibits/model (delete_items_from_index)] Unable to delete item ${item.uuid} from index`
-                );
-            }
-        } catch (error) {
-            LOGGER.module().error(
-                `ERROR: [/exhibits/model (delete_items_from_index)] ${error.message}`,
-                { item_uuid: item.uuid, stack: error.stack }
-            );
-        }
-    });
-
-    await Promise.allSettled(delete_promises);
-};
-
-/**
- * Deletes grids from index
- * @param {Array} grids - Array of grids to delete
- * @returns {Promise<void>}
- */
-const delete_grids_from_index = async (grids) => {
-
-    if (!grids || grids.length === 0) {
-        return;
-    }
-
-    const delete_promises = grids.map(async (grid) => {
-
-        try {
-
-            const delete_result = await INDEXER_MODEL.delete_record(grid.uuid);
-
-            if (delete_result.status !== CONSTANTS.STATUS_CODES.NO_CONTENT) {
-                LOGGER.module().error(
-                    `ERROR: [/exhibits/model (delete_grids_from_index)] Unable to delete grid ${grid.uuid} from index`
-                );
-            }
-        } catch (error) {
-            LOGGER.module().error(
-                `ERROR: [/exhibits/model (delete_grids_from_index)] ${error.message}`,
-                { grid_uuid: grid.uuid, stack: error.stack }
-            );
-        }
-    });
-
-    await Promise.allSettled(delete_promises);
-};
-
-/**
- * Deletes timelines from index
- * @param {Array} timelines - Array of timelines to delete
+ * Queues removal of an exhibit's document and its components' documents from
+ * the index. The removals go through the index job queue, so one that fails
+ * in Elasticsearch is retried (and dead-lettered) instead of leaving the
+ * document public.
+ * @param {string} uuid - Exhibit UUID
+ * @param {Object} records - Component records from get_all_exhibit_records
  * @returns {Promise<void>}
+ * @throws {Error} When a removal could not be queued
  */
-const delete_timelines_from_index = async (timelines) => {
-
-    if (!timelines || timelines.length === 0) {
-        return;
-    }
-
-    const delete_promises = timelines.map(async (timeline) => {
-
-        try {
-
-            const delete_result = await INDEXER_MODEL.delete_record(timeline.uuid);
-
-            if (delete_result.status !== CONSTANTS.STATUS_CODES.NO_CONTENT) {
-                LOGGER.module().error(
-                    `ERROR: [/exhibits/model (delete_timelines_from_index)] Unable to delete timeline ${timeline.uuid} from index`
-                );
-            }
-        } catch (error) {
-            LOGGER.module().error(
-                `ERROR: [/exhibits/model (delete_timelines_from_index)] ${error.message}`,
-                { timeline_uuid: timeline.uuid, stack: error.stack }
-            );
-        }
-    });
-
-    await Promise.allSettled(delete_promises);
+const schedule_index_removals = async (uuid, records) => {
+
+    const components = [
+        ['item', records.items],
+        ['grid', records.grids],
+        ['timeline', records.timelines],
+        ['heading', records.headings]
+    ];
+
+    await REINDEX_COALESCER.schedule_suppress(`exhibit:${uuid}`, 'delete_record', {record_type: 'exhibit', uuid});
+
+    await Promise.all(components.flatMap(([record_type, component_records]) => {
+        return (component_records || []).map((record) => {
+            return REINDEX_COALESCER.schedule_suppress(`${record_type}:${record.uuid}`, 'delete_record', {
+                record_type,
+                exhibit_uuid: uuid,
+                uuid: record.uuid
+            });
+        });
+    }));
 };
 
 /**
- * Deletes headings from index
- * @param {Array} headings - Array of headings to delete
+ * Deletes an exhibit preview's component documents from the index. Preview
+ * documents are removed inline rather than through the job queue: a preview can
+ * be rebuilt straight away, and a removal still queued would delete the new one.
+ * @param {Object} records - Component records from get_all_exhibit_records
  * @returns {Promise<void>}
  */
-const delete_headings_from_index = async (headings) => {
+const delete_preview_components_from_index = async (records) => {
 
-    if (!headings || headings.length === 0) {
-        return;
-    }
+    const components = [records.items, records.grids, records.timelines, records.headings]
+        .flatMap((component_records) => component_records || []);
 
-    const delete_promises = headings.map(async (heading) => {
+    await Promise.allSettled(components.map(async (record) => {
 
         try {
 
-            const delete_result = await INDEXER_MODEL.delete_record(heading.uuid);
+            const delete_result = await INDEXER_MODEL.delete_record(record.uuid);
 
             if (delete_result.status !== CONSTANTS.STATUS_CODES.NO_CONTENT) {
                 LOGGER.module().error(
-                    `ERROR: [/exhibits/model (delete_headings_from_index)] Unable to delete heading ${heading.uuid} from index`
+                    `ERROR: [/exhibits/model (delete_preview_components_from_index)] Unable to delete ${record.uuid} from index`
                 );
             }
         } catch (error) {
             LOGGER.module().error(
-                `ERROR: [/exhibits/model (delete_headings_from_index)] ${error.message}`,
-                { heading_uuid: heading.uuid, stack: error.stack }
+                `ERROR: [/exhibits/model (delete_preview_components_from_index)] ${error.message}`,
+                { uuid: record.uuid, stack: error.stack }
             );
         }
-    });
-
-    await Promise.allSettled(delete_promises);
+    }));
 };
 
 /**
@@ -1006,24 +983,18 @@ const suppress_exhibit = async (uuid) => {
         // Get all exhibit records
         const records = await get_all_exhibit_records(uuid);
 
-        // Delete exhibit from index
-        const exhibit_delete_result = await INDEXER_MODEL.delete_record(uuid);
-
-        if (exhibit_delete_result.status !== CONSTANTS.STATUS_CODES.NO_CONTENT) {
-            LOGGER.module().error('ERROR: [/exhibits/model (suppress_exhibit)] Unable to delete exhibit from index');
+        // Remove exhibit and components from index
+        try {
+            await schedule_index_removals(uuid, records);
+        } catch (error) {
+            LOGGER.module().error(`ERROR: [/exhibits/model (suppress_exhibit)] Unable to queue removal from index: ${error.message}`);
             return {
                 status: false,
                 message: 'Unable to suppress exhibit'
             };
         }
 
-        // Delete all components from index in parallel
-        await Promise.all([
-            delete_items_from_index(records.items),
-            delete_grids_from_index(records.grids),
-            delete_timelines_from_index(records.timelines),
-            delete_headings_from_index(records.headings)
-        ]);
+        await REVIEW_MODEL.record_publication(uuid, false);
 
         return {
             status: true,
@@ -1086,12 +1057,7 @@ exports.delete_exhibit_preview = async (uuid) => {
         }
 
         // Delete all components from index in parallel
-        await Promise.all([
-            delete_items_from_index(records.items),
-            delete_grids_from_index(records.grids),
-            delete_timelines_from_index(records.timelines),
-            delete_headings_from_index(records.headings)
-        ]);
+        await delete_preview_components_from_index(records);
 
         return {
             status: true,
@@ -1205,6 +1171,131 @@ exports.unlock_exhibit_record = async (uid, uuid, options) => {
     }
 };
 
+/**
+ * Transfers exhibit ownership to another user
+ * @param {string} uuid - Exhibit UUID
+ * @param {number|string} owner - tbl_users.id of the new owner
+ * @param {Object} [options]
+ * @param {boolean} [options.cascade=false] - Also transfer the exhibit's components and media
+ * @param {string} [options.updated_by=null] - User performing the transfer
+ * @returns {Promise<Object>} Response object with transfer counts
+ */
+exports.transfer_exhibit = async (uuid, owner, options = {}) => {
+
+    try {
+
+        const uuid_check = validate_string_param(uuid, 'UUID');
+        if (!uuid_check.valid) {
+            return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, uuid_check.error_message);
+        }
+
+        const owner_id = Number(owner);
+        if (!Number.isInteger(owner_id) || owner_id <= 0) {
+            return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, 'A valid new owner is required');
+        }
+
+        const result = await exhibit_record_task.transfer_exhibit_record(uuid, owner_id, {
+            cascade: options.cascade === true,
+            updated_by: options.updated_by || null
+        });
+
+        return build_response(
+            CONSTANTS.STATUS_CODES.OK,
+            'Exhibit ownership transferred',
+            result
+        );
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/model (transfer_exhibit)] ${error.message}`, {
+            uuid,
+            owner,
+            stack: error.stack
+        });
+
+        return build_response(
+            CONSTANTS.STATUS_CODES.BAD_REQUEST,
+            `Unable to transfer exhibit: ${error.message}`
+        );
+    }
+};
+
+/**
+ * Clones an exhibit as a new draft: the exhibit and its active headings, items,
+ * grids, grid items, timelines and timeline items are copied with new UUIDs and
+ * their original order. Media is shared, not copied — the copy references the
+ * same media library records, is added to their `exhibits` arrays, and gets its
+ * own hero/thumbnail bindings. The copy is unpublished and owned by the cloning user.
+ * @param {string} uuid - Source exhibit UUID
+ * @param {Object} options
+ * @param {number} options.owner - tbl_users.id of the cloning user
+ * @param {string} [options.created_by=null] - Display name of the cloning user
+ * @returns {Promise<Object>} Response object; data is {uuid, source_uuid, counts}
+ */
+exports.clone_exhibit = async (uuid, options = {}) => {
+
+    try {
+
+        const uuid_check = validate_string_param(uuid, 'UUID');
+        if (!uuid_check.valid) {
+            return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, uuid_check.error_message);
+        }
+
+        const owner_id = Number(options.owner);
+        if (!Number.isInteger(owner_id) || owner_id <= 0) {
+            return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, 'A valid owner is required');
+        }
+
+        const created_by = options.created_by || null;
+        const graph = await bundle_task.get_exhibit_graph(uuid);
+
+        if (!graph) {
+            return build_response(CONSTANTS.STATUS_CODES.NOT_FOUND, 'Exhibit not found');
+        }
+
+        // Hero/thumbnail bindings are made through bind_media once the copy exists
+        const bindings = graph.exhibit_media;
+        graph.exhibit_media = [];
+        graph.exhibit.title = `${graph.exhibit.title} (Copy)`;
+
+        const media = await bundle_task.get_media_records(bundle_task.collect_media_uuids(graph));
+        const media_plan = media.map((record) => ({source_uuid: record.uuid, uuid: record.uuid, record: null}));
+        const result = await bundle_task.import_exhibit_graph(graph, media_plan, {owner: owner_id, created_by});
+
+        const active_media = new Set(media.map((record) => record.uuid));
+        let bound = 0;
+
+        for (const binding of bindings.filter((binding) => active_media.has(binding.media_uuid))) {
+            try {
+                await exhibit_media_library_task.bind_media(result.uuid, binding.media_uuid, binding.media_role, created_by);
+                bound++;
+            } catch (bind_error) {
+                LOGGER.module().error(`ERROR: [/exhibits/model (clone_exhibit)] Failed to bind ${binding.media_role}: ${bind_error.message}`);
+            }
+        }
+
+        return build_response(
+            CONSTANTS.STATUS_CODES.CREATED,
+            'Exhibit cloned',
+            {
+                uuid: result.uuid,
+                source_uuid: uuid,
+                counts: {...result.counts, exhibit_media: bound}
+            }
+        );
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/model (clone_exhibit)] ${error.message}`, {
+            uuid,
+            stack: error.stack
+        });
+
+        return build_response(
+            CONSTANTS.STATUS_CODES.BAD_REQUEST,
+            `Unable to clone exhibit: ${error.message}`
+        );
+    }
+};
+
 exports.publish_exhibit = publish_exhibit;
 exports.suppress_exhibit = suppress_exhibit;
 
@@ -1248,6 +1339,8 @@ exports.bind_exhibit_media = async (exhibit_uuid, media_uuid, media_role, create
             return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, 'Unable to bind media to exhibit');
         }
 
+        await REVIEW_MODEL.revoke_approval(exhibit_uuid);
+
         return build_response(
             CONSTANTS.STATUS_CODES.CREATED,
             'Media bound to exhibit',
@@ -1321,6 +1414,7 @@ exports.unbind_exhibit_media = async (exhibit_uuid, media_role) => {
         const result = await exhibit_media_library_task.unbind_media(exhibit_uuid, media_role);
 
         if (result === true) {
+            await REVIEW_MODEL.revoke_approval(exhibit_uuid);
             return build_response(CONSTANTS.STATUS_CODES.NO_CONTENT, 'Media binding removed');
         }
 
@@ -139,6 +139,22 @@ module.exports = function (app) {
             async_handler(CONTROLLER.suppress_exhibit)
         );
 
+    // Clone exhibit as a new draft
+    app.route(endpoints.exhibits.exhibit_clone.post.endpoint)
+        .post(
+            rate_limits.write_operations,
+            TOKEN.verify,
+            async_handler(CONTROLLER.clone_exhibit)
+        );
+
+    // Transfer exhibit ownership
+    app.route(endpoints.exhibits.exhibit_transfer.post.endpoint)
+        .post(
+            rate_limits.state_change_operations,
+            TOKEN.verify,
+            async_handler(CONTROLLER.transfer_exhibit)
+        );
+
     // Unlock exhibit record
     app.route(endpoints.exhibits.exhibit_unlock_record.post.endpoint)
         .post(
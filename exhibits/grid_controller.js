@@ -19,6 +19,7 @@
 'use strict';
 
 const GRIDS_MODEL = require('../exhibits/grid_model');
+const AUDIT = require('../audit/model');
 const LOGGER = require('../libs/log4');
 const {
     validate_id,
@@ -55,6 +56,14 @@ exports.create_grid_record = async function (req, res) {
             status: result.status
         });
 
+        await AUDIT.record_success(req, result.status, {
+            action: 'create',
+            record_type: 'grid',
+            record_uuid: result.data,
+            exhibit_uuid: exhibit_id,
+            after: data
+        });
+
         return res.status(result.status).send(result);
 
     } catch (error) {
@@ -84,6 +93,7 @@ exports.update_grid_record = async function (req, res) {
         );
         if (!is_authorized) return;
 
+        const before = await AUDIT.get_record_state('grid', grid_id);
         const result = await GRIDS_MODEL.update_grid_record(exhibit_id, grid_id, data);
 
         if (!validate_model_result(res, result, 'update_grid_record', {exhibit_id, grid_id})) return;
@@ -94,6 +104,15 @@ exports.update_grid_record = async function (req, res) {
             status: result.status
         });
 
+        await AUDIT.record_success(req, result.status, {
+            action: 'update',
+            record_type: 'grid',
+            record_uuid: grid_id,
+            exhibit_uuid: exhibit_id,
+            before,
+            after: data
+        });
+
         return res.status(result.status).send(result);
 
     } catch (error) {
@@ -162,6 +181,14 @@ exports.create_grid_item_record = async function (req, res) {
             status: result.status
         });
 
+        await AUDIT.record_success(req, result.status, {
+            action: 'create',
+            record_type: 'grid_item',
+            record_uuid: result.data,
+            exhibit_uuid: exhibit_id,
+            after: data
+        });
+
         return res.status(result.status).send(result);
 
     } catch (error) {
@@ -309,6 +336,7 @@ exports.update_grid_item_record = async function (req, res) {
         );
         if (!is_authorized) return;
 
+        const before = await AUDIT.get_record_state('grid_item', item_id);
         const result = await GRIDS_MODEL.update_grid_item_record(exhibit_id, grid_id, item_id, data);
 
         if (!validate_model_result(res, result, 'update_grid_item_record', {exhibit_id, grid_id, item_id})) return;
@@ -317,6 +345,15 @@ exports.update_grid_item_record = async function (req, res) {
             exhibit_id, grid_id, item_id, status: result.status
         });
 
+        await AUDIT.record_success(req, result.status, {
+            action: 'update',
+            record_type: 'grid_item',
+            record_uuid: item_id,
+            exhibit_uuid: exhibit_id,
+            before,
+            after: data
+        });
+
         return res.status(result.status).send(result);
 
     } catch (error) {
@@ -358,6 +395,7 @@ exports.delete_grid_item_record = async function (req, res) {
         );
         if (!is_authorized) return;
 
+        const before = await AUDIT.get_record_state(record_type || 'grid_item', item_id);
         const result = await GRIDS_MODEL.delete_grid_item_record(exhibit_id, grid_id, item_id, record_type);
 
         if (!validate_model_result(res, result, 'delete_grid_item_record', {exhibit_id, grid_id, item_id, record_type})) return;
@@ -366,6 +404,14 @@ exports.delete_grid_item_record = async function (req, res) {
             exhibit_id, grid_id, item_id, record_type, status: result.status
         });
 
+        await AUDIT.record_success(req, result.status, {
+            action: 'delete',
+            record_type: record_type || 'grid_item',
+            record_uuid: item_id,
+            exhibit_uuid: exhibit_id,
+            before
+        });
+
         return res.status(result.status).send(result);
 
     } catch (error) {
@@ -415,6 +461,15 @@ exports.publish_grid_item_record = async function (req, res) {
             exhibit_id, grid_id, grid_item_id, status: 200
         });
 
+        await AUDIT.record(req, {
+            action: 'publish',
+            record_type: 'grid_item',
+            record_uuid: grid_item_id,
+            exhibit_uuid: exhibit_id,
+            before: {is_published: 0},
+            after: {is_published: 1}
+        });
+
         return res.status(200).send(result);
 
     } catch (error) {
@@ -474,6 +529,15 @@ exports.suppress_grid_item_record = async function (req, res) {
             exhibit_id, grid_id, grid_item_id, status: 200
         });
 
+        await AUDIT.record(req, {
+            action: 'suppress',
+            record_type: 'grid_item',
+            record_uuid: grid_item_id,
+            exhibit_uuid: exhibit_id,
+            before: {is_published: 1},
+            after: {is_published: 0}
+        });
+
         return res.status(200).send(result);
 
     } catch (error) {
@@ -534,6 +598,13 @@ exports.unlock_grid_item_record = async function (req, res) {
             LOGGER.module().info('unlock_grid_item_record: Grid item record unlocked successfully', {
                 exhibit_id, grid_id, item_id, uid, force: options.force
             });
+            await AUDIT.record(req, {
+                action: 'unlock',
+                record_type: 'grid_item',
+                record_uuid: item_id,
+                exhibit_uuid: exhibit_id,
+                after: {uid, force: options.force}
+            });
             return res.status(200).send({
                 message: 'Grid item record unlocked'
             });
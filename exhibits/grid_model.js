@@ -22,11 +22,13 @@ const DB = require('../config/db_config')();
 const DB_TABLES = require('../config/db_tables_config')();
 const TABLES = DB_TABLES.exhibits;
 const EXHIBIT_GRID_RECORD_TASKS = require('./tasks/exhibit_grid_record_tasks');
+const EXHIBIT_REVISION_RECORD_TASKS = require('./tasks/exhibit_revision_record_tasks');
 const HELPER = require('../libs/helper');
 const EXHIBIT_RECORD_TASKS = require('./tasks/exhibit_record_tasks');
 const INDEXER_MODEL = require('../indexer/model');
 const LOGGER = require('../libs/log4');
 const REINDEX_COALESCER = require('./reindex_coalescer');
+const REVIEW_MODEL = require('./review_model');
 const {
     is_valid_uuid,
     is_valid_user_id,    build_response,
@@ -58,6 +60,7 @@ const CONSTANTS = {
 const helper_task = new HELPER();
 const grid_record_task = new EXHIBIT_GRID_RECORD_TASKS(DB, TABLES);
 const exhibit_tasks = new EXHIBIT_RECORD_TASKS(DB, TABLES);
+const revision_task = new EXHIBIT_REVISION_RECORD_TASKS(DB, TABLES);
 
 /**
  * Safely parses integer value
@@ -143,6 +146,8 @@ exports.create_grid_record = async (is_member_of_exhibit, data) => {
             LOGGER.module().info('INFO: [/exhibits/items_model - Exhibit timestamp updated successfully.');
         }
 
+        await REVIEW_MODEL.revoke_approval(is_member_of_exhibit);
+
         return build_response(
             CONSTANTS.STATUS_CODES.CREATED,
             'Grid record created',
@@ -168,9 +173,11 @@ exports.create_grid_record = async (is_member_of_exhibit, data) => {
  * @param {string} is_member_of_exhibit - Exhibit UUID
  * @param {string} grid_id - Grid UUID
  * @param {Object} data - Update data
+ * @param {Object} [options]
+ * @param {string} [options.restored_from] - Revision UUID when the update restores one (set by revisions_model.restore_revision)
  * @returns {Promise<Object>} Response object
  */
-exports.update_grid_record = async (is_member_of_exhibit, grid_id, data) => {
+exports.update_grid_record = async (is_member_of_exhibit, grid_id, data, options = {}) => {
 
     try {
         // Validate inputs
@@ -213,8 +220,12 @@ exports.update_grid_record = async (is_member_of_exhibit, grid_id, data) => {
         // provably unreachable as a guard — so it was removed. Field-level
         // protection lives in the task layer (UPDATABLE_FIELDS whitelist).
 
-        // Update record
-        const result = await grid_record_task.update_grid_record(data);
+        // Update record, reading its pre- and post-save state for the revision
+        // history in the same transaction
+        const saved = await revision_task.capture_save('grid', grid_id, (trx) => {
+            return new EXHIBIT_GRID_RECORD_TASKS(trx, TABLES).update_grid_record(data);
+        });
+        const result = saved.result;
 
         if (result === false) {
             return build_response(
@@ -223,12 +234,20 @@ exports.update_grid_record = async (is_member_of_exhibit, grid_id, data) => {
             );
         }
 
+        await revision_task.record_revision('grid', saved.before, {
+            after: saved.after,
+            created_by: data.updated_by,
+            restored_from: options.restored_from
+        });
+
         const is_updated = await exhibit_tasks.update_exhibit_timestamp(is_member_of_exhibit);
 
         if (is_updated === true) {
             LOGGER.module().info('INFO: [/exhibits/items_model - Exhibit timestamp updated successfully.');
         }
 
+        await REVIEW_MODEL.revoke_approval(is_member_of_exhibit);
+
         return build_response(
             CONSTANTS.STATUS_CODES.CREATED,
             'Grid record updated',
@@ -342,6 +361,8 @@ exports.create_grid_item_record = async (is_member_of_exhibit, grid_id, data) =>
             LOGGER.module().info('INFO: [/exhibits/items_model - Exhibit timestamp updated successfully.');
         }
 
+        await REVIEW_MODEL.revoke_approval(is_member_of_exhibit);
+
         return build_response(
             CONSTANTS.STATUS_CODES.CREATED,
             'Grid item record created',
@@ -566,14 +587,10 @@ const handle_grid_item_republish = async (is_member_of_exhibit, is_member_of_gri
         // Dropping the suppress removes the ~5s public blackout on every edit.
         // Coalesced per grid item: a burst of edits collapses to one near-real-time
         // re-index (was a flat 5s delay + one independent timer per edit).
-        REINDEX_COALESCER.schedule_reindex(`grid_item:${item_id}`, async () => {
-            const publish_result = await publish_grid_item_record(is_member_of_exhibit, is_member_of_grid, item_id);
-
-            if (publish_result && publish_result.status === true) {
-                LOGGER.module().info('INFO: [/exhibits/grid_model (handle_grid_item_republish)] Grid item re-indexed after edit.');
-            } else {
-                LOGGER.module().error('ERROR: [/exhibits/grid_model (handle_grid_item_republish)] Failed to re-index grid item');
-            }
+        await REINDEX_COALESCER.schedule_reindex(`grid_item:${item_id}`, 'publish_grid_item', {
+            exhibit_uuid: is_member_of_exhibit,
+            container_uuid: is_member_of_grid,
+            uuid: item_id
         });
     } catch (error) {
         LOGGER.module().error(`ERROR: [/exhibits/grid_model (handle_grid_item_republish)] ${error.message}`, {
@@ -591,9 +608,11 @@ const handle_grid_item_republish = async (is_member_of_exhibit, is_member_of_gri
  * @param {string} is_member_of_grid - Grid UUID
  * @param {string} item_id - Grid item UUID
  * @param {Object} data - Update data
+ * @param {Object} [options]
+ * @param {string} [options.restored_from] - Revision UUID when the update restores one (set by revisions_model.restore_revision)
  * @returns {Promise<Object>} Response object
  */
-exports.update_grid_item_record = async (is_member_of_exhibit, is_member_of_grid, item_id, data) => {
+exports.update_grid_item_record = async (is_member_of_exhibit, is_member_of_grid, item_id, data, options = {}) => {
 
     try {
         // Validate inputs
@@ -631,8 +650,12 @@ exports.update_grid_item_record = async (is_member_of_exhibit, is_member_of_grid
         // params — provably unreachable as a guard — so it was removed
         // (same rationale as the standard-item schema removal).
 
-        // Update record
-        const result = await grid_record_task.update_grid_item_record(data);
+        // Update record, reading its pre- and post-save state for the revision
+        // history in the same transaction
+        const saved = await revision_task.capture_save('grid_item', item_id, (trx) => {
+            return new EXHIBIT_GRID_RECORD_TASKS(trx, TABLES).update_grid_item_record(data);
+        });
+        const result = saved.result;
 
         if (result === false) {
             return build_response(
@@ -641,6 +664,12 @@ exports.update_grid_item_record = async (is_member_of_exhibit, is_member_of_grid
             );
         }
 
+        await revision_task.record_revision('grid_item', saved.before, {
+            after: saved.after,
+            created_by: data.updated_by,
+            restored_from: options.restored_from
+        });
+
         // Handle republishing if needed (check for truthy values including string 'true', number 1, and boolean true)
         if (is_published === 'true' || is_published === true || is_published === 1) {
             setImmediate(() => handle_grid_item_republish(is_member_of_exhibit, is_member_of_grid, item_id));
@@ -652,6 +681,8 @@ exports.update_grid_item_record = async (is_member_of_exhibit, is_member_of_grid
             LOGGER.module().info('INFO: [/exhibits/items_model - Exhibit timestamp updated successfully.');
         }
 
+        await REVIEW_MODEL.revoke_approval(is_member_of_exhibit);
+
         return build_response(
             CONSTANTS.STATUS_CODES.CREATED,
             'Grid item record updated',
@@ -705,6 +736,8 @@ exports.delete_grid_item_record = async (is_member_of_exhibit, grid_id, grid_ite
             LOGGER.module().info('INFO: [/exhibits/items_model - Exhibit timestamp updated successfully.');
         }
 
+        await REVIEW_MODEL.revoke_approval(is_member_of_exhibit);
+
         return build_response(
             CONSTANTS.STATUS_CODES.NO_CONTENT,
             'Record deleted',
@@ -854,18 +887,6 @@ const suppress_grid_record = async (exhibit_id, item_id) => {
             };
         }
 
-        // Delete from index
-        const delete_result = await INDEXER_MODEL.delete_record(item_id);
-
-        if (delete_result.status !== CONSTANTS.STATUS_CODES.NO_CONTENT) {
-            LOGGER.module().error('ERROR: [/exhibits/grid_model (suppress_grid_record)] Unable to delete from index');
-
-            return {
-                status: false,
-                message: 'Unable to suppress grid'
-            };
-        }
-
         // Set grid to suppressed
         const is_grid_suppressed = await grid_record_task.set_grid_to_suppress(item_id);
 
@@ -882,6 +903,18 @@ const suppress_grid_record = async (exhibit_id, item_id) => {
             };
         }
 
+        // Remove from index (queued, so an Elasticsearch failure is retried)
+        try {
+            await REINDEX_COALESCER.schedule_suppress(`grid:${item_id}`, 'delete_record', {record_type: 'grid', exhibit_uuid: exhibit_id, uuid: item_id});
+        } catch (error) {
+            LOGGER.module().error(`ERROR: [/exhibits/grid_model (suppress_grid_record)] Unable to queue removal from index: ${error.message}`);
+
+            return {
+                status: false,
+                message: 'Unable to suppress grid'
+            };
+        }
+
         return {
             status: true,
             message: 'Grid suppressed'
@@ -1016,44 +1049,6 @@ const suppress_grid_item_record = async (exhibit_id, grid_id, grid_item_id) => {
             };
         }
 
-        // Get indexed record
-        const indexed_record = await INDEXER_MODEL.get_indexed_record(grid_id);
-
-        if (indexed_record.status !== CONSTANTS.STATUS_CODES.OK) {
-            LOGGER.module().error(
-                `ERROR: [/exhibits/grid_model (suppress_grid_item_record)] Grid ${grid_id} not found in index`
-            );
-            return {
-                status: false,
-                message: 'Grid not found in index'
-            };
-        }
-
-        if (!indexed_record.data || !indexed_record.data.source) {
-            LOGGER.module().error('ERROR: [/exhibits/grid_model (suppress_grid_item_record)] Invalid indexed record structure');
-            return {
-                status: false,
-                message: 'Invalid indexed record'
-            };
-        }
-
-        // Filter out the grid item being suppressed
-        const items = indexed_record.data.source.items || [];
-        const updated_items = items.filter(item => item.uuid !== grid_item_id);
-
-        indexed_record.data.source.items = updated_items;
-
-        // Delete original grid record from index
-        const delete_result = await INDEXER_MODEL.delete_record(grid_id);
-
-        if (delete_result.status !== CONSTANTS.STATUS_CODES.NO_CONTENT) {
-            LOGGER.module().error('ERROR: [/exhibits/grid_model (suppress_grid_item_record)] Unable to delete grid from index');
-            return {
-                status: false,
-                message: 'Unable to suppress grid item'
-            };
-        }
-
         // Update grid item record in database
         const update_data = {
             is_member_of_exhibit: exhibit_id,
@@ -1064,19 +1059,20 @@ const suppress_grid_item_record = async (exhibit_id, grid_id, grid_item_id) => {
 
         await grid_record_task.update_grid_item_record(update_data);
 
-        // Re-index grid with updated items
-        const is_indexed = await INDEXER_MODEL.index_record(indexed_record.data.source);
-
-        if (is_indexed === true) {
+        // Rebuild the grid doc without it (queued, so an Elasticsearch failure is retried)
+        try {
+            await REINDEX_COALESCER.schedule_suppress(`grid:${grid_id}`, 'reindex_grid', {exhibit_uuid: exhibit_id, uuid: grid_id});
+        } catch (error) {
+            LOGGER.module().error(`ERROR: [/exhibits/grid_model (suppress_grid_item_record)] Unable to queue grid re-index: ${error.message}`);
             return {
-                status: true,
-                message: 'Grid item suppressed'
+                status: false,
+                message: 'Unable to suppress grid item'
             };
         }
 
         return {
-            status: false,
-            message: 'Unable to suppress grid item'
+            status: true,
+            message: 'Grid item suppressed'
         };
 
     } catch (error) {
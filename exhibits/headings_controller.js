@@ -20,6 +20,7 @@
 
 const HEADINGS_MODEL = require('../exhibits/headings_model');
 const AUTHORIZE = require('../auth/authorize');
+const AUDIT = require('../audit/model');
 
 exports.create_heading_record = async function (req, res) {
 
@@ -52,6 +53,15 @@ exports.create_heading_record = async function (req, res) {
         }
 
         const result = await HEADINGS_MODEL.create_heading_record(is_member_of_exhibit, data);
+
+        await AUDIT.record_success(req, result.status, {
+            action: 'create',
+            record_type: 'heading',
+            record_uuid: result.data,
+            exhibit_uuid: is_member_of_exhibit,
+            after: data
+        });
+
         res.status(result.status).send(result);
 
     } catch (error) {
@@ -140,7 +150,18 @@ exports.update_heading_record = async function (req, res) {
             return false;
         }
 
+        const before = await AUDIT.get_record_state('heading', heading_id);
         const result = await HEADINGS_MODEL.update_heading_record(is_member_of_exhibit, heading_id, data);
+
+        await AUDIT.record_success(req, result.status, {
+            action: 'update',
+            record_type: 'heading',
+            record_uuid: heading_id,
+            exhibit_uuid: is_member_of_exhibit,
+            before,
+            after: data
+        });
+
         res.status(result.status).send(result);
 
     } catch (error) {
@@ -177,6 +198,13 @@ exports.unlock_heading_record = async function (req, res) {
         const result = await HEADINGS_MODEL.unlock_heading_record(uid, heading_id, options);
 
         if (result === true) {
+            await AUDIT.record(req, {
+                action: 'unlock',
+                record_type: 'heading',
+                record_uuid: heading_id,
+                exhibit_uuid: exhibit_id,
+                after: {uid, force: options.force}
+            });
             res.status(200).send({
                 message: 'Heading record unlocked.'
             });
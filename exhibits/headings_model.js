@@ -24,12 +24,14 @@ const TABLES = DB_TABLES.exhibits;
 const EXHIBITS_CREATE_HEADING_SCHEMA = require('../exhibits/schemas/exhibit_heading_create_record_schema')();
 const EXHIBITS_UPDATE_HEADING_SCHEMA = require('../exhibits/schemas/exhibit_heading_update_record_schema')();
 const EXHIBIT_HEADING_RECORD_TASKS = require('../exhibits/tasks/exhibit_heading_record_tasks');
+const EXHIBIT_REVISION_RECORD_TASKS = require('./tasks/exhibit_revision_record_tasks');
 const HELPER = require('../libs/helper');
 const VALIDATOR = require('../libs/validate');
 const EXHIBIT_RECORD_TASKS = require('./tasks/exhibit_record_tasks');
 const INDEXER_MODEL = require('../indexer/model');
 const LOGGER = require('../libs/log4');
 const REINDEX_COALESCER = require('./reindex_coalescer');
+const REVIEW_MODEL = require('./review_model');
 const {
     is_valid_uuid,
     is_valid_user_id,    build_response,
@@ -58,6 +60,7 @@ const validate_create_heading_task = new VALIDATOR(EXHIBITS_CREATE_HEADING_SCHEM
 const validate_heading_update_task = new VALIDATOR(EXHIBITS_UPDATE_HEADING_SCHEMA);
 const heading_record_task = new EXHIBIT_HEADING_RECORD_TASKS(DB, TABLES);
 const exhibit_tasks = new EXHIBIT_RECORD_TASKS(DB, TABLES);
+const revision_task = new EXHIBIT_REVISION_RECORD_TASKS(DB, TABLES);
 
 /**
  * Handles post-update republishing for heading
@@ -74,15 +77,7 @@ const handle_heading_republish = async (is_member_of_exhibit, uuid) => {
         // search for the delay window. (publish_heading_record re-indexes just this.)
         // Coalesced per heading: a burst of edits collapses to one near-real-time
         // re-index (was a flat 5s delay + one independent timer per edit).
-        REINDEX_COALESCER.schedule_reindex(`heading:${uuid}`, async () => {
-            const publish_result = await publish_heading_record(is_member_of_exhibit, uuid);
-
-            if (publish_result && publish_result.status === true) {
-                LOGGER.module().info('INFO: [/exhibits/headings_model (handle_heading_republish)] Heading record re-indexed after edit.');
-            } else {
-                LOGGER.module().error('ERROR: [/exhibits/headings_model (handle_heading_republish)] Failed to re-index heading');
-            }
-        });
+        await REINDEX_COALESCER.schedule_reindex(`heading:${uuid}`, 'publish_heading', {exhibit_uuid: is_member_of_exhibit, uuid});
     } catch (error) {
         LOGGER.module().error(`ERROR: [/exhibits/headings_model (handle_heading_republish)] ${error.message}`, {
             is_member_of_exhibit,
@@ -151,6 +146,8 @@ exports.create_heading_record = async (is_member_of_exhibit, data) => {
             LOGGER.module().info('INFO: [/exhibits/items_model - Exhibit timestamp updated successfully.');
         }
 
+        await REVIEW_MODEL.revoke_approval(is_member_of_exhibit);
+
         return build_response(
             CONSTANTS.STATUS_CODES.CREATED,
             'Heading record created',
@@ -255,9 +252,11 @@ exports.get_heading_edit_record = async (uid, is_member_of_exhibit, uuid) => {
  * @param {string} is_member_of_exhibit - Exhibit UUID
  * @param {string} uuid - Heading UUID
  * @param {Object} data - Update data
+ * @param {Object} [options]
+ * @param {string} [options.restored_from] - Revision UUID when the update restores one (set by revisions_model.restore_revision)
  * @returns {Promise<Object>} Response object
  */
-exports.update_heading_record = async (is_member_of_exhibit, uuid, data) => {
+exports.update_heading_record = async (is_member_of_exhibit, uuid, data, options = {}) => {
 
     try {
         // Validate inputs
@@ -296,8 +295,12 @@ exports.update_heading_record = async (is_member_of_exhibit, uuid, data) => {
         // Prepare styles
         data.styles = prepare_styles(data.styles);
 
-        // Update record
-        const result = await heading_record_task.update_heading_record(data);
+        // Update record, reading its pre- and post-save state for the revision
+        // history in the same transaction
+        const saved = await revision_task.capture_save('heading', uuid, (trx) => {
+            return new EXHIBIT_HEADING_RECORD_TASKS(trx, TABLES).update_heading_record(data);
+        });
+        const result = saved.result;
 
         if (result === false) {
             return build_response(
@@ -306,6 +309,12 @@ exports.update_heading_record = async (is_member_of_exhibit, uuid, data) => {
             );
         }
 
+        await revision_task.record_revision('heading', saved.before, {
+            after: saved.after,
+            created_by: data.updated_by,
+            restored_from: options.restored_from
+        });
+
         // Handle republishing if needed (check for truthy values)
         if (is_published === 'true' || is_published === true || is_published === 1) {
             setImmediate(() => handle_heading_republish(is_member_of_exhibit, uuid));
@@ -317,6 +326,8 @@ exports.update_heading_record = async (is_member_of_exhibit, uuid, data) => {
             LOGGER.module().info('INFO: [/exhibits/items_model - Exhibit timestamp updated successfully.');
         }
 
+        await REVIEW_MODEL.revoke_approval(is_member_of_exhibit);
+
         return build_response(
             CONSTANTS.STATUS_CODES.CREATED,
             'Heading record updated'
@@ -423,11 +434,11 @@ const suppress_heading_record = async (exhibit_id, item_id) => {
             };
         }
 
-        // Delete from index
-        const delete_result = await INDEXER_MODEL.delete_record(item_id);
+        // Set heading to suppressed
+        const is_heading_suppressed = await heading_record_task.set_heading_to_suppress(item_id);
 
-        if (delete_result.status !== CONSTANTS.STATUS_CODES.NO_CONTENT) {
-            LOGGER.module().error('ERROR: [/exhibits/headings_model (suppress_heading_record)] Unable to delete from index');
+        if (is_heading_suppressed === false) {
+            LOGGER.module().error('ERROR: [/exhibits/headings_model (suppress_heading_record)] Unable to set heading to suppressed');
 
             return {
                 status: false,
@@ -435,11 +446,11 @@ const suppress_heading_record = async (exhibit_id, item_id) => {
             };
         }
 
-        // Set heading to suppressed
-        const is_heading_suppressed = await heading_record_task.set_heading_to_suppress(item_id);
-
-        if (is_heading_suppressed === false) {
-            LOGGER.module().error('ERROR: [/exhibits/headings_model (suppress_heading_record)] Unable to set heading to suppressed');
+        // Remove from index (queued, so an Elasticsearch failure is retried)
+        try {
+            await REINDEX_COALESCER.schedule_suppress(`heading:${item_id}`, 'delete_record', {record_type: 'heading', exhibit_uuid: exhibit_id, uuid: item_id});
+        } catch (error) {
+            LOGGER.module().error(`ERROR: [/exhibits/headings_model (suppress_heading_record)] Unable to queue removal from index: ${error.message}`);
 
             return {
                 status: false,
@@ -0,0 +1,351 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const OS = require('os');
+const DB = require('../config/db_config')();
+const DB_TABLES = require('../config/db_tables_config')();
+const TABLES = DB_TABLES.exhibits;
+const INDEX_JOB_TASKS = require('./tasks/index_job_tasks');
+const INDEXER_MODEL = require('../indexer/model');
+const LOGGER = require('../libs/log4');
+const {is_valid_uuid, build_response} = require('./common_helper');
+
+const CONSTANTS = {
+    STATUS_CODES: {
+        OK: 200,
+        NO_CONTENT: 204,
+        BAD_REQUEST: 400,
+        NOT_FOUND: 404,
+        INTERNAL_SERVER_ERROR: 500
+    },
+    JOB_STATUSES: ['pending', 'running', 'dead'],
+    // Attempts before a job is dead-lettered; with the backoff below that is
+    // roughly half an hour of retrying, enough to ride out an Elasticsearch restart
+    MAX_ATTEMPTS: 10,
+    BACKOFF_BASE_MS: 5000,
+    BACKOFF_MAX_MS: 600000,
+    // A worker that has not finished a job within the lease is presumed gone
+    LEASE_MS: 300000,
+    BATCH_SIZE: 10,
+    LIST_LIMIT: 200
+};
+
+const job_task = new INDEX_JOB_TASKS(DB, TABLES);
+const WORKER_ID = `${OS.hostname()}:${process.pid}`;
+
+/**
+ * Throws unless an indexer call reported success
+ * @param {boolean} is_indexed - Indexer result
+ * @param {string} message - Error message
+ */
+const expect_indexed = (is_indexed, message) => {
+
+    if (is_indexed !== true) {
+        throw new Error(message);
+    }
+};
+
+/**
+ * Throws unless a model publish_*_record call reported success
+ * @param {Object} result - {status, message}
+ * @param {string} message - Fallback error message
+ */
+const expect_published = (result, message) => {
+
+    if (!result || result.status !== true) {
+        throw new Error(result?.message || message);
+    }
+};
+
+/**
+ * Job types. `run` does the work from the job's JSON payload and throws when it
+ * did not complete, which schedules a retry. Before a job runs, the record it
+ * concerns (`record_type`, or the payload's for a removal) is checked along with
+ * its grid or timeline (`container_type`) and its exhibit. Work that adds to
+ * the index is dropped when any of them was suppressed or deleted after the job
+ * was queued, so a late retry never puts it back in the public index; a removal
+ * is dropped when the record is published again. Models are required lazily:
+ * they enqueue into this module.
+ */
+const JOB_HANDLERS = {
+    index_exhibit: {
+        record_type: 'exhibit',
+        run: async ({uuid}) => expect_indexed(await INDEXER_MODEL.index_exhibit_record(uuid), `Unable to index exhibit ${uuid}`)
+    },
+    index_item: {
+        record_type: 'item',
+        run: async ({exhibit_uuid, uuid}) => expect_indexed(await INDEXER_MODEL.index_item_record(exhibit_uuid, uuid), `Unable to index item ${uuid}`)
+    },
+    index_heading: {
+        record_type: 'heading',
+        run: async ({exhibit_uuid, uuid}) => expect_indexed(await INDEXER_MODEL.index_heading_record(exhibit_uuid, uuid), `Unable to index heading ${uuid}`)
+    },
+    index_grid: {
+        record_type: 'grid',
+        run: async ({exhibit_uuid, uuid}) => expect_indexed(await INDEXER_MODEL.index_grid_record(exhibit_uuid, uuid), `Unable to index grid ${uuid}`)
+    },
+    index_timeline: {
+        record_type: 'timeline',
+        run: async ({exhibit_uuid, uuid}) => expect_indexed(await INDEXER_MODEL.index_timeline_record(exhibit_uuid, uuid), `Unable to index timeline ${uuid}`)
+    },
+    reindex_grid: {
+        record_type: 'grid',
+        run: async ({exhibit_uuid, uuid}) => expect_indexed(await INDEXER_MODEL.reindex_grid_record(exhibit_uuid, uuid), `Unable to re-index grid ${uuid}`)
+    },
+    reindex_timeline: {
+        record_type: 'timeline',
+        run: async ({exhibit_uuid, uuid}) => expect_indexed(await INDEXER_MODEL.reindex_timeline_record(exhibit_uuid, uuid), `Unable to re-index timeline ${uuid}`)
+    },
+    delete_record: {
+        removes: true,
+        run: async ({uuid}) => {
+            const response = await INDEXER_MODEL.delete_record(uuid);
+
+            // Already gone is as good as deleted
+            if (response.status !== CONSTANTS.STATUS_CODES.NO_CONTENT && response.data?.result !== 'not_found') {
+                throw new Error(`Unable to remove ${uuid} from the index: ${response.message}`);
+            }
+        }
+    },
+    publish_heading: {
+        record_type: 'heading',
+        run: async ({exhibit_uuid, uuid}) => expect_published(await require('./headings_model').publish_heading_record(exhibit_uuid, uuid), `Unable to re-index heading ${uuid}`)
+    },
+    publish_item: {
+        record_type: 'item',
+        run: async ({exhibit_uuid, uuid}) => expect_published(await require('./items_model').publish_item_record(exhibit_uuid, uuid), `Unable to re-index item ${uuid}`)
+    },
+    publish_grid: {
+        record_type: 'grid',
+        run: async ({exhibit_uuid, uuid}) => expect_published(await require('./grid_model').publish_grid_record(exhibit_uuid, uuid), `Unable to re-index grid ${uuid}`)
+    },
+    publish_grid_item: {
+        record_type: 'grid_item',
+        container_type: 'grid',
+        run: async ({exhibit_uuid, container_uuid, uuid}) => expect_published(await require('./grid_model').publish_grid_item_record(exhibit_uuid, container_uuid, uuid), `Unable to re-index grid item ${uuid}`)
+    },
+    publish_timeline: {
+        record_type: 'timeline',
+        run: async ({exhibit_uuid, uuid}) => expect_published(await require('./timelines_model').publish_timeline_record(exhibit_uuid, uuid), `Unable to re-index timeline ${uuid}`)
+    },
+    publish_timeline_item: {
+        record_type: 'timeline_item',
+        container_type: 'timeline',
+        run: async ({exhibit_uuid, container_uuid, uuid}) => expect_published(await require('./timelines_model').publish_timeline_item_record(exhibit_uuid, container_uuid, uuid), `Unable to re-index timeline item ${uuid}`)
+    }
+};
+
+/**
+ * Delay before the next attempt: doubles from BACKOFF_BASE_MS per failed
+ * attempt, capped at BACKOFF_MAX_MS
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Milliseconds
+ */
+const get_backoff_ms = (attempts) => {
+    return Math.min(CONSTANTS.BACKOFF_BASE_MS * (2 ** Math.max(attempts - 1, 0)), CONSTANTS.BACKOFF_MAX_MS);
+};
+
+/**
+ * Queues index work to run after `delay_ms`. A job already pending under the
+ * same key is replaced rather than duplicated, and its run time moves back, so
+ * a burst of edits to one component runs once, after the burst.
+ * @param {string} dedupe_key - Component key, e.g. `item:<uuid>`
+ * @param {string} type - A JOB_HANDLERS key
+ * @param {Object} payload - The handler's arguments
+ * @param {number} [delay_ms=0] - How long to wait before running
+ * @returns {Promise<Object>} {uuid, coalesced}
+ * @throws {Error} On an unknown job type or when the job could not be stored
+ */
+exports.enqueue_job = async (dedupe_key, type, payload, delay_ms = 0) => {
+
+    if (!JOB_HANDLERS[type]) {
+        throw new Error(`Unknown index job type: ${type}`);
+    }
+
+    return job_task.enqueue_job({
+        dedupe_key,
+        type,
+        payload,
+        run_at: new Date(Date.now() + delay_ms)
+    });
+};
+
+/**
+ * Checks that a job's record, its grid or timeline and its exhibit are all published
+ * @param {string} record_type - Record type of `payload.uuid`
+ * @param {Object} handler - JOB_HANDLERS entry
+ * @param {Object} payload - Job payload
+ * @returns {Promise<boolean>}
+ */
+const is_job_record_published = async (record_type, handler, payload) => {
+
+    const records = [[record_type, payload.uuid]];
+
+    if (handler.container_type) {
+        records.push([handler.container_type, payload.container_uuid]);
+    }
+
+    if (record_type !== 'exhibit' && payload.exhibit_uuid) {
+        records.push(['exhibit', payload.exhibit_uuid]);
+    }
+
+    for (const [type, uuid] of records) {
+
+        if (!(await job_task.is_record_published(type, uuid))) {
+            return false;
+        }
+    }
+
+    return true;
+};
+
+/**
+ * Runs one leased job
+ * @param {Object} job - Leased job
+ * @returns {Promise<string>} done|skipped
+ */
+const run_job = async (job) => {
+
+    const handler = JOB_HANDLERS[job.type];
+
+    if (!handler) {
+        throw new Error(`Unknown index job type: ${job.type}`);
+    }
+
+    const record_type = handler.record_type || job.payload.record_type;
+
+    if (record_type && (await is_job_record_published(record_type, handler, job.payload)) === Boolean(handler.removes)) {
+        return 'skipped';
+    }
+
+    await handler.run(job.payload);
+
+    return 'done';
+};
+
+/**
+ * Leases and runs every due job, a batch at a time, until none are left.
+ * A failed job goes back to pending with backoff, or is dead-lettered once it
+ * has used MAX_ATTEMPTS.
+ * @returns {Promise<Object>} {done, skipped, retrying, dead}
+ */
+exports.process_due_jobs = async () => {
+
+    const summary = {done: 0, skipped: 0, retrying: 0, dead: 0};
+    let jobs;
+
+    do {
+        jobs = await job_task.lease_jobs(WORKER_ID, new Date(), CONSTANTS.LEASE_MS, CONSTANTS.BATCH_SIZE);
+
+        for (const job of jobs) {
+
+            try {
+                const outcome = await run_job(job);
+                await job_task.complete_job(job.uuid, WORKER_ID);
+                summary[outcome] += 1;
+
+            } catch (error) {
+
+                if (job.attempts >= CONSTANTS.MAX_ATTEMPTS) {
+                    LOGGER.module().error(`ERROR: [/exhibits/index_job_model (process_due_jobs)] Index job ${job.type} for ${job.dedupe_key} failed ${job.attempts} times and was dead-lettered: ${error.message}`);
+                    await job_task.fail_job(job.uuid, WORKER_ID, error.message, null);
+                    summary.dead += 1;
+                } else {
+                    const retry_at = new Date(Date.now() + get_backoff_ms(job.attempts));
+                    LOGGER.module().warn(`WARNING: [/exhibits/index_job_model (process_due_jobs)] Index job ${job.type} for ${job.dedupe_key} failed (attempt ${job.attempts}), retrying at ${retry_at.toISOString()}: ${error.message}`);
+                    await job_task.fail_job(job.uuid, WORKER_ID, error.message, retry_at);
+                    summary.retrying += 1;
+                }
+            }
+        }
+
+    } while (jobs.length === CONSTANTS.BATCH_SIZE);
+
+    return summary;
+};
+
+/**
+ * Gets queue counts and the queued jobs for the dashboard
+ * @param {string|null} [status=null] - pending|running|dead to filter
+ * @returns {Promise<Object>} Response object; data is {counts, jobs}
+ */
+exports.get_index_jobs = async (status = null) => {
+
+    try {
+
+        if (status && !CONSTANTS.JOB_STATUSES.includes(status)) {
+            return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, `status must be one of ${CONSTANTS.JOB_STATUSES.join(', ')}`);
+        }
+
+        const counts = await job_task.get_job_counts();
+        const jobs = await job_task.get_jobs(status, CONSTANTS.LIST_LIMIT);
+
+        return build_response(CONSTANTS.STATUS_CODES.OK, 'Index jobs retrieved', {
+            counts,
+            max_attempts: CONSTANTS.MAX_ATTEMPTS,
+            jobs
+        });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/index_job_model (get_index_jobs)] ${error.message}`, {
+            status,
+            stack: error.stack
+        });
+
+        return build_response(CONSTANTS.STATUS_CODES.INTERNAL_SERVER_ERROR, 'Unable to retrieve index jobs');
+    }
+};
+
+/**
+ * Puts a dead-lettered or backing-off job back in the queue to run now
+ * @param {string} uuid - Job UUID
+ * @returns {Promise<Object>} Response object
+ */
+exports.retry_index_job = async (uuid) => {
+
+    try {
+
+        if (!is_valid_uuid(uuid)) {
+            return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, 'Invalid UUID provided');
+        }
+
+        const is_queued = await job_task.retry_job(uuid, new Date());
+
+        if (!is_queued) {
+            return build_response(CONSTANTS.STATUS_CODES.NOT_FOUND, 'Index job not found or already running');
+        }
+
+        LOGGER.module().info(`INFO: [/exhibits/index_job_model (retry_index_job)] Index job ${uuid} queued for retry`);
+
+        return build_response(CONSTANTS.STATUS_CODES.OK, 'Index job queued for retry', {uuid});
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/index_job_model (retry_index_job)] ${error.message}`, {
+            uuid,
+            stack: error.stack
+        });
+
+        return build_response(CONSTANTS.STATUS_CODES.INTERNAL_SERVER_ERROR, 'Unable to retry index job');
+    }
+};
+
+exports.get_backoff_ms = get_backoff_ms;
+exports.JOB_HANDLERS = JOB_HANDLERS;
+exports.CONSTANTS = CONSTANTS;
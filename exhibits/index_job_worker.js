@@ -0,0 +1,187 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const LOGGER = require('../libs/log4');
+
+/**
+ * In-process worker for the search index job queue (index_job_model).
+ *
+ * Jobs live in `tbl_index_jobs`, so work queued before a restart runs on the
+ * first poll after it, and a job whose worker died mid-run is picked up again
+ * once its lease expires. Between polls, `wake` runs the queue shortly after a
+ * job comes due, which keeps a debounced re-index near-real-time without a
+ * tight poll interval. A run still in progress when the next one is due is not
+ * overlapped; it runs again as soon as it finishes instead.
+ */
+
+// Poll interval. Catches retries coming due and anything queued by another process.
+const DEFAULT_INTERVAL_MS = 10000;
+
+// Slack after a job's run time, so the wake-up does not land just before it is due
+const WAKE_MARGIN_MS = 50;
+
+let _timer = null;
+let _wake_timer = null;
+let _wake_at = 0;
+let _next_wake_at = 0;
+let _running = false;
+let _run_again = false;
+
+/**
+ * Runs every due job. Errors are logged, never thrown (the caller is a timer).
+ * @returns {Promise<Object|null>} process_due_jobs summary, or null when skipped/failed
+ */
+const run_once = async () => {
+
+    if (_running) {
+        _run_again = true;
+        return null;
+    }
+
+    _running = true;
+    _run_again = false;
+
+    try {
+        // Required lazily so loading this module does not open the DB pool
+        const INDEX_JOB_MODEL = require('./index_job_model');
+        const summary = await INDEX_JOB_MODEL.process_due_jobs();
+
+        if (summary.retrying > 0 || summary.dead > 0) {
+            LOGGER.module().info(`INFO: [/exhibits/index_job_worker (run_once)] Index jobs: ${summary.done} completed, ${summary.skipped} skipped, ${summary.retrying} retrying, ${summary.dead} dead-lettered`);
+        }
+
+        return summary;
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/index_job_worker (run_once)] ${error.message}`, {
+            stack: error.stack
+        });
+        return null;
+
+    } finally {
+        _running = false;
+
+        if (_run_again && _timer !== null) {
+            setImmediate(run_once);
+        }
+    }
+};
+
+/**
+ * Sets the wake-up timer for `at`; when it fires, a later wake-up asked for in
+ * the meantime is set before the queue runs
+ * @param {number} at - Epoch ms
+ */
+const set_wake_timer = (at) => {
+
+    _wake_at = at;
+    _wake_timer = setTimeout(() => {
+        const next = _next_wake_at;
+
+        _wake_timer = null;
+        _next_wake_at = 0;
+
+        if (next > at) {
+            set_wake_timer(next);
+        }
+
+        run_once();
+    }, Math.max(at - Date.now(), 0) + WAKE_MARGIN_MS);
+
+    // A pending wake-up must never keep the Node process alive at shutdown.
+    if (typeof _wake_timer.unref === 'function') {
+        _wake_timer.unref();
+    }
+};
+
+/**
+ * Runs the queue once a newly queued job comes due. One timer is kept: it
+ * fires for the earliest job asked for and re-arms for the latest one, so a
+ * burst of edits costs two runs, not one per edit. Does nothing when the worker
+ * is not started (scripts and tests leave their jobs to the app).
+ * @param {number} [delay_ms=0] - When the job comes due
+ */
+const wake = (delay_ms = 0) => {
+
+    if (_timer === null) {
+        return;
+    }
+
+    const at = Date.now() + delay_ms;
+
+    if (_wake_timer === null) {
+        set_wake_timer(at);
+    } else if (at >= _wake_at) {
+        _next_wake_at = Math.max(_next_wake_at, at);
+    } else {
+        _next_wake_at = Math.max(_next_wake_at, _wake_at);
+        clearTimeout(_wake_timer);
+        set_wake_timer(at);
+    }
+};
+
+/**
+ * Starts polling (no-op when already started), with a first run right away
+ * for work left in the queue when the app last stopped
+ * @param {number} [interval_ms] - Poll interval; defaults to INDEX_JOB_POLL_INTERVAL or 10 s
+ */
+const start = (interval_ms) => {
+
+    if (_timer !== null) {
+        return;
+    }
+
+    const interval = Number(interval_ms) || Number(process.env.INDEX_JOB_POLL_INTERVAL) || DEFAULT_INTERVAL_MS;
+
+    _timer = setInterval(run_once, interval);
+
+    if (typeof _timer.unref === 'function') {
+        _timer.unref();
+    }
+
+    setImmediate(run_once);
+    LOGGER.module().info(`INFO: [/exhibits/index_job_worker (start)] Index job worker polling every ${interval} ms`);
+};
+
+/**
+ * Stops polling. A run already in progress finishes on its own; jobs it has
+ * not reached stay queued for the next start.
+ */
+const stop = () => {
+
+    if (_timer !== null) {
+        clearInterval(_timer);
+        _timer = null;
+    }
+
+    if (_wake_timer !== null) {
+        clearTimeout(_wake_timer);
+        _wake_timer = null;
+        _next_wake_at = 0;
+    }
+};
+
+module.exports = {
+    start,
+    stop,
+    run_once,
+    wake,
+    DEFAULT_INTERVAL_MS
+};
@@ -23,6 +23,7 @@ const HEADINGS_MODEL = require('../exhibits/headings_model');
 const GRIDS_MODEL = require('../exhibits/grid_model');
 const TIMELINES_MODEL = require('../exhibits/timelines_model');
 const EXHIBITS_MODEL = require('./exhibits_model');
+const AUDIT = require('../audit/model');
 const LOGGER = require('../libs/log4');
 const {
     validate_param,
@@ -52,6 +53,15 @@ exports.create_item_record = async function (req, res) {
         if (!is_authorized) return;
 
         const result = await ITEMS_MODEL.create_item_record(exhibit_id, data);
+
+        await AUDIT.record_success(req, result.status, {
+            action: 'create',
+            record_type: 'item',
+            record_uuid: result.data,
+            exhibit_uuid: exhibit_id,
+            after: data
+        });
+
         res.status(result.status).send(result);
 
     } catch (error) {
@@ -146,7 +156,18 @@ exports.update_item_record = async function (req, res) {
         );
         if (!is_authorized) return;
 
+        const before = await AUDIT.get_record_state('item', item_id);
         const result = await ITEMS_MODEL.update_item_record(exhibit_id, item_id, data);
+
+        await AUDIT.record_success(req, result.status, {
+            action: 'update',
+            record_type: 'item',
+            record_uuid: item_id,
+            exhibit_uuid: exhibit_id,
+            before,
+            after: data
+        });
+
         res.status(result.status).send(result);
 
     } catch (error) {
@@ -174,7 +195,17 @@ exports.delete_item_record = async function (req, res) {
         );
         if (!is_authorized) return;
 
+        const before = await AUDIT.get_record_state(record_type || 'item', item_id);
         const result = await ITEMS_MODEL.delete_item_record(exhibit_id, item_id, record_type);
+
+        await AUDIT.record_success(req, result.status, {
+            action: 'delete',
+            record_type: record_type || 'item',
+            record_uuid: item_id,
+            exhibit_uuid: exhibit_id,
+            before
+        });
+
         res.status(result.status).send(result);
 
     } catch (error) {
@@ -222,6 +253,14 @@ exports.publish_item_record = async function (req, res) {
         const result = await publish_handlers[type](exhibit_id, item_id);
 
         if (result.status === true) {
+            await AUDIT.record(req, {
+                action: 'publish',
+                record_type: type,
+                record_uuid: item_id,
+                exhibit_uuid: exhibit_id,
+                before: {is_published: 0},
+                after: {is_published: 1}
+            });
             res.status(200).send({
                 message: 'Item published.'
             });
@@ -276,6 +315,14 @@ exports.suppress_item_record = async function (req, res) {
         const result = await suppress_handlers[type](exhibit_id, item_id);
 
         if (result.status === true) {
+            await AUDIT.record(req, {
+                action: 'suppress',
+                record_type: type,
+                record_uuid: item_id,
+                exhibit_uuid: exhibit_id,
+                before: {is_published: 1},
+                after: {is_published: 0}
+            });
             res.status(200).send({
                 message: 'Item suppressed.'
             });
@@ -348,6 +395,14 @@ exports.reorder_items = async function (req, res) {
             return;
         }
 
+        await AUDIT.record(req, {
+            action: 'reorder',
+            record_type: 'exhibit',
+            record_uuid: exhibit_id,
+            exhibit_uuid: exhibit_id,
+            after: {components: updated_order.length}
+        });
+
         // Re-index if the exhibit is published.
         const exhibit_data = await EXHIBITS_MODEL.get_exhibit_record(exhibit_id);
 
@@ -366,6 +421,146 @@ exports.reorder_items = async function (req, res) {
     }
 };
 
+exports.bulk_update_items = async function (req, res) {
+
+    try {
+
+        const exhibit_id = req.params.exhibit_id;
+        const {action, records} = req.body || {};
+
+        if (!validate_param(res, exhibit_id, 'exhibit ID')) return;
+
+        const permissions = {
+            publish: ['publish_item', 'publish_any_item'],
+            suppress: ['suppress_item', 'suppress_any_item'],
+            delete: ['delete_item', 'delete_any_item']
+        };
+
+        if (!action || typeof action !== 'string' || !Object.hasOwn(permissions, action)) {
+            res.status(400).send({
+                message: 'Bad request. Missing or invalid action.'
+            });
+            return;
+        }
+
+        if (!Array.isArray(records) || records.length === 0) {
+            res.status(400).send({
+                message: 'Bad request. Missing or invalid records.'
+            });
+            return;
+        }
+
+        // Every record is scoped to this exhibit by the model, so one check
+        // against the exhibit covers the whole selection.
+        const is_authorized = await check_authorization(
+            req, res,
+            permissions[action],
+            'item', exhibit_id, null
+        );
+        if (!is_authorized) return;
+
+        const result = await ITEMS_MODEL.bulk_update_items(exhibit_id, action, records);
+
+        if (result.status === 200) {
+            for (const record of result.data.results) {
+
+                if (record.status !== 'updated') {
+                    continue;
+                }
+
+                const entry = {
+                    action,
+                    record_type: record.type,
+                    record_uuid: record.uuid,
+                    exhibit_uuid: exhibit_id
+                };
+
+                if (action !== 'delete') {
+                    entry.before = {is_published: action === 'publish' ? 0 : 1};
+                    entry.after = {is_published: action === 'publish' ? 1 : 0};
+                }
+
+                await AUDIT.record(req, entry);
+            }
+        }
+
+        res.status(result.status).send(result);
+
+    } catch (error) {
+        handle_error(res, 'bulk_update_items', error,
+            'Unable to apply bulk action.',
+            'for exhibit ' + req.params.exhibit_id);
+    }
+};
+
+exports.move_item_record = async function (req, res) {
+
+    try {
+
+        const exhibit_id = req.params.exhibit_id;
+        const {type, uuid, target_type, target_exhibit_id, target_container_id, date} = req.body || {};
+        const target_exhibit = target_exhibit_id || exhibit_id;
+
+        if (!validate_param(res, exhibit_id, 'exhibit ID')) return;
+        if (!validate_param(res, uuid, 'record ID')) return;
+        if (!validate_param(res, target_exhibit, 'target exhibit ID')) return;
+
+        const item_types = ['item', 'grid_item', 'timeline_item'];
+
+        if (!item_types.includes(type) || !item_types.includes(target_type)) {
+            res.status(400).send({
+                message: 'Bad request. Missing or invalid type or target_type.'
+            });
+            return;
+        }
+
+        const is_authorized = await check_authorization(
+            req, res,
+            ['update_item', 'update_any_item'],
+            type, exhibit_id, uuid
+        );
+        if (!is_authorized) return;
+
+        // Moving into another exhibit adds a record to it, so it needs the
+        // same grant as creating one there.
+        if (target_exhibit !== exhibit_id) {
+            const is_target_authorized = await check_authorization(
+                req, res,
+                ['add_item', 'add_item_to_any_exhibit'],
+                'item', target_exhibit, null
+            );
+            if (!is_target_authorized) return;
+        }
+
+        const result = await ITEMS_MODEL.move_item_record(exhibit_id, type, uuid, {
+            exhibit_id: target_exhibit,
+            type: target_type,
+            container_id: target_container_id,
+            date
+        });
+
+        if (result.status === 200) {
+            const {from, to} = result.data;
+
+            await AUDIT.record(req, {
+                action: 'move',
+                record_type: to.type,
+                record_uuid: uuid,
+                exhibit_uuid: to.exhibit_uuid,
+                before: {type: from.type, exhibit_uuid: from.exhibit_uuid, container_uuid: from.container_uuid, is_published: from.is_published},
+                after: {type: to.type, exhibit_uuid: to.exhibit_uuid, container_uuid: to.container_uuid, is_published: to.is_published}
+            });
+        }
+
+        res.status(result.status).send(result);
+
+    } catch (error) {
+        handle_error(res, 'move_item_record', error,
+            'Unable to move record.',
+            req.body?.uuid + ' for exhibit ' + req.params.exhibit_id);
+    }
+};
+
 exports.unlock_item_record = async function (req, res) {
 
     try {
@@ -387,6 +582,13 @@ exports.unlock_item_record = async function (req, res) {
         const result = await ITEMS_MODEL.unlock_item_record(uid, item_id, unlock_options);
 
         if (result && typeof result === 'object') {
+            await AUDIT.record(req, {
+                action: 'unlock',
+                record_type: 'item',
+                record_uuid: item_id,
+                exhibit_uuid: exhibit_id,
+                after: {uid, force: unlock_options.force}
+            });
             res.status(200).send({
                 message: 'Item record unlocked.'
             });
@@ -25,11 +25,17 @@ const EXHIBIT_ITEM_RECORD_TASKS = require('../exhibits/tasks/exhibit_item_record
 const EXHIBIT_HEADING_RECORD_TASKS = require('./tasks/exhibit_heading_record_tasks');
 const EXHIBIT_GRID_RECORD_TASKS = require('./tasks/exhibit_grid_record_tasks');
 const EXHIBIT_TIMELINE_RECORD_TASKS = require('./tasks/exhibit_timeline_record_tasks');
+const EXHIBIT_REVISION_RECORD_TASKS = require('./tasks/exhibit_revision_record_tasks');
+const EXHIBIT_BULK_RECORD_TASKS = require('./tasks/exhibit_bulk_record_tasks');
+const EXHIBIT_MOVE_RECORD_TASKS = require('./tasks/exhibit_move_record_tasks');
 const HELPER = require('../libs/helper');
+const EDTF = require('../libs/edtf');
 const EXHIBIT_RECORD_TASKS = require('./tasks/exhibit_record_tasks');
 const INDEXER_MODEL = require('../indexer/model');
+const MEDIA_MODEL = require('../media-library/model');
 const LOGGER = require('../libs/log4');
 const REINDEX_COALESCER = require('./reindex_coalescer');
+const REVIEW_MODEL = require('./review_model');
 const {
     is_valid_uuid,
     is_valid_user_id,    build_response,
@@ -44,6 +50,7 @@ const CONSTANTS = {
         NO_CONTENT: 204,
         BAD_REQUEST: 400,
         NOT_FOUND: 404,
+        CONFLICT: 409,
         INTERNAL_SERVER_ERROR: 500
     },
     ITEM_TYPES: {
@@ -57,7 +64,9 @@ const CONSTANTS = {
     PUBLICATION_STATUS: {
         PUBLISHED: 1,
         UNPUBLISHED: 0
-    }
+    },
+    BULK_ACTIONS: ['publish', 'suppress', 'delete'],
+    MAX_BULK_RECORDS: 200
 };
 
 // Initialize task instances
@@ -67,6 +76,9 @@ const item_task = new EXHIBIT_ITEM_RECORD_TASKS(DB, TABLES);
 const heading_task = new EXHIBIT_HEADING_RECORD_TASKS(DB, TABLES);
 const grid_task = new EXHIBIT_GRID_RECORD_TASKS(DB, TABLES);
 const timeline_task = new EXHIBIT_TIMELINE_RECORD_TASKS(DB, TABLES);
+const revision_task = new EXHIBIT_REVISION_RECORD_TASKS(DB, TABLES);
+const bulk_task = new EXHIBIT_BULK_RECORD_TASKS(DB, TABLES);
+const move_task = new EXHIBIT_MOVE_RECORD_TASKS(DB, TABLES);
 
 /**
  * Fetches grid items for grids in parallel
@@ -261,6 +273,8 @@ exports.create_item_record = async (is_member_of_exhibit, data) => {
             LOGGER.module().info('INFO: [/exhibits/items_model - Exhibit timestamp updated successfully.');
         }
 
+        await REVIEW_MODEL.revoke_approval(is_member_of_exhibit);
+
         return build_response(
             CONSTANTS.STATUS_CODES.CREATED,
             'Item record created',
@@ -295,15 +309,7 @@ const handle_item_republish = async (is_member_of_exhibit, item_id) => {
         // search for the delay window. (publish_item_record re-indexes just this item.)
         // Coalesced per item: a burst of edits collapses to one near-real-time
         // re-index (was a flat 5s delay + one independent timer per edit).
-        REINDEX_COALESCER.schedule_reindex(`item:${item_id}`, async () => {
-            const publish_result = await publish_item_record(is_member_of_exhibit, item_id);
-
-            if (publish_result && publish_result.status === true) {
-                LOGGER.module().info('INFO: [/exhibits/items_model (handle_item_republish)] Item re-indexed after edit.');
-            } else {
-                LOGGER.module().error('ERROR: [/exhibits/items_model (handle_item_republish)] Failed to re-index item');
-            }
-        });
+        await REINDEX_COALESCER.schedule_reindex(`item:${item_id}`, 'publish_item', {exhibit_uuid: is_member_of_exhibit, uuid: item_id});
     } catch (error) {
         LOGGER.module().error(`ERROR: [/exhibits/items_model (handle_item_republish)] ${error.message}`, {
             is_member_of_exhibit,
@@ -318,9 +324,11 @@ const handle_item_republish = async (is_member_of_exhibit, item_id) => {
  * @param {string} is_member_of_exhibit - Exhibit UUID
  * @param {string} item_id - Item UUID
  * @param {Object} data - Update data
+ * @param {Object} [options]
+ * @param {string} [options.restored_from] - Revision UUID when the update restores one (set by revisions_model.restore_revision)
  * @returns {Promise<Object>} Response object
  */
-exports.update_item_record = async (is_member_of_exhibit, item_id, data) => {
+exports.update_item_record = async (is_member_of_exhibit, item_id, data, options = {}) => {
 
     try {
         // Validate inputs
@@ -358,8 +366,12 @@ exports.update_item_record = async (is_member_of_exhibit, item_id, data) => {
         // Prepare styles
         data.styles = prepare_styles(data.styles);
 
-        // Update record
-        const result = await item_task.update_item_record(data);
+        // Update record, reading its pre- and post-save state for the revision
+        // history in the same transaction
+        const saved = await revision_task.capture_save('item', item_id, (trx) => {
+            return new EXHIBIT_ITEM_RECORD_TASKS(trx, TABLES).update_item_record(data);
+        });
+        const result = saved.result;
 
         if (result === false) {
             return build_response(
@@ -368,6 +380,12 @@ exports.update_item_record = async (is_member_of_exhibit, item_id, data) => {
             );
         }
 
+        await revision_task.record_revision('item', saved.before, {
+            after: saved.after,
+            created_by: data.updated_by,
+            restored_from: options.restored_from
+        });
+
         // Handle republishing if needed (check for truthy values)
         if (is_published === 'true' || is_published === true || is_published === 1) {
             setImmediate(() => handle_item_republish(is_member_of_exhibit, item_id));
@@ -379,6 +397,8 @@ exports.update_item_record = async (is_member_of_exhibit, item_id, data) => {
             LOGGER.module().info('INFO: [/exhibits/items_model - Exhibit timestamp updated successfully.');
         }
 
+        await REVIEW_MODEL.revoke_approval(is_member_of_exhibit);
+
         return build_response(
             CONSTANTS.STATUS_CODES.CREATED,
             'Item record updated'
@@ -556,6 +576,8 @@ exports.delete_item_record = async (is_member_of_exhibit, item_id, type) => {
             LOGGER.module().info('INFO: [/exhibits/items_model - Exhibit timestamp updated successfully.');
         }
 
+        await REVIEW_MODEL.revoke_approval(is_member_of_exhibit);
+
         return build_response(
             CONSTANTS.STATUS_CODES.NO_CONTENT,
             'Record deleted',
@@ -666,11 +688,11 @@ const suppress_item_record = async (exhibit_id, item_id) => {
             };
         }
 
-        // Delete from index
-        const delete_result = await INDEXER_MODEL.delete_record(item_id);
+        // Set item to suppressed
+        const is_item_suppressed = await item_task.set_item_to_suppress(item_id);
 
-        if (delete_result.status !== CONSTANTS.STATUS_CODES.NO_CONTENT) {
-            LOGGER.module().error('ERROR: [/exhibits/items_model (suppress_item_record)] Unable to delete from index');
+        if (is_item_suppressed === false) {
+            LOGGER.module().error('ERROR: [/exhibits/items_model (suppress_item_record)] Unable to set item to suppressed');
 
             return {
                 status: false,
@@ -678,11 +700,11 @@ const suppress_item_record = async (exhibit_id, item_id) => {
             };
         }
 
-        // Set item to suppressed
-        const is_item_suppressed = await item_task.set_item_to_suppress(item_id);
-
-        if (is_item_suppressed === false) {
-            LOGGER.module().error('ERROR: [/exhibits/items_model (suppress_item_record)] Unable to set item to suppressed');
+        // Remove from index (queued, so an Elasticsearch failure is retried)
+        try {
+            await REINDEX_COALESCER.schedule_suppress(`item:${item_id}`, 'delete_record', {record_type: 'item', exhibit_uuid: exhibit_id, uuid: item_id});
+        } catch (error) {
+            LOGGER.module().error(`ERROR: [/exhibits/items_model (suppress_item_record)] Unable to queue removal from index: ${error.message}`);
 
             return {
                 status: false,
@@ -878,7 +900,7 @@ exports.reorder_exhibit_items = async (exhibit_id, updated_order, updated_by = n
  * items in their new order) — avoiding a per-item read-modify-write race on the
  * shared grid doc.
  *
- * Fire-and-forget: schedules timers and returns. The caller must have confirmed the
+ * Fire-and-forget: queues index jobs and returns. The caller must have confirmed the
  * exhibit is published (an unpublished exhibit must not be added to the public index).
  *
  * @param {string} exhibit_id - Exhibit UUID
@@ -901,28 +923,286 @@ exports.schedule_reorder_reindex = (exhibit_id, updated_order) => {
         }
 
         if (row.type === 'item' && is_valid_uuid(row.uuid)) {
-            ops.set(`item:${row.uuid}`, () => INDEXER_MODEL.index_item_record(exhibit_id, row.uuid));
+            ops.set(`item:${row.uuid}`, ['index_item', row.uuid]);
         } else if ((row.type === 'heading' || row.type === 'subheading') && is_valid_uuid(row.uuid)) {
-            ops.set(`heading:${row.uuid}`, () => INDEXER_MODEL.index_heading_record(exhibit_id, row.uuid));
+            ops.set(`heading:${row.uuid}`, ['index_heading', row.uuid]);
         } else if (row.type === 'grid' && is_valid_uuid(row.uuid)) {
-            ops.set(`grid:${row.uuid}`, () => INDEXER_MODEL.index_grid_record(exhibit_id, row.uuid));
+            ops.set(`grid:${row.uuid}`, ['index_grid', row.uuid]);
         } else if (row.type === 'timeline' && is_valid_uuid(row.uuid)) {
-            ops.set(`timeline:${row.uuid}`, () => INDEXER_MODEL.index_timeline_record(exhibit_id, row.uuid));
+            ops.set(`timeline:${row.uuid}`, ['index_timeline', row.uuid]);
         } else if (row.type === 'griditem' && is_valid_uuid(row.grid_id)) {
-            ops.set(`grid:${row.grid_id}`, () => INDEXER_MODEL.index_grid_record(exhibit_id, row.grid_id));
+            ops.set(`grid:${row.grid_id}`, ['index_grid', row.grid_id]);
         }
     }
 
-    for (const [key, run] of ops) {
-        REINDEX_COALESCER.schedule_reindex(key, async () => {
-            const indexed = await run();
+    for (const [key, [type, uuid]] of ops) {
+        REINDEX_COALESCER.schedule_reindex(key, type, {exhibit_uuid: exhibit_id, uuid});
+    }
+};
 
-            if (indexed === true) {
-                LOGGER.module().info(`INFO: [/exhibits/items_model (schedule_reorder_reindex)] Re-indexed ${key} after reorder.`);
-            } else {
-                LOGGER.module().error(`ERROR: [/exhibits/items_model (schedule_reorder_reindex)] Failed to re-index ${key} after reorder.`);
+/**
+ * Schedules the index updates for a bulk publish or suppress, one coalesced
+ * op per component (keys shared with schedule_reorder_reindex). Published
+ * components are re-indexed and suppressed ones removed; a grid or timeline
+ * item re-indexes its parent's doc, unless the parent was handled by the same
+ * batch or is not published. Deletes need nothing: only unpublished records
+ * can be deleted, and those are not in the index.
+ * @param {string} exhibit_id - Exhibit UUID
+ * @param {string} action - publish|suppress
+ * @param {Array<Object>} results - Updated records from Bulk_record_tasks.apply_action
+ */
+const schedule_bulk_reindex = (exhibit_id, action, results) => {
+
+    const is_publish = action === 'publish';
+    const ops = new Map();
+    const INDEX_TYPES = {item: 'index_item', heading: 'index_heading', grid: 'reindex_grid', timeline: 'reindex_timeline'};
+
+    for (const result of results) {
+
+        if (INDEX_TYPES[result.type]) {
+            ops.set(`${result.type}:${result.uuid}`, is_publish
+                ? [INDEX_TYPES[result.type], {exhibit_uuid: exhibit_id, uuid: result.uuid}]
+                : ['delete_record', {record_type: result.type, exhibit_uuid: exhibit_id, uuid: result.uuid}]);
+        } else if (result.is_parent_published === true) {
+            const is_grid_item = result.type === 'grid_item';
+            const key = `${is_grid_item ? 'grid' : 'timeline'}:${result.parent_uuid}`;
+
+            if (!ops.has(key)) {
+                ops.set(key, [is_grid_item ? 'reindex_grid' : 'reindex_timeline', {exhibit_uuid: exhibit_id, uuid: result.parent_uuid}]);
+            }
+        }
+    }
+
+    for (const [key, [type, payload]] of ops) {
+        REINDEX_COALESCER.schedule_reindex(key, type, payload);
+    }
+};
+
+/**
+ * Publishes, suppresses or deletes a selection of an exhibit's records (items,
+ * headings, grids, grid items, timelines and timeline items) in one transaction.
+ * Records that cannot be changed are reported per record rather than failing the
+ * batch. Afterwards the exhibit is reordered if top-level records were deleted,
+ * and the index is updated once per affected component when the exhibit is published.
+ * @param {string} exhibit_id - Exhibit UUID
+ * @param {string} action - publish|suppress|delete
+ * @param {Array<{type: string, uuid: string}>} records - Records to change
+ * @returns {Promise<Object>} Response object; data is {action, updated, results}
+ */
+exports.bulk_update_items = async (exhibit_id, action, records) => {
+
+    try {
+
+        if (!is_valid_uuid(exhibit_id)) {
+            return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, 'Invalid UUID provided');
+        }
+
+        if (!CONSTANTS.BULK_ACTIONS.includes(action)) {
+            return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, `action must be one of ${CONSTANTS.BULK_ACTIONS.join(', ')}`);
+        }
+
+        if (!Array.isArray(records) || records.length === 0 || records.length > CONSTANTS.MAX_BULK_RECORDS) {
+            return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, `records must list between 1 and ${CONSTANTS.MAX_BULK_RECORDS} records`);
+        }
+
+        const selected = new Map();
+
+        for (const record of records) {
+
+            if (!record || typeof record !== 'object' || !EXHIBIT_BULK_RECORD_TASKS.RECORD_TYPES.includes(record.type) || !is_valid_uuid(record.uuid)) {
+                return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, 'Each record needs a valid type and uuid');
+            }
+
+            selected.set(`${record.type}:${record.uuid}`, {type: record.type, uuid: record.uuid});
+        }
+
+        const outcome = await bulk_task.apply_action(exhibit_id, action, [...selected.values()]);
+
+        if (outcome === null) {
+            return build_response(CONSTANTS.STATUS_CODES.NOT_FOUND, 'Exhibit not found');
+        }
+
+        const updated = outcome.results.filter((result) => result.status === 'updated');
+
+        if (updated.length > 0) {
+
+            if (action === 'delete' && updated.some((result) => !result.parent_uuid)) {
+                const new_order = await helper_task.reorder(exhibit_id, DB, TABLES);
+                const new_order_applied = await helper_task.apply_reorder(exhibit_id, new_order, DB, TABLES);
+
+                if (new_order_applied.success === false) {
+                    LOGGER.module().error('ERROR: [/exhibits/items_model (bulk_update_items)] Failed to reorder records', {result: new_order_applied});
+                }
+            }
+
+            await exhibit_tasks.update_exhibit_timestamp(exhibit_id);
+
+            if (action === 'delete') {
+                await REVIEW_MODEL.revoke_approval(exhibit_id);
+            }
+
+            if (action !== 'delete' && outcome.is_exhibit_published) {
+                schedule_bulk_reindex(exhibit_id, action, updated);
             }
+        }
+
+        return build_response(CONSTANTS.STATUS_CODES.OK, `Bulk ${action} complete`, {
+            action,
+            updated: updated.length,
+            results: outcome.results.map(({type, uuid, status, message}) => ({type, uuid, status, message}))
+        });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/items_model (bulk_update_items)] ${error.message}`, {
+            exhibit_id,
+            action,
+            stack: error.stack
+        });
+
+        return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, 'Unable to apply bulk action');
+    }
+};
+
+/**
+ * Schedules the index updates for a moved record: the source side first (a
+ * standard item's doc is removed, a grid or timeline's doc is rebuilt without
+ * it), then the target side, so a standard item that stays a standard item is
+ * re-indexed rather than removed. Only published records are in the index.
+ * @param {string} uuid - Moved record UUID
+ * @param {Object} from - Source placement from Move_record_tasks.move_record
+ * @param {Object} to - Target placement from Move_record_tasks.move_record
+ */
+const schedule_move_reindex = (uuid, from, to) => {
+
+    const ops = new Map();
+    const container_op = (placement) => {
+        return placement.type === 'grid_item'
+            ? [`grid:${placement.container_uuid}`, ['reindex_grid', {exhibit_uuid: placement.exhibit_uuid, uuid: placement.container_uuid}]]
+            : [`timeline:${placement.container_uuid}`, ['reindex_timeline', {exhibit_uuid: placement.exhibit_uuid, uuid: placement.container_uuid}]];
+    };
+
+    if (from.is_published && from.type === 'item') {
+        ops.set(`item:${uuid}`, ['delete_record', {record_type: 'item', exhibit_uuid: from.exhibit_uuid, uuid}]);
+    } else if (from.is_published && from.is_container_published === true) {
+        ops.set(...container_op(from));
+    }
+
+    if (to.is_published && to.type === 'item') {
+        ops.set(`item:${uuid}`, ['index_item', {exhibit_uuid: to.exhibit_uuid, uuid}]);
+    } else if (to.is_published) {
+        ops.set(...container_op(to));
+    }
+
+    for (const [key, [type, payload]] of ops) {
+        REINDEX_COALESCER.schedule_reindex(key, type, payload);
+    }
+};
+
+/**
+ * Moves a standard, grid or timeline item within its exhibit or to another
+ * exhibit, converting it to the target item type. After the move the source
+ * exhibit's order is healed, the media library's exhibit associations follow
+ * the record and both sides of the search index are updated.
+ * @param {string} exhibit_id - Exhibit the record is in now
+ * @param {string} type - item|grid_item|timeline_item
+ * @param {string} uuid - Record UUID
+ * @param {Object} target - {exhibit_id, type, container_id, date}; exhibit_id defaults to the
+ * current exhibit, container_id is the grid or timeline for grid_item and timeline_item
+ * @returns {Promise<Object>} Response object; data is {uuid, from, to}
+ */
+exports.move_item_record = async (exhibit_id, type, uuid, target = {}) => {
+
+    try {
+
+        const target_exhibit = target.exhibit_id || exhibit_id;
+
+        if (!is_valid_uuid(exhibit_id) || !is_valid_uuid(uuid) || !is_valid_uuid(target_exhibit)) {
+            return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, 'Invalid UUID provided');
+        }
+
+        if (!EXHIBIT_MOVE_RECORD_TASKS.ITEM_TYPES.includes(type) || !EXHIBIT_MOVE_RECORD_TASKS.ITEM_TYPES.includes(target.type)) {
+            return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, `type must be one of ${EXHIBIT_MOVE_RECORD_TASKS.ITEM_TYPES.join(', ')}`);
+        }
+
+        const needs_container = target.type !== 'item';
+
+        if (needs_container && !is_valid_uuid(target.container_id)) {
+            return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, `container_id must be the ${target.type === 'grid_item' ? 'grid' : 'timeline'} to move the record into`);
+        }
+
+        if (target.date !== undefined && (target.type !== 'timeline_item' || (target.date !== null && typeof target.date !== 'string'))) {
+            return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, 'date only applies to timeline items');
+        }
+
+        const date = typeof target.date === 'string' ? EDTF.parse(target.date) : null;
+
+        if (typeof target.date === 'string' && date === null) {
+            return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, `Invalid timeline date "${target.date}". Use an EDTF date such as 1920, 1920-05-03, 1920~ or 1861/1865`);
+        }
+
+        const outcome = await move_task.move_record(exhibit_id, type, uuid, {
+            exhibit_uuid: target_exhibit,
+            type: target.type,
+            container_uuid: needs_container ? target.container_id : null,
+            date: date ? date.date : target.date
+        });
+
+        if (outcome.status === 'not_found') {
+            return build_response(CONSTANTS.STATUS_CODES.NOT_FOUND, outcome.message);
+        }
+
+        if (outcome.status === 'rejected') {
+            return build_response(CONSTANTS.STATUS_CODES.CONFLICT, outcome.message);
+        }
+
+        const {from, to} = outcome;
+
+        if (from.type === 'item') {
+            const new_order = await helper_task.reorder(exhibit_id, DB, TABLES);
+            const new_order_applied = await helper_task.apply_reorder(exhibit_id, new_order, DB, TABLES);
+
+            if (new_order_applied.success === false) {
+                LOGGER.module().error('ERROR: [/exhibits/items_model (move_item_record)] Failed to reorder records', {result: new_order_applied});
+            }
+        }
+
+        for (const media of outcome.media) {
+
+            const added = await MEDIA_MODEL.add_exhibit_to_media_record(media.media_uuid, target_exhibit, media.media_role);
+
+            if (!added.success) {
+                LOGGER.module().error(`ERROR: [/exhibits/items_model (move_item_record)] Unable to link media ${media.media_uuid} to exhibit ${target_exhibit}`);
+            }
+
+            if (!media.is_used_by_source) {
+                const removed = await MEDIA_MODEL.remove_exhibit_from_media_record(media.media_uuid, exhibit_id, media.media_role);
+
+                if (!removed.success) {
+                    LOGGER.module().error(`ERROR: [/exhibits/items_model (move_item_record)] Unable to unlink media ${media.media_uuid} from exhibit ${exhibit_id}`);
+                }
+            }
+        }
+
+        await exhibit_tasks.update_exhibit_timestamp(exhibit_id);
+        await REVIEW_MODEL.revoke_approval(exhibit_id);
+
+        if (target_exhibit !== exhibit_id) {
+            await exhibit_tasks.update_exhibit_timestamp(target_exhibit);
+            await REVIEW_MODEL.revoke_approval(target_exhibit);
+        }
+
+        schedule_move_reindex(uuid, from, to);
+
+        return build_response(CONSTANTS.STATUS_CODES.OK, outcome.message, {uuid, from, to});
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/items_model (move_item_record)] ${error.message}`, {
+            exhibit_id,
+            uuid,
+            stack: error.stack
         });
+
+        return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, 'Unable to move record');
     }
 };
 
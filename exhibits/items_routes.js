@@ -120,4 +120,24 @@ module.exports = function (app) {
             async_handler(CONTROLLER.reorder_items)
         );
 
+    // ========================================
+    // BULK ACTIONS
+    // ========================================
+
+    // Publish, suppress or delete selected records
+    app.route(endpoints.exhibits.bulk_records.post.endpoint)
+        .post(
+            rate_limits.state_change_operations,
+            TOKEN.verify,
+            async_handler(CONTROLLER.bulk_update_items)
+        );
+
+    // Move or convert a standard, grid or timeline item
+    app.route(endpoints.exhibits.move_record.post.endpoint)
+        .post(
+            rate_limits.state_change_operations,
+            TOKEN.verify,
+            async_handler(CONTROLLER.move_item_record)
+        );
+
 };
\ No newline at end of file
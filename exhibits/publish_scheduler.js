@@ -0,0 +1,115 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const LOGGER = require('../libs/log4');
+
+/**
+ * In-process scheduler for `publish_at` / `suppress_at` transitions.
+ *
+ * The schedule itself lives in the exhibit and item tables, so this module holds
+ * no state worth persisting: it polls for due transitions and hands them to
+ * SCHEDULE_MODEL.run_due_transitions, which runs the normal publish/suppress
+ * paths. Anything that came due while the app was down runs on the first poll
+ * after start. The app is single-instance, so one poller per process is enough;
+ * a poll that is still running when the next one is due is skipped rather than
+ * overlapped.
+ */
+
+// Poll interval. Transitions run within one interval of their scheduled time.
+const DEFAULT_INTERVAL_MS = 60000;
+
+let _timer = null;
+let _running = false;
+
+/**
+ * Runs one poll. Errors are logged, never thrown (the caller is a timer).
+ * @returns {Promise<Object|null>} run_due_transitions summary, or null when skipped/failed
+ */
+const run_once = async () => {
+
+    if (_running) {
+        return null;
+    }
+
+    _running = true;
+
+    try {
+        // Required lazily so loading this module does not open the DB pool
+        const SCHEDULE_MODEL = require('./schedule_model');
+        const summary = await SCHEDULE_MODEL.run_due_transitions(new Date());
+
+        if (summary.done > 0 || summary.failed > 0) {
+            LOGGER.module().info(`INFO: [/exhibits/publish_scheduler (run_once)] Scheduled transitions: ${summary.done} completed, ${summary.waiting} waiting, ${summary.failed} failed`);
+        }
+
+        return summary;
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/publish_scheduler (run_once)] ${error.message}`, {
+            stack: error.stack
+        });
+        return null;
+
+    } finally {
+        _running = false;
+    }
+};
+
+/**
+ * Starts polling (no-op when already started). Runs a first poll immediately so
+ * transitions missed during downtime are not delayed by a full interval.
+ * @param {number} [interval_ms] - Poll interval; defaults to PUBLISH_SCHEDULER_INTERVAL or 60 s
+ */
+const start = (interval_ms) => {
+
+    if (_timer !== null) {
+        return;
+    }
+
+    const interval = Number(interval_ms) || Number(process.env.PUBLISH_SCHEDULER_INTERVAL) || DEFAULT_INTERVAL_MS;
+
+    _timer = setInterval(run_once, interval);
+
+    // A pending poll must never keep the Node process alive at shutdown.
+    if (typeof _timer.unref === 'function') {
+        _timer.unref();
+    }
+
+    setImmediate(run_once);
+    LOGGER.module().info(`INFO: [/exhibits/publish_scheduler (start)] Publish scheduler polling every ${interval} ms`);
+};
+
+/**
+ * Stops polling. A poll already in progress finishes on its own.
+ */
+const stop = () => {
+
+    if (_timer !== null) {
+        clearInterval(_timer);
+        _timer = null;
+    }
+};
+
+module.exports = {
+    start,
+    stop,
+    run_once,
+    DEFAULT_INTERVAL_MS
+};
@@ -20,6 +20,7 @@
 
 const RECYCLE_MODEL = require('../exhibits/recycle_model');
 const AUTHORIZE = require('../auth/authorize');
+const AUDIT = require('../audit/model');
 const LOGGER = require('../libs/log4');
 
 const VALID_TYPES = ['exhibit', 'heading', 'item', 'grid', 'timeline'];
@@ -106,6 +107,7 @@ exports.restore_recycled_record = async function (req, res) {
         }
 
         const result = await RECYCLE_MODEL.restore_recycled_record(type, uuid);
+        await AUDIT.record_success(req, result.status, { action: 'restore', record_type: type, record_uuid: uuid, exhibit_uuid: exhibit_id });
         return res.status(result.status).send(result);
 
     } catch (error) {
@@ -140,6 +142,7 @@ exports.delete_recycled_record = async function (req, res) {
         }
 
         const result = await RECYCLE_MODEL.delete_recycled_record(type, uuid);
+        await AUDIT.record_success(req, result.status, { action: 'purge', record_type: type, record_uuid: uuid, exhibit_uuid: exhibit_id });
         return res.status(result.status).send(result);
 
     } catch (error) {
@@ -168,6 +171,7 @@ exports.delete_all_recycled_records = async function (req, res) {
         }
 
         const result = await RECYCLE_MODEL.delete_all_recycled_records(created_by);
+        await AUDIT.record_success(req, result.status, { action: 'purge_all', record_type: 'recycle_bin', after: { scope: created_by ? 'own' : 'all' } });
         return res.status(result.status).send(result);
 
     } catch (error) {
@@ -19,9 +19,11 @@
 'use strict';
 
 const LOGGER = require('../libs/log4');
+const INDEX_JOB_MODEL = require('./index_job_model');
+const INDEX_JOB_WORKER = require('./index_job_worker');
 
 /**
- * Coalesces (debounces) fire-and-forget re-index tasks by key.
+ * Coalesces (debounces) background re-index work by key.
  *
  * After Phase 1 of the publish-amplification work, an edit to a published exhibit
  * re-indexes a single doc in place (a cheap idempotent ES upsert) — there is no
@@ -31,60 +33,67 @@ const LOGGER = require('../libs/log4');
  *
  * This module replaces both: a per-key debounce so a burst of edits to the SAME
  * component collapses to ONE trailing re-index, run a short window after the burst
- * settles (near-real-time instead of 5 s-stale). The app is single-instance (no
- * Redis), so an in-process Map is the coalescing surface — same idiom as the
- * per-exhibit reorder coalescing introduced in modified-73, generalized.
+ * settles (near-real-time instead of 5 s-stale).
+ *
+ * The work is a job in the durable index queue (index_job_model) rather than an
+ * in-memory timer, so it survives a restart and is retried with backoff when
+ * Elasticsearch is unavailable; the pending row for a key is what the debounce
+ * replaces. Jobs are described by a type and a JSON payload, not a closure, so
+ * they can be stored.
  */
 
 // Default debounce window. Short enough to feel near-instant publicly, long enough
 // to coalesce rapid auto-saves / successive edits to the same component.
 const DEFAULT_DEBOUNCE_MS = 1000;
 
-// key -> pending Timeout. Keyed by the component being re-indexed (e.g. `item:<uuid>`).
-const _timers = new Map();
-
 /**
- * Debounce an async re-index task by key. A new call for the same key cancels the
- * pending one, so only the latest task runs — `delay` ms after the last call.
- * Errors thrown by `task` are logged, never propagated (callers are fire-and-forget
- * `setImmediate` handlers, so there is nothing to catch them).
+ * Debounce a re-index job by key. A new call for the same key replaces the work
+ * of the job still pending under it, so only the latest runs — `delay` ms after
+ * the last call. Failing to queue is logged, never propagated (callers are
+ * fire-and-forget handlers that have already answered the request).
  *
- * @param {string} key - coalescing key; same key => same debounced slot
- * @param {() => Promise<any>} task - the re-index to run when the burst settles
+ * @param {string} key - coalescing key; same key => same pending job
+ * @param {string} type - index job type (see index_job_model JOB_HANDLERS)
+ * @param {Object} payload - the job's arguments, e.g. {exhibit_uuid, uuid}
  * @param {number} [delay=DEFAULT_DEBOUNCE_MS] - debounce window in ms
+ * @returns {Promise<void>}
  */
-const schedule_reindex = (key, task, delay = DEFAULT_DEBOUNCE_MS) => {
+const schedule_reindex = async (key, type, payload, delay = DEFAULT_DEBOUNCE_MS) => {
 
-    const existing = _timers.get(key);
+    try {
+        await INDEX_JOB_MODEL.enqueue_job(key, type, payload, delay);
+        INDEX_JOB_WORKER.wake(delay);
 
-    if (existing !== undefined) {
-        clearTimeout(existing);
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/reindex_coalescer (schedule_reindex)] Unable to queue ${type} for ${key}: ${error.message}`, {
+            key,
+            stack: error.stack
+        });
     }
+};
 
-    const timer = setTimeout(async () => {
-
-        _timers.delete(key);
-
-        try {
-            await task();
-        } catch (error) {
-            LOGGER.module().error(`ERROR: [/exhibits/reindex_coalescer (schedule_reindex)] ${error.message}`, {
-                key,
-                stack: error.stack
-            });
-        }
-    }, delay);
-
-    // A pending re-index must never keep the Node process alive at shutdown.
-    if (typeof timer.unref === 'function') {
-        timer.unref();
-    }
+/**
+ * Queue the index side of a suppress (a document removal, or a grid or timeline
+ * rebuilt without a suppressed item) to run right away. It replaces any
+ * re-index still pending under the key, and Elasticsearch failures are retried
+ * and dead-lettered like any other job. Unlike schedule_reindex, failing to
+ * queue is thrown: the caller must not report the record suppressed while its
+ * document may stay public.
+ *
+ * @param {string} key - coalescing key, e.g. `item:<uuid>`
+ * @param {string} type - index job type (see index_job_model JOB_HANDLERS)
+ * @param {Object} payload - the job's arguments
+ * @returns {Promise<void>}
+ * @throws {Error} When the job could not be queued
+ */
+const schedule_suppress = async (key, type, payload) => {
 
-    _timers.set(key, timer);
+    await INDEX_JOB_MODEL.enqueue_job(key, type, payload);
+    INDEX_JOB_WORKER.wake(0);
 };
 
 module.exports = {
     schedule_reindex,
-    DEFAULT_DEBOUNCE_MS,
-    _timers // exposed for tests/diagnostics only
+    schedule_suppress,
+    DEFAULT_DEBOUNCE_MS
 };
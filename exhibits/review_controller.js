@@ -0,0 +1,190 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const REVIEW_MODEL = require('../exhibits/review_model');
+const AUTHORIZE = require('../auth/authorize');
+const AUDIT = require('../audit/model');
+const LOGGER = require('../libs/log4');
+const {
+    validate_string_param,
+    has_path_traversal,
+    validate_model_result
+} = require('../exhibits/exhibits_helper');
+
+/**
+ * Permission checks per review action, all of which must pass. Submitting is
+ * also an edit of the exhibit, so the curator must be able to update it (own
+ * exhibit, or any exhibit); reviewing is not tied to ownership.
+ */
+const ACTION_PERMISSIONS = {
+    submit: [['submit_exhibit_for_review'], ['update_exhibit', 'update_any_exhibit']],
+    approve: [['approve_exhibit']],
+    request_changes: [['request_exhibit_changes']]
+};
+
+function has_authorize() {
+    return AUTHORIZE && typeof AUTHORIZE.check_permission === 'function';
+}
+
+/**
+ * Validates the exhibit UUID route parameter
+ * @param {string} value - Parameter value
+ * @returns {string|null} Error message, or null when valid
+ */
+function check_exhibit_id(value) {
+    const check = validate_string_param(value, 'exhibit UUID');
+
+    if (!check.valid) {
+        return check.error_message;
+    }
+
+    return has_path_traversal(value) ? 'Invalid exhibit UUID format' : null;
+}
+
+/**
+ * Shared POST handler for the review transitions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} action - submit|approve|request_changes
+ * @returns {Promise<void>}
+ */
+async function run_transition(req, res, action) {
+
+    const exhibit_id = req.params.exhibit_id;
+    const data = req.body || {};
+    const error_message = check_exhibit_id(exhibit_id);
+
+    if (error_message) {
+        return res.status(400).json({ success: false, message: error_message, data: null });
+    }
+
+    if (!has_authorize()) {
+        return res.status(500).json({ success: false, message: 'Authorization service unavailable.', data: null });
+    }
+
+    for (const permissions of ACTION_PERMISSIONS[action]) {
+
+        const is_authorized = await AUTHORIZE.check_permission({
+            req,
+            permissions,
+            record_type: 'exhibit',
+            parent_id: exhibit_id,
+            child_id: null
+        });
+
+        if (is_authorized !== true) {
+            LOGGER.module().warn(`WARNING: [/exhibits/review_controller (run_transition)] Unauthorized ${action} for exhibit: ${exhibit_id} by user: ${req.decoded?.sub || 'unknown'}`);
+            return res.status(403).json({ success: false, message: 'Unauthorized request', data: null });
+        }
+    }
+
+    const created_by = (typeof data.created_by === 'string' && data.created_by.trim())
+        || req.decoded?.sub
+        || null;
+
+    const result = await REVIEW_MODEL.transition_exhibit(exhibit_id, action, data.comment, created_by);
+
+    if (!validate_model_result(result)) {
+        throw new Error('Invalid response from model');
+    }
+
+    await AUDIT.record_success(req, result.status, {
+        action: `review_${action}`,
+        record_type: 'exhibit',
+        record_uuid: exhibit_id,
+        after: { workflow_state: result.data?.workflow_state, comment: data.comment }
+    });
+
+    return res.status(result.status).json({
+        success: result.status === 200,
+        message: result.message,
+        data: result.data || null
+    });
+}
+
+/**
+ * GET — an exhibit's review state and review log
+ */
+exports.get_exhibit_review = async function (req, res) {
+
+    try {
+
+        const error_message = check_exhibit_id(req.params.exhibit_id);
+
+        if (error_message) {
+            return res.status(400).json({ success: false, message: error_message, data: null });
+        }
+
+        const result = await REVIEW_MODEL.get_review(req.params.exhibit_id);
+
+        if (!validate_model_result(result)) {
+            throw new Error('Invalid response from model');
+        }
+
+        return res.status(result.status).json({
+            success: result.status === 200,
+            message: result.message,
+            data: result.data || null
+        });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/review_controller (get_exhibit_review)] ${error.message}`);
+        return res.status(500).json({ success: false, message: 'Unable to retrieve exhibit review state', data: null });
+    }
+};
+
+/**
+ * POST — submit an exhibit for review (draft or changes requested -> in review)
+ */
+exports.submit_exhibit_for_review = async function (req, res) {
+
+    try {
+        return await run_transition(req, res, 'submit');
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/review_controller (submit_exhibit_for_review)] ${error.message}`);
+        return res.status(500).json({ success: false, message: 'Unable to submit exhibit for review', data: null });
+    }
+};
+
+/**
+ * POST — approve an exhibit in review
+ */
+exports.approve_exhibit = async function (req, res) {
+
+    try {
+        return await run_transition(req, res, 'approve');
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/review_controller (approve_exhibit)] ${error.message}`);
+        return res.status(500).json({ success: false, message: 'Unable to approve exhibit', data: null });
+    }
+};
+
+/**
+ * POST — send an exhibit in review back to its curator; `comment` is required
+ */
+exports.request_exhibit_changes = async function (req, res) {
+
+    try {
+        return await run_transition(req, res, 'request_changes');
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/review_controller (request_exhibit_changes)] ${error.message}`);
+        return res.status(500).json({ success: false, message: 'Unable to request changes', data: null });
+    }
+};
@@ -0,0 +1,284 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const DB = require('../config/db_config')();
+const DB_TABLES = require('../config/db_tables_config')();
+const TABLES = DB_TABLES.exhibits;
+const EXHIBIT_REVIEW_TASKS = require('./tasks/exhibit_review_tasks');
+const LOGGER = require('../libs/log4');
+const {is_valid_uuid, build_response} = require('./common_helper');
+
+const CONSTANTS = {
+    STATUS_CODES: {
+        OK: 200,
+        BAD_REQUEST: 400,
+        NOT_FOUND: 404,
+        CONFLICT: 409
+    },
+    STATES: {
+        DRAFT: 'draft',
+        IN_REVIEW: 'in_review',
+        CHANGES_REQUESTED: 'changes_requested',
+        APPROVED: 'approved',
+        PUBLISHED: 'published'
+    },
+    // EXHIBIT_REVIEW_WORKFLOW values
+    MODES: ['off', 'student_curated', 'all'],
+    MAX_COMMENT_LENGTH: 5000
+};
+
+/**
+ * Review transitions. Publishing is not listed here: it stays on the normal
+ * publish path, which asks is_publishable() first.
+ */
+const TRANSITIONS = {
+    submit: {
+        from: [CONSTANTS.STATES.DRAFT, CONSTANTS.STATES.CHANGES_REQUESTED],
+        to: CONSTANTS.STATES.IN_REVIEW
+    },
+    approve: {
+        from: [CONSTANTS.STATES.IN_REVIEW],
+        to: CONSTANTS.STATES.APPROVED
+    },
+    request_changes: {
+        from: [CONSTANTS.STATES.IN_REVIEW],
+        to: CONSTANTS.STATES.CHANGES_REQUESTED,
+        comment_required: true
+    }
+};
+
+const review_task = new EXHIBIT_REVIEW_TASKS(DB, TABLES);
+
+/**
+ * Reads EXHIBIT_REVIEW_WORKFLOW. Unset or unrecognised values mean off.
+ * @returns {string} off|student_curated|all
+ */
+const get_review_mode = () => {
+    const mode = String(process.env.EXHIBIT_REVIEW_WORKFLOW || '').trim().toLowerCase();
+    return CONSTANTS.MODES.includes(mode) ? mode : 'off';
+};
+
+/**
+ * Whether an exhibit must be approved before it can be published
+ * @param {Object} record - Exhibit record with is_student_curated
+ * @returns {boolean}
+ */
+const requires_review = (record) => {
+    const mode = get_review_mode();
+    return mode === 'all' || (mode === 'student_curated' && Number(record?.is_student_curated) === 1);
+};
+
+/**
+ * Gets an exhibit's review state and log
+ * @param {string} exhibit_id - Exhibit UUID
+ * @returns {Promise<Object>} Response object; data is {uuid, workflow_state, requires_review, reviews}
+ */
+exports.get_review = async (exhibit_id) => {
+
+    try {
+
+        if (!is_valid_uuid(exhibit_id)) {
+            return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, 'Invalid UUID provided');
+        }
+
+        const record = await review_task.get_state(exhibit_id);
+
+        if (!record) {
+            return build_response(CONSTANTS.STATUS_CODES.NOT_FOUND, 'Exhibit not found');
+        }
+
+        const reviews = await review_task.get_reviews(exhibit_id);
+
+        return build_response(CONSTANTS.STATUS_CODES.OK, 'Exhibit review state retrieved', {
+            uuid: record.uuid,
+            workflow_state: record.workflow_state,
+            requires_review: requires_review(record),
+            reviews
+        });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/review_model (get_review)] ${error.message}`, {
+            exhibit_id,
+            stack: error.stack
+        });
+
+        return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, 'Unable to retrieve exhibit review state');
+    }
+};
+
+/**
+ * Runs a review transition (submit, approve, request_changes) on an exhibit
+ * @param {string} exhibit_id - Exhibit UUID
+ * @param {string} action - submit|approve|request_changes
+ * @param {string} [comment=null] - Reviewer comment; required to request changes
+ * @param {string} [created_by=null] - Display name of the user acting
+ * @returns {Promise<Object>} Response object; data is {uuid, workflow_state, review_uuid}
+ */
+exports.transition_exhibit = async (exhibit_id, action, comment = null, created_by = null) => {
+
+    try {
+
+        if (!is_valid_uuid(exhibit_id)) {
+            return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, 'Invalid UUID provided');
+        }
+
+        const transition = TRANSITIONS[action];
+
+        if (!transition) {
+            return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, `Unknown review action: ${action}`);
+        }
+
+        const trimmed_comment = typeof comment === 'string' ? comment.trim() : '';
+
+        if (transition.comment_required && trimmed_comment.length === 0) {
+            return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, 'A comment is required when requesting changes');
+        }
+
+        if (trimmed_comment.length > CONSTANTS.MAX_COMMENT_LENGTH) {
+            return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, `Comment must be ${CONSTANTS.MAX_COMMENT_LENGTH} characters or fewer`);
+        }
+
+        const result = await review_task.transition(exhibit_id, {
+            action,
+            from_states: transition.from,
+            to_state: transition.to,
+            comment: trimmed_comment || null,
+            created_by
+        });
+
+        if (!result) {
+            return build_response(CONSTANTS.STATUS_CODES.NOT_FOUND, 'Exhibit not found');
+        }
+
+        if (!result.changed) {
+            return build_response(CONSTANTS.STATUS_CODES.CONFLICT, `Cannot ${action.replace('_', ' ')} an exhibit that is ${result.from_state.replace('_', ' ')}`, {
+                uuid: exhibit_id,
+                workflow_state: result.from_state
+            });
+        }
+
+        return build_response(CONSTANTS.STATUS_CODES.OK, 'Exhibit review state updated', {
+            uuid: exhibit_id,
+            workflow_state: result.to_state,
+            review_uuid: result.review_uuid
+        });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/review_model (transition_exhibit)] ${error.message}`, {
+            exhibit_id,
+            action,
+            stack: error.stack
+        });
+
+        return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, 'Unable to update exhibit review state');
+    }
+};
+
+/**
+ * Whether an exhibit may be published: true unless the review workflow applies
+ * to it and it has not been approved. Throws on a database error so a failed
+ * check never lets an unapproved exhibit through.
+ * @param {string} exhibit_id - Exhibit UUID
+ * @returns {Promise<boolean>}
+ */
+exports.is_publishable = async (exhibit_id) => {
+
+    const record = await review_task.get_state(exhibit_id);
+
+    if (!record || !requires_review(record)) {
+        return true;
+    }
+
+    return record.workflow_state === CONSTANTS.STATES.APPROVED
+        || record.workflow_state === CONSTANTS.STATES.PUBLISHED;
+};
+
+/**
+ * Tracks a completed publish (published) or suppress (back to draft: an
+ * approval covers one publication, so republishing needs another review).
+ * Best-effort: the publish or suppress has already happened, so a failure
+ * here is logged, not raised.
+ * @param {string} exhibit_id - Exhibit UUID
+ * @param {boolean} is_published - True after a publish, false after a suppress
+ * @returns {Promise<void>}
+ */
+exports.record_publication = async (exhibit_id, is_published) => {
+
+    try {
+
+        if (is_published) {
+            await review_task.set_state(exhibit_id, CONSTANTS.STATES.PUBLISHED, [
+                CONSTANTS.STATES.DRAFT,
+                CONSTANTS.STATES.IN_REVIEW,
+                CONSTANTS.STATES.CHANGES_REQUESTED,
+                CONSTANTS.STATES.APPROVED
+            ]);
+        } else {
+            await review_task.set_state(exhibit_id, CONSTANTS.STATES.DRAFT, [
+                CONSTANTS.STATES.APPROVED,
+                CONSTANTS.STATES.PUBLISHED
+            ]);
+        }
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/review_model (record_publication)] ${error.message}`, {
+            exhibit_id,
+            is_published,
+            stack: error.stack
+        });
+    }
+};
+
+/**
+ * Returns an approved exhibit under review to draft after its content changes,
+ * so the changed content is reviewed before it is published. Called after every
+ * save to the exhibit or its components. A published exhibit stays published:
+ * edits to a live exhibit go live as they are saved and are not re-reviewed,
+ * and review applies again once it is suppressed (see record_publication).
+ * Best-effort, like record_publication: the save has already happened.
+ * @param {string} exhibit_id - Exhibit UUID
+ * @returns {Promise<void>}
+ */
+exports.revoke_approval = async (exhibit_id) => {
+
+    try {
+
+        if (get_review_mode() === 'off') {
+            return;
+        }
+
+        const record = await review_task.get_state(exhibit_id);
+
+        if (!record || !requires_review(record)) {
+            return;
+        }
+
+        await review_task.set_state(exhibit_id, CONSTANTS.STATES.DRAFT, [CONSTANTS.STATES.APPROVED]);
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/review_model (revoke_approval)] ${error.message}`, {
+            exhibit_id,
+            stack: error.stack
+        });
+    }
+};
+
+exports.requires_review = requires_review;
+exports.get_review_mode = get_review_mode;
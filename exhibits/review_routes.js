@@ -0,0 +1,64 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const CONTROLLER = require('../exhibits/review_controller');
+const ENDPOINTS = require('../exhibits/endpoints/index');
+const TOKEN = require('../libs/tokens');
+const { rate_limits } = require('../config/rate_limits_loader');
+
+// Surface a rejected handler promise to Express' error handling.
+const async_handler = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+module.exports = function (app) {
+
+    const endpoints = ENDPOINTS();
+
+    // Review state and review log of an exhibit.
+    app.route(endpoints.exhibits.exhibit_review.get.endpoint)
+        .get(
+            rate_limits.read_operations,
+            TOKEN.verify,
+            async_handler(CONTROLLER.get_exhibit_review)
+        );
+
+    // Curator: draft / changes requested -> in review.
+    app.route(endpoints.exhibits.exhibit_review_submit.post.endpoint)
+        .post(
+            rate_limits.state_change_operations,
+            TOKEN.verify,
+            async_handler(CONTROLLER.submit_exhibit_for_review)
+        );
+
+    // Reviewer: in review -> approved.
+    app.route(endpoints.exhibits.exhibit_review_approve.post.endpoint)
+        .post(
+            rate_limits.state_change_operations,
+            TOKEN.verify,
+            async_handler(CONTROLLER.approve_exhibit)
+        );
+
+    // Reviewer: in review -> changes requested (comment required).
+    app.route(endpoints.exhibits.exhibit_review_request_changes.post.endpoint)
+        .post(
+            rate_limits.state_change_operations,
+            TOKEN.verify,
+            async_handler(CONTROLLER.request_exhibit_changes)
+        );
+};
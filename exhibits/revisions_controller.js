@@ -0,0 +1,144 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const REVISIONS_MODEL = require('../exhibits/revisions_model');
+const AUTHORIZE = require('../auth/authorize');
+const AUDIT = require('../audit/model');
+const LOGGER = require('../libs/log4');
+
+function has_authorize() {
+    return AUTHORIZE && typeof AUTHORIZE.check_permission === 'function';
+}
+
+/**
+ * A restore is an update of the revision's record, so it needs the SAME
+ * permission + ownership rule as editing that record type:
+ *   exhibit     -> update_exhibit / update_any_exhibit, owned via the exhibit uuid
+ *   any other   -> update_item / update_any_item, owned via the parent exhibit
+ */
+function restore_authz_options(exhibit_id, revision) {
+    if (revision.record_type === 'exhibit') {
+        return { permissions: ['update_exhibit', 'update_any_exhibit'], record_type: 'exhibit', parent_id: exhibit_id };
+    }
+    return { permissions: ['update_item', 'update_any_item'], record_type: revision.record_type, parent_id: exhibit_id, child_id: revision.record_uuid };
+}
+
+/**
+ * GET — list revisions for an exhibit and all of its components, newest first.
+ * `?record_id=<uuid>` narrows the list to a single component (or the exhibit itself).
+ */
+exports.get_revision_records = async function (req, res) {
+
+    try {
+
+        const exhibit_id = req.params.exhibit_id;
+        const record_id = req.query.record_id || null;
+
+        if (!exhibit_id) {
+            return res.status(400).send({ message: 'Bad request.' });
+        }
+
+        const result = await REVISIONS_MODEL.get_revision_records(exhibit_id, record_id);
+        return res.status(result.status).send(result);
+
+    } catch (error) {
+        LOGGER.module().error('ERROR: [/exhibits/revisions_controller (get_revision_records)] ' + error.message);
+        return res.status(500).send({ message: `Unable to get revision records. ${error.message}` });
+    }
+};
+
+/**
+ * GET — a single revision with its full snapshot and the record's current state.
+ */
+exports.get_revision_record = async function (req, res) {
+
+    try {
+
+        const exhibit_id = req.params.exhibit_id;
+        const revision_id = req.params.revision_id;
+
+        if (!exhibit_id || !revision_id) {
+            return res.status(400).send({ message: 'Bad request.' });
+        }
+
+        const result = await REVISIONS_MODEL.get_revision_record(exhibit_id, revision_id);
+        return res.status(result.status).send(result);
+
+    } catch (error) {
+        LOGGER.module().error('ERROR: [/exhibits/revisions_controller (get_revision_record)] ' + error.message);
+        return res.status(500).send({ message: `Unable to get revision record. ${error.message}` });
+    }
+};
+
+/**
+ * POST — restore the revision's record to the captured state. Requires update
+ * permission + ownership for that record type.
+ */
+exports.restore_revision = async function (req, res) {
+
+    try {
+
+        const exhibit_id = req.params.exhibit_id;
+        const revision_id = req.params.revision_id;
+
+        if (!exhibit_id || !revision_id) {
+            return res.status(400).send({ message: 'Bad request.' });
+        }
+
+        if (!has_authorize()) {
+            return res.status(500).send({ message: 'Authorization service unavailable.' });
+        }
+
+        const revision = await REVISIONS_MODEL.get_revision_record(exhibit_id, revision_id);
+
+        if (revision.status !== 200) {
+            return res.status(revision.status).send(revision);
+        }
+
+        const is_authorized = await AUTHORIZE.check_permission({ req, ...restore_authz_options(exhibit_id, revision.data) });
+
+        if (is_authorized !== true) {
+            LOGGER.module().warn(`WARNING: [/exhibits/revisions_controller (restore_revision)] Unauthorized restore attempt for revision: ${revision_id} by user: ${req.decoded?.sub || 'unknown'}`);
+            return res.status(403).send({ message: 'You do not have permission to perform this action.' });
+        }
+
+        // Same attribution the edit forms send (display name), falling back to the token subject.
+        const restored_by = (req.body && typeof req.body.updated_by === 'string' && req.body.updated_by.trim())
+            || req.decoded?.sub
+            || 'unknown';
+
+        const result = await REVISIONS_MODEL.restore_revision(exhibit_id, revision_id, restored_by);
+
+        await AUDIT.record_success(req, result.status, {
+            action: 'restore_revision',
+            record_type: revision.data.record_type,
+            record_uuid: revision.data.record_uuid,
+            exhibit_uuid: exhibit_id,
+            before: revision.data.current,
+            after: {revision_uuid: revision_id, version: revision.data.version}
+        });
+
+        return res.status(result.status).send(result);
+
+    } catch (error) {
+        LOGGER.module().error('ERROR: [/exhibits/revisions_controller (restore_revision)] ' + error.message);
+        return res.status(500).send({ message: `Unable to restore revision. ${error.message}` });
+    }
+};
@@ -0,0 +1,292 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const DB = require('../config/db_config')();
+const DB_TABLES = require('../config/db_tables_config')();
+const TABLES = DB_TABLES.exhibits;
+const EXHIBIT_REVISION_RECORD_TASKS = require('./tasks/exhibit_revision_record_tasks');
+const EXHIBITS_MODEL = require('./exhibits_model');
+const HEADINGS_MODEL = require('./headings_model');
+const ITEMS_MODEL = require('./items_model');
+const GRIDS_MODEL = require('./grid_model');
+const TIMELINES_MODEL = require('./timelines_model');
+const EXHIBITS_UPDATE_RECORD_SCHEMA = require('./schemas/exhibit_update_record_schema')();
+const EXHIBITS_UPDATE_HEADING_SCHEMA = require('./schemas/exhibit_heading_update_record_schema')();
+const REINDEX_COALESCER = require('./reindex_coalescer');
+const LOGGER = require('../libs/log4');
+const {is_valid_uuid, build_response} = require('./common_helper');
+
+const CONSTANTS = {
+    STATUS_CODES: {
+        OK: 200,
+        CREATED: 201,
+        BAD_REQUEST: 400,
+        NOT_FOUND: 404,
+        CONFLICT: 409,
+        INTERNAL_SERVER_ERROR: 500
+    },
+    PUBLICATION_STATUS: {
+        PUBLISHED: 1
+    }
+};
+
+const revision_task = new EXHIBIT_REVISION_RECORD_TASKS(DB, TABLES);
+
+/**
+ * Per-type restore strategy. `update` re-runs the record type's normal update
+ * path (validation, style preparation, task-layer whitelist, revision capture);
+ * `reindex` gives the index job type and payload the type's edit path queues for
+ * published records, keyed identically so a restore coalesces with any pending edit.
+ * `schema` lists the ajv-validated string fields, which a null column would fail.
+ */
+const RESTORE_HANDLERS = {
+    exhibit: {
+        schema: EXHIBITS_UPDATE_RECORD_SCHEMA,
+        update: (record, data, options) => EXHIBITS_MODEL.update_exhibit_record(record.uuid, data, options),
+        reindex: (record) => ['index_exhibit', {uuid: record.uuid}]
+    },
+    heading: {
+        schema: EXHIBITS_UPDATE_HEADING_SCHEMA,
+        update: (record, data, options) => HEADINGS_MODEL.update_heading_record(record.is_member_of_exhibit, record.uuid, data, options),
+        reindex: (record) => ['publish_heading', {exhibit_uuid: record.is_member_of_exhibit, uuid: record.uuid}]
+    },
+    item: {
+        update: (record, data, options) => ITEMS_MODEL.update_item_record(record.is_member_of_exhibit, record.uuid, data, options),
+        reindex: (record) => ['publish_item', {exhibit_uuid: record.is_member_of_exhibit, uuid: record.uuid}]
+    },
+    grid: {
+        update: (record, data, options) => GRIDS_MODEL.update_grid_record(record.is_member_of_exhibit, record.uuid, data, options),
+        reindex: (record) => ['publish_grid', {exhibit_uuid: record.is_member_of_exhibit, uuid: record.uuid}]
+    },
+    grid_item: {
+        update: (record, data, options) => GRIDS_MODEL.update_grid_item_record(record.is_member_of_exhibit, record.is_member_of_grid, record.uuid, data, options),
+        reindex: (record) => ['publish_grid_item', {exhibit_uuid: record.is_member_of_exhibit, container_uuid: record.is_member_of_grid, uuid: record.uuid}]
+    },
+    timeline: {
+        update: (record, data, options) => TIMELINES_MODEL.update_timeline_record(record.is_member_of_exhibit, record.uuid, data, options),
+        reindex: (record) => ['publish_timeline', {exhibit_uuid: record.is_member_of_exhibit, uuid: record.uuid}]
+    },
+    timeline_item: {
+        update: (record, data, options) => TIMELINES_MODEL.update_timeline_item_record(record.is_member_of_exhibit, record.is_member_of_timeline, record.uuid, data, options),
+        reindex: (record) => ['publish_timeline_item', {exhibit_uuid: record.is_member_of_exhibit, container_uuid: record.is_member_of_timeline, uuid: record.uuid}]
+    }
+};
+
+/**
+ * Builds the update payload for a restore from a revision snapshot
+ * @param {string} record_type - Record type
+ * @param {Object} snapshot - Revision snapshot
+ * @returns {Object} Content fields only
+ */
+const build_restore_data = (record_type, snapshot) => {
+
+    const data = {};
+    const schema = RESTORE_HANDLERS[record_type].schema || {};
+
+    for (const [field, value] of Object.entries(snapshot || {})) {
+
+        if (revision_task.NON_CONTENT_FIELDS.includes(field)) {
+            continue;
+        }
+
+        data[field] = value === null && schema[field]?.type === 'string' ? '' : value;
+    }
+
+    return data;
+};
+
+/**
+ * Gets revisions for an exhibit and its components, or for one component
+ * @param {string} exhibit_id - Exhibit UUID
+ * @param {string|null} record_uuid - Optional component UUID filter
+ * @returns {Promise<Object>} Response object
+ */
+exports.get_revision_records = async (exhibit_id, record_uuid = null) => {
+
+    try {
+
+        if (!is_valid_uuid(exhibit_id) || (record_uuid && !is_valid_uuid(record_uuid))) {
+            return build_response(
+                CONSTANTS.STATUS_CODES.BAD_REQUEST,
+                'Invalid UUID provided'
+            );
+        }
+
+        const records = await revision_task.get_revision_records(exhibit_id, record_uuid);
+
+        return build_response(
+            CONSTANTS.STATUS_CODES.OK,
+            'Revision records',
+            records
+        );
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/revisions_model (get_revision_records)] ${error.message}`, {
+            exhibit_id,
+            record_uuid,
+            stack: error.stack
+        });
+
+        return build_response(
+            CONSTANTS.STATUS_CODES.INTERNAL_SERVER_ERROR,
+            `Unable to get revision records: ${error.message}`
+        );
+    }
+};
+
+/**
+ * Gets a single revision with its snapshot and the record's current state, so
+ * the dashboard can diff "this revision" against "now"
+ * @param {string} exhibit_id - Exhibit UUID
+ * @param {string} revision_id - Revision UUID
+ * @returns {Promise<Object>} Response object
+ */
+exports.get_revision_record = async (exhibit_id, revision_id) => {
+
+    try {
+
+        if (!is_valid_uuid(exhibit_id) || !is_valid_uuid(revision_id)) {
+            return build_response(
+                CONSTANTS.STATUS_CODES.BAD_REQUEST,
+                'Invalid UUID provided'
+            );
+        }
+
+        const revision = await revision_task.get_revision_record(exhibit_id, revision_id);
+
+        if (!revision) {
+            return build_response(
+                CONSTANTS.STATUS_CODES.NOT_FOUND,
+                'Revision not found'
+            );
+        }
+
+        const current = await revision_task.get_record_state(revision.record_type, revision.record_uuid);
+
+        revision.current = current;
+        revision.changes_since = current ? revision_task.build_changes(revision.snapshot, current) : {};
+
+        return build_response(
+            CONSTANTS.STATUS_CODES.OK,
+            'Revision record',
+            revision
+        );
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/revisions_model (get_revision_record)] ${error.message}`, {
+            exhibit_id,
+            revision_id,
+            stack: error.stack
+        });
+
+        return build_response(
+            CONSTANTS.STATUS_CODES.INTERNAL_SERVER_ERROR,
+            `Unable to get revision record: ${error.message}`
+        );
+    }
+};
+
+/**
+ * Restores a component to the state captured in a revision. The restore goes
+ * through the record type's own update path, so it is validated exactly like a
+ * curator's save and is itself recorded as a new (`restore`) revision; history
+ * is never rewritten. Published records are re-indexed via the reindex coalescer.
+ * @param {string} exhibit_id - Exhibit UUID
+ * @param {string} revision_id - Revision UUID
+ * @param {string} restored_by - User performing the restore
+ * @returns {Promise<Object>} Response object
+ */
+exports.restore_revision = async (exhibit_id, revision_id, restored_by) => {
+
+    try {
+
+        if (!is_valid_uuid(exhibit_id) || !is_valid_uuid(revision_id)) {
+            return build_response(
+                CONSTANTS.STATUS_CODES.BAD_REQUEST,
+                'Invalid UUID provided'
+            );
+        }
+
+        const revision = await revision_task.get_revision_record(exhibit_id, revision_id);
+
+        if (!revision) {
+            return build_response(
+                CONSTANTS.STATUS_CODES.NOT_FOUND,
+                'Revision not found'
+            );
+        }
+
+        const handler = RESTORE_HANDLERS[revision.record_type];
+
+        if (!handler) {
+            return build_response(
+                CONSTANTS.STATUS_CODES.BAD_REQUEST,
+                `Invalid record type: ${revision.record_type}`
+            );
+        }
+
+        const current = await revision_task.get_record_state(revision.record_type, revision.record_uuid);
+
+        if (!current || current.is_deleted === 1) {
+            return build_response(
+                CONSTANTS.STATUS_CODES.CONFLICT,
+                'Record no longer exists. Restore it from the recycle bin first.'
+            );
+        }
+
+        const data = build_restore_data(revision.record_type, revision.snapshot);
+        data.updated_by = restored_by || '';
+
+        const result = await handler.update(current, data, {restored_from: revision.uuid});
+
+        if (!result || result.status !== CONSTANTS.STATUS_CODES.CREATED) {
+            return result || build_response(
+                CONSTANTS.STATUS_CODES.INTERNAL_SERVER_ERROR,
+                'Unable to restore revision'
+            );
+        }
+
+        if (current.is_published === CONSTANTS.PUBLICATION_STATUS.PUBLISHED) {
+            await REINDEX_COALESCER.schedule_reindex(`${revision.record_type}:${current.uuid}`, ...handler.reindex(current));
+        }
+
+        return build_response(
+            CONSTANTS.STATUS_CODES.OK,
+            'Revision restored',
+            {
+                record_type: revision.record_type,
+                record_uuid: current.uuid,
+                restored_from: revision.uuid
+            }
+        );
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/revisions_model (restore_revision)] ${error.message}`, {
+            exhibit_id,
+            revision_id,
+            stack: error.stack
+        });
+
+        return build_response(
+            CONSTANTS.STATUS_CODES.INTERNAL_SERVER_ERROR,
+            `Unable to restore revision: ${error.message}`
+        );
+    }
+};
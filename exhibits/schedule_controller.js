@@ -0,0 +1,197 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const SCHEDULE_MODEL = require('../exhibits/schedule_model');
+const AUTHORIZE = require('../auth/authorize');
+const AUDIT = require('../audit/model');
+const LOGGER = require('../libs/log4');
+const {
+    validate_string_param,
+    has_path_traversal,
+    validate_model_result
+} = require('../exhibits/exhibits_helper');
+
+// Scheduling a transition needs the same permission as running it by hand.
+const SCHEDULE_PERMISSIONS = {
+    exhibit: {
+        publish_at: ['publish_exhibit', 'publish_any_exhibit'],
+        suppress_at: ['suppress_exhibit', 'suppress_any_exhibit']
+    },
+    item: {
+        publish_at: ['publish_item', 'publish_any_item'],
+        suppress_at: ['suppress_item', 'suppress_any_item']
+    }
+};
+
+function has_authorize() {
+    return AUTHORIZE && typeof AUTHORIZE.check_permission === 'function';
+}
+
+/**
+ * Validates a UUID route parameter
+ * @param {string} value - Parameter value
+ * @param {string} label - Name used in the error message
+ * @returns {string|null} Error message, or null when valid
+ */
+function check_uuid_param(value, label) {
+    const check = validate_string_param(value, label);
+
+    if (!check.valid) {
+        return check.error_message;
+    }
+
+    return has_path_traversal(value) ? `Invalid ${label} format` : null;
+}
+
+/**
+ * Shared PUT handler: checks the permission for each schedule field being
+ * changed, then hands the body to the model
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} record_type - exhibit|item
+ * @param {string} record_id - UUID of the record being scheduled
+ * @returns {Promise<void>}
+ */
+async function set_schedule(req, res, record_type, record_id) {
+
+    const exhibit_id = req.params.exhibit_id;
+    const data = req.body || {};
+    const fields = Object.keys(SCHEDULE_PERMISSIONS[record_type]).filter((field) => field in data);
+
+    if (fields.length === 0) {
+        return res.status(400).json({ success: false, message: 'publish_at or suppress_at is required', data: null });
+    }
+
+    if (!has_authorize()) {
+        return res.status(500).json({ success: false, message: 'Authorization service unavailable.', data: null });
+    }
+
+    for (const field of fields) {
+
+        const is_authorized = await AUTHORIZE.check_permission({
+            req,
+            permissions: SCHEDULE_PERMISSIONS[record_type][field],
+            record_type,
+            parent_id: exhibit_id,
+            child_id: record_type === 'exhibit' ? null : record_id
+        });
+
+        if (is_authorized !== true) {
+            LOGGER.module().warn(`WARNING: [/exhibits/schedule_controller (set_schedule)] Unauthorized ${field} change for ${record_type}: ${record_id} by user: ${req.decoded?.sub || 'unknown'}`);
+            return res.status(403).json({ success: false, message: 'Unauthorized request', data: null });
+        }
+    }
+
+    const schedule = {};
+    fields.forEach((field) => { schedule[field] = data[field]; });
+
+    const scheduled_by = (typeof data.scheduled_by === 'string' && data.scheduled_by.trim())
+        || req.decoded?.sub
+        || null;
+
+    const result = await SCHEDULE_MODEL.set_schedule(record_type, exhibit_id, record_id, schedule, scheduled_by);
+
+    if (!validate_model_result(result)) {
+        throw new Error('Invalid response from model');
+    }
+
+    // A body that only sends nulls clears the schedule
+    await AUDIT.record_success(req, result.status, {
+        action: fields.some((field) => data[field] !== null) ? 'schedule' : 'unschedule',
+        record_type,
+        record_uuid: record_id,
+        exhibit_uuid: exhibit_id,
+        after: {publish_at: result.data?.publish_at ?? null, suppress_at: result.data?.suppress_at ?? null}
+    });
+
+    return res.status(result.status).json({
+        success: result.status === 200,
+        message: result.message,
+        data: result.data || null
+    });
+}
+
+/**
+ * PUT — set or clear an exhibit's scheduled publish/suppress times
+ */
+exports.set_exhibit_schedule = async function (req, res) {
+
+    try {
+
+        const error_message = check_uuid_param(req.params.exhibit_id, 'exhibit UUID');
+
+        if (error_message) {
+            return res.status(400).json({ success: false, message: error_message, data: null });
+        }
+
+        return await set_schedule(req, res, 'exhibit', req.params.exhibit_id);
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/schedule_controller (set_exhibit_schedule)] ${error.message}`);
+        return res.status(500).json({ success: false, message: 'Unable to update exhibit schedule', data: null });
+    }
+};
+
+/**
+ * PUT — set or clear a standard item's scheduled publish/suppress times
+ */
+exports.set_item_schedule = async function (req, res) {
+
+    try {
+
+        const error_message = check_uuid_param(req.params.exhibit_id, 'exhibit UUID')
+            || check_uuid_param(req.params.item_id, 'item UUID');
+
+        if (error_message) {
+            return res.status(400).json({ success: false, message: error_message, data: null });
+        }
+
+        return await set_schedule(req, res, 'item', req.params.item_id);
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/schedule_controller (set_item_schedule)] ${error.message}`);
+        return res.status(500).json({ success: false, message: 'Unable to update item schedule', data: null });
+    }
+};
+
+/**
+ * GET — pending scheduled transitions for the dashboard, soonest first
+ */
+exports.get_scheduled_transitions = async function (req, res) {
+
+    try {
+
+        const result = await SCHEDULE_MODEL.get_scheduled_transitions();
+
+        if (!validate_model_result(result)) {
+            throw new Error('Invalid response from model');
+        }
+
+        return res.status(result.status).json({
+            success: result.status === 200,
+            message: result.message,
+            data: result.data || []
+        });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/schedule_controller (get_scheduled_transitions)] ${error.message}`);
+        return res.status(500).json({ success: false, message: 'Unable to retrieve scheduled transitions', data: null });
+    }
+};
@@ -0,0 +1,261 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const DB = require('../config/db_config')();
+const DB_TABLES = require('../config/db_tables_config')();
+const TABLES = DB_TABLES.exhibits;
+const EXHIBIT_SCHEDULE_TASKS = require('./tasks/exhibit_schedule_tasks');
+const EXHIBITS_MODEL = require('./exhibits_model');
+const ITEMS_MODEL = require('./items_model');
+const LOGGER = require('../libs/log4');
+const {is_valid_uuid, build_response} = require('./common_helper');
+
+const CONSTANTS = {
+    STATUS_CODES: {
+        OK: 200,
+        BAD_REQUEST: 400,
+        NOT_FOUND: 404
+    },
+    PUBLICATION_STATUS: {
+        UNPUBLISHED: 0,
+        PUBLISHED: 1
+    },
+    SCHEDULE_FIELDS: ['publish_at', 'suppress_at']
+};
+
+const schedule_task = new EXHIBIT_SCHEDULE_TASKS(DB, TABLES);
+
+/**
+ * Per-type transition handlers. Each runs the same model path as the manual
+ * publish/suppress buttons (component flags + Elasticsearch) and reports
+ * `done` (clear the schedule), `wait` (keep it and retry on the next poll) or
+ * `failed` (keep it; logged).
+ */
+const TRANSITIONS = {
+    exhibit: {
+        publish: async (record) => {
+            const result = await EXHIBITS_MODEL.publish_exhibit(record.uuid);
+
+            if (result.status === 'no_items') {
+                // Retrying cannot help until a curator adds content; drop the schedule.
+                LOGGER.module().warn(`WARNING: [/exhibits/schedule_model (run_due_transitions)] Scheduled publish of empty exhibit ${record.uuid} skipped`);
+                return 'done';
+            }
+
+            if (result.status === 'not_approved' || result.status === 'accessibility_errors') {
+                // Keep the schedule: the publish goes out on the first poll after
+                // approval, or once the accessibility errors are fixed.
+                return 'wait';
+            }
+
+            return result.status === true ? 'done' : 'failed';
+        },
+        suppress: async (record) => (await EXHIBITS_MODEL.suppress_exhibit(record.uuid)).status === true ? 'done' : 'failed'
+    },
+    item: {
+        publish: async (record) => {
+            // An item can only be published into a published exhibit, so an item
+            // scheduled ahead of its exhibit waits for the exhibit.
+            const exhibit = await schedule_task.get_schedule('exhibit', record.is_member_of_exhibit);
+
+            if (!exhibit) {
+                return 'done';
+            }
+
+            if (exhibit.is_published !== CONSTANTS.PUBLICATION_STATUS.PUBLISHED) {
+                return 'wait';
+            }
+
+            return (await ITEMS_MODEL.publish_item_record(record.is_member_of_exhibit, record.uuid)).status === true ? 'done' : 'failed';
+        },
+        suppress: async (record) => (await ITEMS_MODEL.suppress_item_record(record.is_member_of_exhibit, record.uuid)).status === true ? 'done' : 'failed'
+    }
+};
+
+/**
+ * Parses a schedule value from a request body
+ * @param {*} value - ISO 8601 string, null/'' to clear
+ * @param {string} field - Field name for the error message
+ * @returns {Date|null} Parsed date or null
+ */
+const parse_schedule_value = (value, field) => {
+
+    if (value === null || value === '') {
+        return null;
+    }
+
+    const date = typeof value === 'string' ? new Date(value) : null;
+
+    if (!date || Number.isNaN(date.getTime())) {
+        throw new Error(`${field} must be an ISO 8601 date/time`);
+    }
+
+    return date;
+};
+
+/**
+ * Sets or clears the publish/suppress schedule of an exhibit or standard item.
+ * Fields omitted from `data` keep their current value; null clears them. New
+ * times must be in the future, and a suppress must come after a publish when
+ * both are set.
+ * @param {string} record_type - exhibit|item
+ * @param {string} exhibit_id - Exhibit UUID (the record itself for exhibits)
+ * @param {string} uuid - Record UUID
+ * @param {Object} data - {publish_at, suppress_at}
+ * @param {string} [scheduled_by=null] - Display name of the user setting the schedule
+ * @returns {Promise<Object>} Response object; data is {uuid, publish_at, suppress_at}
+ */
+exports.set_schedule = async (record_type, exhibit_id, uuid, data, scheduled_by = null) => {
+
+    try {
+
+        if (!is_valid_uuid(exhibit_id) || !is_valid_uuid(uuid)) {
+            return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, 'Invalid UUID provided');
+        }
+
+        if (!data || typeof data !== 'object' || !CONSTANTS.SCHEDULE_FIELDS.some((field) => field in data)) {
+            return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, 'publish_at or suppress_at is required');
+        }
+
+        const record = await schedule_task.get_schedule(record_type, uuid);
+
+        if (!record || (record_type !== 'exhibit' && record.is_member_of_exhibit !== exhibit_id)) {
+            return build_response(CONSTANTS.STATUS_CODES.NOT_FOUND, 'Record not found');
+        }
+
+        const now = Date.now();
+        const schedule = {};
+
+        for (const field of CONSTANTS.SCHEDULE_FIELDS) {
+
+            if (!(field in data)) {
+                schedule[field] = record[field] ? new Date(record[field]) : null;
+                continue;
+            }
+
+            schedule[field] = parse_schedule_value(data[field], field);
+
+            if (schedule[field] && schedule[field].getTime() <= now) {
+                return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, `${field} must be in the future`);
+            }
+        }
+
+        if (schedule.publish_at && schedule.suppress_at && schedule.suppress_at <= schedule.publish_at) {
+            return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, 'suppress_at must be after publish_at');
+        }
+
+        await schedule_task.set_schedule(record_type, uuid, schedule, scheduled_by);
+
+        return build_response(CONSTANTS.STATUS_CODES.OK, 'Schedule updated', {
+            uuid,
+            publish_at: schedule.publish_at ? schedule.publish_at.toISOString() : null,
+            suppress_at: schedule.suppress_at ? schedule.suppress_at.toISOString() : null
+        });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/schedule_model (set_schedule)] ${error.message}`, {
+            record_type,
+            uuid,
+            stack: error.stack
+        });
+
+        return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, error.message);
+    }
+};
+
+/**
+ * Gets pending scheduled transitions, soonest first
+ * @returns {Promise<Object>} Response object; data is an array of transitions
+ */
+exports.get_scheduled_transitions = async () => {
+
+    try {
+        const transitions = await schedule_task.get_scheduled_transitions();
+        return build_response(CONSTANTS.STATUS_CODES.OK, 'Scheduled transitions retrieved', transitions);
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/schedule_model (get_scheduled_transitions)] ${error.message}`, {
+            stack: error.stack
+        });
+
+        return build_response(CONSTANTS.STATUS_CODES.BAD_REQUEST, 'Unable to retrieve scheduled transitions');
+    }
+};
+
+/**
+ * Runs every transition that is due. A transition whose record is already in
+ * the target state is cleared without running. A publish that is still due once
+ * the record's suppress_at has passed (it waited for approval or accessibility
+ * fixes past the end of its window) is dropped rather than run: the suppress
+ * finds the record unpublished and clears too, so publishing late would leave
+ * it up with no suppress left to take it down. Transitions come soonest first,
+ * and a suppress is always after its publish, so the publish is seen first.
+ * Called by the publish scheduler.
+ * @param {Date} [now=new Date()] - Cut-off time
+ * @returns {Promise<Object>} {done, waiting, failed} counts
+ */
+exports.run_due_transitions = async (now = new Date()) => {
+
+    const summary = {done: 0, waiting: 0, failed: 0};
+    const transitions = await schedule_task.get_due_transitions(now);
+
+    for (const transition of transitions) {
+
+        const {record_type, action, uuid, due_at} = transition;
+        let outcome;
+
+        try {
+
+            const record = await schedule_task.get_schedule(record_type, uuid);
+            const target = action === 'publish' ? CONSTANTS.PUBLICATION_STATUS.PUBLISHED : CONSTANTS.PUBLICATION_STATUS.UNPUBLISHED;
+
+            if (!record || record.is_published === target) {
+                outcome = 'done';
+            } else if (action === 'publish' && record.suppress_at && new Date(record.suppress_at) <= now) {
+                LOGGER.module().warn(`WARNING: [/exhibits/schedule_model (run_due_transitions)] Scheduled publish of ${record_type} ${uuid} dropped: its suppress_at has passed`);
+                outcome = 'done';
+            } else {
+                outcome = await TRANSITIONS[record_type][action](transition);
+            }
+
+        } catch (error) {
+            LOGGER.module().error(`ERROR: [/exhibits/schedule_model (run_due_transitions)] ${error.message}`, {
+                record_type,
+                action,
+                uuid,
+                stack: error.stack
+            });
+            outcome = 'failed';
+        }
+
+        if (outcome === 'done') {
+            await schedule_task.clear_transition(record_type, uuid, action, due_at);
+            LOGGER.module().info(`INFO: [/exhibits/schedule_model (run_due_transitions)] Scheduled ${action} of ${record_type} ${uuid} completed`);
+            summary.done++;
+        } else if (outcome === 'wait') {
+            summary.waiting++;
+        } else {
+            LOGGER.module().warn(`WARNING: [/exhibits/schedule_model (run_due_transitions)] Scheduled ${action} of ${record_type} ${uuid} failed; retrying on next run`);
+            summary.failed++;
+        }
+    }
+
+    return summary;
+};
@@ -0,0 +1,56 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const CONTROLLER = require('../exhibits/schedule_controller');
+const ENDPOINTS = require('../exhibits/endpoints/index');
+const TOKEN = require('../libs/tokens');
+const { rate_limits } = require('../config/rate_limits_loader');
+
+// Surface a rejected handler promise to Express' error handling.
+const async_handler = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+module.exports = function (app) {
+
+    const endpoints = ENDPOINTS();
+
+    // Upcoming scheduled publish/suppress transitions (dashboard).
+    app.route(endpoints.exhibits.scheduled_transitions.get.endpoint)
+        .get(
+            rate_limits.read_operations,
+            TOKEN.verify,
+            async_handler(CONTROLLER.get_scheduled_transitions)
+        );
+
+    // Set or clear an exhibit's publish/suppress schedule.
+    app.route(endpoints.exhibits.exhibit_schedule.put.endpoint)
+        .put(
+            rate_limits.state_change_operations,
+            TOKEN.verify,
+            async_handler(CONTROLLER.set_exhibit_schedule)
+        );
+
+    // Set or clear a standard item's publish/suppress schedule.
+    app.route(endpoints.exhibits.item_schedule.put.endpoint)
+        .put(
+            rate_limits.state_change_operations,
+            TOKEN.verify,
+            async_handler(CONTROLLER.set_item_schedule)
+        );
+};
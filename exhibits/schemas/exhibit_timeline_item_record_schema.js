@@ -0,0 +1,28 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+// date is an EDTF string (1920, 1920-05-03, 1920~, 1861/1865, 192X ...);
+// its syntax is checked by libs/edtf when the item is saved
+module.exports = () => {
+
+    return {
+        date: {type: 'string', minLength: 1, maxLength: 255}
+    };
+};
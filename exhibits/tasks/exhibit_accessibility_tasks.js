@@ -0,0 +1,140 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const Base_tasks = require('./tasks_helper');
+
+/**
+ * Item tables walked by the accessibility check, keyed by the record type
+ * reported back to the caller
+ */
+const ITEM_TABLES = {
+    item: 'item_records',
+    grid_item: 'grid_item_records',
+    timeline_item: 'timeline_item_records'
+};
+
+/**
+ * Read-only queries behind the pre-publish accessibility and completeness
+ * check. Every item is returned with just enough of its media library
+ * records (primary media and thumbnail) to tell a missing reference from a
+ * deleted one; deciding what counts as a problem is left to the model.
+ *
+ * Construct with the full tables config object (`DB_TABLES.exhibits`).
+ *
+ * @type {Accessibility_tasks}
+ */
+const Accessibility_tasks = class extends Base_tasks {
+
+    constructor(DB, TABLE) {
+        super(DB, TABLE);
+    }
+
+    /**
+     * Gets an exhibit and all of its live content
+     * @param {string} uuid - Exhibit UUID
+     * @returns {Promise<Object|null>} {exhibit, headings, items: {item, grid_item, timeline_item}}, or null when the exhibit does not exist
+     */
+    async get_exhibit_content(uuid) {
+
+        try {
+            this._validate_database();
+            this._validate_table('exhibit_records');
+            this._validate_table('heading_records');
+            this._validate_table('media_library_records');
+            const validated_uuid = this._validate_uuid(uuid, 'exhibit UUID');
+
+            const exhibit = await this.DB(this.TABLE.exhibit_records)
+                .select('uuid', 'title', 'styles')
+                .where({uuid: validated_uuid, is_deleted: 0})
+                .first()
+                .timeout(this.QUERY_TIMEOUT);
+
+            if (!exhibit) {
+                return null;
+            }
+
+            const headings = await this.DB(this.TABLE.heading_records)
+                .select('uuid', 'text', 'is_visible', 'is_anchor')
+                .where({is_member_of_exhibit: validated_uuid, is_deleted: 0})
+                .orderBy('order')
+                .timeout(this.QUERY_TIMEOUT);
+
+            const items = {};
+
+            for (const [record_type, table_key] of Object.entries(ITEM_TABLES)) {
+                items[record_type] = await this._get_items(table_key, validated_uuid);
+            }
+
+            return {exhibit, headings, items};
+
+        } catch (error) {
+            this._handle_error(error, 'get_exhibit_content', {uuid});
+        }
+    }
+
+    /**
+     * Gets the live rows of one item table for an exhibit, each joined to its
+     * primary media and thumbnail media library records. The joins do not
+     * filter on is_deleted so that references to deleted media still show up.
+     * @param {string} table_key - Key into the tables config
+     * @param {string} exhibit_uuid - Validated exhibit UUID
+     * @returns {Promise<Array>}
+     * @private
+     */
+    async _get_items(table_key, exhibit_uuid) {
+
+        this._validate_table(table_key);
+
+        const table = this.TABLE[table_key];
+
+        return this.DB(table)
+            .select(
+                `${table}.*`,
+                'media_lib.uuid as media_lib_uuid',
+                'media_lib.is_deleted as media_lib_is_deleted',
+                'media_lib.media_type as media_lib_media_type',
+                'media_lib.alt_text as media_alt_text',
+                'media_lib.is_alt_text_decorative as media_is_alt_text_decorative',
+                'media_lib.kaltura_entry_id',
+                'thumb_lib.uuid as thumb_lib_uuid',
+                'thumb_lib.is_deleted as thumb_lib_is_deleted'
+            )
+            .leftJoin(
+                `${this.TABLE.media_library_records} as media_lib`,
+                `${table}.media_uuid`,
+                '=',
+                'media_lib.uuid'
+            )
+            .leftJoin(
+                `${this.TABLE.media_library_records} as thumb_lib`,
+                `${table}.thumbnail_media_uuid`,
+                '=',
+                'thumb_lib.uuid'
+            )
+            .where({
+                [`${table}.is_member_of_exhibit`]: exhibit_uuid,
+                [`${table}.is_deleted`]: 0
+            })
+            .orderBy(`${table}.order`)
+            .timeout(this.QUERY_TIMEOUT);
+    }
+};
+
+module.exports = Accessibility_tasks;
@@ -0,0 +1,209 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const Base_tasks = require('./tasks_helper');
+
+// record type -> table key, the parent column for child records, and the
+// child table a container cascades its publish state to
+const RECORD_TYPES = {
+    item: {table: 'item_records'},
+    heading: {table: 'heading_records'},
+    grid: {table: 'grid_records', children: {table: 'grid_item_records', column: 'is_member_of_grid'}},
+    timeline: {table: 'timeline_records', children: {table: 'timeline_item_records', column: 'is_member_of_timeline'}},
+    grid_item: {table: 'grid_item_records', parent: {table: 'grid_records', column: 'is_member_of_grid', label: 'Grid'}},
+    timeline_item: {table: 'timeline_item_records', parent: {table: 'timeline_records', column: 'is_member_of_timeline', label: 'Timeline'}}
+};
+
+/**
+ * Tasks used to publish, suppress or delete a selection of an exhibit's
+ * records in one transaction.
+ *
+ * Construct with the full tables config object (`DB_TABLES.exhibits`). Each
+ * record is checked and changed on its own, so one that cannot be changed is
+ * reported in the results without undoing the rest; a database error rolls
+ * back the whole batch.
+ *
+ * @type {Bulk_record_tasks}
+ */
+const Bulk_record_tasks = class extends Base_tasks {
+
+    constructor(DB, TABLE) {
+        super(DB, TABLE);
+    }
+
+    /**
+     * Applies one action to a list of records belonging to an exhibit.
+     * Top-level records are handled before grid and timeline items, so a grid
+     * published in the same batch counts as published for its items.
+     *
+     * Publishing needs a published exhibit (and, for grid and timeline items,
+     * a published parent); deleting needs an unpublished record. Publishing or
+     * suppressing a grid or timeline does the same to all of its items, as the
+     * single-record endpoints do. Deletes are soft (is_deleted = 1).
+     *
+     * @param {string} exhibit_uuid - Exhibit UUID
+     * @param {string} action - publish|suppress|delete
+     * @param {Array<{type: string, uuid: string}>} records - Records to change (types must be validated by the caller)
+     * @returns {Promise<Object|null>} {is_exhibit_published, results}; null when the exhibit does not exist.
+     * Each result is {type, uuid, status: updated|unchanged|not_found|rejected, message}, plus
+     * parent_uuid and is_parent_published for grid and timeline items.
+     */
+    async apply_action(exhibit_uuid, action, records) {
+
+        try {
+            this._validate_database();
+            this._validate_table('exhibit_records');
+            const validated_uuid = this._validate_uuid(exhibit_uuid, 'exhibit UUID');
+
+            if (!['publish', 'suppress', 'delete'].includes(action)) {
+                throw new Error(`Invalid bulk action: ${action}`);
+            }
+
+            for (const record of records) {
+                this._validate_table(RECORD_TYPES[record.type].table);
+            }
+
+            const ordered = [...records].sort((a, b) => {
+                return Number(Boolean(RECORD_TYPES[a.type].parent)) - Number(Boolean(RECORD_TYPES[b.type].parent));
+            });
+
+            return await this.DB.transaction(async (trx) => {
+
+                const exhibit = await trx(this.TABLE.exhibit_records)
+                    .select('is_published')
+                    .where({uuid: validated_uuid, is_deleted: 0})
+                    .forUpdate()
+                    .first()
+                    .timeout(this.QUERY_TIMEOUT);
+
+                if (!exhibit) {
+                    return null;
+                }
+
+                const is_exhibit_published = exhibit.is_published === 1;
+                const results = [];
+
+                for (const record of ordered) {
+                    results.push(await this._apply_to_record(trx, validated_uuid, is_exhibit_published, action, record));
+                }
+
+                this._log_success('Bulk action applied', {
+                    exhibit_uuid: validated_uuid,
+                    action,
+                    updated: results.filter((result) => result.status === 'updated').length
+                });
+
+                return {is_exhibit_published, results};
+            });
+
+        } catch (error) {
+            this._handle_error(error, 'apply_action', {exhibit_uuid, action});
+        }
+    }
+
+    /**
+     * Checks and changes one record inside the bulk transaction
+     * @param {Function} trx - Knex transaction
+     * @param {string} exhibit_uuid - Exhibit UUID
+     * @param {boolean} is_exhibit_published - Exhibit publish state
+     * @param {string} action - publish|suppress|delete
+     * @param {{type: string, uuid: string}} record - Record to change
+     * @returns {Promise<Object>} Per-record result
+     * @private
+     */
+    async _apply_to_record(trx, exhibit_uuid, is_exhibit_published, action, record) {
+
+        const config = RECORD_TYPES[record.type];
+        const table = this.TABLE[config.table];
+        const columns = config.parent ? ['uuid', 'is_published', config.parent.column] : ['uuid', 'is_published'];
+        const result = {type: record.type, uuid: record.uuid};
+
+        const row = await trx(table)
+            .select(columns)
+            .where({uuid: record.uuid, is_member_of_exhibit: exhibit_uuid, is_deleted: 0})
+            .forUpdate()
+            .first()
+            .timeout(this.QUERY_TIMEOUT);
+
+        if (!row) {
+            return {...result, status: 'not_found', message: 'Record not found in this exhibit'};
+        }
+
+        if (config.parent) {
+            const parent = await trx(this.TABLE[config.parent.table])
+                .select('is_published')
+                .where({uuid: row[config.parent.column], is_deleted: 0})
+                .first()
+                .timeout(this.QUERY_TIMEOUT);
+
+            result.parent_uuid = row[config.parent.column];
+            result.is_parent_published = parent?.is_published === 1;
+        }
+
+        if (action === 'delete') {
+
+            if (row.is_published === 1) {
+                return {...result, status: 'rejected', message: 'Suppress the record before deleting it'};
+            }
+
+            await trx(table)
+                .where({uuid: record.uuid, is_deleted: 0})
+                .update({is_deleted: 1, updated: trx.fn.now()})
+                .timeout(this.QUERY_TIMEOUT);
+
+            return {...result, status: 'updated', message: 'Record deleted'};
+        }
+
+        const status = action === 'publish' ? 1 : 0;
+
+        if (action === 'publish') {
+
+            if (!is_exhibit_published) {
+                return {...result, status: 'rejected', message: 'Exhibit must be published first'};
+            }
+
+            if (config.parent && result.is_parent_published !== true) {
+                return {...result, status: 'rejected', message: `${config.parent.label} must be published first`};
+            }
+        }
+
+        if (row.is_published === status) {
+            return {...result, status: 'unchanged', message: `Record already ${action === 'publish' ? 'published' : 'suppressed'}`};
+        }
+
+        await trx(table)
+            .where({uuid: record.uuid})
+            .update({is_published: status})
+            .timeout(this.QUERY_TIMEOUT);
+
+        if (config.children) {
+            await trx(this.TABLE[config.children.table])
+                .where({[config.children.column]: record.uuid, is_deleted: 0})
+                .update({is_published: status})
+                .timeout(this.QUERY_TIMEOUT);
+        }
+
+        return {...result, status: 'updated', message: `Record ${action === 'publish' ? 'published' : 'suppressed'}`};
+    }
+};
+
+Bulk_record_tasks.RECORD_TYPES = Object.keys(RECORD_TYPES);
+
+module.exports = Bulk_record_tasks;
@@ -0,0 +1,569 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const {randomUUID} = require('crypto');
+const Base_tasks = require('./tasks_helper');
+
+// Bundle key -> tables config key for the exhibit's components, in insert order
+// (grids and timelines before the items that reference them).
+const COMPONENTS = {
+    headings: 'heading_records',
+    items: 'item_records',
+    grids: 'grid_records',
+    grid_items: 'grid_item_records',
+    timelines: 'timeline_records',
+    timeline_items: 'timeline_item_records'
+};
+
+// Workflow state that describes the source environment rather than the content.
+// An imported exhibit always starts unpublished, unlocked, un-indexed and unscheduled;
+// each table's workflow columns are set to these values whatever the bundle holds.
+const RESET_FIELDS = {
+    is_published: 0,
+    is_preview: 0,
+    is_locked: 0,
+    locked_by_user: 0,
+    locked_at: null,
+    is_indexed: 0,
+    is_deleted: 0,
+    publish_at: null,
+    suppress_at: null,
+    scheduled_by: null,
+    workflow_state: 'draft'
+};
+
+// Columns shared by the standard, grid and timeline item tables
+const ITEM_CONTENT = [
+    'thumbnail', 'thumbnail_media_uuid', 'caption', 'item_type', 'mime_type',
+    'media', 'media_uuid', 'text', 'wrap_text', 'description', 'type', 'layout',
+    'media_width', 'media_padding', 'alt_text', 'is_alt_text_decorative',
+    'pdf_open_to_page', 'item_subjects', 'styles', 'order',
+    'is_repo_item', 'is_kaltura_item', 'is_embedded'
+];
+
+const ITEM_WORKFLOW = ['is_published', 'is_locked', 'locked_by_user', 'locked_at', 'is_deleted'];
+
+// Columns of the exhibit and component tables, by tables config key:
+//   content   copied from the bundled row when present
+//   members   parent links, rewritten to the new parents
+//   workflow  set from RESET_FIELDS
+//   required  content the table has no default for
+// Identity, ownership and timestamps are assigned here. A bundled row with any
+// other column is rejected, as is one without a required column or parent link.
+const TABLE_COLUMNS = {
+    exhibit_records: {
+        content: [
+            'type', 'title', 'subtitle', 'banner_template', 'about_the_curators', 'alert_text',
+            'hero_image_media_uuid', 'thumbnail_media_uuid', 'hero_image', 'thumbnail', 'description',
+            'page_layout', 'exhibit_template', 'exhibit_subjects', 'styles', 'order',
+            'is_student_curated', 'is_featured', 'is_embedded'
+        ],
+        members: [],
+        workflow: Object.keys(RESET_FIELDS),
+        required: ['title']
+    },
+    heading_records: {
+        content: ['type', 'text', 'order', 'styles', 'is_visible', 'is_anchor', 'text_alignment', 'margins'],
+        members: ['is_member_of_exhibit'],
+        workflow: ['is_published', 'is_locked', 'locked_by_user', 'locked_at', 'is_indexed', 'is_deleted'],
+        required: ['text']
+    },
+    item_records: {
+        content: [...ITEM_CONTENT, 'text_alignment', 'margins'],
+        members: ['is_member_of_exhibit'],
+        workflow: [...ITEM_WORKFLOW, 'publish_at', 'suppress_at', 'scheduled_by'],
+        required: []
+    },
+    grid_records: {
+        content: ['type', 'columns', 'text', 'styles', 'order', 'text_alignment', 'margins'],
+        members: ['is_member_of_exhibit'],
+        workflow: ['is_published', 'is_deleted'],
+        required: []
+    },
+    grid_item_records: {
+        content: [...ITEM_CONTENT, 'title'],
+        members: ['is_member_of_exhibit', 'is_member_of_grid'],
+        workflow: ITEM_WORKFLOW,
+        required: ['title']
+    },
+    timeline_records: {
+        content: ['type', 'text', 'styles', 'order', 'text_alignment', 'margins'],
+        members: ['is_member_of_exhibit'],
+        workflow: ['is_published', 'is_deleted'],
+        required: []
+    },
+    timeline_item_records: {
+        content: [...ITEM_CONTENT, 'title', 'date', 'date_start', 'date_end'],
+        members: ['is_member_of_exhibit', 'is_member_of_timeline'],
+        workflow: ITEM_WORKFLOW,
+        required: ['title']
+    }
+};
+
+const ASSIGNED_COLUMNS = ['id', 'uuid', 'owner', 'created', 'updated', 'created_by', 'updated_by'];
+
+// Media library columns an imported media record may set. Identity, ownership,
+// usage and timestamps are assigned here; anything else in the bundle is dropped.
+const MEDIA_COLUMNS = [
+    'name', 'description', 'alt_text', 'is_alt_text_decorative',
+    'topics_subjects', 'genre_form_subjects', 'places_subjects',
+    'media_type', 'mime_type', 'item_type', 'call_number',
+    'filename', 'original_filename', 'ingest_method',
+    'repo_uuid', 'repo_handle', 'kaltura_entry_id', 'kaltura_thumbnail_url',
+    'size', 'storage_path', 'thumbnail_path', 'exif_data', 'exif_privacy', 'full_text',
+    'content_hash', 'perceptual_hash',
+    'fixity_status', 'fixity_message', 'fixity_checked', 'fixity_verified',
+    'media_width', 'media_height', 'media_duration'
+];
+
+/**
+ * Tasks used to read an exhibit graph and insert a copy of one — used by
+ * bundle export/import and by exhibit cloning.
+ *
+ * Construct with the full tables config object (`DB_TABLES.exhibits`). The
+ * stored media files are handled by the bundle model; this class only touches
+ * the database. Exhibit and component rows are limited to TABLE_COLUMNS and
+ * media records to MEDIA_COLUMNS, so a column added to one of these tables
+ * must be added here to travel in bundles and clones.
+ *
+ * @type {Bundle_tasks}
+ */
+const Bundle_tasks = class extends Base_tasks {
+
+    constructor(DB, TABLE) {
+        super(DB, TABLE);
+        this.COMPONENTS = COMPONENTS;
+    }
+
+    /**
+     * Drops the auto-increment key so a row can be inserted elsewhere
+     * @param {Object} row - Database row
+     * @returns {Object} Row without `id`
+     * @private
+     */
+    _strip_id(row) {
+        const {id, ...rest} = row;
+        return rest;
+    }
+
+    /**
+     * Checks a bundled exhibit or component row's columns against its table
+     * @param {string} table_key - Tables config key, e.g. 'grid_records'
+     * @param {Object} row - Bundled row
+     * @returns {string|null} Problem description, or null when the row can be imported
+     */
+    check_row_columns(table_key, row) {
+
+        const columns = TABLE_COLUMNS[table_key];
+
+        if (!columns) {
+            return `Unknown table: ${table_key}`;
+        }
+
+        const known = new Set([...ASSIGNED_COLUMNS, ...columns.content, ...columns.members, ...columns.workflow]);
+        const unknown = Object.keys(row).filter((column) => !known.has(column));
+
+        if (unknown.length > 0) {
+            return `${table_key} record ${row.uuid} has unknown column(s): ${unknown.join(', ')}`;
+        }
+
+        const missing = [...columns.members, ...columns.required]
+            .filter((column) => row[column] === undefined || row[column] === null);
+
+        if (missing.length > 0) {
+            return `${table_key} record ${row.uuid} is missing column(s): ${missing.join(', ')}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Collects the media library UUIDs a bundle graph references: the exhibit's
+     * hero/thumbnail columns and bindings, and the media and thumbnails of its
+     * standard, grid and timeline items
+     * @param {Object} graph - Exhibit graph from get_exhibit_graph
+     * @returns {Array<string>} Distinct media UUIDs
+     */
+    collect_media_uuids(graph) {
+
+        const media_uuids = new Set([graph.exhibit.hero_image_media_uuid, graph.exhibit.thumbnail_media_uuid]);
+
+        (graph.exhibit_media || []).forEach((binding) => media_uuids.add(binding.media_uuid));
+
+        for (const key of ['items', 'grid_items', 'timeline_items']) {
+            (graph[key] || []).forEach((item) => {
+                media_uuids.add(item.media_uuid);
+                media_uuids.add(item.thumbnail_media_uuid);
+            });
+        }
+
+        return [...media_uuids].filter((media_uuid) => typeof media_uuid === 'string' && media_uuid.length > 0);
+    }
+
+    /**
+     * Reads an exhibit and its active (non-recycled) components and media bindings
+     * @param {string} uuid - Exhibit UUID
+     * @returns {Promise<Object|null>} Exhibit graph, or null if the exhibit does not exist
+     */
+    async get_exhibit_graph(uuid) {
+
+        try {
+
+            this._validate_database();
+            this._validate_table('exhibit_records');
+            this._validate_table('exhibit_media_records');
+            Object.values(COMPONENTS).forEach((table_key) => this._validate_table(table_key));
+            const uuid_validated = this._validate_uuid(uuid, 'exhibit UUID');
+
+            const exhibit = await this.DB(this.TABLE.exhibit_records)
+                .select('*')
+                .where({uuid: uuid_validated, is_deleted: 0})
+                .first()
+                .timeout(this.QUERY_TIMEOUT);
+
+            if (!exhibit) {
+                return null;
+            }
+
+            const graph = {exhibit: this._strip_id(exhibit)};
+
+            for (const [key, table_key] of Object.entries(COMPONENTS)) {
+
+                const rows = await this.DB(this.TABLE[table_key])
+                    .select('*')
+                    .where({is_member_of_exhibit: uuid_validated, is_deleted: 0})
+                    .orderBy('order', 'asc')
+                    .timeout(this.QUERY_TIMEOUT);
+
+                graph[key] = rows.map((row) => this._strip_id(row));
+            }
+
+            // Items of a recycled grid/timeline are still active rows; leave them behind with their parent
+            const grid_uuids = new Set(graph.grids.map((grid) => grid.uuid));
+            const timeline_uuids = new Set(graph.timelines.map((timeline) => timeline.uuid));
+            graph.grid_items = graph.grid_items.filter((item) => grid_uuids.has(item.is_member_of_grid));
+            graph.timeline_items = graph.timeline_items.filter((item) => timeline_uuids.has(item.is_member_of_timeline));
+
+            graph.exhibit_media = await this.DB(this.TABLE.exhibit_media_records)
+                .select('media_uuid', 'media_role')
+                .where({exhibit_uuid: uuid_validated, is_deleted: 0})
+                .timeout(this.QUERY_TIMEOUT);
+
+            return graph;
+
+        } catch (error) {
+            this._handle_error(error, 'get_exhibit_graph', {uuid});
+        }
+    }
+
+    /**
+     * Gets active media library records by UUID
+     * @param {Array<string>} uuids - Media UUIDs
+     * @returns {Promise<Array<Object>>} Media records without `id`
+     */
+    async get_media_records(uuids) {
+
+        try {
+
+            this._validate_database();
+            this._validate_table('media_library_records');
+
+            if (!Array.isArray(uuids) || uuids.length === 0) {
+                return [];
+            }
+
+            const records = await this.DB(this.TABLE.media_library_records)
+                .select('*')
+                .whereIn('uuid', uuids)
+                .andWhere({is_deleted: 0})
+                .timeout(this.QUERY_TIMEOUT);
+
+            return records.map((record) => this._strip_id(record));
+
+        } catch (error) {
+            this._handle_error(error, 'get_media_records', {count: uuids?.length});
+        }
+    }
+
+    /**
+     * Finds an existing media record for the same repository object or Kaltura entry
+     * @param {Object} record - Media record from a bundle
+     * @returns {Promise<Object|null>} {uuid, matched_by} or null
+     */
+    async find_media_by_identifier(record) {
+
+        try {
+
+            this._validate_database();
+            this._validate_table('media_library_records');
+
+            for (const field of ['repo_uuid', 'kaltura_entry_id']) {
+
+                if (typeof record[field] !== 'string' || record[field].length === 0) {
+                    continue;
+                }
+
+                const match = await this.DB(this.TABLE.media_library_records)
+                    .select('uuid')
+                    .where({[field]: record[field], is_deleted: 0})
+                    .first()
+                    .timeout(this.QUERY_TIMEOUT);
+
+                if (match) {
+                    return {uuid: match.uuid, matched_by: field};
+                }
+            }
+
+            return null;
+
+        } catch (error) {
+            this._handle_error(error, 'find_media_by_identifier', {uuid: record?.uuid});
+        }
+    }
+
+    /**
+     * Gets stored media of the given type and byte size — the only candidates
+     * whose file content can hash-match a bundled file
+     * @param {string} media_type - Media type
+     * @param {number} size - File size in bytes
+     * @returns {Promise<Array<Object>>} [{uuid, storage_path}]
+     */
+    async get_media_by_size(media_type, size) {
+
+        try {
+
+            this._validate_database();
+            this._validate_table('media_library_records');
+
+            return await this.DB(this.TABLE.media_library_records)
+                .select('uuid', 'storage_path')
+                .where({media_type, size, is_deleted: 0})
+                .whereNotNull('storage_path')
+                .timeout(this.QUERY_TIMEOUT);
+
+        } catch (error) {
+            this._handle_error(error, 'get_media_by_size', {media_type, size});
+        }
+    }
+
+    /**
+     * Rewrites an exhibit or component row for insertion under the imported
+     * exhibit, keeping only its table's columns
+     * @param {string} table_key - Tables config key of the row's table
+     * @param {Object} row - Bundled row
+     * @param {Map} uuid_map - Source component UUID -> new UUID
+     * @param {Map} media_map - Source media UUID -> target media UUID
+     * @param {Object} defaults - owner / created_by for the new rows
+     * @returns {Object} Row ready for insert
+     * @private
+     */
+    _remap_row(table_key, row, uuid_map, media_map, defaults) {
+
+        const columns = TABLE_COLUMNS[table_key];
+        const data = {};
+
+        columns.content
+            .filter((column) => row[column] !== undefined)
+            .forEach((column) => data[column] = row[column]);
+
+        data.uuid = uuid_map.get(row.uuid);
+
+        for (const field of columns.members) {
+            data[field] = uuid_map.get(row[field]);
+        }
+
+        // `media` / `thumbnail` hold a media UUID for media library items and a filename otherwise
+        for (const field of ['media_uuid', 'thumbnail_media_uuid', 'hero_image_media_uuid', 'media', 'thumbnail']) {
+            if (field in data && media_map.has(data[field])) {
+                data[field] = media_map.get(data[field]);
+            }
+        }
+
+        for (const field of ['media_uuid', 'thumbnail_media_uuid', 'hero_image_media_uuid']) {
+            if (typeof data[field] === 'string' && data[field].length > 0 && !media_map.has(row[field])) {
+                data[field] = null;
+            }
+        }
+
+        for (const field of columns.workflow) {
+            data[field] = RESET_FIELDS[field];
+        }
+
+        data.owner = defaults.owner;
+        data.created_by = defaults.created_by;
+        data.updated_by = null;
+
+        return data;
+    }
+
+    /**
+     * Inserts an exhibit graph (an imported bundle or a clone) as a new exhibit
+     * in a single transaction. Every record gets a fresh UUID and every
+     * `is_member_of_*` link is rewritten to the new parent.
+     * Media references are rewritten through `media_plan`: each entry either
+     * reuses an existing media record (`record` is null) or inserts the given
+     * record. References to media missing from the plan are cleared.
+     * @param {Object} graph - Exhibit graph (see get_exhibit_graph)
+     * @param {Array<Object>} media_plan - [{source_uuid, uuid, record}]
+     * @param {Object} options
+     * @param {number} options.owner - tbl_users.id of the new exhibit's owner
+     * @param {string} [options.created_by=null] - Display name of the creating user
+     * @returns {Promise<Object>} {uuid, counts}
+     */
+    async import_exhibit_graph(graph, media_plan, options) {
+
+        const {owner, created_by = null} = options || {};
+
+        try {
+
+            this._validate_database();
+            this._validate_table('exhibit_records');
+            this._validate_table('exhibit_media_records');
+            this._validate_table('media_library_records');
+            Object.values(COMPONENTS).forEach((table_key) => this._validate_table(table_key));
+
+            const owner_id = Number(owner);
+
+            if (!Number.isInteger(owner_id) || owner_id <= 0) {
+                throw new Error(`Invalid owner: ${owner}`);
+            }
+
+            const exhibit_uuid = randomUUID();
+            const uuid_map = new Map([[graph.exhibit.uuid, exhibit_uuid]]);
+
+            for (const key of Object.keys(COMPONENTS)) {
+                (graph[key] || []).forEach((row) => uuid_map.set(row.uuid, randomUUID()));
+            }
+
+            const media_map = new Map(media_plan.map((entry) => [entry.source_uuid, entry.uuid]));
+            const defaults = {owner: owner_id, created_by};
+
+            const counts = await this.DB.transaction(async (trx) => {
+
+                const totals = {media_created: 0, media_reused: 0};
+
+                for (const entry of media_plan) {
+
+                    if (entry.record) {
+
+                        const record = {};
+
+                        MEDIA_COLUMNS
+                            .filter((column) => entry.record[column] !== undefined)
+                            .forEach((column) => record[column] = entry.record[column]);
+
+                        await trx(this.TABLE.media_library_records)
+                            .insert({
+                                ...record,
+                                uuid: entry.uuid,
+                                exhibits: JSON.stringify([exhibit_uuid]),
+                                iiif_manifest: null,
+                                is_deleted: 0,
+                                owner: owner_id,
+                                created_by,
+                                updated_by: null
+                            })
+                            .timeout(this.QUERY_TIMEOUT);
+
+                        totals.media_created++;
+                        continue;
+                    }
+
+                    const existing = await trx(this.TABLE.media_library_records)
+                        .select('exhibits')
+                        .where({uuid: entry.uuid})
+                        .forUpdate()
+                        .first()
+                        .timeout(this.QUERY_TIMEOUT);
+
+                    let exhibits = [];
+
+                    try {
+                        exhibits = JSON.parse(existing?.exhibits || '[]');
+                    } catch (parse_error) {
+                        exhibits = [];
+                    }
+
+                    exhibits = Array.isArray(exhibits) ? exhibits : [];
+                    exhibits.push(exhibit_uuid);
+
+                    await trx(this.TABLE.media_library_records)
+                        .where({uuid: entry.uuid})
+                        .update({exhibits: JSON.stringify(exhibits)})
+                        .timeout(this.QUERY_TIMEOUT);
+
+                    totals.media_reused++;
+                }
+
+                await trx(this.TABLE.exhibit_records)
+                    .insert(this._remap_row('exhibit_records', graph.exhibit, uuid_map, media_map, defaults))
+                    .timeout(this.QUERY_TIMEOUT);
+
+                totals.exhibit = 1;
+
+                for (const [key, table_key] of Object.entries(COMPONENTS)) {
+
+                    // A child whose parent is not in the bundle has nowhere to go
+                    const rows = (graph[key] || []).filter((row) =>
+                        uuid_map.has(row.is_member_of_grid ?? row.is_member_of_timeline ?? row.is_member_of_exhibit));
+
+                    for (const row of rows) {
+                        await trx(this.TABLE[table_key])
+                            .insert(this._remap_row(table_key, row, uuid_map, media_map, defaults))
+                            .timeout(this.QUERY_TIMEOUT);
+                    }
+
+                    totals[key] = rows.length;
+                }
+
+                const bindings = (graph.exhibit_media || []).filter((binding) => media_map.has(binding.media_uuid));
+
+                for (const binding of bindings) {
+                    await trx(this.TABLE.exhibit_media_records)
+                        .insert({
+                            exhibit_uuid,
+                            media_uuid: media_map.get(binding.media_uuid),
+                            media_role: binding.media_role,
+                            created_by
+                        })
+                        .timeout(this.QUERY_TIMEOUT);
+                }
+
+                totals.exhibit_media = bindings.length;
+
+                return totals;
+            });
+
+            this._log_success('Exhibit graph inserted', {
+                uuid: exhibit_uuid,
+                source_uuid: graph.exhibit.uuid,
+                owner: owner_id,
+                counts
+            });
+
+            return {uuid: exhibit_uuid, counts};
+
+        } catch (error) {
+            this._handle_error(error, 'import_exhibit_graph', {source_uuid: graph?.exhibit?.uuid});
+        }
+    }
+};
+
+module.exports = Bundle_tasks;
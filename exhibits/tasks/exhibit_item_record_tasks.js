@@ -229,6 +229,7 @@ const Exhibit_item_record_tasks = class extends Base_tasks {
                     `media_lib.kaltura_entry_id`,
                     `media_lib.media_width as ml_media_width`,
                     `media_lib.media_height as ml_media_height`,
+                    `media_lib.full_text as media_full_text`,
                     `media_lib.media_type as ml_media_type`,
                     `media_lib.filename as ml_media_filename`,
                     `media_lib.topics_subjects as media_topics_subjects`,
@@ -310,6 +311,7 @@ const Exhibit_item_record_tasks = class extends Base_tasks {
                     `media_lib.kaltura_entry_id`,
                     `media_lib.media_width as ml_media_width`,
                     `media_lib.media_height as ml_media_height`,
+                    `media_lib.full_text as media_full_text`,
                     `media_lib.media_type as ml_media_type`,
                     `media_lib.filename as ml_media_filename`,
                     `media_lib.topics_subjects as media_topics_subjects`,
@@ -0,0 +1,113 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const Base_tasks = require('./tasks_helper');
+
+/**
+ * Tables read for an exhibit-level manifest, keyed by the name each set of
+ * rows is returned under
+ */
+const CONTENT_TABLES = {
+    headings: 'heading_records',
+    items: 'item_records',
+    grids: 'grid_records',
+    grid_items: 'grid_item_records',
+    timelines: 'timeline_records',
+    timeline_items: 'timeline_item_records'
+};
+
+/**
+ * Read-only queries behind the exhibit-level IIIF Presentation manifest. Only
+ * published, undeleted records are returned, each table in display order, with
+ * the media library records the items (and the exhibit thumbnail) point at.
+ * Arranging them into canvases and ranges is left to the IIIF service.
+ *
+ * Construct with the full tables config object (`DB_TABLES.exhibits`).
+ *
+ * @type {Manifest_tasks}
+ */
+const Manifest_tasks = class extends Base_tasks {
+
+    constructor(DB, TABLE) {
+        super(DB, TABLE);
+    }
+
+    /**
+     * Gets a published exhibit and its published content
+     * @param {string} uuid - Exhibit UUID
+     * @returns {Promise<Object|null>} {exhibit, headings, items, grids, grid_items, timelines, timeline_items, media},
+     * or null when the exhibit does not exist or is not published
+     */
+    async get_published_exhibit(uuid) {
+
+        try {
+            this._validate_database();
+            this._validate_table('exhibit_records');
+            this._validate_table('media_library_records');
+            const validated_uuid = this._validate_uuid(uuid, 'exhibit UUID');
+
+            const exhibit = await this.DB(this.TABLE.exhibit_records)
+                .select('uuid', 'title', 'subtitle', 'description', 'thumbnail_media_uuid', 'hero_image_media_uuid', 'updated')
+                .where({uuid: validated_uuid, is_published: 1, is_deleted: 0})
+                .first()
+                .timeout(this.QUERY_TIMEOUT);
+
+            if (!exhibit) {
+                return null;
+            }
+
+            const content = {exhibit};
+
+            for (const [key, table_key] of Object.entries(CONTENT_TABLES)) {
+
+                this._validate_table(table_key);
+
+                content[key] = await this.DB(this.TABLE[table_key])
+                    .select('*')
+                    .where({is_member_of_exhibit: validated_uuid, is_published: 1, is_deleted: 0})
+                    .orderBy('order')
+                    .timeout(this.QUERY_TIMEOUT);
+            }
+
+            const media_uuids = new Set([exhibit.thumbnail_media_uuid, exhibit.hero_image_media_uuid]);
+
+            for (const key of ['items', 'grid_items', 'timeline_items']) {
+                content[key].forEach((item) => media_uuids.add(item.media_uuid));
+            }
+
+            media_uuids.delete(null);
+            media_uuids.delete(undefined);
+            media_uuids.delete('');
+
+            content.media = media_uuids.size === 0 ? [] : await this.DB(this.TABLE.media_library_records)
+                .select('*')
+                .whereIn('uuid', [...media_uuids])
+                .where({is_deleted: 0})
+                .timeout(this.QUERY_TIMEOUT);
+
+            return content;
+
+        } catch (error) {
+            this._handle_error(error, 'get_published_exhibit', {uuid});
+        }
+    }
+};
+
+module.exports = Manifest_tasks;
@@ -0,0 +1,353 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const Base_tasks = require('./tasks_helper');
+const EDTF = require('../../libs/edtf');
+
+// item type -> table key, plus the container it lives in for grid and timeline items
+const ITEM_TYPES = {
+    item: {table: 'item_records'},
+    grid_item: {table: 'grid_item_records', container: {type: 'grid', table: 'grid_records', column: 'is_member_of_grid', label: 'Grid'}},
+    timeline_item: {table: 'timeline_item_records', container: {type: 'timeline', table: 'timeline_records', column: 'is_member_of_timeline', label: 'Timeline'}}
+};
+
+// Columns present in all three item tables; anything else belongs to one type
+// and is dropped (or defaulted) when a record changes type
+const SHARED_COLUMNS = [
+    'uuid', 'thumbnail', 'thumbnail_media_uuid', 'title', 'caption', 'item_type', 'mime_type',
+    'media', 'media_uuid', 'text', 'wrap_text', 'description', 'type', 'layout', 'media_width',
+    'media_padding', 'alt_text', 'is_alt_text_decorative', 'pdf_open_to_page', 'item_subjects',
+    'styles', 'is_repo_item', 'is_kaltura_item', 'is_embedded', 'owner', 'created', 'created_by',
+    'updated_by'
+];
+
+// Tables whose rows sit in an exhibit's top-level order
+const TOP_LEVEL_TABLES = ['heading_records', 'item_records', 'grid_records', 'timeline_records'];
+
+// Grid and timeline items only render this layout
+const CONTAINER_LAYOUT = 'media_top';
+
+/**
+ * Tasks used to move a standard, grid or timeline item to another place in
+ * its exhibit or to another exhibit, converting it between item types on the
+ * way when needed.
+ *
+ * Construct with the full tables config object (`DB_TABLES.exhibits`). A move
+ * within one item table updates the row in place; a move between tables
+ * copies the shared columns into the target table under the same UUID and
+ * removes the source row, so revisions and audit entries keep pointing at the
+ * record.
+ *
+ * @type {Move_record_tasks}
+ */
+const Move_record_tasks = class extends Base_tasks {
+
+    constructor(DB, TABLE) {
+        super(DB, TABLE);
+    }
+
+    /**
+     * Moves one item record. The moved record goes to the end of its new exhibit
+     * or container. It stays published only if it was published and its new
+     * exhibit (and grid or timeline) is published; otherwise it arrives suppressed.
+     * Locked records are not moved.
+     *
+     * @param {string} exhibit_uuid - Exhibit the record is in now
+     * @param {string} type - item|grid_item|timeline_item
+     * @param {string} uuid - Record UUID
+     * @param {Object} target
+     * @param {string} target.exhibit_uuid - Exhibit to move to (may be the same exhibit)
+     * @param {string} target.type - item|grid_item|timeline_item
+     * @param {string} [target.container_uuid] - Grid or timeline to move into (grid_item and timeline_item only)
+     * @param {string} [target.date] - Timeline date; defaults to the record's own date, if it has one
+     * @returns {Promise<Object>} {status: moved|not_found|rejected, message}; a move also has
+     * `from` and `to` ({exhibit_uuid, type, container_uuid, is_published, is_container_published})
+     * and `media` ([{media_uuid, media_role, is_used_by_source}]) when the exhibit changed.
+     */
+    async move_record(exhibit_uuid, type, uuid, target) {
+
+        try {
+            this._validate_database();
+            this._validate_table('exhibit_records');
+            const source_exhibit = this._validate_uuid(exhibit_uuid, 'exhibit UUID');
+            const record_uuid = this._validate_uuid(uuid, 'record UUID');
+            const target_exhibit = this._validate_uuid(target?.exhibit_uuid, 'target exhibit UUID');
+
+            const source_config = ITEM_TYPES[type];
+            const target_config = ITEM_TYPES[target.type];
+
+            if (!source_config || !target_config) {
+                throw new Error(`Invalid item type: ${!source_config ? type : target.type}`);
+            }
+
+            const container_uuid = target_config.container
+                ? this._validate_uuid(target.container_uuid, 'target container UUID')
+                : null;
+
+            for (const table of [...TOP_LEVEL_TABLES, 'grid_item_records', 'timeline_item_records']) {
+                this._validate_table(table);
+            }
+
+            return await this.DB.transaction(async (trx) => {
+
+                const exhibits = await trx(this.TABLE.exhibit_records)
+                    .select('uuid', 'is_published', 'hero_image_media_uuid', 'thumbnail_media_uuid')
+                    .whereIn('uuid', [...new Set([source_exhibit, target_exhibit])])
+                    .andWhere({is_deleted: 0})
+                    .forUpdate()
+                    .timeout(this.QUERY_TIMEOUT);
+
+                const source = exhibits.find((exhibit) => exhibit.uuid === source_exhibit);
+                const destination = exhibits.find((exhibit) => exhibit.uuid === target_exhibit);
+
+                if (!source) {
+                    return {status: 'not_found', message: 'Exhibit not found'};
+                }
+
+                if (!destination) {
+                    return {status: 'not_found', message: 'Target exhibit not found'};
+                }
+
+                const row = await trx(this.TABLE[source_config.table])
+                    .select('*')
+                    .where({uuid: record_uuid, is_member_of_exhibit: source_exhibit, is_deleted: 0})
+                    .forUpdate()
+                    .first()
+                    .timeout(this.QUERY_TIMEOUT);
+
+                if (!row) {
+                    return {status: 'not_found', message: 'Record not found in this exhibit'};
+                }
+
+                if (row.is_locked === 1) {
+                    return {status: 'rejected', message: 'Record is locked for editing'};
+                }
+
+                const from = {
+                    exhibit_uuid: source_exhibit,
+                    type,
+                    container_uuid: source_config.container ? row[source_config.container.column] : null,
+                    is_published: row.is_published === 1,
+                    is_container_published: null
+                };
+
+                if (source_config.container) {
+                    const parent = await trx(this.TABLE[source_config.container.table])
+                        .select('is_published')
+                        .where({uuid: from.container_uuid, is_deleted: 0})
+                        .first()
+                        .timeout(this.QUERY_TIMEOUT);
+
+                    from.is_container_published = parent?.is_published === 1;
+                }
+
+                const to = {
+                    exhibit_uuid: target_exhibit,
+                    type: target.type,
+                    container_uuid,
+                    is_published: false,
+                    is_container_published: null
+                };
+
+                if (target_config.container) {
+                    const parent = await trx(this.TABLE[target_config.container.table])
+                        .select('is_published')
+                        .where({uuid: container_uuid, is_member_of_exhibit: target_exhibit, is_deleted: 0})
+                        .forUpdate()
+                        .first()
+                        .timeout(this.QUERY_TIMEOUT);
+
+                    if (!parent) {
+                        return {status: 'not_found', message: `${target_config.container.label} not found in the target exhibit`};
+                    }
+
+                    to.is_container_published = parent.is_published === 1;
+                }
+
+                if (type === target.type && source_exhibit === target_exhibit && from.container_uuid === container_uuid) {
+                    return {status: 'rejected', message: 'Record is already there'};
+                }
+
+                to.is_published = from.is_published
+                    && destination.is_published === 1
+                    && to.is_container_published !== false;
+
+                const placement = {
+                    is_member_of_exhibit: target_exhibit,
+                    order: await this._next_order(trx, target_exhibit, target_config, container_uuid),
+                    is_published: to.is_published ? 1 : 0
+                };
+
+                if (target_config.container) {
+                    placement[target_config.container.column] = container_uuid;
+                }
+
+                if (type === target.type) {
+                    await trx(this.TABLE[source_config.table])
+                        .where({uuid: record_uuid})
+                        .update({...placement, updated: trx.fn.now()})
+                        .timeout(this.QUERY_TIMEOUT);
+                } else {
+                    await trx(this.TABLE[target_config.table])
+                        .insert(this._convert_record(row, target.type, target.date, placement))
+                        .timeout(this.QUERY_TIMEOUT);
+
+                    await trx(this.TABLE[source_config.table])
+                        .where({uuid: record_uuid})
+                        .del()
+                        .timeout(this.QUERY_TIMEOUT);
+                }
+
+                const media = source_exhibit === target_exhibit
+                    ? []
+                    : await this._get_media_usage(trx, row, source);
+
+                this._log_success('Record moved', {
+                    uuid: record_uuid,
+                    from: `${type}:${source_exhibit}`,
+                    to: `${target.type}:${target_exhibit}`
+                });
+
+                return {status: 'moved', message: 'Record moved', from, to, media};
+            });
+
+        } catch (error) {
+            this._handle_error(error, 'move_record', {exhibit_uuid, type, uuid});
+        }
+    }
+
+    /**
+     * Builds the target-table row for a record changing type: shared columns
+     * are copied, the type-specific ones of the source are dropped and the
+     * target's are defaulted
+     * @param {Object} row - Source row
+     * @param {string} target_type - item|grid_item|timeline_item
+     * @param {string|undefined} date - Timeline date supplied by the caller
+     * @param {Object} placement - Exhibit, container, order and publish state
+     * @returns {Object}
+     * @private
+     */
+    _convert_record(row, target_type, date, placement) {
+
+        const record = {};
+
+        for (const column of SHARED_COLUMNS) {
+            if (row[column] !== undefined) {
+                record[column] = row[column];
+            }
+        }
+
+        if (target_type !== 'item') {
+            record.layout = CONTAINER_LAYOUT;
+        }
+
+        if (target_type === 'timeline_item') {
+            record.date = date !== undefined ? date : (row.date ?? null);
+
+            // A kept date from before EDTF may not parse; it is moved without a range
+            const range = EDTF.parse(record.date);
+            record.date_start = range ? range.start : null;
+            record.date_end = range ? range.end : null;
+        }
+
+        return {...record, ...placement, is_locked: 0, locked_by_user: 0, locked_at: null, is_deleted: 0};
+    }
+
+    /**
+     * Gets the order a record takes at the end of an exhibit or container
+     * @param {Function} trx - Knex transaction
+     * @param {string} exhibit_uuid - Target exhibit UUID
+     * @param {Object} config - Target ITEM_TYPES entry
+     * @param {string|null} container_uuid - Target grid or timeline UUID
+     * @returns {Promise<number>}
+     * @private
+     */
+    async _next_order(trx, exhibit_uuid, config, container_uuid) {
+
+        const scopes = config.container
+            ? [{table: config.table, where: {[config.container.column]: container_uuid, is_deleted: 0}}]
+            : TOP_LEVEL_TABLES.map((table) => ({table, where: {is_member_of_exhibit: exhibit_uuid, is_deleted: 0}}));
+
+        let highest = 0;
+
+        for (const scope of scopes) {
+            const result = await trx(this.TABLE[scope.table])
+                .max({order: 'order'})
+                .where(scope.where)
+                .first()
+                .timeout(this.QUERY_TIMEOUT);
+
+            highest = Math.max(highest, Number(result?.order) || 0);
+        }
+
+        return highest + 1;
+    }
+
+    /**
+     * Lists the media library records a moved record uses and whether anything
+     * left in the source exhibit (its hero and thumbnail images, or another
+     * item) still uses each of them
+     * @param {Function} trx - Knex transaction
+     * @param {Object} row - Moved record as it was read
+     * @param {Object} source - Source exhibit row
+     * @returns {Promise<Array<{media_uuid: string, media_role: string, is_used_by_source: boolean}>>}
+     * @private
+     */
+    async _get_media_usage(trx, row, source) {
+
+        const media = [];
+        const roles = [['media_uuid', 'item_media'], ['thumbnail_media_uuid', 'thumbnail']];
+
+        for (const [column, media_role] of roles) {
+
+            const media_uuid = row[column];
+
+            if (!media_uuid || media.some((entry) => entry.media_uuid === media_uuid)) {
+                continue;
+            }
+
+            let is_used_by_source = source.hero_image_media_uuid === media_uuid || source.thumbnail_media_uuid === media_uuid;
+
+            for (const config of Object.values(ITEM_TYPES)) {
+
+                if (is_used_by_source) {
+                    break;
+                }
+
+                const match = await trx(this.TABLE[config.table])
+                    .select('uuid')
+                    .where({is_member_of_exhibit: source.uuid, is_deleted: 0})
+                    .andWhere((builder) => builder.where('media_uuid', media_uuid).orWhere('thumbnail_media_uuid', media_uuid))
+                    .first()
+                    .timeout(this.QUERY_TIMEOUT);
+
+                is_used_by_source = Boolean(match);
+            }
+
+            media.push({media_uuid, media_role, is_used_by_source});
+        }
+
+        return media;
+    }
+};
+
+Move_record_tasks.ITEM_TYPES = Object.keys(ITEM_TYPES);
+
+module.exports = Move_record_tasks;
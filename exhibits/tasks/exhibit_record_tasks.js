@@ -38,7 +38,7 @@ const Exhibit_record_tasks = class extends Base_tasks {
             'alert_text', 'hero_image', 'thumbnail', 'description', 'page_layout',
             'exhibit_template', 'exhibit_subjects', 'styles', 'order', 'is_published', 'is_preview',
             'is_featured', 'is_locked', 'locked_by_user', 'is_student_curated',
-            'owner', 'created', 'updated', 'created_by', 'updated_by'
+            'publish_at', 'suppress_at', 'workflow_state', 'owner', 'created', 'updated', 'created_by', 'updated_by'
         ];
         this.UPDATE_FIELDS = [
             'type', 'title', 'subtitle', 'banner_template', 'about_the_curators',
@@ -796,6 +796,169 @@ const Exhibit_record_tasks = class extends Base_tasks {
             updated_by
         );
     }
+
+    // ==================== OWNERSHIP ====================
+
+    /**
+     * Collects the media library UUIDs an exhibit references: its hero/thumbnail
+     * columns and active bindings, plus the media and thumbnails of its standard,
+     * grid and timeline items
+     * @param {Object} trx - Knex transaction
+     * @param {Object} exhibit - Exhibit row (uuid, hero_image_media_uuid, thumbnail_media_uuid)
+     * @returns {Promise<Array<string>>} Distinct media UUIDs
+     * @private
+     */
+    async _get_exhibit_media_uuids(trx, exhibit) {
+
+        const media_uuids = new Set([exhibit.hero_image_media_uuid, exhibit.thumbnail_media_uuid]);
+
+        const bindings = await trx(this.TABLE.exhibit_media_records)
+            .select('media_uuid')
+            .where({exhibit_uuid: exhibit.uuid, is_deleted: 0})
+            .timeout(this.QUERY_TIMEOUT);
+
+        bindings.forEach((binding) => media_uuids.add(binding.media_uuid));
+
+        for (const table_key of ['item_records', 'grid_item_records', 'timeline_item_records']) {
+
+            const items = await trx(this.TABLE[table_key])
+                .select('media_uuid', 'thumbnail_media_uuid')
+                .where({is_member_of_exhibit: exhibit.uuid})
+                .timeout(this.QUERY_TIMEOUT);
+
+            items.forEach((item) => {
+                media_uuids.add(item.media_uuid);
+                media_uuids.add(item.thumbnail_media_uuid);
+            });
+        }
+
+        return [...media_uuids].filter((media_uuid) => typeof media_uuid === 'string' && media_uuid.length > 0);
+    }
+
+    /**
+     * Transfers exhibit ownership to another user. With `cascade`, the exhibit's
+     * headings, items, grids, grid items, timelines and timeline items (including
+     * recycled ones) move with it, as do the media library records it references
+     * that the previous owner owns; media owned by anyone else is shared and left
+     * alone. Runs in a single transaction.
+     * @param {string} uuid - Exhibit UUID
+     * @param {number} owner - tbl_users.id of the new owner (must be active)
+     * @param {Object} [options]
+     * @param {boolean} [options.cascade=false] - Also transfer components and media
+     * @param {string} [options.updated_by=null] - User performing the transfer
+     * @returns {Promise<Object>} {previous_owner, owner, counts}
+     */
+    async transfer_exhibit_record(uuid, owner, options = {}) {
+
+        const {cascade = false, updated_by = null} = options;
+
+        try {
+
+            this._validate_database();
+            this._validate_table('exhibit_records');
+            this._validate_table('user_records');
+            const uuid_validated = this._validate_uuid(uuid, 'exhibit UUID');
+
+            const owner_id = Number(owner);
+
+            if (!Number.isInteger(owner_id) || owner_id <= 0) {
+                throw new Error(`Invalid owner: ${owner}`);
+            }
+
+            if (cascade) {
+                ['heading_records', 'item_records', 'grid_records', 'grid_item_records',
+                    'timeline_records', 'timeline_item_records', 'media_library_records',
+                    'exhibit_media_records'].forEach((table_key) => this._validate_table(table_key));
+            }
+
+            const result = await this.DB.transaction(async (trx) => {
+
+                const exhibit = await trx(this.TABLE.exhibit_records)
+                    .select('uuid', 'owner', 'is_deleted', 'hero_image_media_uuid', 'thumbnail_media_uuid')
+                    .where({uuid: uuid_validated})
+                    .first()
+                    .timeout(this.QUERY_TIMEOUT);
+
+                if (!exhibit) {
+                    throw new Error(`Exhibit record not found: ${uuid_validated}`);
+                }
+
+                if (exhibit.is_deleted === 1) {
+                    throw new Error(`Cannot modify deleted exhibit record: ${uuid_validated}`);
+                }
+
+                const user = await trx(this.TABLE.user_records)
+                    .select('id', 'is_active')
+                    .where({id: owner_id})
+                    .first()
+                    .timeout(this.QUERY_TIMEOUT);
+
+                if (!user || user.is_active !== 1) {
+                    throw new Error(`New owner not found or inactive: ${owner_id}`);
+                }
+
+                const previous_owner = Number(exhibit.owner);
+                const update_data = {owner: owner_id};
+
+                if (updated_by) {
+                    update_data.updated_by = updated_by;
+                }
+
+                await trx(this.TABLE.exhibit_records)
+                    .where({uuid: uuid_validated})
+                    .update(update_data)
+                    .timeout(this.QUERY_TIMEOUT);
+
+                const counts = {exhibit: 1};
+
+                if (cascade) {
+
+                    const components = {
+                        heading: 'heading_records',
+                        item: 'item_records',
+                        grid: 'grid_records',
+                        grid_item: 'grid_item_records',
+                        timeline: 'timeline_records',
+                        timeline_item: 'timeline_item_records'
+                    };
+
+                    for (const [type, table_key] of Object.entries(components)) {
+                        counts[type] = await trx(this.TABLE[table_key])
+                            .where({is_member_of_exhibit: uuid_validated})
+                            .update({owner: owner_id})
+                            .timeout(this.QUERY_TIMEOUT);
+                    }
+
+                    const media_uuids = await this._get_exhibit_media_uuids(trx, exhibit);
+
+                    counts.media = media_uuids.length === 0 ? 0 : await trx(this.TABLE.media_library_records)
+                        .whereIn('uuid', media_uuids)
+                        .andWhere({owner: previous_owner})
+                        .update({owner: owner_id})
+                        .timeout(this.QUERY_TIMEOUT);
+                }
+
+                return {previous_owner, owner: owner_id, counts};
+            });
+
+            this._log_success('Exhibit ownership transferred', {
+                uuid: uuid_validated,
+                previous_owner: result.previous_owner,
+                owner: owner_id,
+                cascade,
+                updated_by
+            });
+
+            return result;
+
+        } catch (error) {
+            this._handle_error(error, 'transfer_exhibit_record', {
+                uuid,
+                owner,
+                cascade
+            });
+        }
+    }
 };
 
 module.exports = Exhibit_record_tasks;
\ No newline at end of file
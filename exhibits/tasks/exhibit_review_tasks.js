@@ -0,0 +1,192 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const {randomUUID} = require('crypto');
+const Base_tasks = require('./tasks_helper');
+
+/**
+ * Tasks used to read and move an exhibit's editorial review state
+ * (`tbl_exhibits.workflow_state`) and its review log (`tbl_exhibit_reviews`).
+ *
+ * Construct with the full tables config object (`DB_TABLES.exhibits`). Which
+ * transitions are allowed is decided by the caller (review_model); these
+ * methods only guarantee that a state change and its log row are written
+ * together, and only from the state the caller expected.
+ *
+ * @type {Review_tasks}
+ */
+const Review_tasks = class extends Base_tasks {
+
+    constructor(DB, TABLE) {
+        super(DB, TABLE);
+    }
+
+    /**
+     * Gets the review state of an exhibit
+     * @param {string} uuid - Exhibit UUID
+     * @returns {Promise<Object|null>} {uuid, title, owner, workflow_state, is_published, is_student_curated} or null
+     */
+    async get_state(uuid) {
+
+        try {
+            this._validate_database();
+            this._validate_table('exhibit_records');
+            const validated_uuid = this._validate_uuid(uuid, 'exhibit UUID');
+
+            const record = await this.DB(this.TABLE.exhibit_records)
+                .select('uuid', 'title', 'owner', 'workflow_state', 'is_published', 'is_student_curated')
+                .where({uuid: validated_uuid, is_deleted: 0})
+                .first()
+                .timeout(this.QUERY_TIMEOUT);
+
+            return record || null;
+
+        } catch (error) {
+            this._handle_error(error, 'get_state', {uuid});
+        }
+    }
+
+    /**
+     * Moves an exhibit to a new review state and logs the transition, in one
+     * transaction. The row is locked while the current state is checked, so two
+     * reviewers acting at once cannot both move it.
+     * @param {string} uuid - Exhibit UUID
+     * @param {Object} transition
+     * @param {string} transition.action - submit|approve|request_changes
+     * @param {Array<string>} transition.from_states - States the exhibit may be in
+     * @param {string} transition.to_state - New state
+     * @param {string} [transition.comment=null] - Reviewer comment
+     * @param {string} [transition.created_by=null] - Display name of the user acting
+     * @returns {Promise<Object|null>} {changed, from_state, to_state, review_uuid}; null when the exhibit does not exist
+     */
+    async transition(uuid, transition) {
+
+        try {
+            this._validate_database();
+            this._validate_table('exhibit_records');
+            this._validate_table('review_records');
+            const validated_uuid = this._validate_uuid(uuid, 'exhibit UUID');
+
+            return await this.DB.transaction(async (trx) => {
+
+                const record = await trx(this.TABLE.exhibit_records)
+                    .select('workflow_state')
+                    .where({uuid: validated_uuid, is_deleted: 0})
+                    .forUpdate()
+                    .first()
+                    .timeout(this.QUERY_TIMEOUT);
+
+                if (!record) {
+                    return null;
+                }
+
+                const from_state = record.workflow_state;
+
+                if (!transition.from_states.includes(from_state)) {
+                    return {changed: false, from_state, to_state: from_state, review_uuid: null};
+                }
+
+                await trx(this.TABLE.exhibit_records)
+                    .where({uuid: validated_uuid})
+                    .update({workflow_state: transition.to_state})
+                    .timeout(this.QUERY_TIMEOUT);
+
+                const review_uuid = randomUUID();
+
+                await trx(this.TABLE.review_records)
+                    .insert({
+                        uuid: review_uuid,
+                        exhibit_uuid: validated_uuid,
+                        action: transition.action,
+                        from_state,
+                        to_state: transition.to_state,
+                        comment: transition.comment || null,
+                        created_by: transition.created_by || null
+                    })
+                    .timeout(this.QUERY_TIMEOUT);
+
+                this._log_success('Exhibit workflow state changed', {
+                    uuid: validated_uuid,
+                    action: transition.action,
+                    from_state,
+                    to_state: transition.to_state
+                });
+
+                return {changed: true, from_state, to_state: transition.to_state, review_uuid};
+            });
+
+        } catch (error) {
+            this._handle_error(error, 'transition', {uuid, action: transition?.action});
+        }
+    }
+
+    /**
+     * Sets the review state without logging a review, when the exhibit is in one
+     * of `from_states`. Used by publish/suppress to track the published state.
+     * @param {string} uuid - Exhibit UUID
+     * @param {string} to_state - New state
+     * @param {Array<string>} from_states - States the exhibit must currently be in
+     * @returns {Promise<boolean>} True when the state changed
+     */
+    async set_state(uuid, to_state, from_states) {
+
+        try {
+            this._validate_database();
+            this._validate_table('exhibit_records');
+            const validated_uuid = this._validate_uuid(uuid, 'exhibit UUID');
+
+            const affected_rows = await this.DB(this.TABLE.exhibit_records)
+                .where({uuid: validated_uuid, is_deleted: 0})
+                .whereIn('workflow_state', from_states)
+                .update({workflow_state: to_state})
+                .timeout(this.QUERY_TIMEOUT);
+
+            return affected_rows > 0;
+
+        } catch (error) {
+            this._handle_error(error, 'set_state', {uuid, to_state});
+        }
+    }
+
+    /**
+     * Gets the review log of an exhibit, newest first
+     * @param {string} uuid - Exhibit UUID
+     * @returns {Promise<Array<Object>>} [{uuid, action, from_state, to_state, comment, created_by, created}]
+     */
+    async get_reviews(uuid) {
+
+        try {
+            this._validate_database();
+            this._validate_table('review_records');
+            const validated_uuid = this._validate_uuid(uuid, 'exhibit UUID');
+
+            return await this.DB(this.TABLE.review_records)
+                .select('uuid', 'action', 'from_state', 'to_state', 'comment', 'created_by', 'created')
+                .where({exhibit_uuid: validated_uuid})
+                .orderBy([{column: 'created', order: 'desc'}, {column: 'id', order: 'desc'}])
+                .timeout(this.QUERY_TIMEOUT);
+
+        } catch (error) {
+            this._handle_error(error, 'get_reviews', {uuid});
+        }
+    }
+};
+
+module.exports = Review_tasks;
@@ -0,0 +1,449 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const {randomUUID} = require('crypto');
+const Base_tasks = require('./tasks_helper');
+const LOGGER = require('../../libs/log4');
+
+// A revision append that lost a version race (duplicate key or deadlock on the
+// locking read) is retried this many times in all
+const APPEND_ATTEMPTS = 3;
+const RETRYABLE_ERRORS = ['ER_DUP_ENTRY', 'ER_LOCK_DEADLOCK'];
+
+// Bookkeeping columns that change on (almost) every save or are driven by other
+// workflows (locking, ordering, publishing and its schedule, soft delete,
+// ownership), plus the timeline date range, which is derived from `date` on save.
+// They stay in the snapshot but never count as a content change and are never
+// restored.
+const NON_CONTENT_FIELDS = [
+    'id', 'uuid', 'is_member_of_exhibit', 'is_member_of_grid', 'is_member_of_timeline',
+    'order', 'date_start', 'date_end', 'is_published', 'is_preview', 'is_deleted', 'is_indexed',
+    'is_locked', 'locked_by_user', 'locked_at', 'owner',
+    'publish_at', 'suppress_at', 'scheduled_by', 'workflow_state',
+    'created', 'created_by', 'updated', 'updated_by'
+];
+
+/**
+ * Tasks used to manage component revisions (tbl_revisions).
+ *
+ * Construct with the full tables config object (`DB_TABLES.exhibits`). Each save
+ * of an exhibit component is recorded as a post-save snapshot plus a field diff
+ * against the pre-save state (see the 20261019120000_create_revisions_table
+ * migration).
+ *
+ * Update paths run their save through `capture_save`, which reads the record
+ * before and after it in the save's own transaction under the record's row
+ * lock, so concurrent saves of one record each diff against their own pre-save
+ * state. Recording (`record_revision`) is best-effort by design: a revision that
+ * cannot be written is logged rather than failing the curator's save. The read
+ * methods throw like the other task classes so the model can report the failure.
+ *
+ * @type {Revision_record_tasks}
+ */
+const Revision_record_tasks = class extends Base_tasks {
+
+    constructor(DB, TABLE) {
+        super(DB, TABLE);
+        this.TYPE_TABLE = {
+            exhibit: 'exhibit_records',
+            heading: 'heading_records',
+            item: 'item_records',
+            grid: 'grid_records',
+            grid_item: 'grid_item_records',
+            timeline: 'timeline_records',
+            timeline_item: 'timeline_item_records'
+        };
+        this.NON_CONTENT_FIELDS = NON_CONTENT_FIELDS;
+    }
+
+    /**
+     * Resolves a record type to its table name
+     * @param {string} record_type - exhibit|heading|item|grid|grid_item|timeline|timeline_item
+     * @returns {string} Table name
+     * @private
+     */
+    _resolve_table(record_type) {
+        const table_key = this.TYPE_TABLE[record_type];
+
+        if (!table_key) {
+            throw new Error(`Invalid record type: ${record_type}`);
+        }
+
+        this._validate_table(table_key);
+        return this.TABLE[table_key];
+    }
+
+    /**
+     * Normalizes a column value for comparison and JSON storage (dates become
+     * ISO strings so a re-read row compares equal to its stored snapshot)
+     * @param {*} value - Column value
+     * @returns {*} Comparable value
+     * @private
+     */
+    _normalize(value) {
+
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+
+        if (value === undefined) {
+            return null;
+        }
+
+        return value;
+    }
+
+    /**
+     * Builds the content diff between two record states
+     * @param {Object|null} before - Pre-save row
+     * @param {Object} after - Post-save row
+     * @returns {Object} {field: {before, after}} for every changed content field
+     */
+    build_changes(before, after) {
+
+        const changes = {};
+        const previous = before || {};
+        const fields = new Set([...Object.keys(previous), ...Object.keys(after || {})]);
+
+        for (const field of fields) {
+
+            if (this.NON_CONTENT_FIELDS.includes(field)) {
+                continue;
+            }
+
+            const old_value = this._normalize(previous[field]);
+            const new_value = this._normalize(after[field]);
+
+            if (JSON.stringify(old_value) !== JSON.stringify(new_value)) {
+                changes[field] = {before: old_value, after: new_value};
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Reads the current state of a record (best-effort; null on failure)
+     * @param {string} record_type - Record type
+     * @param {string} uuid - Record UUID
+     * @returns {Promise<Object|null>} Row or null
+     */
+    async get_record_state(record_type, uuid) {
+
+        try {
+            this._validate_database();
+            const table = this._resolve_table(record_type);
+
+            const record = await this.DB(table)
+                .select('*')
+                .where({uuid: this._validate_uuid(uuid, `${record_type} UUID`)})
+                .first()
+                .timeout(this.QUERY_TIMEOUT);
+
+            return record || null;
+
+        } catch (error) {
+            LOGGER.module().error(`ERROR: [/exhibits/exhibit_revision_record_tasks (get_record_state)] ${error.message}`, {
+                record_type,
+                uuid
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Runs a save in a transaction that first locks the record's row, and
+     * reads the record before and after the save in that transaction. The save
+     * must write through the transaction it is given (e.g. a task constructed
+     * with it); its errors roll the transaction back and are rethrown.
+     * @param {string} record_type - Record type
+     * @param {string} uuid - Record UUID
+     * @param {Function} save - async (trx) => result
+     * @returns {Promise<Object>} {result, before, after}; before and after are null when the record does not exist
+     */
+    async capture_save(record_type, uuid, save) {
+
+        this._validate_database();
+        const table = this._resolve_table(record_type);
+        const uuid_validated = this._validate_uuid(uuid, `${record_type} UUID`);
+
+        return this.DB.transaction(async (trx) => {
+
+            const before = await trx(table)
+                .select('*')
+                .where({uuid: uuid_validated})
+                .forUpdate()
+                .first()
+                .timeout(this.QUERY_TIMEOUT);
+
+            const result = await save(trx);
+
+            const after = before
+                ? await trx(table)
+                    .select('*')
+                    .where({uuid: uuid_validated})
+                    .first()
+                    .timeout(this.QUERY_TIMEOUT)
+                : null;
+
+            return {result, before: before || null, after: after || null};
+        });
+    }
+
+    /**
+     * Inserts one revision row
+     * @param {Function} trx - Transaction
+     * @param {Object} revision - Revision fields
+     * @param {number} version - Per-record version
+     * @returns {Promise<string>} Revision UUID
+     * @private
+     */
+    async _insert_revision(trx, revision, version) {
+
+        const uuid = randomUUID();
+
+        await trx(this.TABLE.revision_records)
+            .insert({
+                uuid,
+                record_type: revision.record_type,
+                record_uuid: revision.record_uuid,
+                is_member_of_exhibit: revision.is_member_of_exhibit,
+                version,
+                action: revision.action,
+                restored_from: revision.restored_from || null,
+                snapshot: JSON.stringify(revision.snapshot),
+                changes: JSON.stringify(revision.changes || {}),
+                created_by: revision.created_by || null
+            })
+            .timeout(this.QUERY_TIMEOUT);
+
+        return uuid;
+    }
+
+    /**
+     * Appends a revision at the record's next version, preceded by `baseline`
+     * when the record has no history yet. The latest version is read with a
+     * locking read in the same transaction as the inserts, and
+     * (record_uuid, version) is unique, so concurrent saves of one record
+     * cannot share a version; the loser of a race is retried.
+     * @param {Object} revision - Revision fields
+     * @param {Object} baseline - Baseline revision fields
+     * @returns {Promise<string>} Revision UUID
+     * @private
+     */
+    async _append_revision(revision, baseline) {
+
+        for (let attempt = 1; ; attempt++) {
+
+            try {
+
+                return await this.DB.transaction(async (trx) => {
+
+                    const latest = await trx(this.TABLE.revision_records)
+                        .select('version')
+                        .where({record_uuid: revision.record_uuid})
+                        .orderBy('version', 'desc')
+                        .first()
+                        .forUpdate()
+                        .timeout(this.QUERY_TIMEOUT);
+
+                    let version = Number(latest?.version) || 0;
+
+                    if (version === 0) {
+                        await this._insert_revision(trx, baseline, ++version);
+                    }
+
+                    return this._insert_revision(trx, revision, version + 1);
+                });
+
+            } catch (error) {
+
+                if (attempt >= APPEND_ATTEMPTS || !RETRYABLE_ERRORS.includes(error.code)) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    /**
+     * Records a revision for a save that just completed (best-effort; never throws).
+     * Diffs the post-save state against the pre-save state and writes nothing
+     * when no content field changed. When the record has no history yet, the
+     * pre-save state is written first as its `baseline` revision.
+     * @param {string} record_type - Record type
+     * @param {Object|null} before - Pre-save row (from capture_save)
+     * @param {Object} [options]
+     * @param {Object} [options.after] - Post-save row (from capture_save); re-read when omitted
+     * @param {string} [options.created_by=null] - Who saved
+     * @param {string} [options.restored_from=null] - Revision UUID when the save was a restore
+     * @returns {Promise<string|null>} New revision UUID, or null when nothing was recorded
+     */
+    async record_revision(record_type, before, options = {}) {
+
+        try {
+
+            if (!before || !before.uuid) {
+                return null;
+            }
+
+            this._validate_database();
+            this._validate_table('revision_records');
+
+            const after = options.after || await this.get_record_state(record_type, before.uuid);
+
+            if (!after) {
+                return null;
+            }
+
+            const changes = this.build_changes(before, after);
+
+            if (Object.keys(changes).length === 0) {
+                return null;
+            }
+
+            const is_member_of_exhibit = record_type === 'exhibit' ? after.uuid : after.is_member_of_exhibit;
+            const created_by = options.created_by || null;
+            // Only a well-formed revision UUID marks the save as a restore.
+            const restored_from = typeof options.restored_from === 'string' && this.UUID_REGEX.test(options.restored_from)
+                ? options.restored_from
+                : null;
+
+            const uuid = await this._append_revision({
+                record_type,
+                record_uuid: after.uuid,
+                is_member_of_exhibit,
+                action: restored_from ? 'restore' : 'update',
+                restored_from,
+                snapshot: after,
+                changes,
+                created_by
+            }, {
+                record_type,
+                record_uuid: before.uuid,
+                is_member_of_exhibit,
+                action: 'baseline',
+                snapshot: before,
+                changes: {},
+                created_by: before.updated_by || before.created_by || null
+            });
+
+            this._log_success('Revision recorded', {record_type, record_uuid: after.uuid, revision: uuid});
+            return uuid;
+
+        } catch (error) {
+            LOGGER.module().error(`ERROR: [/exhibits/exhibit_revision_record_tasks (record_revision)] ${error.message}`, {
+                record_type,
+                record_uuid: before?.uuid
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Parses the JSON columns of a revision row
+     * @param {Object} row - Revision row
+     * @returns {Object} Row with snapshot/changes as objects
+     * @private
+     */
+    _parse_revision(row) {
+
+        const parse = (value) => {
+            if (typeof value !== 'string') {
+                return value || {};
+            }
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return {};
+            }
+        };
+
+        const parsed = {...row, changes: parse(row.changes)};
+
+        if (row.snapshot !== undefined) {
+            parsed.snapshot = parse(row.snapshot);
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Gets revisions for an exhibit (all components), newest first. Snapshots are
+     * omitted from the list; fetch a single revision for its full state.
+     * @param {string} is_member_of_exhibit - Exhibit UUID
+     * @param {string} [record_uuid=null] - Restrict to one component
+     * @returns {Promise<Array>} Revision rows
+     */
+    async get_revision_records(is_member_of_exhibit, record_uuid = null) {
+
+        try {
+            this._validate_database();
+            this._validate_table('revision_records');
+
+            const where = {is_member_of_exhibit: this._validate_uuid(is_member_of_exhibit, 'exhibit UUID')};
+
+            if (record_uuid) {
+                where.record_uuid = this._validate_uuid(record_uuid, 'record UUID');
+            }
+
+            const rows = await this.DB(this.TABLE.revision_records)
+                .select('uuid', 'record_type', 'record_uuid', 'is_member_of_exhibit', 'version',
+                    'action', 'restored_from', 'changes', 'created_by', 'created')
+                .where(where)
+                .orderBy([{column: 'created', order: 'desc'}, {column: 'id', order: 'desc'}])
+                .timeout(this.QUERY_TIMEOUT);
+
+            return rows.map((row) => this._parse_revision(row));
+
+        } catch (error) {
+            this._handle_error(error, 'get_revision_records', {is_member_of_exhibit, record_uuid});
+        }
+    }
+
+    /**
+     * Gets a single revision with its snapshot
+     * @param {string} is_member_of_exhibit - Exhibit UUID
+     * @param {string} uuid - Revision UUID
+     * @returns {Promise<Object|null>} Revision or null
+     */
+    async get_revision_record(is_member_of_exhibit, uuid) {
+
+        try {
+            this._validate_database();
+            this._validate_table('revision_records');
+
+            const row = await this.DB(this.TABLE.revision_records)
+                .select('*')
+                .where({
+                    is_member_of_exhibit: this._validate_uuid(is_member_of_exhibit, 'exhibit UUID'),
+                    uuid: this._validate_uuid(uuid, 'revision UUID')
+                })
+                .first()
+                .timeout(this.QUERY_TIMEOUT);
+
+            return row ? this._parse_revision(row) : null;
+
+        } catch (error) {
+            this._handle_error(error, 'get_revision_record', {is_member_of_exhibit, uuid});
+        }
+    }
+};
+
+module.exports = Revision_record_tasks;
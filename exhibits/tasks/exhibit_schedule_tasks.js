@@ -0,0 +1,258 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const Base_tasks = require('./tasks_helper');
+
+// Transition -> schedule column
+const ACTION_COLUMNS = {
+    publish: 'publish_at',
+    suppress: 'suppress_at'
+};
+
+/**
+ * Tasks used to read and write scheduled publish/suppress transitions
+ * (`publish_at` / `suppress_at` on tbl_exhibits and tbl_standard_items).
+ *
+ * Construct with the full tables config object (`DB_TABLES.exhibits`). These
+ * methods only touch the schedule columns; the transitions themselves run
+ * through the normal publish/suppress model paths.
+ *
+ * @type {Schedule_tasks}
+ */
+const Schedule_tasks = class extends Base_tasks {
+
+    constructor(DB, TABLE) {
+        super(DB, TABLE);
+        this.TYPE_TABLE = {
+            exhibit: 'exhibit_records',
+            item: 'item_records'
+        };
+    }
+
+    /**
+     * Resolves a record type to its table name
+     * @param {string} record_type - exhibit|item
+     * @returns {string} Table name
+     * @private
+     */
+    _resolve_table(record_type) {
+        const table_key = this.TYPE_TABLE[record_type];
+
+        if (!table_key) {
+            throw new Error(`Invalid record type: ${record_type}`);
+        }
+
+        this._validate_table(table_key);
+        return this.TABLE[table_key];
+    }
+
+    /**
+     * Resolves a transition to its schedule column
+     * @param {string} action - publish|suppress
+     * @returns {string} Column name
+     * @private
+     */
+    _resolve_column(action) {
+        const column = ACTION_COLUMNS[action];
+
+        if (!column) {
+            throw new Error(`Invalid schedule action: ${action}`);
+        }
+
+        return column;
+    }
+
+    /**
+     * Gets the publish state and schedule of a record
+     * @param {string} record_type - exhibit|item
+     * @param {string} uuid - Record UUID
+     * @returns {Promise<Object|null>} {uuid, is_member_of_exhibit, is_published, publish_at, suppress_at, scheduled_by} or null
+     */
+    async get_schedule(record_type, uuid) {
+
+        try {
+            this._validate_database();
+            const table = this._resolve_table(record_type);
+            const validated_uuid = this._validate_uuid(uuid, 'record UUID');
+            const columns = ['uuid', 'is_published', 'publish_at', 'suppress_at', 'scheduled_by'];
+
+            if (record_type !== 'exhibit') {
+                columns.push('is_member_of_exhibit');
+            }
+
+            const record = await this.DB(table)
+                .select(columns)
+                .where({uuid: validated_uuid, is_deleted: 0})
+                .first()
+                .timeout(this.QUERY_TIMEOUT);
+
+            return record || null;
+
+        } catch (error) {
+            this._handle_error(error, 'get_schedule', {record_type, uuid});
+        }
+    }
+
+    /**
+     * Sets (or clears, with null) both schedule columns of a record
+     * @param {string} record_type - exhibit|item
+     * @param {string} uuid - Record UUID
+     * @param {Object} schedule
+     * @param {Date|null} schedule.publish_at
+     * @param {Date|null} schedule.suppress_at
+     * @param {string} [scheduled_by=null] - Display name of the user setting the schedule
+     * @returns {Promise<boolean>} True when a record was updated
+     */
+    async set_schedule(record_type, uuid, schedule, scheduled_by = null) {
+
+        try {
+            this._validate_database();
+            const table = this._resolve_table(record_type);
+            const validated_uuid = this._validate_uuid(uuid, 'record UUID');
+
+            const affected_rows = await this.DB(table)
+                .where({uuid: validated_uuid, is_deleted: 0})
+                .update({
+                    publish_at: schedule.publish_at || null,
+                    suppress_at: schedule.suppress_at || null,
+                    scheduled_by: scheduled_by
+                })
+                .timeout(this.QUERY_TIMEOUT);
+
+            if (affected_rows > 0) {
+                this._log_success('Record schedule updated', {record_type, uuid: validated_uuid});
+            }
+
+            return affected_rows > 0;
+
+        } catch (error) {
+            this._handle_error(error, 'set_schedule', {record_type, uuid});
+        }
+    }
+
+    /**
+     * Gets every transition that is due, oldest first. When a record has a
+     * publish and a suppress due at the same time the publish comes first, so
+     * the later (suppress) state wins.
+     * @param {Date} now - Cut-off time
+     * @returns {Promise<Array<Object>>} [{record_type, action, uuid, is_member_of_exhibit, due_at}]
+     */
+    async get_due_transitions(now) {
+
+        try {
+            this._validate_database();
+            return await this._get_transitions((query, column) => query.where(column, '<=', now));
+
+        } catch (error) {
+            this._handle_error(error, 'get_due_transitions');
+        }
+    }
+
+    /**
+     * Gets every pending transition (future and overdue) for the dashboard
+     * @param {number} [limit=100] - Maximum number of transitions returned
+     * @returns {Promise<Array<Object>>} [{record_type, action, uuid, is_member_of_exhibit, title, due_at, scheduled_by}]
+     */
+    async get_scheduled_transitions(limit = 100) {
+
+        try {
+            this._validate_database();
+            const transitions = await this._get_transitions((query, column) => query.whereNotNull(column), true);
+            return transitions.slice(0, limit);
+
+        } catch (error) {
+            this._handle_error(error, 'get_scheduled_transitions');
+        }
+    }
+
+    /**
+     * Reads transitions for every record type and action
+     * @param {Function} filter - (query, column) => query; restricts the schedule column
+     * @param {boolean} [with_details=false] - Also select title and scheduled_by
+     * @returns {Promise<Array<Object>>} Transitions sorted by due time
+     * @private
+     */
+    async _get_transitions(filter, with_details = false) {
+
+        const reads = [];
+
+        for (const record_type of Object.keys(this.TYPE_TABLE)) {
+
+            const table = this._resolve_table(record_type);
+            const member_column = record_type === 'exhibit' ? 'uuid' : 'is_member_of_exhibit';
+
+            for (const [action, column] of Object.entries(ACTION_COLUMNS)) {
+
+                const columns = ['uuid', `${member_column} as is_member_of_exhibit`, `${column} as due_at`];
+
+                if (with_details) {
+                    columns.push('title', 'scheduled_by');
+                }
+
+                const query = this.DB(table).select(columns).where({is_deleted: 0});
+
+                reads.push(
+                    filter(query, column)
+                        .orderBy(column, 'asc')
+                        .timeout(this.QUERY_TIMEOUT)
+                        .then((rows) => rows.map((row) => ({record_type, action, ...row})))
+                );
+            }
+        }
+
+        const order = Object.keys(ACTION_COLUMNS);
+
+        return (await Promise.all(reads))
+            .flat()
+            .sort((a, b) => (new Date(a.due_at) - new Date(b.due_at)) || (order.indexOf(a.action) - order.indexOf(b.action)));
+    }
+
+    /**
+     * Clears a transition once it has run. The column is only cleared if it
+     * still holds the time that was run, so a reschedule made in the meantime
+     * is kept.
+     * @param {string} record_type - exhibit|item
+     * @param {string} uuid - Record UUID
+     * @param {string} action - publish|suppress
+     * @param {Date} due_at - Time the transition was scheduled for
+     * @returns {Promise<boolean>} True when the column was cleared
+     */
+    async clear_transition(record_type, uuid, action, due_at) {
+
+        try {
+            this._validate_database();
+            const table = this._resolve_table(record_type);
+            const column = this._resolve_column(action);
+            const validated_uuid = this._validate_uuid(uuid, 'record UUID');
+
+            const affected_rows = await this.DB(table)
+                .where({uuid: validated_uuid, [column]: due_at})
+                .update({[column]: null})
+                .timeout(this.QUERY_TIMEOUT);
+
+            return affected_rows > 0;
+
+        } catch (error) {
+            this._handle_error(error, 'clear_transition', {record_type, uuid, action});
+        }
+    }
+};
+
+module.exports = Schedule_tasks;
@@ -358,6 +358,7 @@ const Exhibit_timeline_record_tasks = class extends Base_tasks {
                     `media_lib.kaltura_entry_id`,
                     `media_lib.media_width as ml_media_width`,
                     `media_lib.media_height as ml_media_height`,
+                    `media_lib.full_text as media_full_text`,
                     `media_lib.media_type as ml_media_type`,
                     `media_lib.filename as ml_media_filename`,
                     `media_lib.topics_subjects as media_topics_subjects`,
@@ -420,7 +421,7 @@ const Exhibit_timeline_record_tasks = class extends Base_tasks {
             'mime_type', 'media', 'media_uuid', 'text', 'wrap_text', 'description',
             'type', 'layout', 'media_width', 'media_padding', 'alt_text',
             'is_alt_text_decorative', 'pdf_open_to_page', 'item_subjects', 'styles',
-            'order', 'date', 'is_repo_item', 'is_kaltura_item', 'is_embedded',
+            'order', 'date', 'date_start', 'date_end', 'is_repo_item', 'is_kaltura_item', 'is_embedded',
             'is_published', 'is_locked', 'locked_by_user', 'locked_at',
             'is_deleted', 'owner'
         ];
@@ -791,7 +792,7 @@ const Exhibit_timeline_record_tasks = class extends Base_tasks {
             'item_type', 'mime_type', 'media', 'media_uuid', 'text', 'wrap_text',
             'description', 'type', 'layout', 'media_width', 'media_padding', 'alt_text',
             'is_alt_text_decorative', 'pdf_open_to_page', 'item_subjects', 'styles',
-            'order', 'date', 'is_repo_item', 'is_kaltura_item', 'is_embedded',
+            'order', 'date', 'date_start', 'date_end', 'is_repo_item', 'is_kaltura_item', 'is_embedded',
             'is_published', 'is_locked', 'locked_by_user', 'locked_at', 'owner'
         ];
 
@@ -1378,6 +1379,84 @@ const Exhibit_timeline_record_tasks = class extends Base_tasks {
             });
         }
     }
+
+    /**
+     * Renumbers a timeline's items in chronological order: by date_start, then
+     * date_end. Items open at the start (../1865) come first, undated items
+     * last, and ties keep their current order.
+     * @param {string} is_member_of_exhibit - Exhibit UUID
+     * @param {string} is_member_of_timeline - Timeline UUID
+     * @returns {Promise<Object>} {changed, items: [{uuid, order}]} in the new order
+     */
+    async order_timeline_items_by_date(is_member_of_exhibit, is_member_of_timeline) {
+
+        try {
+
+            this._validate_database();
+            this._validate_table('timeline_item_records');
+
+            const validated = this._validate_uuids({
+                [is_member_of_exhibit]: 'exhibit UUID',
+                [is_member_of_timeline]: 'timeline UUID'
+            });
+
+            const is_undated = (row) => (row.date_start === null && row.date_end === null ? 1 : 0);
+            const to_time = (value, fallback) => (value ? new Date(value).getTime() : fallback);
+
+            return await this.DB.transaction(async (trx) => {
+
+                const rows = await trx(this.TABLE.timeline_item_records)
+                    .select('uuid', 'order', 'date_start', 'date_end')
+                    .where({
+                        is_member_of_exhibit: validated['exhibit UUID'],
+                        is_member_of_timeline: validated['timeline UUID'],
+                        is_deleted: 0
+                    })
+                    .forUpdate()
+                    .timeout(this.QUERY_TIMEOUT);
+
+                // Comparisons between two open ends are NaN, which falls through to the next key
+                const sorted = [...rows].sort((a, b) => {
+                    return is_undated(a) - is_undated(b) ||
+                        to_time(a.date_start, -Infinity) - to_time(b.date_start, -Infinity) ||
+                        to_time(a.date_end, Infinity) - to_time(b.date_end, Infinity) ||
+                        a.order - b.order;
+                });
+
+                let changed = 0;
+
+                for (const [index, row] of sorted.entries()) {
+
+                    if (row.order === index + 1) {
+                        continue;
+                    }
+
+                    await trx(this.TABLE.timeline_item_records)
+                        .where({uuid: row.uuid})
+                        .update({order: index + 1})
+                        .timeout(this.QUERY_TIMEOUT);
+
+                    changed++;
+                }
+
+                this._log_success('Timeline items ordered by date', {
+                    timeline_uuid: validated['timeline UUID'],
+                    changed
+                });
+
+                return {
+                    changed,
+                    items: sorted.map((row, index) => ({uuid: row.uuid, order: index + 1}))
+                };
+            });
+
+        } catch (error) {
+            this._handle_error(error, 'order_timeline_items_by_date', {
+                is_member_of_exhibit,
+                is_member_of_timeline
+            });
+        }
+    }
 };
 
 module.exports = Exhibit_timeline_record_tasks;
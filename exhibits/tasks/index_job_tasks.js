@@ -0,0 +1,433 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const {randomUUID} = require('crypto');
+const Base_tasks = require('./tasks_helper');
+
+// Columns returned to the dashboard
+const JOB_COLUMNS = [
+    'uuid', 'type', 'dedupe_key', 'payload', 'status', 'attempts', 'run_at',
+    'leased_until', 'lease_owner', 'last_error', 'created', 'updated'
+];
+
+// A key has at most one pending job (see the 20261019232000 migration); an
+// enqueue that loses a race for it is retried and then coalesces
+const ENQUEUE_ATTEMPTS = 3;
+const RETRYABLE_ERRORS = ['ER_DUP_ENTRY', 'ER_LOCK_DEADLOCK'];
+
+// Record type -> table key, for the publish-state check before a job runs
+const RECORD_TABLES = {
+    exhibit: 'exhibit_records',
+    heading: 'heading_records',
+    item: 'item_records',
+    grid: 'grid_records',
+    grid_item: 'grid_item_records',
+    timeline: 'timeline_records',
+    timeline_item: 'timeline_item_records'
+};
+
+/**
+ * Parses a job row's JSON payload in place
+ * @param {Object} job - Job row
+ * @returns {Object} The same row
+ */
+const parse_payload = (job) => {
+
+    try {
+        job.payload = JSON.parse(job.payload || '{}');
+    } catch (error) {
+        job.payload = {};
+    }
+
+    return job;
+};
+
+/**
+ * Tasks used by the search index job queue (`tbl_index_jobs`).
+ *
+ * Construct with the full tables config object (`DB_TABLES.exhibits`).
+ *
+ * @type {Index_job_tasks}
+ */
+const Index_job_tasks = class extends Base_tasks {
+
+    constructor(DB, TABLE) {
+        super(DB, TABLE);
+    }
+
+    /**
+     * Reads and locks the pending job queued under a key
+     * @param {Object} trx - Transaction
+     * @param {string} dedupe_key - Job key
+     * @returns {Promise<Object|undefined>} {uuid}
+     * @private
+     */
+    async _get_pending_job(trx, dedupe_key) {
+        return trx(this.TABLE.index_job_records)
+            .select('uuid')
+            .where({dedupe_key, status: 'pending'})
+            .forUpdate()
+            .first()
+            .timeout(this.QUERY_TIMEOUT);
+    }
+
+    /**
+     * Adds a pending job, or replaces the work of the pending job already queued
+     * under the same key and moves its run time to `run_at`. A job that is
+     * running is left alone, so the new work runs after it.
+     * @param {Object} job - {dedupe_key, type, payload, run_at}
+     * @returns {Promise<Object>} {uuid, coalesced}
+     */
+    async enqueue_job(job) {
+
+        try {
+            this._validate_database();
+            this._validate_table('index_job_records');
+
+            const fields = {
+                type: job.type,
+                payload: JSON.stringify(job.payload || {}),
+                run_at: job.run_at,
+                attempts: 0,
+                last_error: null
+            };
+
+            for (let attempt = 1; ; attempt++) {
+
+                try {
+
+                    return await this.DB.transaction(async (trx) => {
+
+                        const pending = await this._get_pending_job(trx, job.dedupe_key);
+
+                        if (pending) {
+                            await trx(this.TABLE.index_job_records)
+                                .where({uuid: pending.uuid})
+                                .update(fields)
+                                .timeout(this.QUERY_TIMEOUT);
+
+                            return {uuid: pending.uuid, coalesced: true};
+                        }
+
+                        const uuid = randomUUID();
+
+                        await trx(this.TABLE.index_job_records)
+                            .insert({uuid, dedupe_key: job.dedupe_key, status: 'pending', ...fields})
+                            .timeout(this.QUERY_TIMEOUT);
+
+                        return {uuid, coalesced: false};
+                    });
+
+                } catch (error) {
+
+                    if (attempt >= ENQUEUE_ATTEMPTS || !RETRYABLE_ERRORS.includes(error.code)) {
+                        throw error;
+                    }
+                }
+            }
+
+        } catch (error) {
+            this._handle_error(error, 'enqueue_job', {dedupe_key: job?.dedupe_key});
+        }
+    }
+
+    /**
+     * Leases due jobs to a worker, oldest first: pending jobs whose run time has
+     * passed, and running jobs whose lease expired (their worker stopped mid-job).
+     * Each leased job counts one attempt.
+     * @param {string} owner - Worker identity (host:pid)
+     * @param {Date} now - Current time
+     * @param {number} lease_ms - How long the worker may hold each job
+     * @param {number} limit - Maximum jobs
+     * @returns {Promise<Array<Object>>} Leased jobs with `payload` parsed
+     */
+    async lease_jobs(owner, now, lease_ms, limit) {
+
+        try {
+            this._validate_database();
+            this._validate_table('index_job_records');
+
+            const leased_until = new Date(now.getTime() + lease_ms);
+
+            return await this.DB.transaction(async (trx) => {
+
+                const jobs = await trx(this.TABLE.index_job_records)
+                    .select(['uuid', 'type', 'dedupe_key', 'payload', 'attempts'])
+                    .where((query) => {
+                        query.where({status: 'pending'}).andWhere('run_at', '<=', now);
+                    })
+                    .orWhere((query) => {
+                        query.where({status: 'running'}).andWhere('leased_until', '<', now);
+                    })
+                    .orderBy([{column: 'run_at', order: 'asc'}, {column: 'id', order: 'asc'}])
+                    .limit(limit)
+                    .forUpdate()
+                    .timeout(this.QUERY_TIMEOUT);
+
+                for (const job of jobs) {
+                    job.attempts += 1;
+
+                    await trx(this.TABLE.index_job_records)
+                        .where({uuid: job.uuid})
+                        .update({status: 'running', attempts: job.attempts, leased_until, lease_owner: owner})
+                        .timeout(this.QUERY_TIMEOUT);
+                }
+
+                return jobs.map(parse_payload);
+            });
+
+        } catch (error) {
+            this._handle_error(error, 'lease_jobs', {owner});
+        }
+    }
+
+    /**
+     * Removes a finished job, if the worker still holds its lease
+     * @param {string} uuid - Job UUID
+     * @param {string} owner - Worker identity
+     * @returns {Promise<boolean>} false when the lease was lost to another worker
+     */
+    async complete_job(uuid, owner) {
+
+        try {
+            this._validate_database();
+            this._validate_table('index_job_records');
+
+            const deleted = await this.DB(this.TABLE.index_job_records)
+                .where({uuid, status: 'running', lease_owner: owner})
+                .delete()
+                .timeout(this.QUERY_TIMEOUT);
+
+            return deleted > 0;
+
+        } catch (error) {
+            this._handle_error(error, 'complete_job', {uuid});
+        }
+    }
+
+    /**
+     * Records a failed attempt: the job goes back to pending until `retry_at`,
+     * or is marked dead when `retry_at` is null. When newer work for the same
+     * key was queued while it ran, that pending job already covers the retry,
+     * so the failed job is removed instead.
+     * @param {string} uuid - Job UUID
+     * @param {string} owner - Worker identity
+     * @param {string} error_message - Why the attempt failed
+     * @param {Date|null} retry_at - Next attempt, or null to give up
+     * @returns {Promise<boolean>} false when the lease was lost to another worker
+     */
+    async fail_job(uuid, owner, error_message, retry_at) {
+
+        try {
+            this._validate_database();
+            this._validate_table('index_job_records');
+
+            const update = {
+                status: retry_at === null ? 'dead' : 'pending',
+                leased_until: null,
+                lease_owner: null,
+                last_error: String(error_message || '').substring(0, 1000)
+            };
+
+            if (retry_at !== null) {
+                update.run_at = retry_at;
+            }
+
+            return await this.DB.transaction(async (trx) => {
+
+                const running = await trx(this.TABLE.index_job_records)
+                    .select('dedupe_key')
+                    .where({uuid, status: 'running', lease_owner: owner})
+                    .forUpdate()
+                    .first()
+                    .timeout(this.QUERY_TIMEOUT);
+
+                if (!running) {
+                    return false;
+                }
+
+                const superseded = retry_at !== null && await this._get_pending_job(trx, running.dedupe_key);
+                const query = trx(this.TABLE.index_job_records).where({uuid});
+
+                if (superseded) {
+                    await query.delete().timeout(this.QUERY_TIMEOUT);
+                } else {
+                    await query.update(update).timeout(this.QUERY_TIMEOUT);
+                }
+
+                return true;
+            });
+
+        } catch (error) {
+            this._handle_error(error, 'fail_job', {uuid});
+        }
+    }
+
+    /**
+     * Gets queued jobs, due first, optionally of one status
+     * @param {string|null} status - pending|running|dead, or null for all
+     * @param {number} limit - Maximum rows
+     * @returns {Promise<Array<Object>>} Jobs with `payload` parsed
+     */
+    async get_jobs(status, limit) {
+
+        try {
+            this._validate_database();
+            this._validate_table('index_job_records');
+
+            const query = this.DB(this.TABLE.index_job_records)
+                .select(JOB_COLUMNS)
+                .orderBy([{column: 'run_at', order: 'asc'}, {column: 'id', order: 'asc'}])
+                .limit(limit);
+
+            if (status) {
+                query.where({status});
+            }
+
+            const jobs = await query.timeout(this.QUERY_TIMEOUT);
+
+            return jobs.map(parse_payload);
+
+        } catch (error) {
+            this._handle_error(error, 'get_jobs', {status});
+        }
+    }
+
+    /**
+     * Counts queued jobs by status; pending jobs that have already failed at
+     * least once are counted as `retrying`
+     * @returns {Promise<Object>} {pending, retrying, running, dead}
+     */
+    async get_job_counts() {
+
+        try {
+            this._validate_database();
+            this._validate_table('index_job_records');
+
+            const rows = await this.DB(this.TABLE.index_job_records)
+                .select('status', this.DB.raw('SUM(attempts > 0) as failed'))
+                .count('* as count')
+                .groupBy('status')
+                .timeout(this.QUERY_TIMEOUT);
+
+            const counts = {pending: 0, retrying: 0, running: 0, dead: 0};
+
+            for (const row of rows) {
+
+                if (row.status === 'pending') {
+                    counts.retrying = Number(row.failed) || 0;
+                    counts.pending = Number(row.count) - counts.retrying;
+                } else if (counts[row.status] !== undefined) {
+                    counts[row.status] = Number(row.count);
+                }
+            }
+
+            return counts;
+
+        } catch (error) {
+            this._handle_error(error, 'get_job_counts');
+        }
+    }
+
+    /**
+     * Puts a dead (or backing-off) job back in the queue to run now, with its
+     * attempts reset. A dead job whose key has been queued again since is
+     * removed, and the pending job is brought forward in its place.
+     * @param {string} uuid - Job UUID
+     * @param {Date} now - Current time
+     * @returns {Promise<boolean>} false when there is no such job waiting
+     */
+    async retry_job(uuid, now) {
+
+        try {
+            this._validate_database();
+            this._validate_table('index_job_records');
+
+            const validated_uuid = this._validate_uuid(uuid, 'job UUID');
+            const update = {status: 'pending', attempts: 0, run_at: now, last_error: null};
+
+            return await this.DB.transaction(async (trx) => {
+
+                const job = await trx(this.TABLE.index_job_records)
+                    .select('dedupe_key', 'status')
+                    .where({uuid: validated_uuid})
+                    .whereIn('status', ['dead', 'pending'])
+                    .forUpdate()
+                    .first()
+                    .timeout(this.QUERY_TIMEOUT);
+
+                if (!job) {
+                    return false;
+                }
+
+                const pending = job.status === 'dead' ? await this._get_pending_job(trx, job.dedupe_key) : null;
+
+                if (pending) {
+                    await trx(this.TABLE.index_job_records)
+                        .where({uuid: validated_uuid})
+                        .delete()
+                        .timeout(this.QUERY_TIMEOUT);
+                }
+
+                await trx(this.TABLE.index_job_records)
+                    .where({uuid: pending ? pending.uuid : validated_uuid})
+                    .update(update)
+                    .timeout(this.QUERY_TIMEOUT);
+
+                return true;
+            });
+
+        } catch (error) {
+            this._handle_error(error, 'retry_job', {uuid});
+        }
+    }
+
+    /**
+     * Reads whether a record still exists and is published
+     * @param {string} record_type - exhibit|heading|item|grid|grid_item|timeline|timeline_item
+     * @param {string} uuid - Record UUID
+     * @returns {Promise<boolean>}
+     */
+    async is_record_published(record_type, uuid) {
+
+        try {
+            this._validate_database();
+
+            if (!RECORD_TABLES[record_type]) {
+                throw new Error(`Invalid record type: ${record_type}`);
+            }
+
+            this._validate_table(RECORD_TABLES[record_type]);
+
+            const record = await this.DB(this.TABLE[RECORD_TABLES[record_type]])
+                .select('is_published')
+                .where({uuid: this._validate_uuid(uuid, `${record_type} UUID`), is_deleted: 0})
+                .first()
+                .timeout(this.QUERY_TIMEOUT);
+
+            return record?.is_published === 1;
+
+        } catch (error) {
+            this._handle_error(error, 'is_record_published', {record_type, uuid});
+        }
+    }
+};
+
+module.exports = Index_job_tasks;
@@ -19,6 +19,7 @@
 'use strict';
 
 const TIMELINES_MODEL = require('../exhibits/timelines_model');
+const AUDIT = require('../audit/model');
 const {
     validate_param,
     check_authorization,
@@ -43,6 +44,15 @@ exports.create_timeline_record = async function (req, res) {
         if (!is_authorized) return false;
 
         const result = await TIMELINES_MODEL.create_timeline_record(is_member_of_exhibit, data);
+
+        await AUDIT.record_success(req, result.status, {
+            action: 'create',
+            record_type: 'timeline',
+            record_uuid: result.data,
+            exhibit_uuid: is_member_of_exhibit,
+            after: data
+        });
+
         res.status(result.status).send(result);
 
     } catch (error) {
@@ -69,7 +79,18 @@ exports.update_timeline_record = async function (req, res) {
         );
         if (!is_authorized) return false;
 
+        const before = await AUDIT.get_record_state('timeline', timeline_id);
         const result = await TIMELINES_MODEL.update_timeline_record(is_member_of_exhibit, timeline_id, data);
+
+        await AUDIT.record_success(req, result.status, {
+            action: 'update',
+            record_type: 'timeline',
+            record_uuid: timeline_id,
+            exhibit_uuid: is_member_of_exhibit,
+            before,
+            after: data
+        });
+
         res.status(result.status).send(result);
 
     } catch (error) {
@@ -115,6 +136,15 @@ exports.create_timeline_item_record = async function (req, res) {
         if (!is_authorized) return false;
 
         const result = await TIMELINES_MODEL.create_timeline_item_record(is_member_of_exhibit, timeline_id, data);
+
+        await AUDIT.record_success(req, result.status, {
+            action: 'create',
+            record_type: 'timeline_item',
+            record_uuid: result.data,
+            exhibit_uuid: is_member_of_exhibit,
+            after: data
+        });
+
         res.status(result.status).send(result);
 
     } catch (error) {
@@ -204,7 +234,18 @@ exports.update_timeline_item_record = async function (req, res) {
         );
         if (!is_authorized) return false;
 
+        const before = await AUDIT.get_record_state('timeline_item', item_id);
         const result = await TIMELINES_MODEL.update_timeline_item_record(is_member_of_exhibit, timeline_id, item_id, data);
+
+        await AUDIT.record_success(req, result.status, {
+            action: 'update',
+            record_type: 'timeline_item',
+            record_uuid: item_id,
+            exhibit_uuid: is_member_of_exhibit,
+            before,
+            after: data
+        });
+
         res.status(result.status).send(result);
 
     } catch (error) {
@@ -236,6 +277,14 @@ exports.publish_timeline_item_record = async function (req, res) {
         result = await TIMELINES_MODEL.publish_timeline_item_record(exhibit_id, timeline_id, timeline_item_id);
 
         if (result.status === true) {
+            await AUDIT.record(req, {
+                action: 'publish',
+                record_type: 'timeline_item',
+                record_uuid: timeline_item_id,
+                exhibit_uuid: exhibit_id,
+                before: {is_published: 0},
+                after: {is_published: 1}
+            });
             res.status(200).send({
                 message: 'timeline item published.'
             });
@@ -274,6 +323,14 @@ exports.suppress_timeline_item_record = async function (req, res) {
         result = await TIMELINES_MODEL.suppress_timeline_item_record(exhibit_id, timeline_id, timeline_item_id);
 
         if (result === true || result?.status === true) {
+            await AUDIT.record(req, {
+                action: 'suppress',
+                record_type: 'timeline_item',
+                record_uuid: timeline_item_id,
+                exhibit_uuid: exhibit_id,
+                before: {is_published: 1},
+                after: {is_published: 0}
+            });
             res.status(200).send({
                 message: 'Item timeline suppressed.'
             });
@@ -309,7 +366,17 @@ exports.delete_timeline_item_record = async function (req, res) {
         );
         if (!is_authorized) return false;
 
+        const before = await AUDIT.get_record_state(record_type || 'timeline_item', timeline_item_id);
         const result = await TIMELINES_MODEL.delete_timeline_item_record(is_member_of_exhibit, timeline_id, timeline_item_id, record_type);
+
+        await AUDIT.record_success(req, result.status, {
+            action: 'delete',
+            record_type: record_type || 'timeline_item',
+            record_uuid: timeline_item_id,
+            exhibit_uuid: is_member_of_exhibit,
+            before
+        });
+
         res.status(result.status).send(result);
 
     } catch (error) {
@@ -317,6 +384,40 @@ exports.delete_timeline_item_record = async function (req, res) {
     }
 };
 
+exports.order_timeline_items_by_date = async function (req, res) {
+
+    try {
+
+        const is_member_of_exhibit = req.params.exhibit_id;
+        const timeline_id = req.params.timeline_id;
+
+        if (!validate_param(res, is_member_of_exhibit)) return false;
+        if (!validate_param(res, timeline_id)) return false;
+
+        const is_authorized = await check_authorization(
+            req, res,
+            ['update_item', 'update_any_item'],
+            'timeline', is_member_of_exhibit, timeline_id
+        );
+        if (!is_authorized) return false;
+
+        const result = await TIMELINES_MODEL.order_timeline_items_by_date(is_member_of_exhibit, timeline_id);
+
+        await AUDIT.record_success(req, result.status, {
+            action: 'reorder',
+            record_type: 'timeline',
+            record_uuid: timeline_id,
+            exhibit_uuid: is_member_of_exhibit,
+            after: {order_by: 'date', changed: result.data?.changed ?? 0}
+        });
+
+        res.status(result.status).send(result);
+
+    } catch (error) {
+        handle_error(res, 'Unable to order timeline items.', error);
+    }
+};
+
 exports.unlock_timeline_item_record = async function (req, res) {
 
     try {
@@ -349,6 +450,13 @@ exports.unlock_timeline_item_record = async function (req, res) {
         const result = await TIMELINES_MODEL.unlock_timeline_item_record(uid, item_id, options);
 
         if (result === true) {
+            await AUDIT.record(req, {
+                action: 'unlock',
+                record_type: 'timeline_item',
+                record_uuid: item_id,
+                exhibit_uuid: exhibit_id,
+                after: {uid, force: options.force}
+            });
             res.status(200).send({
                 message: 'Timeline item record unlocked.'
             });
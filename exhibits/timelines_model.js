@@ -22,13 +22,20 @@ const DB = require('../config/db_config')();
 const DB_TABLES = require('../config/db_tables_config')();
 const TABLES = DB_TABLES.exhibits;
 const EXHIBIT_TIMELINE_RECORD_TASKS = require('./tasks/exhibit_timeline_record_tasks');
+const EXHIBIT_REVISION_RECORD_TASKS = require('./tasks/exhibit_revision_record_tasks');
 const HELPER = require('../libs/helper');
 const EXHIBIT_RECORD_TASKS = require('./tasks/exhibit_record_tasks');
 const INDEXER_MODEL = require('../indexer/model');
+const REINDEX_COALESCER = require('./reindex_coalescer');
+const REVIEW_MODEL = require('./review_model');
+const EXHIBITS_TIMELINE_ITEM_SCHEMA = require('../exhibits/schemas/exhibit_timeline_item_record_schema')();
+const VALIDATOR = require('../libs/validate');
+const EDTF = require('../libs/edtf');
 const LOGGER = require('../libs/log4');
 const {
     is_valid_uuid,
     is_valid_user_id,    build_response,
+    validate_input,
     prepare_styles
 } = require('../exhibits/common_helper');
 
@@ -39,6 +46,7 @@ const CONSTANTS = {
         CREATED: 201,
         NO_CONTENT: 204,
         BAD_REQUEST: 400,
+        NOT_FOUND: 404,
         INTERNAL_SERVER_ERROR: 500
     },
     ITEM_TYPES: {
@@ -54,6 +62,37 @@ const CONSTANTS = {
 const helper_task = new HELPER();
 const timeline_record_task = new EXHIBIT_TIMELINE_RECORD_TASKS(DB, TABLES);
 const exhibit_tasks = new EXHIBIT_RECORD_TASKS(DB, TABLES);
+const revision_task = new EXHIBIT_REVISION_RECORD_TASKS(DB, TABLES);
+const validate_timeline_item_task = new VALIDATOR(EXHIBITS_TIMELINE_ITEM_SCHEMA);
+
+/**
+ * Validates a timeline item's EDTF date, normalizes it in place and sets the
+ * date_start / date_end range it covers
+ * @param {Object} data - Timeline item data
+ * @param {string} context - Caller, for the validation log
+ * @returns {Array|string|null} Validation errors, or null when the date is valid
+ */
+const prepare_timeline_date = (data, context) => {
+
+    const validation_result = validate_input(data, validate_timeline_item_task, context);
+
+    if (validation_result !== true) {
+        return validation_result;
+    }
+
+    const parsed = EDTF.parse(data.date);
+
+    if (parsed === null) {
+        LOGGER.module().error(`ERROR: [/exhibits/${context}] Invalid EDTF date: ${data.date}`);
+        return `Invalid timeline date "${data.date}". Use an EDTF date such as 1920, 1920-05-03, 1920~ or 1861/1865`;
+    }
+
+    data.date = parsed.date;
+    data.date_start = parsed.start;
+    data.date_end = parsed.end;
+
+    return null;
+};
 
 /**
  * Creates timeline record
@@ -108,6 +147,8 @@ exports.create_timeline_record = async (is_member_of_exhibit, data) => {
             LOGGER.module().info('INFO: [/exhibits/items_model - Exhibit timestamp updated successfully.');
         }
 
+        await REVIEW_MODEL.revoke_approval(is_member_of_exhibit);
+
         return build_response(
             CONSTANTS.STATUS_CODES.CREATED,
             'Timeline record created',
@@ -132,9 +173,11 @@ exports.create_timeline_record = async (is_member_of_exhibit, data) => {
  * @param {string} is_member_of_exhibit - Exhibit UUID
  * @param {string} timeline_id - Timeline UUID
  * @param {Object} data - Update data
+ * @param {Object} [options]
+ * @param {string} [options.restored_from] - Revision UUID when the update restores one (set by revisions_model.restore_revision)
  * @returns {Promise<Object>} Response object
  */
-exports.update_timeline_record = async (is_member_of_exhibit, timeline_id, data) => {
+exports.update_timeline_record = async (is_member_of_exhibit, timeline_id, data, options = {}) => {
 
     try {
         // Validate inputs
@@ -162,8 +205,12 @@ exports.update_timeline_record = async (is_member_of_exhibit, timeline_id, data)
         // unreachable as a guard — so it was removed. Field-level protection
         // lives in the task layer (UPDATABLE_FIELDS whitelist).
 
-        // Update record
-        const result = await timeline_record_task.update_timeline_record(data);
+        // Update record, reading its pre- and post-save state for the revision
+        // history in the same transaction
+        const saved = await revision_task.capture_save('timeline', timeline_id, (trx) => {
+            return new EXHIBIT_TIMELINE_RECORD_TASKS(trx, TABLES).update_timeline_record(data);
+        });
+        const result = saved.result;
 
         if (result === false) {
             return build_response(
@@ -172,12 +219,20 @@ exports.update_timeline_record = async (is_member_of_exhibit, timeline_id, data)
             );
         }
 
+        await revision_task.record_revision('timeline', saved.before, {
+            after: saved.after,
+            created_by: data.updated_by,
+            restored_from: options.restored_from
+        });
+
         const is_updated = await exhibit_tasks.update_exhibit_timestamp(is_member_of_exhibit);
 
         if (is_updated === true) {
             LOGGER.module().info('INFO: [/exhibits/items_model - Exhibit timestamp updated successfully.');
         }
 
+        await REVIEW_MODEL.revoke_approval(is_member_of_exhibit);
+
         return build_response(
             CONSTANTS.STATUS_CODES.CREATED,
             'Timeline record updated',
@@ -271,6 +326,15 @@ exports.create_timeline_item_record = async (is_member_of_exhibit, timeline_id,
         // injected above from already-validated route params — provably
         // unreachable as a guard — so it was removed.
 
+        const date_error = prepare_timeline_date(data, 'timelines_model (create_timeline_item_record)');
+
+        if (date_error !== null) {
+            return build_response(
+                CONSTANTS.STATUS_CODES.BAD_REQUEST,
+                date_error
+            );
+        }
+
         // Prepare styles and get order
         data.styles = prepare_styles(data.styles);
         data.order = await helper_task.order_timeline_items(data.is_member_of_timeline, DB, TABLES);
@@ -291,6 +355,8 @@ exports.create_timeline_item_record = async (is_member_of_exhibit, timeline_id,
             LOGGER.module().info('INFO: [/exhibits/items_model - Exhibit timestamp updated successfully.');
         }
 
+        await REVIEW_MODEL.revoke_approval(is_member_of_exhibit);
+
         return build_response(
             CONSTANTS.STATUS_CODES.CREATED,
             'Timeline item record created',
@@ -504,9 +570,11 @@ exports.get_timeline_item_details_record = async (is_member_of_exhibit, is_membe
  * @param {string} is_member_of_timeline - Timeline UUID
  * @param {string} item_id - Timeline item UUID
  * @param {Object} data - Update data
+ * @param {Object} [options]
+ * @param {string} [options.restored_from] - Revision UUID when the update restores one (set by revisions_model.restore_revision)
  * @returns {Promise<Object>} Response object
  */
-exports.update_timeline_item_record = async (is_member_of_exhibit, is_member_of_timeline, item_id, data) => {
+exports.update_timeline_item_record = async (is_member_of_exhibit, is_member_of_timeline, item_id, data, options = {}) => {
 
     try {
         // Validate inputs
@@ -538,12 +606,30 @@ exports.update_timeline_item_record = async (is_member_of_exhibit, is_member_of_
         // params — provably unreachable as a guard — so it was removed
         // (same rationale as the standard-item schema removal).
 
+        // The date is checked whenever it is sent; a partial update without one
+        // keeps the stored date and range
+        if (data.date !== undefined) {
+
+            const date_error = prepare_timeline_date(data, 'timelines_model (update_timeline_item_record)');
+
+            if (date_error !== null) {
+                return build_response(
+                    CONSTANTS.STATUS_CODES.BAD_REQUEST,
+                    date_error
+                );
+            }
+        }
+
         // Prepare styles and get order
         data.styles = prepare_styles(data.styles);
         data.order = await helper_task.order_exhibit_items(data.is_member_of_timeline, DB, TABLES);
 
-        // Update record
-        const result = await timeline_record_task.update_timeline_item_record(data);
+        // Update record, reading its pre- and post-save state for the revision
+        // history in the same transaction
+        const saved = await revision_task.capture_save('timeline_item', item_id, (trx) => {
+            return new EXHIBIT_TIMELINE_RECORD_TASKS(trx, TABLES).update_timeline_item_record(data);
+        });
+        const result = saved.result;
 
         if (result === false) {
             return build_response(
@@ -552,12 +638,20 @@ exports.update_timeline_item_record = async (is_member_of_exhibit, is_member_of_
             );
         }
 
+        await revision_task.record_revision('timeline_item', saved.before, {
+            after: saved.after,
+            created_by: data.updated_by,
+            restored_from: options.restored_from
+        });
+
         const is_updated = await exhibit_tasks.update_exhibit_timestamp(is_member_of_exhibit);
 
         if (is_updated === true) {
             LOGGER.module().info('INFO: [/exhibits/items_model - Exhibit timestamp updated successfully.');
         }
 
+        await REVIEW_MODEL.revoke_approval(is_member_of_exhibit);
+
         return build_response(
             CONSTANTS.STATUS_CODES.CREATED,
             'Timeline item record updated',
@@ -611,6 +705,8 @@ exports.delete_timeline_item_record = async (is_member_of_exhibit, timeline_id,
             LOGGER.module().info('INFO: [/exhibits/items_model - Exhibit timestamp updated successfully.');
         }
 
+        await REVIEW_MODEL.revoke_approval(is_member_of_exhibit);
+
         return build_response(
             CONSTANTS.STATUS_CODES.NO_CONTENT,
             'Record deleted',
@@ -760,18 +856,6 @@ exports.suppress_timeline_record = async (exhibit_id, item_id) => {
             };
         }
 
-        // Delete from index
-        const delete_result = await INDEXER_MODEL.delete_record(item_id);
-
-        if (delete_result.status !== CONSTANTS.STATUS_CODES.NO_CONTENT) {
-            LOGGER.module().error('ERROR: [/exhibits/timelines_model (suppress_timeline_record)] Unable to delete from index');
-
-            return {
-                status: false,
-                message: 'Unable to suppress timeline'
-            };
-        }
-
         // Set timeline to suppressed
         const is_timeline_suppressed = await timeline_record_task.set_timeline_to_suppress(item_id);
 
@@ -788,6 +872,18 @@ exports.suppress_timeline_record = async (exhibit_id, item_id) => {
             };
         }
 
+        // Remove from index (queued, so an Elasticsearch failure is retried)
+        try {
+            await REINDEX_COALESCER.schedule_suppress(`timeline:${item_id}`, 'delete_record', {record_type: 'timeline', exhibit_uuid: exhibit_id, uuid: item_id});
+        } catch (error) {
+            LOGGER.module().error(`ERROR: [/exhibits/timelines_model (suppress_timeline_record)] Unable to queue removal from index: ${error.message}`);
+
+            return {
+                status: false,
+                message: 'Unable to suppress timeline'
+            };
+        }
+
         return {
             status: true,
             message: 'Timeline suppressed'
@@ -919,28 +1015,6 @@ exports.suppress_timeline_item_record = async (exhibit_id, timeline_id, timeline
             return false;
         }
 
-        // Get indexed record
-        const indexed_record = await INDEXER_MODEL.get_indexed_record(timeline_id);
-
-        if (!indexed_record.data || !indexed_record.data.source) {
-            LOGGER.module().error('ERROR: [/exhibits/timelines_model (suppress_timeline_item_record)] Timeline not found in index');
-            return false;
-        }
-
-        // Filter out the timeline item being suppressed
-        const items = indexed_record.data.source.items || [];
-        const updated_items = items.filter(item => item.uuid !== timeline_item_id);
-
-        indexed_record.data.source.items = updated_items;
-
-        // Delete original timeline record from index
-        const delete_result = await INDEXER_MODEL.delete_record(timeline_id);
-
-        if (delete_result.status !== CONSTANTS.STATUS_CODES.NO_CONTENT) {
-            LOGGER.module().error('ERROR: [/exhibits/timelines_model (suppress_timeline_item_record)] Unable to delete timeline from index');
-            return false;
-        }
-
         // Update timeline item record in database
         const update_data = {
             is_member_of_exhibit: exhibit_id,
@@ -951,10 +1025,15 @@ exports.suppress_timeline_item_record = async (exhibit_id, timeline_id, timeline
 
         await timeline_record_task.update_timeline_item_record(update_data);
 
-        // Re-index timeline with updated items
-        const is_indexed = await INDEXER_MODEL.index_record(indexed_record.data.source);
+        // Rebuild the timeline doc without it (queued, so an Elasticsearch failure is retried)
+        try {
+            await REINDEX_COALESCER.schedule_suppress(`timeline:${timeline_id}`, 'reindex_timeline', {exhibit_uuid: exhibit_id, uuid: timeline_id});
+        } catch (error) {
+            LOGGER.module().error(`ERROR: [/exhibits/timelines_model (suppress_timeline_item_record)] Unable to queue timeline re-index: ${error.message}`);
+            return false;
+        }
 
-        return is_indexed === true;
+        return true;
 
     } catch (error) {
         LOGGER.module().error(`ERROR: [/exhibits/timelines_model (suppress_timeline_item_record)] ${error.message}`, {
@@ -1032,6 +1111,62 @@ exports.reorder_timeline_items = async (timeline_id, timeline) => {
     }
 };
 
+/**
+ * Puts a timeline's items in chronological order of their dates and, when the
+ * timeline is published, queues a re-index so the public timeline follows
+ * @param {string} is_member_of_exhibit - Exhibit UUID
+ * @param {string} timeline_id - Timeline UUID
+ * @returns {Promise<Object>} Response object; data is {changed, items: [{uuid, order}]}
+ */
+exports.order_timeline_items_by_date = async (is_member_of_exhibit, timeline_id) => {
+
+    try {
+
+        if (!is_valid_uuid(is_member_of_exhibit) || !is_valid_uuid(timeline_id)) {
+            return build_response(
+                CONSTANTS.STATUS_CODES.BAD_REQUEST,
+                'Invalid UUID provided'
+            );
+        }
+
+        const timeline = await timeline_record_task.get_timeline_record(is_member_of_exhibit, timeline_id);
+
+        if (!timeline) {
+            return build_response(
+                CONSTANTS.STATUS_CODES.NOT_FOUND,
+                'Timeline not found'
+            );
+        }
+
+        const result = await timeline_record_task.order_timeline_items_by_date(is_member_of_exhibit, timeline_id);
+
+        if (result.changed > 0 && timeline.is_published === CONSTANTS.PUBLICATION_STATUS.PUBLISHED) {
+            await REINDEX_COALESCER.schedule_reindex(`timeline:${timeline_id}`, 'reindex_timeline', {
+                exhibit_uuid: is_member_of_exhibit,
+                uuid: timeline_id
+            });
+        }
+
+        return build_response(
+            CONSTANTS.STATUS_CODES.OK,
+            'Timeline items ordered by date',
+            result
+        );
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/exhibits/timelines_model (order_timeline_items_by_date)] ${error.message}`, {
+            is_member_of_exhibit,
+            timeline_id,
+            stack: error.stack
+        });
+
+        return build_response(
+            CONSTANTS.STATUS_CODES.INTERNAL_SERVER_ERROR,
+            `Unable to order timeline items: ${error.message}`
+        );
+    }
+};
+
 /**
  * Unlocks timeline item record for editing
  * @param {string} uid - User ID
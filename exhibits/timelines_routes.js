@@ -128,6 +128,14 @@ module.exports = function (app) {
             async_handler(CONTROLLER.suppress_timeline_item_record)
         );
 
+    // Order timeline items by date
+    app.route(endpoints.exhibits.timeline_item_records.timeline_item_date_order.post.endpoint)
+        .post(
+            rate_limits.write_operations,
+            TOKEN.verify,
+            async_handler(CONTROLLER.order_timeline_items_by_date)
+        );
+
     // Unlock timeline item record
     app.route(endpoints.exhibits.timeline_item_unlock_record.post.endpoint)
         .post(
@@ -20,6 +20,8 @@
 
 const MODEL = require('../indexer/model');
 const SERVICE = require('../indexer/service');
+const DRIFT_SERVICE = require('../indexer/drift-service');
+const INDEX_JOB_MODEL = require('../exhibits/index_job_model');
 const LOGGER = require('../libs/log4');
 const AUTHORIZE = require('../auth/authorize');
 const {is_valid_uuid, is_valid_record_type} = require('../indexer/indexer_helper');
@@ -27,8 +29,8 @@ const {is_valid_uuid, is_valid_record_type} = require('../indexer/indexer_helper
 /**
  * Route middleware: requires the `manage_index` permission.
  * Runs after TOKEN.verify (which sets req.decoded), so an unauthenticated
- * caller is already rejected; this gates the destructive index create/rebuild
- * to roles that hold `manage_index` (Administrator only, per the RBAC matrix).
+ * caller is already rejected; this gates index rebuilds and rollbacks to
+ * roles that hold `manage_index` (Administrator only, per the RBAC matrix).
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -63,7 +65,8 @@ exports.require_manage_index_permission = async (req, res, next) => {
 };
 
 /**
- * Creates a new search index
+ * Starts a rebuild of the search index into a new generation; the alias is
+ * swapped once the new index is loaded and verified (see service.create_index)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @returns {Promise<void>}
@@ -79,24 +82,55 @@ exports.create_index = async (req, res) => {
             throw new Error('Invalid response from service');
         }
 
-        // On a successful rebuild, repopulate the fresh (empty) index with the
-        // currently-published exhibits in the background. Publish state is NOT
-        // changed; the index self-heals over the next moments (the management view
-        // polls the status endpoint and updates the document count automatically).
-        if (result.status === 201) {
-            setImmediate(() => {
-                MODEL.reindex_published_exhibits().catch((reindex_error) => {
-                    LOGGER.module().error('ERROR: [/indexer/controller (create_index reindex)]', {
-                        error: reindex_error.message
-                    });
-                });
+        return res.status(result.status).json(result);
+
+    } catch (error) {
+        LOGGER.module().error('ERROR: [/indexer/controller (create_index)]', {
+            error: error.message,
+            stack: error.stack,
+            userId: req.decoded?.sub
+        });
+
+        if (!res.headersSent) {
+            return res.status(500).json({
+                success: false,
+                message: 'Unable to create index'
             });
         }
+    }
+};
+
+/**
+ * Points the search index alias back at a retained generation
+ * @param {Object} req - Express request object (body.index: generation name)
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.rollback_index = async (req, res) => {
+
+    try {
+
+        const index = req.body?.index;
+
+        if (!index || typeof index !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'index is required',
+                code: 'MISSING_INDEX'
+            });
+        }
+
+        const result = await SERVICE.rollback_index(index.trim());
+
+        // Validate result structure
+        if (!result || typeof result.status !== 'number') {
+            throw new Error('Invalid response from service');
+        }
 
         return res.status(result.status).json(result);
 
     } catch (error) {
-        LOGGER.module().error('ERROR: [/indexer/controller (create_index)]', {
+        LOGGER.module().error('ERROR: [/indexer/controller (rollback_index)]', {
             error: error.message,
             stack: error.stack,
             userId: req.decoded?.sub
@@ -105,14 +139,15 @@ exports.create_index = async (req, res) => {
         if (!res.headersSent) {
             return res.status(500).json({
                 success: false,
-                message: 'Unable to create index'
+                message: 'Unable to roll back index'
             });
         }
     }
 };
 
 /**
- * Returns search index status (existence + document count) for the management view.
+ * Returns search index status (existence, document count, generations and
+ * rebuild progress) for the management view.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @returns {Promise<void>}
@@ -150,6 +185,168 @@ exports.get_index_status = async (req, res) => {
     }
 };
 
+/**
+ * Starts a background check of the search index against the database
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.start_drift_check = async (req, res) => {
+
+    try {
+
+        const result = await DRIFT_SERVICE.start_drift_check();
+        return res.status(result.status).json(result);
+
+    } catch (error) {
+        LOGGER.module().error('ERROR: [/indexer/controller (start_drift_check)]', {
+            error: error.message,
+            userId: req.decoded?.sub
+        });
+
+        if (!res.headersSent) {
+            return res.status(500).json({
+                success: false,
+                message: 'Unable to start drift check'
+            });
+        }
+    }
+};
+
+/**
+ * Returns the last index drift report
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.get_drift_report = async (req, res) => {
+
+    try {
+
+        const result = await DRIFT_SERVICE.get_drift_report();
+        return res.status(result.status).json(result);
+
+    } catch (error) {
+        LOGGER.module().error('ERROR: [/indexer/controller (get_drift_report)]', {
+            error: error.message,
+            userId: req.decoded?.sub
+        });
+
+        if (!res.headersSent) {
+            return res.status(500).json({
+                success: false,
+                message: 'Unable to retrieve drift report'
+            });
+        }
+    }
+};
+
+/**
+ * Repairs index drift in one exhibit, optionally only some of its documents
+ * @param {Object} req - Express request object (body.exhibit_id, body.uuids)
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.repair_drift = async (req, res) => {
+
+    try {
+
+        const exhibit_id = req.body?.exhibit_id;
+
+        if (!exhibit_id || !is_valid_uuid(exhibit_id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid exhibit UUID is required',
+                code: 'INVALID_UUID'
+            });
+        }
+
+        const result = await DRIFT_SERVICE.repair_drift(exhibit_id, req.body.uuids);
+        return res.status(result.status).json(result);
+
+    } catch (error) {
+        LOGGER.module().error('ERROR: [/indexer/controller (repair_drift)]', {
+            error: error.message,
+            stack: error.stack,
+            userId: req.decoded?.sub
+        });
+
+        if (!res.headersSent) {
+            return res.status(500).json({
+                success: false,
+                message: 'Unable to repair index drift'
+            });
+        }
+    }
+};
+
+/**
+ * Returns the index job queue: counts by status and the queued jobs
+ * @param {Object} req - Express request object (query.status filters)
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.get_index_jobs = async (req, res) => {
+
+    try {
+
+        const status = typeof req.query?.status === 'string' && req.query.status.length > 0 ? req.query.status : null;
+        const result = await INDEX_JOB_MODEL.get_index_jobs(status);
+        return res.status(result.status).json(result);
+
+    } catch (error) {
+        LOGGER.module().error('ERROR: [/indexer/controller (get_index_jobs)]', {
+            error: error.message,
+            userId: req.decoded?.sub
+        });
+
+        if (!res.headersSent) {
+            return res.status(500).json({
+                success: false,
+                message: 'Unable to retrieve index jobs'
+            });
+        }
+    }
+};
+
+/**
+ * Puts a dead-lettered index job back in the queue
+ * @param {Object} req - Express request object (body.uuid)
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.retry_index_job = async (req, res) => {
+
+    try {
+
+        const uuid = req.body?.uuid;
+
+        if (!uuid || !is_valid_uuid(uuid)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid job UUID is required',
+                code: 'INVALID_UUID'
+            });
+        }
+
+        const result = await INDEX_JOB_MODEL.retry_index_job(uuid);
+        return res.status(result.status).json(result);
+
+    } catch (error) {
+        LOGGER.module().error('ERROR: [/indexer/controller (retry_index_job)]', {
+            error: error.message,
+            userId: req.decoded?.sub
+        });
+
+        if (!res.headersSent) {
+            return res.status(500).json({
+                success: false,
+                message: 'Unable to retry index job'
+            });
+        }
+    }
+};
+
 /**
  * Indexes a specific exhibit record
  * @param {Object} req - Express request object
@@ -0,0 +1,615 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+/**
+ * Index drift detection and repair
+ *
+ * Compares what the search index holds for each exhibit with what it should
+ * hold given the database. A published exhibit should be indexed with its
+ * published headings, items, grids and timelines, each grid and timeline
+ * nesting only its published items; anything else should not be indexed.
+ * Each expected document is hashed (SHA-256 of its canonical JSON) and
+ * compared with the indexed one:
+ *
+ *   missing     expected but not indexed
+ *   stale       indexed, but its content differs from the database
+ *   unexpected  indexed, but suppressed, deleted, its exhibit unpublished,
+ *               or not in the database at all
+ *
+ * Exhibits in preview are skipped: a preview indexes unpublished content on
+ * purpose. Repairs go through the model's index_record and delete_record.
+ * The last report is held in this process, as the rebuild state is.
+ *
+ * Checks and repairs run against the alias unless given another index; an
+ * index rebuild uses sync_changed_exhibits to bring exhibits changed during
+ * its load into the new generation before the alias is swapped to it.
+ */
+
+const crypto = require('crypto');
+const ES_CONFIG = require('../config/elasticsearch_config')();
+const DB = require('../config/db_config')();
+const DB_TABLES = require('../config/db_tables_config')();
+const INDEXER_INDEX_TASKS = require('./tasks/indexer_index_tasks');
+const INDEXER_UTILS_TASKS = require('./tasks/indexer_index_utils_tasks');
+const INDEXER_DRIFT_TASKS = require('./tasks/indexer_drift_tasks');
+const MODEL = require('./model');
+const LOGGER = require('../libs/log4');
+const {CLIENT, CONSTANTS, is_valid_uuid} = require('./indexer_helper');
+
+const INDEX = ES_CONFIG.elasticsearch_index;
+
+const drift_task = new INDEXER_DRIFT_TASKS(DB, DB_TABLES.exhibits);
+
+const DRIFT_KINDS = Object.freeze({
+    MISSING: 'missing',
+    STALE: 'stale',
+    UNEXPECTED: 'unexpected'
+});
+
+const UNEXPECTED_REASONS = Object.freeze({
+    SUPPRESSED: 'suppressed',
+    DELETED: 'deleted',
+    EXHIBIT_UNPUBLISHED: 'exhibit_unpublished',
+    NOT_IN_DATABASE: 'not_in_database'
+});
+
+const EXHIBIT_STATUS = Object.freeze({
+    OK: 'ok',
+    DRIFT: 'drift',
+    PREVIEW: 'preview',
+    ERROR: 'error'
+});
+
+// Report total that counts exhibits in each status
+const STATUS_TOTALS = Object.freeze({
+    [EXHIBIT_STATUS.OK]: 'in_sync',
+    [EXHIBIT_STATUS.DRIFT]: 'drift',
+    [EXHIBIT_STATUS.PREVIEW]: 'preview',
+    [EXHIBIT_STATUS.ERROR]: 'errors'
+});
+
+let check_state = {
+    running: false,
+    started: null,
+    finished: null,
+    message: null
+};
+
+let last_report = null;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Sorts object keys recursively so equal documents serialize identically
+ * @param {*} value - JSON value
+ * @returns {*} Value with sorted keys
+ */
+const canonicalize = (value) => {
+
+    if (Array.isArray(value)) {
+        return value.map(canonicalize);
+    }
+
+    if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((sorted, key) => {
+            sorted[key] = canonicalize(value[key]);
+            return sorted;
+        }, {});
+    }
+
+    return value;
+};
+
+/**
+ * Hashes an index document as Elasticsearch stores it (a JSON round trip).
+ * Nested items are compared by uuid: the single-item indexing paths re-sort
+ * them, so their order is not meaningful.
+ * @param {Object} document - Index document or indexed _source
+ * @returns {string} SHA-256 hex digest
+ */
+const hash_document = (document) => {
+
+    const copy = JSON.parse(JSON.stringify(document));
+
+    if (Array.isArray(copy.items)) {
+        copy.items.sort((a, b) => String(a?.uuid).localeCompare(String(b?.uuid)));
+    }
+
+    return crypto.createHash('sha256').update(JSON.stringify(canonicalize(copy))).digest('hex');
+};
+
+/**
+ * Gets the latest of a set of database timestamps
+ * @param {Array} dates - Dates (or null)
+ * @returns {Date|null}
+ */
+const latest = (dates) => {
+
+    const times = dates.filter(Boolean).map((date) => new Date(date).getTime()).filter((time) => !Number.isNaN(time));
+
+    return times.length > 0 ? new Date(Math.max(...times)) : null;
+};
+
+/**
+ * Explains why an indexed document should not be indexed
+ * @param {Object|null} exhibit - Exhibit row, null when not in the database
+ * @param {Object|undefined} state - Component state row, undefined when not in the database
+ * @param {boolean} is_exhibit_document - Whether the document is the exhibit's own
+ * @returns {string} One of UNEXPECTED_REASONS
+ */
+const unexpected_reason = (exhibit, state, is_exhibit_document) => {
+
+    const record = is_exhibit_document ? exhibit : state;
+
+    if (!exhibit || !record) {
+        return UNEXPECTED_REASONS.NOT_IN_DATABASE;
+    }
+
+    if (Number(exhibit.is_deleted) === 1 || Number(record.is_deleted) === 1) {
+        return UNEXPECTED_REASONS.DELETED;
+    }
+
+    if (Number(exhibit.is_published) !== 1) {
+        return UNEXPECTED_REASONS.EXHIBIT_UNPUBLISHED;
+    }
+
+    return UNEXPECTED_REASONS.SUPPRESSED;
+};
+
+/**
+ * Whether the index should hold a published exhibit's documents
+ * @param {Object|null} exhibit - Exhibit row
+ * @returns {boolean}
+ */
+const is_indexable = (exhibit) => {
+    return Boolean(exhibit) && Number(exhibit.is_deleted) !== 1 && Number(exhibit.is_published) === 1;
+};
+
+// ---------------------------------------------------------------------------
+// Checks
+// ---------------------------------------------------------------------------
+
+/**
+ * Compares one exhibit's indexed documents with the database. Nothing is written.
+ * @param {string} exhibit_uuid - Exhibit UUID
+ * @param {Object} [exhibit] - Exhibit row when already fetched; null when known not to be in the database
+ * @param {string} [index_name=INDEX] - Index to compare
+ * @returns {Promise<Object>} {exhibit_uuid, title, status, counts, drift, message}, with the
+ *   expected documents (by uuid) in a non-enumerable `expected` property for repairs
+ */
+const check_exhibit = async (exhibit_uuid, exhibit, index_name = INDEX) => {
+
+    const result = {
+        exhibit_uuid,
+        title: null,
+        status: EXHIBIT_STATUS.OK,
+        counts: { missing: 0, stale: 0, unexpected: 0 },
+        drift: [],
+        message: null
+    };
+
+    const expected = new Map();
+    Object.defineProperty(result, 'expected', { value: expected, enumerable: false });
+
+    try {
+
+        if (exhibit === undefined) {
+            exhibit = await drift_task.get_exhibit(exhibit_uuid);
+        }
+
+        result.title = exhibit ? exhibit.title : null;
+
+        if (exhibit && Number(exhibit.is_deleted) !== 1 && Number(exhibit.is_preview) === 1) {
+            result.status = EXHIBIT_STATUS.PREVIEW;
+            result.message = 'In preview, not checked';
+            return result;
+        }
+
+        const index_tasks = new INDEXER_INDEX_TASKS(CLIENT, index_name);
+        const [indexed, states] = await Promise.all([
+            index_tasks.get_exhibit_documents(exhibit_uuid),
+            exhibit ? drift_task.get_component_states(exhibit_uuid) : []
+        ]);
+
+        if (!indexed.success) {
+            throw new Error(indexed.error || 'Unable to read the index');
+        }
+
+        if (is_indexable(exhibit)) {
+
+            const documents = await MODEL.build_published_documents(exhibit_uuid);
+
+            if (documents) {
+                [
+                    documents.exhibit,
+                    ...documents.headings,
+                    ...documents.items,
+                    ...documents.grids,
+                    ...documents.timelines
+                ].forEach((document) => expected.set(document.uuid, document));
+            }
+        }
+
+        const states_by_uuid = new Map(states.map((state) => [state.uuid, state]));
+        const indexed_by_uuid = new Map(indexed.documents.map((document) => [document.uuid, document.source]));
+
+        for (const [uuid, document] of expected) {
+
+            const is_exhibit_document = uuid === exhibit_uuid;
+            const source = indexed_by_uuid.get(uuid);
+
+            if (source !== undefined && hash_document(source) === hash_document(document)) {
+                continue;
+            }
+
+            const state = states_by_uuid.get(uuid);
+            const children = states.filter((child) => child.parent_uuid === uuid);
+
+            result.drift.push({
+                uuid,
+                type: document.type || null,
+                kind: source === undefined ? DRIFT_KINDS.MISSING : DRIFT_KINDS.STALE,
+                reason: null,
+                updated: is_exhibit_document
+                    ? latest([exhibit.updated])
+                    : latest([state?.updated, ...children.map((child) => child.updated)])
+            });
+        }
+
+        for (const [uuid, source] of indexed_by_uuid) {
+
+            if (expected.has(uuid)) {
+                continue;
+            }
+
+            const is_exhibit_document = uuid === exhibit_uuid;
+            const state = states_by_uuid.get(uuid);
+
+            result.drift.push({
+                uuid,
+                type: source?.type || null,
+                kind: DRIFT_KINDS.UNEXPECTED,
+                reason: unexpected_reason(exhibit, state, is_exhibit_document),
+                updated: is_exhibit_document ? latest([exhibit?.updated]) : latest([state?.updated])
+            });
+        }
+
+        result.drift.forEach((entry) => result.counts[entry.kind]++);
+
+        if (result.drift.length > 0) {
+            result.status = EXHIBIT_STATUS.DRIFT;
+        }
+
+        return result;
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/indexer/drift-service (check_exhibit)] ${exhibit_uuid}: ${error.message}`);
+        result.status = EXHIBIT_STATUS.ERROR;
+        result.message = error.message;
+        return result;
+    }
+};
+
+/**
+ * Checks every exhibit in the database or the index
+ * @param {Object} [options={}]
+ * @param {string} [options.exhibit_uuid] - Check only this exhibit
+ * @param {Function} [options.on_result] - (result) => void, called after each exhibit
+ * @returns {Promise<Object>} {started, finished, totals, exhibits}; exhibits lists only those
+ *   not in sync (drift, preview or error)
+ */
+const run_check = async (options = {}) => {
+
+    const started = new Date();
+    const totals = { checked: 0, in_sync: 0, drift: 0, preview: 0, errors: 0, missing: 0, stale: 0, unexpected: 0 };
+    const exhibits = [];
+
+    let candidates;
+
+    if (options.exhibit_uuid) {
+        candidates = [[options.exhibit_uuid, undefined]];
+    } else {
+
+        const index_tasks = new INDEXER_INDEX_TASKS(CLIENT, INDEX);
+        const [rows, indexed] = await Promise.all([
+            drift_task.get_exhibits(),
+            index_tasks.get_indexed_exhibit_uuids()
+        ]);
+
+        if (!indexed.success) {
+            throw new Error(indexed.error || 'Unable to read the index');
+        }
+
+        const indexed_uuids = new Set(indexed.exhibit_uuids);
+        const by_uuid = new Map(rows.map((row) => [row.uuid, row]));
+
+        // An exhibit that should hold nothing and holds nothing is in sync
+        // without a search
+        const searched = rows.filter((row) => is_indexable(row) || Number(row.is_preview) === 1 || indexed_uuids.has(row.uuid));
+
+        totals.checked = rows.length - searched.length;
+        totals.in_sync = totals.checked;
+
+        candidates = searched.map((row) => [row.uuid, row]);
+
+        for (const uuid of indexed_uuids) {
+            if (!by_uuid.has(uuid)) {
+                candidates.push([uuid, null]);
+            }
+        }
+    }
+
+    for (const [uuid, row] of candidates) {
+
+        const result = await check_exhibit(uuid, row);
+
+        totals.checked++;
+        totals[STATUS_TOTALS[result.status]]++;
+
+        totals.missing += result.counts.missing;
+        totals.stale += result.counts.stale;
+        totals.unexpected += result.counts.unexpected;
+
+        if (result.status !== EXHIBIT_STATUS.OK) {
+            exhibits.push(result);
+        }
+
+        if (typeof options.on_result === 'function') {
+            options.on_result(result);
+        }
+    }
+
+    return { started, finished: new Date(), totals, exhibits };
+};
+
+/**
+ * Repairs drift in one exhibit: missing and stale documents are indexed from
+ * the database, unexpected ones are deleted
+ * @param {string} exhibit_uuid - Exhibit UUID
+ * @param {Array<string>} [uuids] - Repair only these documents (default: all drift)
+ * @param {string} [index_name=INDEX] - Index to repair
+ * @returns {Promise<Object>} {repaired, failed, skipped, result}; result is the re-check
+ */
+const repair_exhibit = async (exhibit_uuid, uuids = null, index_name = INDEX) => {
+
+    const checked = await check_exhibit(exhibit_uuid, undefined, index_name);
+
+    if (checked.status === EXHIBIT_STATUS.ERROR) {
+        throw new Error(checked.message);
+    }
+
+    if (checked.status === EXHIBIT_STATUS.PREVIEW) {
+        return { repaired: [], failed: [], skipped: uuids || [], result: checked };
+    }
+
+    const wanted = Array.isArray(uuids) ? new Set(uuids) : null;
+    const entries = checked.drift.filter((entry) => !wanted || wanted.has(entry.uuid));
+    const skipped = wanted ? [...wanted].filter((uuid) => !entries.some((entry) => entry.uuid === uuid)) : [];
+    const repaired = [];
+    const failed = [];
+
+    for (const entry of entries) {
+
+        let success;
+
+        if (entry.kind === DRIFT_KINDS.UNEXPECTED) {
+            const response = await MODEL.delete_record(entry.uuid, index_name);
+            success = response.status === CONSTANTS.STATUS_CODES.NO_CONTENT;
+        } else {
+            success = await MODEL.index_record(checked.expected.get(entry.uuid), index_name);
+        }
+
+        if (success) {
+            repaired.push(entry.uuid);
+        } else {
+            failed.push(entry.uuid);
+        }
+    }
+
+    if (repaired.length > 0) {
+        // Make the repairs visible to the re-check's search
+        await new INDEXER_UTILS_TASKS(index_name, CLIENT, ES_CONFIG).refresh_index();
+    }
+
+    LOGGER.module().info(`INFO: [/indexer/drift-service (repair_exhibit)] Exhibit ${exhibit_uuid} in ${index_name}: ${repaired.length} repaired, ${failed.length} failed`);
+
+    return { repaired, failed, skipped, result: await check_exhibit(exhibit_uuid, undefined, index_name) };
+};
+
+/**
+ * Repairs every exhibit changed at or after a time in one index. A rebuild
+ * loads a snapshot of the database; this brings the exhibits edited,
+ * published, suppressed or deleted since it started up to date.
+ * @param {Date} since - Earliest change time
+ * @param {string} [index_name=INDEX] - Index to repair
+ * @returns {Promise<Object>} {exhibits, repaired, failed}; exhibits counts those checked, failed lists
+ *   the exhibits that could not be brought in sync
+ */
+const sync_changed_exhibits = async (since, index_name = INDEX) => {
+
+    const exhibit_uuids = await drift_task.get_changed_exhibit_uuids(since);
+    const summary = { exhibits: exhibit_uuids.length, repaired: 0, failed: [] };
+
+    for (const exhibit_uuid of exhibit_uuids) {
+
+        try {
+
+            const outcome = await repair_exhibit(exhibit_uuid, null, index_name);
+
+            summary.repaired += outcome.repaired.length;
+
+            if (outcome.failed.length > 0 || outcome.result.status === EXHIBIT_STATUS.ERROR) {
+                summary.failed.push(exhibit_uuid);
+            }
+
+        } catch (error) {
+            LOGGER.module().error(`ERROR: [/indexer/drift-service (sync_changed_exhibits)] ${exhibit_uuid}: ${error.message}`);
+            summary.failed.push(exhibit_uuid);
+        }
+    }
+
+    return summary;
+};
+
+/**
+ * Replaces one exhibit's entry in the last report after it was re-checked
+ * @param {Object} result - check_exhibit result
+ */
+const update_report = (result) => {
+
+    if (!last_report) {
+        return;
+    }
+
+    const previous = last_report.exhibits.find((entry) => entry.exhibit_uuid === result.exhibit_uuid);
+    const exhibits = last_report.exhibits.filter((entry) => entry.exhibit_uuid !== result.exhibit_uuid);
+
+    if (result.status !== EXHIBIT_STATUS.OK) {
+        exhibits.push(result);
+    }
+
+    const totals = { ...last_report.totals };
+
+    for (const kind of Object.values(DRIFT_KINDS)) {
+        totals[kind] += result.counts[kind] - (previous ? previous.counts[kind] : 0);
+    }
+
+    const previous_total = STATUS_TOTALS[previous ? previous.status : EXHIBIT_STATUS.OK];
+
+    totals[previous_total] = Math.max(0, totals[previous_total] - 1);
+    totals[STATUS_TOTALS[result.status]]++;
+
+    last_report = { ...last_report, totals, exhibits };
+};
+
+// ---------------------------------------------------------------------------
+// Dashboard
+// ---------------------------------------------------------------------------
+
+/**
+ * Starts a drift check of every exhibit in the background. The management
+ * view polls get_drift_report for the result.
+ * @returns {Promise<Object>} {status, data}; 202 when started, 409 when one is already running
+ */
+exports.start_drift_check = async function () {
+
+    if (check_state.running) {
+        return {
+            status: 409,
+            data: 'A drift check is already running'
+        };
+    }
+
+    check_state = { running: true, started: new Date(), finished: null, message: null };
+
+    setImmediate(() => {
+        run_check()
+            .then((report) => {
+                last_report = report;
+                check_state = { ...check_state, running: false, finished: report.finished };
+            })
+            .catch((error) => {
+                LOGGER.module().error(`ERROR: [/indexer/drift-service (start_drift_check)] ${error.message}`);
+                check_state = { ...check_state, running: false, finished: new Date(), message: error.message };
+            });
+    });
+
+    return {
+        status: 202,
+        data: 'Drift check started'
+    };
+};
+
+/**
+ * Returns the last drift report and whether a check is running
+ * @returns {Promise<Object>} {status, data: {check, report}}; report is null before the first check
+ */
+exports.get_drift_report = async function () {
+
+    return {
+        status: 200,
+        data: {
+            check: { ...check_state },
+            report: last_report
+        }
+    };
+};
+
+/**
+ * Repairs drift in one exhibit and re-checks it
+ * @param {string} exhibit_id - Exhibit UUID
+ * @param {Array<string>} [uuids] - Documents to repair (default: all of the exhibit's drift)
+ * @returns {Promise<Object>} {status, data: {repaired, failed, skipped, result}}
+ */
+exports.repair_drift = async function (exhibit_id, uuids) {
+
+    if (!is_valid_uuid(exhibit_id)) {
+        return {
+            status: 400,
+            data: 'Valid exhibit UUID is required'
+        };
+    }
+
+    if (uuids !== undefined && uuids !== null && (!Array.isArray(uuids) || !uuids.every(is_valid_uuid))) {
+        return {
+            status: 400,
+            data: 'uuids must be an array of record UUIDs'
+        };
+    }
+
+    try {
+
+        const exhibit = await drift_task.get_exhibit(exhibit_id);
+
+        if (exhibit && Number(exhibit.is_deleted) !== 1 && Number(exhibit.is_preview) === 1) {
+            return {
+                status: 409,
+                data: 'Exhibit is in preview; its index content is not checked'
+            };
+        }
+
+        const outcome = await repair_exhibit(exhibit_id, uuids || null);
+
+        update_report(outcome.result);
+
+        return {
+            status: 200,
+            data: outcome
+        };
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/indexer/drift-service (repair_drift)] ${exhibit_id}: ${error.message}`);
+        return {
+            status: 500,
+            data: 'Unable to repair index drift'
+        };
+    }
+};
+
+exports.DRIFT_KINDS = DRIFT_KINDS;
+exports.UNEXPECTED_REASONS = UNEXPECTED_REASONS;
+exports.EXHIBIT_STATUS = EXHIBIT_STATUS;
+exports.hash_document = hash_document;
+exports.check_exhibit = check_exhibit;
+exports.run_check = run_check;
+exports.repair_exhibit = repair_exhibit;
+exports.sync_changed_exhibits = sync_changed_exhibits;
@@ -48,7 +48,7 @@ const ENDPOINTS = {
         },
         index_utils: {
             post: {
-                description: 'Creates search index',
+                description: 'Rebuilds search index into a new generation',
                 endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/manage`,
                 params: 'token or api_key'
             },
@@ -57,6 +57,46 @@ const ENDPOINTS = {
                 endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/manage`,
                 params: 'token or api_key'
             }
+        },
+        index_rollback: {
+            post: {
+                description: 'Points the search index alias back at a retained index generation',
+                endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/manage/rollback`,
+                params: 'token or api_key, body: index'
+            }
+        },
+        index_drift: {
+            post: {
+                description: 'Starts a check of the search index against the database for drift',
+                endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/manage/drift`,
+                params: 'token or api_key'
+            },
+            get: {
+                description: 'Retrieves the last index drift report',
+                endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/manage/drift`,
+                params: 'token or api_key'
+            }
+        },
+        index_drift_repair: {
+            post: {
+                description: 'Repairs index drift in an exhibit',
+                endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/manage/drift/repair`,
+                params: 'token or api_key, body: exhibit_id, uuids (optional)'
+            }
+        },
+        index_jobs: {
+            get: {
+                description: 'Retrieves queued, retrying and dead-lettered index jobs',
+                endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/manage/jobs`,
+                params: 'token or api_key, query: status (optional)'
+            }
+        },
+        index_job_retry: {
+            post: {
+                description: 'Queues a failed index job to run again now',
+                endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/manage/jobs/retry`,
+                params: 'token or api_key, body: uuid'
+            }
         }
     }
 };
@@ -23,6 +23,7 @@ const ES_CONFIG = require('../config/elasticsearch_config')();
 const WEBSERVICES_CONFIG = require('../config/webservices_config')();
 const APP_CONFIG = require('../config/app_config')();
 const LOGGER = require('../libs/log4');
+const EDTF = require('../libs/edtf');
 
 // IIIF base URL used to construct manifest/image URLs at index time.
 // Resolved once per indexer run so a host change is a single env var flip + reindex.
@@ -177,6 +178,86 @@ const merge_media_subjects = (record) => {
     };
 };
 
+/**
+ * Trims and de-duplicates subject terms for a keyword facet. Duplicates are
+ * matched ignoring case and accents; the first spelling seen is kept.
+ * @param {Array|null} terms - Subject terms
+ * @returns {Array|null} Distinct terms, or null when there are none
+ */
+const to_facet_terms = (terms) => {
+
+    if (!Array.isArray(terms)) {
+        return null;
+    }
+
+    const seen = new Set();
+    const result = [];
+
+    for (const term of terms) {
+
+        const value = typeof term === 'string' ? term.replace(/\s+/g, ' ').trim() : '';
+        const key = value.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+        if (value && !seen.has(key)) {
+            seen.add(key);
+            result.push(value);
+        }
+    }
+
+    return result.length > 0 ? result : null;
+};
+
+/**
+ * Builds the subject facets (keyword arrays for aggregations). Record-level
+ * subjects are untyped and count as topical alongside the media library's
+ * topics; places are geographic and genre/form terms are genre.
+ * @param {Array|null} subjects - Record-level subjects (process_subjects output)
+ * @param {Object|null} media_subjects - {topics, genre_form, places} (merge_media_subjects output)
+ * @returns {Object} {topical, geographic, genre}
+ */
+const build_subject_facets = (subjects, media_subjects) => {
+
+    const media = media_subjects || {};
+
+    return {
+        topical: to_facet_terms([...(subjects || []), ...(media.topics || [])]),
+        geographic: to_facet_terms(media.places),
+        genre: to_facet_terms(media.genre_form)
+    };
+};
+
+/**
+ * Joins a PDF's extracted page texts (the media library `full_text` JSON
+ * array) into one searchable string, a blank line between pages
+ * @param {string|Array|null} full_text - Stored full_text value
+ * @returns {string|null} Document text, or null when there is none
+ */
+const flatten_media_text = (full_text) => {
+
+    if (!full_text) {
+        return null;
+    }
+
+    let pages = full_text;
+
+    if (typeof full_text === 'string') {
+        try {
+            pages = JSON.parse(full_text);
+        } catch (error) {
+            LOGGER.module().warn(`WARNING: [/indexer/indexer_helper (flatten_media_text)] Unparseable full_text: ${error.message}`);
+            return null;
+        }
+    }
+
+    if (!Array.isArray(pages)) {
+        return null;
+    }
+
+    const text = pages.filter((page) => typeof page === 'string' && page !== '').join('\n\n');
+
+    return text || null;
+};
+
 /**
  * Builds IIIF URLs for a repository-imported media asset using the external
  * repo endpoints: REPO_IIIF_ENDPOINT for the presentation manifest and
@@ -274,6 +355,33 @@ const resolve_repo_thumbnail_uuid = (record) => {
     return null;
 };
 
+/**
+ * Builds the Elasticsearch date_range value for an EDTF date. An open interval
+ * end is left unbounded; a missing or unparseable date gives null.
+ * @param {string|null} date - EDTF date
+ * @returns {Object|null} {gte, lte}
+ */
+const build_date_range = (date) => {
+
+    const range = EDTF.parse(date);
+
+    if (!range) {
+        return null;
+    }
+
+    const value = {};
+
+    if (range.start) {
+        value.gte = range.start;
+    }
+
+    if (range.end) {
+        value.lte = range.end;
+    }
+
+    return value;
+};
+
 /**
  * Normalizes empty strings and undefined values to null throughout a record.
  * Recurses into nested plain objects but preserves arrays and Date instances as-is.
@@ -330,6 +438,12 @@ const construct_exhibit_index_record = (record) => {
         ? build_repo_iiif_urls(thumb_repo_uuid)
         : build_iiif_urls(record.thumb_lib_uuid);
     const hero_kaltura = resolve_kaltura(record.hero_kaltura_entry_id, record.hero_kaltura_thumbnail_url);
+    const subjects = process_subjects(record.exhibit_subjects);
+    const media_subjects = {
+        topics: process_subjects(record.hero_topics_subjects),
+        genre_form: process_subjects(record.hero_genre_form_subjects),
+        places: process_subjects(record.hero_places_subjects)
+    };
 
     return normalize_empty_to_null({
         uuid: record.uuid,
@@ -344,7 +458,8 @@ const construct_exhibit_index_record = (record) => {
         description: record.description,
         page_layout: record.page_layout,
         exhibit_template: record.exhibit_template,
-        subjects: process_subjects(record.exhibit_subjects),
+        subjects: subjects,
+        subject_facets: build_subject_facets(subjects, media_subjects),
         styles: record.styles,
         order: record.order,
         is_student_curated: record.is_student_curated,
@@ -365,11 +480,7 @@ const construct_exhibit_index_record = (record) => {
             thumbnail_url: thumb_iiif.thumbnail_url
         } : null,
         // v2: media-bound subjects from hero image
-        media_subjects: {
-            topics: process_subjects(record.hero_topics_subjects),
-            genre_form: process_subjects(record.hero_genre_form_subjects),
-            places: process_subjects(record.hero_places_subjects)
-        },
+        media_subjects: media_subjects,
         // v2: media dimensions
         media_width: record.hero_media_width || null,
         media_height: record.hero_media_height || null
@@ -425,6 +536,8 @@ const construct_item_index_record = (record) => {
         ? build_repo_iiif_urls(repo_thumb_uuid)
         : build_iiif_urls(record.thumb_lib_uuid);
     const kaltura = resolve_kaltura(resolve_kaltura_entry_id(record), record.media_kaltura_thumbnail_url);
+    const subjects = process_subjects(record.item_subjects);
+    const media_subjects = merge_media_subjects(record);
 
     const index_record = {
         uuid: record.uuid,
@@ -483,10 +596,16 @@ const construct_item_index_record = (record) => {
         media_width: record.ml_media_width || record.media_width,
         media_height: record.ml_media_height || null,
         // v2: item-level subjects + media-bound subjects
-        subjects: process_subjects(record.item_subjects),
-        media_subjects: merge_media_subjects(record),
-        // Date — Elasticsearch date fields can't be empty strings
-        date: record.date || null
+        subjects: subjects,
+        media_subjects: media_subjects,
+        subject_facets: build_subject_facets(subjects, media_subjects),
+        // v2: text layer of an uploaded PDF, so exhibit search matches words
+        // inside the document
+        media_text: flatten_media_text(record.media_full_text),
+        // Timeline date: the EDTF display string, plus the span it covers so the
+        // frontend can filter timeline items by date range
+        date: record.date || null,
+        date_range: build_date_range(record.date)
     };
 
     return normalize_empty_to_null(index_record);
@@ -503,6 +622,8 @@ const construct_grid_index_record = (record) => {
         throw new Error('Invalid record provided');
     }
 
+    const subjects = process_subjects(record.item_subjects);
+
     return normalize_empty_to_null({
         is_member_of_exhibit: record.is_member_of_exhibit,
         uuid: record.uuid,
@@ -510,7 +631,8 @@ const construct_grid_index_record = (record) => {
         columns: record.columns,
         text: record.text,
         styles: record.styles,
-        subjects: process_subjects(record.item_subjects),
+        subjects: subjects,
+        subject_facets: build_subject_facets(subjects, null),
         order: record.order,
         is_published: record.is_published,
         created: record.created,
@@ -531,13 +653,16 @@ const construct_timeline_index_record = (record) => {
         throw new Error('Invalid record provided');
     }
 
+    const subjects = process_subjects(record.item_subjects);
+
     return normalize_empty_to_null({
         is_member_of_exhibit: record.is_member_of_exhibit,
         uuid: record.uuid,
         type: record.type,
         text: record.text,
         styles: record.styles,
-        subjects: process_subjects(record.item_subjects),
+        subjects: subjects,
+        subject_facets: build_subject_facets(subjects, null),
         order: record.order,
         is_published: record.is_published,
         created: record.created,
@@ -635,6 +760,8 @@ const batch_index_records = async (records, record_type, index_tasks) => {
  * @param {string} config.set_publish_method   - Method name to set child publish flag (e.g. 'set_grid_item_to_publish')
  * @param {Function} config.construct_parent   - Constructor for parent index record
  * @param {string} config.label                - Label for logging (e.g. 'grid', 'timeline')
+ * @param {boolean} [config.published_only]    - Nest only already-published items and leave
+ *                                               publish flags untouched (index rebuilds, drift checks)
  * @returns {Promise<Array>} Array of formatted parent index records with nested items
  */
 const process_container_records = async (config) => {
@@ -646,7 +773,8 @@ const process_container_records = async (config) => {
         get_items_method,
         set_publish_method,
         construct_parent,
-        label
+        label,
+        published_only = false
     } = config;
 
     if (!Array.isArray(records) || records.length === 0) {
@@ -656,17 +784,21 @@ const process_container_records = async (config) => {
     const processed = await Promise.all(
         records.map(async (parent_record) => {
             try {
-                const items = await record_task[get_items_method](
+                let items = await record_task[get_items_method](
                     parent_record.is_member_of_exhibit,
                     parent_record.uuid
                 );
 
+                if (published_only) {
+                    items = (items || []).filter((item) => Number(item.is_published) === 1);
+                }
+
                 const child_items = [];
 
                 if (items && items.length > 0) {
                     const item_promises = items.map(async (item) => {
                         try {
-                            if (type === CONSTANTS.INDEX_TYPES.PUBLISH) {
+                            if (type === CONSTANTS.INDEX_TYPES.PUBLISH && !published_only) {
                                 item.is_published = 1;
                                 await record_task[set_publish_method](item.uuid);
                             }
@@ -919,6 +1051,72 @@ const index_container_records = async (config) => {
     }
 };
 
+/**
+ * Rebuilds one container doc (grid or timeline) from the database as it stands:
+ * the container with only its published, non-deleted items. Unlike
+ * index_container_records it never publishes the items, so it is safe to run
+ * after some of them have been suppressed.
+ *
+ * @param {Object} config
+ * @param {string} config.exhibit_id         - Exhibit UUID
+ * @param {string} config.container_id       - Container UUID
+ * @param {Object} config.record_task        - Task instance
+ * @param {string} config.get_record_method  - Method name to fetch the container record
+ * @param {string} config.get_items_method   - Method name to fetch child items
+ * @param {Function} config.construct_parent - Constructor for parent index record
+ * @param {Object} config.index_tasks        - INDEXER_INDEX_TASKS instance
+ * @param {string} config.label              - Label for logging (e.g. 'Grid', 'Timeline')
+ * @returns {Promise<boolean>} Success status
+ */
+const reindex_container_record = async (config) => {
+
+    const {
+        exhibit_id,
+        container_id,
+        record_task,
+        get_record_method,
+        get_items_method,
+        construct_parent,
+        index_tasks,
+        label
+    } = config;
+
+    try {
+        if (!is_valid_uuid(exhibit_id) || !is_valid_uuid(container_id)) {
+            LOGGER.module().error(`ERROR: [/indexer/indexer_helper (reindex_container_record)] Invalid UUID provided (${label})`);
+            return false;
+        }
+
+        const record = await record_task[get_record_method](exhibit_id, container_id);
+
+        if (!record) {
+            LOGGER.module().error(
+                `ERROR: [/indexer/indexer_helper (reindex_container_record)] ${label} record not found: ${container_id}`
+            );
+            return false;
+        }
+
+        const items = await record_task[get_items_method](exhibit_id, container_id);
+
+        record.items = (items || [])
+            .filter((item) => item.is_published === 1)
+            .map((item) => construct_item_index_record(item));
+
+        const response = await index_tasks.index_record(construct_parent(record));
+
+        return response.success === true;
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/indexer/indexer_helper (reindex_container_record)] ${error.message}`, {
+            exhibit_id,
+            container_id,
+            label,
+            stack: error.stack
+        });
+        return false;
+    }
+};
+
 module.exports = {
     CLIENT,
     CONSTANTS,
@@ -933,6 +1131,8 @@ module.exports = {
     resolve_kaltura,
     resolve_kaltura_entry_id,
     merge_media_subjects,
+    build_subject_facets,
+    flatten_media_text,
     normalize_empty_to_null,
     construct_exhibit_index_record,
     construct_heading_index_record,
@@ -943,5 +1143,6 @@ module.exports = {
     process_container_records,
     index_container_child_record,
     index_standalone_record,
-    index_container_records
+    index_container_records,
+    reindex_container_record
 };
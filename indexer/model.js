@@ -44,7 +44,8 @@ const {
     process_container_records,
     index_container_child_record,
     index_standalone_record,
-    index_container_records
+    index_container_records,
+    reindex_container_record
 } = require('../indexer/indexer_helper');
 
 // Initialize task instances
@@ -55,6 +56,98 @@ const item_record_task = new EXHIBIT_ITEM_RECORD_TASKS(DB, TABLES);
 const grid_record_task = new EXHIBIT_GRID_RECORD_TASKS(DB, TABLES);
 const timeline_record_task = new EXHIBIT_TIMELINE_RECORD_TASKS(DB, TABLES);
 
+/**
+ * Gets the index tasks for an index other than the alias, e.g. a rebuild's
+ * new generation
+ * @param {string} [index_name] - Index name (default: the alias)
+ * @returns {Object} Indexer_index_tasks instance
+ */
+const get_index_tasks = (index_name) => {
+    return index_name ? new INDEXER_INDEX_TASKS(CLIENT, index_name) : index_tasks;
+};
+
+/**
+ * Fetches an exhibit and its components and builds their index documents
+ * @param {string} uuid - Exhibit UUID
+ * @param {string} type - Index type (publish/preview)
+ * @param {boolean} [published_only=false] - Build only components that are
+ *   already published, without changing any publish flag. This is what the
+ *   index should hold for a published exhibit once components have been
+ *   suppressed, so rebuilds and drift checks use it.
+ * @returns {Promise<Object|null>} {exhibit, headings, items, grids, timelines}
+ *   (index documents), or null when the exhibit does not exist
+ */
+const build_exhibit_documents = async (uuid, type, published_only = false) => {
+
+    // Fetch all records in parallel
+    const [
+        exhibit_record,
+        heading_records,
+        item_records,
+        grid_records,
+        timeline_records
+    ] = await Promise.all([
+        exhibit_record_task.get_exhibit_record(uuid),
+        heading_record_task.get_heading_records(uuid),
+        item_record_task.get_item_records(uuid),
+        grid_record_task.get_grid_records(uuid),
+        timeline_record_task.get_timeline_records(uuid)
+    ]);
+
+    if (!exhibit_record || !exhibit_record.uuid) {
+        return null;
+    }
+
+    const is_included = (record) => !published_only || Number(record.is_published) === 1;
+
+    // Process all component types in parallel
+    const [
+        heading_index_records,
+        item_index_records,
+        grid_index_records,
+        timeline_index_records
+    ] = await Promise.all([
+        Promise.resolve(
+            heading_records && heading_records.length > 0
+                ? heading_records.filter(is_included).map(h => construct_heading_index_record(h))
+                : []
+        ),
+        Promise.resolve(
+            item_records && item_records.length > 0
+                ? item_records.filter(is_included).map(i => construct_item_index_record(i))
+                : []
+        ),
+        process_container_records({
+            records: (grid_records || []).filter(is_included),
+            type,
+            published_only,
+            record_task: grid_record_task,
+            get_items_method: 'get_grid_item_records',
+            set_publish_method: 'set_grid_item_to_publish',
+            construct_parent: construct_grid_index_record,
+            label: 'grid'
+        }),
+        process_container_records({
+            records: (timeline_records || []).filter(is_included),
+            type,
+            published_only,
+            record_task: timeline_record_task,
+            get_items_method: 'get_timeline_item_records',
+            set_publish_method: 'set_timeline_item_to_publish',
+            construct_parent: construct_timeline_index_record,
+            label: 'timeline'
+        })
+    ]);
+
+    return {
+        exhibit: construct_exhibit_index_record(exhibit_record),
+        headings: heading_index_records,
+        items: item_index_records,
+        grids: grid_index_records,
+        timelines: timeline_index_records
+    };
+};
+
 /**
  * Indexes exhibit and all its components
  * @param {string} uuid - Exhibit UUID
@@ -80,23 +173,10 @@ exports.index_exhibit = async (uuid, type) => {
 
         LOGGER.module().info(`INFO: [/indexer/model (index_exhibit)] Indexing exhibit ${uuid}...`);
 
-        // Fetch all records in parallel
-        const [
-            exhibit_record,
-            heading_records,
-            item_records,
-            grid_records,
-            timeline_records
-        ] = await Promise.all([
-            exhibit_record_task.get_exhibit_record(uuid),
-            heading_record_task.get_heading_records(uuid),
-            item_record_task.get_item_records(uuid),
-            grid_record_task.get_grid_records(uuid),
-            timeline_record_task.get_timeline_records(uuid)
-        ]);
+        const documents = await build_exhibit_documents(uuid, type);
 
         // Validate exhibit record exists
-        if (!exhibit_record || !exhibit_record.uuid) {
+        if (documents === null) {
             LOGGER.module().error(`ERROR: [/indexer/model (index_exhibit)] Exhibit ${uuid} not found`);
             return build_response(
                 CONSTANTS.STATUS_CODES.NOT_FOUND,
@@ -105,7 +185,7 @@ exports.index_exhibit = async (uuid, type) => {
         }
 
         // Index main exhibit record
-        const exhibit_index_record = construct_exhibit_index_record(exhibit_record);
+        const exhibit_index_record = documents.exhibit;
         const exhibit_response = await index_tasks.index_record(exhibit_index_record);
 
         if (exhibit_response.success === false) {
@@ -120,49 +200,12 @@ exports.index_exhibit = async (uuid, type) => {
             `INFO: [/indexer/model (index_exhibit)] Exhibit record ${exhibit_index_record.uuid} indexed.`
         );
 
-        // Process all component types in parallel
-        const [
-            heading_index_records,
-            item_index_records,
-            grid_index_records,
-            timeline_index_records
-        ] = await Promise.all([
-            Promise.resolve(
-                heading_records && heading_records.length > 0
-                    ? heading_records.map(h => construct_heading_index_record(h))
-                    : []
-            ),
-            Promise.resolve(
-                item_records && item_records.length > 0
-                    ? item_records.map(i => construct_item_index_record(i))
-                    : []
-            ),
-            process_container_records({
-                records: grid_records,
-                type,
-                record_task: grid_record_task,
-                get_items_method: 'get_grid_item_records',
-                set_publish_method: 'set_grid_item_to_publish',
-                construct_parent: construct_grid_index_record,
-                label: 'grid'
-            }),
-            process_container_records({
-                records: timeline_records,
-                type,
-                record_task: timeline_record_task,
-                get_items_method: 'get_timeline_item_records',
-                set_publish_method: 'set_timeline_item_to_publish',
-                construct_parent: construct_timeline_index_record,
-                label: 'timeline'
-            })
-        ]);
-
         // Index all records in parallel batches
         await Promise.all([
-            batch_index_records(heading_index_records, 'Heading', index_tasks),
-            batch_index_records(item_index_records, 'Item', index_tasks),
-            batch_index_records(grid_index_records, 'Grid', index_tasks),
-            batch_index_records(timeline_index_records, 'Timeline', index_tasks)
+            batch_index_records(documents.headings, 'Heading', index_tasks),
+            batch_index_records(documents.items, 'Item', index_tasks),
+            batch_index_records(documents.grids, 'Grid', index_tasks),
+            batch_index_records(documents.timelines, 'Timeline', index_tasks)
         ]);
 
         LOGGER.module().info(`INFO: [/indexer/model (index_exhibit)] Exhibit ${uuid} indexing complete.`);
@@ -205,57 +248,94 @@ exports.get_published_exhibit_count = async () => {
 };
 
 /**
- * Reindexes every currently-published exhibit into the (freshly rebuilt) index.
- * Runs after a rebuild so published content returns to the empty index WITHOUT
- * changing any publish state. Each exhibit is indexed independently — a single
- * failure is logged and skipped rather than aborting the whole reindex.
- * @returns {Promise<{total:number, indexed:number, failed:number}>}
+ * Bulk-loads every currently-published exhibit into a (freshly created) index.
+ * Used by the index rebuild to fill a new generation before the alias is
+ * swapped to it, so publish state is NOT changed and suppressed components
+ * stay out of the new generation. Each exhibit is loaded
+ * independently — a single failure is logged and counted rather than aborting
+ * the load; the rebuild decides whether the result is good enough to go live.
+ * @param {string} index_name - Index to load into
+ * @returns {Promise<Object>} {total, indexed, failed, documents, failed_documents, exhibit_uuids}
+ *   where documents counts the distinct documents built from the database
  */
-exports.reindex_published_exhibits = async () => {
+exports.reindex_published_exhibits = async (index_name) => {
 
-    const summary = { total: 0, indexed: 0, failed: 0 };
+    const summary = { total: 0, indexed: 0, failed: 0, documents: 0, failed_documents: 0, exhibit_uuids: [] };
+    const target_tasks = new INDEXER_INDEX_TASKS(CLIENT, index_name);
+    const document_uuids = new Set();
 
-    try {
-        const records = await exhibit_record_task.get_exhibit_records();
-        const published = Array.isArray(records)
-            ? records.filter(record => Number(record.is_published) === 1)
-            : [];
-        summary.total = published.length;
+    const records = await exhibit_record_task.get_exhibit_records();
+    const published = Array.isArray(records)
+        ? records.filter(record => Number(record.is_published) === 1)
+        : [];
+    summary.total = published.length;
+    summary.exhibit_uuids = published.map(record => record.uuid);
 
-        LOGGER.module().info(
-            `INFO: [/indexer/model (reindex_published_exhibits)] Reindexing ${summary.total} published exhibit(s) after rebuild...`
-        );
+    LOGGER.module().info(
+        `INFO: [/indexer/model (reindex_published_exhibits)] Loading ${summary.total} published exhibit(s) into ${index_name}...`
+    );
 
-        for (const exhibit of published) {
-            try {
-                const result = await exports.index_exhibit(exhibit.uuid, CONSTANTS.INDEX_TYPES.PUBLISH);
-                if (result && result.status === CONSTANTS.STATUS_CODES.CREATED) {
-                    summary.indexed++;
-                } else {
-                    summary.failed++;
-                    LOGGER.module().warn(
-                        `WARNING: [/indexer/model (reindex_published_exhibits)] Exhibit ${exhibit.uuid} not indexed: ${result ? result.data : 'no response'}`
-                    );
-                }
-            } catch (error) {
+    for (const exhibit of published) {
+        try {
+            const documents = await build_exhibit_documents(exhibit.uuid, CONSTANTS.INDEX_TYPES.PUBLISH, true);
+
+            if (documents === null) {
                 summary.failed++;
-                LOGGER.module().error(
-                    `ERROR: [/indexer/model (reindex_published_exhibits)] Exhibit ${exhibit.uuid} failed: ${error.message}`
+                LOGGER.module().warn(
+                    `WARNING: [/indexer/model (reindex_published_exhibits)] Exhibit ${exhibit.uuid} not found`
                 );
+                continue;
             }
-        }
 
-        LOGGER.module().info(
-            `INFO: [/indexer/model (reindex_published_exhibits)] Reindex complete: ${summary.indexed} indexed, ${summary.failed} failed of ${summary.total}.`
-        );
+            const batch = [
+                documents.exhibit,
+                ...documents.headings,
+                ...documents.items,
+                ...documents.grids,
+                ...documents.timelines
+            ];
 
-    } catch (error) {
-        LOGGER.module().error(`ERROR: [/indexer/model (reindex_published_exhibits)] ${error.message}`);
+            batch.forEach(document => document_uuids.add(document.uuid));
+
+            const result = await target_tasks.bulk_index_records(batch);
+
+            if (result.failed === 0) {
+                summary.indexed++;
+            } else {
+                summary.failed++;
+                summary.failed_documents += result.failed;
+                LOGGER.module().warn(
+                    `WARNING: [/indexer/model (reindex_published_exhibits)] Exhibit ${exhibit.uuid}: ${result.failed} of ${result.total} document(s) not indexed`
+                );
+            }
+        } catch (error) {
+            summary.failed++;
+            LOGGER.module().error(
+                `ERROR: [/indexer/model (reindex_published_exhibits)] Exhibit ${exhibit.uuid} failed: ${error.message}`
+            );
+        }
     }
 
+    summary.documents = document_uuids.size;
+
+    LOGGER.module().info(
+        `INFO: [/indexer/model (reindex_published_exhibits)] Load complete: ${summary.indexed} indexed, ${summary.failed} failed of ${summary.total} (${summary.documents} documents).`
+    );
+
     return summary;
 };
 
+/**
+ * Builds the documents the index should hold for a published exhibit: the
+ * exhibit and its published components, with only published items nested in
+ * grids and timelines. Nothing is indexed and no publish flag is changed.
+ * @param {string} uuid - Exhibit UUID
+ * @returns {Promise<Object|null>} {exhibit, headings, items, grids, timelines}, or null when the exhibit does not exist
+ */
+exports.build_published_documents = async (uuid) => {
+    return build_exhibit_documents(uuid, CONSTANTS.INDEX_TYPES.PUBLISH, true);
+};
+
 /**
  * Gets indexed record by UUID
  * @param {string} uuid - Record UUID
@@ -316,9 +396,10 @@ exports.get_indexed_record = async (uuid) => {
 /**
  * Deletes record from index
  * @param {string} uuid - Record UUID
+ * @param {string} [index_name] - Index to delete from (default: the alias)
  * @returns {Promise<Object>} Response object
  */
-exports.delete_record = async (uuid) => {
+exports.delete_record = async (uuid, index_name) => {
 
     try {
         if (!is_valid_uuid(uuid)) {
@@ -328,7 +409,7 @@ exports.delete_record = async (uuid) => {
             );
         }
 
-        const is_deleted = await index_tasks.delete_record(uuid);
+        const is_deleted = await get_index_tasks(index_name).delete_record(uuid);
 
         if (is_deleted.success === true) {
             LOGGER.module().info(`INFO: [/indexer/model (delete_record)] Indexed record ${uuid} deleted`);
@@ -339,6 +420,16 @@ exports.delete_record = async (uuid) => {
             );
         }
 
+        if (is_deleted.result === 'not_found') {
+            // Status stays 200 (nothing was deleted); `data.result` lets callers
+            // that only need the record gone treat this as done
+            return build_response(
+                CONSTANTS.STATUS_CODES.OK,
+                'Record not found',
+                {result: 'not_found'}
+            );
+        }
+
         LOGGER.module().error(`ERROR: [/indexer/model (delete_record)] Unable to delete record ${uuid}`);
 
         return build_response(
@@ -454,6 +545,27 @@ exports.index_grid_record = async (exhibit_id, grid_id = null) => {
     });
 };
 
+/**
+ * Rebuilds one grid doc with only its published items, leaving the items'
+ * publish state alone (index_grid_record publishes every item)
+ * @param {string} exhibit_id - Exhibit UUID
+ * @param {string} grid_id - Grid UUID
+ * @returns {Promise<boolean>} Success status
+ */
+exports.reindex_grid_record = async (exhibit_id, grid_id) => {
+
+    return reindex_container_record({
+        exhibit_id,
+        container_id: grid_id,
+        record_task: grid_record_task,
+        get_record_method: 'get_grid_record',
+        get_items_method: 'get_grid_item_records',
+        construct_parent: construct_grid_index_record,
+        index_tasks,
+        label: 'Grid'
+    });
+};
+
 /**
  * Indexes a single grid item within a grid
  * @param {string} grid_id - Grid UUID
@@ -494,6 +606,27 @@ exports.index_timeline_record = async (exhibit_id, timeline_id = null) => {
     });
 };
 
+/**
+ * Rebuilds one timeline doc with only its published items, leaving the items'
+ * publish state alone (index_timeline_record publishes every item)
+ * @param {string} exhibit_id - Exhibit UUID
+ * @param {string} timeline_id - Timeline UUID
+ * @returns {Promise<boolean>} Success status
+ */
+exports.reindex_timeline_record = async (exhibit_id, timeline_id) => {
+
+    return reindex_container_record({
+        exhibit_id,
+        container_id: timeline_id,
+        record_task: timeline_record_task,
+        get_record_method: 'get_timeline_record',
+        get_items_method: 'get_timeline_item_records',
+        construct_parent: construct_timeline_index_record,
+        index_tasks,
+        label: 'Timeline'
+    });
+};
+
 /**
  * Indexes a single timeline item within a timeline
  * @param {string} timeline_id - Timeline UUID
@@ -516,9 +649,10 @@ exports.index_timeline_item_record = async (timeline_id, timeline_item_id, timel
 /**
  * Indexes a single record
  * @param {Object} record - Record to index
+ * @param {string} [index_name] - Index to write to (default: the alias)
  * @returns {Promise<boolean>} Success status
  */
-exports.index_record = async (record) => {
+exports.index_record = async (record, index_name) => {
 
     try {
         if (!record || typeof record !== 'object' || !record.uuid) {
@@ -526,7 +660,7 @@ exports.index_record = async (record) => {
             return false;
         }
 
-        const response = await index_tasks.index_record(record);
+        const response = await get_index_tasks(index_name).index_record(record);
 
         if (response.success === true) {
             LOGGER.module().info(
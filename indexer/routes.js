@@ -29,9 +29,26 @@ module.exports = function (app) {
     app.route(ENDPOINTS().indexer.index_utils.post.endpoint)
     .post(rate_limits.index_operations, TOKEN.verify, CONTROLLER.require_manage_index_permission, CONTROLLER.create_index);
 
+    app.route(ENDPOINTS().indexer.index_rollback.post.endpoint)
+    .post(rate_limits.index_operations, TOKEN.verify, CONTROLLER.require_manage_index_permission, CONTROLLER.rollback_index);
+
     app.route(ENDPOINTS().indexer.index_utils.get.endpoint)
     .get(rate_limits.read_operations, TOKEN.verify, CONTROLLER.require_manage_index_permission, CONTROLLER.get_index_status);
 
+    // A drift check searches the index once per exhibit
+    app.route(ENDPOINTS().indexer.index_drift.post.endpoint)
+    .post(rate_limits.index_operations, TOKEN.verify, CONTROLLER.require_manage_index_permission, CONTROLLER.start_drift_check)
+    .get(rate_limits.read_operations, TOKEN.verify, CONTROLLER.require_manage_index_permission, CONTROLLER.get_drift_report);
+
+    app.route(ENDPOINTS().indexer.index_drift_repair.post.endpoint)
+    .post(rate_limits.index_operations, TOKEN.verify, CONTROLLER.require_manage_index_permission, CONTROLLER.repair_drift);
+
+    app.route(ENDPOINTS().indexer.index_jobs.get.endpoint)
+    .get(rate_limits.read_operations, TOKEN.verify, CONTROLLER.require_manage_index_permission, CONTROLLER.get_index_jobs);
+
+    app.route(ENDPOINTS().indexer.index_job_retry.post.endpoint)
+    .post(rate_limits.index_operations, TOKEN.verify, CONTROLLER.require_manage_index_permission, CONTROLLER.retry_index_job);
+
     app.route(ENDPOINTS().indexer.index_records.endpoints.post.endpoint)
     .post(rate_limits.write_operations, TOKEN.verify, CONTROLLER.index_exhibit);
 
@@ -20,60 +20,375 @@
 
 const ES_CONFIG = require('../config/elasticsearch_config')();
 const INDEXER_UTILS_TASKS = require('./tasks/indexer_index_utils_tasks');
+const MODEL = require('./model');
+const DRIFT_SERVICE = require('./drift-service');
 const INDEX = ES_CONFIG.elasticsearch_index;
 const LOGGER = require('../libs/log4');
 const {CLIENT} = require('../indexer/indexer_helper');
 
 /**
- * Create new index and mapping
- * Delegates to recreate_index which handles check -> delete -> create -> map
+ * Search index rebuilds
+ *
+ * INDEX is an alias. A rebuild creates a new timestamped generation index,
+ * bulk-loads every published exhibit into it, checks its document counts
+ * against the database, and only then swaps the alias to it in one atomic
+ * request — the public site keeps searching the old generation throughout.
+ * The previous generation is kept so the swap can be rolled back; older ones
+ * are deleted. If any step fails the new generation is deleted and the live
+ * index is left as it was.
+ *
+ * The load reads a snapshot of the database while edits keep being written
+ * through the alias to the live generation. Before the swap, every exhibit
+ * changed since the rebuild started (by the records' `updated` times) is
+ * re-synced into the new generation through the drift repair, and a failed
+ * re-sync fails the rebuild; once swapped, changes made during that re-sync
+ * are synced once more through the alias. A retained generation stops
+ * receiving writes once it is swapped out, so a rollback serves it as it was.
+ *
+ * Rebuild progress is held in this process (unlike index jobs, which are
+ * queued in the database), and only one rebuild or rollback runs at a time.
+ *
+ * Every generation records the mapping version it was built with (a
+ * fingerprint of mappings.json and index_settings.json). When the live
+ * generation's version differs from the code's, the server logs it at
+ * startup. With INDEX_AUTO_REBUILD=on it also starts a rebuild, so mapping and
+ * analyzer changes reach the public site without a manual step. That is off
+ * unless set: the rebuild lock is held in this process only, so every app
+ * server sharing the index would rebuild and swap it at once. Turn it on for
+ * one server only.
+ */
+
+const REBUILD_STEPS = Object.freeze({
+    CREATE: 'create_index',
+    LOAD: 'load_exhibits',
+    VERIFY: 'verify_counts',
+    SYNC: 'sync_changes',
+    SWAP: 'swap_alias',
+    PRUNE: 'prune_generations'
+});
+
+// Subtracted from the rebuild start before re-syncing changes, so clock
+// differences between the app and database servers and `updated` having
+// second resolution cannot leave a change out
+const SYNC_MARGIN_MS = 60 * 1000;
+
+let rebuild_state = {
+    running: false,
+    step: null,
+    index: null,
+    started: null,
+    finished: null,
+    success: null,
+    message: null
+};
+
+// Set while a rebuild or rollback holds the alias
+let alias_busy = false;
+
+/**
+ * Creates the alias utils tasks
+ * @param {string} [index_name=INDEX] - Index the tasks operate on
+ * @returns {Object} Indexer_index_utils_tasks instance
+ */
+const get_utils_tasks = (index_name = INDEX) => {
+    return new INDEXER_UTILS_TASKS(index_name, CLIENT, ES_CONFIG);
+};
+
+/**
+ * Records rebuild progress for the status endpoint
+ * @param {Object} changes - Fields to update
+ */
+const set_rebuild_state = (changes) => {
+    rebuild_state = { ...rebuild_state, ...changes };
+};
+
+/**
+ * Deletes a generation, logging rather than throwing on failure
+ * @param {string} index_name - Generation to delete
+ * @returns {Promise<boolean>} Whether the index was deleted
+ */
+const delete_generation = async (index_name) => {
+    const result = await get_utils_tasks(index_name).delete_index();
+
+    if (!result.success && !result.not_found) {
+        LOGGER.module().error(`ERROR: [/indexer/service module (delete_generation)] Unable to delete ${index_name}: ${result.error || result.message}`);
+        return false;
+    }
+
+    return true;
+};
+
+/**
+ * Rebuilds the search index into a new generation and swaps the alias to it
+ * @returns {Promise<Object>} {success, step, index, previous, message, summary}
+ */
+const rebuild_index = async () => {
+
+    const alias_tasks = get_utils_tasks();
+    const generation = alias_tasks.generation_name();
+    const generation_tasks = get_utils_tasks(generation);
+    const started = new Date(Date.now() - SYNC_MARGIN_MS);
+    let step = REBUILD_STEPS.CREATE;
+    let created = false;
+
+    const fail = async (message) => {
+        LOGGER.module().error(`ERROR: [/indexer/service module (rebuild_index)] ${step}: ${message}`);
+
+        if (created) {
+            await delete_generation(generation);
+        }
+
+        return { success: false, step, index: generation, message };
+    };
+
+    try {
+
+        const current = await alias_tasks.get_alias_target();
+
+        if (!current.success) {
+            return await fail(current.error || 'Unable to resolve the live index');
+        }
+
+        set_rebuild_state({ step, index: generation });
+
+        const setup_result = await generation_tasks.setup_index();
+
+        if (!setup_result.success) {
+            return await fail(setup_result.error || setup_result.message);
+        }
+
+        created = true;
+        step = REBUILD_STEPS.LOAD;
+        set_rebuild_state({ step });
+
+        const summary = await MODEL.reindex_published_exhibits(generation);
+
+        if (summary.failed > 0) {
+            return await fail(`${summary.failed} of ${summary.total} published exhibit(s) could not be indexed`);
+        }
+
+        step = REBUILD_STEPS.VERIFY;
+        set_rebuild_state({ step });
+
+        const refresh_result = await generation_tasks.refresh_index();
+
+        if (!refresh_result.success) {
+            return await fail(refresh_result.error || 'Unable to refresh the new index');
+        }
+
+        const document_count = await alias_tasks.count_documents(generation);
+        const exhibit_count = summary.total === 0
+            ? 0
+            : await alias_tasks.count_documents(generation, { ids: { values: summary.exhibit_uuids } });
+
+        if (exhibit_count !== summary.total) {
+            return await fail(`New index has ${exhibit_count} of ${summary.total} published exhibit(s)`);
+        }
+
+        if (document_count !== summary.documents) {
+            return await fail(`New index has ${document_count} document(s); the database has ${summary.documents}`);
+        }
+
+        step = REBUILD_STEPS.SYNC;
+        set_rebuild_state({ step });
+
+        const sync_started = new Date(Date.now() - SYNC_MARGIN_MS);
+        const synced = await DRIFT_SERVICE.sync_changed_exhibits(started, generation);
+
+        if (synced.failed.length > 0) {
+            return await fail(`${synced.failed.length} exhibit(s) changed during the rebuild could not be synced`);
+        }
+
+        step = REBUILD_STEPS.SWAP;
+        set_rebuild_state({ step });
+
+        // Resolved again: a rollback cannot run meanwhile, but the alias may
+        // have been created by hand
+        const live = await alias_tasks.get_alias_target();
+        const swap_result = live.success ? await alias_tasks.swap_alias(generation, live) : live;
+
+        if (!swap_result.success) {
+            return await fail(swap_result.error || 'Unable to swap the index alias');
+        }
+
+        // Live now; a failure from here on must not delete it
+        created = false;
+
+        // Changes made during the sync were written to the old generation
+        const caught_up = await DRIFT_SERVICE.sync_changed_exhibits(sync_started)
+            .catch((error) => ({ failed: [error.message] }));
+
+        if (caught_up.failed.length > 0) {
+            LOGGER.module().warn(`WARNING: [/indexer/service module (rebuild_index)] ${caught_up.failed.length} exhibit(s) changed ` +
+                'during the swap could not be synced; run a drift check');
+        }
+
+        step = REBUILD_STEPS.PRUNE;
+        set_rebuild_state({ step });
+
+        const listed = await alias_tasks.list_generations();
+
+        for (const retired of listed.generations) {
+            if (retired.index !== generation && retired.index !== swap_result.previous) {
+                await delete_generation(retired.index);
+            }
+        }
+
+        LOGGER.module().info(`INFO: [/indexer/service module (rebuild_index)] ${INDEX} now points at ${generation} ` +
+            `(${document_count} documents, ${summary.total} exhibits, ${synced.exhibits} re-synced); previous: ${swap_result.previous || 'none'}`);
+
+        return {
+            success: true,
+            step,
+            index: generation,
+            previous: swap_result.previous,
+            message: `Index rebuilt: ${document_count} document(s) from ${summary.total} published exhibit(s)`,
+            summary: { exhibits: summary.total, documents: document_count, synced: synced.exhibits }
+        };
+
+    } catch (error) {
+        return await fail(error.message);
+    }
+};
+
+/**
+ * Starts an index rebuild in the background. The management view polls
+ * get_index_status for its progress.
+ * @returns {Promise<Object>} {status, data}; 202 when started, 409 when one is already running
  */
 exports.create_index = async function () {
 
+    if (alias_busy) {
+        return {
+            status: 409,
+            data: rebuild_state.running ? 'An index rebuild is already running' : 'An index rollback is in progress'
+        };
+    }
+
+    alias_busy = true;
+
+    set_rebuild_state({
+        running: true,
+        step: null,
+        index: null,
+        started: new Date(),
+        finished: null,
+        success: null,
+        message: null
+    });
+
+    setImmediate(() => {
+        rebuild_index()
+            .catch((error) => ({ success: false, message: error.message }))
+            .then((result) => {
+                set_rebuild_state({
+                    running: false,
+                    finished: new Date(),
+                    success: result.success === true,
+                    message: result.message
+                });
+            })
+            .finally(() => {
+                alias_busy = false;
+            });
+    });
+
+    return {
+        status: 202,
+        data: 'Index rebuild started'
+    };
+};
+
+/**
+ * Points the alias back at a retained generation
+ * @param {string} index_name - Generation to make live
+ * @returns {Promise<Object>} {status, data}
+ */
+exports.rollback_index = async function (index_name) {
+
+    if (alias_busy) {
+        return {
+            status: 409,
+            data: 'An index rebuild or rollback is already running'
+        };
+    }
+
+    alias_busy = true;
+
     try {
 
-        const INDEX_UTILS_TASKS = new INDEXER_UTILS_TASKS(INDEX, CLIENT, ES_CONFIG);
-        const result = await INDEX_UTILS_TASKS.recreate_index();
+        const alias_tasks = get_utils_tasks();
+
+        if (!alias_tasks.is_generation(index_name)) {
+            return {
+                status: 400,
+                data: `index must be a generation of ${INDEX}`
+            };
+        }
+
+        const [current, listed] = await Promise.all([
+            alias_tasks.get_alias_target(),
+            alias_tasks.list_generations()
+        ]);
+
+        if (!current.success || !listed.success) {
+            throw new Error(current.error || listed.error);
+        }
+
+        if (!listed.generations.some((generation) => generation.index === index_name)) {
+            return {
+                status: 404,
+                data: `Index ${index_name} not found`
+            };
+        }
 
-        if (result.success === true) {
+        if (current.indices.includes(index_name)) {
             return {
-                status: 201,
-                data: 'Index created'
+                status: 409,
+                data: `${index_name} is already live`
             };
         }
 
-        LOGGER.module().error('ERROR: [/indexer/service module (create_index)] Unable to create index.', {
-            step: result.step,
-            error: result.error,
-            message: result.message
-        });
+        const swap_result = await alias_tasks.swap_alias(index_name, current);
+
+        if (!swap_result.success) {
+            throw new Error(swap_result.error);
+        }
+
+        LOGGER.module().info(`INFO: [/indexer/service module (rollback_index)] ${INDEX} rolled back to ${index_name} (was ${swap_result.previous || 'none'})`);
 
         return {
             status: 200,
-            data: result.message || 'Unable to create index'
+            data: { index: index_name, previous: swap_result.previous }
         };
 
     } catch (error) {
-        LOGGER.module().error('ERROR: [/indexer/service module (create_index)] Unable to create index. ' + error.message);
+        LOGGER.module().error('ERROR: [/indexer/service module (rollback_index)] Unable to roll back index. ' + error.message);
         return {
-            status: 200,
-            data: 'Unable to create index'
+            status: 500,
+            data: 'Unable to roll back index'
         };
+    } finally {
+        alias_busy = false;
     }
 };
 
 /**
- * Returns search index status — existence and document count — for the
- * management view. Defensive: if Elasticsearch is unreachable, returns a
- * 200 with exists:false / available:false rather than erroring.
+ * Returns search index status for the management view: existence and
+ * document count of the live index, the retained generations, and the
+ * progress of the last rebuild. Defensive: if Elasticsearch is unreachable,
+ * returns a 200 with exists:false / available:false rather than erroring.
  */
 exports.get_index_status = async function () {
 
+    const rebuild = { ...rebuild_state };
+
     try {
 
         // get_index_status needs both existence and a doc count, so it reads
         // existence with the ES client's exists() directly (a boolean in the v8
-        // client) rather than going through the check_index() helper.
+        // client) rather than going through the check_index() helper. An alias
+        // exists when it points at an index.
         const exists = await CLIENT.indices.exists({ index: INDEX }) === true;
 
         let count = null;
@@ -92,16 +407,119 @@ exports.get_index_status = async function () {
             }
         }
 
+        const alias_tasks = get_utils_tasks();
+        const [current, listed] = await Promise.all([
+            alias_tasks.get_alias_target(),
+            alias_tasks.list_generations()
+        ]);
+
+        const generations = listed.generations.map((generation) => ({
+            ...generation,
+            live: current.indices.includes(generation.index)
+        }));
+
+        // A status view that cannot read the mapping still shows the rest
+        const mapping = exists === true
+            ? await get_mapping_status().catch(() => null)
+            : null;
+
         return {
             status: 200,
-            data: { index: INDEX, exists: exists === true, count: count }
+            data: {
+                index: INDEX,
+                exists: exists === true,
+                count: count,
+                live_index: current.indices[0] || null,
+                legacy: current.legacy === true,
+                mapping,
+                generations,
+                rebuild
+            }
         };
 
     } catch (error) {
         LOGGER.module().error('ERROR: [/indexer/service module (get_index_status)] ' + error.message);
         return {
             status: 200,
-            data: { index: INDEX, exists: false, count: null, available: false }
+            data: { index: INDEX, exists: false, count: null, available: false, generations: [], rebuild }
         };
     }
 };
+
+/**
+ * Compares the live index's mapping version with the current definitions
+ * @returns {Promise<Object>} {version, live_version, current}
+ */
+const get_mapping_status = async () => {
+
+    const alias_tasks = get_utils_tasks();
+    const [version, live] = await Promise.all([
+        alias_tasks.get_mapping_version(),
+        alias_tasks.get_index_mapping_version()
+    ]);
+
+    if (!live.success) {
+        throw new Error(live.error || 'Unable to read the live index mapping');
+    }
+
+    return {
+        version,
+        live_version: live.mapping_version,
+        current: live.mapping_version === version
+    };
+};
+
+/**
+ * Reads INDEX_AUTO_REBUILD. Unset or unrecognised values mean off.
+ * @returns {boolean}
+ */
+const is_auto_rebuild_enabled = () => {
+    return String(process.env.INDEX_AUTO_REBUILD || '').trim().toLowerCase() === 'on';
+};
+
+/**
+ * Starts a rebuild when the live index was built from older mappings or
+ * analysis settings and INDEX_AUTO_REBUILD is on; otherwise only logs it. An
+ * absent index is left for an administrator to create.
+ * @returns {Promise<Object>} {rebuild: boolean, reason, version, live_version}
+ */
+exports.ensure_current_mapping = async function () {
+
+    try {
+
+        if (await CLIENT.indices.exists({ index: INDEX }) !== true) {
+            return { rebuild: false, reason: 'no_index' };
+        }
+
+        const mapping = await get_mapping_status();
+
+        if (mapping.current) {
+            return { rebuild: false, reason: 'current', version: mapping.version, live_version: mapping.live_version };
+        }
+
+        if (!is_auto_rebuild_enabled()) {
+            LOGGER.module().warn(`WARNING: [/indexer/service module (ensure_current_mapping)] ${INDEX} has mapping version ` +
+                `${mapping.live_version || 'none'}; the current version is ${mapping.version}. Rebuild the index to apply it.`);
+            return { rebuild: false, reason: 'disabled', version: mapping.version, live_version: mapping.live_version };
+        }
+
+        const started = await exports.create_index();
+
+        LOGGER.module().info(`INFO: [/indexer/service module (ensure_current_mapping)] ${INDEX} has mapping version ` +
+            `${mapping.live_version || 'none'}; the current version is ${mapping.version}. ${started.data}`);
+
+        return {
+            rebuild: started.status === 202,
+            reason: started.status === 202 ? 'outdated' : 'busy',
+            version: mapping.version,
+            live_version: mapping.live_version
+        };
+
+    } catch (error) {
+        LOGGER.module().error('ERROR: [/indexer/service module (ensure_current_mapping)] Unable to check the index mapping. ' + error.message);
+        return { rebuild: false, reason: 'error' };
+    }
+};
+
+exports.REBUILD_STEPS = REBUILD_STEPS;
+exports.rebuild_index = rebuild_index;
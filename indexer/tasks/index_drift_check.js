@@ -0,0 +1,263 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+/**
+ * Index Drift Check Script
+ *
+ * Compares the search index with the database for every exhibit (see
+ * indexer/drift-service.js) and reports documents that are missing, stale
+ * or unexpected. With --repair, drift found is repaired: missing and stale
+ * documents are re-indexed from the database and unexpected ones deleted.
+ * Exhibits in preview are skipped.
+ *
+ * Usage:
+ *   node indexer/tasks/index_drift_check.js                       (report drift)
+ *   node indexer/tasks/index_drift_check.js --repair              (report and repair drift)
+ *   node indexer/tasks/index_drift_check.js --exhibit <uuid>      (check one exhibit)
+ *   node indexer/tasks/index_drift_check.js --help
+ *
+ * The script automatically resolves the project root from its own location,
+ * so it can be invoked from any working directory.
+ *
+ * Environment:
+ *   Loads .env from the project root automatically via dotenv.
+ *   Requires the same environment variables as the main application
+ *   (DB connection, ELASTICSEARCH_HOST, ELASTICSEARCH_INDEX, etc.)
+ *
+ * Output:
+ *   Prints a report to stdout. Exits 1 when drift remains after the run (or
+ *   an exhibit could not be checked), so cron can alert on it.
+ *
+ * Schedule:
+ *   Run nightly via cron during off-hours, after any scheduled publishing:
+ *   30 3 * * *  node /path/to/exhibits-backend/indexer/tasks/index_drift_check.js >> /path/to/exhibits-backend/logs/index-drift.log
+ */
+
+'use strict';
+
+const path = require('path');
+
+// ---------------------------------------------------------------------------
+// Anchor to project root
+// ---------------------------------------------------------------------------
+// Application modules resolve paths relative to process.cwd(), so CWD is set
+// before requiring anything else.
+const PROJECT_ROOT = path.resolve(__dirname, '../../');
+process.chdir(PROJECT_ROOT);
+
+// Load environment variables from project root .env
+try {
+    require('dotenv').config();
+} catch (e) {
+    // dotenv is optional if environment variables are set externally
+}
+
+// Load application modules (now that CWD is project root)
+const DB = require('../../config/db_config')();
+const DRIFT = require('../../indexer/drift-service');
+const LOGGER = require('../../libs/log4');
+
+// Reconfigure log4js to file-only output, so the report is the only thing
+// on stdout when redirected to index-drift.log
+const LOG4JS = require('log4js');
+LOG4JS.configure({
+    appenders: {
+        exhibits: {
+            type: 'dateFile',
+            filename: './logs/exhibits.log',
+            compress: true
+        }
+    },
+    categories: {
+        default: {
+            appenders: ['exhibits'],
+            level: 'info'
+        }
+    }
+});
+
+// ---------------------------------------------------------------------------
+// Main Check Logic
+// ---------------------------------------------------------------------------
+
+/**
+ * Prints one exhibit's drift
+ * @param {Object} result - DRIFT.check_exhibit result
+ */
+const print_result = (result) => {
+
+    const label = `${result.exhibit_uuid}  ${result.title || '(not in database)'}`;
+
+    if (result.status === DRIFT.EXHIBIT_STATUS.PREVIEW) {
+        console.log(`  PREVIEW: ${label} (not checked)`);
+        return;
+    }
+
+    if (result.status === DRIFT.EXHIBIT_STATUS.ERROR) {
+        console.log(`  ERROR: ${label}`);
+        console.log(`      ${result.message}`);
+        return;
+    }
+
+    if (result.status === DRIFT.EXHIBIT_STATUS.DRIFT) {
+        console.log(`  DRIFT: ${label}`);
+        result.drift.forEach((entry) => {
+            console.log(`      ${entry.kind.padEnd(10)} ${entry.type || 'unknown'} ${entry.uuid}${entry.reason ? ` (${entry.reason})` : ''}`);
+        });
+    }
+};
+
+/**
+ * Runs the drift check, repairing drift when asked, and prints its report
+ * @param {Object} [options={}] - {repair, exhibit_uuid}
+ * @returns {Promise<Object>} Report totals, plus {repaired, repair_failed, remaining}
+ */
+const run_drift_check = async (options = {}) => {
+
+    LOGGER.module().info('INFO: [index-drift] Starting index drift check');
+    console.log(`\n========================================`);
+    console.log(`  Index Drift Check`);
+    console.log(`========================================`);
+    console.log(`Exhibits: ${options.exhibit_uuid || 'all'}`);
+    console.log(`Repair:   ${options.repair ? 'yes' : 'no'}\n`);
+
+    const report = await DRIFT.run_check({
+        exhibit_uuid: options.exhibit_uuid,
+        on_result: print_result
+    });
+
+    const totals = report.totals;
+    let repaired = 0;
+    let repair_failed = 0;
+    let remaining = totals.missing + totals.stale + totals.unexpected;
+
+    if (options.repair && remaining > 0) {
+
+        console.log('\n  Repairing...');
+        remaining = 0;
+
+        for (const result of report.exhibits.filter((entry) => entry.status === DRIFT.EXHIBIT_STATUS.DRIFT)) {
+            try {
+                const outcome = await DRIFT.repair_exhibit(result.exhibit_uuid);
+                repaired += outcome.repaired.length;
+                repair_failed += outcome.failed.length;
+                remaining += outcome.result.drift.length;
+                outcome.failed.forEach((uuid) => console.log(`  FAILED: ${uuid} in ${result.exhibit_uuid}`));
+            } catch (error) {
+                remaining += result.drift.length;
+                LOGGER.module().error(`ERROR: [index-drift] Unable to repair ${result.exhibit_uuid}: ${error.message}`);
+                console.log(`  FAILED: ${result.exhibit_uuid}: ${error.message}`);
+            }
+        }
+    }
+
+    if (totals.checked > 0 && totals.drift === 0 && totals.errors === 0) {
+        console.log('  The index matches the database.');
+    }
+
+    console.log(`\n========================================`);
+    console.log(`  Drift Summary`);
+    console.log(`========================================`);
+    console.log(`  Exhibits checked:      ${totals.checked}`);
+    console.log(`  In sync:               ${totals.in_sync}`);
+    console.log(`  With drift:            ${totals.drift}`);
+    console.log(`  In preview (skipped):  ${totals.preview}`);
+    console.log(`  Errors:                ${totals.errors}`);
+    console.log(`  Missing documents:     ${totals.missing}`);
+    console.log(`  Stale documents:       ${totals.stale}`);
+    console.log(`  Unexpected documents:  ${totals.unexpected}`);
+
+    if (options.repair) {
+        console.log(`  Repaired:              ${repaired}`);
+        console.log(`  Repair failures:       ${repair_failed}`);
+        console.log(`  Remaining drift:       ${remaining}`);
+    } else if (remaining > 0) {
+        console.log('\n  Run with --repair, or repair from the dashboard\'s Index Management page.');
+    }
+
+    console.log('');
+
+    LOGGER.module().info(`INFO: [index-drift] Index drift check complete: ${totals.checked} checked, ${totals.drift} with drift, ${remaining} document(s) drifting`);
+
+    return { ...totals, repaired, repair_failed, remaining };
+};
+
+// ---------------------------------------------------------------------------
+// CLI Entry Point
+// ---------------------------------------------------------------------------
+
+const main = async () => {
+
+    const args = process.argv.slice(2);
+
+    if (args.includes('--help') || args.includes('-h')) {
+        console.log(`
+Usage: node indexer/tasks/index_drift_check.js [options]
+
+Compares the search index with the database and reports documents that are
+missing, stale or should not be indexed. Can be run from any working
+directory.
+
+Options:
+  --repair           Re-index missing and stale documents, delete unexpected ones
+  --exhibit UUID     Check only this exhibit
+  --help             Show this help message
+
+Exits 1 when drift remains or an exhibit could not be checked.
+`);
+        process.exit(0);
+    }
+
+    let exit_code = 0;
+
+    try {
+
+        const exhibit_index = args.indexOf('--exhibit');
+        const exhibit_uuid = exhibit_index === -1 ? null : args[exhibit_index + 1];
+
+        if (exhibit_index !== -1 && !exhibit_uuid) {
+            throw new Error('--exhibit requires an exhibit UUID');
+        }
+
+        const stats = await run_drift_check({
+            repair: args.includes('--repair'),
+            exhibit_uuid
+        });
+
+        exit_code = stats.remaining > 0 || stats.errors > 0 ? 1 : 0;
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [index-drift] Unhandled error: ${error.message}`);
+        console.error('Fatal error:', error.message);
+        exit_code = 1;
+    } finally {
+        // Ensure the DB connection pool is closed so the process exits cleanly
+        if (DB && typeof DB.destroy === 'function') {
+            await DB.destroy();
+        }
+    }
+
+    process.exit(exit_code);
+};
+
+// Run if executed directly (not required as a module)
+if (require.main === module) {
+    main();
+}
+
+module.exports = { run_drift_check };
@@ -0,0 +1,187 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const Base_tasks = require('../../exhibits/tasks/tasks_helper');
+
+// Record type -> table key, for every table whose records reach the index.
+// Grid and timeline items are indexed nested in their parent's document.
+const RECORD_TABLES = {
+    exhibit: 'exhibit_records',
+    heading: 'heading_records',
+    item: 'item_records',
+    grid: 'grid_records',
+    grid_item: 'grid_item_records',
+    timeline: 'timeline_records',
+    timeline_item: 'timeline_item_records'
+};
+
+const STATE_FIELDS = ['uuid', 'is_published', 'is_deleted', 'updated'];
+
+/**
+ * Tasks used to read the publish state of exhibit records for index drift
+ * checks. Deleted records are included: a deleted record that is still
+ * indexed is drift.
+ *
+ * Construct with the full tables config object (`DB_TABLES.exhibits`).
+ *
+ * @type {Indexer_drift_tasks}
+ */
+const Indexer_drift_tasks = class extends Base_tasks {
+
+    constructor(DB, TABLE) {
+        super(DB, TABLE);
+    }
+
+    /**
+     * Gets every exhibit, deleted or not, oldest first
+     * @returns {Promise<Array>} [{uuid, title, is_published, is_preview, is_deleted, updated}]
+     */
+    async get_exhibits() {
+
+        try {
+
+            this._validate_database();
+            this._validate_table('exhibit_records');
+
+            return await this._with_timeout(
+                this.DB(this.TABLE.exhibit_records)
+                    .select('uuid', 'title', 'is_published', 'is_preview', 'is_deleted', 'updated')
+                    .orderBy('id', 'asc')
+            );
+
+        } catch (error) {
+            this._handle_error(error, 'get_exhibits');
+        }
+    }
+
+    /**
+     * Gets one exhibit, deleted or not
+     * @param {string} uuid - Exhibit UUID
+     * @returns {Promise<Object|null>} {uuid, title, is_published, is_preview, is_deleted, updated}
+     */
+    async get_exhibit(uuid) {
+
+        try {
+
+            this._validate_database();
+            this._validate_table('exhibit_records');
+
+            const exhibit_uuid = this._validate_uuid(uuid, 'exhibit UUID');
+
+            const record = await this._with_timeout(
+                this.DB(this.TABLE.exhibit_records)
+                    .select('uuid', 'title', 'is_published', 'is_preview', 'is_deleted', 'updated')
+                    .where({ uuid: exhibit_uuid })
+                    .first()
+            );
+
+            return record || null;
+
+        } catch (error) {
+            this._handle_error(error, 'get_exhibit');
+        }
+    }
+
+    /**
+     * Gets the publish state of an exhibit's component records, deleted or not
+     * @param {string} uuid - Exhibit UUID
+     * @returns {Promise<Array>} [{record_type, uuid, parent_uuid, is_published, is_deleted, updated}];
+     *   parent_uuid is the grid or timeline of a grid/timeline item, otherwise null
+     */
+    async get_component_states(uuid) {
+
+        try {
+
+            this._validate_database();
+
+            const exhibit_uuid = this._validate_uuid(uuid, 'exhibit UUID');
+            const record_types = Object.keys(RECORD_TABLES).filter((record_type) => record_type !== 'exhibit');
+
+            const results = await Promise.all(record_types.map((record_type) => {
+
+                const table_key = RECORD_TABLES[record_type];
+                this._validate_table(table_key);
+
+                const fields = [...STATE_FIELDS];
+
+                if (record_type === 'grid_item') {
+                    fields.push('is_member_of_grid as parent_uuid');
+                } else if (record_type === 'timeline_item') {
+                    fields.push('is_member_of_timeline as parent_uuid');
+                }
+
+                return this._with_timeout(
+                    this.DB(this.TABLE[table_key])
+                        .select(fields)
+                        .where({ is_member_of_exhibit: exhibit_uuid })
+                );
+            }));
+
+            return results.flatMap((rows, index) => rows.map((row) => ({
+                record_type: record_types[index],
+                parent_uuid: null,
+                ...row
+            })));
+
+        } catch (error) {
+            this._handle_error(error, 'get_component_states', { uuid });
+        }
+    }
+
+    /**
+     * Gets the exhibits whose own record or any component record was changed
+     * at or after a time, deleted or not. `updated` is set by the database on
+     * every write, publish and suppress included.
+     * @param {Date} since - Earliest change time
+     * @returns {Promise<Array<string>>} Exhibit UUIDs
+     */
+    async get_changed_exhibit_uuids(since) {
+
+        try {
+
+            this._validate_database();
+
+            if (!(since instanceof Date) || Number.isNaN(since.getTime())) {
+                throw new Error('Valid since date is required');
+            }
+
+            const results = await Promise.all(Object.keys(RECORD_TABLES).map((record_type) => {
+
+                const table_key = RECORD_TABLES[record_type];
+                this._validate_table(table_key);
+
+                return this._with_timeout(
+                    this.DB(this.TABLE[table_key])
+                        .distinct(record_type === 'exhibit' ? 'uuid' : 'is_member_of_exhibit as uuid')
+                        .where('updated', '>=', since)
+                );
+            }));
+
+            return [...new Set(results.flat().map((row) => row.uuid).filter(Boolean))];
+
+        } catch (error) {
+            this._handle_error(error, 'get_changed_exhibit_uuids', { since });
+        }
+    }
+};
+
+Indexer_drift_tasks.RECORD_TABLES = RECORD_TABLES;
+
+module.exports = Indexer_drift_tasks;
@@ -39,6 +39,7 @@ const Indexer_index_tasks = class {
         this.INDEX_TIMEOUT = 30000; // 30 seconds for index operations
         this.GET_TIMEOUT = 10000;    // 10 seconds for get operations
         this.BULK_CHUNK_SIZE = 100;  // docs per bulk request (caps payload size on large exhibits)
+        this.MAX_EXHIBIT_DOCUMENTS = 10000; // search window for drift checks (ES max_result_window)
 
         // Validate dependencies on construction
         this._validate_dependencies();
@@ -489,6 +490,102 @@ const Indexer_index_tasks = class {
         }
     }
 
+    /**
+     * Gets every indexed document that belongs to an exhibit: the exhibit
+     * document itself and the top-level documents of its components
+     * (grid and timeline items are nested in their parent's document)
+     * @param {string} exhibit_uuid - Exhibit UUID
+     * @returns {Promise<Object>} {success, documents: [{uuid, source}]}
+     */
+    async get_exhibit_documents(exhibit_uuid) {
+
+        try {
+            const uuid_trimmed = this._validate_uuid(exhibit_uuid, 'exhibit UUID');
+
+            const response = await this._with_timeout(
+                this.CLIENT.search({
+                    index: this.INDEX,
+                    size: this.MAX_EXHIBIT_DOCUMENTS,
+                    query: {
+                        bool: {
+                            should: [
+                                {ids: {values: [uuid_trimmed]}},
+                                {term: {'is_member_of_exhibit.keyword': uuid_trimmed}}
+                            ],
+                            minimum_should_match: 1
+                        }
+                    }
+                }),
+                this.GET_TIMEOUT
+            );
+
+            const hits = response?.hits?.hits || [];
+
+            return {
+                success: true,
+                documents: hits.map((hit) => ({uuid: hit._id, source: hit._source}))
+            };
+
+        } catch (error) {
+            this._handle_error(error, 'get_exhibit_documents', {uuid: exhibit_uuid});
+
+            return {
+                success: false,
+                documents: [],
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Gets the UUIDs of every exhibit the index holds documents for, whether
+     * the exhibit document itself or only some of its components
+     * @returns {Promise<Object>} {success, exhibit_uuids}
+     */
+    async get_indexed_exhibit_uuids() {
+
+        try {
+            const response = await this._with_timeout(
+                this.CLIENT.search({
+                    index: this.INDEX,
+                    size: 0,
+                    aggs: {
+                        members: {
+                            terms: {field: 'is_member_of_exhibit.keyword', size: this.MAX_EXHIBIT_DOCUMENTS}
+                        },
+                        exhibits: {
+                            filter: {term: {'type.keyword': 'exhibit'}},
+                            aggs: {
+                                uuids: {terms: {field: 'uuid.keyword', size: this.MAX_EXHIBIT_DOCUMENTS}}
+                            }
+                        }
+                    }
+                }),
+                this.GET_TIMEOUT
+            );
+
+            const aggregations = response?.aggregations || {};
+            const uuids = new Set([
+                ...(aggregations.members?.buckets || []).map((bucket) => bucket.key),
+                ...(aggregations.exhibits?.uuids?.buckets || []).map((bucket) => bucket.key)
+            ]);
+
+            return {
+                success: true,
+                exhibit_uuids: [...uuids]
+            };
+
+        } catch (error) {
+            this._handle_error(error, 'get_indexed_exhibit_uuids');
+
+            return {
+                success: false,
+                exhibit_uuids: [],
+                error: error.message
+            };
+        }
+    }
+
     /**
      * Deletes a record from the index
      * @param {string} uuid - UUID of the record to delete
@@ -3,6 +3,7 @@
 const FS = require('fs').promises; // Use promises API for async operations
 const FS_SYNC = require('fs'); // Keep sync for validation only
 const PATH = require('path');
+const CRYPTO = require('crypto');
 const LOGGER = require('../../libs/log4');
 
 /**
@@ -21,11 +22,13 @@ const Indexer_index_utils_tasks = class {
 
         // Configuration constants
         this.MAPPINGS_PATH = PATH.resolve(__dirname, '../../indexer/mappings.json');
+        this.SETTINGS_PATH = PATH.resolve(__dirname, '../../indexer/index_settings.json');
         this.OPERATION_TIMEOUT = 30000; // 30 seconds
         this.INDEX_CHECK_TIMEOUT = 5000; // 5 seconds for index checks
 
-        // Cache for mappings (loaded once, reused)
+        // Cache for mappings and analysis settings (loaded once, reused)
         this._mappings_cache = null;
+        this._analysis_cache = null;
 
         // Validate dependencies on construction
         this._validate_dependencies();
@@ -239,6 +242,60 @@ const Indexer_index_utils_tasks = class {
         }
     }
 
+    /**
+     * Gets the analysis settings (analyzers and their filters) the mappings
+     * refer to, from index_settings.json (with caching)
+     * @returns {Promise<Object>} Analysis settings
+     */
+    async get_analysis_settings() {
+        try {
+            if (this._analysis_cache) {
+                return this._analysis_cache;
+            }
+
+            let settings_obj;
+
+            try {
+                settings_obj = JSON.parse(await FS.readFile(this.SETTINGS_PATH, 'utf8'));
+            } catch (read_error) {
+                throw new Error(`Unable to read index settings file: ${read_error.message}`);
+            }
+
+            if (!settings_obj || typeof settings_obj.analysis !== 'object' || settings_obj.analysis === null) {
+                throw new Error('Index settings file has no analysis object');
+            }
+
+            this._analysis_cache = settings_obj.analysis;
+            return this._analysis_cache;
+
+        } catch (error) {
+            this._handle_error(error, 'get_analysis_settings', {
+                path: this.SETTINGS_PATH
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Gets the mapping version: a fingerprint of mappings.json and the
+     * analysis settings. Each index is created with the version in its
+     * mapping `_meta`, so an index built from older definitions can be
+     * told apart from a current one without anyone remembering to bump a
+     * number. Reordering keys also changes it, which only costs a rebuild.
+     * @returns {Promise<string>} 12 hex characters
+     */
+    async get_mapping_version() {
+        const [mappings, analysis] = await Promise.all([
+            this.get_mappings(),
+            this.get_analysis_settings()
+        ]);
+
+        return CRYPTO.createHash('sha256')
+            .update(JSON.stringify({ analysis, mappings }))
+            .digest('hex')
+            .substring(0, 12);
+    }
+
     /**
      * Validates mappings file exists synchronously (for quick checks)
      * @returns {boolean} True if file exists and is readable
@@ -338,13 +395,15 @@ const Indexer_index_utils_tasks = class {
      */
     async create_index(options = {}) {
         try {
-            // Build index settings
+            // Build index settings. Analyzers can only be defined when an index
+            // is created, so they are always sent with it.
             const index_settings = {
                 index: {
                     number_of_shards: this.CONFIG.number_of_shards,
                     number_of_replicas: this.CONFIG.number_of_replicas,
                     ...options.settings // Allow additional settings
-                }
+                },
+                analysis: options.analysis || await this.get_analysis_settings()
             };
 
             const create_options = {
@@ -446,7 +505,11 @@ const Indexer_index_utils_tasks = class {
                 throw new Error('Invalid or empty mappings object');
             }
 
+            // Custom mappings are not the versioned definition, so carry no version
             const body = {
+                _meta: {
+                    mapping_version: options.mappings ? null : await this.get_mapping_version()
+                },
                 properties: mappings_obj
             };
 
@@ -477,6 +540,7 @@ const Indexer_index_utils_tasks = class {
                     acknowledged: response.acknowledged,
                     index: this.INDEX_NAME,
                     field_count: Object.keys(mappings_obj).length,
+                    mapping_version: body._meta.mapping_version,
                     message: 'Mappings created successfully'
                 };
             }
@@ -674,6 +738,45 @@ const Indexer_index_utils_tasks = class {
         }
     }
 
+    /**
+     * Reads the mapping version an index was created with. Works through the
+     * alias: the response is keyed by the concrete index it points at.
+     * @returns {Promise<Object>} Result object: {success, index, mapping_version}
+     *   mapping_version is null for an index that predates versioning
+     */
+    async get_index_mapping_version() {
+        try {
+            const response = await this._with_timeout(
+                this.CLIENT.indices.getMapping({ index: this.INDEX_NAME }),
+                this.INDEX_CHECK_TIMEOUT
+            );
+
+            const [index, entry] = Object.entries(response || {})[0] || [];
+
+            if (!index) {
+                throw new Error('Invalid mapping response');
+            }
+
+            return {
+                success: true,
+                index,
+                mapping_version: entry?.mappings?._meta?.mapping_version || null
+            };
+
+        } catch (error) {
+            this._handle_error(error, 'get_index_mapping_version');
+
+            return {
+                success: false,
+                index: this.INDEX_NAME,
+                mapping_version: null,
+                error: error.message,
+                error_type: error.name,
+                status_code: error.meta?.statusCode
+            };
+        }
+    }
+
     /**
      * Refreshes the index
      * @param {Object} [options={}] - Refresh options
@@ -873,6 +976,224 @@ const Indexer_index_utils_tasks = class {
             };
         }
     }
+
+    // ==================== ALIAS / GENERATIONS ====================
+    //
+    // INDEX_NAME is the name the application reads and writes through. Rebuilds
+    // load a new "generation" index (INDEX_NAME_YYYYMMDDHHmmss) and then point
+    // INDEX_NAME, as an alias, at it. A deployment that predates aliases has a
+    // concrete index called INDEX_NAME instead (the legacy index); the first
+    // swap replaces it with the alias.
+
+    /**
+     * Builds the name of a new generation index
+     * @param {Date} [date=new Date()] - Creation time (UTC)
+     * @returns {string} e.g. exhibits_index_20261019143000
+     */
+    generation_name(date = new Date()) {
+        const stamp = date.toISOString().replace(/[-:T]/g, '').substring(0, 14);
+        return `${this.INDEX_NAME}_${stamp}`;
+    }
+
+    /**
+     * Whether an index name is one of this alias's generations
+     * @param {string} index_name - Index name
+     * @returns {boolean}
+     */
+    is_generation(index_name) {
+        const prefix = `${this.INDEX_NAME}_`;
+        return typeof index_name === 'string'
+            && index_name.startsWith(prefix)
+            && /^\d{14}$/.test(index_name.substring(prefix.length));
+    }
+
+    /**
+     * Resolves what INDEX_NAME currently points at
+     * @returns {Promise<Object>} Result object: {success, indices: [names], legacy}
+     *   - alias:  indices lists the alias's target(s), legacy false
+     *   - legacy: indices is [INDEX_NAME], legacy true
+     *   - absent: indices is [], legacy false
+     */
+    async get_alias_target() {
+        try {
+            let response = null;
+
+            try {
+                response = await this._with_timeout(
+                    this.CLIENT.indices.getAlias({ name: this.INDEX_NAME }),
+                    this.INDEX_CHECK_TIMEOUT
+                );
+            } catch (error) {
+                if (error.meta?.statusCode !== 404) {
+                    throw error;
+                }
+            }
+
+            const indices = response ? Object.keys(response) : [];
+
+            if (indices.length > 0) {
+                return { success: true, indices: indices.sort(), legacy: false };
+            }
+
+            const check_result = await this.check_index();
+
+            if (!check_result.success) {
+                throw new Error(check_result.error || 'Failed to check index existence');
+            }
+
+            return {
+                success: true,
+                indices: check_result.exists ? [this.INDEX_NAME] : [],
+                legacy: check_result.exists === true
+            };
+
+        } catch (error) {
+            this._handle_error(error, 'get_alias_target');
+
+            return {
+                success: false,
+                indices: [],
+                legacy: false,
+                error: error.message,
+                error_type: error.name,
+                status_code: error.meta?.statusCode
+            };
+        }
+    }
+
+    /**
+     * Lists this alias's generation indices, newest first
+     * @returns {Promise<Object>} Result object: {success, generations: [{index, created, count}]}
+     */
+    async list_generations() {
+        try {
+            const response = await this._with_timeout(
+                this.CLIENT.cat.indices({
+                    index: `${this.INDEX_NAME}_*`,
+                    format: 'json',
+                    h: 'index,docs.count,creation.date'
+                }),
+                this.INDEX_CHECK_TIMEOUT
+            );
+
+            const rows = Array.isArray(response) ? response : [];
+
+            const generations = rows
+                .filter((row) => this.is_generation(row.index))
+                .map((row) => ({
+                    index: row.index,
+                    created: row['creation.date'] ? new Date(Number(row['creation.date'])) : null,
+                    count: row['docs.count'] === undefined || row['docs.count'] === null ? null : Number(row['docs.count'])
+                }))
+                .sort((a, b) => b.index.localeCompare(a.index));
+
+            return { success: true, generations };
+
+        } catch (error) {
+            // No index matched the pattern
+            if (error.meta?.statusCode === 404) {
+                return { success: true, generations: [] };
+            }
+
+            this._handle_error(error, 'list_generations');
+
+            return {
+                success: false,
+                generations: [],
+                error: error.message,
+                error_type: error.name,
+                status_code: error.meta?.statusCode
+            };
+        }
+    }
+
+    /**
+     * Counts documents in an index, optionally matching a query
+     * @param {string} index_name - Index (or alias) to count
+     * @param {Object} [query] - Elasticsearch query
+     * @returns {Promise<number>} Document count
+     */
+    async count_documents(index_name, query) {
+        const response = await this._with_timeout(
+            this.CLIENT.count(query ? { index: index_name, query } : { index: index_name }),
+            this.OPERATION_TIMEOUT
+        );
+
+        const count = response?.count ?? response?.body?.count;
+
+        if (typeof count !== 'number') {
+            throw new Error('Invalid count response');
+        }
+
+        return count;
+    }
+
+    /**
+     * Points INDEX_NAME at a generation in one atomic _aliases request. Readers
+     * see either the old target or the new one, never neither. A legacy
+     * concrete index has to be deleted in the same request, since an alias
+     * cannot share its name.
+     * @param {string} target_index - Generation to make live
+     * @param {Object} current - Result of get_alias_target()
+     * @returns {Promise<Object>} Result object with swap status
+     */
+    async swap_alias(target_index, current) {
+        try {
+            if (!this.is_generation(target_index)) {
+                throw new Error(`${target_index} is not a generation of ${this.INDEX_NAME}`);
+            }
+
+            const actions = [];
+
+            if (current.legacy === true) {
+                actions.push({ remove_index: { index: this.INDEX_NAME } });
+            } else {
+                for (const index of current.indices) {
+                    if (index !== target_index) {
+                        actions.push({ remove: { index, alias: this.INDEX_NAME } });
+                    }
+                }
+            }
+
+            actions.push({ add: { index: target_index, alias: this.INDEX_NAME, is_write_index: true } });
+
+            const response = await this._with_timeout(
+                this.CLIENT.indices.updateAliases({ actions }),
+                this.OPERATION_TIMEOUT
+            );
+
+            if (!response || response.acknowledged !== true) {
+                throw new Error('Alias update not acknowledged');
+            }
+
+            this._log_success('Index alias swapped', {
+                alias: this.INDEX_NAME,
+                target: target_index,
+                previous: current.indices,
+                legacy_removed: current.legacy === true
+            });
+
+            return {
+                success: true,
+                alias: this.INDEX_NAME,
+                index: target_index,
+                previous: current.legacy === true ? null : current.indices.find((index) => index !== target_index) || null,
+                message: 'Alias swapped successfully'
+            };
+
+        } catch (error) {
+            this._handle_error(error, 'swap_alias', { target: target_index });
+
+            return {
+                success: false,
+                alias: this.INDEX_NAME,
+                index: target_index,
+                error: error.message,
+                error_type: error.name,
+                status_code: error.meta?.statusCode
+            };
+        }
+    }
 };
 
 module.exports = Indexer_index_utils_tasks;
\ No newline at end of file
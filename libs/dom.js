@@ -103,6 +103,16 @@ exports.sanitize_req_body = function(req, res, next) {
     next();
 };
 
+/**
+ * Sanitizes an object that reached the app without passing through the request
+ * sanitizers (e.g. JSON read from an uploaded file), in place.
+ *
+ * @param {Object|Array} obj
+ */
+exports.sanitize_object = function(obj) {
+    sanitize_in_place(obj);
+};
+
 /**
  * Middleware: sanitize req.params, recursing through nested objects and arrays.
  *
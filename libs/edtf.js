@@ -0,0 +1,221 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+/**
+ * Extended Date/Time Format (EDTF, ISO 8601-2) support for timeline dates.
+ *
+ * Covers Level 0 and the parts of Level 1 a timeline needs: years, months and
+ * days; intervals with open (..) or unknown (empty) ends; the uncertain (?),
+ * approximate (~) and uncertain-and-approximate (%) qualifiers; unspecified
+ * trailing digits (192X, 1985-XX); and seasons (1920-21 = spring 1920).
+ * Years are four digits, which is what the DATE columns can hold.
+ */
+
+// Season codes -> first and last month; winter runs into the next year
+const SEASONS = {
+    21: {first: 3, last: 5, year_offset: 0},
+    22: {first: 6, last: 8, year_offset: 0},
+    23: {first: 9, last: 11, year_offset: 0},
+    24: {first: 12, last: 2, year_offset: 1}
+};
+
+// Unspecified digits are only allowed at the end of the year
+const DATE_PATTERN = /^(\d{4}|\d{3}X|\d{2}XX|\dXXX)(?:-(\d{2}|XX)(?:-(\d{2}|XX))?)?([?~%])?$/;
+const DATE_TIME_PATTERN = /^(\d{4}-\d{2}-\d{2})T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}(?::?\d{2})?)?$/;
+const CIRCA_PATTERN = /^(?:circa|ca\.?|c\.)\s*(.+)$/i;
+const DECADE_PATTERN = /^(\d{3})0s$/i;
+const YEAR_SPAN_PATTERN = /^(\d{4})\s*-\s*(\d{4})$/;
+const OPEN = '..';
+
+/**
+ * Gets the number of days in a month
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @returns {number}
+ */
+const days_in_month = (year, month) => {
+
+    if (month === 2) {
+        return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0 ? 29 : 28;
+    }
+
+    return [4, 6, 9, 11].includes(month) ? 30 : 31;
+};
+
+/**
+ * Formats a calendar date as YYYY-MM-DD
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @returns {string}
+ */
+const format_date = (year, month, day) => {
+    return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Rewrites the common informal spellings curators type into EDTF:
+ * "circa 1920" -> 1920~, "1920s" -> 192X, "1861-1865" or "1861–1865" -> 1861/1865,
+ * and an ISO date-time -> its date
+ * @param {string} value
+ * @returns {string}
+ */
+const normalize_input = (value) => {
+
+    let text = String(value).trim().replace(/\s+/g, ' ');
+    const circa = text.match(CIRCA_PATTERN);
+
+    if (circa) {
+        // "ca. 1920?" is both approximate and uncertain
+        text = circa[1].replace(/[?~%]?$/, (qualifier) => (qualifier === '?' || qualifier === '%' ? '%' : '~'));
+    }
+
+    text = text
+        .replace(DECADE_PATTERN, '$1X')
+        .replace(YEAR_SPAN_PATTERN, '$1/$2')
+        .replace(/\s*[–—]\s*/g, '/')
+        .toUpperCase();
+
+    const date_time = text.match(DATE_TIME_PATTERN);
+    return date_time ? date_time[1] : text.replace(/\s*\/\s*/g, '/');
+};
+
+/**
+ * Parses one EDTF date (not an interval) into the first and last day it covers
+ * @param {string} text
+ * @returns {{start: string, end: string}|null} null when the date is not valid
+ */
+const parse_date = (text) => {
+
+    const match = text.match(DATE_PATTERN);
+
+    if (!match) {
+        return null;
+    }
+
+    const [, year, month, day] = match;
+    const first_year = Number(year.replace(/X/g, '0'));
+    const last_year = Number(year.replace(/X/g, '9'));
+
+    // Once a part is unspecified, every finer part must be too
+    if ((year.includes('X') && month !== undefined && month !== 'XX') ||
+        (month === 'XX' && day !== undefined && day !== 'XX')) {
+        return null;
+    }
+
+    if (month === undefined || month === 'XX') {
+        return {
+            start: format_date(first_year, 1, 1),
+            end: format_date(last_year, 12, 31)
+        };
+    }
+
+    const month_number = Number(month);
+    const season = SEASONS[month_number];
+
+    if (season) {
+
+        if (day !== undefined) {
+            return null;
+        }
+
+        const end_year = first_year + season.year_offset;
+
+        return {
+            start: format_date(first_year, season.first, 1),
+            end: format_date(end_year, season.last, days_in_month(end_year, season.last))
+        };
+    }
+
+    if (month_number < 1 || month_number > 12) {
+        return null;
+    }
+
+    const last_day = days_in_month(first_year, month_number);
+
+    if (day === undefined || day === 'XX') {
+        return {
+            start: format_date(first_year, month_number, 1),
+            end: format_date(first_year, month_number, last_day)
+        };
+    }
+
+    const day_number = Number(day);
+
+    if (day_number < 1 || day_number > last_day) {
+        return null;
+    }
+
+    const date = format_date(first_year, month_number, day_number);
+    return {start: date, end: date};
+};
+
+/**
+ * Parses an EDTF date or interval
+ *
+ * The returned `start` and `end` are the first and last calendar days the value
+ * can cover, as YYYY-MM-DD, for sorting and range search. An open or unknown
+ * interval end gives null on that side.
+ *
+ * @param {string} value - EDTF value, or one of the informal spellings normalize_input accepts
+ * @returns {{date: string, start: string|null, end: string|null}|null} null when the value is not valid EDTF
+ */
+const parse = (value) => {
+
+    if (typeof value !== 'string' || value.trim().length === 0) {
+        return null;
+    }
+
+    const date = normalize_input(value);
+    const parts = date.split('/');
+
+    if (parts.length === 1) {
+        const range = parse_date(date);
+        return range ? {date, ...range} : null;
+    }
+
+    if (parts.length !== 2) {
+        return null;
+    }
+
+    const [from, to] = parts.map((part) => (part === '' || part === OPEN ? null : parse_date(part)));
+
+    // Each side is a date, open or unknown — but not both missing
+    if ((from === null && parts[0] !== '' && parts[0] !== OPEN) ||
+        (to === null && parts[1] !== '' && parts[1] !== OPEN) ||
+        (from === null && to === null)) {
+        return null;
+    }
+
+    if (from && to && from.start > to.start) {
+        return null;
+    }
+
+    return {
+        date,
+        start: from ? from.start : null,
+        end: to ? to.end : null
+    };
+};
+
+module.exports = {
+    parse,
+    normalize_input
+};
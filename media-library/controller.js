@@ -18,15 +18,16 @@
 
 'use strict';
 
-const FS = require('fs');
 const PATH = require('path');
 const MEDIA_MODEL = require('../media-library/model');
 const REPO_SERVICE = require('../media-library/repo-service');
 const KALTURA_SERVICE = require('../media-library/kaltura-service');
 const IIIF_SERVICE = require('../media-library/iiif-service');
+const EXIF_PRIVACY = require('../media-library/exif-privacy');
 const KALTURA_CONFIG = require('../config/kaltura_config')();
-const UPLOADS = require('../media-library/uploads');
+const STORAGE = require('../media-library/storage-adapter')();
 const AUTHORIZE = require('../auth/authorize');
+const AUDIT = require('../audit/model');
 const LOGGER = require('../libs/log4');
 
 // Allowed MIME types for media files
@@ -155,13 +156,12 @@ exports.get_media = async function (req, res) {
             return;
         }
 
-        // Resolve relative path to absolute path with traversal protection
-        let resolved_path;
+        // Look the file up in storage (the adapter refuses paths outside it)
+        const storage_path = decode_html_entities(record.storage_path);
+        const stats = await STORAGE.stat(storage_path).catch(() => null);
 
-        try {
-            resolved_path = await UPLOADS.resolve_storage_path(decode_html_entities(record.storage_path));
-        } catch (error) {
-            LOGGER.module().warn(`WARNING: [/media-library/controller (get_media)] File not found on disk: ${record.storage_path}`);
+        if (!stats) {
+            LOGGER.module().warn(`WARNING: [/media-library/controller (get_media)] File not found in storage: ${record.storage_path}`);
             res.status(404).json({
                 success: false,
                 message: 'File not found',
@@ -170,36 +170,31 @@ exports.get_media = async function (req, res) {
             return;
         }
 
-        // Get file stats
-        const stats = FS.statSync(resolved_path);
-
-        if (!stats.isFile()) {
-            res.status(400).json({
-                success: false,
-                message: 'Invalid file type',
-                data: null
-            });
-            return;
-        }
-
         // Determine MIME type — decode in case XSS middleware encoded the stored value
         // Prefer extension-based lookup for known types as it's always clean
-        const extension_mime = ALLOWED_MIME_TYPES[PATH.extname(resolved_path).toLowerCase()];
+        const extension_mime = ALLOWED_MIME_TYPES[PATH.extname(storage_path).toLowerCase()];
         const stored_mime = record.mime_type ? decode_html_entities(record.mime_type) : null;
         const mime_type = extension_mime || stored_mime || 'application/octet-stream';
 
+        // Embedded location and personal metadata stay out of the served file
+        // unless the record's policy publishes it
+        const served_path = await EXIF_PRIVACY.resolve_served_file(record, storage_path, mime_type);
+        const served_stats = served_path === storage_path ? stats : await STORAGE.stat(served_path);
+
+        // Open the file before committing to its headers, so a read failure
+        // still answers with a JSON error
+        const read_stream = await STORAGE.stream(served_path);
+
         // Set response headers
         res.set({
             'Content-Type': mime_type,
-            'Content-Length': stats.size,
+            'Content-Length': served_stats.size,
             'Content-Disposition': build_content_disposition(record.original_filename || record.filename || 'download'),
             'Cache-Control': 'public, max-age=86400',
             'X-Content-Type-Options': 'nosniff'
         });
 
         // Stream file to response
-        const read_stream = FS.createReadStream(resolved_path);
-
         read_stream.on('error', (error) => {
             LOGGER.module().error(`ERROR: [/media-library/controller (get_media)] Stream error: ${error.message}`);
             if (!res.headersSent) {
@@ -297,13 +292,12 @@ exports.get_thumbnail = async function (req, res) {
             return;
         }
 
-        // Resolve relative path to absolute path with traversal protection
-        let resolved_path;
+        // Look the thumbnail up in storage (the adapter refuses paths outside it)
+        const thumbnail_path = decode_html_entities(record.thumbnail_path);
+        const stats = await STORAGE.stat(thumbnail_path).catch(() => null);
 
-        try {
-            resolved_path = await UPLOADS.resolve_storage_path(decode_html_entities(record.thumbnail_path));
-        } catch (error) {
-            LOGGER.module().warn(`WARNING: [/media-library/controller (get_thumbnail)] Thumbnail file not found on disk: ${record.thumbnail_path}`);
+        if (!stats) {
+            LOGGER.module().warn(`WARNING: [/media-library/controller (get_thumbnail)] Thumbnail file not found in storage: ${record.thumbnail_path}`);
             res.status(404).json({
                 success: false,
                 message: 'Thumbnail not found',
@@ -312,8 +306,9 @@ exports.get_thumbnail = async function (req, res) {
             return;
         }
 
+        const read_stream = await STORAGE.stream(thumbnail_path);
+
         // Set response headers — thumbnails are always JPEG
-        const stats = FS.statSync(resolved_path);
 
         res.set({
             'Content-Type': 'image/jpeg',
@@ -323,8 +318,6 @@ exports.get_thumbnail = async function (req, res) {
         });
 
         // Stream thumbnail to response
-        const read_stream = FS.createReadStream(resolved_path);
-
         read_stream.on('error', (error) => {
             LOGGER.module().error(`ERROR: [/media-library/controller (get_thumbnail)] Stream error: ${error.message}`);
             if (!res.headersSent) {
@@ -420,6 +413,48 @@ exports.check_duplicate = async function (req, res) {
     }
 };
 
+/**
+ * Finds media that duplicate or closely resemble an upload, by the hashes
+ * returned from the upload endpoint
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.check_similar_media = async function (req, res) {
+
+    try {
+
+        const result = await MEDIA_MODEL.find_similar_media({
+            content_hash: typeof req.query.content_hash === 'string' ? req.query.content_hash.trim() : null,
+            perceptual_hash: typeof req.query.perceptual_hash === 'string' ? req.query.perceptual_hash.trim() : null,
+            exclude: typeof req.query.exclude === 'string' ? req.query.exclude.trim() : null
+        });
+
+        if (!result.success) {
+            return res.status(result.status || 500).json({
+                success: false,
+                message: result.message,
+                data: null
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: result.message,
+            data: {
+                matches: result.matches
+            }
+        });
+
+    } catch (error) {
+        LOGGER.module().error('ERROR: [/media-library/controller (check_similar_media)] ' + error.message);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error checking for similar media',
+            data: null
+        });
+    }
+};
+
 /**
  * Creates a new media record
  * @param {Object} req - Express request object
@@ -511,6 +546,13 @@ exports.create_media_record = async function (req, res) {
             return;
         }
 
+        await AUDIT.record(req, {
+            action: 'create',
+            record_type: 'media',
+            record_uuid: result.id,
+            after: data
+        });
+
         // Success response - return 201 Created
         res.status(201).json({
             success: true,
@@ -661,6 +703,42 @@ exports.get_media_record = async function (req, res) {
     }
 };
 
+/**
+ * Gets every exhibit and item that uses a media record, recycled ones included
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.get_media_usage = async function (req, res) {
+
+    try {
+
+        const result = await MEDIA_MODEL.get_media_usage(req.params.media_id);
+
+        if (!result.success) {
+            res.status(result.status || 500).json({
+                success: false,
+                message: result.message,
+                data: null
+            });
+            return;
+        }
+
+        res.status(200).json({
+            success: true,
+            message: result.message,
+            data: result.usage
+        });
+
+    } catch (error) {
+        LOGGER.module().error('ERROR: [/media-library/controller (get_media_usage)] Unable to get usage of media record ' + req.params.media_id + ': ' + error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Unable to get media usage.',
+            data: null
+        });
+    }
+};
+
 /**
  * Updates a media record
  * @param {Object} req - Express request object
@@ -729,6 +807,13 @@ exports.update_media_record = async function (req, res) {
             return;
         }
 
+        await AUDIT.record(req, {
+            action: 'update',
+            record_type: 'media',
+            record_uuid: media_id,
+            after: data
+        });
+
         res.status(200).json({
             success: true,
             message: result.message,
@@ -789,17 +874,26 @@ exports.delete_media_record = async function (req, res) {
             return;
         }
 
-        const result = await MEDIA_MODEL.delete_media_record(media_id, username);
+        // ?force=true deletes media that live exhibits or items still use
+        const force = req.query?.force === 'true';
+        const result = await MEDIA_MODEL.delete_media_record(media_id, username, {force});
 
         if (!result || !result.success) {
-            res.status(400).json({
+            res.status(result?.status || 400).json({
                 success: false,
                 message: result?.message || 'Failed to delete media record.',
-                data: null
+                data: result?.usage ? {usage: result.usage} : null
             });
             return;
         }
 
+        await AUDIT.record(req, {
+            action: 'delete',
+            record_type: 'media',
+            record_uuid: media_id,
+            after: result.live_count > 0 ? {forced: true, live_references: result.live_count} : undefined
+        });
+
         res.status(200).json({
             success: true,
             message: result.message,
@@ -922,8 +1016,8 @@ exports.get_uploaded_thumbnail = async function (req, res) {
 
         const p = rel.trim();
 
-        // Fast-fail obviously hostile input before touching the filesystem.
-        // resolve_storage_path also hard-guards containment.
+        // Fast-fail obviously hostile input before touching storage.
+        // The storage adapter also hard-guards containment.
         if (p.includes('..') || p.includes('\0') || PATH.isAbsolute(p)) {
             LOGGER.module().warn(`WARNING: [/media-library/controller (get_uploaded_thumbnail)] Rejected path: ${p}`);
             res.status(400).json({
@@ -934,11 +1028,10 @@ exports.get_uploaded_thumbnail = async function (req, res) {
             return;
         }
 
-        let resolved_path;
+        const thumbnail_path = decode_html_entities(p);
+        const stats = await STORAGE.stat(thumbnail_path).catch(() => null);
 
-        try {
-            resolved_path = await UPLOADS.resolve_storage_path(decode_html_entities(p));
-        } catch (error) {
+        if (!stats) {
             LOGGER.module().warn(`WARNING: [/media-library/controller (get_uploaded_thumbnail)] Staged thumbnail not found: ${p}`);
             res.status(404).json({
                 success: false,
@@ -948,8 +1041,9 @@ exports.get_uploaded_thumbnail = async function (req, res) {
             return;
         }
 
+        const read_stream = await STORAGE.stream(thumbnail_path);
+
         // Staged thumbnails are always JPEG (generated by uploads.js).
-        const stats = FS.statSync(resolved_path);
 
         res.set({
             'Content-Type': 'image/jpeg',
@@ -958,8 +1052,6 @@ exports.get_uploaded_thumbnail = async function (req, res) {
             'X-Content-Type-Options': 'nosniff'
         });
 
-        const read_stream = FS.createReadStream(resolved_path);
-
         read_stream.on('error', (error) => {
             LOGGER.module().error(`ERROR: [/media-library/controller (get_uploaded_thumbnail)] Stream error: ${error.message}`);
             if (!res.headersSent) {
@@ -1051,6 +1143,14 @@ exports.update_media_exhibits = async function (req, res) {
             });
         }
 
+        await AUDIT.record(req, {
+            action: action === 'add' ? 'link_exhibit' : 'unlink_exhibit',
+            record_type: 'media',
+            record_uuid: media_id,
+            exhibit_uuid,
+            after: {media_role: safe_role}
+        });
+
         return res.status(200).json({
             success: true,
             message: result.message,
@@ -1670,12 +1770,11 @@ exports.get_iiif_file = async function (req, res) {
             });
         }
 
-        let resolved_path;
+        const storage_path = decode_html_entities(record.storage_path);
+        const stats = await STORAGE.stat(storage_path).catch(() => null);
 
-        try {
-            resolved_path = await UPLOADS.resolve_storage_path(decode_html_entities(record.storage_path));
-        } catch (error) {
-            LOGGER.module().warn(`WARNING: [/media-library/controller (get_iiif_file)] File not found on disk: ${record.storage_path}`);
+        if (!stats) {
+            LOGGER.module().warn(`WARNING: [/media-library/controller (get_iiif_file)] File not found in storage: ${record.storage_path}`);
             return res.status(404).json({
                 success: false,
                 message: 'File not found',
@@ -1683,15 +1782,7 @@ exports.get_iiif_file = async function (req, res) {
             });
         }
 
-        const stats = FS.statSync(resolved_path);
-
-        if (!stats.isFile()) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid file type',
-                data: null
-            });
-        }
+        const read_stream = await STORAGE.stream(storage_path);
 
         res.set({
             'Content-Type': 'application/pdf',
@@ -1704,8 +1795,6 @@ exports.get_iiif_file = async function (req, res) {
             'Access-Control-Allow-Headers': 'Origin, Content-Type, Accept'
         });
 
-        const read_stream = FS.createReadStream(resolved_path);
-
         read_stream.on('error', (error) => {
             LOGGER.module().error(`ERROR: [/media-library/controller (get_iiif_file)] Stream error: ${error.message}`);
             if (!res.headersSent) {
@@ -1801,6 +1890,126 @@ exports.get_iiif_manifest = async function (req, res) {
     }
 };
 
+/**
+ * Searches the extracted text of an uploaded PDF and returns a IIIF Content
+ * Search 2.0 AnnotationPage of hits
+ *
+ * GET <APP_PATH>/iiif/:media_id/search?q=...
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.get_iiif_search = async function (req, res) {
+
+    try {
+
+        const media_id = req.params.media_id;
+
+        if (!is_valid_uuid(media_id)) {
+            LOGGER.module().warn(`WARNING: [/media-library/controller (get_iiif_search)] Invalid media ID: ${media_id}`);
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid media ID',
+                data: null
+            });
+        }
+
+        const base_url = IIIF_SERVICE.derive_iiif_base(req);
+        const result = await IIIF_SERVICE.search_full_text(media_id, req.query || {}, base_url);
+
+        if (!result || !result.success) {
+            LOGGER.module().warn(`WARNING: [/media-library/controller (get_iiif_search)] Failed: ${result?.message}`);
+
+            return res.status(result?.status || 500).json({
+                success: false,
+                message: result?.message || 'Failed to search text',
+                data: null
+            });
+        }
+
+        res.set({
+            'Content-Type': 'application/ld+json;profile="http://iiif.io/api/search/2/context.json"',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, OPTIONS',
+            'Access-Control-Allow-Headers': 'Origin, Content-Type, Accept',
+            'Cache-Control': 'public, max-age=3600'
+        });
+
+        return res.status(200).json(result.results);
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/media-library/controller (get_iiif_search)] ${error.message}`);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error searching text',
+            data: null
+        });
+    }
+};
+
+/**
+ * Gets the IIIF Presentation 3.0 manifest for a published exhibit: every
+ * published item's media as a canvas in exhibit order, with headings, grids
+ * and timelines as ranges. Built on demand, like the per-record manifest.
+ *
+ * GET <APP_PATH>/iiif/exhibits/:exhibit_id/manifest
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.get_iiif_exhibit_manifest = async function (req, res) {
+
+    try {
+
+        const exhibit_id = req.params.exhibit_id;
+
+        if (!is_valid_uuid(exhibit_id)) {
+            LOGGER.module().warn(`WARNING: [/media-library/controller (get_iiif_exhibit_manifest)] Invalid exhibit ID: ${exhibit_id}`);
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid exhibit ID',
+                data: null
+            });
+        }
+
+        const base_url = IIIF_SERVICE.derive_iiif_base(req);
+        const file_base = IIIF_SERVICE.derive_file_base(req);
+        const result = await IIIF_SERVICE.build_manifest_for_exhibit(exhibit_id, base_url, file_base);
+
+        if (!result || !result.success) {
+            LOGGER.module().warn(`WARNING: [/media-library/controller (get_iiif_exhibit_manifest)] Failed: ${result?.message}`);
+
+            return res.status(result?.status || 500).json({
+                success: false,
+                message: result?.message || 'Failed to retrieve exhibit manifest',
+                data: null
+            });
+        }
+
+        res.set({
+            'Content-Type': 'application/ld+json;profile="http://iiif.io/api/presentation/3/context.json"',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, OPTIONS',
+            'Access-Control-Allow-Headers': 'Origin, Content-Type, Accept',
+            'Cache-Control': 'public, max-age=3600'
+        });
+
+        return res.status(200).json(result.manifest);
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/media-library/controller (get_iiif_exhibit_manifest)] ${error.message}`);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error retrieving exhibit manifest',
+            data: null
+        });
+    }
+};
+
 /**
  * Gets the IIIF Image API 3.0 info.json for a media record
  *
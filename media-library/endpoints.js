@@ -42,9 +42,9 @@ const ENDPOINTS = {
             body: 'media data'
         },
         delete: {
-            description: 'Deletes media record',
+            description: 'Deletes media record; refused with 409 and the usage while live exhibits or items use it, unless forced',
             endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/record/:media_id`,
-            params: 'token or api_key, media_id'
+            params: 'token or api_key, media_id, force (optional, "true")'
         }
     },
     media_record: {
@@ -54,6 +54,42 @@ const ENDPOINTS = {
             params: 'token or api_key, media_id (UUID)'
         }
     },
+    media_usage: {
+        get: {
+            description: 'Lists the exhibits and items (including recycled ones) that use a media record',
+            endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/record/:media_id/usage`,
+            params: 'token or api_key, media_id (UUID)'
+        }
+    },
+    media_replace: {
+        post: {
+            description: 'Replaces the file of an uploaded media record, keeping its UUID; the current file is kept as a prior version',
+            endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/record/:media_id/file`,
+            params: 'token or api_key, media_id (UUID)',
+            body: 'multipart: file (image or PDF, same kind as the current file)'
+        }
+    },
+    media_versions: {
+        get: {
+            description: 'Lists the prior file versions of a media record, newest first',
+            endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/record/:media_id/versions`,
+            params: 'token or api_key, media_id (UUID)'
+        }
+    },
+    media_fixity: {
+        get: {
+            description: 'Gets the fixity summary and a page of stored files that failed their last fixity check, most recently checked first',
+            endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/fixity`,
+            params: 'token or api_key, page (default 1), page_size (1-200, default 50), status (missing, changed or unreadable; default all three)'
+        }
+    },
+    media_fixity_check: {
+        post: {
+            description: 'Re-checks the stored file of an uploaded media record against its recorded SHA-256 and records the outcome',
+            endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/record/:media_id/fixity`,
+            params: 'token or api_key, media_id (UUID)'
+        }
+    },
     upload: {
         get: {
             description: 'Serves a staged (not-yet-saved) uploaded thumbnail by its storage-relative path',
@@ -67,6 +103,26 @@ const ENDPOINTS = {
             body: 'storage_path (required), thumbnail_path (optional)'
         }
     },
+    media_ingest: {
+        get: {
+            description: 'Lists the requesting user\'s most recent batch ingest jobs',
+            endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/ingest`,
+            params: 'token or api_key'
+        },
+        post: {
+            description: 'Starts a batch ingest from a zip of images/PDFs with an optional CSV manifest; processed in the background',
+            endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/ingest`,
+            params: 'token or api_key',
+            body: 'multipart: archive (.zip, required), manifest (.csv: filename, name, description, alt_text, call_number, topics, genre_form, places, item_type)'
+        }
+    },
+    media_ingest_job: {
+        get: {
+            description: 'Retrieves a batch ingest job with its progress and per-file results',
+            endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/ingest/:job_id`,
+            params: 'token or api_key, job_id (UUID)'
+        }
+    },
     media_file: {
         get: {
             description: 'Retrieves media file by UUID from hash-bucketed storage',
@@ -88,6 +144,13 @@ const ENDPOINTS = {
             params: 'token or api_key, field (repo_uuid or kaltura_entry_id), value'
         }
     },
+    media_similar_check: {
+        get: {
+            description: 'Finds media with the same file or a visually similar image, with similarity scores',
+            endpoint: `${APP_PATH}${PREFIX}${VERSION}${ENDPOINT}/duplicate-check/similar`,
+            params: 'token or api_key, content_hash and/or perceptual_hash, exclude (optional media UUID)'
+        }
+    },
     repo_media_search: {
         get: {
             description: 'Searches digital repository records',
@@ -157,6 +220,13 @@ const ENDPOINTS = {
             params: 'token or api_key, media_id (UUID)'
         }
     },
+    iiif_exhibit_manifest: {
+        get: {
+            description: 'Gets IIIF Presentation 3.0 manifest for a published exhibit (items as canvases in exhibit order, headings, grids and timelines as ranges)',
+            endpoint: `${IIIF_PATH}/exhibits/:exhibit_id/manifest`,
+            params: 'exhibit_id (UUID)'
+        }
+    },
     iiif_info: {
         get: {
             description: 'Gets IIIF Image API 3.0 info.json for a media record',
@@ -164,6 +234,13 @@ const ENDPOINTS = {
             params: 'token or api_key, media_id (UUID)'
         }
     },
+    iiif_search: {
+        get: {
+            description: 'Searches the extracted text of an uploaded PDF (IIIF Content Search API 2.0)',
+            endpoint: `${IIIF_PATH}/:media_id/search`,
+            params: 'media_id (UUID), q (space-separated terms)'
+        }
+    },
     iiif_file: {
         get: {
             description: 'Serves the original stored PDF for a media record (manifest "rendering" resource)',
@@ -0,0 +1,186 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+/**
+ * Embedded metadata privacy
+ *
+ * Uploaded originals can carry GPS coordinates, device serial numbers and
+ * owner names in their EXIF/XMP/IPTC. The full set is kept on the media record
+ * (exif_data) for staff; what is made public is decided here:
+ *
+ *   strip   only the configured retain fields (capture date, dimensions,
+ *           color profile...) appear in IIIF manifest metadata, and
+ *           /file/:media_id serves a copy of the original with everything
+ *           else removed
+ *   retain  everything is published as uploaded
+ *
+ * The site policy comes from exif_privacy_config.js; a curator can override
+ * it per record (exif_privacy column, null for the site policy).
+ *
+ * The stripped copy is written once, next to the record's IIIF derivatives
+ * (iiif-cache.js), so it is dropped with them when the record changes. IIIF
+ * images and thumbnails are re-encoded by sharp, which writes no metadata, so
+ * they need nothing here. PDFs are served as stored: exiftool appends PDF
+ * edits as an incremental update that leaves the earlier metadata
+ * recoverable, so a "stripped" PDF would not be.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const STORAGE = require('./storage-adapter')();
+const UPLOADS = require('./uploads');
+const IIIF_CACHE = require('./iiif-cache');
+const CONFIG = require('./exif_privacy_config')();
+
+const POLICY = Object.freeze({
+    STRIP: 'strip',
+    RETAIN: 'retain'
+});
+
+const POLICIES = Object.values(POLICY);
+
+// Originals exiftool rewrites without touching pixel data
+const STRIPPABLE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/tiff', 'image/webp', 'image/gif'];
+
+/**
+ * Whether a value is an accepted per-record override (empty means the site policy)
+ * @param {*} value - exif_privacy value
+ * @returns {boolean}
+ */
+const is_valid_override = (value) => {
+    return value === null || value === undefined || value === '' || POLICIES.includes(value);
+};
+
+/**
+ * The site policy. An unrecognized EXIF_PRIVACY_POLICY strips, so a typo
+ * never publishes locations.
+ * @returns {string} 'strip' or 'retain'
+ */
+const site_policy = () => {
+    return POLICIES.includes(CONFIG.policy) ? CONFIG.policy : POLICY.STRIP;
+};
+
+/**
+ * The policy for a record: its curator override, else the site policy
+ * @param {Object} record - Media record ({exif_privacy})
+ * @returns {string} 'strip' or 'retain'
+ */
+const resolve_policy = (record) => {
+    return POLICIES.includes(record?.exif_privacy) ? record.exif_privacy : site_policy();
+};
+
+/**
+ * Filters extracted metadata down to what the policy publishes
+ * @param {Object} metadata - Tag name → value, as stored in exif_data
+ * @param {string} policy - 'strip' or 'retain'
+ * @returns {Object} Published tags
+ */
+const filter_metadata = (metadata, policy) => {
+
+    if (!metadata || typeof metadata !== 'object') {
+        return {};
+    }
+
+    if (policy === POLICY.RETAIN) {
+        return { ...metadata };
+    }
+
+    const published = {};
+
+    for (const field of CONFIG.retain_fields) {
+        if (Object.hasOwn(metadata, field)) {
+            published[field] = metadata[field];
+        }
+    }
+
+    return published;
+};
+
+/**
+ * The embedded metadata of a record that may be made public
+ * @param {Object} record - Media record ({exif_data, exif_privacy})
+ * @returns {Object} Published tags
+ * @throws {SyntaxError} If exif_data is not valid JSON
+ */
+const public_metadata = (record) => {
+
+    if (!record || !record.exif_data) {
+        return {};
+    }
+
+    const metadata = typeof record.exif_data === 'string' ? JSON.parse(record.exif_data) : record.exif_data;
+
+    return filter_metadata(metadata, resolve_policy(record));
+};
+
+/**
+ * Resolves the storage key to serve for a record's original: the original
+ * itself, or a copy with its embedded metadata stripped (written on first
+ * request). Fails rather than fall back to the original.
+ * @param {Object} record - Media record ({uuid, updated, exif_privacy})
+ * @param {string} storage_path - Decoded storage key of the original
+ * @param {string} mime_type - MIME type of the original
+ * @returns {Promise<string>} Storage key to serve
+ * @throws {Error} If the original cannot be read or stripped
+ */
+const resolve_served_file = async (record, storage_path, mime_type) => {
+
+    if (resolve_policy(record) === POLICY.RETAIN || !STRIPPABLE_MIME_TYPES.includes(mime_type)) {
+        return storage_path;
+    }
+
+    // A changed retain list must not reuse copies stripped under the old one
+    const variant = crypto.createHash('sha1').update(CONFIG.retain_fields.join(',')).digest('hex').substring(0, 12);
+    const extension = path.extname(storage_path).toLowerCase();
+    const served_path = IIIF_CACHE.served_copy_path(record.uuid, record.updated || record.created || null, variant, extension);
+
+    if (await STORAGE.stat(served_path)) {
+        return served_path;
+    }
+
+    const temp_dir = await fs.mkdtemp(path.join(os.tmpdir(), 'exif-privacy-'));
+
+    try {
+
+        const copy_path = path.join(temp_dir, `original${extension}`);
+
+        await STORAGE.with_local_file(storage_path, (file_path) => fs.copyFile(file_path, copy_path));
+        await UPLOADS.strip_embedded_metadata(copy_path, CONFIG.retain_fields);
+        await STORAGE.put(served_path, await fs.readFile(copy_path), { content_type: mime_type });
+
+    } finally {
+        await fs.rm(temp_dir, { recursive: true, force: true });
+    }
+
+    return served_path;
+};
+
+module.exports = {
+    POLICY,
+    POLICIES,
+    is_valid_override,
+    site_policy,
+    resolve_policy,
+    filter_metadata,
+    public_metadata,
+    resolve_served_file
+};
@@ -0,0 +1,62 @@
+/**
+ * Copyright 2026 University of Denver
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * Storage Configuration
+
+/**
+ * Embedded Metadata Privacy Configuration
+ *
+ * This configuration file reads from environment variables to decide which
+ * embedded (EXIF/XMP/IPTC) metadata of uploaded files is made public: in the
+ * files served from /file/:media_id and in IIIF manifest metadata. The full
+ * metadata is still kept on the media record for staff (exif_data).
+ *
+ * Environment Variables:
+ * - EXIF_PRIVACY_POLICY: 'strip' keeps only the retained fields below; 'retain'
+ *   publishes everything (default: strip). Curators can override it per record.
+ * - EXIF_RETAIN_FIELDS: Comma-separated exiftool tag names kept when stripping
+ *   (default: capture date, dimensions, color space/profile, orientation, page count).
+ *   Location (GPS*), device serial numbers, owner and author names are never in the
+ *   default list.
+ */
+
+'use strict';
+
+const DEFAULT_RETAIN_FIELDS = [
+    // Capture date
+    'DateTimeOriginal', 'CreateDate',
+    // Dimensions and format
+    'ImageWidth', 'ImageHeight', 'BitsPerSample', 'Orientation', 'MIMEType', 'FileType', 'PageCount',
+    // Color profile (ICC_Profile keeps the embedded profile in served files)
+    'ColorSpace', 'ProfileDescription', 'ICC_Profile'
+];
+
+module.exports = () => {
+
+    const policy = (process.env.EXIF_PRIVACY_POLICY || 'strip').trim().toLowerCase();
+
+    const retain_fields = process.env.EXIF_RETAIN_FIELDS
+        ? process.env.EXIF_RETAIN_FIELDS.split(',').map((field) => field.trim()).filter(Boolean)
+        : DEFAULT_RETAIN_FIELDS;
+
+    return {
+        // Site-wide default: 'strip' or 'retain'
+        policy: policy,
+
+        // Tags kept under 'strip'
+        retain_fields: retain_fields
+    };
+};
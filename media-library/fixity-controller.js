@@ -0,0 +1,122 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const FIXITY = require('../media-library/fixity-service');
+const AUTHORIZE = require('../auth/authorize');
+const LOGGER = require('../libs/log4');
+
+/**
+ * Middleware: requires the view_fixity_report permission. The report spans
+ * the whole media library, so there is no record to check ownership against.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.require_fixity_permission = async function (req, res, next) {
+
+    try {
+
+        const is_authorized = await AUTHORIZE.check_permission({
+            req,
+            permissions: ['view_fixity_report'],
+            record_type: null,
+            parent_id: null,
+            child_id: null
+        });
+
+        if (is_authorized !== true) {
+            return res.status(403).json({
+                success: false,
+                message: 'Unauthorized request',
+                data: null
+            });
+        }
+
+        return next();
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/media-library/fixity-controller (require_fixity_permission)] ${error.message}`);
+        return res.status(403).json({
+            success: false,
+            message: 'Unauthorized request',
+            data: null
+        });
+    }
+};
+
+/**
+ * Gets the fixity summary and a page of failed files
+ *
+ * GET /api/v1/media/library/fixity?page=&page_size=&status=
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.get_fixity_report = async function (req, res) {
+
+    try {
+
+        const result = await FIXITY.get_fixity_report(req.query);
+
+        return res.status(result.status).json({
+            success: result.success,
+            message: result.message,
+            data: result.data
+        });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/media-library/fixity-controller (get_fixity_report)] ${error.message}`);
+        return res.status(500).json({
+            success: false,
+            message: 'Unable to get fixity report.',
+            data: null
+        });
+    }
+};
+
+/**
+ * Re-checks the stored file of one media record
+ *
+ * POST /api/v1/media/library/record/:media_id/fixity
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.verify_media_fixity = async function (req, res) {
+
+    try {
+
+        const result = await FIXITY.verify_media(req.params.media_id);
+
+        return res.status(result.status).json({
+            success: result.success,
+            message: result.message,
+            data: result.data
+        });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/media-library/fixity-controller (verify_media_fixity)] ${error.message}`);
+        return res.status(500).json({
+            success: false,
+            message: 'Unable to check media file.',
+            data: null
+        });
+    }
+};
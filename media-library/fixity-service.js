@@ -0,0 +1,345 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+/**
+ * Fixity checking for uploaded media
+ *
+ * The SHA-256 of an uploaded original is recorded at upload as the record's
+ * content_hash. A fixity check re-hashes the stored file and compares:
+ *
+ *   ok          the file matches its content_hash
+ *   missing     storage has no file at the record's storage_path
+ *   changed     the file's SHA-256 no longer matches
+ *   unreadable  the file exists but could not be read
+ *
+ * Each check is recorded on the media record (fixity_status, fixity_message,
+ * fixity_checked, and fixity_verified on success). The audit task
+ * (media-library/tasks/fixity_audit.js) checks the whole collection; the
+ * dashboard reports failures and re-checks a single file.
+ */
+
+const DB = require('../config/db_config')();
+const DB_TABLES = require('../config/db_tables_config')();
+const MEDIA_TASKS = require('../media-library/tasks/media_record_tasks');
+const UPLOADS = require('../media-library/uploads');
+const STORAGE = require('../media-library/storage-adapter')();
+const LOGGER = require('../libs/log4');
+
+const media_task = new MEDIA_TASKS(DB, DB_TABLES.exhibits);
+
+const FIXITY_STATUS = Object.freeze({
+    OK: 'ok',
+    MISSING: 'missing',
+    CHANGED: 'changed',
+    UNREADABLE: 'unreadable'
+});
+
+const FAILURE_STATUSES = [FIXITY_STATUS.MISSING, FIXITY_STATUS.CHANGED, FIXITY_STATUS.UNREADABLE];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// fixity_message column width
+const MAX_MESSAGE_LENGTH = 255;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Builds a standardized response object
+ * @param {boolean} success - Whether the operation succeeded
+ * @param {string} message - Response message
+ * @param {Object} data - Response data (includes the HTTP status)
+ * @returns {Object} Standardized response object
+ */
+const build_response = (success, message, data = null) => {
+    return {
+        success,
+        message,
+        ...data
+    };
+};
+
+/**
+ * Validates if a string is a valid UUID format
+ * @param {string} uuid - String to validate
+ * @returns {boolean} Whether string is valid UUID
+ */
+const is_valid_uuid = (uuid) => {
+    if (!uuid || typeof uuid !== 'string') {
+        return false;
+    }
+    const uuid_regex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    return uuid_regex.test(uuid);
+};
+
+/**
+ * Decodes HTML entities in a string
+ * Handles common entities that may be injected by XSS sanitization middleware
+ * @param {string} str - String to decode
+ * @returns {string} Decoded string
+ */
+const decode_html_entities = (str) => {
+    if (!str || typeof str !== 'string') {
+        return str;
+    }
+    return str
+        .replace(/&#x2F;/gi, '/')
+        .replace(/&#x27;/gi, "'")
+        .replace(/&quot;/gi, '"')
+        .replace(/&lt;/gi, '<')
+        .replace(/&gt;/gi, '>')
+        .replace(/&amp;/gi, '&');
+};
+
+/**
+ * Fixity columns for a file whose hash was just taken from storage — at
+ * upload or replacement, the hash is the file's first verification
+ * @param {Date} [now] - Check time
+ * @returns {Object} {fixity_status, fixity_message, fixity_checked, fixity_verified}
+ */
+const baseline = (now = new Date()) => {
+    return {
+        fixity_status: FIXITY_STATUS.OK,
+        fixity_message: null,
+        fixity_checked: now,
+        fixity_verified: now
+    };
+};
+
+// ---------------------------------------------------------------------------
+// Checks
+// ---------------------------------------------------------------------------
+
+/**
+ * Checks a stored original against its recorded SHA-256. Nothing is written.
+ * @param {Object} record - {storage_path, content_hash}
+ * @returns {Promise<Object>} {status, message}; status is null when the record has no checksum to check against
+ */
+const check_file = async (record) => {
+
+    if (!record.content_hash) {
+        return { status: null, message: 'No checksum recorded' };
+    }
+
+    const storage_path = decode_html_entities(record.storage_path);
+
+    try {
+
+        if (!(await STORAGE.stat(storage_path))) {
+            return { status: FIXITY_STATUS.MISSING, message: `Not found in storage: ${storage_path}` };
+        }
+
+        const content_hash = await UPLOADS.hash_stored_file(storage_path);
+
+        if (content_hash !== record.content_hash.toLowerCase()) {
+            return {
+                status: FIXITY_STATUS.CHANGED,
+                message: `SHA-256 ${content_hash} does not match recorded ${record.content_hash.toLowerCase()}`
+            };
+        }
+
+        return { status: FIXITY_STATUS.OK, message: null };
+
+    } catch (error) {
+        return {
+            status: FIXITY_STATUS.UNREADABLE,
+            message: `Unable to read ${storage_path}: ${error.message}`
+        };
+    }
+};
+
+/**
+ * Checks a stored original and records the outcome on its media record
+ * @param {Object} record - {uuid, storage_path, content_hash}
+ * @param {Date} [now] - Check time
+ * @returns {Promise<Object>} {uuid, status, message, checked, verified}; status null when there was nothing to check
+ */
+const verify_record = async (record, now = new Date()) => {
+
+    const result = await check_file(record);
+
+    if (!result.status) {
+        return { uuid: record.uuid, ...result, checked: null, verified: record.fixity_verified || null };
+    }
+
+    const passed = result.status === FIXITY_STATUS.OK;
+
+    await media_task.update_fixity(record.uuid, {
+        fixity_status: result.status,
+        fixity_message: result.message ? result.message.substring(0, MAX_MESSAGE_LENGTH) : null,
+        fixity_checked: now,
+        ...(passed ? { fixity_verified: now } : {})
+    });
+
+    if (!passed) {
+        LOGGER.module().warn(`WARNING: [/media-library/fixity-service (verify_record)] Fixity ${result.status} for ${record.uuid}: ${result.message}`);
+    }
+
+    return {
+        uuid: record.uuid,
+        ...result,
+        checked: now,
+        verified: passed ? now : record.fixity_verified || null
+    };
+};
+
+/**
+ * Checks every uploaded original that has a recorded checksum, least
+ * recently checked first
+ * @param {Object} [options={}]
+ * @param {number} [options.limit] - Check at most this many files
+ * @param {number} [options.max_age_days] - Only check files not checked within this many days
+ * @param {Function} [options.on_result] - (record, result) => void, called after each file
+ * @returns {Promise<Object>} Counts: {checked, ok, missing, changed, unreadable, errors}
+ */
+const run_audit = async (options = {}) => {
+
+    const stats = { checked: 0, ok: 0, missing: 0, changed: 0, unreadable: 0, errors: 0 };
+
+    const checked_before = options.max_age_days
+        ? new Date(Date.now() - options.max_age_days * 24 * 60 * 60 * 1000)
+        : null;
+
+    const records = await media_task.get_fixity_candidates({ limit: options.limit, checked_before });
+
+    for (const record of records) {
+
+        let result;
+
+        try {
+            result = await verify_record(record);
+        } catch (error) {
+            // The check itself ran; only recording it failed
+            stats.errors++;
+            LOGGER.module().error(`ERROR: [/media-library/fixity-service (run_audit)] Unable to record fixity for ${record.uuid}: ${error.message}`);
+            continue;
+        }
+
+        stats.checked++;
+        stats[result.status]++;
+
+        if (typeof options.on_result === 'function') {
+            options.on_result(record, result);
+        }
+    }
+
+    return stats;
+};
+
+// ---------------------------------------------------------------------------
+// Dashboard
+// ---------------------------------------------------------------------------
+
+/**
+ * Gets the fixity summary and a page of failures, most recently checked first
+ * @param {Object} query - Request query: page, page_size, status (one failure status)
+ * @returns {Promise<Object>} {success, message, data: {summary, failures, total, page, page_size}, status}
+ */
+exports.get_fixity_report = async (query = {}) => {
+
+    try {
+
+        const page = query.page === undefined ? 1 : Number(query.page);
+        const page_size = query.page_size === undefined ? DEFAULT_PAGE_SIZE : Number(query.page_size);
+
+        if (!Number.isInteger(page) || page < 1) {
+            return build_response(false, 'page must be a positive integer', { data: null, status: 400 });
+        }
+
+        if (!Number.isInteger(page_size) || page_size < 1 || page_size > MAX_PAGE_SIZE) {
+            return build_response(false, `page_size must be between 1 and ${MAX_PAGE_SIZE}`, { data: null, status: 400 });
+        }
+
+        let statuses = FAILURE_STATUSES;
+
+        if (query.status !== undefined && query.status !== '') {
+
+            if (!FAILURE_STATUSES.includes(query.status)) {
+                return build_response(false, `status must be one of ${FAILURE_STATUSES.join(', ')}`, { data: null, status: 400 });
+            }
+
+            statuses = [query.status];
+        }
+
+        const summary = await media_task.get_fixity_summary();
+        const { rows, total } = await media_task.get_fixity_failures(statuses, page_size, (page - 1) * page_size);
+
+        return build_response(true, 'Fixity report retrieved', {
+            data: { summary, failures: rows, total, page, page_size },
+            status: 200
+        });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/media-library/fixity-service (get_fixity_report)] ${error.message}`);
+        return build_response(false, 'Error retrieving fixity report: ' + error.message, { data: null, status: 500 });
+    }
+};
+
+/**
+ * Re-checks the stored original of one media record now, e.g. after a
+ * missing file has been restored
+ * @param {string} media_id - Media record UUID
+ * @returns {Promise<Object>} {success, message, data: check result, status}
+ */
+exports.verify_media = async (media_id) => {
+
+    try {
+
+        if (!is_valid_uuid(media_id)) {
+            return build_response(false, 'Invalid media ID format', { data: null, status: 400 });
+        }
+
+        const found = await media_task.get_media_record(media_id);
+        const record = found?.record;
+
+        if (!record) {
+            return build_response(false, 'Media record not found', { data: null, status: 404 });
+        }
+
+        if (record.ingest_method !== 'upload' || !record.storage_path) {
+            return build_response(false, 'Only uploaded media has a stored file to check', { data: null, status: 400 });
+        }
+
+        if (!record.content_hash) {
+            return build_response(false, 'No checksum is recorded for this file (see tools/backfill-media-hashes.js)', { data: null, status: 409 });
+        }
+
+        const result = await verify_record(record);
+
+        return build_response(true, result.status === FIXITY_STATUS.OK ? 'File verified' : `Fixity check failed: ${result.status}`, {
+            data: result,
+            status: 200
+        });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/media-library/fixity-service (verify_media)] ${media_id}: ${error.message}`);
+        return build_response(false, 'Error checking file: ' + error.message, { data: null, status: 500 });
+    }
+};
+
+exports.FIXITY_STATUS = FIXITY_STATUS;
+exports.FAILURE_STATUSES = FAILURE_STATUSES;
+exports.baseline = baseline;
+exports.check_file = check_file;
+exports.verify_record = verify_record;
+exports.run_audit = run_audit;
+exports.get_fixity_summary = () => media_task.get_fixity_summary();
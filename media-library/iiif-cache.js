@@ -21,14 +21,15 @@
 /**
  * IIIF derivative cache
  *
- * Stores transcoded IIIF Image API outputs on disk so an identical request is
+ * Stores transcoded IIIF Image API outputs (through the storage adapter, so
+ * on disk or in the bucket alongside the media) so an identical request is
  * served straight from the cache instead of re-reading and re-transcoding the
  * original on every hit (the "IIIF re-reads + re-transcodes originals on every
  * request, no server-side derivative cache" performance finding).
  *
  * Layout (parallels the hash-bucketed media storage):
  *
- *   <STORAGE_PATH>/iiif_cache/<b1>/<b2>/<uuid>/<version>/<variant>.<ext>
+ *   iiif_cache/<b1>/<b2>/<uuid>/<version>/<variant>.<ext>
  *
  *   - <b1>/<b2>  : first two / next two hex chars of the UUID (even spread)
  *   - <uuid>     : the media record UUID — so every derivative of one record
@@ -48,24 +49,21 @@
  * normal transcode and never fails the request.
  */
 
-const fs = require('fs');
-const fsp = fs.promises;
 const path = require('path');
 const crypto = require('crypto');
+const STORAGE = require('./storage-adapter')();
 const LOGGER = require('../libs/log4');
 
-const storage_config = require('./storage_config')();
-const STORAGE_PATH = storage_config.storage_path;
-const PERMISSIONS = storage_config.permissions || { file: 0o640, directory: 0o750 };
-
-// Name of the cache subtree under STORAGE_PATH. Exported so the orphaned-file
+// Name of the cache subtree in storage. Exported so the orphaned-file
 // cleanup task can locate and sweep it.
 const CACHE_DIR_NAME = 'iiif_cache';
-const CACHE_ROOT = path.join(STORAGE_PATH, CACHE_DIR_NAME);
 
 // IIIF output format -> file extension (mirrors SUPPORTED_FORMATS in iiif-service)
 const FORMAT_EXTENSIONS = { jpg: 'jpg', jpeg: 'jpg', png: 'png', webp: 'webp' };
 
+// Content types the derivatives are stored with
+const CONTENT_TYPES = { jpg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+
 /**
  * First two / next two hex characters of a UUID (hyphens stripped), used as
  * two levels of bucket directories. Mirrors uploads.get_hash_buckets().
@@ -125,15 +123,38 @@ const format_extension = (quality_format) => {
 };
 
 /**
- * Absolute path of the cached derivative for a (uuid, version, params) tuple.
- * @returns {string} Absolute cache file path
+ * Storage key of the directory holding every cached derivative of a UUID
+ * @param {string} uuid - Media record UUID
+ * @returns {string} Relative directory path
  */
-const derivative_path = (uuid, version, region, size, rotation, quality_format) => {
+const uuid_directory = (uuid) => {
     const [bucket1, bucket2] = get_hash_buckets(uuid);
+    return path.posix.join(CACHE_DIR_NAME, bucket1, bucket2, uuid);
+};
+
+/**
+ * Storage key of the cached derivative for a (uuid, version, params) tuple.
+ * @returns {string} Relative cache file path
+ */
+const derivative_path = (uuid, version, region, size, rotation, quality_format) => {
     const v = normalize_version(version);
     const variant = variant_digest(region, size, rotation, quality_format);
     const ext = format_extension(quality_format);
-    return path.join(CACHE_ROOT, bucket1, bucket2, uuid, v, `${variant}.${ext}`);
+    return path.posix.join(uuid_directory(uuid), v, `${variant}.${ext}`);
+};
+
+/**
+ * Storage key of the copy of a record's original that is served in its place
+ * with embedded metadata stripped (see exif-privacy.js). Versioned like the
+ * derivatives, so an updated record never gets a stale copy.
+ * @param {string} uuid - Media record UUID
+ * @param {string|number|Date|null} version - Record `updated` value
+ * @param {string} variant - Digest of the tags kept in the copy
+ * @param {string} extension - Extension of the original, with its dot
+ * @returns {string} Relative cache file path
+ */
+const served_copy_path = (uuid, version, variant, extension) => {
+    return path.posix.join(uuid_directory(uuid), normalize_version(version), `served-${variant}${extension}`);
 };
 
 /**
@@ -154,8 +175,7 @@ const compute_etag = (uuid, version, region, size, rotation, quality_format) =>
 const get_cached = async (uuid, version, region, size, rotation, quality_format) => {
 
     try {
-        const file = derivative_path(uuid, version, region, size, rotation, quality_format);
-        return await fsp.readFile(file);
+        return await STORAGE.get(derivative_path(uuid, version, region, size, rotation, quality_format));
     } catch (error) {
         if (error.code !== 'ENOENT') {
             LOGGER.module().warn(`WARNING: [/media-library/iiif-cache (get_cached)] Read failed for ${uuid}: ${error.message}`);
@@ -165,8 +185,9 @@ const get_cached = async (uuid, version, region, size, rotation, quality_format)
 };
 
 /**
- * Writes a derivative to the cache atomically (temp file + rename), creating
- * bucket directories as needed. Best-effort: returns false instead of throwing.
+ * Writes a derivative to the cache. Storage writes replace atomically, so a
+ * concurrent reader never observes a partially written derivative.
+ * Best-effort: returns false instead of throwing.
  * @param {Buffer} buffer - Transcoded image bytes
  * @returns {Promise<boolean>} True if the derivative was written
  */
@@ -176,19 +197,12 @@ const put_cached = async (uuid, version, region, size, rotation, quality_format,
         return false;
     }
 
-    const file = derivative_path(uuid, version, region, size, rotation, quality_format);
-    const dir = path.dirname(file);
-
     try {
 
-        await fsp.mkdir(dir, { recursive: true, mode: PERMISSIONS.directory });
+        await STORAGE.put(derivative_path(uuid, version, region, size, rotation, quality_format), buffer, {
+            content_type: CONTENT_TYPES[format_extension(quality_format)] || 'application/octet-stream'
+        });
 
-        // Atomic publish: write a unique temp file in the same directory (same
-        // filesystem) then rename over the final path, so a concurrent reader
-        // never observes a partially written derivative.
-        const tmp = path.join(dir, `.tmp-${crypto.randomBytes(8).toString('hex')}`);
-        await fsp.writeFile(tmp, buffer, { mode: PERMISSIONS.file });
-        await fsp.rename(tmp, file);
         return true;
 
     } catch (error) {
@@ -207,9 +221,7 @@ const put_cached = async (uuid, version, region, size, rotation, quality_format,
 const purge = async (uuid) => {
 
     try {
-        const [bucket1, bucket2] = get_hash_buckets(uuid);
-        const dir = path.join(CACHE_ROOT, bucket1, bucket2, uuid);
-        await fsp.rm(dir, { recursive: true, force: true });
+        await STORAGE.delete_prefix(uuid_directory(uuid));
         return true;
     } catch (error) {
         LOGGER.module().warn(`WARNING: [/media-library/iiif-cache (purge)] Purge failed for ${uuid}: ${error.message}`);
@@ -219,12 +231,13 @@ const purge = async (uuid) => {
 
 module.exports = {
     CACHE_DIR_NAME,
-    CACHE_ROOT,
     get_cached,
     put_cached,
     purge,
     compute_etag,
     derivative_path,
+    served_copy_path,
+    uuid_directory,
     variant_digest,
     normalize_version,
     get_hash_buckets
@@ -18,16 +18,23 @@
 
 'use strict';
 
-const FS = require('fs');
 // const PATH = require('path');
 const SHARP = require('sharp');
+const DB = require('../config/db_config')();
+const DB_TABLES = require('../config/db_tables_config')();
 const MEDIA_MODEL = require('../media-library/model');
+const EXHIBIT_MANIFEST_TASKS = require('../exhibits/tasks/exhibit_manifest_tasks');
 const UPLOADS = require('../media-library/uploads');
+const STORAGE = require('../media-library/storage-adapter')();
 const IIIF_CACHE = require('../media-library/iiif-cache');
+const EXIF_PRIVACY = require('../media-library/exif-privacy');
+const STORAGE_CONFIG = require('../media-library/storage_config')();
 const APP_CONFIG = require('../config/app_config')();
 const KALTURA_CONFIG = require('../config/kaltura_config')();
 const LOGGER = require('../libs/log4');
 
+const manifest_task = new EXHIBIT_MANIFEST_TASKS(DB, DB_TABLES.exhibits);
+
 // ---------------------------------------------------------------------------
 // Configuration
 // ---------------------------------------------------------------------------
@@ -38,6 +45,18 @@ const IIIF_PRESENTATION_CONTEXT = 'http://iiif.io/api/presentation/3/context.jso
 // IIIF Image API 3.0 context
 const IIIF_IMAGE_CONTEXT = 'http://iiif.io/api/image/3/context.json';
 
+// IIIF Content Search API 2.0 context
+const IIIF_SEARCH_CONTEXT = 'http://iiif.io/api/search/2/context.json';
+
+// Content Search: most hits returned for one query, and the characters of
+// surrounding text kept either side of a hit
+const SEARCH_MAX_HITS = 100;
+const SEARCH_CONTEXT_CHARS = 50;
+
+// Content Search request parameters this service does not filter on; they are
+// echoed back under `ignored` as the spec requires
+const SEARCH_IGNORED_PARAMS = ['motivation', 'date', 'user'];
+
 // Default attribution for requiredStatement
 const DEFAULT_ATTRIBUTION = 'University of Denver';
 
@@ -51,6 +70,26 @@ const SUPPORTED_FORMATS = {
 // Default JPEG quality for IIIF image responses
 const IIIF_IMAGE_QUALITY = 80;
 
+// Supported qualities (Level 2 requires bitonal alongside color and gray)
+const SUPPORTED_QUALITIES = ['default', 'color', 'gray', 'bitonal'];
+
+// Gray level at or above which a bitonal pixel is white
+const BITONAL_THRESHOLD = 128;
+
+// Features supported beyond what the level 2 profile already implies
+// (region by pixels/percent, the size forms, rotation by 90s)
+const IIIF_EXTRA_FEATURES = ['mirroring', 'sizeUpscaling'];
+
+// Tile edge advertised in info.json; matches the tiles of the pyramidal
+// derivative written at upload (IIIF_TILE_SIZE)
+const IIIF_TILE_SIZE = STORAGE_CONFIG.pyramid.tile_size;
+
+// Request parameter grammars (IIIF Image API 3.0 §4)
+const REGION_PX_PATTERN = /^(\d+),(\d+),(\d+),(\d+)$/;
+const REGION_PCT_PATTERN = /^pct:(\d+(?:\.\d+)?),(\d+(?:\.\d+)?),(\d+(?:\.\d+)?),(\d+(?:\.\d+)?)$/;
+const SIZE_PATTERN = /^(\^)?(?:(max|full)|pct:(\d+(?:\.\d+)?)|(!)?(\d+)?,(\d+)?)$/;
+const ROTATION_PATTERN = /^(!)?(\d+)$/;
+
 // OWASP A04 (H3) — cap the requested IIIF output dimensions. A request such as
 // `/iiif/{uuid}/full/!50000,50000/0/default.jpg` would otherwise ask Sharp for a
 // huge allocation and let an attacker cache-bust the derivative store with an
@@ -291,9 +330,8 @@ const build_metadata_pairs = (record) => {
 
         try {
 
-            const exif = typeof record.exif_data === 'string'
-                ? JSON.parse(record.exif_data)
-                : record.exif_data;
+            // Only what the record's privacy policy publishes (exif-privacy.js)
+            const exif = EXIF_PRIVACY.public_metadata(record);
 
             // Camera info
             const camera_parts = [exif.Make, exif.Model].filter(Boolean);
@@ -411,7 +449,7 @@ const build_image_canvas = (record, canvas_id, base_url) => {
                     service: [{
                         id: `${base_url}/${record.uuid}`,
                         type: 'ImageService3',
-                        profile: 'level1'
+                        profile: 'level2'
                     }]
                 },
                 target: canvas_id
@@ -665,6 +703,14 @@ const build_manifest = (record, base_url, file_base) => {
         manifest.thumbnail = [thumbnail];
     }
 
+    // PDFs with a text layer can be searched from the viewer
+    if (canvas_type === 'pdf' && parse_full_text(record)) {
+        manifest.service = [{
+            id: `${base_url}/${record.uuid}/search`,
+            type: 'SearchService2'
+        }];
+    }
+
     return manifest;
 };
 
@@ -724,13 +770,439 @@ exports.build_manifest_for_uuid = async function (uuid, base_url, file_base) {
     }
 };
 
+// ---------------------------------------------------------------------------
+// IIIF Content Search API 2.0 — PDF full text
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads a media record's extracted PDF text (the `full_text` JSON array)
+ * @param {Object} record - Media library DB record
+ * @returns {Array<string>|null} Page texts (index 0 = page 1), or null when
+ *   there is no usable text
+ */
+const parse_full_text = (record) => {
+
+    if (!record || !record.full_text) {
+        return null;
+    }
+
+    try {
+        const pages = typeof record.full_text === 'string' ? JSON.parse(record.full_text) : record.full_text;
+        return Array.isArray(pages) && pages.some((page) => typeof page === 'string' && page !== '') ? pages : null;
+    } catch (error) {
+        LOGGER.module().warn(`WARNING: [/media-library/iiif-service (parse_full_text)] Unparseable full_text for ${record.uuid}: ${error.message}`);
+        return null;
+    }
+};
+
+/**
+ * Finds every occurrence of the query's terms in the page texts,
+ * case-insensitively, in page then reading order
+ * @param {Array<string>} pages - Page texts
+ * @param {string} query - Space-separated search terms
+ * @returns {Array<Object>} Hits ({page, prefix, exact, suffix}), at most SEARCH_MAX_HITS
+ */
+const find_text_hits = (pages, query) => {
+
+    const terms = [...new Set(query.toLowerCase().split(/\s+/).filter(Boolean))];
+    const pattern = new RegExp(terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'gi');
+    const hits = [];
+
+    for (let index = 0; index < pages.length && hits.length < SEARCH_MAX_HITS; index++) {
+
+        const text = typeof pages[index] === 'string' ? pages[index] : '';
+
+        for (const match of text.matchAll(pattern)) {
+
+            const start = match.index;
+            const end = start + match[0].length;
+
+            hits.push({
+                page: index + 1,
+                prefix: text.slice(Math.max(0, start - SEARCH_CONTEXT_CHARS), start),
+                exact: match[0],
+                suffix: text.slice(end, end + SEARCH_CONTEXT_CHARS)
+            });
+
+            if (hits.length >= SEARCH_MAX_HITS) {
+                break;
+            }
+        }
+    }
+
+    return hits;
+};
+
+/**
+ * Searches the text of an uploaded PDF and answers with a IIIF Content Search
+ * 2.0 AnnotationPage. Each hit is a supplementing annotation carrying the
+ * matched passage, targeting the manifest's canvas at the page it was found on
+ * (an RFC 3778 `page=N` fragment, since the whole PDF is one canvas), plus a
+ * highlighting annotation that marks the matched words within that passage.
+ * @param {string} uuid - Media record UUID
+ * @param {Object} params - Request query parameters (q, and any of motivation/date/user)
+ * @param {string} base_url - IIIF base URL (e.g., https://host/path/iiif)
+ * @returns {Promise<Object>} Result object with the search response
+ */
+exports.search_full_text = async function (uuid, params, base_url) {
+
+    try {
+
+        if (!is_valid_uuid(uuid)) {
+            return build_response(false, 'Invalid UUID format', { results: null, status: 400 });
+        }
+
+        const query = typeof params?.q === 'string' ? params.q.trim() : '';
+
+        if (query === '') {
+            return build_response(false, 'A search query (q) is required', { results: null, status: 400 });
+        }
+
+        const result = await MEDIA_MODEL.get_media_record(uuid);
+
+        if (!result || !result.success || !result.record) {
+            return build_response(false, 'Media record not found', { results: null, status: 404 });
+        }
+
+        const pages = parse_full_text(result.record);
+
+        if (!pages) {
+            return build_response(false, 'No searchable text for this media record', { results: null, status: 404 });
+        }
+
+        const service_id = `${base_url}/${uuid}/search`;
+        const canvas_id = `${base_url}/${uuid}/manifest/canvas/1`;
+        const hits = find_text_hits(pages, query);
+
+        const results = {
+            '@context': IIIF_SEARCH_CONTEXT,
+            id: `${service_id}?q=${encodeURIComponent(query)}`,
+            type: 'AnnotationPage',
+            items: hits.map((hit, index) => ({
+                id: `${service_id}/annotation/${index + 1}`,
+                type: 'Annotation',
+                motivation: 'supplementing',
+                body: {
+                    type: 'TextualBody',
+                    value: `${hit.prefix}${hit.exact}${hit.suffix}`,
+                    format: 'text/plain'
+                },
+                target: {
+                    type: 'SpecificResource',
+                    source: canvas_id,
+                    selector: {
+                        type: 'FragmentSelector',
+                        conformsTo: 'http://tools.ietf.org/rfc/rfc3778',
+                        value: `page=${hit.page}`
+                    }
+                }
+            }))
+        };
+
+        if (hits.length > 0) {
+            results.annotations = [{
+                type: 'AnnotationPage',
+                items: hits.map((hit, index) => ({
+                    id: `${service_id}/match/${index + 1}`,
+                    type: 'Annotation',
+                    motivation: 'highlighting',
+                    target: {
+                        type: 'SpecificResource',
+                        source: `${service_id}/annotation/${index + 1}`,
+                        selector: [{
+                            type: 'TextQuoteSelector',
+                            prefix: hit.prefix,
+                            exact: hit.exact,
+                            suffix: hit.suffix
+                        }]
+                    }
+                }))
+            }];
+        }
+
+        const ignored = SEARCH_IGNORED_PARAMS.filter((name) => params[name] !== undefined);
+
+        if (ignored.length > 0) {
+            results.ignored = ignored;
+        }
+
+        return build_response(true, 'Search complete', { results });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/media-library/iiif-service (search_full_text)] ${error.message}`, {
+            uuid,
+            stack: error.stack
+        });
+        return build_response(false, 'Error searching text: ' + error.message, { results: null, status: 500 });
+    }
+};
+
+// ---------------------------------------------------------------------------
+// IIIF Presentation API — Exhibit manifest (on-demand)
+// ---------------------------------------------------------------------------
+
+/**
+ * Reduces an exhibit text field (titles, captions and headings may hold
+ * markup or sanitizer-encoded entities) to plain text for a IIIF label
+ * @param {string|null} value - Field value
+ * @returns {string} Plain text, or '' when there is none
+ */
+const to_plain_text = (value) => {
+
+    if (!value || typeof value !== 'string') {
+        return '';
+    }
+
+    return decode_html_entities(value)
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+};
+
+/**
+ * Whether a media library record can be painted on a canvas: the same ingest
+ * methods and media types build_manifest_for_uuid accepts
+ * @param {Object} record - Media library DB record
+ * @returns {boolean}
+ */
+const is_canvas_media = (record) => {
+    return (record.ingest_method === 'upload' || record.ingest_method === 'kaltura') &&
+        SUPPORTED_MEDIA_TYPES.includes(normalize_media_type(record.media_type));
+};
+
+/**
+ * Builds the canvas for one exhibit item from its media library record,
+ * labelled with the item's title and summarised by its caption rather than
+ * the media record's own name and description
+ * @param {Object} item - Standard, grid or timeline item row
+ * @param {Object} record - Media library record the item points at
+ * @param {string} canvas_id - Canvas URI
+ * @param {string} base_url - IIIF base URL
+ * @param {string} file_base - File-download base URL
+ * @returns {Object} IIIF canvas object
+ */
+const build_item_canvas = (item, record, canvas_id, base_url, file_base) => {
+
+    const canvas_type = normalize_media_type(record.media_type);
+    let canvas;
+
+    if (canvas_type === 'image') {
+        canvas = build_image_canvas(record, canvas_id, base_url);
+    } else if (canvas_type === 'pdf') {
+        canvas = build_pdf_canvas(record, canvas_id, base_url, file_base);
+    } else if (canvas_type === 'video') {
+        canvas = build_video_canvas(record, canvas_id);
+    } else {
+        canvas = build_audio_canvas(record, canvas_id);
+    }
+
+    canvas.label = { en: [to_plain_text(item.title) || record.name || 'Untitled'] };
+
+    const caption = to_plain_text(item.caption);
+
+    if (caption) {
+        canvas.summary = { en: [caption] };
+    }
+
+    const thumbnail = build_manifest_thumbnail(record, base_url);
+
+    if (thumbnail) {
+        canvas.thumbnail = [thumbnail];
+    }
+
+    return canvas;
+};
+
+/**
+ * Builds a IIIF Presentation 3.0 manifest for a whole exhibit: one canvas per
+ * published item with media, in exhibit order, and a table of contents range
+ * in which each heading opens a range holding the entries that follow it, and
+ * each grid or timeline is a range nested where it appears. Items without
+ * media (text-only items) have no canvas; headings and containers left with
+ * nothing to show are dropped.
+ * @param {Object} content - Result of Manifest_tasks.get_published_exhibit
+ * @param {string} base_url - IIIF base URL (e.g., https://host/path/iiif)
+ * @param {string} file_base - File-download base URL (e.g., https://host/path)
+ * @returns {Object} IIIF manifest JSON-LD
+ */
+const build_exhibit_manifest = (content, base_url, file_base) => {
+
+    const exhibit = content.exhibit;
+    const manifest_id = `${base_url}/exhibits/${exhibit.uuid}/manifest`;
+    const media = new Map(content.media.map((record) => [record.uuid, record]));
+    const canvases = [];
+
+    // Adds the item's canvas and returns a reference to it for a range
+    const add_canvas = (item) => {
+
+        const record = media.get(item.media_uuid);
+
+        if (!record || !is_canvas_media(record)) {
+            return null;
+        }
+
+        const canvas = build_item_canvas(item, record, `${manifest_id}/canvas/${item.uuid}`, base_url, file_base);
+        canvases.push(canvas);
+
+        return { id: canvas.id, type: 'Canvas' };
+    };
+
+    const build_range = (uuid, label, items) => ({
+        id: `${manifest_id}/range/${uuid}`,
+        type: 'Range',
+        label: { en: [label] },
+        items
+    });
+
+    const by_order = (a, b) => (a.order || 0) - (b.order || 0);
+
+    const children_of = (rows, column) => {
+        const groups = new Map();
+        rows.forEach((row) => {
+            groups.set(row[column], [...(groups.get(row[column]) || []), row]);
+        });
+        groups.forEach((group) => group.sort(by_order));
+        return groups;
+    };
+
+    const grid_items = children_of(content.grid_items, 'is_member_of_grid');
+    const timeline_items = children_of(content.timeline_items, 'is_member_of_timeline');
+
+    const entries = [
+        ...content.headings.map((record) => ({ kind: 'heading', record })),
+        ...content.items.map((record) => ({ kind: 'item', record })),
+        ...content.grids.map((record) => ({ kind: 'grid', record })),
+        ...content.timelines.map((record) => ({ kind: 'timeline', record }))
+    ].sort((a, b) => by_order(a.record, b.record));
+
+    const contents = [];
+    let section = null;
+
+    for (const { kind, record } of entries) {
+
+        if (kind === 'heading') {
+            section = build_range(record.uuid, to_plain_text(record.text) || 'Section', []);
+            contents.push(section);
+            continue;
+        }
+
+        let node = null;
+
+        if (kind === 'item') {
+            node = add_canvas(record);
+        } else {
+
+            const children = (kind === 'grid' ? grid_items : timeline_items).get(record.uuid) || [];
+            const refs = children.map(add_canvas).filter(Boolean);
+
+            if (refs.length > 0) {
+                node = build_range(record.uuid, to_plain_text(record.title) || (kind === 'grid' ? 'Grid' : 'Timeline'), refs);
+            }
+        }
+
+        if (node) {
+            (section ? section.items : contents).push(node);
+        }
+    }
+
+    const manifest = {
+        '@context': IIIF_PRESENTATION_CONTEXT,
+        id: manifest_id,
+        type: 'Manifest',
+        label: { en: [to_plain_text(exhibit.title) || 'Untitled exhibit'] },
+        requiredStatement: {
+            label: { en: ['Attribution'] },
+            value: { en: [DEFAULT_ATTRIBUTION] }
+        },
+        items: canvases
+    };
+
+    const summary = to_plain_text(exhibit.description) || to_plain_text(exhibit.subtitle);
+
+    if (summary) {
+        manifest.summary = { en: [summary] };
+    }
+
+    const table_of_contents = contents.filter((node) => node.type !== 'Range' || node.items.length > 0);
+
+    if (table_of_contents.length > 0) {
+        manifest.structures = [build_range('toc', manifest.label.en[0], table_of_contents)];
+    }
+
+    const cover = media.get(exhibit.thumbnail_media_uuid) || media.get(exhibit.hero_image_media_uuid);
+    const thumbnail = cover ? build_manifest_thumbnail(cover, base_url) : null;
+
+    if (thumbnail) {
+        manifest.thumbnail = [thumbnail];
+    }
+
+    return manifest;
+};
+
+/**
+ * Builds the IIIF manifest for a published exhibit on demand from the live
+ * DB rows, for opening the exhibit in Mirador or Universal Viewer and for
+ * harvesting by IIIF aggregators. Unpublished exhibits are reported as not
+ * found, since the endpoint is public.
+ * @param {string} uuid - Exhibit UUID
+ * @param {string} base_url - IIIF base URL (e.g., https://host/path/iiif)
+ * @param {string} file_base - File-download base URL (e.g., https://host/path)
+ * @returns {Promise<Object>} Result object with manifest data
+ */
+exports.build_manifest_for_exhibit = async function (uuid, base_url, file_base) {
+
+    try {
+
+        if (!is_valid_uuid(uuid)) {
+            return build_response(false, 'Invalid UUID format', { manifest: null, status: 400 });
+        }
+
+        const content = await manifest_task.get_published_exhibit(uuid);
+
+        if (!content) {
+            return build_response(false, 'Exhibit not found', { manifest: null, status: 404 });
+        }
+
+        const manifest = build_exhibit_manifest(content, base_url, file_base);
+
+        return build_response(true, 'Exhibit manifest built', { manifest });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/media-library/iiif-service (build_manifest_for_exhibit)] ${error.message}`, {
+            uuid,
+            stack: error.stack
+        });
+        return build_response(false, 'Error building exhibit manifest: ' + error.message, { manifest: null, status: 500 });
+    }
+};
+
 // ---------------------------------------------------------------------------
 // IIIF Image API 3.0 — info.json
 // ---------------------------------------------------------------------------
 
+/**
+ * Lists the scale factors of the tile pyramid for an image: powers of two from
+ * full resolution down to the first level that fits in a single tile. These
+ * match the levels of the pyramidal derivative written at upload.
+ * @param {number} width - Full image width
+ * @param {number} height - Full image height
+ * @returns {number[]} Scale factors, e.g. [1, 2, 4, 8]
+ */
+const get_scale_factors = (width, height) => {
+
+    const factors = [1];
+
+    while (Math.max(width, height) / factors[factors.length - 1] > IIIF_TILE_SIZE) {
+        factors.push(factors[factors.length - 1] * 2);
+    }
+
+    return factors;
+};
+
 /**
  * Builds the IIIF Image API 3.0 info.json response for a media record
- * Provides image dimensions, supported formats, and service profile
+ * Provides image dimensions, the tile grid and preferred sizes, supported
+ * formats and qualities, and the level 2 service profile
  * @param {string} uuid - Media record UUID
  * @param {string} base_url - IIIF base URL (e.g., https://host/path/iiif)
  * @returns {Promise<Object>} Result object with info.json data
@@ -755,19 +1227,35 @@ exports.get_info = async function (uuid, base_url) {
         const record = result.record;
         const width = record.media_width || 800;
         const height = record.media_height || 600;
+        const scale_factors = get_scale_factors(width, height);
+
+        // Whole-image sizes at each pyramid level, smallest first; sizes over
+        // the output cap are left out since requesting them would be refused
+        const sizes = scale_factors
+            .map((factor) => ({ width: Math.ceil(width / factor), height: Math.ceil(height / factor) }))
+            .filter((entry) => entry.width <= IIIF_MAX_DIMENSION && entry.height <= IIIF_MAX_DIMENSION)
+            .reverse();
 
         const info = {
             '@context': IIIF_IMAGE_CONTEXT,
             id: `${base_url}/${uuid}`,
             type: 'ImageService3',
             protocol: 'http://iiif.io/api/image',
-            profile: 'level1',
+            profile: 'level2',
             width: width,
             height: height,
             maxWidth: width,
             maxHeight: height,
+            sizes: sizes,
+            tiles: [{
+                width: IIIF_TILE_SIZE,
+                height: IIIF_TILE_SIZE,
+                scaleFactors: scale_factors
+            }],
             preferredFormats: ['jpg'],
-            extraFormats: ['png', 'webp']
+            extraFormats: ['png', 'webp'],
+            extraQualities: ['color', 'gray', 'bitonal'],
+            extraFeatures: IIIF_EXTRA_FEATURES
         };
 
         return build_response(true, 'Image info retrieved successfully', { info });
@@ -787,13 +1275,12 @@ exports.get_info = async function (uuid, base_url) {
 
 /**
  * Resolves the source image buffer for a media record
- * For uploaded images: reads from local hash-bucketed storage
+ * For uploaded images: reads the stored original
  * For uploaded PDFs: reads the generated thumbnail
  *
- * Reads are asynchronous (FS.promises.readFile) so a large original never
- * blocks the event loop the way the previous synchronous readFileSync did.
- * Only reached on a cache miss — a cached derivative is served without ever
- * touching the original.
+ * Reads go through the storage adapter, so the source may be on local disk
+ * or in an S3-compatible bucket. Only reached on a cache miss — a cached
+ * derivative is served without ever touching the original.
  *
  * @param {Object} record - Media library DB record
  * @returns {Promise<Buffer|null>} Image buffer or null
@@ -804,32 +1291,17 @@ const resolve_image_source = async (record) => {
 
         // For images: use the full-size stored file
         if (record.media_type === 'image' && record.storage_path) {
-
-            const resolved_path = await UPLOADS.resolve_storage_path(
-                decode_html_entities(record.storage_path)
-            );
-
-            return await FS.promises.readFile(resolved_path);
+            return await STORAGE.get(decode_html_entities(record.storage_path));
         }
 
         // For PDFs: use the generated thumbnail (first page preview)
         if (record.media_type === 'pdf' && record.thumbnail_path) {
-
-            const resolved_path = await UPLOADS.resolve_storage_path(
-                decode_html_entities(record.thumbnail_path)
-            );
-
-            return await FS.promises.readFile(resolved_path);
+            return await STORAGE.get(decode_html_entities(record.thumbnail_path));
         }
 
         // Fallback: try thumbnail_path for any type that has one
         if (record.thumbnail_path) {
-
-            const resolved_path = await UPLOADS.resolve_storage_path(
-                decode_html_entities(record.thumbnail_path)
-            );
-
-            return await FS.promises.readFile(resolved_path);
+            return await STORAGE.get(decode_html_entities(record.thumbnail_path));
         }
 
         return null;
@@ -840,23 +1312,68 @@ const resolve_image_source = async (record) => {
     }
 };
 
+/**
+ * Resolves the pyramidal derivative written next to an uploaded image
+ * (UPLOADS.generate_image_pyramid). Images uploaded before pyramids existed,
+ * images small enough to fit one tile, and anything on object storage (tiles
+ * are read from the file in place) have none; callers then fall back to the
+ * original.
+ *
+ * @param {Object} record - Media library DB record
+ * @returns {Promise<Object|null>} { path, width, height, levels } or null when there is no pyramid
+ */
+const resolve_pyramid_source = async (record) => {
+
+    if (record.media_type !== 'image' || !record.storage_path) {
+        return null;
+    }
+
+    try {
+
+        const pyramid_path = STORAGE.local_path(
+            UPLOADS.build_pyramid_path(decode_html_entities(record.storage_path))
+        );
+
+        if (!pyramid_path) {
+            return null;
+        }
+
+        // A missing pyramid fails here and falls back to the original
+        const metadata = await SHARP(pyramid_path, { limitInputPixels: IIIF_MAX_SOURCE_PIXELS }).metadata();
+
+        return {
+            path: pyramid_path,
+            width: metadata.width,
+            height: metadata.height,
+            levels: metadata.pages || 1
+        };
+
+    } catch (error) {
+        return null;
+    }
+};
+
 /**
  * Parses the IIIF region parameter
  *
- * Supported values (Level 1):
- *   - "full"        → no cropping
- *   - "square"      → center-crop to square
- *   - "x,y,w,h"    → pixel-based region extraction
+ * Supported values (Level 2):
+ *   - "full"            → the whole image
+ *   - "square"          → center-crop to square
+ *   - "x,y,w,h"         → pixel-based region
+ *   - "pct:x,y,w,h"     → region as percentages of the full image
+ *
+ * A region reaching past the right or bottom edge is cropped to the image; one
+ * that starts outside it, or has no area, is invalid.
  *
  * @param {string} region - IIIF region parameter
  * @param {number} source_width - Source image width
  * @param {number} source_height - Source image height
- * @returns {Object|null} Sharp extract options { left, top, width, height } or null for full
+ * @returns {Object|null} Region { left, top, width, height } in source pixels, or null if invalid
  */
 const parse_region = (region, source_width, source_height) => {
 
     if (region === 'full') {
-        return null;
+        return { left: 0, top: 0, width: source_width, height: source_height };
     }
 
     if (region === 'square') {
@@ -866,60 +1383,61 @@ const parse_region = (region, source_width, source_height) => {
         return { left, top, width: size, height: size };
     }
 
-    // Pixel-based: x,y,w,h
-    const parts = region.split(',');
-
-    if (parts.length === 4) {
-
-        const x = parseInt(parts[0], 10);
-        const y = parseInt(parts[1], 10);
-        const w = parseInt(parts[2], 10);
-        const h = parseInt(parts[3], 10);
-
-        if ([x, y, w, h].every(v => Number.isFinite(v) && v >= 0) && w > 0 && h > 0) {
-
-            // Clamp to source dimensions
-            const clamped_x = Math.min(x, source_width - 1);
-            const clamped_y = Math.min(y, source_height - 1);
-            const clamped_w = Math.min(w, source_width - clamped_x);
-            const clamped_h = Math.min(h, source_height - clamped_y);
+    let x;
+    let y;
+    let w;
+    let h;
+
+    const pct = REGION_PCT_PATTERN.exec(region);
+    const px = REGION_PX_PATTERN.exec(region);
+
+    if (pct) {
+        const [pct_x, pct_y, pct_w, pct_h] = pct.slice(1).map(Number);
+        x = Math.round(pct_x * source_width / 100);
+        y = Math.round(pct_y * source_height / 100);
+        w = pct_w > 0 ? Math.max(1, Math.round(pct_w * source_width / 100)) : 0;
+        h = pct_h > 0 ? Math.max(1, Math.round(pct_h * source_height / 100)) : 0;
+    } else if (px) {
+        [x, y, w, h] = px.slice(1).map(Number);
+    } else {
+        return null;
+    }
 
-            return { left: clamped_x, top: clamped_y, width: clamped_w, height: clamped_h };
-        }
+    if (w <= 0 || h <= 0 || x >= source_width || y >= source_height) {
+        return null;
     }
 
-    return null;
+    return {
+        left: x,
+        top: y,
+        width: Math.min(w, source_width - x),
+        height: Math.min(h, source_height - y)
+    };
 };
 
-/**
- * Parses the IIIF size parameter
- *
- * Supported values (Level 1):
- *   - "max"       → original size (no resize)
- *   - "w,"        → scale to width, height proportional
- *   - ",h"        → scale to height, width proportional
- *   - "w,h"       → exact dimensions (may distort)
- *   - "!w,h"      → best fit within w×h (maintains aspect ratio)
- *
- * @param {string} size - IIIF size parameter
- * @returns {Object|null} Sharp resize options or null for max/original
- */
 /**
  * Extracts the explicit output dimensions a size parameter requests, for cap
  * enforcement (OWASP A04/H3). Only the numeric IIIF size forms carry explicit
- * dimensions: "w,", ",h", "w,h", "!w,h". "max"/"full" (and any unparseable
- * value) carry none, so they return { width: null, height: null }.
+ * dimensions: "w,", ",h", "w,h", "!w,h" (each optionally prefixed with "^").
+ * "max"/"full", "pct:n" (and any unparseable value) carry none, so they return
+ * { width: null, height: null } and are checked once the region is known.
  *
  * @param {string} size - IIIF size parameter
  * @returns {{width: (number|null), height: (number|null)}}
  */
 const requested_size_dimensions = (size) => {
 
-    if (typeof size !== 'string' || size === 'max' || size === 'full') {
+    if (typeof size !== 'string') {
         return { width: null, height: null };
     }
 
-    const body = size.startsWith('!') ? size.substring(1) : size;
+    let body = size.startsWith('^') ? size.substring(1) : size;
+
+    if (body === 'max' || body === 'full' || body.startsWith('pct:')) {
+        return { width: null, height: null };
+    }
+
+    body = body.startsWith('!') ? body.substring(1) : body;
     const parts = body.split(',');
 
     if (parts.length !== 2) {
@@ -935,53 +1453,113 @@ const requested_size_dimensions = (size) => {
     };
 };
 
-const parse_size = (size) => {
+/**
+ * Parses the IIIF size parameter against the extracted region
+ *
+ * Supported values (Level 2):
+ *   - "max"       → region size
+ *   - "w,"        → scale to width, height proportional
+ *   - ",h"        → scale to height, width proportional
+ *   - "pct:n"     → scale both dimensions to n percent
+ *   - "w,h"       → exact dimensions (may distort)
+ *   - "!w,h"      → best fit within w×h (maintains aspect ratio)
+ *
+ * Each form may be prefixed with "^" to allow upscaling beyond the region.
+ * Without it the result never exceeds the region: an oversized request is
+ * scaled down to fit, as Sharp's withoutEnlargement did before level 2.
+ *
+ * @param {string} size - IIIF size parameter
+ * @param {number} region_width - Width of the extracted region
+ * @param {number} region_height - Height of the extracted region
+ * @returns {Object|null} { width, height, is_max } output dimensions, or null if invalid
+ */
+const parse_size = (size, region_width, region_height) => {
+
+    const match = SIZE_PATTERN.exec(size);
 
-    if (size === 'max' || size === 'full') {
+    if (!match) {
         return null;
     }
 
-    // Best fit: !w,h
-    if (size.startsWith('!')) {
+    const [, upscale, max, pct, confined, w_param, h_param] = match;
+    let width;
+    let height;
+
+    if (max) {
+        width = region_width;
+        height = region_height;
+    } else if (pct !== undefined) {
 
-        const parts = size.substring(1).split(',');
+        const percent = Number(pct);
 
-        if (parts.length === 2) {
-            const w = parseInt(parts[0], 10);
-            const h = parseInt(parts[1], 10);
+        if (percent <= 0) {
+            return null;
+        }
+
+        width = region_width * percent / 100;
+        height = region_height * percent / 100;
+
+    } else {
+
+        const w = w_param !== undefined ? Number(w_param) : null;
+        const h = h_param !== undefined ? Number(h_param) : null;
+
+        if (w === 0 || h === 0 || (w === null && h === null)) {
+            return null;
+        }
 
-            if (Number.isFinite(w) && Number.isFinite(h) && w > 0 && h > 0) {
-                return { width: w, height: h, fit: 'inside', withoutEnlargement: true };
+        if (confined) {
+
+            if (w === null || h === null) {
+                return null;
             }
+
+            const scale = Math.min(w / region_width, h / region_height);
+            width = region_width * scale;
+            height = region_height * scale;
+
+        } else {
+            width = w !== null ? w : region_width * h / region_height;
+            height = h !== null ? h : region_height * w / region_width;
         }
+    }
 
-        return null;
+    width = Math.max(1, Math.round(width));
+    height = Math.max(1, Math.round(height));
+
+    if (!upscale && (width > region_width || height > region_height)) {
+        const scale = Math.min(region_width / width, region_height / height);
+        width = Math.max(1, Math.round(width * scale));
+        height = Math.max(1, Math.round(height * scale));
     }
 
-    const parts = size.split(',');
+    return { width, height, is_max: Boolean(max) };
+};
 
-    if (parts.length === 2) {
+/**
+ * Parses the IIIF rotation parameter
+ *
+ * Supported values (Level 2): a multiple of 90 between 0 and 360, optionally
+ * prefixed with "!" to mirror the image horizontally before rotating.
+ *
+ * @param {string} rotation - IIIF rotation parameter (e.g. "0", "90", "!180")
+ * @returns {Object|null} { mirror, degrees } or null if invalid
+ */
+const parse_rotation = (rotation) => {
 
-        const w = parts[0] !== '' ? parseInt(parts[0], 10) : null;
-        const h = parts[1] !== '' ? parseInt(parts[1], 10) : null;
+    const match = ROTATION_PATTERN.exec(rotation || '');
 
-        // "w,"  — scale to width
-        if (w && !h && Number.isFinite(w) && w > 0) {
-            return { width: w, withoutEnlargement: true };
-        }
+    if (!match) {
+        return null;
+    }
 
-        // ",h"  — scale to height
-        if (!w && h && Number.isFinite(h) && h > 0) {
-            return { height: h, withoutEnlargement: true };
-        }
+    const degrees = Number(match[2]);
 
-        // "w,h" — exact dimensions
-        if (w && h && Number.isFinite(w) && Number.isFinite(h) && w > 0 && h > 0) {
-            return { width: w, height: h, fit: 'fill', withoutEnlargement: true };
-        }
+    if (degrees % 90 !== 0 || degrees > 360) {
+        return null;
     }
 
-    return null;
+    return { mirror: match[1] === '!', degrees: degrees % 360 };
 };
 
 /**
@@ -990,6 +1568,7 @@ const parse_size = (size) => {
  * Quality:
  *   - "default" or "color" → no transformation
  *   - "gray"               → grayscale conversion
+ *   - "bitonal"            → black and white (threshold at mid-gray)
  *
  * Format:
  *   - "jpg", "png", "webp"
@@ -1013,9 +1592,7 @@ const parse_quality_format = (quality_format) => {
     const format = quality_format.substring(dot_index + 1).toLowerCase();
 
     // Validate quality
-    const valid_qualities = ['default', 'color', 'gray'];
-
-    if (!valid_qualities.includes(quality)) {
+    if (!SUPPORTED_QUALITIES.includes(quality)) {
         return null;
     }
 
@@ -1034,9 +1611,65 @@ const parse_quality_format = (quality_format) => {
     };
 };
 
+/**
+ * Picks the pyramid level to read a region from: the smallest level that is
+ * still at least as detailed as the output, so a zoomed-out tile decodes a few
+ * tiles of a reduced level rather than the full-resolution region.
+ * @param {Object} region - Region in full-resolution pixels
+ * @param {Object} output - Output { width, height }
+ * @param {number} levels - Number of levels in the pyramid (each half the last)
+ * @returns {number} Level index (0 = full resolution)
+ */
+const select_pyramid_level = (region, output, levels) => {
+
+    const scale = Math.min(region.width / output.width, region.height / output.height);
+    let level = 0;
+
+    while (level + 1 < levels && 2 ** (level + 1) <= scale) {
+        level++;
+    }
+
+    return level;
+};
+
+/**
+ * Opens the pyramid level nearest the requested scale and extracts the region
+ * mapped into that level's pixels
+ * @param {Object} pyramid - Result of resolve_pyramid_source
+ * @param {Object} region - Region in full-resolution pixels
+ * @param {Object} output - Output { width, height }
+ * @returns {Promise<Object>} Sharp pipeline positioned at the extracted region
+ */
+const open_pyramid_region = async (pyramid, region, output) => {
+
+    const level = select_pyramid_level(region, output, pyramid.levels);
+    const options = { page: level, limitInputPixels: IIIF_MAX_SOURCE_PIXELS };
+
+    if (level === 0) {
+        return SHARP(pyramid.path, options).extract(region);
+    }
+
+    const level_metadata = await SHARP(pyramid.path, options).metadata();
+    const ratio_x = level_metadata.width / pyramid.width;
+    const ratio_y = level_metadata.height / pyramid.height;
+
+    const left = Math.min(Math.floor(region.left * ratio_x), level_metadata.width - 1);
+    const top = Math.min(Math.floor(region.top * ratio_y), level_metadata.height - 1);
+    const right = Math.min(Math.ceil((region.left + region.width) * ratio_x), level_metadata.width);
+    const bottom = Math.min(Math.ceil((region.top + region.height) * ratio_y), level_metadata.height);
+
+    return SHARP(pyramid.path, options).extract({
+        left,
+        top,
+        width: Math.max(1, right - left),
+        height: Math.max(1, bottom - top)
+    });
+};
+
 /**
  * Processes a IIIF Image API request
- * Applies region extraction, size scaling, and quality/format conversion using Sharp
+ * Applies region extraction, size scaling, mirroring/rotation and
+ * quality/format conversion using Sharp
  *
  * Results are cached on disk keyed by (uuid, record version, region, size,
  * rotation, quality.format): an identical request is served straight from the
@@ -1044,14 +1677,16 @@ const parse_quality_format = (quality_format) => {
  * ETag (derived from the same key) is returned so the caller can answer
  * conditional requests with 304 Not Modified.
  *
- * For uploaded images: reads from local hash-bucketed storage
+ * For uploaded images: reads from the pyramidal derivative when there is one
+ * (only the tiles covering the region, at the nearest level), otherwise from
+ * the original in local hash-bucketed storage
  * For uploaded PDFs: uses the generated thumbnail
  *
  * @param {string} uuid - Media record UUID
- * @param {string} region - IIIF region parameter (full, square, x,y,w,h)
- * @param {string} size - IIIF size parameter (max, w,h, !w,h, w,, ,h)
- * @param {string} rotation - IIIF rotation parameter (0 for Level 1)
- * @param {string} quality_format - IIIF quality.format parameter (default.jpg, gray.png, etc.)
+ * @param {string} region - IIIF region parameter (full, square, x,y,w,h, pct:x,y,w,h)
+ * @param {string} size - IIIF size parameter (max, w,h, !w,h, w,, ,h, pct:n; ^ allows upscaling)
+ * @param {string} rotation - IIIF rotation parameter (multiple of 90; ! mirrors)
+ * @param {string} quality_format - IIIF quality.format parameter (default.jpg, gray.png, bitonal.png, etc.)
  * @param {Object} [options] - Optional request context
  * @param {string} [options.if_none_match] - Client If-None-Match header for conditional requests
  * @returns {Promise<Object>} Result object with image buffer, content type, etag and version
@@ -1074,9 +1709,13 @@ exports.get_image = async function (uuid, region, size, rotation, quality_format
             });
         }
 
-        // Only rotation=0 is supported (Level 1)
-        if (rotation !== '0') {
-            return build_response(false, 'Only rotation value of 0 is supported', { image: null, status: 400 });
+        const rotate = parse_rotation(rotation);
+
+        if (!rotate) {
+            return build_response(false, 'Rotation must be a multiple of 90 between 0 and 360, optionally prefixed with !', {
+                image: null,
+                status: 400
+            });
         }
 
         // H3 (A04) — reject oversized output requests before any source read or
@@ -1115,7 +1754,8 @@ exports.get_image = async function (uuid, region, size, rotation, quality_format
             });
         }
 
-        // Serve from the derivative cache when present (no source read, no transcode)
+        // Serve from the derivative cache when present (no source read, no
+        // transcode) — deep-zoom viewers re-request the same tiles constantly
         const cached = await IIIF_CACHE.get_cached(uuid, version, region, size, rotation, quality_format);
 
         if (cached) {
@@ -1130,43 +1770,87 @@ exports.get_image = async function (uuid, region, size, rotation, quality_format
 
         LOGGER.module().info(`INFO: [/media-library/iiif-service (get_image)] Cache miss — processing IIIF image request: ${uuid}/${region}/${size}/${rotation}/${quality_format}`);
 
-        // Resolve the source image buffer (async — never blocks the event loop)
-        const source_buffer = await resolve_image_source(record);
+        // Prefer the pyramid; otherwise resolve the source buffer (async —
+        // never blocks the event loop)
+        const pyramid = await resolve_pyramid_source(record);
+        let source_buffer = null;
+        let source_width;
+        let source_height;
 
-        if (!source_buffer) {
-            return build_response(false, 'Image source not available', { image: null, status: 404 });
-        }
+        if (pyramid) {
+            source_width = pyramid.width;
+            source_height = pyramid.height;
+        } else {
 
-        // Build the Sharp pipeline. limitInputPixels bounds the source decode
-        // (defense-in-depth for H3 — an oversized source is rejected, not
-        // buffered into memory).
-        let pipeline = SHARP(source_buffer, { limitInputPixels: IIIF_MAX_SOURCE_PIXELS });
+            source_buffer = await resolve_image_source(record);
 
-        // 1. Region extraction — source dimensions are only needed for a
-        //    non-"full" region, so the extra metadata decode is skipped otherwise
-        if (region !== 'full') {
+            if (!source_buffer) {
+                return build_response(false, 'Image source not available', { image: null, status: 404 });
+            }
 
+            // limitInputPixels bounds the source decode (defense-in-depth for
+            // H3 — an oversized source is rejected, not buffered into memory)
             const source_metadata = await SHARP(source_buffer, { limitInputPixels: IIIF_MAX_SOURCE_PIXELS }).metadata();
-            const region_opts = parse_region(region, source_metadata.width, source_metadata.height);
+            source_width = source_metadata.width;
+            source_height = source_metadata.height;
+        }
+
+        // 1. Region and output size, both in full-resolution pixels
+        const region_opts = parse_region(region, source_width, source_height);
+
+        if (!region_opts) {
+            return build_response(false, `Invalid region: ${region}`, { image: null, status: 400 });
+        }
 
-            if (region_opts) {
+        const size_opts = parse_size(size, region_opts.width, region_opts.height);
+
+        if (!size_opts) {
+            return build_response(false, `Invalid size: ${size}`, { image: null, status: 400 });
+        }
+
+        // pct: and ^ forms only resolve to pixels here, so the cap is applied again
+        if (!size_opts.is_max && (size_opts.width > IIIF_MAX_DIMENSION || size_opts.height > IIIF_MAX_DIMENSION)) {
+            return build_response(false, `Requested size exceeds the maximum of ${IIIF_MAX_DIMENSION}px per dimension`, {
+                image: null,
+                status: 400
+            });
+        }
+
+        // 2. Extraction and scaling
+        let pipeline;
+
+        if (pyramid) {
+            pipeline = await open_pyramid_region(pyramid, region_opts, size_opts);
+        } else {
+
+            pipeline = SHARP(source_buffer, { limitInputPixels: IIIF_MAX_SOURCE_PIXELS });
+
+            if (region_opts.width !== source_width || region_opts.height !== source_height) {
                 pipeline = pipeline.extract(region_opts);
             }
         }
 
-        // 2. Size scaling
-        const size_opts = parse_size(size);
+        if (pyramid || size_opts.width !== region_opts.width || size_opts.height !== region_opts.height) {
+            pipeline = pipeline.resize({ width: size_opts.width, height: size_opts.height, fit: 'fill' });
+        }
+
+        // 3. Mirroring, then rotation (Sharp applies flop before rotate, as IIIF requires)
+        if (rotate.mirror) {
+            pipeline = pipeline.flop();
+        }
 
-        if (size_opts) {
-            pipeline = pipeline.resize(size_opts);
+        if (rotate.degrees !== 0) {
+            pipeline = pipeline.rotate(rotate.degrees);
         }
 
-        // 3. Quality (grayscale)
+        // 4. Quality
         if (qf.quality === 'gray') {
             pipeline = pipeline.grayscale();
+        } else if (qf.quality === 'bitonal') {
+            pipeline = pipeline.threshold(BITONAL_THRESHOLD);
         }
 
-        // 4. Output format
+        // 5. Output format
         if (qf.sharp_method === 'jpeg') {
             pipeline = pipeline.flatten({ background: '#ffffff' }).jpeg({ quality: IIIF_IMAGE_QUALITY });
         } else if (qf.sharp_method === 'png') {
@@ -1182,7 +1866,7 @@ exports.get_image = async function (uuid, region, size, rotation, quality_format
         // write failure must never fail the response)
         await IIIF_CACHE.put_cached(uuid, version, region, size, rotation, quality_format, output_buffer);
 
-        LOGGER.module().info(`INFO: [/media-library/iiif-service (get_image)] Image processed successfully for: ${uuid} (${output_buffer.length} bytes)`);
+        LOGGER.module().info(`INFO: [/media-library/iiif-service (get_image)] Image processed successfully for: ${uuid} (${output_buffer.length} bytes${pyramid ? ', from pyramid' : ''})`);
 
         return build_response(true, 'Image processed successfully', {
             image: output_buffer,
@@ -0,0 +1,139 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const INGEST_SERVICE = require('../media-library/ingest-service');
+const LOGGER = require('../libs/log4');
+
+/**
+ * Starts a batch ingest of a zip of images/PDFs with an optional CSV manifest.
+ * Answers 202 with the queued job as soon as the archive has been checked;
+ * the files are processed in the background. can_create_media is enforced by
+ * the route before the upload is spooled.
+ *
+ * POST /api/v1/media/library/ingest  multipart: archive (.zip), manifest (.csv, optional)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.start_media_ingest = async function (req, res) {
+
+    try {
+
+        const files = req.files || {};
+
+        // The job outlives the request, so it keeps only what created_by and
+        // the audit log read from it
+        const actor = {
+            decoded: req.decoded,
+            query: {api_key: req.query?.api_key},
+            ip: req.ip
+        };
+
+        const result = await INGEST_SERVICE.start_ingest({
+            archive: files.archive ? files.archive[0] : null,
+            manifest: files.manifest ? files.manifest[0] : null,
+            actor
+        });
+
+        if (!result || !result.success) {
+            LOGGER.module().warn(`WARNING: [/media-library/ingest-controller (start_media_ingest)] ${result?.message}`);
+            return res.status(result?.status || 500).json({
+                success: false,
+                message: result?.message || 'Unable to start ingest',
+                data: null
+            });
+        }
+
+        return res.status(202).json({
+            success: true,
+            message: result.message,
+            data: result.job
+        });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/media-library/ingest-controller (start_media_ingest)] ${error.message}`);
+        return res.status(500).json({
+            success: false,
+            message: 'Unable to start ingest.',
+            data: null
+        });
+    }
+};
+
+/**
+ * Gets the requesting user's most recent batch ingest jobs
+ *
+ * GET /api/v1/media/library/ingest
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.get_media_ingest_jobs = async function (req, res) {
+
+    try {
+
+        const result = await INGEST_SERVICE.get_jobs(req.decoded?.sub || null);
+
+        return res.status(result.status).json({
+            success: result.success,
+            message: result.message,
+            data: result.jobs
+        });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/media-library/ingest-controller (get_media_ingest_jobs)] ${error.message}`);
+        return res.status(500).json({
+            success: false,
+            message: 'Unable to get ingest jobs.',
+            data: null
+        });
+    }
+};
+
+/**
+ * Gets one of the requesting user's batch ingest jobs with its progress and
+ * per-file results; polled by the media library while a job runs
+ *
+ * GET /api/v1/media/library/ingest/:job_id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.get_media_ingest_job = async function (req, res) {
+
+    try {
+
+        const result = await INGEST_SERVICE.get_job(req.params.job_id, req.decoded?.sub || null);
+
+        return res.status(result.status).json({
+            success: result.success,
+            message: result.message,
+            data: result.job
+        });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/media-library/ingest-controller (get_media_ingest_job)] ${error.message}`);
+        return res.status(500).json({
+            success: false,
+            message: 'Unable to get ingest job.',
+            data: null
+        });
+    }
+};
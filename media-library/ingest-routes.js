@@ -0,0 +1,79 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const OS = require('os');
+const multer = require('multer');
+const CONTROLLER = require('../media-library/ingest-controller');
+const ENDPOINTS = require('../media-library/endpoints')();
+const UPLOADS = require('../media-library/uploads');
+const STORAGE_CONFIG = require('../media-library/storage_config')();
+const TOKEN = require('../libs/tokens');
+const { rate_limits } = require('../config/rate_limits_loader');
+
+// Surface a rejected handler promise to Express' error handling.
+const async_handler = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+// Batch ingest archives can be large, so they are spooled to a temp file that
+// the ingest service reads entry by entry (and removes when the job ends).
+const ingest_upload = multer({
+    dest: OS.tmpdir(),
+    limits: {
+        fileSize: STORAGE_CONFIG.ingest_max,
+        files: 2
+    }
+}).fields([{name: 'archive', maxCount: 1}, {name: 'manifest', maxCount: 1}]);
+
+// Turn multer failures (oversized archive, unexpected field) into a 400.
+const receive_ingest = (req, res, next) => {
+    ingest_upload(req, res, (error) => {
+        if (error) {
+            return res.status(400).json({success: false, message: `Unable to read upload: ${error.message}`, data: null});
+        }
+        next();
+    });
+};
+
+module.exports = function (app) {
+
+    // Batch ingest: start a job from a zip (+ optional CSV manifest), list the
+    // user's recent jobs, and poll one for progress. The permission check runs
+    // before multer so an unauthorized upload is never spooled to disk.
+    // POST /api/v1/media/library/ingest  multipart: archive, manifest?
+    app.route(ENDPOINTS.media_ingest.post.endpoint)
+        .post(
+            rate_limits.media_operations,
+            TOKEN.verify,
+            UPLOADS.require_create_media_permission,
+            receive_ingest,
+            async_handler(CONTROLLER.start_media_ingest)
+        )
+        .get(
+            rate_limits.read_operations,
+            TOKEN.verify,
+            async_handler(CONTROLLER.get_media_ingest_jobs)
+        );
+
+    app.route(ENDPOINTS.media_ingest_job.get.endpoint)
+        .get(
+            rate_limits.read_operations,
+            TOKEN.verify,
+            async_handler(CONTROLLER.get_media_ingest_job)
+        );
+};
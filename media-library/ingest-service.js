@@ -0,0 +1,710 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const FS = require('fs');
+const PATH = require('path');
+const YAUZL = require('yauzl');
+const DB = require('../config/db_config')();
+const DB_TABLES = require('../config/db_tables_config')();
+const MEDIA_MODEL = require('../media-library/model');
+const UPLOADS = require('../media-library/uploads');
+const INGEST_JOB_TASKS = require('../media-library/tasks/media_ingest_job_tasks');
+const AUDIT = require('../audit/model');
+const HELPER = require('../libs/helper');
+const XSS = require('../libs/dom');
+const LOGGER = require('../libs/log4');
+
+const job_task = new INGEST_JOB_TASKS(DB, DB_TABLES.exhibits);
+const helper_task = new HELPER();
+
+// ---------------------------------------------------------------------------
+// Configuration
+// ---------------------------------------------------------------------------
+
+// Most files accepted from one archive
+const MAX_ENTRIES = 1000;
+
+// Largest CSV manifest read into memory
+const MAX_MANIFEST_SIZE = 5 * 1024 * 1024;
+
+// Jobs listed back to a user on the dashboard
+const RECENT_JOBS_LIMIT = 10;
+
+// A queued/running job whose row has not moved for this long was cut off by a
+// restart (progress is written after every file)
+const STALE_AFTER_MS = 15 * 60 * 1000;
+
+// Zip entries carry no MIME type; it follows from the extension and is then
+// checked against the file's leading bytes (see sniff_mime_type)
+const EXTENSION_MIME_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.pdf': 'application/pdf'
+};
+
+// Manifest headers (normalized: lower case, runs of other characters → '_')
+// and the media record field each fills. Subject cells hold one or more terms
+// separated by '|', as the subject widgets submit them.
+const MANIFEST_COLUMNS = {
+    filename: 'filename',
+    file: 'filename',
+    name: 'name',
+    title: 'name',
+    description: 'description',
+    alt_text: 'alt_text',
+    call_number: 'call_number',
+    subjects: 'topics_subjects',
+    topics: 'topics_subjects',
+    topics_subjects: 'topics_subjects',
+    genre_form: 'genre_form_subjects',
+    genre_form_subjects: 'genre_form_subjects',
+    places: 'places_subjects',
+    places_subjects: 'places_subjects',
+    item_type: 'item_type'
+};
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Builds a standardized response object
+ * @param {boolean} success - Whether the operation succeeded
+ * @param {string} message - Response message
+ * @param {Object} data - Response data (includes the HTTP status)
+ * @returns {Object} Standardized response object
+ */
+const build_response = (success, message, data = null) => {
+    return {
+        success,
+        message,
+        ...data
+    };
+};
+
+/**
+ * Validates if a string is a valid UUID format
+ * @param {string} uuid - String to validate
+ * @returns {boolean} Whether string is valid UUID
+ */
+const is_valid_uuid = (uuid) => {
+    if (!uuid || typeof uuid !== 'string') {
+        return false;
+    }
+    const uuid_regex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    return uuid_regex.test(uuid);
+};
+
+/**
+ * Removes the request's spooled upload files; missing files are ignored
+ * @param {Array<string|null>} file_paths - Absolute temp paths
+ * @returns {Promise<void>}
+ */
+const remove_temp_files = async (file_paths) => {
+
+    for (const file_path of file_paths) {
+
+        if (file_path) {
+            await FS.promises.rm(file_path, { force: true }).catch((error) => {
+                LOGGER.module().warn(`WARNING: [/media-library/ingest-service (remove_temp_files)] ${error.message}`);
+            });
+        }
+    }
+};
+
+/**
+ * Default record name for a file, as the upload modal derives it
+ * @param {string} filename - Original filename
+ * @returns {string}
+ */
+const title_from_filename = (filename) => {
+    return filename
+        .replace(/\.[^/.]+$/, '')
+        .replace(/[_-]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+};
+
+/**
+ * Identifies an allowed file type from its leading bytes
+ * @param {Buffer} buffer - File content
+ * @returns {string|null} MIME type, or null when it is none of the allowed types
+ */
+const sniff_mime_type = (buffer) => {
+
+    const head = buffer.subarray(0, 12).toString('latin1');
+
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+        return 'image/jpeg';
+    }
+
+    if (head.startsWith('\x89PNG\r\n\x1a\n')) {
+        return 'image/png';
+    }
+
+    if (head.startsWith('GIF87a') || head.startsWith('GIF89a')) {
+        return 'image/gif';
+    }
+
+    if (head.startsWith('RIFF') && head.substring(8, 12) === 'WEBP') {
+        return 'image/webp';
+    }
+
+    if (head.startsWith('%PDF-')) {
+        return 'application/pdf';
+    }
+
+    return null;
+};
+
+// ---------------------------------------------------------------------------
+// CSV manifest
+// ---------------------------------------------------------------------------
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields may hold commas, doubled quotes and
+ * line breaks; CRLF or LF line endings; a leading BOM is dropped)
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows of fields, blank lines omitted
+ */
+const parse_csv = (text) => {
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const end_row = () => {
+        row.push(field);
+
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+
+        row = [];
+        field = '';
+    };
+
+    const source = text.charCodeAt(0) === 0xFEFF ? text.substring(1) : text;
+
+    for (let i = 0; i < source.length; i++) {
+
+        const char = source[i];
+
+        if (quoted) {
+
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\r' && source[i + 1] === '\n') {
+            continue;
+        } else if (char === '\n' || char === '\r') {
+            end_row();
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        end_row();
+    }
+
+    return rows;
+};
+
+/**
+ * Reads a manifest into per-file record fields, keyed by lower-cased file
+ * name. A row matches a zip entry by its path inside the archive or by its
+ * bare file name.
+ * @param {string} text - CSV content
+ * @returns {Object} {rows: Map<string, Object>} or {error}
+ */
+const parse_manifest = (text) => {
+
+    const [header, ...lines] = parse_csv(text);
+
+    if (!header) {
+        return { error: 'The manifest is empty' };
+    }
+
+    const columns = header.map((name) => {
+        const key = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+        return MANIFEST_COLUMNS[key] || null;
+    });
+
+    if (!columns.includes('filename')) {
+        return { error: 'The manifest needs a filename column' };
+    }
+
+    const rows = new Map();
+
+    for (const line of lines) {
+
+        const fields = {};
+
+        columns.forEach((column, index) => {
+            const value = (line[index] || '').trim();
+
+            if (column && value !== '') {
+                fields[column] = value;
+            }
+        });
+
+        if (!fields.filename) {
+            continue;
+        }
+
+        const key = fields.filename.toLowerCase();
+
+        if (rows.has(key)) {
+            return { error: `The manifest lists ${fields.filename} more than once` };
+        }
+
+        XSS.sanitize_object(fields);
+        rows.set(key, fields);
+    }
+
+    return { rows };
+};
+
+// ---------------------------------------------------------------------------
+// Archive
+// ---------------------------------------------------------------------------
+
+/**
+ * Whether a zip entry is a file to ingest rather than a folder, a hidden
+ * file or macOS resource-fork clutter
+ * @param {Object} entry - yauzl Entry
+ * @returns {boolean}
+ */
+const is_ingestible = (entry) => {
+
+    const name = entry.fileName;
+
+    return !name.endsWith('/') &&
+        !name.split('/').some((segment) => segment === '__MACOSX' || segment.startsWith('.'));
+};
+
+/**
+ * Counts the files to ingest from the archive's central directory (no file
+ * data is read)
+ * @param {string} archive_path - Absolute path to the zip
+ * @returns {Promise<number>}
+ */
+const count_entries = async (archive_path) => {
+
+    const zipfile = await YAUZL.openPromise(archive_path);
+    let count = 0;
+
+    for await (const entry of zipfile.eachEntry()) {
+
+        if (is_ingestible(entry)) {
+            count++;
+        }
+    }
+
+    return count;
+};
+
+/**
+ * Reads one (already size-checked) zip entry into memory
+ * @param {Object} zipfile - Open yauzl ZipFile
+ * @param {Object} entry - yauzl Entry
+ * @returns {Promise<Buffer>}
+ */
+const read_entry = async (zipfile, entry) => {
+
+    const stream = await zipfile.openReadStreamPromise(entry);
+    const chunks = [];
+
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+};
+
+// ---------------------------------------------------------------------------
+// Ingest
+// ---------------------------------------------------------------------------
+
+/**
+ * Ingests one zip entry the way a single upload is handled: type and size
+ * validation, storage with thumbnail and derivatives, EXIF extraction, a
+ * duplicate check against existing uploads, then the media record
+ * @param {Object} zipfile - Open yauzl ZipFile
+ * @param {Object} entry - yauzl Entry
+ * @param {Object} fields - Record fields from the manifest ({} without one)
+ * @param {Object} actor - {decoded, query, ip} of the request that started the job
+ * @returns {Promise<Object>} {file, status: created|duplicate|failed, uuid, message}
+ */
+const ingest_entry = async (zipfile, entry, fields, actor) => {
+
+    const file = entry.fileName;
+    const original_name = PATH.posix.basename(file);
+    const mime_type = EXTENSION_MIME_TYPES[PATH.extname(original_name).toLowerCase()];
+    const failed = (message) => ({ file, status: 'failed', uuid: null, message });
+
+    if (!mime_type || !UPLOADS.is_valid_file_type({ originalname: original_name, mimetype: mime_type })) {
+        return failed('Unsupported file type');
+    }
+
+    if (entry.uncompressedSize > UPLOADS.MAX_FILE_SIZE) {
+        return failed(`File exceeds maximum size of ${Math.round(UPLOADS.MAX_FILE_SIZE / (1024 * 1024))}MB`);
+    }
+
+    if (entry.isEncrypted() || !entry.canDecodeFileData()) {
+        return failed('File is encrypted or uses an unsupported compression method');
+    }
+
+    const buffer = await read_entry(zipfile, entry);
+
+    if (sniff_mime_type(buffer) !== mime_type) {
+        return failed('File content does not match its extension');
+    }
+
+    const media_type = mime_type === 'application/pdf' ? 'pdf' : 'image';
+    const duplicate = await MEDIA_MODEL.find_upload_by_content(media_type, buffer);
+
+    if (duplicate) {
+        return { file, status: 'duplicate', uuid: duplicate.uuid, message: `Already in the library as "${duplicate.name}"` };
+    }
+
+    const stored = await UPLOADS.store_file(buffer, original_name, mime_type);
+    const metadata = await UPLOADS.extract_metadata(stored.storage_path, stored.media_type);
+
+    const data = {
+        name: fields.name || title_from_filename(original_name) || original_name,
+        media_type: stored.media_type,
+        mime_type: stored.mime_type,
+        ingest_method: 'upload',
+        original_filename: original_name,
+        storage_path: stored.storage_path,
+        thumbnail_path: stored.thumbnail_path,
+        size: stored.file_size,
+        media_width: stored.media_width,
+        media_height: stored.media_height,
+        exif_data: JSON.stringify(metadata)
+    };
+
+    for (const field of ['description', 'alt_text', 'call_number', 'topics_subjects', 'genre_form_subjects', 'places_subjects', 'item_type']) {
+
+        if (fields[field]) {
+            data[field] = fields[field];
+        }
+    }
+
+    if (actor?.decoded?.sub) {
+        data.username = actor.decoded.sub;
+    }
+
+    const result = await MEDIA_MODEL.create_media_record(data);
+
+    if (!result || !result.success) {
+        await UPLOADS.delete_stored_file(stored.storage_path, stored.thumbnail_path).catch(() => {});
+        return failed(result?.message || 'Failed to create media record');
+    }
+
+    await AUDIT.record(actor, {
+        action: 'create',
+        record_type: 'media',
+        record_uuid: result.uuid,
+        after: data
+    });
+
+    return {
+        file,
+        status: 'created',
+        uuid: result.uuid,
+        message: media_type === 'image' && !data.alt_text ? 'Created without alt text' : null
+    };
+};
+
+/**
+ * Works through the archive one file at a time, writing progress to the job
+ * row after each, then removes the spooled upload files
+ * @param {string} job_uuid - Job UUID
+ * @param {Object} options - {archive_path, manifest_path, rows (Map), actor}
+ * @returns {Promise<void>} Never rejects; a failure is recorded on the job
+ */
+const run_job = async (job_uuid, options) => {
+
+    const counts = { processed: 0, created_count: 0, duplicate_count: 0, failed_count: 0 };
+    const results = [];
+    const matched = new Set();
+
+    try {
+
+        await job_task.update_job(job_uuid, { status: 'running' });
+
+        const zipfile = await YAUZL.openPromise(options.archive_path);
+
+        for await (const entry of zipfile.eachEntry()) {
+
+            if (!is_ingestible(entry)) {
+                continue;
+            }
+
+            const keys = [entry.fileName.toLowerCase(), PATH.posix.basename(entry.fileName).toLowerCase()];
+            const key = keys.find((candidate) => options.rows.has(candidate));
+            let result;
+
+            if (key) {
+                matched.add(key);
+            }
+
+            try {
+                result = await ingest_entry(zipfile, entry, key ? options.rows.get(key) : {}, options.actor);
+            } catch (error) {
+                LOGGER.module().error(`ERROR: [/media-library/ingest-service (run_job)] ${job_uuid} ${entry.fileName}: ${error.message}`);
+                result = { file: entry.fileName, status: 'failed', uuid: null, message: error.message };
+            }
+
+            results.push(result);
+            counts.processed++;
+            counts[`${result.status}_count`]++;
+
+            await job_task.update_job(job_uuid, { ...counts, results });
+        }
+
+        // Manifest rows naming files the archive does not have; reported, not counted
+        for (const [key, fields] of options.rows) {
+
+            if (!matched.has(key)) {
+                results.push({ file: fields.filename, status: 'missing', uuid: null, message: 'Listed in the manifest but not in the archive' });
+            }
+        }
+
+        await job_task.update_job(job_uuid, { ...counts, results, status: 'completed', completed: new Date() });
+
+        LOGGER.module().info(`INFO: [/media-library/ingest-service (run_job)] Job ${job_uuid} completed: ${counts.created_count} created, ${counts.duplicate_count} duplicate(s), ${counts.failed_count} failed`);
+
+    } catch (error) {
+
+        LOGGER.module().error(`ERROR: [/media-library/ingest-service (run_job)] Job ${job_uuid} failed: ${error.message}`);
+
+        await job_task.update_job(job_uuid, {
+            ...counts,
+            results,
+            status: 'failed',
+            error: String(error.message).substring(0, 1000),
+            completed: new Date()
+        }).catch((update_error) => {
+            LOGGER.module().error(`ERROR: [/media-library/ingest-service (run_job)] Unable to record failure of ${job_uuid}: ${update_error.message}`);
+        });
+
+    } finally {
+        await remove_temp_files([options.archive_path, options.manifest_path]);
+    }
+};
+
+/**
+ * Marks a queued/running job that has stopped moving as failed
+ * @param {Object} job - Job row
+ * @returns {Promise<Object>} The job, updated in place when it was stale
+ */
+const settle_stale_job = async (job) => {
+
+    const is_active = job.status === 'queued' || job.status === 'running';
+
+    if (!is_active || Date.now() - new Date(job.updated).getTime() < STALE_AFTER_MS) {
+        return job;
+    }
+
+    job.status = 'failed';
+    job.error = 'Interrupted: the server stopped while this job was running';
+
+    await job_task.update_job(job.uuid, { status: job.status, error: job.error, completed: new Date() });
+
+    return job;
+};
+
+/**
+ * Starts a batch ingest from a zip of images/PDFs and an optional CSV
+ * manifest. The archive and manifest are checked here; the files themselves
+ * are processed in the background after this resolves, and the returned job
+ * is polled for progress.
+ * @param {Object} options
+ * @param {Object} options.archive - Multer file ({path, originalname, size}) holding the zip
+ * @param {Object|null} options.manifest - Multer file holding the CSV manifest
+ * @param {Object} options.actor - {decoded, query, ip} of the request, for created_by and the audit log
+ * @returns {Promise<Object>} {success, message, job, status}
+ */
+exports.start_ingest = async (options) => {
+
+    const archive = options.archive || null;
+    const manifest = options.manifest || null;
+    const temp_files = [archive?.path, manifest?.path];
+
+    try {
+
+        if (!archive) {
+            await remove_temp_files(temp_files);
+            return build_response(false, 'A zip archive is required', { job: null, status: 400 });
+        }
+
+        if (PATH.extname(archive.originalname || '').toLowerCase() !== '.zip') {
+            await remove_temp_files(temp_files);
+            return build_response(false, 'The archive must be a .zip file', { job: null, status: 400 });
+        }
+
+        let rows = new Map();
+
+        if (manifest) {
+
+            if (manifest.size > MAX_MANIFEST_SIZE) {
+                await remove_temp_files(temp_files);
+                return build_response(false, 'The manifest is too large', { job: null, status: 400 });
+            }
+
+            const parsed = parse_manifest(await FS.promises.readFile(manifest.path, 'utf8'));
+
+            if (parsed.error) {
+                await remove_temp_files(temp_files);
+                return build_response(false, parsed.error, { job: null, status: 400 });
+            }
+
+            rows = parsed.rows;
+        }
+
+        let total;
+
+        try {
+            total = await count_entries(archive.path);
+        } catch (error) {
+            await remove_temp_files(temp_files);
+            return build_response(false, `Unable to read the zip archive: ${error.message}`, { job: null, status: 400 });
+        }
+
+        if (total === 0) {
+            await remove_temp_files(temp_files);
+            return build_response(false, 'The archive contains no files', { job: null, status: 400 });
+        }
+
+        if (total > MAX_ENTRIES) {
+            await remove_temp_files(temp_files);
+            return build_response(false, `The archive holds ${total} files; the limit is ${MAX_ENTRIES}`, { job: null, status: 400 });
+        }
+
+        const job_uuid = helper_task.create_uuid();
+
+        await job_task.create_job({
+            uuid: job_uuid,
+            archive_name: archive.originalname,
+            manifest_name: manifest ? manifest.originalname : null,
+            username: options.actor?.decoded?.sub || null
+        });
+
+        await job_task.update_job(job_uuid, { total });
+
+        setImmediate(() => {
+            run_job(job_uuid, {
+                archive_path: archive.path,
+                manifest_path: manifest?.path || null,
+                rows,
+                actor: options.actor
+            });
+        });
+
+        LOGGER.module().info(`INFO: [/media-library/ingest-service (start_ingest)] Job ${job_uuid} queued: ${total} file(s) from ${archive.originalname}`);
+
+        return build_response(true, 'Ingest started', {
+            job: await job_task.get_job(job_uuid),
+            status: 202
+        });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/media-library/ingest-service (start_ingest)] ${error.message}`);
+        await remove_temp_files(temp_files);
+        return build_response(false, 'Error starting ingest: ' + error.message, { job: null, status: 500 });
+    }
+};
+
+/**
+ * Gets an ingest job with its per-file results. Only the user who started a
+ * job can read it.
+ * @param {string} job_id - Job UUID
+ * @param {string|null} username - JWT subject of the requester
+ * @returns {Promise<Object>} {success, message, job, status}
+ */
+exports.get_job = async (job_id, username) => {
+
+    try {
+
+        if (!is_valid_uuid(job_id)) {
+            return build_response(false, 'Invalid UUID format', { job: null, status: 400 });
+        }
+
+        const job = await job_task.get_job(job_id);
+
+        if (!job || job.username !== username) {
+            return build_response(false, 'Ingest job not found', { job: null, status: 404 });
+        }
+
+        delete job.username;
+
+        return build_response(true, 'Ingest job retrieved', { job: await settle_stale_job(job), status: 200 });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/media-library/ingest-service (get_job)] ${error.message}`);
+        return build_response(false, 'Error retrieving ingest job: ' + error.message, { job: null, status: 500 });
+    }
+};
+
+/**
+ * Gets the requester's most recent ingest jobs, without per-file results
+ * @param {string|null} username - JWT subject of the requester
+ * @returns {Promise<Object>} {success, message, jobs, status}
+ */
+exports.get_jobs = async (username) => {
+
+    try {
+
+        const jobs = await job_task.get_jobs_by_user(username, RECENT_JOBS_LIMIT);
+
+        for (const job of jobs) {
+            await settle_stale_job(job);
+        }
+
+        return build_response(true, 'Ingest jobs retrieved', { jobs, status: 200 });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/media-library/ingest-service (get_jobs)] ${error.message}`);
+        return build_response(false, 'Error retrieving ingest jobs: ' + error.message, { jobs: [], status: 500 });
+    }
+};
+
+exports.parse_csv = parse_csv;
+exports.parse_manifest = parse_manifest;
+exports.sniff_mime_type = sniff_mime_type;
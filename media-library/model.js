@@ -25,7 +25,10 @@ const HELPER = require('../libs/helper');
 const MEDIA_TASKS = require('./tasks/media_record_tasks');
 const UPLOADS = require('./uploads');
 const IIIF_CACHE = require('./iiif-cache');
+const FIXITY = require('./fixity-service');
+const EXIF_PRIVACY = require('./exif-privacy');
 const PATH = require('path');
+const CRYPTO = require('crypto');
 const LOGGER = require('../libs/log4');
 const VALIDATOR = require('../libs/validate');
 const MEDIA_CREATE_SCHEMA = require('./schemas/media_create_record_schema')();
@@ -41,9 +44,18 @@ const STATUS_CODES = {
     NO_CONTENT: 204,
     BAD_REQUEST: 400,
     NOT_FOUND: 404,
+    CONFLICT: 409,
     INTERNAL_ERROR: 500
 };
 
+// Duplicate detection — a perceptual hash is 64 bits; copies that were only
+// resized or recompressed differ in a handful of them
+const CONTENT_HASH_PATTERN = /^[0-9a-f]{64}$/i;
+const PERCEPTUAL_HASH_PATTERN = /^[0-9a-f]{16}$/i;
+const PERCEPTUAL_HASH_BITS = 64;
+const SIMILAR_MAX_DISTANCE = 10;
+const SIMILAR_MATCH_LIMIT = 10;
+
 /**
  * Builds a standardized response object
  * @param {boolean} success - Whether the operation succeeded
@@ -167,6 +179,107 @@ exports.check_duplicate = async (field_name, field_value) => {
     }
 };
 
+/**
+ * Finds an uploaded media record whose stored file has exactly the given
+ * content — by content hash, then by hashing same-sized records stored before
+ * content hashes were recorded
+ * @param {string} media_type - Media type (image, pdf)
+ * @param {Buffer} buffer - File content
+ * @returns {Promise<Object|null>} {uuid, name} of the first match, or null
+ */
+exports.find_upload_by_content = async (media_type, buffer) => {
+
+    const digest = CRYPTO.createHash('sha256').update(buffer).digest('hex');
+    const match = await media_task.find_by_content_hash(digest);
+
+    if (match) {
+        return { uuid: match.uuid, name: match.name };
+    }
+
+    const candidates = await media_task.find_by_size(media_type, buffer.length, { unhashed: true });
+
+    if (!candidates || candidates.length === 0) {
+        return null;
+    }
+
+    for (const candidate of candidates) {
+
+        try {
+
+            if (await UPLOADS.hash_stored_file(candidate.storage_path) === digest) {
+                return { uuid: candidate.uuid, name: candidate.name };
+            }
+
+        } catch (error) {
+            LOGGER.module().warn(`WARNING: [/media-library/model (find_upload_by_content)] Unable to hash ${candidate.uuid}: ${error.message}`);
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Finds media that look like an upload: the same file (content hash) or a
+ * visually similar image (perceptual hash within SIMILAR_MAX_DISTANCE bits).
+ * Matches are ordered most similar first; similarity is 1 for an exact copy
+ * and otherwise the share of perceptual-hash bits that agree.
+ * @param {Object} hashes - {content_hash, perceptual_hash, exclude}
+ * @returns {Promise<Object>} Result object with matches (status 400 on bad input)
+ */
+exports.find_similar_media = async ({ content_hash, perceptual_hash, exclude } = {}) => {
+
+    try {
+
+        const has_content_hash = typeof content_hash === 'string' && CONTENT_HASH_PATTERN.test(content_hash);
+        const has_perceptual_hash = typeof perceptual_hash === 'string' && PERCEPTUAL_HASH_PATTERN.test(perceptual_hash);
+
+        if ((content_hash && !has_content_hash) || (perceptual_hash && !has_perceptual_hash)) {
+            return build_response(false, 'Invalid hash format', { matches: [], status: STATUS_CODES.BAD_REQUEST });
+        }
+
+        if (!has_content_hash && !has_perceptual_hash) {
+            return build_response(false, 'A content_hash or perceptual_hash is required', { matches: [], status: STATUS_CODES.BAD_REQUEST });
+        }
+
+        if (exclude && !is_valid_uuid(exclude)) {
+            return build_response(false, 'Invalid exclude UUID', { matches: [], status: STATUS_CODES.BAD_REQUEST });
+        }
+
+        const records = await media_task.find_similar_media({
+            content_hash: has_content_hash ? content_hash.toLowerCase() : null,
+            perceptual_hash: has_perceptual_hash ? perceptual_hash.toLowerCase() : null,
+            max_distance: SIMILAR_MAX_DISTANCE,
+            exclude: exclude || null,
+            limit: SIMILAR_MATCH_LIMIT
+        });
+
+        const matches = records.map((record) => {
+
+            const exact = has_content_hash && record.content_hash === content_hash.toLowerCase();
+            const distance = exact ? 0 : Number(record.distance);
+
+            return {
+                uuid: record.uuid,
+                name: record.name,
+                original_filename: record.original_filename,
+                media_type: record.media_type,
+                thumbnail_path: record.thumbnail_path,
+                created: record.created,
+                created_by: record.created_by,
+                match: exact ? 'exact' : 'similar',
+                distance: distance,
+                similarity: Math.round((1 - distance / PERCEPTUAL_HASH_BITS) * 100) / 100
+            };
+        }).sort((a, b) => b.similarity - a.similarity);
+
+        return build_response(true, `${matches.length} possible duplicate(s) found`, { matches });
+
+    } catch (error) {
+        LOGGER.module().error('ERROR: [/media-library/model (find_similar_media)] ' + error.message);
+        return build_response(false, 'Error checking for similar media: ' + error.message, { matches: [], status: STATUS_CODES.INTERNAL_ERROR });
+    }
+};
+
 /**
  * Creates a new media record
  * @param {Object} data - Media record data
@@ -191,6 +304,12 @@ exports.create_media_record = async (data) => {
             return build_response(false, 'Invalid media data: ' + message);
         }
 
+        if (!EXIF_PRIVACY.is_valid_override(data.exif_privacy)) {
+            return build_response(false, `Invalid exif_privacy: must be one of ${EXIF_PRIVACY.POLICIES.join(', ')}, or empty for the site policy`);
+        }
+
+        data.exif_privacy = data.exif_privacy || null;
+
         // Generate UUID for the new record
         data.uuid = helper_task.create_uuid();
 
@@ -202,6 +321,30 @@ exports.create_media_record = async (data) => {
         // Convert subject delimiters from comma to pipe for storage
         format_subjects_for_storage(data);
 
+        // PDF text comes from the sidecar written at upload, never the client
+        delete data.full_text;
+
+        if (data.media_type === 'pdf' && data.ingest_method === 'upload' && data.storage_path) {
+            const pages = await UPLOADS.read_pdf_text(data.storage_path);
+
+            if (pages) {
+                data.full_text = JSON.stringify(pages);
+            }
+        }
+
+        // Hashes are computed from the stored file, never taken from the client
+        delete data.content_hash;
+        delete data.perceptual_hash;
+
+        if (data.ingest_method === 'upload' && data.storage_path) {
+            Object.assign(data, await UPLOADS.hash_stored_media(data));
+
+            // The hash was just taken from the stored file: its first fixity check
+            if (data.content_hash) {
+                Object.assign(data, FIXITY.baseline(now));
+            }
+        }
+
         // Get user's full name from username and assign to created_by
         if (data.username) {
             const user_result = await media_task.get_user_by_username(data.username);
@@ -354,6 +497,16 @@ exports.update_media_record = async (media_id, data) => {
             return build_response(false, 'Invalid update data provided');
         }
 
+        if (Object.hasOwn(data, 'exif_privacy')) {
+
+            if (!EXIF_PRIVACY.is_valid_override(data.exif_privacy)) {
+                return build_response(false, `Invalid exif_privacy: must be one of ${EXIF_PRIVACY.POLICIES.join(', ')}, or empty for the site policy`);
+            }
+
+            // Empty from the edit form: back to the site policy
+            data.exif_privacy = data.exif_privacy || null;
+        }
+
         // Set updated timestamp
         data.updated = new Date();
 
@@ -475,12 +628,115 @@ exports.remove_exhibit_from_media_record = async (media_id, exhibit_uuid, media_
 };
 
 /**
- * Deletes a media record (soft delete)
+ * Builds the where-used summary of a media record from the raw task rows.
+ * A reference is live when neither it nor anything it sits in (exhibit,
+ * grid, timeline) is in the recycle bin; recycled references are listed too,
+ * since restoring them would bring the media back into use.
+ * @param {string} media_id - Media record UUID
+ * @param {Object} rows - {exhibits, bindings, items} from media_task.get_media_usage
+ * @returns {Object} {exhibits, items, live_count, total_count}
+ */
+const summarize_media_usage = (media_id, { exhibits = [], bindings = [], items = [] }) => {
+
+    const exhibit_refs = new Map();
+    const add_exhibit_ref = (uuid, fields, role) => {
+        const ref = exhibit_refs.get(uuid) || { uuid, ...fields, roles: [] };
+        if (!ref.roles.includes(role)) {
+            ref.roles.push(role);
+        }
+        exhibit_refs.set(uuid, ref);
+    };
+
+    exhibits.forEach((exhibit) => {
+        const fields = { title: exhibit.title, is_published: exhibit.is_published === 1, is_deleted: exhibit.is_deleted === 1 };
+        if (exhibit.hero_image_media_uuid === media_id) add_exhibit_ref(exhibit.uuid, fields, 'hero_image');
+        if (exhibit.thumbnail_media_uuid === media_id) add_exhibit_ref(exhibit.uuid, fields, 'thumbnail');
+    });
+
+    // Dropped bindings, and bindings to exhibits that were purged, no longer reference anything
+    bindings.filter((binding) => binding.is_deleted !== 1 && binding.exhibit_is_deleted !== null && binding.exhibit_is_deleted !== undefined)
+        .forEach((binding) => add_exhibit_ref(binding.exhibit_uuid, {
+            title: binding.exhibit_title,
+            is_published: binding.exhibit_is_published === 1,
+            is_deleted: binding.exhibit_is_deleted === 1
+        }, binding.media_role));
+
+    const exhibit_list = [...exhibit_refs.values()].map((ref) => ({
+        ...ref,
+        status: ref.is_deleted ? 'deleted' : 'live'
+    }));
+
+    const item_list = items.map((item) => {
+
+        let status = 'live';
+
+        if (item.is_deleted === 1) {
+            status = 'deleted';
+        } else if (item.exhibit_is_deleted !== 0) {
+            status = 'exhibit_deleted';
+        } else if (item.container_is_deleted === 1) {
+            status = 'container_deleted';
+        }
+
+        const roles = [];
+        if (item.media_uuid === media_id) roles.push('media');
+        if (item.thumbnail_media_uuid === media_id) roles.push('thumbnail');
+
+        return {
+            uuid: item.uuid,
+            type: item.type,
+            title: item.title,
+            roles,
+            exhibit_uuid: item.exhibit_uuid,
+            exhibit_title: item.exhibit_title || null,
+            container_uuid: item.container_uuid || null,
+            is_published: item.is_published === 1,
+            status
+        };
+    });
+
+    const live_count = exhibit_list.concat(item_list).filter((ref) => ref.status === 'live').length;
+
+    return {
+        exhibits: exhibit_list,
+        items: item_list,
+        live_count,
+        total_count: exhibit_list.length + item_list.length
+    };
+};
+
+/**
+ * Gets every exhibit and item that uses a media record, recycled ones included
+ * @param {string} media_id - Media record UUID
+ * @returns {Promise<Object>} Result object with usage ({exhibits, items, live_count, total_count})
+ */
+exports.get_media_usage = async (media_id) => {
+
+    try {
+
+        if (!is_valid_uuid(media_id)) {
+            return build_response(false, 'Invalid media ID format', { usage: null, status: STATUS_CODES.BAD_REQUEST });
+        }
+
+        const usage = summarize_media_usage(media_id, await media_task.get_media_usage(media_id));
+
+        return build_response(true, `Media is used in ${usage.total_count} place(s), ${usage.live_count} live`, { usage });
+
+    } catch (error) {
+        LOGGER.module().error('ERROR: [/media-library/model (get_media_usage)] ' + error.message);
+        return build_response(false, 'Error getting media usage: ' + error.message, { usage: null, status: STATUS_CODES.INTERNAL_ERROR });
+    }
+};
+
+/**
+ * Deletes a media record (soft delete). Media still used by live exhibits or
+ * items is refused with status 409 and the usage, unless options.force is set.
  * @param {string} media_id - Media record UUID
  * @param {string|null} username - Username (du_id) of user performing deletion
+ * @param {Object} [options={}] - {force: delete even while in use}
  * @returns {Promise<Object>} Result object
  */
-exports.delete_media_record = async (media_id, username = null) => {
+exports.delete_media_record = async (media_id, username = null, options = {}) => {
 
     try {
 
@@ -488,6 +744,19 @@ exports.delete_media_record = async (media_id, username = null) => {
             return build_response(false, 'Invalid media ID format');
         }
 
+        const usage = summarize_media_usage(media_id, await media_task.get_media_usage(media_id));
+
+        if (usage.live_count > 0 && options.force !== true) {
+            return build_response(false, `Media is still used by ${usage.live_count} live exhibit(s) or item(s). Remove it from them first, or delete anyway.`, {
+                usage,
+                status: STATUS_CODES.CONFLICT
+            });
+        }
+
+        if (usage.live_count > 0) {
+            LOGGER.module().warn(`WARNING: [/media-library/model (delete_media_record)] Force-deleting ${media_id} while used by ${usage.live_count} live reference(s)`);
+        }
+
         // Resolve username to full name for audit trail
         let deleted_by = null;
 
@@ -511,7 +780,8 @@ exports.delete_media_record = async (media_id, username = null) => {
         LOGGER.module().info('INFO: [/media-library/model (delete_media_record)] Media record deleted successfully: ' + media_id);
 
         return build_response(true, 'Media record deleted successfully', {
-            uuid: media_id
+            uuid: media_id,
+            live_count: usage.live_count
         });
 
     } catch (error) {
@@ -0,0 +1,155 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const REPLACE_SERVICE = require('../media-library/replace-service');
+const IIIF_SERVICE = require('../media-library/iiif-service');
+const AUTHORIZE = require('../auth/authorize');
+const AUDIT = require('../audit/model');
+const LOGGER = require('../libs/log4');
+
+/**
+ * Middleware: requires permission to update the media record named in the
+ * path. Runs before multer so an unauthorized upload is never read.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.require_update_media_permission = async function (req, res, next) {
+
+    try {
+
+        const is_authorized = await AUTHORIZE.check_permission({
+            req,
+            permissions: ['can_update_any_media', 'can_update_media'],
+            record_type: 'media',
+            parent_id: req.params.media_id,
+            child_id: null
+        });
+
+        if (is_authorized !== true) {
+            return res.status(403).json({
+                success: false,
+                message: 'Unauthorized request',
+                data: null
+            });
+        }
+
+        return next();
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/media-library/replace-controller (require_update_media_permission)] ${error.message}`);
+        return res.status(403).json({
+            success: false,
+            message: 'Unauthorized request',
+            data: null
+        });
+    }
+};
+
+/**
+ * Replaces the file of an uploaded media record in place. The record keeps
+ * its UUID; the file it had is kept as a prior version.
+ *
+ * POST /api/v1/media/library/record/:media_id/file  multipart: file
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.replace_media_file = async function (req, res) {
+
+    try {
+
+        const media_id = req.params.media_id;
+
+        const result = await REPLACE_SERVICE.replace_media_file(media_id, req.file || null, {
+            username: req.decoded?.sub || null,
+            iiif_base: IIIF_SERVICE.derive_iiif_base(req),
+            file_base: IIIF_SERVICE.derive_file_base(req)
+        });
+
+        if (!result || !result.success) {
+            LOGGER.module().warn(`WARNING: [/media-library/replace-controller (replace_media_file)] ${result?.message}`);
+            return res.status(result?.status || 500).json({
+                success: false,
+                message: result?.message || 'Unable to replace media file',
+                data: null
+            });
+        }
+
+        await AUDIT.record(req, {
+            action: 'replace',
+            record_type: 'media',
+            record_uuid: media_id,
+            after: {
+                original_filename: result.record?.original_filename,
+                content_hash: result.record?.content_hash,
+                archived_version: result.version
+            }
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: result.message,
+            data: {
+                record: result.record,
+                version: result.version,
+                reindexed: result.reindexed
+            }
+        });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/media-library/replace-controller (replace_media_file)] ${error.message}`);
+        return res.status(500).json({
+            success: false,
+            message: 'Unable to replace media file.',
+            data: null
+        });
+    }
+};
+
+/**
+ * Lists the prior file versions of a media record, newest first
+ *
+ * GET /api/v1/media/library/record/:media_id/versions
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.get_media_versions = async function (req, res) {
+
+    try {
+
+        const result = await REPLACE_SERVICE.get_media_versions(req.params.media_id);
+
+        return res.status(result.status).json({
+            success: result.success,
+            message: result.message,
+            data: result.versions
+        });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/media-library/replace-controller (get_media_versions)] ${error.message}`);
+        return res.status(500).json({
+            success: false,
+            message: 'Unable to get media versions.',
+            data: null
+        });
+    }
+};
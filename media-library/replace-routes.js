@@ -0,0 +1,72 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const multer = require('multer');
+const CONTROLLER = require('../media-library/replace-controller');
+const ENDPOINTS = require('../media-library/endpoints')();
+const UPLOADS = require('../media-library/uploads');
+const TOKEN = require('../libs/tokens');
+const { rate_limits } = require('../config/rate_limits_loader');
+
+// Surface a rejected handler promise to Express' error handling.
+const async_handler = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+// A replacement is one file held in memory, as with regular uploads; the
+// service checks its type against the record it replaces.
+const replace_upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: UPLOADS.MAX_FILE_SIZE,
+        files: 1
+    }
+}).single('file');
+
+// Turn multer failures into a 413 (too large) or 400.
+const receive_replacement = (req, res, next) => {
+    replace_upload(req, res, (error) => {
+        if (error) {
+            const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            return res.status(status).json({success: false, message: `Unable to read upload: ${error.message}`, data: null});
+        }
+        next();
+    });
+};
+
+module.exports = function (app) {
+
+    // Replace the file of an uploaded media record in place. The permission
+    // check runs before multer so an unauthorized upload is never read.
+    // POST /api/v1/media/library/record/:media_id/file  multipart: file
+    app.route(ENDPOINTS.media_replace.post.endpoint)
+        .post(
+            rate_limits.media_operations,
+            TOKEN.verify,
+            CONTROLLER.require_update_media_permission,
+            receive_replacement,
+            async_handler(CONTROLLER.replace_media_file)
+        );
+
+    app.route(ENDPOINTS.media_versions.get.endpoint)
+        .get(
+            rate_limits.read_operations,
+            TOKEN.verify,
+            async_handler(CONTROLLER.get_media_versions)
+        );
+};
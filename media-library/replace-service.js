@@ -0,0 +1,309 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const DB = require('../config/db_config')();
+const DB_TABLES = require('../config/db_tables_config')();
+const MEDIA_TASKS = require('../media-library/tasks/media_record_tasks');
+const MEDIA_MODEL = require('../media-library/model');
+const UPLOADS = require('../media-library/uploads');
+const IIIF_CACHE = require('../media-library/iiif-cache');
+const IIIF_SERVICE = require('../media-library/iiif-service');
+const FIXITY = require('../media-library/fixity-service');
+const REINDEX_COALESCER = require('../exhibits/reindex_coalescer');
+const LOGGER = require('../libs/log4');
+
+const media_task = new MEDIA_TASKS(DB, DB_TABLES.exhibits);
+
+// Media records with a replacement in progress. A second upload for the same
+// record would archive the file the first one is still writing.
+const in_progress = new Set();
+
+/**
+ * Index job that re-indexes a published item after the file behind its media
+ * changed, keyed like the item's own edit path so it coalesces with a pending
+ * edit. Grid and timeline items are indexed inside their container's document.
+ */
+const REINDEX_JOB_TYPES = {
+    item: 'publish_item',
+    grid_item: 'publish_grid_item',
+    timeline_item: 'publish_timeline_item'
+};
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Builds a standardized response object
+ * @param {boolean} success - Whether the operation succeeded
+ * @param {string} message - Response message
+ * @param {Object} data - Response data (includes the HTTP status)
+ * @returns {Object} Standardized response object
+ */
+const build_response = (success, message, data = null) => {
+    return {
+        success,
+        message,
+        ...data
+    };
+};
+
+/**
+ * Validates if a string is a valid UUID format
+ * @param {string} uuid - String to validate
+ * @returns {boolean} Whether string is valid UUID
+ */
+const is_valid_uuid = (uuid) => {
+    if (!uuid || typeof uuid !== 'string') {
+        return false;
+    }
+    const uuid_regex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    return uuid_regex.test(uuid);
+};
+
+/**
+ * Rebuilds the IIIF Presentation manifest stored on a media record from its
+ * new file. Failure is logged, not returned: the manifest route builds one on
+ * request anyway.
+ * @param {string} uuid - Media record UUID
+ * @param {Object} urls - {iiif_base, file_base} of the request
+ * @returns {Promise<boolean>} True if a manifest was stored
+ */
+const rebuild_stored_manifest = async (uuid, urls) => {
+
+    try {
+
+        const result = await IIIF_SERVICE.build_manifest_for_uuid(uuid, urls.iiif_base, urls.file_base);
+
+        if (!result || !result.success) {
+            LOGGER.module().warn(`WARNING: [/media-library/replace-service (rebuild_stored_manifest)] No manifest for ${uuid}: ${result?.message}`);
+            return false;
+        }
+
+        return await media_task.update_iiif_manifest(uuid, JSON.stringify(result.manifest));
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/media-library/replace-service (rebuild_stored_manifest)] ${uuid}: ${error.message}`);
+        return false;
+    }
+};
+
+/**
+ * Queues a re-index of every live, published item that shows the media
+ * (as its media or its thumbnail)
+ * @param {string} uuid - Media record UUID
+ * @returns {Promise<number>} Items queued
+ */
+const reindex_using_items = async (uuid) => {
+
+    const result = await MEDIA_MODEL.get_media_usage(uuid);
+
+    if (!result || !result.success) {
+        LOGGER.module().error(`ERROR: [/media-library/replace-service (reindex_using_items)] Unable to look up items using ${uuid}: ${result?.message}`);
+        return 0;
+    }
+
+    const refs = result.usage.items.filter((ref) => ref.status === 'live' && ref.is_published && REINDEX_JOB_TYPES[ref.type]);
+
+    for (const ref of refs) {
+        await REINDEX_COALESCER.schedule_reindex(`${ref.type}:${ref.uuid}`, REINDEX_JOB_TYPES[ref.type], {
+            exhibit_uuid: ref.exhibit_uuid,
+            container_uuid: ref.container_uuid,
+            uuid: ref.uuid
+        });
+    }
+
+    return refs.length;
+};
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Replaces the file behind an uploaded media record, keeping the record's
+ * UUID so every exhibit and item using it picks up the new file. The current
+ * file moves to the record's versions directory and is listed as a prior
+ * version; the new one is stored under the record UUID with a fresh
+ * thumbnail, derivatives, dimensions, EXIF and hashes. Cached IIIF
+ * derivatives are purged, the stored manifest is rebuilt and published items
+ * using the media are re-indexed.
+ *
+ * @param {string} media_id - Media record UUID
+ * @param {Object} file - Multer memory file ({buffer, originalname, mimetype, size})
+ * @param {Object} options
+ * @param {string|null} options.username - JWT subject of the uploader (for updated_by)
+ * @param {string} options.iiif_base - IIIF base URL, for the rebuilt manifest
+ * @param {string} options.file_base - File-download base URL, for the rebuilt manifest
+ * @returns {Promise<Object>} {success, message, record, version, reindexed, status}
+ */
+exports.replace_media_file = async (media_id, file, options = {}) => {
+
+    if (!is_valid_uuid(media_id)) {
+        return build_response(false, 'Invalid media ID format', { record: null, status: 400 });
+    }
+
+    if (!file || !file.buffer || file.buffer.length === 0) {
+        return build_response(false, 'A replacement file is required', { record: null, status: 400 });
+    }
+
+    if (!UPLOADS.is_valid_file_type(file)) {
+        return build_response(false, 'Invalid file type. Only images and PDFs can be uploaded.', { record: null, status: 400 });
+    }
+
+    if (in_progress.has(media_id)) {
+        return build_response(false, 'This media file is already being replaced', { record: null, status: 409 });
+    }
+
+    in_progress.add(media_id);
+
+    try {
+
+        const current = await media_task.get_media_record(media_id);
+
+        if (!current || !current.success || !current.record) {
+            return build_response(false, 'Media record not found', { record: null, status: 404 });
+        }
+
+        const record = current.record;
+
+        if (record.ingest_method !== 'upload' || !record.storage_path) {
+            return build_response(false, 'Only uploaded media has a file that can be replaced', { record: null, status: 400 });
+        }
+
+        const media_type = UPLOADS.get_media_type(file.mimetype);
+
+        if (media_type !== record.media_type) {
+            return build_response(false, `The replacement must be the same kind of file as the original (${record.media_type})`, {
+                record: null,
+                status: 400
+            });
+        }
+
+        let replaced_by = null;
+
+        if (options.username) {
+            const user_result = await media_task.get_user_by_username(options.username);
+            replaced_by = user_result?.success && user_result.full_name ? user_result.full_name : null;
+        }
+
+        const version = await media_task.get_next_media_version(media_id);
+        const archive = await UPLOADS.archive_stored_file(record.storage_path, record.thumbnail_path, media_id, version);
+
+        let stored = null;
+        let result;
+
+        try {
+
+            stored = await UPLOADS.store_file(file.buffer, file.originalname, file.mimetype, { uuid: media_id });
+
+            const metadata = await UPLOADS.extract_metadata(stored.storage_path, media_type);
+            const pages = media_type === 'pdf' ? await UPLOADS.read_pdf_text(stored.storage_path) : null;
+
+            result = await media_task.replace_media_file(media_id, {
+                filename: `${media_id}${stored.extension}`,
+                original_filename: file.originalname,
+                mime_type: stored.mime_type,
+                size: stored.file_size,
+                storage_path: stored.storage_path,
+                thumbnail_path: stored.thumbnail_path,
+                media_width: stored.media_width,
+                media_height: stored.media_height,
+                exif_data: JSON.stringify(metadata),
+                full_text: pages ? JSON.stringify(pages) : null,
+                content_hash: stored.content_hash,
+                perceptual_hash: stored.perceptual_hash,
+                ...FIXITY.baseline(),
+                ...(replaced_by ? { updated_by: replaced_by } : {})
+            }, {
+                version,
+                storage_path: archive.storage_path,
+                thumbnail_path: archive.thumbnail_path,
+                filename: record.filename,
+                original_filename: record.original_filename,
+                mime_type: record.mime_type,
+                size: record.size,
+                media_width: record.media_width,
+                media_height: record.media_height,
+                exif_data: record.exif_data,
+                content_hash: record.content_hash,
+                replaced_by
+            });
+
+            if (!result || !result.success) {
+                throw new Error(result?.message || 'Unable to update media record');
+            }
+
+        } catch (error) {
+
+            // Put the original back so the record never points at a missing file
+            if (stored) {
+                await UPLOADS.delete_stored_file(stored.storage_path, stored.thumbnail_path).catch((cleanup_error) => {
+                    LOGGER.module().error(`ERROR: [/media-library/replace-service (replace_media_file)] Unable to remove replacement ${stored.storage_path}: ${cleanup_error.message}`);
+                });
+            }
+
+            await UPLOADS.restore_archived_file(archive);
+            throw error;
+        }
+
+        await IIIF_CACHE.purge(media_id);
+        await rebuild_stored_manifest(media_id, options);
+        const reindexed = await reindex_using_items(media_id);
+
+        LOGGER.module().info(`INFO: [/media-library/replace-service (replace_media_file)] Replaced file of ${media_id} (version ${version} archived, ${reindexed} item(s) re-indexing)`);
+
+        return build_response(true, 'Media file replaced', {
+            record: result.record,
+            version,
+            reindexed,
+            status: 200
+        });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/media-library/replace-service (replace_media_file)] ${media_id}: ${error.message}`);
+        return build_response(false, 'Error replacing media file: ' + error.message, { record: null, status: 500 });
+    } finally {
+        in_progress.delete(media_id);
+    }
+};
+
+/**
+ * Gets the prior file versions of a media record, newest first
+ * @param {string} media_id - Media record UUID
+ * @returns {Promise<Object>} {success, message, versions, status}
+ */
+exports.get_media_versions = async (media_id) => {
+
+    try {
+
+        if (!is_valid_uuid(media_id)) {
+            return build_response(false, 'Invalid media ID format', { versions: [], status: 400 });
+        }
+
+        const versions = await media_task.get_media_versions(media_id);
+
+        return build_response(true, 'Media versions retrieved', { versions, status: 200 });
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/media-library/replace-service (get_media_versions)] ${error.message}`);
+        return build_response(false, 'Error retrieving media versions: ' + error.message, { versions: [], status: 500 });
+    }
+};
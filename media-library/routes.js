@@ -58,6 +58,15 @@ module.exports = function (app) {
             async_handler(CONTROLLER.check_duplicate)
         );
 
+    // Find uploads that are the same file or look alike (content / perceptual hash)
+    // GET /api/v1/media/library/duplicate-check/similar?content_hash=xxx&perceptual_hash=xxx
+    app.route(ENDPOINTS.media_similar_check.get.endpoint)
+        .get(
+            rate_limits.read_operations,
+            TOKEN.verify,
+            async_handler(CONTROLLER.check_similar_media)
+        );
+
     // Create media record
     app.route(ENDPOINTS.media_records.post.endpoint)
         .post(
@@ -74,6 +83,14 @@ module.exports = function (app) {
             async_handler(CONTROLLER.get_media_record)
         );
 
+    // Where-used: exhibits and items referencing a media record (recycled included)
+    app.route(ENDPOINTS.media_usage.get.endpoint)
+        .get(
+            rate_limits.read_operations,
+            TOKEN.verify,
+            async_handler(CONTROLLER.get_media_usage)
+        );
+
     // Update media record
     app.route(ENDPOINTS.media_records.put.endpoint)
         .put(
@@ -251,6 +268,25 @@ module.exports = function (app) {
             }
         );
 
+    // Get IIIF manifest for a whole published exhibit (public-facing)
+    // GET <APP_PATH>/iiif/exhibits/:exhibit_id/manifest
+    app.route(ENDPOINTS.iiif_exhibit_manifest.get.endpoint)
+        .get(
+            rate_limits.read_operations,
+            async_handler(CONTROLLER.get_iiif_exhibit_manifest)
+        );
+
+    // Canvas and range identifiers in the exhibit manifest have the same
+    // depth as an image request, so they need their own redirect ahead of it
+    app.route(ENDPOINTS.iiif_exhibit_manifest.get.endpoint + '/*')
+        .get(
+            rate_limits.read_operations,
+            (req, res) => {
+                const manifest_url = `${req.protocol}://${req.get('host')}${ENDPOINTS.iiif_exhibit_manifest.get.endpoint.replace(':exhibit_id', req.params.exhibit_id)}`;
+                res.redirect(303, manifest_url);
+            }
+        );
+
     // Get IIIF Image API info.json (public-facing)
     // GET <APP_PATH>/iiif/:media_id/info.json
     app.route(ENDPOINTS.iiif_info.get.endpoint)
@@ -259,6 +295,15 @@ module.exports = function (app) {
             async_handler(CONTROLLER.get_iiif_info)
         );
 
+    // Search the text of an uploaded PDF via IIIF Content Search 2.0 (public-facing)
+    // GET <APP_PATH>/iiif/:media_id/search?q=...
+    // PDF manifests advertise this as their SearchService2
+    app.route(ENDPOINTS.iiif_search.get.endpoint)
+        .get(
+            rate_limits.read_operations,
+            async_handler(CONTROLLER.get_iiif_search)
+        );
+
     // Serve the original stored PDF for a media record (public-facing)
     // GET <APP_PATH>/iiif/:media_id/file
     // PDF manifests reference this as the canvas "rendering" (Download PDF)
@@ -0,0 +1,93 @@
+/**
+ * Copyright 2026 University of Denver
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Storage adapter
+ *
+ * Every read and write of stored media — originals, thumbnails, derivatives,
+ * archived versions and the IIIF derivative cache — goes through the adapter
+ * selected by STORAGE_BACKEND, so the same code runs against local disk or an
+ * S3-compatible bucket. Keys are the storage-relative paths kept in the
+ * database ('images/a3/f7/<uuid>.jpg').
+ *
+ * Both backends implement:
+ *
+ *   put(key, body, {content_type})  write (atomically replaces)
+ *   get(key)                        -> Buffer; rejects with code ENOENT when missing
+ *   stream(key)                     -> Readable; rejects with code ENOENT when missing
+ *   stat(key)                       -> {size, modified} | null
+ *   delete(key)                     -> false when there was nothing to delete
+ *   list(prefix)                    -> [{key, size, modified}] under a "directory"
+ *   move(from, to)                  rejects with code ENOENT when `from` is missing
+ *   delete_prefix(prefix)           delete everything under a "directory"
+ *   local_path(key)                 -> path on disk, or null on object storage
+ *   with_local_file(key, fn)        fn(path) — a temporary download on object storage
+ *
+ * A key outside storage (absolute, or climbing out with '..') is refused with
+ * a "Path traversal attempt detected" error by every method.
+ *
+ * Usage:
+ *   const STORAGE = require('../media-library/storage-adapter')();   // shared instance
+ *   const storage = require('../media-library/storage-adapter')(config); // a new one
+ */
+
+const STORAGE_CONFIG = require('./storage_config')();
+const Local_storage = require('./storage-local');
+
+let shared = null;
+
+/**
+ * Builds the adapter for a storage configuration
+ * @param {Object} config - storage_config() shape: {backend, storage_path, permissions, s3}
+ * @returns {Object} Storage adapter
+ * @throws {Error} On an unknown backend or incomplete S3 settings
+ */
+const create_storage = (config) => {
+
+    const backend = config.backend || 'local';
+
+    if (backend === 'local') {
+        return new Local_storage({ root: config.storage_path, permissions: config.permissions });
+    }
+
+    if (backend === 's3') {
+        // Loaded on demand so local installs never load the AWS SDK
+        const S3_storage = require('./storage-s3');
+        return new S3_storage(config.s3);
+    }
+
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected local or s3)`);
+};
+
+/**
+ * @param {Object} [config] - Build a new adapter for this configuration
+ *   instead of returning the shared, environment-configured one
+ * @returns {Object} Storage adapter
+ */
+module.exports = (config) => {
+
+    if (config) {
+        return create_storage(config);
+    }
+
+    if (!shared) {
+        shared = create_storage(STORAGE_CONFIG);
+    }
+
+    return shared;
+};
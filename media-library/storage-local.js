@@ -0,0 +1,279 @@
+/**
+ * Copyright 2026 University of Denver
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Local filesystem storage backend (the default)
+ *
+ * Keys are storage-relative paths ('images/a3/f7/<uuid>.jpg') resolved under
+ * STORAGE_PATH. Bucket directories are created on write and pruned on delete
+ * so the hash-bucket tree never accumulates empty directories.
+ */
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const Local_storage = class {
+
+    /**
+     * @param {Object} config
+     * @param {string} config.root - Absolute storage root (STORAGE_PATH)
+     * @param {Object} [config.permissions] - {file, directory} modes for new entries
+     */
+    constructor(config) {
+        this.backend = 'local';
+        this.root = path.resolve(config.root);
+        this.permissions = config.permissions || { file: 0o640, directory: 0o750 };
+    }
+
+    /**
+     * Resolves a key to an absolute path inside the storage root. Absolute
+     * keys, and keys that climb out of the root (including the "<root>-evil"
+     * prefix sibling), are refused.
+     * @param {string} key - Storage key
+     * @returns {string} Absolute path
+     * @throws {Error} On a key outside storage
+     */
+    resolve(key) {
+
+        if (typeof key !== 'string' || key === '' || key.includes('\0') || path.isAbsolute(key)) {
+            throw new Error('Path traversal attempt detected: ' + key);
+        }
+
+        const absolute_path = path.resolve(this.root, key);
+
+        if (absolute_path !== this.root && !absolute_path.startsWith(this.root + path.sep)) {
+            throw new Error('Path traversal attempt detected: ' + key);
+        }
+
+        return absolute_path;
+    }
+
+    /**
+     * Writes a file, creating its bucket directories. The bytes go to a
+     * temporary file in the same directory that is then renamed over the
+     * key, so a reader never sees a partial write.
+     * @param {string} key - Storage key
+     * @param {Buffer|string} body - File content
+     * @returns {Promise<void>}
+     */
+    async put(key, body) {
+
+        const file_path = this.resolve(key);
+        const dir_path = path.dirname(file_path);
+        const tmp_path = path.join(dir_path, `.tmp-${crypto.randomBytes(8).toString('hex')}`);
+
+        await fsp.mkdir(dir_path, { recursive: true, mode: this.permissions.directory });
+
+        try {
+            await fsp.writeFile(tmp_path, body, { mode: this.permissions.file });
+            await fsp.rename(tmp_path, file_path);
+        } catch (error) {
+            await fsp.rm(tmp_path, { force: true }).catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Reads a whole file
+     * @param {string} key - Storage key
+     * @returns {Promise<Buffer>} File content
+     * @throws {Error} code ENOENT when the key does not exist
+     */
+    async get(key) {
+        return fsp.readFile(this.resolve(key));
+    }
+
+    /**
+     * Opens a file for streaming. Resolves once the file is open, so a
+     * missing key rejects before anything is written to a response.
+     * @param {string} key - Storage key
+     * @returns {Promise<stream.Readable>} File stream
+     * @throws {Error} code ENOENT when the key does not exist
+     */
+    async stream(key) {
+
+        const file_path = this.resolve(key);
+
+        return new Promise((resolve, reject) => {
+            const read_stream = fs.createReadStream(file_path);
+            read_stream.once('open', () => resolve(read_stream));
+            read_stream.once('error', reject);
+        });
+    }
+
+    /**
+     * @param {string} key - Storage key
+     * @returns {Promise<Object|null>} {size, modified}, or null when there is no such file
+     */
+    async stat(key) {
+
+        try {
+            const stats = await fsp.stat(this.resolve(key));
+            return stats.isFile() ? { size: stats.size, modified: stats.mtime } : null;
+        } catch (error) {
+            if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Deletes a file and prunes the bucket directories it leaves empty
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} False if there was no such file
+     */
+    async delete(key) {
+
+        const file_path = this.resolve(key);
+
+        try {
+            await fsp.unlink(file_path);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+
+        await this.prune(path.dirname(file_path));
+        return true;
+    }
+
+    /**
+     * Lists every file under a key prefix, recursively. The prefix names a
+     * directory ('images/' or 'iiif_cache/a3/f7/<uuid>/'); a missing one
+     * lists as empty.
+     * @param {string} prefix - Key prefix
+     * @returns {Promise<Array<Object>>} [{key, size, modified}]
+     */
+    async list(prefix) {
+
+        const files = [];
+
+        const walk = async (dir_path) => {
+
+            let entries;
+
+            try {
+                entries = await fsp.readdir(dir_path, { withFileTypes: true });
+            } catch (error) {
+                if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+                    return;
+                }
+                throw error;
+            }
+
+            for (const entry of entries) {
+
+                const entry_path = path.join(dir_path, entry.name);
+
+                if (entry.isDirectory()) {
+                    await walk(entry_path);
+                } else if (entry.isFile() && !entry.name.startsWith('.tmp-')) {
+                    const stats = await fsp.stat(entry_path).catch(() => null);
+
+                    if (stats) {
+                        files.push({
+                            key: path.relative(this.root, entry_path).split(path.sep).join('/'),
+                            size: stats.size,
+                            modified: stats.mtime
+                        });
+                    }
+                }
+            }
+        };
+
+        await walk(prefix ? this.resolve(prefix) : this.root);
+        return files;
+    }
+
+    /**
+     * Moves a file to a new key
+     * @param {string} from - Current key
+     * @param {string} to - New key
+     * @returns {Promise<void>}
+     * @throws {Error} code ENOENT when `from` does not exist
+     */
+    async move(from, to) {
+
+        const from_path = this.resolve(from);
+        const to_path = this.resolve(to);
+
+        await fsp.mkdir(path.dirname(to_path), { recursive: true, mode: this.permissions.directory });
+        await fsp.rename(from_path, to_path);
+        await this.prune(path.dirname(from_path));
+    }
+
+    /**
+     * Deletes everything under a key prefix (see list)
+     * @param {string} prefix - Key prefix
+     * @returns {Promise<void>}
+     */
+    async delete_prefix(prefix) {
+
+        const dir_path = this.resolve(prefix);
+
+        await fsp.rm(dir_path, { recursive: true, force: true });
+        await this.prune(path.dirname(dir_path));
+    }
+
+    /**
+     * The file's path on disk, for readers that need one (pyramid tiles)
+     * @param {string} key - Storage key
+     * @returns {string} Absolute path (not checked for existence)
+     */
+    local_path(key) {
+        return this.resolve(key);
+    }
+
+    /**
+     * Runs fn with a filesystem path to the file. Local files are used in place.
+     * @param {string} key - Storage key
+     * @param {Function} fn - async (file_path) => result
+     * @returns {Promise<*>} fn's result
+     */
+    async with_local_file(key, fn) {
+        return fn(this.resolve(key));
+    }
+
+    /**
+     * Removes empty directories up the bucket chain, stopping at the root
+     * @param {string} dir_path - Absolute directory to start from
+     * @returns {Promise<void>}
+     */
+    async prune(dir_path) {
+
+        if (dir_path === this.root || !dir_path.startsWith(this.root + path.sep)) {
+            return;
+        }
+
+        try {
+            await fsp.rmdir(dir_path);
+        } catch {
+            // Not empty, or removed by a concurrent request
+            return;
+        }
+
+        await this.prune(path.dirname(dir_path));
+    }
+};
+
+module.exports = Local_storage;
@@ -0,0 +1,313 @@
+/**
+ * Copyright 2026 University of Denver
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * S3-compatible object storage backend (AWS S3, MinIO, Ceph RGW, ...)
+ *
+ * Keys are the same storage-relative paths the local backend uses, stored
+ * as object keys in one bucket, so a storage tree can be synced between
+ * backends as is. Object stores have no directories: nothing needs creating
+ * or pruning, and a "prefix" is just the start of a key.
+ */
+
+const fs = require('fs');
+const fsp = fs.promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command,
+    CopyObjectCommand
+} = require('@aws-sdk/client-s3');
+
+/**
+ * Whether an SDK error means the key does not exist (GetObject reports
+ * NoSuchKey; HEAD responses have no body, so only the status is left)
+ * @param {Error} error - SDK error
+ * @returns {boolean}
+ */
+const is_not_found = (error) => {
+    return error?.name === 'NoSuchKey' || error?.name === 'NotFound' || error?.$metadata?.httpStatusCode === 404;
+};
+
+/**
+ * Rethrows a missing-key error as ENOENT, as fs would, so callers handle
+ * both backends the same way
+ * @param {Error} error - SDK error
+ * @param {string} key - Storage key
+ * @returns {Error}
+ */
+const to_storage_error = (error, key) => {
+
+    if (is_not_found(error)) {
+        const missing = new Error(`ENOENT: no such object, '${key}'`);
+        missing.code = 'ENOENT';
+        return missing;
+    }
+
+    return error;
+};
+
+const S3_storage = class {
+
+    /**
+     * @param {Object} config - storage_config().s3
+     * @param {string|null} config.endpoint - S3-compatible endpoint URL; null for AWS
+     * @param {string} config.region - Bucket region
+     * @param {string} config.bucket - Bucket name
+     * @param {string|null} config.access_key_id - null to use the SDK's credential chain
+     * @param {string|null} config.secret_access_key
+     * @param {boolean} config.force_path_style - Path-style bucket URLs (MinIO)
+     */
+    constructor(config) {
+
+        if (!config || !config.bucket) {
+            throw new Error('STORAGE_S3_BUCKET is required for the s3 storage backend');
+        }
+
+        this.backend = 's3';
+        this.bucket = config.bucket;
+        this.client = new S3Client({
+            endpoint: config.endpoint || undefined,
+            region: config.region || 'us-east-1',
+            forcePathStyle: config.force_path_style === true,
+            credentials: config.access_key_id && config.secret_access_key ? {
+                accessKeyId: config.access_key_id,
+                secretAccessKey: config.secret_access_key
+            } : undefined,
+            // The SDK's default request checksums are not accepted by every
+            // S3-compatible server; only send them where S3 requires one
+            requestChecksumCalculation: 'WHEN_REQUIRED',
+            responseChecksumValidation: 'WHEN_REQUIRED'
+        });
+    }
+
+    /**
+     * Normalizes a key, refusing absolute keys and keys that climb above the
+     * bucket root, as the local backend does
+     * @param {string} key - Storage key
+     * @returns {string} Object key
+     * @throws {Error} On a key outside storage
+     */
+    resolve(key) {
+
+        if (typeof key !== 'string' || key === '' || key.includes('\0') || path.posix.isAbsolute(key) || path.isAbsolute(key)) {
+            throw new Error('Path traversal attempt detected: ' + key);
+        }
+
+        const normalized = path.posix.normalize(key.split(path.sep).join('/'));
+
+        if (normalized === '..' || normalized.startsWith('../') || normalized === '.') {
+            throw new Error('Path traversal attempt detected: ' + key);
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Normalizes a list/delete prefix to end in '/', so 'iiif_cache/a3/f7/<uuid>'
+     * does not also match a longer sibling key
+     * @param {string} prefix - Key prefix
+     * @returns {string}
+     */
+    resolve_prefix(prefix) {
+        return prefix ? this.resolve(prefix).replace(/\/?$/, '/') : '';
+    }
+
+    /**
+     * Writes an object (S3 PUTs replace atomically)
+     * @param {string} key - Storage key
+     * @param {Buffer|string} body - File content
+     * @param {Object} [options] - {content_type}
+     * @returns {Promise<void>}
+     */
+    async put(key, body, options = {}) {
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: this.resolve(key),
+            Body: body,
+            ContentType: options.content_type || undefined
+        }));
+    }
+
+    /**
+     * Reads a whole object
+     * @param {string} key - Storage key
+     * @returns {Promise<Buffer>} Object content
+     * @throws {Error} code ENOENT when the key does not exist
+     */
+    async get(key) {
+
+        try {
+            const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this.resolve(key) }));
+            return Buffer.from(await response.Body.transformToByteArray());
+        } catch (error) {
+            throw to_storage_error(error, key);
+        }
+    }
+
+    /**
+     * Opens an object for streaming
+     * @param {string} key - Storage key
+     * @returns {Promise<stream.Readable>} Object body
+     * @throws {Error} code ENOENT when the key does not exist
+     */
+    async stream(key) {
+
+        try {
+            const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this.resolve(key) }));
+            return response.Body;
+        } catch (error) {
+            throw to_storage_error(error, key);
+        }
+    }
+
+    /**
+     * @param {string} key - Storage key
+     * @returns {Promise<Object|null>} {size, modified}, or null when there is no such object
+     */
+    async stat(key) {
+
+        try {
+            const response = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.resolve(key) }));
+            return { size: response.ContentLength, modified: response.LastModified };
+        } catch (error) {
+            if (is_not_found(error)) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Deletes an object. S3 DELETE succeeds whether or not the key exists,
+     * so existence is checked first to report a missing one.
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} False if there was no such object
+     */
+    async delete(key) {
+
+        if (!(await this.stat(key))) {
+            return false;
+        }
+
+        await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.resolve(key) }));
+        return true;
+    }
+
+    /**
+     * Lists every object under a key prefix, following continuation tokens
+     * @param {string} prefix - Key prefix (a "directory", see resolve_prefix)
+     * @returns {Promise<Array<Object>>} [{key, size, modified}]
+     */
+    async list(prefix) {
+
+        const files = [];
+        let token;
+
+        do {
+
+            const response = await this.client.send(new ListObjectsV2Command({
+                Bucket: this.bucket,
+                Prefix: this.resolve_prefix(prefix) || undefined,
+                ContinuationToken: token
+            }));
+
+            for (const object of response.Contents || []) {
+                files.push({ key: object.Key, size: object.Size, modified: object.LastModified });
+            }
+
+            token = response.IsTruncated ? response.NextContinuationToken : undefined;
+
+        } while (token);
+
+        return files;
+    }
+
+    /**
+     * Moves an object: a server-side copy, then a delete of the source
+     * @param {string} from - Current key
+     * @param {string} to - New key
+     * @returns {Promise<void>}
+     * @throws {Error} code ENOENT when `from` does not exist
+     */
+    async move(from, to) {
+
+        const source = this.resolve(from);
+
+        try {
+            await this.client.send(new CopyObjectCommand({
+                Bucket: this.bucket,
+                Key: this.resolve(to),
+                CopySource: `${this.bucket}/${source.split('/').map(encodeURIComponent).join('/')}`
+            }));
+        } catch (error) {
+            throw to_storage_error(error, from);
+        }
+
+        await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: source }));
+    }
+
+    /**
+     * Deletes every object under a key prefix
+     * @param {string} prefix - Key prefix
+     * @returns {Promise<void>}
+     */
+    async delete_prefix(prefix) {
+
+        for (const file of await this.list(prefix)) {
+            await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: file.key }));
+        }
+    }
+
+    /**
+     * Objects have no path on disk
+     * @returns {null}
+     */
+    local_path() {
+        return null;
+    }
+
+    /**
+     * Runs fn with a filesystem path to the object, for tools that only read
+     * files (exiftool). The object is downloaded to a temporary file that is
+     * removed when fn settles.
+     * @param {string} key - Storage key
+     * @param {Function} fn - async (file_path) => result
+     * @returns {Promise<*>} fn's result
+     */
+    async with_local_file(key, fn) {
+
+        const tmp_path = path.join(os.tmpdir(), `exhibits-storage-${crypto.randomBytes(8).toString('hex')}${path.extname(key)}`);
+
+        try {
+            await pipeline(await this.stream(key), fs.createWriteStream(tmp_path, { mode: 0o600 }));
+            return await fn(tmp_path);
+        } finally {
+            await fsp.rm(tmp_path, { force: true });
+        }
+    }
+};
+
+module.exports = S3_storage;
@@ -28,9 +28,19 @@
  * Environment Variables:
  * - STORAGE_PATH: Path to media storage directory (default: ./media-library/storage)
  * - UPLOAD_MAX: Maximum upload file size in bytes (default: 100000000 = ~100MB)
+ * - BUNDLE_MAX: Maximum exhibit import bundle size in bytes (default: 500000000 = ~500MB)
+ * - INGEST_MAX: Maximum batch ingest zip size in bytes (default: 2000000000 = ~2GB)
  * - THUMBNAIL_WIDTH: Maximum thumbnail width in pixels (default: 400)
  * - THUMBNAIL_HEIGHT: Maximum thumbnail height in pixels (default: 400)
  * - THUMBNAIL_QUALITY: JPEG quality for thumbnails 1-100 (default: 80)
+ * - IIIF_TILE_SIZE: Tile edge in pixels for pyramidal image derivatives (default: 512)
+ * - STORAGE_BACKEND: Where files are kept — 'local' (STORAGE_PATH) or 's3' (default: local)
+ * - STORAGE_S3_ENDPOINT: S3-compatible endpoint URL; blank for AWS (e.g. http://minio:9000)
+ * - STORAGE_S3_REGION: Bucket region (default: us-east-1)
+ * - STORAGE_S3_BUCKET: Bucket the storage tree is kept in
+ * - STORAGE_S3_ACCESS_KEY_ID / STORAGE_S3_SECRET_ACCESS_KEY: Credentials; blank to use the
+ *   SDK's default credential chain
+ * - STORAGE_S3_FORCE_PATH_STYLE: 'true' for path-style bucket URLs (MinIO, Ceph) (default: false)
  */
 
 'use strict';
@@ -41,25 +51,52 @@ module.exports = () => {
     // Read from environment variables with sensible defaults
     const storage_path = process.env.STORAGE_PATH || './media-library/storage';
     const upload_max = parseInt(process.env.UPLOAD_MAX, 10) || 100000000; // 100MB default
+    const bundle_max = parseInt(process.env.BUNDLE_MAX, 10) || 500000000; // 500MB default
+    const ingest_max = parseInt(process.env.INGEST_MAX, 10) || 2000000000; // 2GB default
 
     // Thumbnail settings
     const thumbnail_width = parseInt(process.env.THUMBNAIL_WIDTH, 10) || 400;
     const thumbnail_height = parseInt(process.env.THUMBNAIL_HEIGHT, 10) || 400;
     const thumbnail_quality = parseInt(process.env.THUMBNAIL_QUALITY, 10) || 80;
 
+    // Pyramidal derivative settings (IIIF tiles)
+    const tile_size = parseInt(process.env.IIIF_TILE_SIZE, 10) || 512;
+
+    // Storage backend. Keys are the same storage-relative paths either way.
+    const backend = (process.env.STORAGE_BACKEND || 'local').trim().toLowerCase();
+
     // Resolve storage path relative to project root
     const resolved_storage_path = path.resolve(process.cwd(), storage_path);
 
     return {
-        // Absolute path to storage directory
+        // 'local' or 's3' (see media-library/storage-adapter.js)
+        backend: backend,
+
+        // Absolute path to storage directory (local backend)
         storage_path: resolved_storage_path,
 
+        // S3-compatible object storage (s3 backend)
+        s3: {
+            endpoint: process.env.STORAGE_S3_ENDPOINT || null,
+            region: process.env.STORAGE_S3_REGION || 'us-east-1',
+            bucket: process.env.STORAGE_S3_BUCKET || null,
+            access_key_id: process.env.STORAGE_S3_ACCESS_KEY_ID || null,
+            secret_access_key: process.env.STORAGE_S3_SECRET_ACCESS_KEY || null,
+            force_path_style: process.env.STORAGE_S3_FORCE_PATH_STYLE === 'true'
+        },
+
         // Maximum upload file size in bytes
         upload_max: upload_max,
 
         // Human-readable max size for display
         upload_max_mb: Math.round(upload_max / (1024 * 1024)),
 
+        // Maximum exhibit import bundle size in bytes (bundles embed base64 media files)
+        bundle_max: bundle_max,
+
+        // Maximum batch ingest zip size in bytes (spooled to disk, read entry by entry)
+        ingest_max: ingest_max,
+
         // Thumbnail generation settings
         thumbnail: {
             width: thumbnail_width,
@@ -67,6 +104,13 @@ module.exports = () => {
             quality: thumbnail_quality
         },
 
+        // Pyramidal tiled TIFF written next to each uploaded image; the IIIF
+        // image service reads tiles from the level nearest the requested scale
+        pyramid: {
+            tile_size: tile_size,
+            quality: 90
+        },
+
         // File and directory permissions
         permissions: {
             file: 0o640,
@@ -79,7 +123,9 @@ module.exports = () => {
             pdf: 'documents',
             video: 'video',
             audio: 'audio',
-            thumbnails: 'thumbnails'
+            thumbnails: 'thumbnails',
+            // Files superseded by a replacement: versions/<b1>/<b2>/<uuid>/v<N>/
+            versions: 'versions'
         },
 
         // Allowed file types configuration (images and PDFs only)
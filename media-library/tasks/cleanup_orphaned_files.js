@@ -19,10 +19,12 @@
 /**
  * Orphaned File Cleanup Script
  *
- * Scans the hash-bucketed storage directories for files whose UUIDs
- * do not have a corresponding record in the media_library_records table.
- * Orphaned files and their thumbnails are deleted, and empty hash-bucket
- * directories are pruned.
+ * Scans the hash-bucketed storage directories, through the storage adapter
+ * (local disk or S3-compatible bucket), for files that no media record or
+ * archived file version references. Orphaned files, their derivatives and
+ * their thumbnails are deleted; on local storage empty hash-bucket
+ * directories are pruned. IIIF cache entries of media records that no
+ * longer exist are swept as well.
  *
  * Usage:
  *   node media-library/tasks/cleanup_orphaned_files.js              (dry run — default)
@@ -35,7 +37,7 @@
  * Environment:
  *   Loads .env from the project root automatically via dotenv.
  *   Requires the same environment variables as the main application
- *   (DB connection, STORAGE_PATH, etc.)
+ *   (DB connection, STORAGE_BACKEND with STORAGE_PATH or the S3 settings, etc.)
  *
  * Output:
  *   Logs all actions via the application logger and prints a summary to stdout.
@@ -48,7 +50,6 @@
 'use strict';
 
 const path = require('path');
-const fs = require('fs').promises;
 
 // ---------------------------------------------------------------------------
 // Anchor to project root
@@ -57,7 +58,7 @@ const fs = require('fs').promises;
 // All application modules resolve paths relative to process.cwd(), so we
 // must set CWD to the project root BEFORE requiring anything else.
 // This ensures:
-//   - storage_config resolves STORAGE_PATH correctly
+//   - storage_config resolves STORAGE_PATH correctly (local backend)
 //   - log4js writes to ./logs/exhibits.log at the project root
 //   - db_config and other configs find .env and resolve properly
 const PROJECT_ROOT = path.resolve(__dirname, '../../');
@@ -73,8 +74,10 @@ try {
 // Load application modules (now that CWD is project root)
 const DB = require('../../config/db_config')();
 const DB_TABLES = require('../../config/db_tables_config')();
-const TABLES = DB_TABLES.media_library_records;
+const TABLES = DB_TABLES.exhibits;
 const STORAGE_CONFIG = require('../../media-library/storage_config')();
+const STORAGE = require('../../media-library/storage-adapter')();
+const IIIF_CACHE = require('../../media-library/iiif-cache');
 const LOGGER = require('../../libs/log4');
 
 // Reconfigure log4js to file-only output (suppress stdout appender).
@@ -102,7 +105,6 @@ LOG4JS.configure({
 // Configuration
 // ---------------------------------------------------------------------------
 
-const STORAGE_PATH = STORAGE_CONFIG.storage_path;
 const MEDIA_TYPE_DIRS = STORAGE_CONFIG.media_type_dirs || {
     image: 'images',
     pdf: 'documents',
@@ -119,12 +121,6 @@ const PRIMARY_DIRS = [
     MEDIA_TYPE_DIRS.audio       // 'audio'
 ].filter(Boolean);
 
-// IIIF derivative-cache subtree (see media-library/iiif-cache.js). Its layout is
-// iiif_cache/<b1>/<b2>/<uuid>/<version>/<variant>.<ext>, so each record's
-// derivatives live under one <uuid> directory that is swept whole when the
-// UUID no longer has a DB record.
-const IIIF_CACHE_DIR = 'iiif_cache';
-
 // Batch size for DB lookups — keeps queries manageable
 const DB_BATCH_SIZE = 200;
 
@@ -136,116 +132,123 @@ const UUID_REGEX = /^([0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}
 const MIN_AGE_HOURS = 24;
 
 // ---------------------------------------------------------------------------
-// Filesystem Scanning
+// Storage Scanning
 // ---------------------------------------------------------------------------
 
 /**
- * Recursively walks a directory tree and collects all file paths
- * @param {string} dir_path - Directory to walk
- * @returns {Promise<string[]>} Array of absolute file paths
+ * Extracts the UUID from a storage filename
+ * Handles primary files (uuid.ext), their derivatives (uuid_pyramid.tif,
+ * uuid_text.json) and thumbnails (uuid_thumb.jpg)
+ * @param {string} key - Storage key or path
+ * @returns {string|null} Extracted UUID or null if not a UUID-named file
  */
-const walk_directory = async (dir_path) => {
+const extract_uuid_from_path = (key) => {
+    const basename = path.posix.basename(String(key).replace(/&#x2F;/gi, '/'));
+    const match = basename.match(UUID_REGEX);
+    return match ? match[1].toLowerCase() : null;
+};
 
-    const results = [];
+/**
+ * Lists the primary storage directories, grouping each stored file with its
+ * derivatives by the file UUID in their names
+ * @returns {Promise<Object>} {files_scanned, file_map: Map(uuid -> {dir_type, files: [{key, size, modified}]})}
+ */
+const scan_primary_files = async () => {
 
-    try {
-        const entries = await fs.readdir(dir_path, { withFileTypes: true });
+    const file_map = new Map();
+    let files_scanned = 0;
+
+    for (const dir_name of PRIMARY_DIRS) {
+
+        for (const file of await STORAGE.list(`${dir_name}/`)) {
 
-        for (const entry of entries) {
-            const full_path = path.join(dir_path, entry.name);
+            files_scanned++;
+            const uuid = extract_uuid_from_path(file.key);
 
-            if (entry.isDirectory()) {
-                const nested = await walk_directory(full_path);
-                results.push(...nested);
-            } else if (entry.isFile()) {
-                results.push(full_path);
+            if (!uuid) {
+                continue;
             }
-        }
-    } catch (error) {
-        // Directory may not exist (e.g., no video files uploaded yet)
-        if (error.code !== 'ENOENT') {
-            LOGGER.module().warn(`WARNING: [cleanup] Could not read directory ${dir_path}: ${error.message}`);
+
+            if (!file_map.has(uuid)) {
+                file_map.set(uuid, { dir_type: dir_name, files: [] });
+            }
+
+            file_map.get(uuid).files.push(file);
         }
     }
 
-    return results;
-};
-
-/**
- * Extracts the UUID from a storage filename
- * Handles both primary files (uuid.ext) and thumbnails (uuid_thumb.jpg)
- * @param {string} file_path - Absolute file path
- * @returns {string|null} Extracted UUID or null if not a UUID-named file
- */
-const extract_uuid_from_path = (file_path) => {
-    const basename = path.basename(file_path);
-    const match = basename.match(UUID_REGEX);
-    return match ? match[1].toLowerCase() : null;
+    return { files_scanned, file_map };
 };
 
 /**
- * Collects the UUID-level directories of the IIIF derivative cache.
- * The cache nests as iiif_cache/<b1>/<b2>/<uuid>/..., so the UUID is a
- * directory name (not a filename). Missing cache root is normal (nothing
- * cached yet) and returns an empty map.
- * @param {string} cache_root - Absolute path to the iiif_cache directory
- * @returns {Promise<Map<string, string>>} Map of uuid -> absolute uuid-dir path
+ * Collects the IIIF derivative cache by media record UUID. The cache nests
+ * as iiif_cache/<b1>/<b2>/<uuid>/..., so the UUID is the fourth key segment.
+ * @returns {Promise<Map<string, Array<Object>>>} Map of uuid -> cached files [{key, size, modified}]
  */
-const scan_iiif_cache_uuid_dirs = async (cache_root) => {
+const scan_iiif_cache = async () => {
 
     const map = new Map();
 
-    let bucket1_entries;
+    for (const file of await STORAGE.list(`${IIIF_CACHE.CACHE_DIR_NAME}/`)) {
 
-    try {
-        bucket1_entries = await fs.readdir(cache_root, { withFileTypes: true });
-    } catch (error) {
-        if (error.code !== 'ENOENT') {
-            LOGGER.module().warn(`WARNING: [cleanup] Could not read IIIF cache ${cache_root}: ${error.message}`);
-        }
-        return map; // No cache directory yet — nothing to sweep
-    }
-
-    for (const bucket1 of bucket1_entries) {
+        const uuid = (file.key.split('/')[3] || '').toLowerCase();
 
-        if (!bucket1.isDirectory()) {
+        if (!UUID_REGEX.test(uuid)) {
             continue;
         }
 
-        const bucket1_path = path.join(cache_root, bucket1.name);
-        const bucket2_entries = await fs.readdir(bucket1_path, { withFileTypes: true }).catch(() => []);
+        if (!map.has(uuid)) {
+            map.set(uuid, []);
+        }
 
-        for (const bucket2 of bucket2_entries) {
+        map.get(uuid).push(file);
+    }
 
-            if (!bucket2.isDirectory()) {
-                continue;
-            }
+    return map;
+};
 
-            const bucket2_path = path.join(bucket1_path, bucket2.name);
-            const uuid_entries = await fs.readdir(bucket2_path, { withFileTypes: true }).catch(() => []);
+// ---------------------------------------------------------------------------
+// Database Lookups
+// ---------------------------------------------------------------------------
+
+/**
+ * Collects the file UUIDs referenced by the database. A stored file is named
+ * for the UUID it was stored under, which is not its media record's UUID, so
+ * files are matched on the storage and thumbnail paths of every media record
+ * (soft-deleted ones included, as they may be restored) and of every
+ * archived file version.
+ *
+ * Unlike the record lookup below this throws on a database error: a partial
+ * set would mark referenced files as orphans.
+ *
+ * @returns {Promise<Set<string>>} Referenced file UUIDs
+ */
+const get_referenced_file_uuids = async () => {
 
-            for (const entry of uuid_entries) {
+    const referenced = new Set();
 
-                if (!entry.isDirectory()) {
-                    continue;
-                }
+    const rows = [
+        ...await DB(TABLES.media_library_records)
+            .select('storage_path', 'thumbnail_path')
+            .timeout(60000),
+        ...await DB(TABLES.media_version_records)
+            .select('storage_path', 'thumbnail_path')
+            .timeout(60000)
+    ];
 
-                const uuid = entry.name.toLowerCase();
+    for (const row of rows) {
+        for (const key of [row.storage_path, row.thumbnail_path]) {
+            const uuid = key ? extract_uuid_from_path(key) : null;
 
-                if (UUID_REGEX.test(uuid)) {
-                    map.set(uuid, path.join(bucket2_path, entry.name));
-                }
+            if (uuid) {
+                referenced.add(uuid);
             }
         }
     }
 
-    return map;
+    return referenced;
 };
 
-// ---------------------------------------------------------------------------
-// Database Lookups
-// ---------------------------------------------------------------------------
-
 /**
  * Checks which UUIDs from a list exist in the media_library_records table
  * Includes both active and soft-deleted records to avoid deleting files
@@ -290,71 +293,31 @@ const get_existing_uuids = async (uuids) => {
 // ---------------------------------------------------------------------------
 
 /**
- * Deletes a file and prunes empty parent directories up to the storage root
- * @param {string} file_path - Absolute path to file
+ * Deletes a stored file (the local backend prunes emptied bucket directories)
+ * @param {string} key - Storage key
  * @returns {Promise<boolean>} True if file was deleted
  */
-const delete_file = async (file_path) => {
+const delete_file = async (key) => {
 
     try {
-        await fs.unlink(file_path);
-        await prune_empty_parents(path.dirname(file_path));
-        return true;
+        return await STORAGE.delete(key);
     } catch (error) {
-        if (error.code === 'ENOENT') {
-            return false; // Already gone
-        }
-        LOGGER.module().error(`ERROR: [cleanup] Failed to delete ${file_path}: ${error.message}`);
+        LOGGER.module().error(`ERROR: [cleanup] Failed to delete ${key}: ${error.message}`);
         return false;
     }
 };
 
 /**
- * Removes empty directories up the hash-bucket chain
- * Stops at the storage root to avoid deleting top-level type directories
- * @param {string} dir_path - Starting directory to check
- * @returns {Promise<void>}
- */
-const prune_empty_parents = async (dir_path) => {
-
-    const resolved_storage = path.resolve(STORAGE_PATH);
-
-    // Stop at or above the storage root
-    if (!dir_path.startsWith(resolved_storage) || dir_path === resolved_storage) {
-        return;
-    }
-
-    // Don't remove top-level type directories (images/, documents/, etc.)
-    const relative = path.relative(resolved_storage, dir_path);
-    const depth = relative.split(path.sep).length;
-
-    if (depth <= 1) {
-        return; // This is a type directory like 'images' — keep it
-    }
-
-    try {
-        const entries = await fs.readdir(dir_path);
-
-        if (entries.length === 0) {
-            await fs.rmdir(dir_path);
-            await prune_empty_parents(path.dirname(dir_path));
-        }
-    } catch {
-        // Directory may have been removed by a concurrent operation
-    }
-};
-
-/**
- * Builds the expected thumbnail path for a given UUID
+ * Builds the expected thumbnail key for a given UUID
  * Mirrors the logic in uploads.js build_thumbnail_path()
  * @param {string} uuid - File UUID
- * @returns {string} Absolute path to expected thumbnail
+ * @returns {string} Storage key of the expected thumbnail
  */
 const get_thumbnail_path = (uuid) => {
     const clean = uuid.replace(/-/g, '');
     const bucket1 = clean.substring(0, 2);
     const bucket2 = clean.substring(2, 4);
-    return path.join(STORAGE_PATH, MEDIA_TYPE_DIRS.thumbnails, bucket1, bucket2, `${uuid}_thumb.jpg`);
+    return path.posix.join(MEDIA_TYPE_DIRS.thumbnails, bucket1, bucket2, `${uuid}_thumb.jpg`);
 };
 
 // ---------------------------------------------------------------------------
@@ -362,20 +325,18 @@ const get_thumbnail_path = (uuid) => {
 // ---------------------------------------------------------------------------
 
 /**
- * Checks if a file is older than the minimum age threshold
- * @param {string} file_path - Absolute file path
- * @returns {Promise<boolean>} True if file is old enough to be eligible
+ * Checks if every file in a group is older than the minimum age threshold
+ * @param {Array<Object>} files - [{key, size, modified}]
+ * @returns {boolean} True if the files are old enough to be eligible
  */
-const is_old_enough = async (file_path) => {
+const is_old_enough = (files) => {
 
-    try {
-        const stats = await fs.stat(file_path);
-        const age_ms = Date.now() - stats.mtimeMs;
-        const age_hours = age_ms / (1000 * 60 * 60);
-        return age_hours >= MIN_AGE_HOURS;
-    } catch {
-        return false; // Can't stat — skip it
-    }
+    const cutoff = Date.now() - MIN_AGE_HOURS * 60 * 60 * 1000;
+
+    return files.every((file) => {
+        const modified = new Date(file.modified).getTime();
+        return Number.isFinite(modified) && modified <= cutoff;
+    });
 };
 
 // ---------------------------------------------------------------------------
@@ -394,7 +355,7 @@ const run_cleanup = async (dry_run = true) => {
     console.log(`\n========================================`);
     console.log(`  Orphaned File Cleanup — ${mode_label}`);
     console.log(`========================================`);
-    console.log(`Storage path: ${STORAGE_PATH}`);
+    console.log(`Storage:      ${STORAGE.backend === 's3' ? `s3://${STORAGE.bucket}` : STORAGE.root}`);
     console.log(`Min file age: ${MIN_AGE_HOURS} hours`);
     console.log(`Scanning:     ${PRIMARY_DIRS.join(', ')}\n`);
 
@@ -417,45 +378,31 @@ const run_cleanup = async (dry_run = true) => {
     // Step 1: Scan primary storage directories for all files
     console.log('Step 1: Scanning storage directories...');
 
-    const file_map = new Map(); // uuid → { file_path, dir_type }
-
-    for (const dir_name of PRIMARY_DIRS) {
-        const dir_path = path.join(STORAGE_PATH, dir_name);
-        const files = await walk_directory(dir_path);
-
-        for (const file_path of files) {
-            stats.files_scanned++;
-            const uuid = extract_uuid_from_path(file_path);
-
-            if (uuid) {
-                file_map.set(uuid, {
-                    file_path,
-                    dir_type: dir_name
-                });
-            }
-        }
-    }
+    const { files_scanned, file_map } = await scan_primary_files();
 
+    stats.files_scanned = files_scanned;
     stats.uuids_found = file_map.size;
     console.log(`  Found ${stats.files_scanned} files (${stats.uuids_found} unique UUIDs)\n`);
 
+    // Step 2: Check which file UUIDs the database references
+    const all_uuids = Array.from(file_map.keys());
+    let orphaned_uuids = [];
+
     if (stats.uuids_found === 0) {
-        console.log('No files found in storage. Nothing to clean up.');
-        return stats;
-    }
+        console.log('No files found in storage.\n');
+    } else {
 
-    // Step 2: Check which UUIDs exist in the database
-    console.log('Step 2: Checking UUIDs against database...');
+        console.log('Step 2: Checking file UUIDs against database...');
 
-    const all_uuids = Array.from(file_map.keys());
-    const existing_uuids = await get_existing_uuids(all_uuids);
+        const referenced = await get_referenced_file_uuids();
 
-    stats.uuids_in_db = existing_uuids.size;
-    console.log(`  ${stats.uuids_in_db} of ${stats.uuids_found} UUIDs have DB records\n`);
+        stats.uuids_in_db = all_uuids.filter(uuid => referenced.has(uuid)).length;
+        console.log(`  ${stats.uuids_in_db} of ${stats.uuids_found} UUIDs are referenced by media records\n`);
 
-    // Step 3: Identify and process orphans
-    const orphaned_uuids = all_uuids.filter(uuid => !existing_uuids.has(uuid));
+        orphaned_uuids = all_uuids.filter(uuid => !referenced.has(uuid));
+    }
 
+    // Step 3: Identify and process orphans
     if (orphaned_uuids.length === 0) {
         console.log('No orphaned primary files found.\n');
         LOGGER.module().info('INFO: [cleanup] No orphaned primary files found');
@@ -467,9 +414,7 @@ const run_cleanup = async (dry_run = true) => {
         const entry = file_map.get(uuid);
 
         // Check age threshold — don't delete files that may be mid-upload
-        const old_enough = await is_old_enough(entry.file_path);
-
-        if (!old_enough) {
+        if (!is_old_enough(entry.files)) {
             stats.skipped_too_new++;
             console.log(`  SKIP (too new): ${entry.dir_type}/${uuid}`);
             continue;
@@ -477,27 +422,24 @@ const run_cleanup = async (dry_run = true) => {
 
         stats.orphaned_files++;
 
-        // Get file size for reporting
-        let file_size = 0;
-
-        try {
-            const file_stats = await fs.stat(entry.file_path);
-            file_size = file_stats.size;
-        } catch {
-            // File may have been removed between scan and now
-        }
+        // The original and its derivatives (pyramid, text sidecar) go together
+        const file_size = entry.files.reduce((total, file) => total + (file.size || 0), 0);
 
-        console.log(`  ORPHAN: ${entry.dir_type}/${uuid} (${format_bytes(file_size)})`);
-        LOGGER.module().info(`INFO: [cleanup] Orphaned file: ${entry.file_path} (${format_bytes(file_size)})`);
+        console.log(`  ORPHAN: ${entry.dir_type}/${uuid} (${format_bytes(file_size)}, ${entry.files.length} file(s))`);
+        LOGGER.module().info(`INFO: [cleanup] Orphaned file: ${entry.files.map(file => file.key).join(', ')} (${format_bytes(file_size)})`);
 
         if (!dry_run) {
 
-            const deleted = await delete_file(entry.file_path);
+            let deleted = true;
+
+            for (const file of entry.files) {
+                deleted = await delete_file(file.key) && deleted;
+            }
 
             if (deleted) {
                 stats.files_deleted++;
                 stats.bytes_recovered += file_size;
-                LOGGER.module().info(`INFO: [cleanup] Deleted orphaned file: ${entry.file_path}`);
+                LOGGER.module().info(`INFO: [cleanup] Deleted orphaned file: ${entry.dir_type}/${uuid}`);
             } else {
                 stats.errors++;
             }
@@ -505,86 +447,63 @@ const run_cleanup = async (dry_run = true) => {
 
         // Check for and handle the corresponding thumbnail
         const thumbnail_path = get_thumbnail_path(uuid);
+        const thumbnail = await STORAGE.stat(thumbnail_path).catch(() => null);
 
-        try {
-
-            await fs.access(thumbnail_path);
-            stats.orphaned_thumbnails++;
-
-            let thumb_size = 0;
-
-            try {
-                const thumb_stats = await fs.stat(thumbnail_path);
-                thumb_size = thumb_stats.size;
-            } catch {
-                // Non-critical
-            }
+        if (!thumbnail) {
+            continue; // No thumbnail exists for this UUID — that's fine
+        }
 
-            console.log(`  ORPHAN (thumbnail): thumbnails/${uuid}_thumb.jpg (${format_bytes(thumb_size)})`);
+        stats.orphaned_thumbnails++;
+        console.log(`  ORPHAN (thumbnail): thumbnails/${uuid}_thumb.jpg (${format_bytes(thumbnail.size)})`);
 
-            if (!dry_run) {
+        if (!dry_run) {
 
-                const deleted = await delete_file(thumbnail_path);
+            const deleted = await delete_file(thumbnail_path);
 
-                if (deleted) {
-                    stats.thumbnails_deleted++;
-                    stats.bytes_recovered += thumb_size;
-                    LOGGER.module().info(`INFO: [cleanup] Deleted orphaned thumbnail: ${thumbnail_path}`);
-                } else {
-                    stats.errors++;
-                }
+            if (deleted) {
+                stats.thumbnails_deleted++;
+                stats.bytes_recovered += thumbnail.size;
+                LOGGER.module().info(`INFO: [cleanup] Deleted orphaned thumbnail: ${thumbnail_path}`);
+            } else {
+                stats.errors++;
             }
-
-        } catch {
-            // No thumbnail exists for this UUID — that's fine
         }
     }
 
     // Step 4: Sweep orphaned IIIF derivative-cache directories
-    // A cached UUID with no DB record (e.g. a hard-deleted record whose purge
-    // was missed) is removed whole. Soft-deleted records still have a DB row,
-    // so their derivatives are retained — matching how their source files are.
+    // The cache is keyed by media record UUID. A cached UUID with no DB
+    // record (e.g. a hard-deleted record whose purge was missed) is removed
+    // whole. Soft-deleted records still have a DB row, so their derivatives
+    // are retained — matching how their source files are.
     console.log('Step 4: Sweeping IIIF derivative cache...');
 
-    const cache_root = path.join(STORAGE_PATH, IIIF_CACHE_DIR);
-    const cache_uuid_dirs = await scan_iiif_cache_uuid_dirs(cache_root);
-    stats.cache_uuids_found = cache_uuid_dirs.size;
+    const cache_uuid_files = await scan_iiif_cache();
+    stats.cache_uuids_found = cache_uuid_files.size;
 
-    if (cache_uuid_dirs.size === 0) {
+    if (cache_uuid_files.size === 0) {
         console.log('  No cached derivatives found.\n');
     } else {
 
-        const cache_uuids = Array.from(cache_uuid_dirs.keys());
+        const cache_uuids = Array.from(cache_uuid_files.keys());
         const cache_existing = await get_existing_uuids(cache_uuids);
         const cache_orphans = cache_uuids.filter(uuid => !cache_existing.has(uuid));
 
-        console.log(`  ${cache_uuid_dirs.size} cached UUID(s); ${cache_orphans.length} orphaned\n`);
+        console.log(`  ${cache_uuid_files.size} cached UUID(s); ${cache_orphans.length} orphaned\n`);
 
         for (const uuid of cache_orphans) {
 
-            const dir = cache_uuid_dirs.get(uuid);
-
-            // Sum the directory's bytes for reporting
-            const files = await walk_directory(dir);
-            let dir_bytes = 0;
-
-            for (const file_path of files) {
-                try {
-                    dir_bytes += (await fs.stat(file_path)).size;
-                } catch {
-                    // File may have been removed concurrently
-                }
-            }
+            const files = cache_uuid_files.get(uuid);
+            const dir = IIIF_CACHE.uuid_directory(uuid);
+            const dir_bytes = files.reduce((total, file) => total + (file.size || 0), 0);
 
             stats.orphaned_cache_dirs++;
-            console.log(`  ORPHAN (cache): ${IIIF_CACHE_DIR}/.../${uuid} (${format_bytes(dir_bytes)}, ${files.length} file(s))`);
+            console.log(`  ORPHAN (cache): ${IIIF_CACHE.CACHE_DIR_NAME}/.../${uuid} (${format_bytes(dir_bytes)}, ${files.length} file(s))`);
             LOGGER.module().info(`INFO: [cleanup] Orphaned IIIF cache dir: ${dir} (${format_bytes(dir_bytes)})`);
 
             if (!dry_run) {
 
                 try {
-                    await fs.rm(dir, { recursive: true, force: true });
-                    await prune_empty_parents(path.dirname(dir));
+                    await STORAGE.delete_prefix(dir);
                     stats.cache_dirs_deleted++;
                     stats.bytes_recovered += dir_bytes;
                     LOGGER.module().info(`INFO: [cleanup] Deleted orphaned IIIF cache dir: ${dir}`);
@@ -661,8 +580,8 @@ const main = async () => {
         console.log(`
 Usage: node media-library/tasks/cleanup_orphaned_files.js [options]
 
-Scans storage for files whose UUIDs have no matching database record
-and optionally deletes them. Can be run from any working directory.
+Scans storage for files that no media record references and optionally
+deletes them. Can be run from any working directory.
 
 Options:
   --delete    Actually delete orphaned files (default is dry run)
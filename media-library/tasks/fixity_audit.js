@@ -0,0 +1,239 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+/**
+ * Fixity Audit Script
+ *
+ * Re-hashes the stored original of every uploaded media record, through the
+ * storage adapter (local disk or S3-compatible bucket), and compares it with
+ * the SHA-256 recorded at upload. Each file is reported as ok, missing,
+ * changed or unreadable, and the outcome is recorded on its media record for
+ * the dashboard's Fixity page. Files are checked least recently checked
+ * first, so a run with --limit picks up where the previous one left off.
+ *
+ * Records stored before uploads were hashed have no checksum to check
+ * against; they are counted, and tools/backfill-media-hashes.js records one.
+ *
+ * Usage:
+ *   node media-library/tasks/fixity_audit.js                      (check every file)
+ *   node media-library/tasks/fixity_audit.js --limit 500          (check at most 500 files)
+ *   node media-library/tasks/fixity_audit.js --max-age-days 30    (skip files checked in the last 30 days)
+ *   node media-library/tasks/fixity_audit.js --help
+ *
+ * The script automatically resolves the project root from its own location,
+ * so it can be invoked from any working directory.
+ *
+ * Environment:
+ *   Loads .env from the project root automatically via dotenv.
+ *   Requires the same environment variables as the main application
+ *   (DB connection, STORAGE_BACKEND with STORAGE_PATH or the S3 settings, etc.)
+ *
+ * Output:
+ *   Logs every failure via the application logger and prints a report to
+ *   stdout. Exits 1 when any file failed its check (or could not be
+ *   recorded), so cron can alert on it.
+ *
+ * Schedule:
+ *   Run nightly via cron during off-hours, checking each file about monthly:
+ *   0 2 * * *  node /path/to/exhibits-backend/media-library/tasks/fixity_audit.js --max-age-days 30 >> /path/to/exhibits-backend/logs/fixity.log
+ */
+
+'use strict';
+
+const path = require('path');
+
+// ---------------------------------------------------------------------------
+// Anchor to project root
+// ---------------------------------------------------------------------------
+// Application modules resolve paths relative to process.cwd() (see
+// cleanup_orphaned_files.js), so CWD is set before requiring anything else.
+const PROJECT_ROOT = path.resolve(__dirname, '../../');
+process.chdir(PROJECT_ROOT);
+
+// Load environment variables from project root .env
+try {
+    require('dotenv').config();
+} catch (e) {
+    // dotenv is optional if environment variables are set externally
+}
+
+// Load application modules (now that CWD is project root)
+const DB = require('../../config/db_config')();
+const STORAGE = require('../../media-library/storage-adapter')();
+const UPLOADS = require('../../media-library/uploads');
+const FIXITY = require('../../media-library/fixity-service');
+const LOGGER = require('../../libs/log4');
+
+// Reconfigure log4js to file-only output, so the report is the only thing
+// on stdout when redirected to fixity.log
+const LOG4JS = require('log4js');
+LOG4JS.configure({
+    appenders: {
+        exhibits: {
+            type: 'dateFile',
+            filename: './logs/exhibits.log',
+            compress: true
+        }
+    },
+    categories: {
+        default: {
+            appenders: ['exhibits'],
+            level: 'info'
+        }
+    }
+});
+
+// ---------------------------------------------------------------------------
+// Main Audit Logic
+// ---------------------------------------------------------------------------
+
+/**
+ * Runs the fixity audit and prints its report
+ * @param {Object} [options={}] - {limit, max_age_days} (see FIXITY.run_audit)
+ * @returns {Promise<Object>} Audit counts, plus the collection summary after the run
+ */
+const run_fixity_audit = async (options = {}) => {
+
+    LOGGER.module().info('INFO: [fixity] Starting fixity audit');
+    console.log(`\n========================================`);
+    console.log(`  Fixity Audit`);
+    console.log(`========================================`);
+    console.log(`Storage:      ${STORAGE.backend === 's3' ? `s3://${STORAGE.bucket}` : STORAGE.root}`);
+    console.log(`Limit:        ${options.limit || 'none'}`);
+    console.log(`Skip checked: ${options.max_age_days ? `within ${options.max_age_days} day(s)` : 'no'}\n`);
+
+    const stats = await FIXITY.run_audit({
+        ...options,
+        on_result: (record, result) => {
+            if (result.status !== FIXITY.FIXITY_STATUS.OK) {
+                console.log(`  ${result.status.toUpperCase()}: ${record.uuid}  ${record.name || ''}`);
+                console.log(`      ${result.message}`);
+            }
+        }
+    });
+
+    const summary = await FIXITY.get_fixity_summary();
+    const failed = stats.missing + stats.changed + stats.unreadable;
+
+    if (stats.checked > 0 && failed === 0) {
+        console.log('  All checked files match their recorded checksums.');
+    }
+
+    console.log(`\n========================================`);
+    console.log(`  Fixity Summary`);
+    console.log(`========================================`);
+    console.log(`  Files checked:         ${stats.checked}`);
+    console.log(`  OK:                    ${stats.ok}`);
+    console.log(`  Missing:               ${stats.missing}`);
+    console.log(`  Changed:               ${stats.changed}`);
+    console.log(`  Unreadable:            ${stats.unreadable}`);
+    console.log(`  Errors:                ${stats.errors}`);
+    console.log(`\n  Collection: ${summary.ok} ok, ${summary.missing + summary.changed + summary.unreadable} failing, ` +
+        `${summary.unchecked} never checked, ${summary.unhashed} without a checksum`);
+
+    if (summary.unhashed > 0) {
+        console.log('  Run tools/backfill-media-hashes.js --apply to record checksums for the files without one.');
+    }
+
+    console.log('');
+
+    LOGGER.module().info(`INFO: [fixity] Fixity audit complete: ${stats.checked} checked, ${failed} failed, ${stats.errors} errors`);
+
+    return { ...stats, failed, summary };
+};
+
+// ---------------------------------------------------------------------------
+// CLI Entry Point
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads a positive integer option ("--limit 500")
+ * @param {Array<string>} args - CLI arguments
+ * @param {string} name - Option name
+ * @returns {number|null} Value, or null when not given
+ * @throws {Error} When the value is not a positive integer
+ */
+const read_number_option = (args, name) => {
+
+    const index = args.indexOf(name);
+
+    if (index === -1) {
+        return null;
+    }
+
+    const value = Number(args[index + 1]);
+
+    if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`${name} requires a positive whole number`);
+    }
+
+    return value;
+};
+
+const main = async () => {
+
+    const args = process.argv.slice(2);
+
+    if (args.includes('--help') || args.includes('-h')) {
+        console.log(`
+Usage: node media-library/tasks/fixity_audit.js [options]
+
+Checks stored originals of uploaded media against the SHA-256 recorded at
+upload and reports missing, changed or unreadable files. Results are recorded
+on the media records for the dashboard's Fixity page. Can be run from any
+working directory.
+
+Options:
+  --limit N          Check at most N files (least recently checked first)
+  --max-age-days N   Skip files checked within the last N days
+  --help             Show this help message
+
+Exits 1 when any file fails its check.
+`);
+        process.exit(0);
+    }
+
+    let exit_code = 0;
+
+    try {
+        const stats = await run_fixity_audit({
+            limit: read_number_option(args, '--limit'),
+            max_age_days: read_number_option(args, '--max-age-days')
+        });
+        exit_code = stats.failed > 0 || stats.errors > 0 ? 1 : 0;
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [fixity] Unhandled error: ${error.message}`);
+        console.error('Fatal error:', error.message);
+        exit_code = 1;
+    } finally {
+        await UPLOADS.shutdown_exiftool().catch(() => {});
+        // Ensure the DB connection pool is closed so the process exits cleanly
+        if (DB && typeof DB.destroy === 'function') {
+            await DB.destroy();
+        }
+    }
+
+    process.exit(exit_code);
+};
+
+// Run if executed directly (not required as a module)
+if (require.main === module) {
+    main();
+}
+
+module.exports = { run_fixity_audit };
@@ -0,0 +1,161 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+'use strict';
+
+const Base_tasks = require('../../exhibits/tasks/tasks_helper');
+
+// Columns returned to the dashboard; `results` is only read for a single job
+const SUMMARY_COLUMNS = [
+    'uuid', 'status', 'archive_name', 'manifest_name', 'total', 'processed',
+    'created_count', 'duplicate_count', 'failed_count', 'error', 'created', 'updated', 'completed'
+];
+
+/**
+ * Tasks used to track media library batch ingest jobs (`tbl_media_ingest_jobs`).
+ *
+ * Construct with the full tables config object (`DB_TABLES.exhibits`).
+ *
+ * @type {Media_ingest_job_tasks}
+ */
+const Media_ingest_job_tasks = class extends Base_tasks {
+
+    constructor(DB, TABLE) {
+        super(DB, TABLE);
+    }
+
+    /**
+     * Creates a queued job
+     * @param {Object} job - {uuid, archive_name, manifest_name, username}
+     * @returns {Promise<boolean>}
+     */
+    async create_job(job) {
+
+        try {
+            this._validate_database();
+            this._validate_table('media_ingest_job_records');
+
+            await this.DB(this.TABLE.media_ingest_job_records)
+                .insert({
+                    uuid: job.uuid,
+                    status: 'queued',
+                    archive_name: job.archive_name || '',
+                    manifest_name: job.manifest_name || null,
+                    results: JSON.stringify([]),
+                    username: job.username || null
+                })
+                .timeout(this.QUERY_TIMEOUT);
+
+            return true;
+
+        } catch (error) {
+            this._handle_error(error, 'create_job', {uuid: job?.uuid});
+        }
+    }
+
+    /**
+     * Updates a job's status, counters or results
+     * @param {string} uuid - Job UUID
+     * @param {Object} fields - Any of {status, total, processed, created_count, duplicate_count,
+     * failed_count, results (array), error, completed}
+     * @returns {Promise<boolean>}
+     */
+    async update_job(uuid, fields) {
+
+        try {
+            this._validate_database();
+            this._validate_table('media_ingest_job_records');
+
+            const update = {...fields};
+
+            if (Array.isArray(update.results)) {
+                update.results = JSON.stringify(update.results);
+            }
+
+            await this.DB(this.TABLE.media_ingest_job_records)
+                .where({uuid})
+                .update(update)
+                .timeout(this.QUERY_TIMEOUT);
+
+            return true;
+
+        } catch (error) {
+            this._handle_error(error, 'update_job', {uuid});
+        }
+    }
+
+    /**
+     * Gets a job with its per-file results
+     * @param {string} uuid - Job UUID
+     * @returns {Promise<Object|null>} Job row with `results` parsed, or null
+     */
+    async get_job(uuid) {
+
+        try {
+            this._validate_database();
+            this._validate_table('media_ingest_job_records');
+
+            const job = await this.DB(this.TABLE.media_ingest_job_records)
+                .select([...SUMMARY_COLUMNS, 'results', 'username'])
+                .where({uuid})
+                .first()
+                .timeout(this.QUERY_TIMEOUT);
+
+            if (!job) {
+                return null;
+            }
+
+            try {
+                job.results = JSON.parse(job.results || '[]');
+            } catch (parse_error) {
+                job.results = [];
+            }
+
+            return job;
+
+        } catch (error) {
+            this._handle_error(error, 'get_job', {uuid});
+        }
+    }
+
+    /**
+     * Gets a user's most recent jobs, newest first, without their results
+     * @param {string} username - JWT subject of the uploader
+     * @param {number} limit - Maximum rows
+     * @returns {Promise<Array<Object>>}
+     */
+    async get_jobs_by_user(username, limit) {
+
+        try {
+            this._validate_database();
+            this._validate_table('media_ingest_job_records');
+
+            return await this.DB(this.TABLE.media_ingest_job_records)
+                .select(SUMMARY_COLUMNS)
+                .where({username})
+                .orderBy([{column: 'created', order: 'desc'}, {column: 'id', order: 'desc'}])
+                .limit(limit)
+                .timeout(this.QUERY_TIMEOUT);
+
+        } catch (error) {
+            this._handle_error(error, 'get_jobs_by_user', {username});
+        }
+    }
+};
+
+module.exports = Media_ingest_job_tasks;
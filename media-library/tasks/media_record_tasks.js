@@ -53,6 +53,18 @@ const Media_record_tasks = class {
         return record;
     }
 
+    /**
+     * Drops a record's extracted PDF text, which can run to megabytes, from list
+     * results. Single-record reads keep it. Mutates and returns the record.
+     * @private
+     */
+    _omit_full_text(record) {
+        if (record) {
+            delete record.full_text;
+        }
+        return record;
+    }
+
     /**
      * Validates that database connection is available
      * @private
@@ -170,8 +182,9 @@ const Media_record_tasks = class {
             'media_type', 'mime_type', 'item_type', 'call_number', 'filename',
             'original_filename', 'ingest_method', 'repo_uuid', 'repo_handle',
             'kaltura_entry_id', 'kaltura_thumbnail_url', 'exhibits', 'size',
-            'storage_path', 'thumbnail_path', 'exif_data', 'media_width',
-            'media_height', 'media_duration', 'iiif_manifest', 'owner',
+            'storage_path', 'thumbnail_path', 'exif_data', 'exif_privacy', 'full_text', 'content_hash',
+            'perceptual_hash', 'fixity_status', 'fixity_message', 'fixity_checked', 'fixity_verified',
+            'media_width', 'media_height', 'media_duration', 'iiif_manifest', 'owner',
             'created', 'updated', 'created_by'
         ];
 
@@ -243,7 +256,7 @@ const Media_record_tasks = class {
                 .orderBy('created', 'desc')
                 .timeout(this.QUERY_TIMEOUT);
 
-            records.forEach((record) => this._derive_kaltura_thumbnail(record));
+            records.forEach((record) => this._omit_full_text(this._derive_kaltura_thumbnail(record)));
 
             this._log_success('Media records retrieved successfully', {
                 count: records.length
@@ -329,7 +342,7 @@ const Media_record_tasks = class {
             build_where(records_query);
             const records = await records_query.timeout(this.QUERY_TIMEOUT);
 
-            records.forEach((record) => this._derive_kaltura_thumbnail(record));
+            records.forEach((record) => this._omit_full_text(this._derive_kaltura_thumbnail(record)));
 
             this._log_success('Media records browse query completed', {
                 page,
@@ -417,7 +430,7 @@ const Media_record_tasks = class {
             'file_size', 'size', 'topics', 'genre_form', 'places', 'item_type',
             'topics_subjects', 'genre_form_subjects', 'places_subjects',
             'is_published', 'metadata', 'tags', 'updated_by',
-            'media_width', 'media_height', 'media_duration'
+            'media_width', 'media_height', 'media_duration', 'exif_privacy'
         ];
 
         try {
@@ -921,6 +934,529 @@ const Media_record_tasks = class {
         }
     }
 
+    /**
+     * Gets non-deleted uploaded media of the given type and byte size — the
+     * only records whose stored file can have the same content as a new one
+     * @param {string} media_type - Media type (image, pdf)
+     * @param {number} size - File size in bytes
+     * @param {Object} [options={}] - {unhashed: only records without a content_hash}
+     * @returns {Promise<Array<Object>>} [{uuid, name, storage_path}]
+     */
+    async find_by_size(media_type, size, options = {}) {
+
+        try {
+
+            this._validate_database();
+            this._validate_table('media_library_records');
+
+            const query = this.DB(this.TABLE.media_library_records)
+                .select('uuid', 'name', 'storage_path')
+                .where({media_type, size, is_deleted: 0})
+                .whereNotNull('storage_path');
+
+            if (options.unhashed) {
+                query.whereNull('content_hash');
+            }
+
+            return await query.timeout(this.QUERY_TIMEOUT);
+
+        } catch (error) {
+            this._handle_error(error, 'find_by_size', {media_type, size});
+        }
+    }
+
+    /**
+     * Finds every exhibit and item that references a media record, deleted
+     * (recycled) ones included. Exhibits reference media by their hero image
+     * and thumbnail columns and by tbl_exhibit_media bindings; standard, grid
+     * and timeline items by media_uuid and thumbnail_media_uuid. Each row
+     * carries the deleted flags of its exhibit (and grid/timeline) so the
+     * caller can tell live references from recycled ones.
+     * @param {string} uuid - Media record UUID
+     * @returns {Promise<Object>} {exhibits: Array, bindings: Array, items: Array}
+     */
+    async get_media_usage(uuid) {
+
+        const ITEM_SOURCES = [
+            {table: 'item_records', type: 'item'},
+            {table: 'grid_item_records', type: 'grid_item', container_table: 'grid_records', container_column: 'is_member_of_grid'},
+            {table: 'timeline_item_records', type: 'timeline_item', container_table: 'timeline_records', container_column: 'is_member_of_timeline'}
+        ];
+
+        try {
+
+            this._validate_database();
+            ['exhibit_records', 'exhibit_media_records'].concat(
+                ITEM_SOURCES.map((source) => source.table),
+                ['grid_records', 'timeline_records']
+            ).forEach((table) => this._validate_table(table));
+
+            const validated_uuid = this._validate_uuid(uuid, 'media UUID');
+
+            const exhibits = await this.DB(this.TABLE.exhibit_records)
+                .select('uuid', 'title', 'is_published', 'is_deleted', 'hero_image_media_uuid', 'thumbnail_media_uuid')
+                .where((builder) => {
+                    builder.where('hero_image_media_uuid', validated_uuid)
+                        .orWhere('thumbnail_media_uuid', validated_uuid);
+                })
+                .timeout(this.QUERY_TIMEOUT);
+
+            const bindings = await this.DB(`${this.TABLE.exhibit_media_records} as b`)
+                .leftJoin(`${this.TABLE.exhibit_records} as e`, 'e.uuid', 'b.exhibit_uuid')
+                .select('b.exhibit_uuid', 'b.media_role', 'b.is_deleted', 'e.title as exhibit_title',
+                    'e.is_published as exhibit_is_published', 'e.is_deleted as exhibit_is_deleted')
+                .where('b.media_uuid', validated_uuid)
+                .timeout(this.QUERY_TIMEOUT);
+
+            const items = [];
+
+            for (const source of ITEM_SOURCES) {
+
+                const query = this.DB(`${this.TABLE[source.table]} as i`)
+                    .leftJoin(`${this.TABLE.exhibit_records} as e`, 'e.uuid', 'i.is_member_of_exhibit')
+                    .select('i.uuid', 'i.title', 'i.is_published', 'i.is_deleted', 'i.media_uuid',
+                        'i.thumbnail_media_uuid', 'i.is_member_of_exhibit as exhibit_uuid',
+                        'e.title as exhibit_title', 'e.is_deleted as exhibit_is_deleted')
+                    .where((builder) => {
+                        builder.where('i.media_uuid', validated_uuid)
+                            .orWhere('i.thumbnail_media_uuid', validated_uuid);
+                    });
+
+                if (source.container_table) {
+                    query.leftJoin(`${this.TABLE[source.container_table]} as c`, 'c.uuid', `i.${source.container_column}`)
+                        .select(`i.${source.container_column} as container_uuid`, 'c.is_deleted as container_is_deleted');
+                }
+
+                const rows = await query.timeout(this.QUERY_TIMEOUT);
+                rows.forEach((row) => items.push({...row, type: source.type}));
+            }
+
+            return {exhibits, bindings, items};
+
+        } catch (error) {
+            this._handle_error(error, 'get_media_usage', {uuid});
+        }
+    }
+
+    /**
+     * Finds a non-deleted media record whose stored file has the given SHA-256
+     * @param {string} content_hash - Hex digest
+     * @returns {Promise<Object|null>} {uuid, name}, or null
+     */
+    async find_by_content_hash(content_hash) {
+
+        try {
+
+            this._validate_database();
+            this._validate_table('media_library_records');
+
+            const record = await this.DB(this.TABLE.media_library_records)
+                .select('uuid', 'name')
+                .where({content_hash, is_deleted: 0})
+                .orderBy('id', 'asc')
+                .first()
+                .timeout(this.QUERY_TIMEOUT);
+
+            return record || null;
+
+        } catch (error) {
+            this._handle_error(error, 'find_by_content_hash', {content_hash});
+        }
+    }
+
+    /**
+     * Gets non-deleted media with the same content hash, or whose perceptual
+     * hash is within max_distance bits of the given one. `distance` is the
+     * Hamming distance between the perceptual hashes (null when either is
+     * missing), computed in MySQL on the 64-bit unsigned values.
+     * @param {Object} params - {content_hash, perceptual_hash, max_distance, exclude, limit}
+     * @returns {Promise<Array<Object>>} Matching records, nearest first
+     */
+    async find_similar_media({content_hash = null, perceptual_hash = null, max_distance = 10, exclude = null, limit = 10}) {
+
+        const DISTANCE_SQL = 'BIT_COUNT(CAST(CONV(perceptual_hash, 16, 10) AS UNSIGNED) ^ CAST(CONV(?, 16, 10) AS UNSIGNED))';
+
+        try {
+
+            this._validate_database();
+            this._validate_table('media_library_records');
+
+            if (!content_hash && !perceptual_hash) {
+                throw new Error('A content hash or perceptual hash is required');
+            }
+
+            const query = this.DB(this.TABLE.media_library_records)
+                .select('uuid', 'name', 'original_filename', 'media_type', 'thumbnail_path',
+                    'created', 'created_by', 'content_hash')
+                .where({is_deleted: 0})
+                .where((builder) => {
+
+                    if (content_hash) {
+                        builder.orWhere({content_hash});
+                    }
+
+                    if (perceptual_hash) {
+                        builder.orWhere((similar) => {
+                            similar.whereNotNull('perceptual_hash')
+                                .whereRaw(`${DISTANCE_SQL} <= ?`, [perceptual_hash, max_distance]);
+                        });
+                    }
+                });
+
+            if (perceptual_hash) {
+                query.select(this.DB.raw(`${DISTANCE_SQL} AS distance`, [perceptual_hash]))
+                    .orderBy('distance', 'asc');
+            } else {
+                query.select(this.DB.raw('NULL AS distance'));
+            }
+
+            if (exclude) {
+                query.whereNot({uuid: exclude});
+            }
+
+            return await query
+                .orderBy('created', 'desc')
+                .limit(limit)
+                .timeout(this.QUERY_TIMEOUT);
+
+        } catch (error) {
+            this._handle_error(error, 'find_similar_media', {content_hash, perceptual_hash});
+        }
+    }
+
+    /**
+     * Gets the version number the next replaced file of a media record takes
+     * @param {string} uuid - Media record UUID
+     * @returns {Promise<number>} One more than the highest archived version (1 if none)
+     */
+    async get_next_media_version(uuid) {
+
+        try {
+
+            this._validate_database();
+            this._validate_table('media_version_records');
+
+            const validated_uuid = this._validate_uuid(uuid, 'media UUID');
+
+            const row = await this.DB(this.TABLE.media_version_records)
+                .max('version as version')
+                .where({media_uuid: validated_uuid})
+                .first()
+                .timeout(this.QUERY_TIMEOUT);
+
+            return (Number(row?.version) || 0) + 1;
+
+        } catch (error) {
+            this._handle_error(error, 'get_next_media_version', {uuid});
+        }
+    }
+
+    /**
+     * Points a media record at a replacement file and records the file it
+     * superseded as a version, in one transaction
+     * @param {string} uuid - Media record UUID
+     * @param {Object} file_data - New file columns for the media record
+     * @param {Object} version_data - Row for the versions table (archived file)
+     * @returns {Promise<Object>} {success, record, message}
+     */
+    async replace_media_file(uuid, file_data, version_data) {
+
+        const FILE_FIELDS = [
+            'filename', 'original_filename', 'mime_type', 'size', 'storage_path',
+            'thumbnail_path', 'media_width', 'media_height', 'exif_data', 'full_text',
+            'content_hash', 'perceptual_hash', 'fixity_status', 'fixity_message', 'fixity_checked',
+            'fixity_verified', 'updated_by'
+        ];
+
+        const VERSION_FIELDS = [
+            'version', 'storage_path', 'thumbnail_path', 'filename', 'original_filename',
+            'mime_type', 'size', 'media_width', 'media_height', 'exif_data',
+            'content_hash', 'replaced_by'
+        ];
+
+        try {
+
+            this._validate_database();
+            this._validate_table('media_library_records');
+            this._validate_table('media_version_records');
+
+            const validated_uuid = this._validate_uuid(uuid, 'media UUID');
+
+            const update_data = {};
+            for (const field of FILE_FIELDS) {
+                if (Object.prototype.hasOwnProperty.call(file_data, field)) {
+                    update_data[field] = file_data[field];
+                }
+            }
+
+            update_data.updated = this.DB.fn.now();
+
+            const insert_data = {media_uuid: validated_uuid};
+            for (const field of VERSION_FIELDS) {
+                if (Object.prototype.hasOwnProperty.call(version_data, field)) {
+                    insert_data[field] = version_data[field];
+                }
+            }
+
+            const record = await this.DB.transaction(async (trx) => {
+
+                const affected_rows = await trx(this.TABLE.media_library_records)
+                    .where({uuid: validated_uuid, is_deleted: 0})
+                    .update(update_data)
+                    .timeout(this.QUERY_TIMEOUT);
+
+                if (affected_rows === 0) {
+                    return null;
+                }
+
+                await trx(this.TABLE.media_version_records)
+                    .insert(insert_data)
+                    .timeout(this.QUERY_TIMEOUT);
+
+                return trx(this.TABLE.media_library_records)
+                    .select('*')
+                    .where({uuid: validated_uuid})
+                    .first();
+            });
+
+            if (!record) {
+                return {
+                    success: false,
+                    record: null,
+                    message: 'Media record not found'
+                };
+            }
+
+            this._log_success('Media file replaced successfully', {
+                uuid: validated_uuid,
+                version: insert_data.version
+            });
+
+            return {
+                success: true,
+                record: record,
+                message: 'Media file replaced successfully'
+            };
+
+        } catch (error) {
+            this._handle_error(error, 'replace_media_file', {uuid, version: version_data?.version});
+        }
+    }
+
+    /**
+     * Gets the archived file versions of a media record, newest first
+     * @param {string} uuid - Media record UUID
+     * @returns {Promise<Array<Object>>} Version rows
+     */
+    async get_media_versions(uuid) {
+
+        try {
+
+            this._validate_database();
+            this._validate_table('media_version_records');
+
+            const validated_uuid = this._validate_uuid(uuid, 'media UUID');
+
+            return await this.DB(this.TABLE.media_version_records)
+                .select('version', 'storage_path', 'thumbnail_path', 'filename', 'original_filename',
+                    'mime_type', 'size', 'media_width', 'media_height', 'content_hash', 'replaced_by', 'created')
+                .where({media_uuid: validated_uuid})
+                .orderBy('version', 'desc')
+                .timeout(this.QUERY_TIMEOUT);
+
+        } catch (error) {
+            this._handle_error(error, 'get_media_versions', {uuid});
+        }
+    }
+
+    /**
+     * Stores the IIIF Presentation manifest built for a media record
+     * @param {string} uuid - Media record UUID
+     * @param {string|null} manifest - Manifest JSON
+     * @returns {Promise<boolean>} True if the record was updated
+     */
+    async update_iiif_manifest(uuid, manifest) {
+
+        try {
+
+            this._validate_database();
+            this._validate_table('media_library_records');
+
+            const validated_uuid = this._validate_uuid(uuid, 'media UUID');
+
+            const affected_rows = await this.DB(this.TABLE.media_library_records)
+                .where({uuid: validated_uuid, is_deleted: 0})
+                .update({iiif_manifest: manifest})
+                .timeout(this.QUERY_TIMEOUT);
+
+            return affected_rows > 0;
+
+        } catch (error) {
+            this._handle_error(error, 'update_iiif_manifest', {uuid});
+        }
+    }
+
+    /**
+     * Gets the uploaded media whose stored originals the fixity audit checks
+     * (those with a recorded checksum), least recently checked first —
+     * never-checked ones lead — so runs with a limit work through the whole
+     * collection in turn
+     * @param {Object} [options={}] - {limit, checked_before: only files last checked before this Date}
+     * @returns {Promise<Array<Object>>} [{uuid, name, media_type, storage_path, content_hash, fixity_status, fixity_verified}]
+     */
+    async get_fixity_candidates(options = {}) {
+
+        try {
+
+            this._validate_database();
+            this._validate_table('media_library_records');
+
+            const query = this.DB(this.TABLE.media_library_records)
+                .select('uuid', 'name', 'media_type', 'storage_path', 'content_hash', 'fixity_status', 'fixity_verified')
+                .where({ingest_method: 'upload', is_deleted: 0})
+                .whereNotNull('storage_path')
+                .whereNotNull('content_hash');
+
+            if (options.checked_before) {
+                query.where((builder) => {
+                    builder.whereNull('fixity_checked')
+                        .orWhere('fixity_checked', '<', options.checked_before);
+                });
+            }
+
+            query.orderBy([{column: 'fixity_checked', order: 'asc'}, {column: 'id', order: 'asc'}]);
+
+            if (options.limit) {
+                query.limit(options.limit);
+            }
+
+            return await query.timeout(this.QUERY_TIMEOUT);
+
+        } catch (error) {
+            this._handle_error(error, 'get_fixity_candidates', {options});
+        }
+    }
+
+    /**
+     * Records the outcome of a fixity check. `updated` is left as is: the
+     * record itself has not changed.
+     * @param {string} uuid - Media record UUID
+     * @param {Object} fixity - {fixity_status, fixity_message, fixity_checked, fixity_verified (only on success)}
+     * @returns {Promise<boolean>} True if the record was updated
+     */
+    async update_fixity(uuid, fixity) {
+
+        const FIXITY_FIELDS = ['fixity_status', 'fixity_message', 'fixity_checked', 'fixity_verified'];
+
+        try {
+
+            this._validate_database();
+            this._validate_table('media_library_records');
+
+            const validated_uuid = this._validate_uuid(uuid, 'media UUID');
+
+            const update_data = {};
+            for (const field of FIXITY_FIELDS) {
+                if (Object.prototype.hasOwnProperty.call(fixity || {}, field)) {
+                    update_data[field] = fixity[field];
+                }
+            }
+
+            const affected_rows = await this.DB(this.TABLE.media_library_records)
+                .where({uuid: validated_uuid})
+                .update({...update_data, updated: this.DB.ref('updated')})
+                .timeout(this.QUERY_TIMEOUT);
+
+            return affected_rows > 0;
+
+        } catch (error) {
+            this._handle_error(error, 'update_fixity', {uuid});
+        }
+    }
+
+    /**
+     * Counts uploaded media by fixity status. Files never audited are
+     * counted under `unchecked`, and files with no checksum to audit against
+     * (stored before uploads were hashed) under `unhashed`.
+     * @returns {Promise<Object>} {ok, missing, changed, unreadable, unchecked, unhashed}
+     */
+    async get_fixity_summary() {
+
+        try {
+
+            this._validate_database();
+            this._validate_table('media_library_records');
+
+            const uploads = () => this.DB(this.TABLE.media_library_records)
+                .where({ingest_method: 'upload', is_deleted: 0})
+                .whereNotNull('storage_path');
+
+            const rows = await uploads()
+                .select('fixity_status')
+                .count('id as count')
+                .whereNotNull('content_hash')
+                .groupBy('fixity_status')
+                .timeout(this.QUERY_TIMEOUT);
+
+            const unhashed = await uploads()
+                .count('id as count')
+                .whereNull('content_hash')
+                .first()
+                .timeout(this.QUERY_TIMEOUT);
+
+            const summary = {ok: 0, missing: 0, changed: 0, unreadable: 0, unchecked: 0, unhashed: Number(unhashed?.count || 0)};
+
+            for (const row of rows) {
+                const key = row.fixity_status || 'unchecked';
+                summary[key] = (summary[key] || 0) + Number(row.count || 0);
+            }
+
+            return summary;
+
+        } catch (error) {
+            this._handle_error(error, 'get_fixity_summary');
+        }
+    }
+
+    /**
+     * Gets a page of uploaded media whose last fixity check failed, most
+     * recently checked first
+     * @param {Array<string>} statuses - Failure statuses to include
+     * @param {number} limit - Page size
+     * @param {number} offset - Rows to skip
+     * @returns {Promise<Object>} {rows, total}
+     */
+    async get_fixity_failures(statuses, limit, offset) {
+
+        try {
+
+            this._validate_database();
+            this._validate_table('media_library_records');
+
+            const apply_filters = (query) => query
+                .where({ingest_method: 'upload', is_deleted: 0})
+                .whereIn('fixity_status', statuses);
+
+            const count = await apply_filters(this.DB(this.TABLE.media_library_records))
+                .count('id as total')
+                .first()
+                .timeout(this.QUERY_TIMEOUT);
+
+            const rows = await apply_filters(this.DB(this.TABLE.media_library_records))
+                .select('uuid', 'name', 'media_type', 'original_filename', 'storage_path', 'content_hash',
+                    'fixity_status', 'fixity_message', 'fixity_checked', 'fixity_verified')
+                .orderBy([{column: 'fixity_checked', order: 'desc'}, {column: 'id', order: 'desc'}])
+                .limit(limit)
+                .offset(offset)
+                .timeout(this.QUERY_TIMEOUT);
+
+            return {rows, total: Number(count?.total || 0)};
+
+        } catch (error) {
+            this._handle_error(error, 'get_fixity_failures', {statuses});
+        }
+    }
+
     /**
      * Gets the count of media records
      * @param {Object} [filters={}] - Optional filters (e.g., media_type)
@@ -984,6 +1520,8 @@ const Media_record_tasks = class {
                 .offset(offset)
                 .timeout(this.QUERY_TIMEOUT);
 
+            records.forEach((record) => this._omit_full_text(record));
+
             this._log_success('Media records search completed', {
                 keyword: search_term,
                 count: records.length
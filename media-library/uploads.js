@@ -20,13 +20,14 @@ const path = require('path');
 const multer = require('multer');
 const fs = require('fs').promises;
 // OWASP A06 — Node built-in v4 UUID (drops the `uuid` dependency; same output).
-const { randomUUID: uuidv4 } = require('crypto');
+const { randomUUID: uuidv4, createHash } = require('crypto');
 const sharp = require('sharp');
 const { exiftool } = require('exiftool-vendored');
 const LOGGER = require('../libs/log4');
 const TOKEN = require('../libs/tokens');
 const AUTHORIZE = require('../auth/authorize');
 const { rate_limits } = require('../config/rate_limits_loader');
+const STORAGE = require('./storage-adapter')();
 
 // Configuration
 const storage_config = require('./storage_config')();
@@ -35,16 +36,19 @@ const APP_PATH = APP_CONFIG.app_path;
 const STORAGE_PATH = storage_config.storage_path;
 const MAX_FILE_SIZE = storage_config.upload_max;
 const MAX_FILES = 10;
+const PERCEPTUAL_HASH_SIZE = 8;
 
 // Thumbnail, permissions, and media type directory settings with fallback defaults
 const THUMBNAIL_CONFIG = storage_config.thumbnail || { width: 400, height: 400, quality: 80 };
+const PYRAMID_CONFIG = storage_config.pyramid || { tile_size: 512, quality: 90 };
 const PERMISSIONS = storage_config.permissions || { file: 0o640, directory: 0o750 };
 const MEDIA_TYPE_DIRS = storage_config.media_type_dirs || {
     image: 'images',
     pdf: 'documents',
     video: 'video',
     audio: 'audio',
-    thumbnails: 'thumbnails'
+    thumbnails: 'thumbnails',
+    versions: 'versions'
 };
 
 // Define allowed file types (images and PDFs only)
@@ -81,66 +85,70 @@ const get_hash_buckets = (uuid) => {
 };
 
 /**
- * Builds the full directory path for a file based on its UUID and media type
+ * Builds the storage-relative directory for a file based on its UUID and media type
  * @param {string} media_type_dir - Directory name (e.g., 'images', 'documents')
  * @param {string} uuid - File UUID
- * @returns {string} Absolute directory path
+ * @returns {string} Relative directory path (e.g. 'images/a3/f7')
  */
 const build_directory_path = (media_type_dir, uuid) => {
     const [bucket1, bucket2] = get_hash_buckets(uuid);
-    return path.join(STORAGE_PATH, media_type_dir, bucket1, bucket2);
+    return path.posix.join(media_type_dir, bucket1, bucket2);
 };
 
 /**
- * Builds the full file path including filename and extension
+ * Builds the storage-relative file path including filename and extension
  * @param {string} media_type_dir - Directory name
  * @param {string} uuid - File UUID
  * @param {string} extension - File extension with leading dot
- * @returns {string} Absolute file path
+ * @returns {string} Relative file path, the key the file is stored under
  */
 const build_file_path = (media_type_dir, uuid, extension) => {
     const dir_path = build_directory_path(media_type_dir, uuid);
-    return path.join(dir_path, `${uuid}${extension}`);
+    return path.posix.join(dir_path, `${uuid}${extension}`);
 };
 
 /**
- * Builds the thumbnail path for a given file UUID
+ * Builds the storage-relative thumbnail path for a given file UUID
  * @param {string} uuid - File UUID
- * @returns {string} Absolute path to thumbnail file
+ * @returns {string} Relative path to thumbnail file
  */
 const build_thumbnail_path = (uuid) => {
     const dir_path = build_directory_path(MEDIA_TYPE_DIRS.thumbnails, uuid);
-    return path.join(dir_path, `${uuid}_thumb.jpg`);
+    return path.posix.join(dir_path, `${uuid}_thumb.jpg`);
 };
 
 /**
- * Builds a relative path from the storage base for database storage
- * @param {string} absolute_path - Absolute file path
- * @returns {string} Relative path from STORAGE_PATH
+ * Builds the storage-relative path of the pyramidal derivative for a stored
+ * image: `<uuid>_pyramid.tif` in the same bucket as the original, so it shares
+ * the original's UUID prefix (orphan cleanup keys on it) and its directory
+ * @param {string} relative_path - Relative path of the original (e.g. 'images/a3/f7/uuid.jpg')
+ * @returns {string} Relative path of the pyramid (e.g. 'images/a3/f7/uuid_pyramid.tif')
  */
-const to_relative_path = (absolute_path) => {
-    return path.relative(STORAGE_PATH, absolute_path);
+const build_pyramid_path = (relative_path) => {
+    const parsed = path.posix.parse(relative_path);
+    return path.posix.join(parsed.dir, `${parsed.name}_pyramid.tif`);
 };
 
 /**
- * Ensures a directory exists, creating it (and parents) if necessary
- * @param {string} dir_path - Directory path to ensure
- * @returns {Promise<void>}
+ * Builds the storage-relative path of the extracted-text sidecar for a stored
+ * PDF: `<uuid>_text.json` next to the original, like the image pyramid
+ * @param {string} relative_path - Relative path of the original (e.g. 'pdfs/a3/f7/uuid.pdf')
+ * @returns {string} Relative path of the sidecar (e.g. 'pdfs/a3/f7/uuid_text.json')
  */
-const ensure_directory = async (dir_path) => {
+const build_text_path = (relative_path) => {
+    const parsed = path.posix.parse(relative_path);
+    return path.posix.join(parsed.dir, `${parsed.name}_text.json`);
+};
 
-    try {
-        await fs.mkdir(dir_path, {
-            recursive: true,
-            mode: PERMISSIONS.directory
-        });
-    } catch (error) {
-        // EEXIST is fine — the directory is already there
-        if (error.code !== 'EEXIST') {
-            LOGGER.module().error(`ERROR: [/media-library/uploads (ensure_directory)] Failed to create directory ${dir_path}: ${error.message}`);
-            throw error;
-        }
-    }
+/**
+ * Builds the directory a replaced file's version is archived in:
+ * versions/<b1>/<b2>/<uuid>/v<version>, bucketed on the media record UUID
+ * @param {string} uuid - Media record UUID
+ * @param {number} version - Version number being archived
+ * @returns {string} Relative directory path
+ */
+const build_version_directory = (uuid, version) => {
+    return path.posix.join(build_directory_path(MEDIA_TYPE_DIRS.versions, uuid), uuid, `v${version}`);
 };
 
 // ---------------------------------------------------------------------------
@@ -229,27 +237,24 @@ const resolve_media_type_dir = (media_type) => {
  * Generates a JPEG thumbnail for an image buffer
  * @param {Buffer} image_buffer - Source image buffer
  * @param {string} uuid - File UUID for thumbnail naming
- * @returns {Promise<string|null>} Absolute path to generated thumbnail, or null on failure
+ * @returns {Promise<string|null>} Relative path of the stored thumbnail, or null on failure
  */
 const generate_image_thumbnail = async (image_buffer, uuid) => {
 
     try {
 
         const thumbnail_path = build_thumbnail_path(uuid);
-        const thumbnail_dir = path.dirname(thumbnail_path);
-
-        await ensure_directory(thumbnail_dir);
 
-        await sharp(image_buffer)
+        const thumbnail_buffer = await sharp(image_buffer)
             .resize(THUMBNAIL_CONFIG.width, THUMBNAIL_CONFIG.height, {
                 fit: 'inside',
                 withoutEnlargement: true
             })
             .flatten({ background: '#ffffff' })
             .jpeg({ quality: THUMBNAIL_CONFIG.quality })
-            .toFile(thumbnail_path);
+            .toBuffer();
 
-        await fs.chmod(thumbnail_path, PERMISSIONS.file);
+        await STORAGE.put(thumbnail_path, thumbnail_buffer, { content_type: 'image/jpeg' });
 
         LOGGER.module().info(`INFO: [/media-library/uploads (generate_image_thumbnail)] Generated thumbnail for ${uuid}`);
         return thumbnail_path;
@@ -260,22 +265,72 @@ const generate_image_thumbnail = async (image_buffer, uuid) => {
     }
 };
 
+/**
+ * Writes a pyramidal tiled TIFF for an image so IIIF tile requests decode only
+ * the tiles they cover, from the level nearest the requested scale, instead of
+ * the whole original. Images that already fit in one tile get no pyramid.
+ * JPEG-compressed unless the image has an alpha channel (deflate keeps it).
+ *
+ * Tiles are read from the file in place, which needs it on disk: with object
+ * storage no pyramid is written and tile requests decode the original.
+ *
+ * @param {Buffer} image_buffer - Source image buffer
+ * @param {string} relative_path - Relative path of the stored original
+ * @returns {Promise<string|null>} Relative path of the pyramid, or null if skipped or failed
+ */
+const generate_image_pyramid = async (image_buffer, relative_path) => {
+
+    try {
+
+        const pyramid_key = build_pyramid_path(relative_path);
+        const pyramid_path = STORAGE.local_path(pyramid_key);
+
+        if (!pyramid_path) {
+            return null;
+        }
+
+        const metadata = await sharp(image_buffer).metadata();
+
+        if (!metadata.width || !metadata.height ||
+            Math.max(metadata.width, metadata.height) <= PYRAMID_CONFIG.tile_size) {
+            return null;
+        }
+
+        await sharp(image_buffer)
+            .tiff({
+                tile: true,
+                pyramid: true,
+                tileWidth: PYRAMID_CONFIG.tile_size,
+                tileHeight: PYRAMID_CONFIG.tile_size,
+                compression: metadata.hasAlpha ? 'deflate' : 'jpeg',
+                quality: PYRAMID_CONFIG.quality
+            })
+            .toFile(pyramid_path);
+
+        await fs.chmod(pyramid_path, PERMISSIONS.file);
+
+        LOGGER.module().info(`INFO: [/media-library/uploads (generate_image_pyramid)] Generated pyramid for ${path.basename(relative_path)}`);
+        return pyramid_key;
+
+    } catch (error) {
+        LOGGER.module().error(`ERROR: [/media-library/uploads (generate_image_pyramid)] Pyramid generation failed for ${path.basename(relative_path)}: ${error.message}`);
+        return null;
+    }
+};
+
 /**
  * Generates a thumbnail from the first page of a PDF
  * Uses pdfjs-dist with node-canvas for pure Node.js rendering — no system dependencies required
  * @param {Buffer} pdf_buffer - Source PDF buffer
  * @param {string} uuid - File UUID for thumbnail naming
  * @param {string} source_path - Path to the stored PDF file (unused, kept for signature compatibility)
- * @returns {Promise<string|null>} Absolute path to generated thumbnail, or null on failure
+ * @returns {Promise<string|null>} Relative path of the stored thumbnail, or null on failure
  */
 const generate_pdf_thumbnail = async (pdf_buffer, uuid, source_path) => {
 
     try {
 
         const thumbnail_path = build_thumbnail_path(uuid);
-        const thumbnail_dir = path.dirname(thumbnail_path);
-
-        await ensure_directory(thumbnail_dir);
 
         // Import pdfjs-dist legacy build for Node.js compatibility
         const { createCanvas, DOMMatrix } = require('@napi-rs/canvas');
@@ -316,16 +371,16 @@ const generate_pdf_thumbnail = async (pdf_buffer, uuid, source_path) => {
         await pdf_document.destroy();
 
         // Use Sharp to resize to final thumbnail dimensions and convert to JPEG
-        await sharp(png_buffer)
+        const thumbnail_buffer = await sharp(png_buffer)
             .resize(THUMBNAIL_CONFIG.width, THUMBNAIL_CONFIG.height, {
                 fit: 'inside',
                 withoutEnlargement: true
             })
             .flatten({ background: '#ffffff' })
             .jpeg({ quality: THUMBNAIL_CONFIG.quality })
-            .toFile(thumbnail_path);
+            .toBuffer();
 
-        await fs.chmod(thumbnail_path, PERMISSIONS.file);
+        await STORAGE.put(thumbnail_path, thumbnail_buffer, { content_type: 'image/jpeg' });
 
         LOGGER.module().info(`INFO: [/media-library/uploads (generate_pdf_thumbnail)] Generated PDF thumbnail for ${uuid}`);
         return thumbnail_path;
@@ -336,36 +391,211 @@ const generate_pdf_thumbnail = async (pdf_buffer, uuid, source_path) => {
     }
 };
 
+/**
+ * Extracts the text layer of a PDF, one string per page (index 0 = page 1),
+ * with whitespace collapsed. A scanned PDF without a text layer yields empty
+ * strings, which the caller treats as no text.
+ * @param {Buffer} pdf_buffer - Source PDF buffer
+ * @returns {Promise<Array<string>>} Page texts
+ */
+const extract_pdf_text = async (pdf_buffer) => {
+
+    const pdfjsLib = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    const pdf_document = await pdfjsLib.getDocument({
+        data: new Uint8Array(pdf_buffer),
+        verbosity: pdfjsLib.VerbosityLevel.ERRORS
+    }).promise;
+
+    try {
+
+        const pages = [];
+
+        for (let page_number = 1; page_number <= pdf_document.numPages; page_number++) {
+
+            const page = await pdf_document.getPage(page_number);
+            const content = await page.getTextContent();
+
+            // Runs that end a line carry hasEOL; keep the break as a space so
+            // words on adjacent lines do not run together
+            const text = content.items
+                .map((item) => (item.str || '') + (item.hasEOL ? ' ' : ''))
+                .join('')
+                .replace(/\s+/g, ' ')
+                .trim();
+
+            pages.push(text);
+            page.cleanup();
+        }
+
+        return pages;
+
+    } finally {
+        await pdf_document.destroy();
+    }
+};
+
+/**
+ * Extracts a stored PDF's text and writes it to the `_text.json` sidecar,
+ * from which the media record's full_text is filled when it is saved. PDFs
+ * with no text layer get no sidecar.
+ * @param {Buffer} pdf_buffer - Source PDF buffer
+ * @param {string} relative_path - Relative path of the stored original
+ * @returns {Promise<Array<string>|null>} Page texts, or null if there were none or extraction failed
+ */
+const generate_pdf_text = async (pdf_buffer, relative_path) => {
+
+    try {
+
+        const pages = await extract_pdf_text(pdf_buffer);
+
+        if (!pages.some((text) => text !== '')) {
+            LOGGER.module().info(`INFO: [/media-library/uploads (generate_pdf_text)] No text layer in ${path.basename(relative_path)}`);
+            return null;
+        }
+
+        await STORAGE.put(build_text_path(relative_path), JSON.stringify(pages), { content_type: 'application/json' });
+
+        LOGGER.module().info(`INFO: [/media-library/uploads (generate_pdf_text)] Extracted text from ${pages.length} page(s) of ${path.basename(relative_path)}`);
+        return pages;
+
+    } catch (error) {
+        LOGGER.module().warn(`WARN: [/media-library/uploads (generate_pdf_text)] Text extraction failed for ${path.basename(relative_path)}: ${error.message}`);
+        return null;
+    }
+};
+
+/**
+ * Reads the extracted-text sidecar of a stored PDF
+ * @param {string} relative_path - Relative path of the original PDF
+ * @returns {Promise<Array<string>|null>} Page texts, or null when there is no sidecar
+ */
+const read_pdf_text = async (relative_path) => {
+
+    try {
+        const raw = await STORAGE.get(build_text_path(relative_path));
+        const pages = JSON.parse(raw.toString('utf8'));
+        return Array.isArray(pages) ? pages : null;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            LOGGER.module().warn(`WARN: [/media-library/uploads (read_pdf_text)] Unreadable text sidecar for ${relative_path}: ${error.message}`);
+        }
+        return null;
+    }
+};
+
+// ---------------------------------------------------------------------------
+// Content Hashes
+// ---------------------------------------------------------------------------
+
+/**
+ * Computes a 64-bit difference hash (dHash) of an image: the image is
+ * flattened, greyscaled and squashed to 9x8, and each bit records whether a
+ * pixel is brighter than its right-hand neighbour. Resized or recompressed
+ * copies hash within a few bits of each other.
+ * @param {Buffer} input - Image buffer
+ * @returns {Promise<string|null>} 16 hex chars, or null if the image cannot be decoded
+ */
+const compute_perceptual_hash = async (input) => {
+
+    try {
+
+        const { data, info } = await sharp(input)
+            .flatten({ background: '#ffffff' })
+            .greyscale()
+            .resize(PERCEPTUAL_HASH_SIZE + 1, PERCEPTUAL_HASH_SIZE, { fit: 'fill' })
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        const pixel = (row, col) => data[(row * info.width + col) * info.channels];
+        let hash = 0n;
+
+        for (let row = 0; row < PERCEPTUAL_HASH_SIZE; row++) {
+            for (let col = 0; col < PERCEPTUAL_HASH_SIZE; col++) {
+                hash = (hash << 1n) | (pixel(row, col) > pixel(row, col + 1) ? 1n : 0n);
+            }
+        }
+
+        return hash.toString(16).padStart(PERCEPTUAL_HASH_SIZE * 2, '0');
+
+    } catch (error) {
+        LOGGER.module().warn(`WARN: [/media-library/uploads (compute_perceptual_hash)] Unable to hash image: ${error.message}`);
+        return null;
+    }
+};
+
+/**
+ * Streams a stored file through SHA-256 so large originals are never held in memory
+ * @param {string} relative_path - Storage-relative path from the database
+ * @returns {Promise<string>} Hex digest
+ */
+const hash_stored_file = async (relative_path) => {
+
+    const read_stream = await STORAGE.stream(relative_path);
+
+    return new Promise((resolve, reject) => {
+        const hash = createHash('sha256');
+        read_stream
+            .on('error', reject)
+            .on('data', (chunk) => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+};
+
+/**
+ * Hashes a stored upload for duplicate detection. PDFs get their perceptual
+ * hash from the first-page thumbnail; other media have none.
+ * @param {Object} media - {storage_path, thumbnail_path, media_type}
+ * @returns {Promise<Object>} {content_hash, perceptual_hash} — null where hashing failed
+ */
+const hash_stored_media = async ({ storage_path, thumbnail_path, media_type }) => {
+
+    const hashes = { content_hash: null, perceptual_hash: null };
+
+    try {
+
+        hashes.content_hash = await hash_stored_file(storage_path);
+
+        if (media_type === 'image') {
+            hashes.perceptual_hash = await compute_perceptual_hash(await STORAGE.get(storage_path));
+        } else if (media_type === 'pdf' && thumbnail_path) {
+            hashes.perceptual_hash = await compute_perceptual_hash(await STORAGE.get(thumbnail_path));
+        }
+
+    } catch (error) {
+        LOGGER.module().warn(`WARN: [/media-library/uploads (hash_stored_media)] Unable to hash ${storage_path}: ${error.message}`);
+    }
+
+    return hashes;
+};
+
 // ---------------------------------------------------------------------------
 // File Storage
 // ---------------------------------------------------------------------------
 
 /**
  * Stores a file buffer into the hash-bucketed directory structure
- * Generates a UUID filename, creates hash-bucket directories,
- * writes the file, and generates a thumbnail if applicable
+ * Generates a UUID filename, writes the file through the storage
+ * adapter, and generates a thumbnail if applicable
  *
  * @param {Buffer} file_buffer - File content buffer
  * @param {string} original_name - Original uploaded filename
  * @param {string} mime_type - File MIME type
+ * @param {Object} [options] - {uuid}: store under an existing media record's
+ *   UUID instead of a new one (file replacement)
  * @returns {Promise<Object>} Storage result with paths and metadata
  */
-const store_file = async (file_buffer, original_name, mime_type) => {
+const store_file = async (file_buffer, original_name, mime_type, options = {}) => {
 
-    const uuid = uuidv4();
+    const uuid = options.uuid || uuidv4();
     const media_type = get_media_type(mime_type);
     const media_type_dir = resolve_media_type_dir(media_type);
     const extension = path.extname(original_name).toLowerCase();
 
     // Build hash-bucketed file path
-    const file_path = build_file_path(media_type_dir, uuid, extension);
-    const file_dir = path.dirname(file_path);
-
-    // Ensure target directory exists
-    await ensure_directory(file_dir);
+    const storage_path = build_file_path(media_type_dir, uuid, extension);
 
     // Write the file
-    await fs.writeFile(file_path, file_buffer, { mode: PERMISSIONS.file });
+    await STORAGE.put(storage_path, file_buffer, { content_type: mime_type });
 
     const file_size = file_buffer.length;
 
@@ -374,8 +604,7 @@ const store_file = async (file_buffer, original_name, mime_type) => {
     // Build result object
     const result = {
         uuid: uuid,
-        file_path: file_path,
-        storage_path: to_relative_path(file_path),
+        storage_path: storage_path,
         thumbnail_path: null,
         media_type: media_type,
         media_type_dir: media_type_dir,
@@ -384,17 +613,19 @@ const store_file = async (file_buffer, original_name, mime_type) => {
         extension: extension,
         file_size: file_size,
         media_width: null,
-        media_height: null
+        media_height: null,
+        content_hash: createHash('sha256').update(file_buffer).digest('hex'),
+        perceptual_hash: null
     };
 
     // Generate thumbnail for images
     if (media_type === 'image') {
 
-        const abs_thumbnail = await generate_image_thumbnail(file_buffer, uuid);
+        result.thumbnail_path = await generate_image_thumbnail(file_buffer, uuid);
 
-        if (abs_thumbnail) {
-            result.thumbnail_path = to_relative_path(abs_thumbnail);
-        }
+        // Tiled derivative for IIIF deep zoom (best-effort — the IIIF service
+        // falls back to the original when it is missing)
+        await generate_image_pyramid(file_buffer, storage_path);
 
         // Extract pixel dimensions via Sharp
         // works on PNG, GIF, WebP that may lack EXIF headers)
@@ -405,23 +636,29 @@ const store_file = async (file_buffer, original_name, mime_type) => {
         } catch (dim_error) {
             LOGGER.module().warn(`WARN: [/media-library/uploads (store_file)] Dimension extraction failed for ${uuid}: ${dim_error.message}`);
         }
+
+        result.perceptual_hash = await compute_perceptual_hash(file_buffer);
     }
 
     // Generate thumbnail for PDFs (first page)
     if (media_type === 'pdf') {
 
-        const abs_thumbnail = await generate_pdf_thumbnail(file_buffer, uuid, file_path);
+        // Searchable text (best-effort — the record simply has no full_text)
+        await generate_pdf_text(file_buffer, storage_path);
+
+        const thumbnail_path = await generate_pdf_thumbnail(file_buffer, uuid, storage_path);
 
-        if (abs_thumbnail) {
-            result.thumbnail_path = to_relative_path(abs_thumbnail);
+        if (thumbnail_path) {
+            result.thumbnail_path = thumbnail_path;
 
             // Extract dimensions from the generated thumbnail
             // (represents the first page at rendered resolution)
             try {
-                const thumb_buffer = await fs.readFile(abs_thumbnail);
+                const thumb_buffer = await STORAGE.get(thumbnail_path);
                 const thumb_metadata = await sharp(thumb_buffer).metadata();
                 result.media_width = thumb_metadata.width || null;
                 result.media_height = thumb_metadata.height || null;
+                result.perceptual_hash = await compute_perceptual_hash(thumb_buffer);
             } catch (dim_error) {
                 LOGGER.module().warn(`WARN: [/media-library/uploads (store_file)] PDF dimension extraction failed for ${uuid}: ${dim_error.message}`);
             }
@@ -431,6 +668,26 @@ const store_file = async (file_buffer, original_name, mime_type) => {
     return result;
 };
 
+/**
+ * Stores an already-rendered JPEG thumbnail under a new UUID in the thumbnails
+ * bucket. Used for media whose only local file is its thumbnail (repository
+ * items), where there is no original to regenerate it from.
+ *
+ * @param {Buffer} thumbnail_buffer - JPEG thumbnail content
+ * @returns {Promise<string>} Relative thumbnail path for database storage
+ */
+const store_thumbnail_file = async (thumbnail_buffer) => {
+
+    const uuid = uuidv4();
+    const thumbnail_path = build_thumbnail_path(uuid);
+
+    await STORAGE.put(thumbnail_path, thumbnail_buffer, { content_type: 'image/jpeg' });
+
+    LOGGER.module().info(`INFO: [/media-library/uploads (store_thumbnail_file)] Stored thumbnail ${uuid}_thumb.jpg (${thumbnail_buffer.length} bytes)`);
+
+    return thumbnail_path;
+};
+
 // ---------------------------------------------------------------------------
 // EXIF Metadata Extraction
 // ---------------------------------------------------------------------------
@@ -443,7 +700,7 @@ const EXIF_FIELDS = {
     // Camera/device info
     camera: ['Make', 'Model', 'LensModel', 'Software'],
     // Image dimensions and format
-    format: ['ImageWidth', 'ImageHeight', 'MIMEType', 'FileType', 'FileSize', 'ColorSpace', 'BitsPerSample'],
+    format: ['ImageWidth', 'ImageHeight', 'MIMEType', 'FileType', 'FileSize', 'ColorSpace', 'ProfileDescription', 'BitsPerSample', 'Orientation'],
     // Capture settings
     capture: ['ExposureTime', 'FNumber', 'ISO', 'FocalLength', 'Flash', 'WhiteBalance', 'ExposureProgram', 'MeteringMode'],
     // Date/time
@@ -457,16 +714,17 @@ const EXIF_FIELDS = {
 };
 
 /**
- * Extracts relevant EXIF/metadata from an uploaded file
- * @param {string} file_path - Full path to the uploaded file
+ * Extracts relevant EXIF/metadata from a stored file. exiftool reads files,
+ * so on object storage the file is fetched to a temporary copy first.
+ * @param {string} relative_path - Relative path of the stored file
  * @param {string} media_type - Media type category ('image' or 'pdf')
  * @returns {Promise<Object>} Extracted metadata or empty object on failure
  */
-const extract_metadata = async (file_path, media_type) => {
+const extract_metadata = async (relative_path, media_type) => {
 
     try {
 
-        const tags = await exiftool.read(file_path);
+        const tags = await STORAGE.with_local_file(relative_path, (file_path) => exiftool.read(file_path));
         const metadata = {};
 
         // Select relevant field categories based on media type
@@ -504,11 +762,28 @@ const extract_metadata = async (file_path, media_type) => {
         return metadata;
 
     } catch (error) {
-        LOGGER.module().error(`ERROR: [/media-library/uploads (extract_metadata)] Metadata extraction failed for ${file_path}: ${error.message}`);
+        LOGGER.module().error(`ERROR: [/media-library/uploads (extract_metadata)] Metadata extraction failed for ${relative_path}: ${error.message}`);
         return {};
     }
 };
 
+/**
+ * Strips embedded metadata from a file in place, keeping the named tags.
+ * Pixel data is untouched. Works on a local file, so callers strip a
+ * temporary copy, never a stored original.
+ * @param {string} file_path - Absolute path of the file to strip
+ * @param {Array<string>} retain_fields - exiftool tag names to keep
+ * @returns {Promise<void>}
+ * @throws {Error} If exiftool cannot rewrite the file
+ */
+const strip_embedded_metadata = async (file_path, retain_fields = []) => {
+
+    await exiftool.deleteAllTags(file_path, { retain: retain_fields });
+
+    // exiftool keeps the unstripped file as <name>_original
+    await fs.unlink(`${file_path}_original`).catch(() => {});
+};
+
 // ---------------------------------------------------------------------------
 // Upload Request Handler
 // ---------------------------------------------------------------------------
@@ -542,7 +817,7 @@ const handle_upload = async (req, res) => {
 
             // Extract EXIF metadata from the stored file
             const metadata = await extract_metadata(
-                storage_result.file_path,
+                storage_result.storage_path,
                 storage_result.media_type
             );
 
@@ -557,6 +832,8 @@ const handle_upload = async (req, res) => {
                 thumbnail_path: storage_result.thumbnail_path,
                 media_width: storage_result.media_width,
                 media_height: storage_result.media_height,
+                content_hash: storage_result.content_hash,
+                perceptual_hash: storage_result.perceptual_hash,
                 metadata: metadata,
                 uploaded_at: new Date().toISOString()
             };
@@ -577,145 +854,143 @@ const handle_upload = async (req, res) => {
     }
 };
 
-// ---------------------------------------------------------------------------
-// File Retrieval
-// ---------------------------------------------------------------------------
-
-/**
- * Resolves a relative storage path to an absolute path and verifies it exists
- * @param {string} relative_path - Relative path from DB (e.g., 'images/a3/f7/uuid.jpg')
- * @returns {Promise<string>} Absolute file path
- * @throws {Error} If the file does not exist
- */
-const resolve_storage_path = async (relative_path) => {
-
-    const absolute_path = path.join(STORAGE_PATH, relative_path);
-
-    // Prevent path traversal
-    const resolved = path.resolve(absolute_path);
-    const resolved_storage = path.resolve(STORAGE_PATH);
-
-    if (!resolved.startsWith(resolved_storage)) {
-        throw new Error('Path traversal attempt detected');
-    }
-
-    await fs.access(resolved);
-    return resolved;
-};
-
 // ---------------------------------------------------------------------------
 // File Deletion
 // ---------------------------------------------------------------------------
 
 /**
- * Guard: resolve a storage-relative path and assert it stays inside
- * STORAGE_PATH. Hardening so EVERY caller of delete_stored_file is
- * protected against path traversal — including callers that pass a
- * client-supplied path. fs.unlink must never touch anything outside the
- * storage root. The trailing-separator check also blocks the prefix-sibling
- * bypass (e.g. "<storage>-evil" must not pass a "<storage>" prefix test).
- * @param {string} relative_path - Relative path from DB or client
- * @returns {string} The validated absolute path
- * @throws {Error} If the resolved path escapes STORAGE_PATH
- */
-const assert_within_storage = (relative_path) => {
-
-    // Contract: storage-relative paths only. Reject non-strings and absolute
-    // inputs outright so the guard is unambiguous for every caller (path.join
-    // would otherwise silently fold an absolute path into the storage root).
-    if (typeof relative_path !== 'string' || relative_path === '' || path.isAbsolute(relative_path)) {
-        throw new Error('Path traversal attempt detected: ' + relative_path);
-    }
-
-    const absolute_path = path.resolve(path.join(STORAGE_PATH, relative_path));
-    const resolved_storage = path.resolve(STORAGE_PATH);
-
-    if (absolute_path !== resolved_storage && !absolute_path.startsWith(resolved_storage + path.sep)) {
-        throw new Error('Path traversal attempt detected: ' + relative_path);
-    }
-
-    return absolute_path;
-};
-
-/**
- * Deletes a stored file and its thumbnail from the hash-bucketed structure
- * Cleans up empty parent directories
+ * Deletes a stored file, its derivatives and its thumbnail. Every path is
+ * checked by the storage adapter, which refuses anything outside storage —
+ * including a client-supplied path — so nothing outside the storage root is
+ * ever removed. The local backend prunes the emptied bucket directories.
  * @param {string} relative_path - Relative file path from DB
  * @param {string|null} thumbnail_relative_path - Relative thumbnail path, if any
  * @returns {Promise<void>}
+ * @throws {Error} If the main file path escapes storage or cannot be deleted
  */
 const delete_stored_file = async (relative_path, thumbnail_relative_path = null) => {
 
     // Delete main file
     if (relative_path) {
 
-        // Containment guard (throws on traversal — fatal for the main file).
-        const absolute_path = assert_within_storage(relative_path);
+        // Derivatives go first so the bucket directory can be pruned with the original
+        for (const [label, derivative_path] of [['pyramid', build_pyramid_path(relative_path)], ['text', build_text_path(relative_path)]]) {
+            try {
+                await STORAGE.delete(derivative_path);
+            } catch (error) {
+                LOGGER.module().error(`ERROR: [/media-library/uploads (delete_stored_file)] Failed to delete ${label} for ${relative_path}: ${error.message}`);
+            }
+        }
+
+        let deleted;
 
         try {
-            await fs.unlink(absolute_path);
-            LOGGER.module().info(`INFO: [/media-library/uploads (delete_stored_file)] Deleted file: ${relative_path}`);
-            await prune_empty_directories(path.dirname(absolute_path));
+            deleted = await STORAGE.delete(relative_path);
         } catch (error) {
-            if (error.code !== 'ENOENT') {
-                LOGGER.module().error(`ERROR: [/media-library/uploads (delete_stored_file)] Failed to delete file ${relative_path}: ${error.message}`);
-                throw error;
-            }
+            LOGGER.module().error(`ERROR: [/media-library/uploads (delete_stored_file)] Failed to delete file ${relative_path}: ${error.message}`);
+            throw error;
+        }
+
+        if (deleted) {
+            LOGGER.module().info(`INFO: [/media-library/uploads (delete_stored_file)] Deleted file: ${relative_path}`);
+        } else {
             LOGGER.module().warn(`WARN: [/media-library/uploads (delete_stored_file)] File already missing: ${relative_path}`);
         }
     }
 
-    // Delete thumbnail if present
+    // Delete thumbnail if present. A failure here (including a rejected
+    // path) is logged and never aborts the operation.
     if (thumbnail_relative_path) {
 
-        let thumb_absolute;
-
         try {
-            // Containment guard. A traversal here is non-fatal (thumbnail
-            // cleanup never aborts the operation) but must never unlink
-            // outside storage — log and skip instead.
-            thumb_absolute = assert_within_storage(thumbnail_relative_path);
-        } catch (guard_error) {
-            LOGGER.module().error(`ERROR: [/media-library/uploads (delete_stored_file)] Rejected thumbnail path: ${guard_error.message}`);
-            return;
+            if (await STORAGE.delete(thumbnail_relative_path)) {
+                LOGGER.module().info(`INFO: [/media-library/uploads (delete_stored_file)] Deleted thumbnail: ${thumbnail_relative_path}`);
+            }
+        } catch (error) {
+            LOGGER.module().error(`ERROR: [/media-library/uploads (delete_stored_file)] Failed to delete thumbnail: ${error.message}`);
+        }
+    }
+};
+
+// ---------------------------------------------------------------------------
+// File Versions
+// ---------------------------------------------------------------------------
+
+/**
+ * Moves a stored file, its thumbnail and its derivatives (pyramid, text
+ * sidecar) into the version directory for a media record, clearing their
+ * paths for a replacement. The archived copy keeps its derivatives so the
+ * version stays complete; anything already missing is skipped.
+ *
+ * @param {string} relative_path - Relative path of the current original
+ * @param {string|null} thumbnail_relative_path - Relative path of its thumbnail, if any
+ * @param {string} uuid - Media record UUID
+ * @param {number} version - Version number being archived
+ * @returns {Promise<Object>} {storage_path, thumbnail_path, moved: [[from, to], ...]} (relative paths)
+ * @throws {Error} If the original cannot be moved (anything moved so far is put back)
+ */
+const archive_stored_file = async (relative_path, thumbnail_relative_path, uuid, version) => {
+
+    const version_dir = build_version_directory(uuid, version);
+    const archive = { storage_path: null, thumbnail_path: null, moved: [] };
+    const sources = [
+        ['storage_path', relative_path],
+        [null, build_pyramid_path(relative_path)],
+        [null, build_text_path(relative_path)],
+        ['thumbnail_path', thumbnail_relative_path]
+    ];
+
+    for (const [field, source] of sources) {
+
+        if (!source) {
+            continue;
         }
 
+        const to = path.posix.join(version_dir, path.posix.basename(source));
+
         try {
-            await fs.unlink(thumb_absolute);
-            LOGGER.module().info(`INFO: [/media-library/uploads (delete_stored_file)] Deleted thumbnail: ${thumbnail_relative_path}`);
-            await prune_empty_directories(path.dirname(thumb_absolute));
+            await STORAGE.move(source, to);
         } catch (error) {
-            if (error.code !== 'ENOENT') {
-                LOGGER.module().error(`ERROR: [/media-library/uploads (delete_stored_file)] Failed to delete thumbnail: ${error.message}`);
+            if (error.code === 'ENOENT' && field !== 'storage_path') {
+                continue;
             }
+
+            await restore_archived_file(archive);
+            throw error;
+        }
+
+        archive.moved.push([source, to]);
+
+        if (field) {
+            archive[field] = to;
         }
     }
+
+    LOGGER.module().info(`INFO: [/media-library/uploads (archive_stored_file)] Archived ${relative_path} as version ${version} of ${uuid}`);
+
+    return archive;
 };
 
 /**
- * Removes empty directories up the hash-bucket chain
- * Stops at the base storage path to avoid deleting top-level dirs
- * @param {string} dir_path - Starting directory to check
+ * Moves files archived by archive_stored_file back to where they were, undoing
+ * a replacement that failed part way. Best-effort: a file that cannot be put
+ * back is logged and left in the version directory.
+ *
+ * @param {Object} archive - Result of archive_stored_file
  * @returns {Promise<void>}
  */
-const prune_empty_directories = async (dir_path) => {
+const restore_archived_file = async (archive) => {
 
-    const resolved_storage = path.resolve(STORAGE_PATH);
+    for (const [from, to] of [...archive.moved].reverse()) {
 
-    if (!dir_path.startsWith(resolved_storage) || dir_path === resolved_storage) {
-        return;
-    }
-
-    try {
-        const entries = await fs.readdir(dir_path);
-
-        if (entries.length === 0) {
-            await fs.rmdir(dir_path);
-            await prune_empty_directories(path.dirname(dir_path));
+        try {
+            await STORAGE.move(to, from);
+        } catch (error) {
+            LOGGER.module().error(`ERROR: [/media-library/uploads (restore_archived_file)] Unable to restore ${from} from ${to}: ${error.message}`);
         }
-    } catch {
-        // Directory may have been removed by a concurrent process
     }
+
+    archive.moved = [];
 };
 
 // ---------------------------------------------------------------------------
@@ -847,8 +1122,26 @@ module.exports = (app) => {
 };
 
 // Export utilities for use by controller and model
-module.exports.resolve_storage_path = resolve_storage_path;
 module.exports.delete_stored_file = delete_stored_file;
 module.exports.shutdown_exiftool = shutdown_exiftool;
 module.exports.generate_image_thumbnail = generate_image_thumbnail;
+module.exports.generate_image_pyramid = generate_image_pyramid;
+module.exports.build_pyramid_path = build_pyramid_path;
+module.exports.extract_pdf_text = extract_pdf_text;
+module.exports.generate_pdf_text = generate_pdf_text;
+module.exports.read_pdf_text = read_pdf_text;
+module.exports.build_text_path = build_text_path;
+module.exports.store_file = store_file;
+module.exports.archive_stored_file = archive_stored_file;
+module.exports.restore_archived_file = restore_archived_file;
+module.exports.get_media_type = get_media_type;
+module.exports.compute_perceptual_hash = compute_perceptual_hash;
+module.exports.hash_stored_file = hash_stored_file;
+module.exports.hash_stored_media = hash_stored_media;
+module.exports.extract_metadata = extract_metadata;
+module.exports.strip_embedded_metadata = strip_embedded_metadata;
+module.exports.is_valid_file_type = is_valid_file_type;
+module.exports.require_create_media_permission = require_create_media_permission;
+module.exports.MAX_FILE_SIZE = MAX_FILE_SIZE;
+module.exports.store_thumbnail_file = store_thumbnail_file;
 module.exports.STORAGE_PATH = STORAGE_PATH;
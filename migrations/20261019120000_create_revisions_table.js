@@ -0,0 +1,51 @@
+/**
+ * Migration: create `tbl_revisions`, the append-only revision store for exhibit
+ * components.
+ *
+ * Every save through the exhibit, heading, item, grid, grid item, timeline and
+ * timeline item update paths used to overwrite the row in place, so a clobbered
+ * label or description could not be recovered. Each save now records one row
+ * here: the full post-save snapshot of the record plus a field diff against the
+ * pre-save state, who made it and when. The first save of a record that has no
+ * history yet also records a `baseline` row holding the pre-save state, so the
+ * original content is always restorable.
+ *
+ * `record_type` uses the same vocabulary as AUTHORIZE / check_ownership
+ * (exhibit | heading | item | grid | grid_item | timeline | timeline_item).
+ * Container membership (`is_member_of_grid` / `is_member_of_timeline`) is kept
+ * in the snapshot itself; `is_member_of_exhibit` is promoted to a column so the
+ * exhibit-wide history can be listed without parsing JSON.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+
+'use strict';
+
+exports.up = async function (knex) {
+
+    await knex.schema.raw(`
+    CREATE TABLE IF NOT EXISTS \`tbl_revisions\` (
+      \`id\` int(11) unsigned NOT NULL AUTO_INCREMENT,
+      \`uuid\` varchar(255) NOT NULL,
+      \`record_type\` varchar(50) NOT NULL COMMENT 'exhibit | heading | item | grid | grid_item | timeline | timeline_item',
+      \`record_uuid\` varchar(255) NOT NULL,
+      \`is_member_of_exhibit\` varchar(255) NOT NULL,
+      \`version\` int(11) unsigned NOT NULL DEFAULT 1 COMMENT 'per-record sequence, 1 = oldest',
+      \`action\` varchar(20) NOT NULL DEFAULT 'update' COMMENT 'baseline | update | restore',
+      \`restored_from\` varchar(255) DEFAULT NULL COMMENT 'revision uuid a restore was taken from',
+      \`snapshot\` longtext NOT NULL COMMENT 'JSON record state after the save',
+      \`changes\` longtext DEFAULT NULL COMMENT 'JSON {field: {before, after}}',
+      \`created_by\` varchar(255) DEFAULT NULL,
+      \`created\` timestamp NOT NULL DEFAULT current_timestamp(),
+      PRIMARY KEY (\`id\`),
+      UNIQUE KEY \`uuid_unique\` (\`uuid\`),
+      KEY \`record_uuid_index\` (\`record_uuid\`) USING BTREE,
+      KEY \`is_member_of_exhibit_index\` (\`is_member_of_exhibit\`) USING BTREE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_general_ci;
+  `);
+};
+
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('tbl_revisions');
+};
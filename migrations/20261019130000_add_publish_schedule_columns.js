@@ -0,0 +1,45 @@
+/**
+ * Migration: add scheduled publish/suppress columns to exhibits and standard items.
+ *
+ * `publish_at` / `suppress_at` hold a pending transition; the in-process publish
+ * scheduler (exhibits/publish_scheduler.js) polls for rows whose time has passed,
+ * runs the normal publish/suppress path and clears the column. Because the
+ * schedule lives in the table rather than in a timer, a transition that comes
+ * due while the app is down fires on the first poll after restart.
+ *
+ * `scheduled_by` records who set the most recent schedule, since the transition
+ * itself runs without a request user.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+
+'use strict';
+
+const TABLES = ['tbl_exhibits', 'tbl_standard_items'];
+
+exports.up = async function (knex) {
+
+    for (const table_name of TABLES) {
+        await knex.schema.alterTable(table_name, (table) => {
+            table.datetime('publish_at').nullable().defaultTo(null);
+            table.datetime('suppress_at').nullable().defaultTo(null);
+            table.string('scheduled_by').nullable().defaultTo(null);
+            table.index(['publish_at'], 'publish_at_index');
+            table.index(['suppress_at'], 'suppress_at_index');
+        });
+    }
+};
+
+exports.down = async function (knex) {
+
+    for (const table_name of TABLES) {
+        await knex.schema.alterTable(table_name, (table) => {
+            table.dropIndex(['publish_at'], 'publish_at_index');
+            table.dropIndex(['suppress_at'], 'suppress_at_index');
+            table.dropColumn('publish_at');
+            table.dropColumn('suppress_at');
+            table.dropColumn('scheduled_by');
+        });
+    }
+};
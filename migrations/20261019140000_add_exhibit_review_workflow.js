@@ -0,0 +1,113 @@
+/**
+ * Migration: editorial review workflow for exhibits.
+ *
+ * 1. `tbl_exhibits.workflow_state` — draft | in_review | changes_requested |
+ *    approved | published. Existing published exhibits are backfilled as
+ *    `published`; everything else starts as `draft`.
+ * 2. `tbl_exhibit_reviews` — append-only log of workflow transitions with the
+ *    reviewer's comment, so a curator can see why changes were requested.
+ * 3. Permissions gating each transition:
+ *      submit_exhibit_for_review — every role
+ *      approve_exhibit / request_exhibit_changes — Administrator, Power User
+ *
+ * Whether an exhibit must be approved before it can be published is decided at
+ * runtime by EXHIBIT_REVIEW_WORKFLOW (off | student_curated | all), so the
+ * columns are harmless while the workflow is switched off.
+ *
+ * Permission grants are idempotent, as in 20260610120000_add_manage_index_permission.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+
+'use strict';
+
+const PERMISSIONS = [
+    {
+        permission: 'submit_exhibit_for_review',
+        description: 'Allows user to submit an exhibit for editorial review',
+        roles: ['Administrator', 'Power User', 'General User', 'Student']
+    },
+    {
+        permission: 'approve_exhibit',
+        description: 'Allows user to approve an exhibit that is in review',
+        roles: ['Administrator', 'Power User']
+    },
+    {
+        permission: 'request_exhibit_changes',
+        description: 'Allows user to send an exhibit in review back to its curator with comments',
+        roles: ['Administrator', 'Power User']
+    }
+];
+
+exports.up = async function (knex) {
+
+    const has_state = await knex.schema.hasColumn('tbl_exhibits', 'workflow_state');
+
+    if (!has_state) {
+        await knex.schema.alterTable('tbl_exhibits', (table) => {
+            table.string('workflow_state', 20).notNullable().defaultTo('draft');
+        });
+
+        await knex('tbl_exhibits').where({ is_published: 1 }).update({ workflow_state: 'published' });
+    }
+
+    await knex.schema.raw(`
+    CREATE TABLE IF NOT EXISTS \`tbl_exhibit_reviews\` (
+      \`id\` int(11) unsigned NOT NULL AUTO_INCREMENT,
+      \`uuid\` varchar(255) NOT NULL,
+      \`exhibit_uuid\` varchar(255) NOT NULL,
+      \`action\` varchar(20) NOT NULL COMMENT 'submit | approve | request_changes',
+      \`from_state\` varchar(20) NOT NULL,
+      \`to_state\` varchar(20) NOT NULL,
+      \`comment\` text DEFAULT NULL,
+      \`created_by\` varchar(255) DEFAULT NULL,
+      \`created\` timestamp NOT NULL DEFAULT current_timestamp(),
+      PRIMARY KEY (\`id\`),
+      UNIQUE KEY \`uuid_unique\` (\`uuid\`),
+      KEY \`exhibit_uuid_index\` (\`exhibit_uuid\`) USING BTREE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_general_ci;
+  `);
+
+    for (const { permission, description, roles } of PERMISSIONS) {
+
+        let perm = await knex('tbl_user_permissions').where({ permission }).first('id');
+        if (!perm) {
+            const [id] = await knex('tbl_user_permissions').insert({ permission, description });
+            perm = { id };
+        }
+
+        for (const role_name of roles) {
+            const role = await knex('tbl_user_roles').where({ role: role_name }).first('id');
+            if (!role) {
+                continue;
+            }
+
+            const existing = await knex('ctbl_role_permissions')
+                .where({ role_id: role.id, permission_id: perm.id })
+                .first('id');
+            if (!existing) {
+                await knex('ctbl_role_permissions').insert({ role_id: role.id, permission_id: perm.id });
+            }
+        }
+    }
+};
+
+exports.down = async function (knex) {
+
+    for (const { permission } of PERMISSIONS) {
+        const perm = await knex('tbl_user_permissions').where({ permission }).first('id');
+        if (perm) {
+            await knex('ctbl_role_permissions').where({ permission_id: perm.id }).del();
+            await knex('tbl_user_permissions').where({ id: perm.id }).del();
+        }
+    }
+
+    await knex.schema.dropTableIfExists('tbl_exhibit_reviews');
+
+    if (await knex.schema.hasColumn('tbl_exhibits', 'workflow_state')) {
+        await knex.schema.alterTable('tbl_exhibits', (table) => {
+            table.dropColumn('workflow_state');
+        });
+    }
+};
@@ -0,0 +1,72 @@
+/**
+ * Migration: create `tbl_audit_log` and the `view_audit_log` permission.
+ *
+ * `updated_by` columns only hold the most recent editor and denials are the
+ * only thing AUTHORIZE logs, so there was no lasting record of who created,
+ * changed, published or deleted what. Every successful mutating request through
+ * the exhibit, heading, item, grid, timeline, media library, user and recycle
+ * controllers now appends one row here: the actor (JWT subject, or `api_key`),
+ * the action, the record it touched, a small before/after summary and the
+ * client IP. Rows are never updated or deleted by the app.
+ *
+ * `view_audit_log` gates the read API and dashboard page; it is granted to
+ * Administrator only. Idempotent, as in 20260610120000_add_manage_index_permission.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+
+'use strict';
+
+const PERMISSION = 'view_audit_log';
+const DESCRIPTION = 'Allows user to view the audit log of changes made in the dashboard';
+const ADMIN_ROLE = 'Administrator';
+
+exports.up = async function (knex) {
+
+    await knex.schema.raw(`
+    CREATE TABLE IF NOT EXISTS \`tbl_audit_log\` (
+      \`id\` int(11) unsigned NOT NULL AUTO_INCREMENT,
+      \`actor\` varchar(255) NOT NULL,
+      \`action\` varchar(50) NOT NULL COMMENT 'create | update | delete | publish | suppress | ...',
+      \`record_type\` varchar(50) NOT NULL COMMENT 'exhibit | heading | item | grid | grid_item | timeline | timeline_item | media | user',
+      \`record_uuid\` varchar(255) DEFAULT NULL,
+      \`exhibit_uuid\` varchar(255) DEFAULT NULL,
+      \`summary\` longtext DEFAULT NULL COMMENT 'JSON {before, after}',
+      \`ip\` varchar(45) DEFAULT NULL,
+      \`created\` timestamp NOT NULL DEFAULT current_timestamp(),
+      PRIMARY KEY (\`id\`),
+      KEY \`created_index\` (\`created\`) USING BTREE,
+      KEY \`actor_index\` (\`actor\`) USING BTREE,
+      KEY \`record_uuid_index\` (\`record_uuid\`) USING BTREE,
+      KEY \`exhibit_uuid_index\` (\`exhibit_uuid\`) USING BTREE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_general_ci;
+  `);
+
+    let perm = await knex('tbl_user_permissions').where({ permission: PERMISSION }).first('id');
+    if (!perm) {
+        const [id] = await knex('tbl_user_permissions').insert({ permission: PERMISSION, description: DESCRIPTION });
+        perm = { id };
+    }
+
+    const admin = await knex('tbl_user_roles').where({ role: ADMIN_ROLE }).first('id');
+    if (admin) {
+        const existing = await knex('ctbl_role_permissions')
+            .where({ role_id: admin.id, permission_id: perm.id })
+            .first('id');
+        if (!existing) {
+            await knex('ctbl_role_permissions').insert({ role_id: admin.id, permission_id: perm.id });
+        }
+    }
+};
+
+exports.down = async function (knex) {
+
+    const perm = await knex('tbl_user_permissions').where({ permission: PERMISSION }).first('id');
+    if (perm) {
+        await knex('ctbl_role_permissions').where({ permission_id: perm.id }).del();
+        await knex('tbl_user_permissions').where({ id: perm.id }).del();
+    }
+
+    await knex.schema.dropTableIfExists('tbl_audit_log');
+};
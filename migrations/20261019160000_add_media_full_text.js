@@ -0,0 +1,31 @@
+/**
+ * Migration: add `full_text` to tbl_media_library.
+ *
+ * Holds the text extracted from an uploaded PDF as a JSON array with one string
+ * per page (index 0 = page 1), in the same JSON-in-LONGTEXT form as
+ * `exif_data`. Keeping the pages apart lets IIIF Content Search point a hit at
+ * the page it came from; the indexer joins them into a single field.
+ *
+ * NULL means no text was extracted (not a PDF, a scanned PDF without a text
+ * layer, or a record uploaded before extraction existed — see
+ * tools/extract-pdf-text.js for the backfill).
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+
+'use strict';
+
+exports.up = async function (knex) {
+
+    await knex.schema.alterTable('tbl_media_library', (table) => {
+        table.specificType('full_text', 'longtext').nullable().defaultTo(null).after('exif_data');
+    });
+};
+
+exports.down = async function (knex) {
+
+    await knex.schema.alterTable('tbl_media_library', (table) => {
+        table.dropColumn('full_text');
+    });
+};
@@ -0,0 +1,49 @@
+/**
+ * Migration: create `tbl_media_ingest_jobs`.
+ *
+ * One row per zip uploaded to the media library batch ingest. The archive is
+ * processed in the background after the upload request returns, so the row is
+ * what the dashboard polls: counters are bumped after every file and `results`
+ * holds the per-file outcome as a JSON array of
+ * {file, status: created | duplicate | failed, uuid, message}.
+ *
+ * `username` is the JWT subject of the uploader; jobs are only listed back to
+ * the user who started them.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+
+'use strict';
+
+exports.up = async function (knex) {
+
+    await knex.schema.raw(`
+    CREATE TABLE IF NOT EXISTS \`tbl_media_ingest_jobs\` (
+      \`id\` int(11) unsigned NOT NULL AUTO_INCREMENT,
+      \`uuid\` varchar(255) NOT NULL,
+      \`status\` varchar(20) NOT NULL DEFAULT 'queued' COMMENT 'queued | running | completed | failed',
+      \`archive_name\` varchar(255) NOT NULL DEFAULT '',
+      \`manifest_name\` varchar(255) DEFAULT NULL,
+      \`total\` int(11) unsigned NOT NULL DEFAULT 0,
+      \`processed\` int(11) unsigned NOT NULL DEFAULT 0,
+      \`created_count\` int(11) unsigned NOT NULL DEFAULT 0,
+      \`duplicate_count\` int(11) unsigned NOT NULL DEFAULT 0,
+      \`failed_count\` int(11) unsigned NOT NULL DEFAULT 0,
+      \`results\` longtext DEFAULT NULL COMMENT 'JSON [{file, status, uuid, message}]',
+      \`error\` varchar(1000) DEFAULT NULL,
+      \`username\` varchar(255) DEFAULT NULL,
+      \`created\` timestamp NOT NULL DEFAULT current_timestamp(),
+      \`updated\` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+      \`completed\` timestamp NULL DEFAULT NULL,
+      PRIMARY KEY (\`id\`),
+      UNIQUE KEY \`uuid_index\` (\`uuid\`),
+      KEY \`username_index\` (\`username\`) USING BTREE,
+      KEY \`created_index\` (\`created\`) USING BTREE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_general_ci;
+  `);
+};
+
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('tbl_media_ingest_jobs');
+};
@@ -0,0 +1,37 @@
+/**
+ * Migration: add `content_hash` and `perceptual_hash` to tbl_media_library.
+ *
+ * content_hash is the SHA-256 of the stored original (64 hex chars), so an
+ * identical re-upload is a single indexed lookup. perceptual_hash is a 64-bit
+ * difference hash (16 hex chars) of the image — or of a PDF's first-page
+ * thumbnail — that stays close for resized, recompressed or lightly edited
+ * copies; similarity is the Hamming distance between two hashes.
+ *
+ * Both are NULL for repository and Kaltura media, and for uploads stored
+ * before hashing existed — see tools/backfill-media-hashes.js.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+
+'use strict';
+
+exports.up = async function (knex) {
+
+    await knex.schema.alterTable('tbl_media_library', (table) => {
+        table.string('content_hash', 64).nullable().defaultTo(null).after('full_text');
+        table.string('perceptual_hash', 16).nullable().defaultTo(null).after('content_hash');
+        table.index(['content_hash'], 'idx_media_library_content_hash');
+        table.index(['perceptual_hash'], 'idx_media_library_perceptual_hash');
+    });
+};
+
+exports.down = async function (knex) {
+
+    await knex.schema.alterTable('tbl_media_library', (table) => {
+        table.dropIndex(['perceptual_hash'], 'idx_media_library_perceptual_hash');
+        table.dropIndex(['content_hash'], 'idx_media_library_content_hash');
+        table.dropColumn('perceptual_hash');
+        table.dropColumn('content_hash');
+    });
+};
@@ -0,0 +1,47 @@
+/**
+ * Migration: create `tbl_media_versions`.
+ *
+ * One row per file a media record has had replaced. The record keeps its
+ * UUID (and every item pointing at it) while the superseded original,
+ * thumbnail and derivatives move to versions/<b1>/<b2>/<uuid>/v<N>/; the row
+ * holds that archived location plus the file fields the record carried at the
+ * time, so an earlier scan can be found and compared later.
+ *
+ * `replaced_by` is the full name of the user who uploaded the replacement,
+ * as with `updated_by` on the media record.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+
+'use strict';
+
+exports.up = async function (knex) {
+
+    await knex.schema.raw(`
+    CREATE TABLE IF NOT EXISTS \`tbl_media_versions\` (
+      \`id\` int(11) unsigned NOT NULL AUTO_INCREMENT,
+      \`media_uuid\` varchar(255) NOT NULL,
+      \`version\` int(11) unsigned NOT NULL,
+      \`storage_path\` varchar(500) NOT NULL,
+      \`thumbnail_path\` varchar(500) DEFAULT NULL,
+      \`filename\` varchar(255) DEFAULT NULL,
+      \`original_filename\` varchar(1000) DEFAULT NULL,
+      \`mime_type\` varchar(100) DEFAULT NULL,
+      \`size\` bigint(20) unsigned DEFAULT NULL,
+      \`media_width\` int(11) unsigned DEFAULT NULL,
+      \`media_height\` int(11) unsigned DEFAULT NULL,
+      \`exif_data\` longtext DEFAULT NULL,
+      \`content_hash\` varchar(64) DEFAULT NULL,
+      \`replaced_by\` varchar(255) DEFAULT NULL,
+      \`created\` timestamp NOT NULL DEFAULT current_timestamp(),
+      PRIMARY KEY (\`id\`),
+      UNIQUE KEY \`media_version_index\` (\`media_uuid\`, \`version\`),
+      KEY \`media_uuid_index\` (\`media_uuid\`) USING BTREE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_general_ci;
+  `);
+};
+
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('tbl_media_versions');
+};
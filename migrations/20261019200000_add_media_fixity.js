@@ -0,0 +1,73 @@
+/**
+ * Migration: add fixity columns to tbl_media_library and the
+ * `view_fixity_report` permission.
+ *
+ * An uploaded original's SHA-256 is already recorded at upload as
+ * `content_hash`. The fixity audit (media-library/tasks/fixity_audit.js)
+ * re-hashes each stored original and records the outcome here:
+ *
+ *   fixity_status    ok | missing | changed | unreadable (NULL: never audited)
+ *   fixity_message   why the last check failed
+ *   fixity_checked   when the file was last audited
+ *   fixity_verified  when the file last matched its content_hash
+ *
+ * A failure keeps the last fixity_verified, so the report shows how long a
+ * file has been unaccounted for. `view_fixity_report` gates the report API
+ * and dashboard page; it is granted to Administrator only. Idempotent, as in
+ * 20260610120000_add_manage_index_permission.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+
+'use strict';
+
+const PERMISSION = 'view_fixity_report';
+const DESCRIPTION = 'Allows user to view the fixity report of stored media files and re-check them';
+const ADMIN_ROLE = 'Administrator';
+
+exports.up = async function (knex) {
+
+    await knex.schema.alterTable('tbl_media_library', (table) => {
+        table.string('fixity_status', 20).nullable().defaultTo(null).after('perceptual_hash');
+        table.string('fixity_message', 255).nullable().defaultTo(null).after('fixity_status');
+        table.datetime('fixity_checked').nullable().defaultTo(null).after('fixity_message');
+        table.datetime('fixity_verified').nullable().defaultTo(null).after('fixity_checked');
+        table.index(['fixity_status'], 'idx_media_library_fixity_status');
+        table.index(['fixity_checked'], 'idx_media_library_fixity_checked');
+    });
+
+    let perm = await knex('tbl_user_permissions').where({ permission: PERMISSION }).first('id');
+    if (!perm) {
+        const [id] = await knex('tbl_user_permissions').insert({ permission: PERMISSION, description: DESCRIPTION });
+        perm = { id };
+    }
+
+    const admin = await knex('tbl_user_roles').where({ role: ADMIN_ROLE }).first('id');
+    if (admin) {
+        const existing = await knex('ctbl_role_permissions')
+            .where({ role_id: admin.id, permission_id: perm.id })
+            .first('id');
+        if (!existing) {
+            await knex('ctbl_role_permissions').insert({ role_id: admin.id, permission_id: perm.id });
+        }
+    }
+};
+
+exports.down = async function (knex) {
+
+    const perm = await knex('tbl_user_permissions').where({ permission: PERMISSION }).first('id');
+    if (perm) {
+        await knex('ctbl_role_permissions').where({ permission_id: perm.id }).del();
+        await knex('tbl_user_permissions').where({ id: perm.id }).del();
+    }
+
+    await knex.schema.alterTable('tbl_media_library', (table) => {
+        table.dropIndex(['fixity_checked'], 'idx_media_library_fixity_checked');
+        table.dropIndex(['fixity_status'], 'idx_media_library_fixity_status');
+        table.dropColumn('fixity_verified');
+        table.dropColumn('fixity_checked');
+        table.dropColumn('fixity_message');
+        table.dropColumn('fixity_status');
+    });
+};
@@ -0,0 +1,30 @@
+/**
+ * Migration: add the per-record embedded metadata privacy override to
+ * tbl_media_library.
+ *
+ *   exif_privacy  strip | retain; NULL follows the site policy
+ *                 (EXIF_PRIVACY_POLICY, see media-library/exif_privacy_config.js)
+ *
+ * Under strip, only the configured retain fields of exif_data reach IIIF
+ * manifests and the served file is a copy without the rest. exif_data itself
+ * is unchanged.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+
+'use strict';
+
+exports.up = async function (knex) {
+
+    await knex.schema.alterTable('tbl_media_library', (table) => {
+        table.string('exif_privacy', 10).nullable().defaultTo(null).after('exif_data');
+    });
+};
+
+exports.down = async function (knex) {
+
+    await knex.schema.alterTable('tbl_media_library', (table) => {
+        table.dropColumn('exif_privacy');
+    });
+};
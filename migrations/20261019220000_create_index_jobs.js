@@ -0,0 +1,48 @@
+/**
+ * Migration: create `tbl_index_jobs`.
+ *
+ * Durable queue for search index work that runs after the request that caused
+ * it has returned (re-index after an edit, reorder, bulk publish/suppress, move,
+ * revision restore or media replacement). The in-process worker leases due rows,
+ * deletes them once done and otherwise reschedules them with backoff; a job that
+ * runs out of attempts is kept as `dead` for the dashboard to list and retry.
+ *
+ * `dedupe_key` names the component being indexed (e.g. `item:<uuid>`): a new job
+ * for a key that already has a pending row replaces that row's work and pushes
+ * its `run_at` back, which is what coalesces a burst of edits into one re-index.
+ * `payload` is the job's JSON arguments.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+
+'use strict';
+
+exports.up = async function (knex) {
+
+    await knex.schema.raw(`
+    CREATE TABLE IF NOT EXISTS \`tbl_index_jobs\` (
+      \`id\` int(11) unsigned NOT NULL AUTO_INCREMENT,
+      \`uuid\` varchar(255) NOT NULL,
+      \`type\` varchar(50) NOT NULL,
+      \`dedupe_key\` varchar(255) NOT NULL,
+      \`payload\` text DEFAULT NULL COMMENT 'JSON job arguments',
+      \`status\` varchar(20) NOT NULL DEFAULT 'pending' COMMENT 'pending | running | dead',
+      \`attempts\` int(11) unsigned NOT NULL DEFAULT 0,
+      \`run_at\` datetime(3) NOT NULL,
+      \`leased_until\` datetime(3) DEFAULT NULL,
+      \`lease_owner\` varchar(255) DEFAULT NULL,
+      \`last_error\` varchar(1000) DEFAULT NULL,
+      \`created\` timestamp NOT NULL DEFAULT current_timestamp(),
+      \`updated\` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+      PRIMARY KEY (\`id\`),
+      UNIQUE KEY \`uuid_index\` (\`uuid\`),
+      KEY \`dedupe_key_index\` (\`dedupe_key\`, \`status\`) USING BTREE,
+      KEY \`status_run_at_index\` (\`status\`, \`run_at\`) USING BTREE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_general_ci;
+  `);
+};
+
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('tbl_index_jobs');
+};
@@ -0,0 +1,34 @@
+/**
+ * Migration: add `date_start` and `date_end` to tbl_timeline_items.
+ *
+ * `date` stays the display value, now an EDTF string (1920~, 1861/1865,
+ * 192X ...). date_start and date_end are the first and last days it covers,
+ * derived on save, so timeline items can be put in chronological order. An
+ * open interval end is NULL on that side.
+ *
+ * Existing rows are NULL until their date is saved again or
+ * tools/backfill-timeline-dates.js is run.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+
+'use strict';
+
+exports.up = async function (knex) {
+
+    await knex.schema.alterTable('tbl_timeline_items', (table) => {
+        table.date('date_start').nullable().defaultTo(null).after('date');
+        table.date('date_end').nullable().defaultTo(null).after('date_start');
+        table.index(['is_member_of_timeline', 'date_start'], 'idx_timeline_items_date_start');
+    });
+};
+
+exports.down = async function (knex) {
+
+    await knex.schema.alterTable('tbl_timeline_items', (table) => {
+        table.dropIndex(['is_member_of_timeline', 'date_start'], 'idx_timeline_items_date_start');
+        table.dropColumn('date_end');
+        table.dropColumn('date_start');
+    });
+};
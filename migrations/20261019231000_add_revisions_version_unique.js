@@ -0,0 +1,50 @@
+/**
+ * Migration: make `(record_uuid, version)` unique in tbl_revisions.
+ *
+ * Revision versions were read as max(version) + 1 and inserted separately,
+ * so two saves of one record at the same moment could both write the same
+ * version. Revisions are now appended in a transaction with a locking read,
+ * and this key makes a lost race fail (and be retried) instead of writing a
+ * duplicate. Any duplicates already written are renumbered first, in the
+ * order they were recorded; the key also replaces the plain record_uuid index.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+
+'use strict';
+
+const TABLE = 'tbl_revisions';
+
+exports.up = async function (knex) {
+
+    const duplicated = await knex(TABLE)
+        .select('record_uuid')
+        .groupBy('record_uuid')
+        .havingRaw('COUNT(*) > COUNT(DISTINCT version)');
+
+    for (const {record_uuid} of duplicated) {
+
+        const rows = await knex(TABLE)
+            .select('id')
+            .where({record_uuid})
+            .orderBy([{column: 'version', order: 'asc'}, {column: 'id', order: 'asc'}]);
+
+        for (let i = 0; i < rows.length; i++) {
+            await knex(TABLE).where({id: rows[i].id}).update({version: i + 1});
+        }
+    }
+
+    await knex.schema.alterTable(TABLE, (table) => {
+        table.unique(['record_uuid', 'version'], {indexName: 'record_version_unique'});
+        table.dropIndex(['record_uuid'], 'record_uuid_index');
+    });
+};
+
+exports.down = async function (knex) {
+
+    await knex.schema.alterTable(TABLE, (table) => {
+        table.index(['record_uuid'], 'record_uuid_index');
+        table.dropUnique(['record_uuid', 'version'], 'record_version_unique');
+    });
+};
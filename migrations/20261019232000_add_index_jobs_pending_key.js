@@ -0,0 +1,51 @@
+/**
+ * Migration: allow one pending job per `dedupe_key` in tbl_index_jobs.
+ *
+ * Coalescing reads the key's pending row and updates it, or inserts one when
+ * there is none. The `(dedupe_key, status)` index did not stop two requests
+ * that both found none from inserting two pending rows for one key. The
+ * generated `pending_key` holds the key only while a row is pending, so its
+ * unique index allows any number of running or dead rows per key but a single
+ * pending one. Duplicate pending rows already queued are removed first,
+ * keeping the newest.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+
+'use strict';
+
+const TABLE = 'tbl_index_jobs';
+
+exports.up = async function (knex) {
+
+    const duplicated = await knex(TABLE)
+        .select('dedupe_key')
+        .max('id as keep_id')
+        .where({status: 'pending'})
+        .groupBy('dedupe_key')
+        .havingRaw('COUNT(*) > 1');
+
+    for (const {dedupe_key, keep_id} of duplicated) {
+        await knex(TABLE)
+            .where({dedupe_key, status: 'pending'})
+            .whereNot({id: keep_id})
+            .delete();
+    }
+
+    await knex.schema.raw(`
+    ALTER TABLE \`${TABLE}\`
+      ADD COLUMN \`pending_key\` varchar(255) GENERATED ALWAYS AS (IF(\`status\` = 'pending', \`dedupe_key\`, NULL)) STORED
+        COMMENT 'dedupe_key while pending, otherwise NULL' AFTER \`status\`,
+      ADD UNIQUE KEY \`pending_key_unique\` (\`pending_key\`);
+  `);
+};
+
+exports.down = async function (knex) {
+
+    await knex.schema.raw(`
+    ALTER TABLE \`${TABLE}\`
+      DROP INDEX \`pending_key_unique\`,
+      DROP COLUMN \`pending_key\`;
+  `);
+};
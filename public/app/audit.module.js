@@ -0,0 +1,308 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+const auditModule = (function () {
+
+    'use strict';
+
+    const APP_PATH = endpointsModule.get_app_path();
+    // Built from APP_PATH like recycle.module.js, so the page works before the
+    // cached endpoints map is refreshed.
+    const LIST_ENDPOINT = APP_PATH + '/api/v1/audit';
+    const PAGE_SIZE = 50;
+    const FILTERS = {
+        actor: 'audit-actor',
+        action: 'audit-action',
+        record_type: 'audit-record-type',
+        record_uuid: 'audit-record-uuid',
+        from: 'audit-from',
+        to: 'audit-to'
+    };
+
+    let obj = {};
+    let current_page = 1;
+    let total = 0;
+
+    function el(id) {
+        return document.getElementById(id);
+    }
+
+    function set_alert(type, message) {
+        domModule.set_alert(document.querySelector('#message'), type, message);
+    }
+
+    // ---- Rendering (DOM-built, never innerHTML with entry data → XSS-safe) ----
+
+    function format_date(value) {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? String(value || '') : date.toLocaleString();
+    }
+
+    // "field: old → new" lines from the {before, after} summary. Fields only in
+    // `after` (most updates, since the prior state lives in revision history)
+    // are shown as "field: new".
+    function format_changes(summary) {
+
+        if (!summary || (!summary.before && !summary.after)) {
+            return [];
+        }
+
+        const before = summary.before || {};
+        const after = summary.after || {};
+        const keys = Array.from(new Set([...Object.keys(before), ...Object.keys(after)]));
+
+        return keys.map((key) => {
+            if (Object.hasOwn(before, key) && Object.hasOwn(after, key)) {
+                return `${key}: ${before[key]} → ${after[key]}`;
+            }
+            return Object.hasOwn(after, key) ? `${key}: ${after[key]}` : `${key}: ${before[key]} (removed)`;
+        });
+    }
+
+    function text_cell(text, class_name) {
+        const td = document.createElement('td');
+        if (class_name) {
+            td.className = class_name;
+        }
+        td.textContent = text;
+        return td;
+    }
+
+    function build_record_cell(entry) {
+
+        const td = document.createElement('td');
+        const type = document.createElement('div');
+        type.textContent = entry.record_type;
+        td.appendChild(type);
+
+        if (entry.record_uuid) {
+            const uuid = document.createElement('div');
+            uuid.className = 'audit-uuid audit-muted';
+            uuid.textContent = entry.record_uuid;
+            td.appendChild(uuid);
+        }
+
+        if (entry.exhibit_uuid && entry.exhibit_uuid !== entry.record_uuid) {
+            const exhibit = document.createElement('div');
+            exhibit.className = 'audit-uuid audit-muted';
+            exhibit.textContent = `in exhibit ${entry.exhibit_uuid}`;
+            td.appendChild(exhibit);
+        }
+
+        return td;
+    }
+
+    function build_changes_cell(entry) {
+
+        const td = document.createElement('td');
+        td.className = 'audit-changes';
+
+        format_changes(entry.summary).forEach((line) => {
+            const div = document.createElement('div');
+            div.textContent = line;
+            td.appendChild(div);
+        });
+
+        return td;
+    }
+
+    function build_row(entry) {
+        const tr = document.createElement('tr');
+        tr.appendChild(text_cell(format_date(entry.created)));
+        tr.appendChild(text_cell(entry.actor || ''));
+        tr.appendChild(text_cell(entry.action || ''));
+        tr.appendChild(build_record_cell(entry));
+        tr.appendChild(build_changes_cell(entry));
+        tr.appendChild(text_cell(entry.ip || '', 'audit-muted'));
+        return tr;
+    }
+
+    function total_pages() {
+        return Math.max(1, Math.ceil(total / PAGE_SIZE));
+    }
+
+    function render_pager(shown) {
+        const pager = el('audit-pager');
+        if (!pager) {
+            return;
+        }
+        const pages = total_pages();
+        if (pages <= 1) {
+            pager.style.display = 'none';
+            return;
+        }
+        pager.style.display = '';
+        const start_index = (current_page - 1) * PAGE_SIZE;
+        const info = el('audit-page-info');
+        if (info) {
+            info.textContent = `Showing ${start_index + 1}–${start_index + shown} of ${total} (page ${current_page} of ${pages})`;
+        }
+        const prev = el('audit-prev');
+        if (prev) prev.disabled = current_page <= 1;
+        const next = el('audit-next');
+        if (next) next.disabled = current_page >= pages;
+    }
+
+    function render_entries(entries) {
+
+        const tbody = el('audit-data');
+        const table_wrap = el('audit-table-wrap');
+        const empty_state = el('audit-empty-state');
+        const pager = el('audit-pager');
+        if (!tbody) {
+            return;
+        }
+
+        tbody.textContent = '';
+
+        if (entries.length === 0) {
+            if (table_wrap) table_wrap.style.display = 'none';
+            if (empty_state) empty_state.style.display = '';
+            if (pager) pager.style.display = 'none';
+            return;
+        }
+
+        if (table_wrap) table_wrap.style.display = '';
+        if (empty_state) empty_state.style.display = 'none';
+
+        entries.forEach((entry) => tbody.appendChild(build_row(entry)));
+        render_pager(entries.length);
+    }
+
+    // ---- Data load (paged server-side) ----
+
+    function build_query() {
+
+        const params = new URLSearchParams({ page: String(current_page), page_size: String(PAGE_SIZE) });
+
+        Object.keys(FILTERS).forEach((key) => {
+            const input = el(FILTERS[key]);
+            const value = input ? input.value.trim() : '';
+            if (value) {
+                params.set(key, value);
+            }
+        });
+
+        return params.toString();
+    }
+
+    async function load_entries() {
+
+        const token = authModule.get_user_token();
+        if (token === false) {
+            return;
+        }
+
+        try {
+
+            const response = await httpModule.req({
+                method: 'GET',
+                url: `${LIST_ENDPOINT}?${build_query()}`,
+                headers: { 'x-access-token': token }
+            });
+
+            if (response !== undefined && response.status === 200 && response.data && response.data.data) {
+                total = response.data.data.total || 0;
+                render_entries(response.data.data.entries || []);
+            } else if (response !== undefined && response.status === 400) {
+                set_alert('warning', (response.data && response.data.message) || 'Invalid filter.');
+            } else if (response !== undefined && response.status === 403) {
+                set_alert('danger', 'You are not authorized to view the audit log.');
+                render_entries([]);
+            } else {
+                set_alert('danger', 'Unable to load the audit log.');
+                render_entries([]);
+            }
+
+        } catch (error) {
+            set_alert('danger', 'Unable to load the audit log.');
+            render_entries([]);
+        }
+    }
+
+    obj.display_audit_log = load_entries;
+
+    function wire_controls() {
+
+        const form = el('audit-filters');
+        if (form) {
+            form.addEventListener('submit', function (event) {
+                event.preventDefault();
+                current_page = 1;
+                load_entries();
+            });
+            form.addEventListener('reset', function () {
+                // Let the form clear its fields before reloading
+                setTimeout(function () {
+                    current_page = 1;
+                    load_entries();
+                }, 0);
+            });
+        }
+
+        const prev = el('audit-prev');
+        if (prev) {
+            prev.addEventListener('click', function () {
+                if (current_page > 1) {
+                    current_page--;
+                    load_entries();
+                }
+            });
+        }
+
+        const next = el('audit-next');
+        if (next) {
+            next.addEventListener('click', function () {
+                if (current_page < total_pages()) {
+                    current_page++;
+                    load_entries();
+                }
+            });
+        }
+    }
+
+    obj.init = async function () {
+
+        if (typeof navModule !== 'undefined' && typeof navModule.wire_nav_links === 'function') {
+            navModule.wire_nav_links();
+        }
+
+        // Access gate: the audit log is an admin tool. The server still requires
+        // view_audit_log on every request.
+        const is_admin = await authModule.is_administrator();
+        if (is_admin !== true) {
+            window.location.replace(APP_PATH + '/access-denied');
+            return;
+        }
+
+        const content = el('audit-content');
+        if (content) {
+            content.style.display = '';
+        }
+
+        if (typeof helperModule !== 'undefined' && typeof helperModule.show_form === 'function') {
+            helperModule.show_form();
+        }
+
+        wire_controls();
+        await load_entries();
+    };
+
+    return obj;
+
+}());
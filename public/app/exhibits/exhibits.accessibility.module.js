@@ -0,0 +1,135 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+const exhibitsAccessibilityModule = (function () {
+
+    'use strict';
+
+    const EXHIBITS_ENDPOINTS = endpointsModule.get_exhibits_endpoints();
+
+    const RECORD_TYPE_LABELS = {
+        exhibit: 'Exhibit',
+        heading: 'Heading',
+        item: 'Item',
+        grid_item: 'Grid item',
+        timeline_item: 'Timeline item'
+    };
+
+    let obj = {};
+
+    function get_exhibit_id() {
+        return helperModule.get_parameter_by_name('exhibit_id');
+    }
+
+    function render_issues(issues) {
+
+        const list = document.getElementById('accessibility-issues');
+
+        if (!list) {
+            return;
+        }
+
+        domModule.empty(list);
+
+        issues.forEach(function (issue) {
+
+            const item = document.createElement('li');
+            const badge = document.createElement('span');
+            const label = document.createElement('strong');
+
+            item.className = 'list-group-item';
+            badge.className = issue.severity === 'error' ? 'badge badge-danger mr-2' : 'badge badge-warning mr-2';
+            badge.textContent = issue.severity === 'error' ? 'Error' : 'Warning';
+            label.textContent = `${RECORD_TYPE_LABELS[issue.record_type] || issue.record_type}${issue.title ? ' "' + issue.title + '"' : ''}: `;
+
+            item.appendChild(badge);
+            item.appendChild(label);
+            item.appendChild(document.createTextNode(issue.message));
+            list.appendChild(item);
+        });
+    }
+
+    function render(report) {
+
+        let summary;
+
+        if (report.issues.length === 0) {
+            summary = 'No problems found.';
+        } else {
+            summary = `${report.error_count} error(s), ${report.warning_count} warning(s).`;
+        }
+
+        if (report.mode === 'block' && report.error_count > 0) {
+            summary += ' Errors must be fixed before this exhibit can be published.';
+        }
+
+        domModule.set_text('#accessibility-summary', summary);
+        render_issues(Array.isArray(report.issues) ? report.issues : []);
+    }
+
+    async function load_report() {
+
+        const token = authModule.get_user_token();
+
+        if (token === false || !get_exhibit_id()) {
+            return;
+        }
+
+        const response = await httpModule.req({
+            method: 'GET',
+            url: EXHIBITS_ENDPOINTS.exhibits.exhibit_accessibility.get.endpoint.replace(':exhibit_id', encodeURIComponent(get_exhibit_id())),
+            headers: {
+                'Content-Type': 'application/json',
+                'x-access-token': token
+            }
+        });
+
+        if (response !== undefined && response.status === 200 && response.data?.data) {
+            render(response.data.data);
+            document.getElementById('exhibit-accessibility-card').style.display = '';
+        }
+    }
+
+    /**
+     * Exhibit details page: shows the accessibility and completeness report
+     * and re-runs it on demand
+     */
+    obj.init = async function () {
+
+        if (!document.getElementById('exhibit-accessibility-card')) {
+            return;
+        }
+
+        domModule.on('#accessibility-recheck-btn', 'click', async () => {
+            try {
+                await load_report();
+            } catch (error) {
+                domModule.set_alert(document.querySelector('#message'), 'danger', 'Unable to check exhibit accessibility.');
+            }
+        });
+
+        try {
+            await load_report();
+        } catch (error) {
+            // The card stays hidden; the rest of the details page still works
+        }
+    };
+
+    return obj;
+
+}());
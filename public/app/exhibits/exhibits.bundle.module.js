@@ -0,0 +1,234 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+const exhibitsBundleModule = (function () {
+
+    'use strict';
+
+    const APP_PATH = endpointsModule.get_app_path();
+    const EXHIBITS_ENDPOINTS = endpointsModule.get_exhibits_endpoints();
+
+    let obj = {};
+
+    function el(id) {
+        return document.getElementById(id);
+    }
+
+    function set_alert(selector, type, message) {
+        domModule.set_alert(document.querySelector(selector), type, message);
+    }
+
+    function close_modal(selector) {
+        if (window.jQuery) {
+            try { window.jQuery(selector).modal('hide'); } catch (e) { /* noop */ }
+        }
+    }
+
+    function set_busy(button, busy, label) {
+        if (button) {
+            button.disabled = busy;
+            button.textContent = label;
+        }
+    }
+
+    // Blob error bodies (export) are read back as JSON for the message
+    async function read_error_message(response, fallback) {
+
+        try {
+            const data = response?.data instanceof Blob ? JSON.parse(await response.data.text()) : response?.data;
+            return data?.message || fallback;
+        } catch (error) {
+            return fallback;
+        }
+    }
+
+    function save_blob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    async function export_exhibit() {
+
+        const token = authModule.get_user_token();
+        const exhibit_id = helperModule.get_parameter_by_name('exhibit_id');
+        const button = el('export-exhibit-btn');
+
+        if (token === false || !exhibit_id) {
+            return;
+        }
+
+        try {
+
+            set_busy(button, true, 'Exporting…');
+
+            const response = await httpModule.req({
+                method: 'GET',
+                url: EXHIBITS_ENDPOINTS.exhibits.exhibit_export.get.endpoint.replace(':exhibit_id', encodeURIComponent(exhibit_id)),
+                responseType: 'blob',
+                headers: {
+                    'x-access-token': token
+                }
+            });
+
+            if (response !== undefined && response.status === 200) {
+                save_blob(response.data, `exhibit-${exhibit_id}.json`);
+                set_alert('#message', 'success', 'Exhibit bundle downloaded.');
+            } else if (response !== undefined && response.status === 403) {
+                set_alert('#message', 'danger', 'You do not have permission to export this exhibit.');
+            } else {
+                set_alert('#message', 'danger', await read_error_message(response, 'Unable to export exhibit.'));
+            }
+
+        } catch (error) {
+            set_alert('#message', 'danger', 'Unable to export exhibit.');
+        } finally {
+            set_busy(button, false, 'Export Exhibit');
+        }
+    }
+
+    async function import_exhibit() {
+
+        const token = authModule.get_user_token();
+        const input = el('import-bundle-file');
+        const button = el('import-exhibit-btn');
+        const file = input && input.files ? input.files[0] : null;
+
+        if (token === false || !file) {
+            return;
+        }
+
+        const form_data = new FormData();
+        form_data.append('bundle', file);
+        form_data.append('owner', String(helperModule.get_owner()));
+        form_data.append('created_by', helperModule.get_user_name());
+
+        try {
+
+            set_busy(button, true, 'Importing…');
+
+            const response = await httpModule.req({
+                method: 'POST',
+                url: EXHIBITS_ENDPOINTS.exhibits.exhibit_import.post.endpoint,
+                data: form_data,
+                headers: {
+                    'x-access-token': token
+                }
+            });
+
+            if (response !== undefined && response.status === 201) {
+                close_modal('#import-exhibit-modal');
+                window.location.href = `${APP_PATH}/exhibits/exhibit/details?exhibit_id=${encodeURIComponent(response.data.data.uuid)}`;
+                return;
+            }
+
+            if (response !== undefined && response.status === 403) {
+                set_alert('#import-exhibit-message', 'danger', 'You do not have permission to import exhibits.');
+            } else {
+                set_alert('#import-exhibit-message', 'danger', response?.data?.message || 'Unable to import exhibit.');
+            }
+
+        } catch (error) {
+            set_alert('#import-exhibit-message', 'danger', 'Unable to import exhibit.');
+        } finally {
+            set_busy(button, !(input && input.files && input.files.length), 'Import');
+        }
+    }
+
+    async function clone_exhibit() {
+
+        const token = authModule.get_user_token();
+        const exhibit_id = helperModule.get_parameter_by_name('exhibit_id');
+        const button = el('clone-exhibit-btn');
+
+        if (token === false || !exhibit_id) {
+            return;
+        }
+
+        try {
+
+            set_busy(button, true, 'Cloning…');
+
+            const response = await httpModule.req({
+                method: 'POST',
+                url: EXHIBITS_ENDPOINTS.exhibits.exhibit_clone.post.endpoint.replace(':exhibit_id', encodeURIComponent(exhibit_id)),
+                data: {
+                    owner: helperModule.get_owner(),
+                    created_by: helperModule.get_user_name()
+                },
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-access-token': token
+                }
+            });
+
+            if (response !== undefined && response.status === 201) {
+                window.location.href = `${APP_PATH}/exhibits/exhibit/details?exhibit_id=${encodeURIComponent(response.data.data.uuid)}`;
+                return;
+            }
+
+            if (response !== undefined && response.status === 403) {
+                set_alert('#message', 'danger', 'You do not have permission to create exhibits.');
+            } else {
+                set_alert('#message', 'danger', response?.data?.message || 'Unable to clone exhibit.');
+            }
+
+        } catch (error) {
+            set_alert('#message', 'danger', 'Unable to clone exhibit.');
+        }
+
+        set_busy(button, false, 'Clone Exhibit');
+    }
+
+    /**
+     * Exhibit details page: wires the export button
+     */
+    obj.init_export = function () {
+        domModule.on('#export-exhibit-btn', 'click', export_exhibit);
+    };
+
+    /**
+     * Exhibit details page: wires the clone button
+     */
+    obj.init_clone = function () {
+        domModule.on('#clone-exhibit-btn', 'click', clone_exhibit);
+    };
+
+    /**
+     * Exhibits list page: wires the import modal
+     */
+    obj.init_import = function () {
+
+        domModule.on('#import-bundle-file', 'change', function () {
+            const button = el('import-exhibit-btn');
+            if (button) {
+                button.disabled = !(this.files && this.files.length);
+            }
+        });
+
+        domModule.on('#import-exhibit-btn', 'click', import_exhibit);
+    };
+
+    return obj;
+
+}());
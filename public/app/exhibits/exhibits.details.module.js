@@ -451,6 +451,10 @@ const exhibitsDetailsModule = (function () {
             // Set owner
             set_element_value('#exhibit-owner', record.owner);
 
+            // Set pending schedule (read by exhibitsScheduleModule)
+            set_element_value('#exhibit-publish-at', record.publish_at || '');
+            set_element_value('#exhibit-suppress-at', record.suppress_at || '');
+
             // Set checkboxes
             set_checkbox_state('#is-featured', record.is_featured === 1);
             set_checkbox_state('#is-student-curated', record.is_student_curated === 1);
@@ -1031,6 +1031,7 @@ const exhibitsModule = (function () {
         HTTP_OK: 200,
         HTTP_NO_CONTENT: 204,
         HTTP_FORBIDDEN: 403,
+        HTTP_CONFLICT: 409,
         HTTP_UNPROCESSABLE_ENTITY: 422,
         UUID_PATTERN: /^[a-f0-9-]+$/i
     };
@@ -1218,6 +1219,18 @@ const exhibitsModule = (function () {
                 return false;
             }
 
+            // Handle 409 Conflict - exhibit must be approved in editorial review
+            if (response?.status === EXHIBIT_CONSTANTS.HTTP_CONFLICT) {
+                flash_message('warning', 'Exhibit must be approved in review before it can be published');
+                return false;
+            }
+
+            // Handle 422 Unprocessable Entity - accessibility errors (listed in data) block publishing
+            if (response?.status === EXHIBIT_CONSTANTS.HTTP_UNPROCESSABLE_ENTITY && Array.isArray(response.data?.data) && response.data.data.length > 0) {
+                flash_message('warning', `Exhibit has ${response.data.data.length} accessibility error(s). See the Accessibility Check on the exhibit details page.`);
+                return false;
+            }
+
             // Handle 422 Unprocessable Entity - exhibit must contain at least one item
             if (response?.status === EXHIBIT_CONSTANTS.HTTP_UNPROCESSABLE_ENTITY) {
                 flash_message('warning', 'Exhibit must contain at least one item to publish');
@@ -0,0 +1,218 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+const exhibitsReviewModule = (function () {
+
+    'use strict';
+
+    const EXHIBITS_ENDPOINTS = endpointsModule.get_exhibits_endpoints();
+
+    const STATE_LABELS = {
+        draft: 'Draft',
+        in_review: 'In review',
+        changes_requested: 'Changes requested',
+        approved: 'Approved',
+        published: 'Published'
+    };
+
+    const ACTION_LABELS = {
+        submit: 'Submitted for review',
+        approve: 'Approved',
+        request_changes: 'Changes requested'
+    };
+
+    // Which buttons make sense in each state; the API still checks permissions
+    const STATE_BUTTONS = {
+        draft: ['#review-submit-btn'],
+        changes_requested: ['#review-submit-btn'],
+        in_review: ['#review-approve-btn', '#review-request-changes-btn']
+    };
+
+    const BUTTONS = ['#review-submit-btn', '#review-approve-btn', '#review-request-changes-btn'];
+
+    let obj = {};
+
+    function set_alert(type, message) {
+        domModule.set_alert(document.querySelector('#message'), type, message);
+    }
+
+    function get_exhibit_id() {
+        return helperModule.get_parameter_by_name('exhibit_id');
+    }
+
+    function endpoint(key) {
+        const method = key === 'exhibit_review' ? 'get' : 'post';
+        return EXHIBITS_ENDPOINTS.exhibits[key][method].endpoint.replace(':exhibit_id', encodeURIComponent(get_exhibit_id()));
+    }
+
+    function render_reviews(reviews) {
+
+        const list = document.getElementById('review-log');
+
+        if (!list) {
+            return;
+        }
+
+        domModule.empty(list);
+
+        reviews.forEach(function (review) {
+
+            const item = document.createElement('li');
+            const heading = document.createElement('strong');
+            const created = new Date(review.created);
+
+            item.className = 'list-group-item';
+            heading.textContent = ACTION_LABELS[review.action] || review.action;
+            item.appendChild(heading);
+            item.appendChild(document.createTextNode(
+                ` — ${review.created_by || 'unknown'}${Number.isNaN(created.getTime()) ? '' : ', ' + helperModule.format_date(created)}`
+            ));
+
+            if (review.comment) {
+                const comment = document.createElement('p');
+                comment.className = 'mb-0 mt-1';
+                comment.textContent = review.comment;
+                item.appendChild(comment);
+            }
+
+            list.appendChild(item);
+        });
+    }
+
+    function render(review) {
+
+        domModule.set_text('#review-state', STATE_LABELS[review.workflow_state] || review.workflow_state);
+        domModule.set_text('#review-required', review.requires_review
+            ? 'This exhibit must be approved before it can be published.'
+            : 'Review is optional for this exhibit.');
+
+        const visible = STATE_BUTTONS[review.workflow_state] || [];
+
+        BUTTONS.forEach(function (selector) {
+            const button = document.querySelector(selector);
+            if (button) {
+                button.style.display = visible.includes(selector) ? '' : 'none';
+            }
+        });
+
+        const comment_group = document.getElementById('review-comment-group');
+        if (comment_group) {
+            comment_group.style.display = visible.length > 0 ? '' : 'none';
+        }
+
+        render_reviews(Array.isArray(review.reviews) ? review.reviews : []);
+    }
+
+    async function load_review() {
+
+        const token = authModule.get_user_token();
+
+        if (token === false || !get_exhibit_id()) {
+            return;
+        }
+
+        const response = await httpModule.req({
+            method: 'GET',
+            url: endpoint('exhibit_review'),
+            headers: {
+                'Content-Type': 'application/json',
+                'x-access-token': token
+            }
+        });
+
+        if (response !== undefined && response.status === 200 && response.data?.data) {
+            render(response.data.data);
+            document.getElementById('exhibit-review-card').style.display = '';
+        }
+    }
+
+    function set_buttons_disabled(disabled) {
+        BUTTONS.forEach(function (selector) {
+            const button = document.querySelector(selector);
+            if (button) {
+                button.disabled = disabled;
+            }
+        });
+    }
+
+    async function run_action(key, success_message) {
+
+        const token = authModule.get_user_token();
+
+        if (token === false || !get_exhibit_id()) {
+            return;
+        }
+
+        try {
+
+            set_buttons_disabled(true);
+
+            const response = await httpModule.req({
+                method: 'POST',
+                url: endpoint(key),
+                data: {
+                    comment: domModule.get_value('#review-comment', ''),
+                    created_by: helperModule.get_user_name()
+                },
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-access-token': token
+                }
+            });
+
+            if (response !== undefined && response.status === 200) {
+                domModule.set_value('#review-comment', '');
+                set_alert('success', success_message);
+                await load_review();
+            } else if (response !== undefined && response.status === 403) {
+                set_alert('danger', 'You do not have permission to do this.');
+            } else {
+                set_alert('danger', response?.data?.message || 'Unable to update review state.');
+            }
+
+        } catch (error) {
+            set_alert('danger', 'Unable to update review state.');
+        } finally {
+            set_buttons_disabled(false);
+        }
+    }
+
+    /**
+     * Exhibit details page: shows the review state and log and wires the
+     * submit / approve / request changes buttons
+     */
+    obj.init = async function () {
+
+        if (!document.getElementById('exhibit-review-card')) {
+            return;
+        }
+
+        domModule.on('#review-submit-btn', 'click', () => run_action('exhibit_review_submit', 'Exhibit submitted for review.'));
+        domModule.on('#review-approve-btn', 'click', () => run_action('exhibit_review_approve', 'Exhibit approved.'));
+        domModule.on('#review-request-changes-btn', 'click', () => run_action('exhibit_review_request_changes', 'Changes requested.'));
+
+        try {
+            await load_review();
+        } catch (error) {
+            // The card stays hidden; the rest of the details page still works
+        }
+    };
+
+    return obj;
+
+}());
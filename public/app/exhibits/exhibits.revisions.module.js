@@ -0,0 +1,440 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+const exhibitsRevisionsModule = (function () {
+
+    'use strict';
+
+    const EXHIBITS_ENDPOINTS = endpointsModule.get_exhibits_endpoints();
+
+    let obj = {};
+    let exhibit_id = null;
+    let record_id = null;         // optional ?record_id= filter (single component)
+    let selected_revision = null; // revision shown in the detail card / staged for restore
+
+    const TYPE_LABELS = {
+        exhibit: 'Exhibit',
+        heading: 'Heading',
+        item: 'Item',
+        grid: 'Grid',
+        grid_item: 'Grid item',
+        timeline: 'Timeline',
+        timeline_item: 'Timeline item'
+    };
+
+    const ACTION_LABELS = {
+        baseline: 'Original',
+        update: 'Edited',
+        restore: 'Restored'
+    };
+
+    function el(id) {
+        return document.getElementById(id);
+    }
+
+    function set_alert(type, message) {
+        domModule.set_alert(document.querySelector('#message'), type, message);
+    }
+
+    function close_modal(selector) {
+        if (window.jQuery) {
+            try { window.jQuery(selector).modal('hide'); } catch (e) { /* noop */ }
+        }
+    }
+
+    function endpoint(name, method, revision_id) {
+        let url = EXHIBITS_ENDPOINTS.exhibits[name][method].endpoint
+            .replace(':exhibit_id', encodeURIComponent(exhibit_id));
+
+        if (revision_id) {
+            url = url.replace(':revision_id', encodeURIComponent(revision_id));
+        }
+
+        return url;
+    }
+
+    function component_label(revision) {
+        const type = TYPE_LABELS[revision.record_type] || revision.record_type;
+        return revision.record_type === 'exhibit' ? type : `${type} ${String(revision.record_uuid).slice(0, 8)}`;
+    }
+
+    // Field values are rendered as plain text: markup in a stored value is shown,
+    // never interpreted.
+    function display_value(value) {
+        if (value === null || value === undefined || value === '') {
+            return null;
+        }
+        if (typeof value === 'object') {
+            return JSON.stringify(value, null, 2);
+        }
+        return String(value);
+    }
+
+    function value_cell(value) {
+        const td = document.createElement('td');
+        const text = display_value(value);
+        td.className = 'revision-value';
+        if (text === null) {
+            td.classList.add('revision-empty');
+            td.textContent = '(empty)';
+        } else {
+            td.textContent = text;
+        }
+        return td;
+    }
+
+    function render_diff(tbody_id, changes) {
+
+        const tbody = el(tbody_id);
+        if (!tbody) {
+            return;
+        }
+
+        tbody.textContent = '';
+        const fields = Object.keys(changes || {});
+
+        if (fields.length === 0) {
+            const tr = document.createElement('tr');
+            const td = document.createElement('td');
+            td.colSpan = 3;
+            td.className = 'revision-empty';
+            td.textContent = 'No differences.';
+            tr.appendChild(td);
+            tbody.appendChild(tr);
+            return;
+        }
+
+        fields.forEach((field) => {
+            const tr = document.createElement('tr');
+            const td_field = document.createElement('td');
+            td_field.textContent = field;
+            tr.appendChild(td_field);
+            tr.appendChild(value_cell(changes[field].before));
+            tr.appendChild(value_cell(changes[field].after));
+            tbody.appendChild(tr);
+        });
+    }
+
+    function build_row(revision) {
+
+        const tr = document.createElement('tr');
+        tr.dataset.revisionId = revision.uuid;
+
+        const td_date = document.createElement('td');
+        td_date.textContent = revision.created ? new Date(revision.created).toLocaleString() : '—';
+        tr.appendChild(td_date);
+
+        const td_component = document.createElement('td');
+        if (!record_id) {
+            const filter_link = document.createElement('a');
+            filter_link.href = '#';
+            filter_link.className = 'revision-filter-link';
+            filter_link.dataset.recordId = revision.record_uuid;
+            filter_link.setAttribute('title', 'Show only this component');
+            filter_link.textContent = component_label(revision);
+            td_component.appendChild(filter_link);
+        } else {
+            td_component.textContent = component_label(revision);
+        }
+        tr.appendChild(td_component);
+
+        const td_version = document.createElement('td');
+        td_version.textContent = `${revision.version} · ${ACTION_LABELS[revision.action] || revision.action}`;
+        tr.appendChild(td_version);
+
+        const td_fields = document.createElement('td');
+        td_fields.textContent = Object.keys(revision.changes || {}).join(', ') || '—';
+        tr.appendChild(td_fields);
+
+        const td_by = document.createElement('td');
+        td_by.textContent = revision.created_by || '—';
+        tr.appendChild(td_by);
+
+        const td_actions = document.createElement('td');
+        const view_btn = document.createElement('button');
+        view_btn.type = 'button';
+        view_btn.className = 'btn btn-sm btn-outline-secondary revision-view';
+        view_btn.dataset.revisionId = revision.uuid;
+        view_btn.textContent = 'View';
+        td_actions.appendChild(view_btn);
+        tr.appendChild(td_actions);
+
+        return tr;
+    }
+
+    function render_records(records) {
+
+        const tbody = el('revisions-data');
+        const table_wrap = el('revisions-table-wrap');
+        const empty_state = el('revisions-empty-state');
+        const filter = el('revision-filter');
+
+        if (!tbody) {
+            return;
+        }
+
+        tbody.textContent = '';
+
+        if (filter) {
+            filter.style.display = record_id ? '' : 'none';
+        }
+
+        if (!Array.isArray(records) || records.length === 0) {
+            if (table_wrap) table_wrap.style.display = 'none';
+            if (empty_state) empty_state.style.display = '';
+            return;
+        }
+
+        if (table_wrap) table_wrap.style.display = '';
+        if (empty_state) empty_state.style.display = 'none';
+
+        records.forEach((revision) => tbody.appendChild(build_row(revision)));
+    }
+
+    async function load_records() {
+
+        const token = authModule.get_user_token();
+        if (token === false) {
+            return;
+        }
+
+        try {
+
+            let url = endpoint('revision_records', 'get');
+            if (record_id) {
+                url += `?record_id=${encodeURIComponent(record_id)}`;
+            }
+
+            const response = await httpModule.req({
+                method: 'GET',
+                url: url,
+                headers: { 'x-access-token': token }
+            });
+
+            if (response !== undefined && response.status === 200 && response.data) {
+                render_records(response.data.data || []);
+            } else {
+                set_alert('danger', 'Unable to load revision history.');
+                render_records([]);
+            }
+
+        } catch (error) {
+            set_alert('danger', 'Unable to load revision history.');
+            render_records([]);
+        }
+    }
+
+    async function show_revision(revision_id) {
+
+        const token = authModule.get_user_token();
+        if (token === false) {
+            return;
+        }
+
+        try {
+
+            const response = await httpModule.req({
+                method: 'GET',
+                url: endpoint('revision_record', 'get', revision_id),
+                headers: { 'x-access-token': token }
+            });
+
+            if (response === undefined || response.status !== 200 || !response.data) {
+                set_alert('danger', 'Unable to load revision.');
+                return;
+            }
+
+            selected_revision = response.data.data;
+
+            document.querySelectorAll('#revisions-data tr').forEach((tr) => {
+                tr.classList.toggle('table-active', tr.dataset.revisionId === revision_id);
+            });
+
+            const title = el('revision-detail-title');
+            if (title) {
+                title.textContent = `${component_label(selected_revision)} — version ${selected_revision.version}`;
+            }
+
+            render_diff('revision-changes', selected_revision.changes);
+            render_diff('revision-changes-since', selected_revision.changes_since);
+
+            // Nothing to restore when the record is gone or already matches the revision
+            const restore_btn = el('revision-restore-btn');
+            if (restore_btn) {
+                restore_btn.disabled = !selected_revision.current
+                    || Object.keys(selected_revision.changes_since || {}).length === 0;
+            }
+
+            const detail = el('revision-detail');
+            if (detail) {
+                detail.style.display = '';
+                detail.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
+
+        } catch (error) {
+            set_alert('danger', 'Unable to load revision.');
+        }
+    }
+
+    async function restore_revision() {
+
+        if (!selected_revision) {
+            return;
+        }
+
+        const token = authModule.get_user_token();
+        if (token === false) {
+            return;
+        }
+
+        const confirm_btn = el('restore-confirm-btn');
+
+        try {
+
+            if (confirm_btn) {
+                confirm_btn.disabled = true;
+                confirm_btn.textContent = 'Restoring…';
+            }
+
+            const response = await httpModule.req({
+                method: 'POST',
+                url: endpoint('revision_restore', 'post', selected_revision.uuid),
+                data: { updated_by: helperModule.get_user_name() },
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-access-token': token
+                }
+            });
+
+            if (response !== undefined && response.status === 200) {
+                set_alert('success', 'Revision restored.');
+                const el_detail = el('revision-detail');
+                if (el_detail) el_detail.style.display = 'none';
+                selected_revision = null;
+                await load_records();
+            } else if (response !== undefined && response.status === 403) {
+                set_alert('danger', 'You do not have permission to restore this record.');
+            } else if (response !== undefined && response.status === 409) {
+                set_alert('warning', response.data?.message || 'This record can no longer be restored.');
+            } else {
+                set_alert('danger', 'Unable to restore revision.');
+            }
+
+        } catch (error) {
+            set_alert('danger', 'Unable to restore revision.');
+        } finally {
+            if (confirm_btn) {
+                confirm_btn.disabled = false;
+                confirm_btn.textContent = 'Restore';
+            }
+            close_modal('#restore-confirm-modal');
+        }
+    }
+
+    function set_record_filter(value) {
+        record_id = value || null;
+
+        const url = new URL(window.location.href);
+        if (record_id) {
+            url.searchParams.set('record_id', record_id);
+        } else {
+            url.searchParams.delete('record_id');
+        }
+        window.history.replaceState({}, '', url.toString());
+
+        const detail = el('revision-detail');
+        if (detail) detail.style.display = 'none';
+        selected_revision = null;
+
+        return load_records();
+    }
+
+    function wire_events() {
+
+        const tbody = el('revisions-data');
+        if (tbody) {
+            // Delegated: the tbody persists across re-renders, so wire once.
+            tbody.addEventListener('click', async function (event) {
+
+                const view_btn = event.target.closest('.revision-view');
+                if (view_btn) {
+                    event.preventDefault();
+                    await show_revision(view_btn.dataset.revisionId);
+                    return;
+                }
+
+                const filter_link = event.target.closest('.revision-filter-link');
+                if (filter_link) {
+                    event.preventDefault();
+                    await set_record_filter(filter_link.dataset.recordId);
+                }
+            });
+        }
+
+        const clear = el('revision-filter-clear');
+        if (clear) {
+            clear.addEventListener('click', async function (event) {
+                event.preventDefault();
+                await set_record_filter(null);
+            });
+        }
+
+        const restore_btn = el('revision-restore-btn');
+        if (restore_btn) {
+            restore_btn.addEventListener('click', function () {
+                const target = el('restore-confirm-target');
+                if (target && selected_revision) {
+                    target.textContent = `${component_label(selected_revision)} (version ${selected_revision.version})`;
+                }
+            });
+        }
+
+        const confirm_btn = el('restore-confirm-btn');
+        if (confirm_btn) {
+            confirm_btn.addEventListener('click', restore_revision);
+        }
+    }
+
+    obj.init = async function () {
+
+        try {
+
+            exhibit_id = helperModule.get_parameter_by_name('exhibit_id');
+            record_id = helperModule.get_parameter_by_name('record_id') || null;
+
+            if (!exhibit_id) {
+                set_alert('danger', 'Missing exhibit id.');
+                return false;
+            }
+
+            const title = await exhibitsModule.get_exhibit_title(exhibit_id);
+            if (title) {
+                domModule.set_text(el('exhibit-title'), helperModule.strip_html(helperModule.unescape(title)));
+            }
+
+            wire_events();
+            await load_records();
+
+        } catch (error) {
+            set_alert('danger', error.message);
+        }
+    };
+
+    return obj;
+
+}());
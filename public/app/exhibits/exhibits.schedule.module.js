@@ -0,0 +1,193 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+const exhibitsScheduleModule = (function () {
+
+    'use strict';
+
+    const APP_PATH = endpointsModule.get_app_path();
+    const EXHIBITS_ENDPOINTS = endpointsModule.get_exhibits_endpoints();
+
+    let obj = {};
+
+    function el(id) {
+        return document.getElementById(id);
+    }
+
+    function set_alert(type, message) {
+        domModule.set_alert(document.querySelector('#message'), type, message);
+    }
+
+    // ISO (UTC) -> value for a datetime-local input, in the browser's time zone
+    function to_local_input(iso) {
+
+        if (!iso) {
+            return '';
+        }
+
+        const date = new Date(iso);
+
+        if (Number.isNaN(date.getTime())) {
+            return '';
+        }
+
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    // datetime-local value (browser time zone) -> ISO (UTC); empty clears
+    function to_iso(value) {
+        return value ? new Date(value).toISOString() : null;
+    }
+
+    async function save_schedule() {
+
+        const token = authModule.get_user_token();
+        const exhibit_id = helperModule.get_parameter_by_name('exhibit_id');
+        const button = el('save-schedule-btn');
+
+        if (token === false || !exhibit_id) {
+            return;
+        }
+
+        try {
+
+            if (button) {
+                button.disabled = true;
+            }
+
+            const response = await httpModule.req({
+                method: 'PUT',
+                url: EXHIBITS_ENDPOINTS.exhibits.exhibit_schedule.put.endpoint.replace(':exhibit_id', encodeURIComponent(exhibit_id)),
+                data: {
+                    publish_at: to_iso(domModule.get_value('#schedule-publish-at', '')),
+                    suppress_at: to_iso(domModule.get_value('#schedule-suppress-at', '')),
+                    scheduled_by: helperModule.get_user_name()
+                },
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-access-token': token
+                }
+            });
+
+            if (response !== undefined && response.status === 200) {
+                set_alert('success', 'Schedule saved.');
+            } else if (response !== undefined && response.status === 403) {
+                set_alert('danger', 'You do not have permission to schedule this exhibit.');
+            } else {
+                set_alert('danger', response?.data?.message || 'Unable to save schedule.');
+            }
+
+        } catch (error) {
+            set_alert('danger', 'Unable to save schedule.');
+        } finally {
+            if (button) {
+                button.disabled = false;
+            }
+        }
+    }
+
+    function render_transitions(transitions) {
+
+        const tbody = el('scheduled-transitions-data');
+
+        if (!tbody) {
+            return;
+        }
+
+        domModule.empty(tbody);
+
+        transitions.forEach(function (transition) {
+
+            const row = document.createElement('tr');
+            const due_at = new Date(transition.due_at);
+            const title_cell = document.createElement('td');
+            const link = document.createElement('a');
+
+            link.href = `${APP_PATH}/exhibits/exhibit/details?exhibit_id=${encodeURIComponent(transition.is_member_of_exhibit)}`;
+            link.textContent = helperModule.unescape(helperModule.strip_html(transition.title || '') || 'Untitled');
+            title_cell.appendChild(link);
+
+            const cells = [
+                transition.record_type === 'exhibit' ? 'Exhibit' : 'Item',
+                transition.action === 'publish' ? 'Publish' : 'Suppress',
+                Number.isNaN(due_at.getTime()) ? '' : helperModule.format_date(due_at),
+                transition.scheduled_by || ''
+            ];
+
+            row.appendChild(title_cell);
+
+            cells.forEach(function (text) {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            tbody.appendChild(row);
+        });
+    }
+
+    /**
+     * Exhibit details page: fills the schedule card from the loaded record
+     * (#exhibit-publish-at / #exhibit-suppress-at) and wires the save button
+     */
+    obj.init_exhibit = function () {
+
+        domModule.set_value('#schedule-publish-at', to_local_input(domModule.get_value('#exhibit-publish-at', '')));
+        domModule.set_value('#schedule-suppress-at', to_local_input(domModule.get_value('#exhibit-suppress-at', '')));
+        domModule.on('#save-schedule-btn', 'click', save_schedule);
+    };
+
+    /**
+     * Exhibits list page: shows pending scheduled transitions, if any
+     */
+    obj.init_upcoming = async function () {
+
+        const token = authModule.get_user_token();
+        const card = el('scheduled-transitions-card');
+
+        if (token === false || !card) {
+            return;
+        }
+
+        try {
+
+            const response = await httpModule.req({
+                method: 'GET',
+                url: EXHIBITS_ENDPOINTS.exhibits.scheduled_transitions.get.endpoint,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-access-token': token
+                }
+            });
+
+            const transitions = response?.status === 200 && Array.isArray(response.data?.data) ? response.data.data : [];
+
+            if (transitions.length > 0) {
+                render_transitions(transitions);
+                card.style.display = '';
+            }
+
+        } catch (error) {
+            // The list is informational; the exhibits table still loads without it
+        }
+    };
+
+    return obj;
+
+}());
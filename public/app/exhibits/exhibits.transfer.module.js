@@ -0,0 +1,215 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+const exhibitsTransferModule = (function () {
+
+    'use strict';
+
+    const EXHIBITS_ENDPOINTS = endpointsModule.get_exhibits_endpoints();
+    const USER_ENDPOINTS = endpointsModule.get_users_endpoints();
+
+    let obj = {};
+    let users = [];
+
+    function el(id) {
+        return document.getElementById(id);
+    }
+
+    function set_alert(type, message) {
+        domModule.set_alert(document.querySelector('#message'), type, message);
+    }
+
+    function close_modal(selector) {
+        if (window.jQuery) {
+            try { window.jQuery(selector).modal('hide'); } catch (e) { /* noop */ }
+        }
+    }
+
+    function user_label(user) {
+        const name = `${user.first_name || ''} ${user.last_name || ''}`.trim();
+        return name || user.du_id || `User ${user.id}`;
+    }
+
+    function get_current_owner() {
+        return String(domModule.get_value('#exhibit-owner', ''));
+    }
+
+    async function get_users() {
+
+        const token = authModule.get_user_token();
+        if (token === false) {
+            return null;
+        }
+
+        const response = await httpModule.req({
+            method: 'GET',
+            url: USER_ENDPOINTS.users.endpoint,
+            headers: {
+                'Content-Type': 'application/json',
+                'x-access-token': token
+            }
+        });
+
+        if (response !== undefined && response.status === 200 && Array.isArray(response.data?.data)) {
+            return response.data.data;
+        }
+
+        return null;
+    }
+
+    // Active users other than the current owner are eligible recipients
+    function render_owner_options() {
+
+        const select = el('transfer-owner-select');
+        const owner_display = el('transfer-current-owner');
+        const current_owner = get_current_owner();
+
+        if (!select) {
+            return;
+        }
+
+        select.textContent = '';
+
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Select new owner';
+        select.appendChild(placeholder);
+
+        users
+            .filter((user) => user.is_active === 1 && String(user.id) !== current_owner)
+            .sort((a, b) => user_label(a).localeCompare(user_label(b)))
+            .forEach((user) => {
+                const option = document.createElement('option');
+                option.value = String(user.id);
+                option.textContent = user_label(user);
+                select.appendChild(option);
+            });
+
+        if (owner_display) {
+            const owner = users.find((user) => String(user.id) === current_owner);
+            owner_display.textContent = owner ? user_label(owner) : '—';
+        }
+
+        const button = el('transfer-exhibit-btn');
+        if (button) {
+            button.disabled = true;
+        }
+    }
+
+    async function transfer_exhibit() {
+
+        const token = authModule.get_user_token();
+        if (token === false) {
+            return;
+        }
+
+        const exhibit_id = helperModule.get_parameter_by_name('exhibit_id');
+        const owner = domModule.get_value('#transfer-owner-select', '');
+        const cascade = el('transfer-cascade') ? el('transfer-cascade').checked : false;
+        const confirm_btn = el('transfer-confirm-btn');
+
+        if (!exhibit_id || !owner) {
+            return;
+        }
+
+        try {
+
+            if (confirm_btn) {
+                confirm_btn.disabled = true;
+                confirm_btn.textContent = 'Transferring…';
+            }
+
+            const response = await httpModule.req({
+                method: 'POST',
+                url: EXHIBITS_ENDPOINTS.exhibits.exhibit_transfer.post.endpoint.replace(':exhibit_id', encodeURIComponent(exhibit_id)),
+                data: {
+                    owner: Number(owner),
+                    cascade: cascade,
+                    updated_by: helperModule.get_user_name()
+                },
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-access-token': token
+                }
+            });
+
+            if (response !== undefined && response.status === 200) {
+                domModule.set_value('#exhibit-owner', owner);
+                render_owner_options();
+                set_alert('success', 'Exhibit ownership transferred.');
+            } else if (response !== undefined && response.status === 403) {
+                set_alert('danger', 'You do not have permission to transfer this exhibit.');
+            } else {
+                set_alert('danger', response?.data?.message || 'Unable to transfer exhibit.');
+            }
+
+        } catch (error) {
+            set_alert('danger', 'Unable to transfer exhibit.');
+        } finally {
+            if (confirm_btn) {
+                confirm_btn.disabled = false;
+                confirm_btn.textContent = 'Transfer';
+            }
+            close_modal('#transfer-confirm-modal');
+        }
+    }
+
+    obj.init = async function () {
+
+        try {
+
+            const card = el('exhibit-transfer-card');
+            const loaded = await get_users();
+
+            // Users the caller cannot list (no view_users) cannot pick a recipient
+            if (!card || loaded === null) {
+                return false;
+            }
+
+            users = loaded;
+            render_owner_options();
+            card.style.display = '';
+
+            domModule.on('#transfer-owner-select', 'change', function () {
+                const button = el('transfer-exhibit-btn');
+                if (button) {
+                    button.disabled = this.value === '';
+                }
+            });
+
+            domModule.on('#transfer-exhibit-btn', 'click', function () {
+                const select = el('transfer-owner-select');
+                const option = select ? select.options[select.selectedIndex] : null;
+                domModule.set_text('#transfer-confirm-target', option ? option.textContent : '');
+                domModule.set_text('#transfer-confirm-cascade',
+                    el('transfer-cascade')?.checked ? 'Its headings, items, grids, timelines and media move with it.' : 'Its components keep their current owners.');
+            });
+
+            domModule.on('#transfer-confirm-btn', 'click', transfer_exhibit);
+
+            return true;
+
+        } catch (error) {
+            set_alert('danger', error.message);
+            return false;
+        }
+    };
+
+    return obj;
+
+}());
@@ -0,0 +1,333 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+const fixityModule = (function () {
+
+    'use strict';
+
+    const APP_PATH = endpointsModule.get_app_path();
+    // Built from APP_PATH like audit.module.js, so the page works before the
+    // cached endpoints map is refreshed.
+    const REPORT_ENDPOINT = APP_PATH + '/api/v1/media/library/fixity';
+    const CHECK_ENDPOINT = APP_PATH + '/api/v1/media/library/record/:media_id/fixity';
+    const PAGE_SIZE = 50;
+    const SUMMARY_FIELDS = ['ok', 'missing', 'changed', 'unreadable', 'unchecked', 'unhashed'];
+    const STATUS_LABELS = {
+        ok: 'Verified',
+        missing: 'Missing',
+        changed: 'Changed',
+        unreadable: 'Unreadable'
+    };
+
+    let obj = {};
+    let current_page = 1;
+    let total = 0;
+
+    function el(id) {
+        return document.getElementById(id);
+    }
+
+    function set_alert(type, message) {
+        domModule.set_alert(document.querySelector('#message'), type, message);
+    }
+
+    // ---- Rendering (DOM-built, never innerHTML with record data → XSS-safe) ----
+
+    function format_date(value) {
+        if (!value) {
+            return 'Never';
+        }
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? String(value) : date.toLocaleString();
+    }
+
+    function text_cell(text, class_name) {
+        const td = document.createElement('td');
+        if (class_name) {
+            td.className = class_name;
+        }
+        td.textContent = text;
+        return td;
+    }
+
+    function build_media_cell(failure) {
+
+        const td = document.createElement('td');
+        const name = document.createElement('div');
+        name.textContent = failure.name || failure.original_filename || '(untitled)';
+        td.appendChild(name);
+
+        const uuid = document.createElement('div');
+        uuid.className = 'fixity-mono fixity-muted';
+        uuid.textContent = failure.uuid;
+        td.appendChild(uuid);
+
+        if (failure.storage_path) {
+            const stored = document.createElement('div');
+            stored.className = 'fixity-mono fixity-muted';
+            stored.textContent = failure.storage_path;
+            td.appendChild(stored);
+        }
+
+        return td;
+    }
+
+    function build_action_cell(failure) {
+
+        const td = document.createElement('td');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-sm btn-outline-secondary';
+        button.textContent = 'Re-check';
+        button.setAttribute('aria-label', `Re-check ${failure.name || failure.uuid}`);
+        button.addEventListener('click', function () {
+            recheck(failure, button);
+        });
+        td.appendChild(button);
+
+        return td;
+    }
+
+    function build_row(failure) {
+        const tr = document.createElement('tr');
+        tr.appendChild(build_media_cell(failure));
+        tr.appendChild(text_cell(STATUS_LABELS[failure.fixity_status] || failure.fixity_status || ''));
+        tr.appendChild(text_cell(failure.fixity_message || '', 'fixity-mono fixity-detail'));
+        tr.appendChild(text_cell(format_date(failure.fixity_checked)));
+        tr.appendChild(text_cell(format_date(failure.fixity_verified), failure.fixity_verified ? '' : 'fixity-muted'));
+        tr.appendChild(build_action_cell(failure));
+        return tr;
+    }
+
+    function render_summary(summary) {
+        SUMMARY_FIELDS.forEach((field) => {
+            const dd = el(`fixity-count-${field}`);
+            if (dd) {
+                dd.textContent = summary && summary[field] !== undefined ? String(summary[field]) : '–';
+            }
+        });
+    }
+
+    function total_pages() {
+        return Math.max(1, Math.ceil(total / PAGE_SIZE));
+    }
+
+    function render_pager(shown) {
+        const pager = el('fixity-pager');
+        if (!pager) {
+            return;
+        }
+        const pages = total_pages();
+        if (pages <= 1) {
+            pager.style.display = 'none';
+            return;
+        }
+        pager.style.display = '';
+        const start_index = (current_page - 1) * PAGE_SIZE;
+        const info = el('fixity-page-info');
+        if (info) {
+            info.textContent = `Showing ${start_index + 1}–${start_index + shown} of ${total} (page ${current_page} of ${pages})`;
+        }
+        const prev = el('fixity-prev');
+        if (prev) prev.disabled = current_page <= 1;
+        const next = el('fixity-next');
+        if (next) next.disabled = current_page >= pages;
+    }
+
+    function render_failures(failures) {
+
+        const tbody = el('fixity-data');
+        const table_wrap = el('fixity-table-wrap');
+        const empty_state = el('fixity-empty-state');
+        const pager = el('fixity-pager');
+        if (!tbody) {
+            return;
+        }
+
+        tbody.textContent = '';
+
+        if (failures.length === 0) {
+            if (table_wrap) table_wrap.style.display = 'none';
+            if (empty_state) empty_state.style.display = '';
+            if (pager) pager.style.display = 'none';
+            return;
+        }
+
+        if (table_wrap) table_wrap.style.display = '';
+        if (empty_state) empty_state.style.display = 'none';
+
+        failures.forEach((failure) => tbody.appendChild(build_row(failure)));
+        render_pager(failures.length);
+    }
+
+    // ---- Data load (paged server-side) ----
+
+    function build_query() {
+
+        const params = new URLSearchParams({ page: String(current_page), page_size: String(PAGE_SIZE) });
+        const status = el('fixity-status');
+
+        if (status && status.value) {
+            params.set('status', status.value);
+        }
+
+        return params.toString();
+    }
+
+    async function load_report() {
+
+        const token = authModule.get_user_token();
+        if (token === false) {
+            return;
+        }
+
+        try {
+
+            const response = await httpModule.req({
+                method: 'GET',
+                url: `${REPORT_ENDPOINT}?${build_query()}`,
+                headers: { 'x-access-token': token }
+            });
+
+            if (response !== undefined && response.status === 200 && response.data && response.data.data) {
+                const report = response.data.data;
+                total = report.total || 0;
+                render_summary(report.summary);
+                render_failures(report.failures || []);
+            } else if (response !== undefined && response.status === 400) {
+                set_alert('warning', (response.data && response.data.message) || 'Invalid filter.');
+            } else if (response !== undefined && response.status === 403) {
+                set_alert('danger', 'You are not authorized to view the fixity report.');
+                render_failures([]);
+            } else {
+                set_alert('danger', 'Unable to load the fixity report.');
+                render_failures([]);
+            }
+
+        } catch (error) {
+            set_alert('danger', 'Unable to load the fixity report.');
+            render_failures([]);
+        }
+    }
+
+    obj.display_fixity_report = load_report;
+
+    // Re-hashes the stored file now. A file that verifies drops off the list,
+    // so the report is reloaded either way.
+    async function recheck(failure, button) {
+
+        const token = authModule.get_user_token();
+        if (token === false) {
+            return;
+        }
+
+        button.disabled = true;
+        button.textContent = 'Checking…';
+
+        try {
+
+            const response = await httpModule.req({
+                method: 'POST',
+                url: CHECK_ENDPOINT.replace(':media_id', encodeURIComponent(failure.uuid)),
+                headers: { 'x-access-token': token }
+            });
+
+            if (response !== undefined && response.status === 200 && response.data && response.data.data) {
+                const result = response.data.data;
+                const label = failure.name || failure.uuid;
+                if (result.status === 'ok') {
+                    set_alert('success', `${label} matches its recorded checksum.`);
+                } else {
+                    set_alert('warning', `${label} is still ${STATUS_LABELS[result.status] ? STATUS_LABELS[result.status].toLowerCase() : result.status}: ${result.message || ''}`);
+                }
+                await load_report();
+            } else {
+                set_alert('danger', (response && response.data && response.data.message) || 'Unable to check the file.');
+                button.disabled = false;
+                button.textContent = 'Re-check';
+            }
+
+        } catch (error) {
+            set_alert('danger', 'Unable to check the file.');
+            button.disabled = false;
+            button.textContent = 'Re-check';
+        }
+    }
+
+    function wire_controls() {
+
+        const form = el('fixity-filters');
+        if (form) {
+            form.addEventListener('submit', function (event) {
+                event.preventDefault();
+                current_page = 1;
+                load_report();
+            });
+        }
+
+        const prev = el('fixity-prev');
+        if (prev) {
+            prev.addEventListener('click', function () {
+                if (current_page > 1) {
+                    current_page--;
+                    load_report();
+                }
+            });
+        }
+
+        const next = el('fixity-next');
+        if (next) {
+            next.addEventListener('click', function () {
+                if (current_page < total_pages()) {
+                    current_page++;
+                    load_report();
+                }
+            });
+        }
+    }
+
+    obj.init = async function () {
+
+        if (typeof navModule !== 'undefined' && typeof navModule.wire_nav_links === 'function') {
+            navModule.wire_nav_links();
+        }
+
+        // Access gate: the fixity report is an admin tool. The server still
+        // requires view_fixity_report on every request.
+        const is_admin = await authModule.is_administrator();
+        if (is_admin !== true) {
+            window.location.replace(APP_PATH + '/access-denied');
+            return;
+        }
+
+        const content = el('fixity-content');
+        if (content) {
+            content.style.display = '';
+        }
+
+        if (typeof helperModule !== 'undefined' && typeof helperModule.show_form === 'function') {
+            helperModule.show_form();
+        }
+
+        wire_controls();
+        await load_report();
+    };
+
+    return obj;
+
+}());
@@ -24,11 +24,40 @@ const indexManagementModule = (function () {
     const ENDPOINT = APP_PATH + '/api/v1/indexer/manage';
     let obj = {};
 
-    // Status auto-refresh after a rebuild (background reindex → live count climbs).
+    // Rebuild progress polling: the rebuild runs in the background (see
+    // create_index) and reports its step through the status endpoint.
     const POLL_INTERVAL_MS = 2000;
-    const POLL_MAX_ATTEMPTS = 90;   // ~3 min safety ceiling
-    const STABLE_POLLS = 3;         // count unchanged this many polls in a row => settled
+    const POLL_MAX_ATTEMPTS = 450;  // ~15 min safety ceiling
     let poll_timer = null;
+    let drift_timer = null;
+
+    const DRIFT_KIND_LABELS = {
+        missing: 'Missing',
+        stale: 'Stale',
+        unexpected: 'Unexpected'
+    };
+
+    const DRIFT_REASON_LABELS = {
+        suppressed: 'suppressed',
+        deleted: 'deleted',
+        exhibit_unpublished: 'exhibit unpublished',
+        not_in_database: 'not in the database'
+    };
+
+    const JOB_STATUS_LABELS = {
+        pending: 'Queued',
+        running: 'Running',
+        dead: 'Dead'
+    };
+
+    const REBUILD_STEP_LABELS = {
+        create_index: 'creating the new index',
+        load_exhibits: 'loading published exhibits',
+        verify_counts: 'verifying document counts',
+        sync_changes: 'syncing changes made during the rebuild',
+        swap_alias: 'switching the live index',
+        prune_generations: 'removing old generations'
+    };
 
     function el(id) {
         return document.getElementById(id);
@@ -38,13 +67,105 @@ const indexManagementModule = (function () {
         domModule.set_alert(document.querySelector('#message'), type, message);
     }
 
+    function format_date(value) {
+        if (!value) {
+            return '—';
+        }
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? '—' : date.toLocaleString();
+    }
+
+    function describe_rebuild(rebuild) {
+        if (!rebuild || !rebuild.started) {
+            return '—';
+        }
+        if (rebuild.running === true) {
+            return 'Running — ' + (REBUILD_STEP_LABELS[rebuild.step] || 'starting') + ' (started ' + format_date(rebuild.started) + ')';
+        }
+        return (rebuild.success === true ? 'Succeeded' : 'Failed') + ' ' + format_date(rebuild.finished) +
+            (rebuild.message ? ' — ' + rebuild.message : '');
+    }
+
+    function text_cell(text) {
+        const td = document.createElement('td');
+        td.textContent = text;
+        return td;
+    }
+
+    function build_generation_row(generation, can_rollback) {
+
+        const tr = document.createElement('tr');
+        tr.appendChild(text_cell(generation.index));
+        tr.appendChild(text_cell(format_date(generation.created)));
+        tr.appendChild(text_cell(
+            (generation.count !== null && generation.count !== undefined) ? String(generation.count) : '—'));
+        tr.appendChild(text_cell(generation.live === true ? 'Live' : 'Previous'));
+
+        const td = document.createElement('td');
+        if (generation.live !== true) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-sm btn-outline-secondary';
+            button.textContent = 'Roll back';
+            button.setAttribute('aria-label', 'Roll back to ' + generation.index);
+            button.disabled = can_rollback !== true;
+            button.addEventListener('click', function () {
+                rollback_index(generation.index, button);
+            });
+            td.appendChild(button);
+        }
+        tr.appendChild(td);
+
+        return tr;
+    }
+
+    function render_generations(data) {
+
+        const tbody = el('generations-body');
+        if (!tbody) {
+            return;
+        }
+
+        tbody.textContent = '';
+
+        const generations = (data && Array.isArray(data.generations)) ? data.generations : [];
+
+        if (generations.length === 0) {
+            const tr = document.createElement('tr');
+            const td = text_cell(data && data.legacy === true
+                ? 'The live index predates generations; the next rebuild replaces it.'
+                : 'No generations yet.');
+            td.colSpan = 5;
+            tr.appendChild(td);
+            tbody.appendChild(tr);
+            return;
+        }
+
+        const rebuilding = !!(data.rebuild && data.rebuild.running === true);
+        generations.forEach(function (generation) {
+            tbody.appendChild(build_generation_row(generation, !rebuilding));
+        });
+    }
+
+    function describe_mapping(mapping) {
+        if (!mapping) return '—';
+        if (mapping.current === true) return mapping.version + ' (current)';
+        return (mapping.live_version || 'unversioned') + ' — out of date; the current mappings (' +
+            mapping.version + ') apply after a rebuild';
+    }
+
     function render_status(data) {
         const idx = el('status-index');
+        const live = el('status-live');
         const exists = el('status-exists');
         const count = el('status-count');
         const published = el('status-published');
+        const rebuild = el('status-rebuild');
+        const mapping = el('status-mapping');
         const confirm_published = el('confirm-published-count');
+        const rebuild_btn = el('rebuild-index');
         if (idx) idx.textContent = (data && data.index) ? data.index : '—';
+        if (live) live.textContent = (data && data.live_index) ? data.live_index : '—';
         if (exists) exists.textContent = (data && data.exists === true) ? 'Yes' : 'No';
         if (count) count.textContent =
             (data && data.count !== null && data.count !== undefined) ? String(data.count) : '—';
@@ -52,6 +173,10 @@ const indexManagementModule = (function () {
             ? String(data.published_exhibits) : '—';
         if (published) published.textContent = pub;
         if (confirm_published) confirm_published.textContent = pub;
+        if (mapping) mapping.textContent = describe_mapping(data && data.mapping);
+        if (rebuild) rebuild.textContent = describe_rebuild(data && data.rebuild);
+        if (rebuild_btn) rebuild_btn.disabled = !!(data && data.rebuild && data.rebuild.running === true);
+        render_generations(data);
     }
 
     function render_status_unavailable() {
@@ -90,9 +215,6 @@ const indexManagementModule = (function () {
         }
     }
 
-    // After a rebuild the reindex runs in the background (see create_index), so the
-    // live document count climbs over the next moments. Poll the status endpoint until
-    // the count settles, updating the view automatically — no manual refresh needed.
     function stop_status_polling() {
         if (poll_timer !== null) {
             clearTimeout(poll_timer);
@@ -100,13 +222,13 @@ const indexManagementModule = (function () {
         }
     }
 
-    function poll_status_until_settled() {
+    // Poll the status endpoint until the background rebuild finishes, then
+    // report its outcome — no manual refresh needed.
+    function poll_until_rebuilt() {
 
         stop_status_polling();
 
         let attempts = 0;
-        let last_count = null;
-        let stable = 0;
 
         const tick = async () => {
 
@@ -114,28 +236,19 @@ const indexManagementModule = (function () {
             attempts++;
 
             const data = await load_status();
-            const count = (data && typeof data.count === 'number') ? data.count : null;
-            const no_work = !!(data && data.published_exhibits === 0);
-
-            // Only treat the count as settled once it has actually been written
-            // (count > 0), or when there are no published exhibits to index at all —
-            // the brief count === 0 window before the background reindex starts must
-            // not be mistaken for completion.
-            if (count !== null && count === last_count && (count > 0 || no_work)) {
-                stable++;
-            } else {
-                stable = 0;
-            }
-            last_count = count;
+            const rebuild = data ? data.rebuild : null;
 
-            if (stable >= STABLE_POLLS) {
-                const n = (count !== null) ? count : 0;
-                set_alert('success', 'Reindex complete — ' + n + ' document' + (n === 1 ? '' : 's') + ' indexed.');
+            if (rebuild && rebuild.running === false && rebuild.finished) {
+                if (rebuild.success === true) {
+                    set_alert('success', rebuild.message || 'Index rebuilt.');
+                } else {
+                    set_alert('danger', 'Index rebuild failed; the live index is unchanged. ' + (rebuild.message || ''));
+                }
                 return;
             }
 
             if (attempts >= POLL_MAX_ATTEMPTS) {
-                set_alert('info', 'Reindexing is still finishing; the document count above will keep updating.');
+                set_alert('info', 'The rebuild is still running; its progress above will keep updating on reload.');
                 return;
             }
 
@@ -145,6 +258,447 @@ const indexManagementModule = (function () {
         poll_timer = setTimeout(tick, POLL_INTERVAL_MS);
     }
 
+    async function rollback_index(index_name, button) {
+
+        if (!confirm('Switch the public site back to ' + index_name + '?\n\n' +
+            'It does not include changes published since it was replaced.')) {
+            return;
+        }
+
+        try {
+
+            const token = authModule.get_user_token();
+            if (token === false) {
+                return;
+            }
+
+            if (button) {
+                button.disabled = true;
+            }
+
+            const response = await httpModule.req({
+                method: 'POST',
+                url: ENDPOINT + '/rollback',
+                data: { index: index_name },
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-access-token': token
+                }
+            });
+
+            if (response !== undefined && response.status === 200) {
+                set_alert('success', 'The live index is now ' + index_name + '.');
+            } else if (response !== undefined && response.status === 403) {
+                set_alert('danger', 'You do not have permission to roll back the index.');
+            } else if (response !== undefined && response.status === 409) {
+                set_alert('warning', 'Unable to roll back: ' + (response.data && response.data.data ? response.data.data : 'the index is busy.'));
+            } else {
+                set_alert('danger', 'Unable to roll back the search index.');
+            }
+
+        } catch (error) {
+            set_alert('danger', 'Unable to roll back the search index.');
+        } finally {
+            await load_status();
+        }
+    }
+
+    function describe_drift_check(check, report) {
+
+        if (check && check.running === true) {
+            return 'Checking the index against the database (started ' + format_date(check.started) + ')…';
+        }
+
+        if (check && check.message) {
+            return 'The last drift check failed: ' + check.message;
+        }
+
+        if (!report) {
+            return 'No drift check has run since the server started.';
+        }
+
+        const totals = report.totals || {};
+        let summary = 'Last checked ' + format_date(report.finished) + ': ' + (totals.checked || 0) + ' exhibit(s), ' +
+            (totals.drift || 0) + ' with drift (' + (totals.missing || 0) + ' missing, ' + (totals.stale || 0) +
+            ' stale, ' + (totals.unexpected || 0) + ' unexpected document(s)).';
+
+        if (totals.preview > 0) {
+            summary += ' ' + totals.preview + ' in preview, not checked.';
+        }
+
+        if (totals.errors > 0) {
+            summary += ' ' + totals.errors + ' could not be checked.';
+        }
+
+        return summary;
+    }
+
+    function build_repair_button(label, aria_label, exhibit_uuid, uuids) {
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-sm btn-outline-secondary';
+        button.textContent = label;
+        button.setAttribute('aria-label', aria_label);
+        button.addEventListener('click', function () {
+            repair_drift(exhibit_uuid, uuids, button);
+        });
+
+        return button;
+    }
+
+    function build_drift_detail_row(result) {
+
+        const tr = document.createElement('tr');
+        const td = document.createElement('td');
+        td.colSpan = 6;
+
+        const list = document.createElement('ul');
+        list.className = 'list-unstyled mb-0 ml-3';
+
+        result.drift.forEach(function (entry) {
+
+            const li = document.createElement('li');
+            li.className = 'mb-1';
+
+            let text = (DRIFT_KIND_LABELS[entry.kind] || entry.kind) + ': ' + (entry.type || 'record') + ' ' + entry.uuid;
+            if (entry.reason) {
+                text += ' (' + (DRIFT_REASON_LABELS[entry.reason] || entry.reason) + ')';
+            }
+            if (entry.updated) {
+                text += ' — updated ' + format_date(entry.updated);
+            }
+
+            li.appendChild(document.createTextNode(text + ' '));
+            li.appendChild(build_repair_button('Repair', 'Repair ' + entry.uuid, result.exhibit_uuid, [entry.uuid]));
+            list.appendChild(li);
+        });
+
+        td.appendChild(list);
+        tr.appendChild(td);
+
+        return tr;
+    }
+
+    function render_drift(report) {
+
+        const tbody = el('drift-body');
+        if (!tbody) {
+            return;
+        }
+
+        tbody.textContent = '';
+
+        const exhibits = (report && Array.isArray(report.exhibits)) ? report.exhibits : [];
+
+        if (exhibits.length === 0) {
+            const tr = document.createElement('tr');
+            const td = text_cell(report ? 'Every checked exhibit matches the index.' : '—');
+            td.colSpan = 6;
+            tr.appendChild(td);
+            tbody.appendChild(tr);
+            return;
+        }
+
+        exhibits.forEach(function (result) {
+
+            const tr = document.createElement('tr');
+            tr.appendChild(text_cell((result.title || '(not in database)') + ' — ' + result.exhibit_uuid));
+            tr.appendChild(text_cell(String(result.counts.missing)));
+            tr.appendChild(text_cell(String(result.counts.stale)));
+            tr.appendChild(text_cell(String(result.counts.unexpected)));
+            tr.appendChild(text_cell(result.status === 'drift' ? 'Drift' : (result.message || result.status)));
+
+            const td = document.createElement('td');
+            if (result.status === 'drift') {
+                td.appendChild(build_repair_button('Repair All', 'Repair all drift in ' + (result.title || result.exhibit_uuid),
+                    result.exhibit_uuid, null));
+            }
+            tr.appendChild(td);
+            tbody.appendChild(tr);
+
+            if (result.status === 'drift') {
+                tbody.appendChild(build_drift_detail_row(result));
+            }
+        });
+    }
+
+    async function load_drift() {
+
+        try {
+
+            const token = authModule.get_user_token();
+            if (token === false) {
+                return null;
+            }
+
+            const response = await httpModule.req({
+                method: 'GET',
+                url: ENDPOINT + '/drift',
+                headers: { 'x-access-token': token }
+            });
+
+            if (response !== undefined && response.status === 200 && response.data && response.data.data) {
+                const data = response.data.data;
+                const summary = el('drift-summary');
+                const check_btn = el('check-drift');
+                if (summary) summary.textContent = describe_drift_check(data.check, data.report);
+                if (check_btn) check_btn.disabled = !!(data.check && data.check.running === true);
+                render_drift(data.report);
+                return data;
+            }
+
+            return null;
+
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Poll the drift report until the background check finishes
+    function poll_until_checked() {
+
+        if (drift_timer !== null) {
+            clearTimeout(drift_timer);
+        }
+
+        let attempts = 0;
+
+        const tick = async () => {
+
+            drift_timer = null;
+            attempts++;
+
+            const data = await load_drift();
+
+            if (data && data.check && data.check.running === false) {
+                return;
+            }
+
+            if (attempts < POLL_MAX_ATTEMPTS) {
+                drift_timer = setTimeout(tick, POLL_INTERVAL_MS);
+            }
+        };
+
+        drift_timer = setTimeout(tick, POLL_INTERVAL_MS);
+    }
+
+    async function check_drift() {
+
+        try {
+
+            const token = authModule.get_user_token();
+            if (token === false) {
+                return;
+            }
+
+            const response = await httpModule.req({
+                method: 'POST',
+                url: ENDPOINT + '/drift',
+                headers: { 'x-access-token': token }
+            });
+
+            if (response !== undefined && (response.status === 202 || response.status === 409)) {
+                poll_until_checked();
+            } else if (response !== undefined && response.status === 403) {
+                set_alert('danger', 'You do not have permission to check the index.');
+            } else {
+                set_alert('danger', 'Unable to start the drift check.');
+            }
+
+        } catch (error) {
+            set_alert('danger', 'Unable to start the drift check.');
+        } finally {
+            await load_drift();
+        }
+    }
+
+    async function repair_drift(exhibit_uuid, uuids, button) {
+
+        try {
+
+            const token = authModule.get_user_token();
+            if (token === false) {
+                return;
+            }
+
+            if (button) {
+                button.disabled = true;
+            }
+
+            const data = { exhibit_id: exhibit_uuid };
+            if (Array.isArray(uuids)) {
+                data.uuids = uuids;
+            }
+
+            const response = await httpModule.req({
+                method: 'POST',
+                url: ENDPOINT + '/drift/repair',
+                data: data,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-access-token': token
+                }
+            });
+
+            if (response !== undefined && response.status === 200 && response.data && response.data.data) {
+                const outcome = response.data.data;
+                if (outcome.failed.length > 0) {
+                    set_alert('warning', outcome.repaired.length + ' document(s) repaired; ' + outcome.failed.length + ' could not be repaired.');
+                } else {
+                    set_alert('success', outcome.repaired.length + ' document(s) repaired.');
+                }
+            } else if (response !== undefined && response.status === 403) {
+                set_alert('danger', 'You do not have permission to repair the index.');
+            } else if (response !== undefined && response.status === 409) {
+                set_alert('warning', response.data && response.data.data ? response.data.data : 'Unable to repair this exhibit.');
+            } else {
+                set_alert('danger', 'Unable to repair index drift.');
+            }
+
+        } catch (error) {
+            set_alert('danger', 'Unable to repair index drift.');
+        } finally {
+            await Promise.all([load_drift(), load_status()]);
+        }
+    }
+
+    function describe_index_jobs(counts) {
+
+        if (!counts) {
+            return 'Unable to load the index job queue.';
+        }
+
+        if (counts.pending + counts.retrying + counts.running + counts.dead === 0) {
+            return 'The index job queue is empty.';
+        }
+
+        return counts.pending + ' queued, ' + counts.running + ' running, ' + counts.retrying + ' retrying after a failure, ' +
+            counts.dead + ' dead.';
+    }
+
+    function render_index_jobs(data) {
+
+        const tbody = el('index-jobs-body');
+        if (!tbody) {
+            return;
+        }
+
+        tbody.textContent = '';
+
+        const jobs = (data && Array.isArray(data.jobs)) ? data.jobs : [];
+
+        if (jobs.length === 0) {
+            const tr = document.createElement('tr');
+            const td = text_cell('—');
+            td.colSpan = 6;
+            tr.appendChild(td);
+            tbody.appendChild(tr);
+            return;
+        }
+
+        jobs.forEach(function (job) {
+
+            const tr = document.createElement('tr');
+            const status = job.status === 'pending' && job.attempts > 0 ? 'Retrying' : (JOB_STATUS_LABELS[job.status] || job.status);
+
+            tr.appendChild(text_cell(job.type));
+            tr.appendChild(text_cell(job.dedupe_key));
+            tr.appendChild(text_cell(status));
+            tr.appendChild(text_cell(job.attempts + ' of ' + data.max_attempts));
+            tr.appendChild(text_cell(job.status === 'dead' ? (job.last_error || '—') :
+                format_date(job.run_at) + (job.last_error ? ' — ' + job.last_error : '')));
+
+            const td = document.createElement('td');
+            if (job.status !== 'running') {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-sm btn-outline-secondary';
+                button.textContent = job.status === 'dead' ? 'Retry' : 'Run Now';
+                button.setAttribute('aria-label', button.textContent + ' ' + job.type + ' for ' + job.dedupe_key);
+                button.addEventListener('click', function () {
+                    retry_index_job(job.uuid, button);
+                });
+                td.appendChild(button);
+            }
+            tr.appendChild(td);
+            tbody.appendChild(tr);
+        });
+    }
+
+    async function load_index_jobs() {
+
+        const summary = el('index-jobs-summary');
+
+        try {
+
+            const token = authModule.get_user_token();
+            if (token === false) {
+                return null;
+            }
+
+            const response = await httpModule.req({
+                method: 'GET',
+                url: ENDPOINT + '/jobs',
+                headers: { 'x-access-token': token }
+            });
+
+            if (response !== undefined && response.status === 200 && response.data && response.data.data) {
+                const data = response.data.data;
+                if (summary) summary.textContent = describe_index_jobs(data.counts);
+                render_index_jobs(data);
+                return data;
+            }
+
+            if (summary) summary.textContent = describe_index_jobs(null);
+            return null;
+
+        } catch (error) {
+            if (summary) summary.textContent = describe_index_jobs(null);
+            return null;
+        }
+    }
+
+    async function retry_index_job(uuid, button) {
+
+        try {
+
+            const token = authModule.get_user_token();
+            if (token === false) {
+                return;
+            }
+
+            if (button) {
+                button.disabled = true;
+            }
+
+            const response = await httpModule.req({
+                method: 'POST',
+                url: ENDPOINT + '/jobs/retry',
+                data: { uuid: uuid },
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-access-token': token
+                }
+            });
+
+            if (response !== undefined && response.status === 200) {
+                set_alert('success', 'Index job queued to run again.');
+            } else if (response !== undefined && response.status === 403) {
+                set_alert('danger', 'You do not have permission to retry index jobs.');
+            } else if (response !== undefined && response.status === 404) {
+                set_alert('warning', 'That job has already finished or is running.');
+            } else {
+                set_alert('danger', 'Unable to retry the index job.');
+            }
+
+        } catch (error) {
+            set_alert('danger', 'Unable to retry the index job.');
+        } finally {
+            await load_index_jobs();
+        }
+    }
+
     function close_confirm_modal() {
         const input = el('rebuild-confirm-input');
         if (input) {
@@ -176,7 +730,7 @@ const indexManagementModule = (function () {
                 confirm_btn.disabled = true;
                 confirm_btn.textContent = 'Rebuilding…';
             }
-            set_alert('info', 'Rebuilding the search index…');
+            set_alert('info', 'Starting the index rebuild…');
 
             const response = await httpModule.req({
                 method: 'POST',
@@ -184,9 +738,12 @@ const indexManagementModule = (function () {
                 headers: { 'x-access-token': token }
             });
 
-            if (response !== undefined && (response.status === 200 || response.status === 201)) {
-                set_alert('info', 'Index rebuilt — reindexing published exhibits…');
-                poll_status_until_settled();
+            if (response !== undefined && response.status === 202) {
+                set_alert('info', 'Rebuilding the search index — the public site keeps using the current index until the new one is verified…');
+                poll_until_rebuilt();
+            } else if (response !== undefined && response.status === 409) {
+                set_alert('warning', 'An index rebuild or rollback is already running.');
+                poll_until_rebuilt();
             } else if (response !== undefined && response.status === 403) {
                 set_alert('danger', 'You do not have permission to rebuild the index.');
             } else {
@@ -208,6 +765,21 @@ const indexManagementModule = (function () {
 
         const input = el('rebuild-confirm-input');
         const confirm_btn = el('rebuild-confirm-btn');
+        const check_btn = el('check-drift');
+        const refresh_jobs_btn = el('refresh-index-jobs');
+
+        if (refresh_jobs_btn) {
+            refresh_jobs_btn.addEventListener('click', function () {
+                load_index_jobs();
+            });
+        }
+
+        if (check_btn) {
+            check_btn.addEventListener('click', function () {
+                check_btn.disabled = true;
+                check_drift();
+            });
+        }
 
         // Type-to-confirm: the destructive button only enables on exact "REBUILD".
         if (input && confirm_btn) {
@@ -253,7 +825,15 @@ const indexManagementModule = (function () {
         }
 
         wire_events();
-        await load_status();
+
+        // A rebuild or drift check started before this page loaded is still reported on
+        const [data, drift] = await Promise.all([load_status(), load_drift(), load_index_jobs()]);
+        if (data && data.rebuild && data.rebuild.running === true) {
+            poll_until_rebuilt();
+        }
+        if (drift && drift.check && drift.check.running === true) {
+            poll_until_checked();
+        }
     };
 
     return obj;
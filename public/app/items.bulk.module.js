@@ -0,0 +1,184 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+const itemsBulkModule = (function () {
+
+    'use strict';
+
+    const EXHIBITS_ENDPOINTS = endpointsModule.get_exhibits_endpoints();
+
+    const ACTION_LABELS = {
+        publish: 'published',
+        suppress: 'suppressed',
+        delete: 'deleted'
+    };
+
+    let obj = {};
+
+    function get_checkboxes() {
+        return Array.from(document.querySelectorAll('.bulk-select'));
+    }
+
+    function get_selected() {
+        return get_checkboxes()
+            .filter((checkbox) => checkbox.checked)
+            .map((checkbox) => ({
+                type: checkbox.getAttribute('data-record-type'),
+                uuid: checkbox.value
+            }));
+    }
+
+    function update_toolbar() {
+
+        const checkboxes = get_checkboxes();
+        const count = checkboxes.filter((checkbox) => checkbox.checked).length;
+        const select_all = document.querySelector('#bulk-select-all');
+
+        domModule.set_text('#bulk-selected-count', `${count} selected`);
+
+        document.querySelectorAll('#bulk-actions [data-bulk-action]').forEach((button) => {
+            button.disabled = count === 0;
+        });
+
+        if (select_all) {
+            select_all.checked = checkboxes.length > 0 && count === checkboxes.length;
+            select_all.indeterminate = count > 0 && count < checkboxes.length;
+        }
+    }
+
+    /**
+     * Builds the message shown after a bulk action from its per-record results
+     * @param {string} action - publish|suppress|delete
+     * @param {Object} data - {updated, results}
+     * @returns {string}
+     */
+    function summarize(action, data) {
+
+        const results = Array.isArray(data.results) ? data.results : [];
+        const skipped = results.filter((result) => result.status === 'rejected' || result.status === 'not_found');
+        const unchanged = results.filter((result) => result.status === 'unchanged').length;
+        let message = `${data.updated} record(s) ${ACTION_LABELS[action]}.`;
+
+        if (unchanged > 0) {
+            message += ` ${unchanged} already ${ACTION_LABELS[action]}.`;
+        }
+
+        if (skipped.length > 0) {
+            const reasons = [...new Set(skipped.map((result) => result.message))];
+            message += ` ${skipped.length} skipped: ${reasons.join('; ')}.`;
+        }
+
+        return message;
+    }
+
+    async function apply_action(action) {
+
+        const records = get_selected();
+        const exhibit_id = helperModule.get_parameter_by_name('exhibit_id');
+        const token = authModule.get_user_token();
+        const message_element = document.querySelector('#message');
+
+        if (records.length === 0 || !exhibit_id || token === false) {
+            return false;
+        }
+
+        if (action === 'delete' && !confirm(`Delete ${records.length} selected record(s)? Published records are skipped.`)) {
+            return false;
+        }
+
+        const response = await httpModule.req({
+            method: 'POST',
+            url: EXHIBITS_ENDPOINTS.exhibits.bulk_records.post.endpoint.replace(':exhibit_id', encodeURIComponent(exhibit_id)),
+            data: {action, records},
+            headers: {
+                'Content-Type': 'application/json',
+                'x-access-token': token
+            }
+        });
+
+        scrollTo(0, 0);
+
+        if (response?.status === 200) {
+            const data = response.data.data;
+            domModule.set_alert(message_element, data.updated > 0 ? 'success' : 'warning', summarize(action, data));
+
+            if (data.updated > 0) {
+                setTimeout(() => {
+                    window.location.reload();
+                }, 2500);
+            }
+
+            return true;
+        }
+
+        if (response?.status === 403) {
+            domModule.set_alert(message_element, 'danger', `You do not have permission to ${action} these records.`);
+        } else {
+            domModule.set_alert(message_element, 'danger', response?.data?.message || `Unable to ${action} the selected records.`);
+        }
+
+        return false;
+    }
+
+    /**
+     * Item, grid item and timeline item lists: wires the row checkboxes
+     * rendered by itemsListDisplayModule to the bulk publish, suppress and
+     * delete toolbar (views/partials/items-bulk-actions.ejs)
+     */
+    obj.init = function () {
+
+        const toolbar = document.querySelector('#bulk-actions');
+
+        if (!toolbar) {
+            return false;
+        }
+
+        // Rows are re-rendered by the list modules, so listen on the document
+        document.addEventListener('change', (event) => {
+
+            if (event.target.id === 'bulk-select-all') {
+                get_checkboxes().forEach((checkbox) => {
+                    checkbox.checked = event.target.checked;
+                });
+            }
+
+            if (event.target.id === 'bulk-select-all' || event.target.classList.contains('bulk-select')) {
+                update_toolbar();
+            }
+        });
+
+        toolbar.querySelectorAll('[data-bulk-action]').forEach((button) => {
+            button.addEventListener('click', async () => {
+                try {
+                    button.disabled = true;
+                    await apply_action(button.getAttribute('data-bulk-action'));
+                } catch (error) {
+                    domModule.set_alert(document.querySelector('#message'), 'danger', error.message);
+                } finally {
+                    update_toolbar();
+                }
+            });
+        });
+
+        update_toolbar();
+        return true;
+    };
+
+    return obj;
+
+}());
@@ -197,6 +197,28 @@ const itemsListDisplayModule = (function() {
         return td;
     };
 
+    /**
+     * Create the row checkbox used to select records for a bulk action
+     * (see itemsBulkModule). record_type is the bulk endpoint's type name.
+     *
+     * @param {string} item_id - Record UUID
+     * @param {string} record_type - item|heading|grid|grid_item|timeline|timeline_item
+     * @param {string} title - Record title, for the accessible label
+     */
+    const create_select_checkbox = (item_id, record_type, title) => {
+        const div = document.createElement('div');
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'bulk-select';
+        checkbox.value = item_id;
+        checkbox.setAttribute('data-record-type', record_type);
+        checkbox.setAttribute('aria-label', `Select ${title || record_type.replace('_', ' ')}`);
+        div.appendChild(checkbox);
+
+        return div;
+    };
+
     /**
      * Get icon for item type
      */
@@ -460,6 +482,7 @@ const itemsListDisplayModule = (function() {
             // Status cell
             const status_td = create_table_cell('item-status', '');
             status_td.style.textAlign = 'center';
+            status_td.appendChild(create_select_checkbox(item.uuid, 'item', title));
             const status_small = document.createElement('small');
             status_small.appendChild(create_status_button(item.uuid, item.is_published));
             status_td.appendChild(status_small);
@@ -538,6 +561,7 @@ const itemsListDisplayModule = (function() {
             // Status cell
             const status_td = create_table_cell('', '');
             status_td.style.textAlign = 'center';
+            status_td.appendChild(create_select_checkbox(item.uuid, 'heading', title));
             const status_small = document.createElement('small');
             status_small.appendChild(create_status_button(item.uuid, item.is_published));
             status_td.appendChild(status_small);
@@ -610,6 +634,7 @@ const itemsListDisplayModule = (function() {
             // Status cell
             const status_td = create_table_cell('', '');
             status_td.style.textAlign = 'center';
+            status_td.appendChild(create_select_checkbox(item.uuid, 'grid', title));
             const status_small = document.createElement('small');
             status_small.appendChild(create_status_button(item.uuid, item.is_published));
             status_td.appendChild(status_small);
@@ -788,6 +813,7 @@ const itemsListDisplayModule = (function() {
             // Status cell
             const status_td = create_table_cell('', '');
             status_td.style.textAlign = 'center';
+            status_td.appendChild(create_select_checkbox(item.uuid, 'grid_item', title));
             const status_small = document.createElement('small');
             status_small.appendChild(create_status_button(item.uuid, item.is_published));
             status_td.appendChild(status_small);
@@ -869,6 +895,7 @@ const itemsListDisplayModule = (function() {
             // Status cell
             const status_td = create_table_cell('', '');
             status_td.style.textAlign = 'center';
+            status_td.appendChild(create_select_checkbox(item.uuid, 'timeline', title));
             const status_small = document.createElement('small');
             status_small.appendChild(create_status_button(item.uuid, item.is_published));
             status_td.appendChild(status_small);
@@ -1047,26 +1074,27 @@ const itemsListDisplayModule = (function() {
             date_td.style.textAlign = 'center';
 
             if (item.date) {
-                // Use UTC accessors so a date-only ISO string (parsed as
-                // UTC midnight by `new Date(...)`) doesn't shift backwards
-                // on negative-UTC machines. The displayed/sort key here
-                // is a calendar date, not a localized time.
-                const item_date = new Date(item.date);
-                const year = item_date.getUTCFullYear();
-                const month = (item_date.getUTCMonth() + 1).toString().padStart(2, '0');
-                const day = item_date.getUTCDate().toString().padStart(2, '0');
-                const sort_date = `${year}-${month}-${day}`;
-
+                // item.date is the EDTF value as entered; older rows may still
+                // come back as an ISO date-time, so drop any time part
                 const date_small = document.createElement('small');
-                date_small.textContent = sort_date;
+                date_small.textContent = String(item.date).split('T')[0];
                 date_td.appendChild(date_small);
             }
 
+            // Sort on the first day the date covers; an interval open at the
+            // start sorts first and an undated or unparseable item last
+            if (item.date_start) {
+                date_td.setAttribute('data-order', String(item.date_start).split('T')[0]);
+            } else {
+                date_td.setAttribute('data-order', item.date_end ? '0000-00-00' : '9999-99-99');
+            }
+
             tr.appendChild(date_td);
 
             // Status cell
             const status_td = create_table_cell('', '');
             status_td.style.textAlign = 'center';
+            status_td.appendChild(create_select_checkbox(item.uuid, 'timeline_item', title));
             const status_small = document.createElement('small');
             status_small.appendChild(create_status_button(item.uuid, item.is_published));
             status_td.appendChild(status_small);
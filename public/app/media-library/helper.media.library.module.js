@@ -28,6 +28,7 @@ const helperMediaLibraryModule = (function() {
         BAD_REQUEST: 400,
         FORBIDDEN: 403,
         NOT_FOUND: 404,
+        CONFLICT: 409,
         INTERNAL_ERROR: 500
     });
 
@@ -552,6 +553,61 @@ const helperMediaLibraryModule = (function() {
         }, 150);
     };
 
+    // Where-used labels for media usage lists
+    const USAGE_TYPE_LABELS = Object.freeze({
+        exhibit: 'Exhibit',
+        item: 'Item',
+        grid_item: 'Grid item',
+        timeline_item: 'Timeline item'
+    });
+
+    const USAGE_ROLE_LABELS = Object.freeze({
+        hero_image: 'hero image',
+        thumbnail: 'thumbnail',
+        media: 'media'
+    });
+
+    const USAGE_STATUS_BADGES = Object.freeze({
+        live: ['badge-success', 'Live'],
+        deleted: ['badge-secondary', 'In recycle bin'],
+        exhibit_deleted: ['badge-secondary', 'Exhibit in recycle bin'],
+        container_deleted: ['badge-secondary', 'Grid/timeline in recycle bin']
+    });
+
+    /**
+     * Build the where-used list for a media record: every exhibit and item
+     * that references it, live ones first
+     * @param {Object} usage - Usage from the media usage endpoint ({exhibits, items})
+     * @returns {string} HTML list, or a "not used" note
+     */
+    obj.build_media_usage_html = (usage) => {
+        const refs = [].concat(
+            (usage?.exhibits || []).map((ref) => Object.assign({ type: 'exhibit' }, ref)),
+            usage?.items || []
+        ).sort((a, b) => (a.status === 'live' ? 0 : 1) - (b.status === 'live' ? 0 : 1));
+
+        if (refs.length === 0) {
+            return '<p class="text-muted mb-0">Not used in any exhibit or item.</p>';
+        }
+
+        return '<ul class="list-unstyled mb-0 media-usage-list">' + refs.map((ref) => {
+            const [badge_class, badge_label] = USAGE_STATUS_BADGES[ref.status] || USAGE_STATUS_BADGES.deleted;
+            const roles = (ref.roles || []).map((role) => USAGE_ROLE_LABELS[role] || role).join(', ');
+            const title = obj.strip_html(ref.title) || 'Untitled';
+            let detail = (USAGE_TYPE_LABELS[ref.type] || ref.type) + (roles ? ' (' + roles + ')' : '');
+
+            if (ref.type !== 'exhibit') {
+                detail += ' in ' + (ref.exhibit_title ? '"' + obj.strip_html(ref.exhibit_title) + '"' : 'a removed exhibit');
+            }
+
+            return '<li class="mb-1">' +
+                '<span class="badge ' + badge_class + '" style="margin-right: 6px;">' + obj.escape_html(badge_label) + '</span>' +
+                '<strong>' + obj.escape_html(title) + '</strong> ' +
+                '<span class="text-muted">— ' + obj.escape_html(detail) + '</span>' +
+                '</li>';
+        }).join('') + '</ul>';
+    };
+
     return obj;
 
 }());
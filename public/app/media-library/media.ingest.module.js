@@ -0,0 +1,287 @@
+/**
+
+ Copyright 2026 University of Denver
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+
+ */
+
+const mediaIngestModule = (function () {
+
+    'use strict';
+
+    const MEDIA_ENDPOINTS = endpointsModule.get_media_library_endpoints();
+
+    // How often a queued/running job is re-read
+    const POLL_INTERVAL = 2000;
+
+    const STATUS_LABELS = {
+        queued: 'Queued',
+        running: 'Running',
+        completed: 'Completed',
+        failed: 'Failed'
+    };
+
+    const RESULT_LABELS = {
+        created: 'Added',
+        duplicate: 'Already in library',
+        failed: 'Failed',
+        missing: 'Not in archive'
+    };
+
+    let obj = {};
+    let poll_timer = null;
+
+    function el(id) {
+        return document.getElementById(id);
+    }
+
+    function set_message(type, message) {
+        domModule.set_alert(el('batch-ingest-message'), type, message);
+    }
+
+    function is_active(job) {
+        return job.status === 'queued' || job.status === 'running';
+    }
+
+    function update_button() {
+        const input = el('batch-ingest-archive');
+        const button = el('batch-ingest-btn');
+
+        if (button) {
+            button.disabled = !(input && input.files && input.files.length);
+        }
+    }
+
+    async function request(method, url, data) {
+
+        const token = authModule.get_user_token();
+
+        if (token === false) {
+            return;
+        }
+
+        return httpModule.req({
+            method,
+            url,
+            data,
+            headers: {
+                'x-access-token': token
+            },
+            validateStatus: (status) => status >= 200 && status < 600
+        });
+    }
+
+    /**
+     * One line summing up a job's progress
+     * @param {Object} job - Ingest job
+     * @returns {string}
+     */
+    function summarize(job) {
+
+        let summary = `${job.processed} of ${job.total} file(s) processed: ${job.created_count} added, ` +
+            `${job.duplicate_count} already in the library, ${job.failed_count} failed.`;
+
+        if (job.error) {
+            summary += ` ${job.error}`;
+        }
+
+        return summary;
+    }
+
+    function render_results(results) {
+
+        const body = el('batch-ingest-results');
+
+        if (!body) {
+            return;
+        }
+
+        body.textContent = '';
+
+        (results || []).forEach((result) => {
+
+            const row = document.createElement('tr');
+            const cells = [
+                result.file,
+                RESULT_LABELS[result.status] || result.status,
+                result.message || ''
+            ];
+
+            cells.forEach((value) => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            if (result.status === 'failed' || result.status === 'missing') {
+                row.classList.add('table-danger');
+            } else if (result.status === 'duplicate') {
+                row.classList.add('table-warning');
+            }
+
+            body.appendChild(row);
+        });
+    }
+
+    function render_job(job) {
+
+        const percent = job.total > 0 ? Math.round((job.processed / job.total) * 100) : 0;
+        const progress = el('batch-ingest-progress');
+
+        domModule.set_text('#batch-ingest-job-title', `${job.archive_name} — ${STATUS_LABELS[job.status] || job.status}`);
+        domModule.set_text('#batch-ingest-summary', summarize(job));
+
+        if (progress) {
+            progress.style.width = `${percent}%`;
+            progress.setAttribute('aria-valuenow', String(percent));
+            progress.textContent = `${percent}%`;
+            progress.classList.toggle('progress-bar-striped', is_active(job));
+            progress.classList.toggle('progress-bar-animated', is_active(job));
+            progress.classList.toggle('bg-danger', job.status === 'failed');
+        }
+
+        if (Array.isArray(job.results)) {
+            render_results(job.results);
+        }
+
+        el('batch-ingest-job').style.display = '';
+    }
+
+    async function poll(job_id) {
+
+        clearTimeout(poll_timer);
+
+        const response = await request('GET', MEDIA_ENDPOINTS.media_ingest_job.get.endpoint.replace(':job_id', encodeURIComponent(job_id)));
+
+        if (!response || response.status !== 200) {
+            set_message('danger', response?.data?.message || 'Unable to get ingest progress.');
+            return;
+        }
+
+        const job = response.data.data;
+
+        render_job(job);
+
+        if (is_active(job)) {
+            poll_timer = setTimeout(() => poll(job_id), POLL_INTERVAL);
+            return;
+        }
+
+        await load_history();
+
+        if (job.created_count > 0 && typeof mediaLibraryModule !== 'undefined') {
+            await mediaLibraryModule.display_media_records();
+        }
+    }
+
+    async function load_history() {
+
+        const response = await request('GET', MEDIA_ENDPOINTS.media_ingest.get.endpoint);
+        const list = el('batch-ingest-jobs');
+
+        if (!response || response.status !== 200 || !list) {
+            return [];
+        }
+
+        const jobs = response.data.data || [];
+
+        list.textContent = '';
+
+        jobs.forEach((job) => {
+
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+
+            button.type = 'button';
+            button.className = 'btn btn-link btn-sm p-0';
+            button.textContent = job.archive_name;
+            button.addEventListener('click', () => poll(job.uuid));
+
+            item.appendChild(button);
+            item.appendChild(document.createTextNode(
+                ` — ${STATUS_LABELS[job.status] || job.status}, ${helperModule.format_date(new Date(job.created))}: ${summarize(job)}`
+            ));
+            list.appendChild(item);
+        });
+
+        el('batch-ingest-history').style.display = jobs.length > 0 ? '' : 'none';
+
+        return jobs;
+    }
+
+    async function start_ingest() {
+
+        const archive = el('batch-ingest-archive');
+        const manifest = el('batch-ingest-manifest');
+        const button = el('batch-ingest-btn');
+
+        if (!archive || !archive.files || !archive.files.length) {
+            return;
+        }
+
+        const form_data = new FormData();
+        form_data.append('archive', archive.files[0]);
+
+        if (manifest && manifest.files && manifest.files.length) {
+            form_data.append('manifest', manifest.files[0]);
+        }
+
+        button.disabled = true;
+        set_message('info', 'Uploading archive…');
+
+        try {
+
+            const response = await request('POST', MEDIA_ENDPOINTS.media_ingest.post.endpoint, form_data);
+
+            if (response !== undefined && response.status === 202) {
+                domModule.empty(el('batch-ingest-message'));
+                el('batch-ingest-form').reset();
+                render_job(response.data.data);
+                await poll(response.data.data.uuid);
+            } else if (response !== undefined && response.status === 403) {
+                set_message('danger', 'You do not have permission to add media.');
+            } else {
+                set_message('danger', response?.data?.message || 'Unable to start ingest.');
+            }
+
+        } catch (error) {
+            set_message('danger', 'Unable to start ingest.');
+        } finally {
+            update_button();
+        }
+    }
+
+    /**
+     * Media library page: wires the Batch Ingest tab and resumes showing the
+     * user's latest job if it is still running
+     */
+    obj.init = async function () {
+
+        if (!el('batch-ingest-form')) {
+            return;
+        }
+
+        domModule.on('#batch-ingest-archive', 'change', update_button);
+        domModule.on('#batch-ingest-btn', 'click', start_ingest);
+
+        const jobs = await load_history();
+
+        if (jobs.length > 0 && is_active(jobs[0])) {
+            await poll(jobs[0].uuid);
+        }
+    };
+
+    return obj;
+
+}());
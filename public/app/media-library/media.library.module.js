@@ -367,6 +367,46 @@ const mediaLibraryModule = (function() {
         }
     };
 
+    /**
+     * Get the exhibits and items that use a media record, recycled ones included
+     * @param {string} uuid - Media record UUID
+     * @returns {Promise<Object|null>} Usage ({exhibits, items, live_count, total_count}), or null on failure
+     */
+    obj.get_media_usage = async function(uuid) {
+
+        try {
+
+            const MEDIA_ENDPOINTS = get_media_library_endpoints();
+            const token = authModule.get_user_token();
+
+            if (!uuid || !MEDIA_ENDPOINTS?.media_usage?.get?.endpoint || !token || token === false) {
+                return null;
+            }
+
+            const response = await httpModule.req({
+                method: 'GET',
+                url: MEDIA_ENDPOINTS.media_usage.get.endpoint.replace(':media_id', uuid),
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-access-token': token
+                },
+                timeout: 30000,
+                validateStatus: (status) => status >= 200 && status < 600
+            });
+
+            if (response?.status === HTTP_STATUS.OK && response.data?.success) {
+                return response.data.data;
+            }
+
+            console.error('Failed to get media usage:', response?.data?.message);
+            return null;
+
+        } catch (error) {
+            console.error('Error getting media usage:', error);
+            return null;
+        }
+    };
+
     /**
      * Handle edit button click
      * @param {string} uuid - Media record UUID
@@ -435,6 +435,8 @@ const mediaUploadsModule = (function() {
                     thumbnail_path: thumbnail_path || '',
                     media_width: uploaded_file.media_width || null,
                     media_height: uploaded_file.media_height || null,
+                    content_hash: uploaded_file.content_hash || null,
+                    perceptual_hash: uploaded_file.perceptual_hash || null,
                     metadata: uploaded_file.metadata || null,
                     uploaded_at: uploaded_file.uploaded_at || new Date().toISOString()
                 });
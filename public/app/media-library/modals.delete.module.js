@@ -37,6 +37,9 @@ const mediaDeleteModalModule = (function() {
     // tight double-click before the first response lands would hit
     // the cloned button and fire a second DELETE.
     let is_deleting = false;
+    // Set once the server has refused the delete because live exhibits or
+    // items still use the media; the next confirm deletes anyway
+    let force_delete = false;
 
     let obj = {};
 
@@ -70,6 +73,18 @@ const mediaDeleteModalModule = (function() {
         }
     };
 
+    /**
+     * Show (or clear, with null) the exhibits and items still using the media
+     * @param {Object|null} usage - Usage returned with a 409 delete response
+     */
+    const display_delete_usage = (usage) => {
+        const usage_container = document.getElementById('delete-media-usage');
+        if (!usage_container) return;
+
+        usage_container.innerHTML = usage ? helperMediaLibraryModule.build_media_usage_html(usage) : '';
+        usage_container.style.display = usage ? '' : 'none';
+    };
+
     /**
      * Close the delete media modal
      */
@@ -83,6 +98,7 @@ const mediaDeleteModalModule = (function() {
         current_delete_uuid = null;
         current_delete_name = null;
         delete_modal_callback = null;
+        force_delete = false;
     };
 
     /**
@@ -127,7 +143,8 @@ const mediaDeleteModalModule = (function() {
             }
 
             // Construct endpoint with media_id
-            const endpoint = EXHIBITS_ENDPOINTS.media_records.delete.endpoint.replace(':media_id', uuid);
+            const endpoint = EXHIBITS_ENDPOINTS.media_records.delete.endpoint.replace(':media_id', uuid) +
+                (force_delete ? '?force=true' : '');
 
             // Make API request
             const response = await httpModule.req({
@@ -159,6 +176,14 @@ const mediaDeleteModalModule = (function() {
                 return;
             }
 
+            // Handle 409 Conflict — still used by live exhibits or items
+            if (response.status === HTTP_STATUS.CONFLICT) {
+                force_delete = true;
+                display_delete_modal_message('warning', response.data?.message || 'This media is still in use.');
+                display_delete_usage(response.data?.data?.usage || null);
+                return;
+            }
+
             // Handle success
             if (response.status === HTTP_STATUS.OK && response.data?.success) {
                 // Store callback reference before closing modal (close_delete_modal nullifies it)
@@ -188,7 +213,8 @@ const mediaDeleteModalModule = (function() {
             // Re-enable confirm button
             if (confirm_btn) {
                 confirm_btn.disabled = false;
-                confirm_btn.innerHTML = '<i class="fa fa-trash" style="margin-right: 6px;"></i>Delete';
+                confirm_btn.innerHTML = '<i class="fa fa-trash" style="margin-right: 6px;"></i>' +
+                    (force_delete ? 'Delete Anyway' : 'Delete');
             }
         }
     };
@@ -253,6 +279,13 @@ const mediaDeleteModalModule = (function() {
 
         // Clear previous messages
         clear_delete_modal_message();
+        display_delete_usage(null);
+        force_delete = false;
+
+        const confirm_btn = document.getElementById('delete-media-confirm-btn');
+        if (confirm_btn) {
+            confirm_btn.innerHTML = '<i class="fa fa-trash" style="margin-right: 6px;"></i>Delete';
+        }
 
         // Update modal content
         const name_el = document.getElementById('delete-media-name');
@@ -63,6 +63,14 @@ const mediaEditModalModule = (function() {
     // Edit modal state
     let edit_modal_callback = null;
     let current_edit_uuid = null;
+    // In-flight guard for a file replacement upload
+    let is_replacing = false;
+
+    // Replacement files the picker offers, by the media type being replaced
+    const REPLACE_ACCEPT = {
+        image: 'image/jpeg,image/png,image/gif,image/webp,.jpg,.jpeg,.png,.gif,.webp',
+        pdf: 'application/pdf,.pdf'
+    };
 
     let obj = {};
 
@@ -186,6 +194,65 @@ const mediaEditModalModule = (function() {
         }
     };
 
+    /**
+     * Replace the file of an uploaded media record, keeping its UUID
+     * @param {string} uuid - Media record UUID
+     * @param {File} file - Replacement image or PDF
+     * @returns {Promise<Object>} Result object with success status, record and archived version
+     */
+    obj.replace_media_file = async function(uuid, file) {
+
+        try {
+
+            if (!EXHIBITS_ENDPOINTS?.media_replace?.post?.endpoint) {
+                return { success: false, message: 'Replace endpoint not configured' };
+            }
+
+            const token = authModule.get_user_token();
+
+            if (!token || token === false) {
+                return { success: false, message: 'Session expired. Please log in again.' };
+            }
+
+            const form_data = new FormData();
+            form_data.append('file', file);
+
+            const response = await httpModule.req({
+                method: 'POST',
+                url: EXHIBITS_ENDPOINTS.media_replace.post.endpoint.replace(':media_id', uuid),
+                data: form_data,
+                headers: {
+                    'x-access-token': token
+                },
+                timeout: 300000,
+                validateStatus: (status) => status >= 200 && status < 600
+            });
+
+            if (!response) {
+                return { success: false, message: 'Unable to replace the file. Please check your connection and try again.' };
+            }
+
+            if (response.status === HTTP_STATUS.FORBIDDEN) {
+                return { success: false, message: response.data?.message || 'You do not have permission to update this media record.' };
+            }
+
+            if (response.status === HTTP_STATUS.OK && response.data?.success) {
+                return {
+                    success: true,
+                    message: response.data.message,
+                    record: response.data.data?.record || null,
+                    version: response.data.data?.version || null
+                };
+            }
+
+            return { success: false, message: response.data?.message || 'Failed to replace the file' };
+
+        } catch (error) {
+            console.error('Error replacing media file:', error);
+            return { success: false, message: 'An unexpected error occurred while replacing the file.' };
+        }
+    };
+
     // ========================================
     // EDIT MODAL FUNCTIONS
     // ========================================
@@ -403,15 +470,124 @@ const mediaEditModalModule = (function() {
         html += '</div></div>';
         html += '</div>'; // close Subjects group
 
+        // Embedded metadata (EXIF/GPS) privacy override — uploaded files only.
+        // Empty follows the site policy, which strips by default.
+        if (record.ingest_method === 'upload' && REPLACE_ACCEPT[media_type]) {
+            const exif_privacy = record.exif_privacy || '';
+            const exif_option = function (value, label) {
+                return '<option value="' + value + '"' + (exif_privacy === value ? ' selected' : '') + '>' + label + '</option>';
+            };
+            html += '<div class="row">';
+            html += '<div class="col-12 mb-3">';
+            html += '<label class="form-label" for="edit-file-exif-privacy">Embedded Metadata</label>';
+            html += '<select class="form-control form-select custom-select" id="edit-file-exif-privacy" name="exif_privacy" aria-describedby="edit-file-exif-privacy-help">';
+            html += exif_option('', 'Site policy');
+            html += exif_option('strip', 'Remove location and personal details');
+            html += exif_option('retain', 'Publish all embedded metadata');
+            html += '</select>';
+            html += '<small id="edit-file-exif-privacy-help" class="form-text text-muted">Controls the EXIF/GPS details in the public file and IIIF manifest. Removing them keeps the capture date, dimensions and color profile.</small>';
+            html += '</div></div>';
+        }
+
         // Hidden fields
         html += '<input type="hidden" id="edit-file-uuid" name="uuid" value="' + escape_html(record.uuid || '') + '">';
         
         html += '</form></div>';
         html += '</div>';
 
+        // Where-used panel — filled in by load_media_usage once the form is shown
+        html += '<div class="edit-media-usage mt-3" style="border-top: 1px solid #dee2e6; padding-top: 0.75rem;">';
+        html += '<h6 class="mb-2"><i class="fa fa-sitemap" style="margin-right: 6px;" aria-hidden="true"></i>Where Used</h6>';
+        html += '<div id="edit-media-usage" class="small" aria-live="polite"><span class="text-muted">Loading...</span></div>';
+        html += '</div>';
+
+        // Replace file panel — uploaded images and PDFs only
+        if (record.ingest_method === 'upload' && REPLACE_ACCEPT[media_type]) {
+            html += '<div class="edit-media-replace mt-3" style="border-top: 1px solid #dee2e6; padding-top: 0.75rem;">';
+            html += '<h6 class="mb-2"><i class="fa fa-refresh" style="margin-right: 6px;" aria-hidden="true"></i>Replace File</h6>';
+            html += '<p class="small text-muted mb-2">Upload a new ' + (is_pdf ? 'PDF' : 'image') + ' for this record. Exhibits and items using it show the new file right away; the current file is kept as a prior version.</p>';
+            html += '<div class="input-group input-group-sm">';
+            html += '<input type="file" class="form-control" id="edit-media-replace-file" accept="' + REPLACE_ACCEPT[media_type] + '" aria-label="Replacement file">';
+            html += '<button type="button" class="btn btn-outline-primary" id="edit-media-replace-btn" disabled><i class="fa fa-upload" style="margin-right: 6px;" aria-hidden="true"></i>Replace</button>';
+            html += '</div>';
+            html += '</div>';
+        }
+
         return html;
     };
 
+    /**
+     * Load and show the exhibits and items that use the media being edited
+     * @param {string} uuid - Media record UUID
+     */
+    const load_media_usage = async (uuid) => {
+        const usage = await mediaLibraryModule.get_media_usage(uuid);
+        const usage_container = document.getElementById('edit-media-usage');
+
+        // The modal may have moved on to another record while loading
+        if (!usage_container || current_edit_uuid !== uuid) return;
+
+        usage_container.innerHTML = usage
+            ? helperMediaLibraryModule.build_media_usage_html(usage)
+            : '<span class="text-muted">Unable to load where this media is used.</span>';
+    };
+
+    /**
+     * Upload the chosen replacement file and refresh the preview
+     */
+    const handle_replace_file = async () => {
+
+        if (is_replacing) {
+            return;
+        }
+
+        const input = document.getElementById('edit-media-replace-file');
+        const replace_btn = document.getElementById('edit-media-replace-btn');
+        const uuid = current_edit_uuid;
+
+        if (!uuid || !input || !input.files || !input.files.length) {
+            return;
+        }
+
+        is_replacing = true;
+        clear_edit_modal_message();
+
+        if (replace_btn) {
+            replace_btn.disabled = true;
+            replace_btn.innerHTML = '<i class="fa fa-spinner fa-spin" style="margin-right: 6px;"></i>Replacing...';
+        }
+
+        try {
+            const result = await obj.replace_media_file(uuid, input.files[0]);
+
+            // The modal may have moved on to another record while uploading
+            if (current_edit_uuid !== uuid) return;
+
+            if (!result.success) {
+                display_edit_modal_message('danger', result.message);
+                return;
+            }
+
+            input.value = '';
+            display_edit_modal_message('success', 'File replaced.' +
+                (result.version ? ' The previous file was kept as version ' + result.version + '.' : ''));
+
+            // Same URL, new file: bypass the browser's cached copy
+            const preview_img = document.querySelector('#edit-media-form-container .edit-preview img');
+            if (preview_img && preview_img.src) {
+                preview_img.src = preview_img.src.replace(/&v=\d+$/, '') + '&v=' + Date.now();
+            }
+
+        } finally {
+            is_replacing = false;
+
+            if (replace_btn) {
+                replace_btn.disabled = !(input && input.files && input.files.length);
+                replace_btn.innerHTML = '<i class="fa fa-upload" style="margin-right: 6px;" aria-hidden="true"></i>Replace';
+            }
+        }
+    };
+
     /**
      * Handle edit form submission
      */
@@ -527,6 +703,16 @@ const mediaEditModalModule = (function() {
             cancel_btn.parentNode.replaceChild(new_cancel_btn, cancel_btn);
             new_cancel_btn.addEventListener('click', close_edit_modal);
         }
+
+        // Replace file controls (rebuilt with the form, so no cloning needed)
+        const replace_input = document.getElementById('edit-media-replace-file');
+        const replace_btn = document.getElementById('edit-media-replace-btn');
+        if (replace_input && replace_btn) {
+            replace_input.addEventListener('change', () => {
+                replace_btn.disabled = is_replacing || !replace_input.files.length;
+            });
+            replace_btn.addEventListener('click', handle_replace_file);
+        }
     };
 
     /**
@@ -621,6 +807,8 @@ const mediaEditModalModule = (function() {
         // Setup event handlers
         setup_edit_modal_handlers();
 
+        load_media_usage(uuid);
+
         // Re-enable save button
         const save_btn = document.getElementById('edit-media-save-btn');
         if (save_btn) {
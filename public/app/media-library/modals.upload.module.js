@@ -657,6 +657,69 @@ const mediaModalsModule = (function() {
         });
     };
 
+    /**
+     * Build the warning text for files already in the library
+     * @param {Array} matches - Matches from the similar-media check, most similar first
+     * @returns {string} Warning message
+     */
+    const build_similar_media_message = (matches) => {
+        const best = matches[0];
+        const label = best.match === 'exact'
+            ? 'identical file'
+            : Math.round(best.similarity * 100) + '% similar';
+        const others = matches.length > 1
+            ? ' and ' + (matches.length - 1) + ' other' + (matches.length > 2 ? 's' : '')
+            : '';
+
+        return 'Possible duplicate of "' + decode_html_entities(best.name || best.original_filename || best.uuid) +
+            '" (' + label + ')' + others + ' already in the media library. Save only if this is a different item.';
+    };
+
+    /**
+     * Warn on a file's card when the library already holds the same file or a
+     * near-identical image, using the hashes returned by the upload
+     * @param {string} endpoint - Similar-media check endpoint
+     * @param {string} token - Session token
+     * @param {Object} file_data - Uploaded file data
+     * @param {number} index - File index
+     */
+    const check_similar_media = async (endpoint, token, file_data, index) => {
+
+        if (!file_data.content_hash && !file_data.perceptual_hash) return;
+
+        const params = new URLSearchParams();
+        if (file_data.content_hash) params.set('content_hash', file_data.content_hash);
+        if (file_data.perceptual_hash) params.set('perceptual_hash', file_data.perceptual_hash);
+
+        try {
+            const response = await httpModule.req({
+                method: 'GET',
+                url: endpoint + '?' + params.toString(),
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-access-token': token
+                },
+                validateStatus: (status) => status >= 200 && status < 600
+            });
+
+            const matches = response?.data?.data?.matches;
+
+            if (!response || response.status !== HTTP_STATUS.OK || !Array.isArray(matches) || matches.length === 0) {
+                return;
+            }
+
+            const card = document.querySelector('.file-form-card[data-file-index="' + index + '"]');
+
+            if (card && !removed_indices.has(index)) {
+                display_card_message(card, 'warning', build_similar_media_message(matches));
+            }
+
+        } catch (error) {
+            // Advisory only — the file can still be saved
+            console.warn('Similar media check failed for ' + (file_data.original_name || file_data.filename) + ':', error);
+        }
+    };
+
     /**
      * Populate the modal with individual forms for each uploaded file
      */
@@ -706,6 +769,16 @@ const mediaModalsModule = (function() {
         // Update status
         update_modal_status();
 
+        // Flag files the library already has (runs in the background)
+        const similar_endpoint = EXHIBITS_ENDPOINTS?.media_similar_check?.get?.endpoint;
+        const token = authModule.get_user_token();
+
+        if (similar_endpoint && token) {
+            uploaded_files_data.forEach((file_data, index) => {
+                check_similar_media(similar_endpoint, token, file_data, index);
+            });
+        }
+
         // Store all filenames in hidden field
         const all_files_input = document.getElementById('modal-all-files');
         if (all_files_input) {
@@ -319,6 +319,8 @@ const itemsAddVerticalTimelineItemFormModule = (function () {
                 }, 900);
             } else if (response === undefined) {
                 domModule.set_alert(document.querySelector('#message'), 'danger', 'You do not have permission to add item to this exhibit.');
+            } else if (response.status === 400 && response.data?.message) {
+                domModule.set_alert(document.querySelector('#message'), 'warning', response.data.message);
             }
 
         } catch (error) {
@@ -488,27 +488,17 @@ const itemsCommonVerticalTimelineItemFormModule = (function () {
             // Get item metadata
             item.title = get_element_value('#item-title-input');
             item.text = get_element_value('#item-text-input');
-            item.date = get_element_value('input[type="date"]');
+            item.date = get_element_value('#item-date-input');
 
-            // Validate required date field
-            if (!item.date || item.date.length === 0) {
+            // Validate required date field. The value is EDTF (1920, 1920-05,
+            // 1920~, 1861/1865, ...) and the server checks it, so anything
+            // beyond presence is reported from the save response.
+            if (!item.date || item.date.trim().length === 0) {
                 show_error('Please enter a timeline date', '#item-date-input');
                 return false;
             }
 
-            // Validate date format (YYYY-MM-DD)
-            const date_pattern = /^\d{4}-\d{2}-\d{2}$/;
-            if (!date_pattern.test(item.date)) {
-                show_error('Please enter a valid date format (YYYY-MM-DD)', '#item-date-input');
-                return false;
-            }
-
-            // Validate date is a real date
-            const date_obj = new Date(item.date);
-            if (isNaN(date_obj.getTime())) {
-                show_error('Please enter a valid date', '#item-date-input');
-                return false;
-            }
+            item.date = item.date.trim();
 
             // Handle media-specific logic
             if (is_media_path) {
@@ -715,6 +715,12 @@ const itemsEditVerticalTimelineItemFormModule = (function () {
                 timeout: 30000
             });
 
+            // The server reports a date it cannot read as EDTF with a 400
+            if (response?.status === 400 && response.data?.message) {
+                display_message(message_element, 'warning', response.data.message);
+                return false;
+            }
+
             // Validate response
             if (!response || response.status !== 201) {
                 throw new Error('Failed to update timeline item record');
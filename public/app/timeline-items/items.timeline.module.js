@@ -377,6 +377,7 @@ const itemsTimelineModule = (function () {
             // Bind event listeners
             bind_publish_timeline_item_events();
             bind_suppress_timeline_item_events();
+            bind_order_by_date_event();
 
             // Show card and title after initialization
             show_timeline_content(elements);
@@ -685,6 +686,67 @@ const itemsTimelineModule = (function () {
         }
     }
 
+    /**
+     * Renumbers the timeline's items in date order, so the published timeline
+     * shows them chronologically (this list is already sorted by date)
+     * @param {HTMLButtonElement} button - The Order by Date button
+     */
+    async function order_timeline_items_by_date(button) {
+
+        const message = document.querySelector('#message');
+
+        try {
+
+            button.disabled = true;
+
+            const exhibit_id = helperModule.get_parameter_by_name('exhibit_id');
+            const timeline_id = helperModule.get_parameter_by_name('timeline_id');
+            const EXHIBITS_ENDPOINTS = endpointsModule.get_exhibits_endpoints();
+            const endpoint = EXHIBITS_ENDPOINTS.exhibits.timeline_item_records.timeline_item_date_order.post.endpoint
+                .replace(':exhibit_id', exhibit_id)
+                .replace(':timeline_id', timeline_id);
+            const token = authModule.get_user_token();
+            const response = await httpModule.req({
+                method: 'POST',
+                url: endpoint,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-access-token': token
+                }
+            });
+
+            scrollTo(0, 0);
+
+            if (response !== undefined && response.status === 200) {
+                const changed = response.data?.data?.changed ?? 0;
+                domModule.set_alert(message, 'success', changed > 0
+                    ? `Timeline items put in date order (${changed} moved).`
+                    : 'Timeline items are already in date order.');
+            } else {
+                domModule.set_alert(message, 'danger', 'Unable to order timeline items by date.');
+            }
+
+        } catch (error) {
+            domModule.set_alert(message, 'danger', error.message);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    function bind_order_by_date_event() {
+
+        const button = document.querySelector('#order-by-date');
+
+        if (button === null) {
+            return;
+        }
+
+        button.addEventListener('click', async (event) => {
+            event.preventDefault();
+            await order_timeline_items_by_date(button);
+        });
+    }
+
     function bind_suppress_timeline_item_events() {
 
         try {
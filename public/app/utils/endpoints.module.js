@@ -15,7 +15,27 @@ const endpointsModule = (function() {
     // so the new registry is refetched. History:
     //   '1' — baseline
     //   '2' — added media_library.upload.get / upload.delete
-    const ENDPOINTS_REGISTRY_VERSION = '2';
+    //   '3' — added exhibits.revision_records / revision_record / revision_restore
+    //   '4' — added exhibits.exhibit_transfer
+    //   '5' — added exhibits.exhibit_export / exhibit_import
+    //   '6' — added exhibits.exhibit_clone
+    //   '7' — added exhibits.exhibit_schedule / item_schedule / scheduled_transitions
+    //   '8' — added exhibits.exhibit_review / exhibit_review_submit / exhibit_review_approve / exhibit_review_request_changes
+    //   '9' — added exhibits.exhibit_accessibility
+    //   '10' — added exhibits.bulk_records
+    //   '11' — added exhibits.move_record
+    //   '12' — added media_library.iiif_exhibit_manifest
+    //   '13' — added media_library.iiif_search
+    //   '14' — added media_library.media_ingest / media_ingest_job
+    //   '15' — added media_library.media_similar_check
+    //   '16' — added media_library.media_usage
+    //   '17' — added media_library.media_replace / media_versions
+    //   '18' — added media_library.media_fixity / media_fixity_check
+    //   '19' — added indexer.index_rollback
+    //   '20' — added indexer.index_drift, indexer.index_drift_repair
+    //   '21' — added indexer.index_jobs, indexer.index_job_retry
+    //   '22' — added exhibits.timeline_item_records.timeline_item_date_order
+    const ENDPOINTS_REGISTRY_VERSION = '22';
     const ENDPOINTS_VERSION_KEY = 'exhibits_endpoints_version';
     // sessionStorage one-shot guard so a failed/no-op re-auth can't loop.
     const ENDPOINTS_REFRESH_GUARD = 'exhibits_endpoints_refresh_attempted';
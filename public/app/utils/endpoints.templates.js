@@ -7,4 +7,4 @@
  * at runtime by endpoints.module.js.
  */
 
-const ENDPOINT_TEMPLATES = Object.freeze(JSON.parse("{\"exhibits\":{\"exhibits\":{\"exhibit_records\":{\"description\":\"Gets all exhibit records\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits\",\"endpoints\":{\"get\":{\"description\":\"Retrieves exhibit record by id\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id\",\"params\":\"token or api_key, gets all records by exhibit via uuid param - ?type=details,edit,index,title\"},\"post\":{\"description\":\"Creates exhibit record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits\",\"params\":\"token or api_key\",\"body\":\"is_member_of_exhibit, record data\"},\"put\":{\"description\":\"Updates exhibit record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id\",\"params\":\"token or api_key, uuid\",\"body\":\"record data\"},\"delete\":{\"description\":\"Deletes exhibit record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id\",\"params\":\"token or api_key, uuid, delete_reason\"}}},\"exhibit_preview\":{\"get\":{\"description\":\"Previews exhibit\",\"endpoint\":\"__APP_PATH__/preview\",\"params\":\"token\"}},\"exhibit_shared\":{\"get\":{\"description\":\"Shares exhibit preview\",\"endpoint\":\"__APP_PATH__/shared\",\"params\":\"token\"}},\"exhibit_media_library\":{\"get\":{\"description\":\"Gets media library bindings for an exhibit\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/media-library\"},\"post\":{\"description\":\"Binds a media library asset to an exhibit\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/media-library\",\"body\":\"media_uuid, media_role (hero_image | thumbnail)\"},\"delete\":{\"description\":\"Removes a media library binding from an exhibit\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/media-library/:media_role\"}},\"exhibit_media\":{\"get\":{\"description\":\"Gets exhibit media\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/media/:media\"},\"delete\":{\"description\":\"Deletes exhibit media\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/media/:media\"}},\"item_media\":{\"get\":{\"description\":\"Gets item media\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/media/items/:media\"},\"delete\":{\"description\":\"Deletes item media\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/media/items/:item_id/:media\"}},\"media\":{\"get\":{\"description\":\"Gets media - hero and thumbnail images before they are part of an exhibit\",\"endpoint\":\"__APP_PATH__/media\"},\"delete\":{\"description\":\"Deletes media - hero and thumbnail images before they are part of an exhibit\",\"endpoint\":\"__APP_PATH__/media\"}},\"grid_records\":{\"get\":{\"description\":\"Retrieves all grid records by exhibit id and grid id\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/grids/:grid_id\",\"params\":\"token or api_key, exhibit_id, grid_id\"},\"post\":{\"description\":\"Creates grid record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/grids\",\"params\":\"token or api_key\",\"body\":\"is_member_of_exhibit, record data\"},\"put\":{\"description\":\"Updates grid record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/grids/:grid_id\",\"params\":\"token or api_key\",\"body\":\"is_member_of_exhibit, grid_id, record data\"}},\"grid_item_records\":{\"get\":{\"description\":\"Retrieves all grid item records by exhibit id and grid id\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/grids/:grid_id/items\",\"params\":\"token or api_key, gets all records by exhibit via uuid param\"},\"post\":{\"description\":\"Creates grid item record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/grids/:grid_id/items\",\"params\":\"token or api_key\",\"body\":\"is_member_of_exhibit, grid_id, record data\"},\"put\":{\"description\":\"Creates grid item record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/grids/:grid_id/items/:item_id\",\"params\":\"token or api_key\",\"body\":\"is_member_of_exhibit, grid_id, item_id, record data\"},\"delete\":{\"description\":\"Deletes grid item record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/grids/:grid_id/items/:item_id\",\"params\":\"token or api_key, uuid\"},\"grid_item_publish\":{\"post\":{\"description\":\"Publishes grid item\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/publish/:grid_id/item/:grid_item_id\"}},\"grid_item_suppress\":{\"post\":{\"description\":\"Suppresses grid item\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/suppress/:grid_id/item/:grid_item_id\"}}},\"grid_item_record\":{\"get\":{\"description\":\"Retrieves all grid item record by exhibit id and grid id\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/grids/:grid_id/items/:item_id\",\"params\":\"token or api_key, is_member_of_exhibit, grid_id, item_id\"}},\"item_records\":{\"description\":\"Gets all exhibit items\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/items\",\"get\":{\"description\":\"Retrieves all item records by exhibit\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/items/:item_id\",\"params\":\"token or api_key, gets all records by exhibit via uuid param\"},\"post\":{\"description\":\"Creates item record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/items\",\"params\":\"token or api_key\",\"body\":\"is_member_of_exhibit, record data\"},\"put\":{\"description\":\"Updates item record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/items/:item_id\",\"params\":\"token or api_key\",\"body\":\"record data\"},\"delete\":{\"description\":\"Deletes item record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/items/:item_id\",\"params\":\"token or api_key, uuid\"},\"item_publish\":{\"post\":{\"description\":\"Publishes item\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/publish/:item_id/item\"}},\"item_suppress\":{\"post\":{\"description\":\"Suppresses item\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/suppress/:item_id/item\"}}},\"heading_records\":{\"get\":{\"description\":\"Retrieves all heading record by exhibit\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/headings/:heading_id\",\"params\":\"token or api_key, gets all records by exhibit\"},\"post\":{\"description\":\"Creates heading record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/headings\",\"params\":\"token or api_key\",\"body\":\"record data\"},\"put\":{\"description\":\"Updates heading record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/headings/:heading_id\",\"params\":\"token or api_key\",\"body\":\"record data\"},\"delete\":{\"description\":\"Deletes heading record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/headings/:heading_id\",\"params\":\"token or api_key\"}},\"timeline_records\":{\"get\":{\"description\":\"Retrieves all timelines records by exhibit id and timeline id\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/timelines/:timeline_id\",\"params\":\"token or api_key, exhibit_id, timeline_id\"},\"post\":{\"description\":\"Creates timeline record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/timelines\",\"params\":\"token or api_key\",\"body\":\"is_member_of_exhibit, record data\"},\"put\":{\"description\":\"Updates timeline record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/timelines/:timeline_id\",\"params\":\"token or api_key\",\"body\":\"is_member_of_exhibit, timeline_id, record data\"},\"delete\":{\"description\":\"Deletes timeline record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/timelines/:timeline_id\",\"params\":\"token or api_key\"}},\"timeline_item_records\":{\"get\":{\"description\":\"Retrieves all timeline item records by exhibit id and timeline id\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/timelines/:timeline_id/items\",\"params\":\"token or api_key, gets all records by exhibit via uuid param\"},\"post\":{\"description\":\"Creates timeline item record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/timelines/:timeline_id/items\",\"params\":\"token or api_key\",\"body\":\"is_member_of_exhibit, grid_id, record data\"},\"put\":{\"description\":\"Creates timelines item record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/timelines/:timeline_id/items/:item_id\",\"params\":\"token or api_key\",\"body\":\"is_member_of_exhibit, grid_id, item_id, record data\"},\"delete\":{\"description\":\"Deletes timeline item record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/timelines/:timeline_id/items/:item_id\",\"params\":\"token or api_key, uuid\"},\"timeline_item_publish\":{\"post\":{\"description\":\"Publishes timeline item\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/timelines/publish/:timeline_id/item/:timeline_item_id\"}},\"timeline_item_suppress\":{\"post\":{\"description\":\"Suppresses timeline item\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/timelines/suppress/:timeline_id/item/:timeline_item_id\"}}},\"timeline_item_record\":{\"get\":{\"description\":\"Retrieves all timeline item record by exhibit id and timeline id\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/timelines/:timeline_id/items/:item_id\",\"params\":\"token or api_key, is_member_of_exhibit, timeline_id, item_id\"}},\"exhibit_publish\":{\"post\":{\"description\":\"Publishes exhibit\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/publish\"}},\"exhibit_suppress\":{\"post\":{\"description\":\"Suppresses exhibit\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/suppress\"}},\"exhibit_unlock_record\":{\"post\":{\"description\":\"Unlock exhibit record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/unlock\"}},\"heading_unlock_record\":{\"post\":{\"description\":\"Unlock heading record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/headings/:heading_id/unlock\"}},\"item_unlock_record\":{\"post\":{\"description\":\"Unlock standard item record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/items/:item_id/unlock\"}},\"grid_item_unlock_record\":{\"post\":{\"description\":\"Unlock grid item record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/grids/:grid_id/items/:item_id/unlock\"}},\"timeline_item_unlock_record\":{\"post\":{\"description\":\"Unlock timeline item record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/timelines/:timeline_id/items/:item_id\"}},\"reorder_records\":{\"post\":{\"description\":\"reorders items in exhibit\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/items/reorder\",\"params\":\"token or api_key\",\"body\":\"item array of objects\"}},\"token_verify\":{\"description\":\"Verifies token\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/verify\",\"header\":\"token\"},\"recycled_records\":{\"get\":{\"description\":\"Retrieves all records flagged as deleted\",\"endpoint\":\"__APP_PATH__/api/v1/recycle\",\"params\":\"token or api_key\"},\"delete\":{\"description\":\"Permanently deletes a record\",\"endpoint\":\"__APP_PATH__/api/v1/recycle/:exhibit_id/:uuid/:type\",\"params\":\"token or api_key\"},\"empty\":{\"description\":\"Permanently deletes all recycled records (empty bin)\",\"endpoint\":\"__APP_PATH__/api/v1/recycle/all\",\"params\":\"token or api_key\"},\"put\":{\"description\":\"Restores trashed record\",\"endpoint\":\"__APP_PATH__/api/v1/recycle/:exhibit_id/:uuid/:type\",\"params\":\"token or api_key\"}}}},\"users\":{\"users\":{\"endpoint\":\"__APP_PATH__/api/v1/users\",\"get_users\":{\"description\":\"Gets all user records\",\"get\":{\"description\":\"Gets user record(s)\",\"params\":\"id, all records returned if no id is included, token or api_key\"}},\"get_user\":{\"description\":\"Gets single user record\",\"endpoint\":\"__APP_PATH__/api/v1/users/:user_id\",\"params\":\"id \"},\"create_user\":{\"description\":\"Creates user record\",\"post\":{\"description\":\"Creates user record\",\"params\":\"token or api_key\",\"body\":\"du_id, email, first_name, last_name\"}},\"update_user\":{\"description\":\"Updates user record\",\"put\":{\"description\":\"Updates user record\",\"endpoint\":\"__APP_PATH__/api/v1/users/:user_id\",\"params\":\"token or api_key\",\"body\":\"id, du_id, email, first_name, last_name\"}},\"delete_user\":{\"description\":\"Deletes user\",\"delete\":{\"description\":\"Deletes user record\",\"endpoint\":\"__APP_PATH__/api/v1/users/:user_id\",\"params\":\"id, token or api_key\"}},\"user_status\":{\"description\":\"\",\"endpoint\":\"__APP_PATH__/api/v1/users/status/:id/:is_active\",\"params\":\"id, token, is_active\"}}},\"indexer\":{\"indexer\":{\"index_records\":{\"description\":\"Indexes all exhibit, heading, and item active records\",\"endpoint\":\"/api/v1/indexer\",\"endpoints\":{\"post\":{\"description\":\"indexes exhibit index record\",\"endpoint\":\"/api/v1/indexer/:uuid\",\"params\":\"token or api_key\"},\"get\":{\"description\":\"gets indexed record\",\"endpoint\":\"/api/v1/indexer/:uuid\",\"params\":\"token or api_key\"},\"delete\":{\"description\":\"Deletes exhibit indexed record\",\"endpoint\":\"/api/v1/indexer/:uuid\",\"params\":\"token or api_key\"}}},\"index_utils\":{\"post\":{\"description\":\"Creates search index\",\"endpoint\":\"__APP_PATH__/api/v1/indexer/manage\",\"params\":\"token or api_key\"},\"get\":{\"description\":\"Retrieves search index information\",\"endpoint\":\"__APP_PATH__/api/v1/indexer/manage\",\"params\":\"token or api_key\"}}}},\"media_library\":{\"media_records\":{\"get\":{\"description\":\"Retrieves all media records\",\"endpoint\":\"__APP_PATH__/api/v1/media/library\",\"params\":\"token or api_key, gets all media records\"},\"post\":{\"description\":\"Creates media record\",\"endpoint\":\"__APP_PATH__/api/v1/media/library\",\"params\":\"token or api_key\",\"body\":\"media data\"},\"put\":{\"description\":\"Updates media record\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/record/:media_id\",\"params\":\"token or api_key, media_id\",\"body\":\"media data\"},\"delete\":{\"description\":\"Deletes media record\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/record/:media_id\",\"params\":\"token or api_key, media_id\"}},\"media_record\":{\"get\":{\"description\":\"Retrieves a single media record by UUID\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/record/:media_id\",\"params\":\"token or api_key, media_id (UUID)\"}},\"upload\":{\"get\":{\"description\":\"Serves a staged (not-yet-saved) uploaded thumbnail by its storage-relative path\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/upload/thumbnail\",\"params\":\"token or api_key (query), path (relative thumbnail path, query)\"},\"delete\":{\"description\":\"Deletes an unprocessed (staged, not-yet-saved) uploaded file and its thumbnail from staging storage\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/upload\",\"params\":\"token or api_key\",\"body\":\"storage_path (required), thumbnail_path (optional)\"}},\"media_file\":{\"get\":{\"description\":\"Retrieves media file by UUID from hash-bucketed storage\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/file/:media_id\",\"params\":\"token or api_key, media_id (UUID)\"}},\"media_thumbnail\":{\"get\":{\"description\":\"Retrieves media thumbnail by UUID from hash-bucketed storage\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/thumbnail/:media_id\",\"params\":\"token or api_key, media_id (UUID)\"}},\"media_duplicate_check\":{\"get\":{\"description\":\"Checks if a media record already exists with the given identifier\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/duplicate-check\",\"params\":\"token or api_key, field (repo_uuid or kaltura_entry_id), value\"}},\"repo_media_search\":{\"get\":{\"description\":\"Searches digital repository records\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/repo/search\",\"params\":\"token or api_key, search term\"}},\"repo_thumbnail\":{\"get\":{\"description\":\"Gets digital repository thumbnail\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/repo/thumbnail\",\"params\":\"token or api_key, uuid\"}},\"repo_subjects\":{\"get\":{\"description\":\"Gets digital repository subjects grouped by type\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/repo/subjects\",\"params\":\"token or api_key, optional type query parameter (topical, geographic, genre_form)\"}},\"repo_resource_types\":{\"get\":{\"description\":\"Gets digital repository resource types\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/repo/resource-types\",\"params\":\"token or api_key, optional type query parameter\"}},\"kaltura_media\":{\"get\":{\"description\":\"Gets Kaltura media metadata by entry ID\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/kaltura/:entry_id\",\"params\":\"token or api_key, entry_id (path parameter)\"}},\"kaltura_config\":{\"get\":{\"description\":\"Gets Kaltura player configuration (partner_id, uiconf_id)\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/kaltura/config/player\",\"params\":\"token or api_key\"}},\"kaltura_category\":{\"post\":{\"description\":\"Assigns Kaltura media entry to exhibits category by entry ID\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/kaltura/:entry_id/category\",\"params\":\"token or api_key, entry_id (path parameter)\"},\"delete\":{\"description\":\"Removes Kaltura media entry from exhibits category by entry ID\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/kaltura/:entry_id/category\",\"params\":\"token or api_key, entry_id (path parameter)\"}},\"media_exhibits\":{\"put\":{\"description\":\"Adds or removes an exhibit UUID from a media record exhibits array\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/record/:media_id/exhibits\",\"params\":\"token or api_key, media_id (UUID)\",\"body\":\"{ exhibit_uuid, action: \\\"add\\\" | \\\"remove\\\" }\"}},\"iiif_manifest\":{\"get\":{\"description\":\"Gets IIIF Presentation 3.0 manifest for a media record\",\"endpoint\":\"__APP_PATH__/iiif/:media_id/manifest\",\"params\":\"token or api_key, media_id (UUID)\"}},\"iiif_info\":{\"get\":{\"description\":\"Gets IIIF Image API 3.0 info.json for a media record\",\"endpoint\":\"__APP_PATH__/iiif/:media_id/info.json\",\"params\":\"token or api_key, media_id (UUID)\"}},\"iiif_file\":{\"get\":{\"description\":\"Serves the original stored PDF for a media record (manifest \\\"rendering\\\" resource)\",\"endpoint\":\"__APP_PATH__/iiif/:media_id/file\",\"params\":\"media_id (UUID)\"}},\"iiif_image\":{\"get\":{\"description\":\"Serves image via IIIF Image API 3.0 (region/size/rotation/quality.format)\",\"endpoint\":\"__APP_PATH__/iiif/:media_id/:region/:size/:rotation/:quality_format\",\"params\":\"token or api_key, media_id (UUID), region, size, rotation, quality_format\"}}}}"));
+const ENDPOINT_TEMPLATES = Object.freeze(JSON.parse("{\"exhibits\":{\"exhibits\":{\"exhibit_records\":{\"description\":\"Gets all exhibit records\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits\",\"endpoints\":{\"get\":{\"description\":\"Retrieves exhibit record by id\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id\",\"params\":\"token or api_key, gets all records by exhibit via uuid param - ?type=details,edit,index,title\"},\"post\":{\"description\":\"Creates exhibit record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits\",\"params\":\"token or api_key\",\"body\":\"is_member_of_exhibit, record data\"},\"put\":{\"description\":\"Updates exhibit record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id\",\"params\":\"token or api_key, uuid\",\"body\":\"record data\"},\"delete\":{\"description\":\"Deletes exhibit record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id\",\"params\":\"token or api_key, uuid, delete_reason\"}}},\"exhibit_clone\":{\"post\":{\"description\":\"Clones an exhibit and all of its components as a new unpublished draft\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/clone\",\"params\":\"token or api_key\",\"body\":\"owner (user id of the cloning user), created_by\"}},\"exhibit_preview\":{\"get\":{\"description\":\"Previews exhibit\",\"endpoint\":\"__APP_PATH__/preview\",\"params\":\"token\"}},\"exhibit_shared\":{\"get\":{\"description\":\"Shares exhibit preview\",\"endpoint\":\"__APP_PATH__/shared\",\"params\":\"token\"}},\"exhibit_media_library\":{\"get\":{\"description\":\"Gets media library bindings for an exhibit\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/media-library\"},\"post\":{\"description\":\"Binds a media library asset to an exhibit\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/media-library\",\"body\":\"media_uuid, media_role (hero_image | thumbnail)\"},\"delete\":{\"description\":\"Removes a media library binding from an exhibit\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/media-library/:media_role\"}},\"exhibit_media\":{\"get\":{\"description\":\"Gets exhibit media\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/media/:media\"},\"delete\":{\"description\":\"Deletes exhibit media\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/media/:media\"}},\"item_media\":{\"get\":{\"description\":\"Gets item media\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/media/items/:media\"},\"delete\":{\"description\":\"Deletes item media\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/media/items/:item_id/:media\"}},\"media\":{\"get\":{\"description\":\"Gets media - hero and thumbnail images before they are part of an exhibit\",\"endpoint\":\"__APP_PATH__/media\"},\"delete\":{\"description\":\"Deletes media - hero and thumbnail images before they are part of an exhibit\",\"endpoint\":\"__APP_PATH__/media\"}},\"grid_records\":{\"get\":{\"description\":\"Retrieves all grid records by exhibit id and grid id\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/grids/:grid_id\",\"params\":\"token or api_key, exhibit_id, grid_id\"},\"post\":{\"description\":\"Creates grid record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/grids\",\"params\":\"token or api_key\",\"body\":\"is_member_of_exhibit, record data\"},\"put\":{\"description\":\"Updates grid record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/grids/:grid_id\",\"params\":\"token or api_key\",\"body\":\"is_member_of_exhibit, grid_id, record data\"}},\"grid_item_records\":{\"get\":{\"description\":\"Retrieves all grid item records by exhibit id and grid id\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/grids/:grid_id/items\",\"params\":\"token or api_key, gets all records by exhibit via uuid param\"},\"post\":{\"description\":\"Creates grid item record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/grids/:grid_id/items\",\"params\":\"token or api_key\",\"body\":\"is_member_of_exhibit, grid_id, record data\"},\"put\":{\"description\":\"Creates grid item record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/grids/:grid_id/items/:item_id\",\"params\":\"token or api_key\",\"body\":\"is_member_of_exhibit, grid_id, item_id, record data\"},\"delete\":{\"description\":\"Deletes grid item record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/grids/:grid_id/items/:item_id\",\"params\":\"token or api_key, uuid\"},\"grid_item_publish\":{\"post\":{\"description\":\"Publishes grid item\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/publish/:grid_id/item/:grid_item_id\"}},\"grid_item_suppress\":{\"post\":{\"description\":\"Suppresses grid item\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/suppress/:grid_id/item/:grid_item_id\"}}},\"grid_item_record\":{\"get\":{\"description\":\"Retrieves all grid item record by exhibit id and grid id\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/grids/:grid_id/items/:item_id\",\"params\":\"token or api_key, is_member_of_exhibit, grid_id, item_id\"}},\"item_records\":{\"description\":\"Gets all exhibit items\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/items\",\"get\":{\"description\":\"Retrieves all item records by exhibit\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/items/:item_id\",\"params\":\"token or api_key, gets all records by exhibit via uuid param\"},\"post\":{\"description\":\"Creates item record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/items\",\"params\":\"token or api_key\",\"body\":\"is_member_of_exhibit, record data\"},\"put\":{\"description\":\"Updates item record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/items/:item_id\",\"params\":\"token or api_key\",\"body\":\"record data\"},\"delete\":{\"description\":\"Deletes item record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/items/:item_id\",\"params\":\"token or api_key, uuid\"},\"item_publish\":{\"post\":{\"description\":\"Publishes item\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/publish/:item_id/item\"}},\"item_suppress\":{\"post\":{\"description\":\"Suppresses item\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/suppress/:item_id/item\"}}},\"heading_records\":{\"get\":{\"description\":\"Retrieves all heading record by exhibit\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/headings/:heading_id\",\"params\":\"token or api_key, gets all records by exhibit\"},\"post\":{\"description\":\"Creates heading record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/headings\",\"params\":\"token or api_key\",\"body\":\"record data\"},\"put\":{\"description\":\"Updates heading record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/headings/:heading_id\",\"params\":\"token or api_key\",\"body\":\"record data\"},\"delete\":{\"description\":\"Deletes heading record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/headings/:heading_id\",\"params\":\"token or api_key\"}},\"timeline_records\":{\"get\":{\"description\":\"Retrieves all timelines records by exhibit id and timeline id\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/timelines/:timeline_id\",\"params\":\"token or api_key, exhibit_id, timeline_id\"},\"post\":{\"description\":\"Creates timeline record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/timelines\",\"params\":\"token or api_key\",\"body\":\"is_member_of_exhibit, record data\"},\"put\":{\"description\":\"Updates timeline record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/timelines/:timeline_id\",\"params\":\"token or api_key\",\"body\":\"is_member_of_exhibit, timeline_id, record data\"},\"delete\":{\"description\":\"Deletes timeline record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/timelines/:timeline_id\",\"params\":\"token or api_key\"}},\"timeline_item_records\":{\"get\":{\"description\":\"Retrieves all timeline item records by exhibit id and timeline id\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/timelines/:timeline_id/items\",\"params\":\"token or api_key, gets all records by exhibit via uuid param\"},\"post\":{\"description\":\"Creates timeline item record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/timelines/:timeline_id/items\",\"params\":\"token or api_key\",\"body\":\"is_member_of_exhibit, grid_id, record data\"},\"put\":{\"description\":\"Creates timelines item record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/timelines/:timeline_id/items/:item_id\",\"params\":\"token or api_key\",\"body\":\"is_member_of_exhibit, grid_id, item_id, record data\"},\"delete\":{\"description\":\"Deletes timeline item record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/timelines/:timeline_id/items/:item_id\",\"params\":\"token or api_key, uuid\"},\"timeline_item_publish\":{\"post\":{\"description\":\"Publishes timeline item\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/timelines/publish/:timeline_id/item/:timeline_item_id\"}},\"timeline_item_suppress\":{\"post\":{\"description\":\"Suppresses timeline item\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/timelines/suppress/:timeline_id/item/:timeline_item_id\"}},\"timeline_item_date_order\":{\"post\":{\"description\":\"Orders timeline items chronologically by their EDTF dates\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/timelines/:timeline_id/order-by-date\",\"params\":\"token or api_key\"}}},\"timeline_item_record\":{\"get\":{\"description\":\"Retrieves all timeline item record by exhibit id and timeline id\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/timelines/:timeline_id/items/:item_id\",\"params\":\"token or api_key, is_member_of_exhibit, timeline_id, item_id\"}},\"exhibit_publish\":{\"post\":{\"description\":\"Publishes exhibit\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/publish\"}},\"exhibit_suppress\":{\"post\":{\"description\":\"Suppresses exhibit\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/suppress\"}},\"exhibit_transfer\":{\"post\":{\"description\":\"Transfers exhibit ownership to another user\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/transfer\",\"body\":\"owner (user id), cascade (optional boolean: also transfer components and media), updated_by\"}},\"exhibit_unlock_record\":{\"post\":{\"description\":\"Unlock exhibit record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/unlock\"}},\"heading_unlock_record\":{\"post\":{\"description\":\"Unlock heading record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/headings/:heading_id/unlock\"}},\"item_unlock_record\":{\"post\":{\"description\":\"Unlock standard item record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/items/:item_id/unlock\"}},\"grid_item_unlock_record\":{\"post\":{\"description\":\"Unlock grid item record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/grids/:grid_id/items/:item_id/unlock\"}},\"timeline_item_unlock_record\":{\"post\":{\"description\":\"Unlock timeline item record\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/timelines/:timeline_id/items/:item_id\"}},\"reorder_records\":{\"post\":{\"description\":\"reorders items in exhibit\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/items/reorder\",\"params\":\"token or api_key\",\"body\":\"item array of objects\"}},\"bulk_records\":{\"post\":{\"description\":\"publishes, suppresses or deletes selected items in exhibit\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/items/bulk\",\"params\":\"token or api_key\",\"body\":\"{action: publish|suppress|delete, records: [{type, uuid}]}\"}},\"move_record\":{\"post\":{\"description\":\"moves an item to another place in its exhibit or to another exhibit, converting between standard, grid and timeline items\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/items/move\",\"params\":\"token or api_key\",\"body\":\"{type, uuid, target_type: item|grid_item|timeline_item, target_exhibit_id (optional), target_container_id (grid or timeline), date (optional, timeline items)}\"}},\"token_verify\":{\"description\":\"Verifies token\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/verify\",\"header\":\"token\"},\"recycled_records\":{\"get\":{\"description\":\"Retrieves all records flagged as deleted\",\"endpoint\":\"__APP_PATH__/api/v1/recycle\",\"params\":\"token or api_key\"},\"delete\":{\"description\":\"Permanently deletes a record\",\"endpoint\":\"__APP_PATH__/api/v1/recycle/:exhibit_id/:uuid/:type\",\"params\":\"token or api_key\"},\"empty\":{\"description\":\"Permanently deletes all recycled records (empty bin)\",\"endpoint\":\"__APP_PATH__/api/v1/recycle/all\",\"params\":\"token or api_key\"},\"put\":{\"description\":\"Restores trashed record\",\"endpoint\":\"__APP_PATH__/api/v1/recycle/:exhibit_id/:uuid/:type\",\"params\":\"token or api_key\"}},\"revision_records\":{\"get\":{\"description\":\"Retrieves revision history for an exhibit and its components\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/revisions\",\"params\":\"token or api_key, optional record_id query param (single component)\"}},\"revision_record\":{\"get\":{\"description\":\"Retrieves a revision with its snapshot and the record's current state\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/revisions/:revision_id\",\"params\":\"token or api_key\"}},\"revision_restore\":{\"post\":{\"description\":\"Restores a record to the state captured in a revision\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/revisions/:revision_id/restore\",\"params\":\"token or api_key\",\"body\":\"updated_by (optional display name)\"}},\"exhibit_export\":{\"get\":{\"description\":\"Exports an exhibit, its components, media records and stored files as a JSON bundle\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/export\",\"params\":\"token or api_key\"}},\"exhibit_import\":{\"post\":{\"description\":\"Imports an exhibit bundle as a new unpublished exhibit\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/import\",\"params\":\"token or api_key\",\"body\":\"multipart/form-data: bundle (file), owner (user id), created_by\"}},\"exhibit_schedule\":{\"put\":{\"description\":\"Sets or clears the scheduled publish/suppress times of an exhibit\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/schedule\",\"params\":\"token or api_key\",\"body\":\"publish_at, suppress_at (ISO 8601 or null to clear; omitted fields are unchanged), scheduled_by\"}},\"item_schedule\":{\"put\":{\"description\":\"Sets or clears the scheduled publish/suppress times of a standard item\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/items/:item_id/schedule\",\"params\":\"token or api_key\",\"body\":\"publish_at, suppress_at (ISO 8601 or null to clear; omitted fields are unchanged), scheduled_by\"}},\"scheduled_transitions\":{\"get\":{\"description\":\"Retrieves pending scheduled publish/suppress transitions, soonest first\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/schedule/transitions\",\"params\":\"token or api_key\"}},\"exhibit_review\":{\"get\":{\"description\":\"Retrieves the editorial review state and review log of an exhibit\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/review\",\"params\":\"token or api_key\"}},\"exhibit_review_submit\":{\"post\":{\"description\":\"Submits an exhibit for editorial review\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/review/submit\",\"params\":\"token or api_key\",\"body\":\"comment (optional), created_by\"}},\"exhibit_review_approve\":{\"post\":{\"description\":\"Approves an exhibit in review so it can be published\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/review/approve\",\"params\":\"token or api_key\",\"body\":\"comment (optional), created_by\"}},\"exhibit_review_request_changes\":{\"post\":{\"description\":\"Sends an exhibit in review back to its curator with comments\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/review/request-changes\",\"params\":\"token or api_key\",\"body\":\"comment (required), created_by\"}},\"exhibit_accessibility\":{\"get\":{\"description\":\"Checks an exhibit for missing alt text, missing or deleted media, hidden anchor headings, empty captions and unset required styles\",\"endpoint\":\"__APP_PATH__/api/v1/exhibits/:exhibit_id/accessibility\",\"params\":\"token or api_key\"}}}},\"users\":{\"users\":{\"endpoint\":\"__APP_PATH__/api/v1/users\",\"get_users\":{\"description\":\"Gets all user records\",\"get\":{\"description\":\"Gets user record(s)\",\"params\":\"id, all records returned if no id is included, token or api_key\"}},\"get_user\":{\"description\":\"Gets single user record\",\"endpoint\":\"__APP_PATH__/api/v1/users/:user_id\",\"params\":\"id \"},\"create_user\":{\"description\":\"Creates user record\",\"post\":{\"description\":\"Creates user record\",\"params\":\"token or api_key\",\"body\":\"du_id, email, first_name, last_name\"}},\"update_user\":{\"description\":\"Updates user record\",\"put\":{\"description\":\"Updates user record\",\"endpoint\":\"__APP_PATH__/api/v1/users/:user_id\",\"params\":\"token or api_key\",\"body\":\"id, du_id, email, first_name, last_name\"}},\"delete_user\":{\"description\":\"Deletes user\",\"delete\":{\"description\":\"Deletes user record\",\"endpoint\":\"__APP_PATH__/api/v1/users/:user_id\",\"params\":\"id, token or api_key\"}},\"user_status\":{\"description\":\"\",\"endpoint\":\"__APP_PATH__/api/v1/users/status/:id/:is_active\",\"params\":\"id, token, is_active\"}}},\"indexer\":{\"indexer\":{\"index_records\":{\"description\":\"Indexes all exhibit, heading, and item active records\",\"endpoint\":\"/api/v1/indexer\",\"endpoints\":{\"post\":{\"description\":\"indexes exhibit index record\",\"endpoint\":\"/api/v1/indexer/:uuid\",\"params\":\"token or api_key\"},\"get\":{\"description\":\"gets indexed record\",\"endpoint\":\"/api/v1/indexer/:uuid\",\"params\":\"token or api_key\"},\"delete\":{\"description\":\"Deletes exhibit indexed record\",\"endpoint\":\"/api/v1/indexer/:uuid\",\"params\":\"token or api_key\"}}},\"index_utils\":{\"post\":{\"description\":\"Rebuilds search index into a new generation\",\"endpoint\":\"__APP_PATH__/api/v1/indexer/manage\",\"params\":\"token or api_key\"},\"get\":{\"description\":\"Retrieves search index information\",\"endpoint\":\"__APP_PATH__/api/v1/indexer/manage\",\"params\":\"token or api_key\"}},\"index_rollback\":{\"post\":{\"description\":\"Points the search index alias back at a retained index generation\",\"endpoint\":\"__APP_PATH__/api/v1/indexer/manage/rollback\",\"params\":\"token or api_key, body: index\"}},\"index_drift\":{\"post\":{\"description\":\"Starts a check of the search index against the database for drift\",\"endpoint\":\"__APP_PATH__/api/v1/indexer/manage/drift\",\"params\":\"token or api_key\"},\"get\":{\"description\":\"Retrieves the last index drift report\",\"endpoint\":\"__APP_PATH__/api/v1/indexer/manage/drift\",\"params\":\"token or api_key\"}},\"index_drift_repair\":{\"post\":{\"description\":\"Repairs index drift in an exhibit\",\"endpoint\":\"__APP_PATH__/api/v1/indexer/manage/drift/repair\",\"params\":\"token or api_key, body: exhibit_id, uuids (optional)\"}},\"index_jobs\":{\"get\":{\"description\":\"Retrieves queued, retrying and dead-lettered index jobs\",\"endpoint\":\"__APP_PATH__/api/v1/indexer/manage/jobs\",\"params\":\"token or api_key, query: status (optional)\"}},\"index_job_retry\":{\"post\":{\"description\":\"Queues a failed index job to run again now\",\"endpoint\":\"__APP_PATH__/api/v1/indexer/manage/jobs/retry\",\"params\":\"token or api_key, body: uuid\"}}}},\"media_library\":{\"media_records\":{\"get\":{\"description\":\"Retrieves all media records\",\"endpoint\":\"__APP_PATH__/api/v1/media/library\",\"params\":\"token or api_key, gets all media records\"},\"post\":{\"description\":\"Creates media record\",\"endpoint\":\"__APP_PATH__/api/v1/media/library\",\"params\":\"token or api_key\",\"body\":\"media data\"},\"put\":{\"description\":\"Updates media record\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/record/:media_id\",\"params\":\"token or api_key, media_id\",\"body\":\"media data\"},\"delete\":{\"description\":\"Deletes media record; refused with 409 and the usage while live exhibits or items use it, unless forced\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/record/:media_id\",\"params\":\"token or api_key, media_id, force (optional, \\\"true\\\")\"}},\"media_record\":{\"get\":{\"description\":\"Retrieves a single media record by UUID\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/record/:media_id\",\"params\":\"token or api_key, media_id (UUID)\"}},\"media_usage\":{\"get\":{\"description\":\"Lists the exhibits and items (including recycled ones) that use a media record\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/record/:media_id/usage\",\"params\":\"token or api_key, media_id (UUID)\"}},\"media_replace\":{\"post\":{\"description\":\"Replaces the file of an uploaded media record, keeping its UUID; the current file is kept as a prior version\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/record/:media_id/file\",\"params\":\"token or api_key, media_id (UUID)\",\"body\":\"multipart: file (image or PDF, same kind as the current file)\"}},\"media_versions\":{\"get\":{\"description\":\"Lists the prior file versions of a media record, newest first\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/record/:media_id/versions\",\"params\":\"token or api_key, media_id (UUID)\"}},\"media_fixity\":{\"get\":{\"description\":\"Gets the fixity summary and a page of stored files that failed their last fixity check, most recently checked first\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/fixity\",\"params\":\"token or api_key, page (default 1), page_size (1-200, default 50), status (missing, changed or unreadable; default all three)\"}},\"media_fixity_check\":{\"post\":{\"description\":\"Re-checks the stored file of an uploaded media record against its recorded SHA-256 and records the outcome\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/record/:media_id/fixity\",\"params\":\"token or api_key, media_id (UUID)\"}},\"upload\":{\"get\":{\"description\":\"Serves a staged (not-yet-saved) uploaded thumbnail by its storage-relative path\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/upload/thumbnail\",\"params\":\"token or api_key (query), path (relative thumbnail path, query)\"},\"delete\":{\"description\":\"Deletes an unprocessed (staged, not-yet-saved) uploaded file and its thumbnail from staging storage\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/upload\",\"params\":\"token or api_key\",\"body\":\"storage_path (required), thumbnail_path (optional)\"}},\"media_ingest\":{\"get\":{\"description\":\"Lists the requesting user's most recent batch ingest jobs\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/ingest\",\"params\":\"token or api_key\"},\"post\":{\"description\":\"Starts a batch ingest from a zip of images/PDFs with an optional CSV manifest; processed in the background\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/ingest\",\"params\":\"token or api_key\",\"body\":\"multipart: archive (.zip, required), manifest (.csv: filename, name, description, alt_text, call_number, topics, genre_form, places, item_type)\"}},\"media_ingest_job\":{\"get\":{\"description\":\"Retrieves a batch ingest job with its progress and per-file results\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/ingest/:job_id\",\"params\":\"token or api_key, job_id (UUID)\"}},\"media_file\":{\"get\":{\"description\":\"Retrieves media file by UUID from hash-bucketed storage\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/file/:media_id\",\"params\":\"token or api_key, media_id (UUID)\"}},\"media_thumbnail\":{\"get\":{\"description\":\"Retrieves media thumbnail by UUID from hash-bucketed storage\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/thumbnail/:media_id\",\"params\":\"token or api_key, media_id (UUID)\"}},\"media_duplicate_check\":{\"get\":{\"description\":\"Checks if a media record already exists with the given identifier\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/duplicate-check\",\"params\":\"token or api_key, field (repo_uuid or kaltura_entry_id), value\"}},\"media_similar_check\":{\"get\":{\"description\":\"Finds media with the same file or a visually similar image, with similarity scores\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/duplicate-check/similar\",\"params\":\"token or api_key, content_hash and/or perceptual_hash, exclude (optional media UUID)\"}},\"repo_media_search\":{\"get\":{\"description\":\"Searches digital repository records\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/repo/search\",\"params\":\"token or api_key, search term\"}},\"repo_thumbnail\":{\"get\":{\"description\":\"Gets digital repository thumbnail\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/repo/thumbnail\",\"params\":\"token or api_key, uuid\"}},\"repo_subjects\":{\"get\":{\"description\":\"Gets digital repository subjects grouped by type\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/repo/subjects\",\"params\":\"token or api_key, optional type query parameter (topical, geographic, genre_form)\"}},\"repo_resource_types\":{\"get\":{\"description\":\"Gets digital repository resource types\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/repo/resource-types\",\"params\":\"token or api_key, optional type query parameter\"}},\"kaltura_media\":{\"get\":{\"description\":\"Gets Kaltura media metadata by entry ID\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/kaltura/:entry_id\",\"params\":\"token or api_key, entry_id (path parameter)\"}},\"kaltura_config\":{\"get\":{\"description\":\"Gets Kaltura player configuration (partner_id, uiconf_id)\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/kaltura/config/player\",\"params\":\"token or api_key\"}},\"kaltura_category\":{\"post\":{\"description\":\"Assigns Kaltura media entry to exhibits category by entry ID\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/kaltura/:entry_id/category\",\"params\":\"token or api_key, entry_id (path parameter)\"},\"delete\":{\"description\":\"Removes Kaltura media entry from exhibits category by entry ID\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/kaltura/:entry_id/category\",\"params\":\"token or api_key, entry_id (path parameter)\"}},\"media_exhibits\":{\"put\":{\"description\":\"Adds or removes an exhibit UUID from a media record exhibits array\",\"endpoint\":\"__APP_PATH__/api/v1/media/library/record/:media_id/exhibits\",\"params\":\"token or api_key, media_id (UUID)\",\"body\":\"{ exhibit_uuid, action: \\\"add\\\" | \\\"remove\\\" }\"}},\"iiif_manifest\":{\"get\":{\"description\":\"Gets IIIF Presentation 3.0 manifest for a media record\",\"endpoint\":\"__APP_PATH__/iiif/:media_id/manifest\",\"params\":\"token or api_key, media_id (UUID)\"}},\"iiif_exhibit_manifest\":{\"get\":{\"description\":\"Gets IIIF Presentation 3.0 manifest for a published exhibit (items as canvases in exhibit order, headings, grids and timelines as ranges)\",\"endpoint\":\"__APP_PATH__/iiif/exhibits/:exhibit_id/manifest\",\"params\":\"exhibit_id (UUID)\"}},\"iiif_info\":{\"get\":{\"description\":\"Gets IIIF Image API 3.0 info.json for a media record\",\"endpoint\":\"__APP_PATH__/iiif/:media_id/info.json\",\"params\":\"token or api_key, media_id (UUID)\"}},\"iiif_search\":{\"get\":{\"description\":\"Searches the extracted text of an uploaded PDF (IIIF Content Search API 2.0)\",\"endpoint\":\"__APP_PATH__/iiif/:media_id/search\",\"params\":\"media_id (UUID), q (space-separated terms)\"}},\"iiif_file\":{\"get\":{\"description\":\"Serves the original stored PDF for a media record (manifest \\\"rendering\\\" resource)\",\"endpoint\":\"__APP_PATH__/iiif/:media_id/file\",\"params\":\"media_id (UUID)\"}},\"iiif_image\":{\"get\":{\"description\":\"Serves image via IIIF Image API 3.0 (region/size/rotation/quality.format)\",\"endpoint\":\"__APP_PATH__/iiif/:media_id/:region/:size/:rotation/:quality_format\",\"params\":\"token or api_key, media_id (UUID), region, size, rotation, quality_format\"}}}}"));
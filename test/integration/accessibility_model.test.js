@@ -0,0 +1,280 @@
+/**
+ * Integration tests for the accessibility and completeness checker.
+ *
+ * The task layer is mocked: these tests cover which content is reported, at
+ * what severity, and when ACCESSIBILITY_CHECK_ON_PUBLISH turns errors into
+ * publish blockers.
+ *
+ * Copyright 2026 University of Denver
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+const EXHIBIT_UUID = '550e8400-e29b-41d4-a716-446655440000';
+const MEDIA_UUID = '6ba7b810-9dad-41d1-80b4-00c04fd430c8';
+
+jest.mock('../../libs/log4', () => ({
+    module: () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })
+}));
+
+jest.mock('../../config/db_config', () => () => jest.fn());
+jest.mock('../../config/db_tables_config', () => () => ({ exhibits: {} }));
+
+const mockAccessibilityTask = {
+    get_exhibit_content: jest.fn()
+};
+
+jest.mock('../../exhibits/tasks/exhibit_accessibility_tasks', () => {
+    return jest.fn().mockImplementation(() => mockAccessibilityTask);
+});
+
+const ACCESSIBILITY_MODEL = require('../../exhibits/accessibility_model');
+
+const COMPLETE_STYLE = { backgroundColor: '#ffffff', color: '#000000', fontFamily: 'Open Sans', fontSize: '16px' };
+const COMPLETE_STYLES = JSON.stringify({
+    exhibit: {
+        introduction: COMPLETE_STYLE,
+        navigation: COMPLETE_STYLE,
+        heading1: COMPLETE_STYLE,
+        item1: COMPLETE_STYLE
+    }
+});
+
+/**
+ * An image item with everything in place; tests override one field at a time
+ */
+const image_item = (overrides = {}) => ({
+    uuid: 'item-1',
+    title: '<p>Campus in <em>1890</em></p>',
+    caption: 'Looking north',
+    item_type: 'image',
+    media_uuid: MEDIA_UUID,
+    media_lib_uuid: MEDIA_UUID,
+    media_lib_is_deleted: 0,
+    media_lib_media_type: 'image',
+    media_alt_text: 'Aerial view of campus',
+    media_is_alt_text_decorative: 0,
+    alt_text: null,
+    is_alt_text_decorative: 0,
+    thumbnail_media_uuid: null,
+    thumb_lib_uuid: null,
+    is_kaltura_item: 0,
+    ...overrides
+});
+
+const content = (overrides = {}) => ({
+    exhibit: { uuid: EXHIBIT_UUID, title: 'Exhibit', styles: COMPLETE_STYLES },
+    headings: [],
+    items: { item: [], grid_item: [], timeline_item: [] },
+    ...overrides
+});
+
+const codes = (issues) => issues.map((issue) => `${issue.severity}:${issue.code}`);
+
+describe('Accessibility Model', () => {
+
+    const original_mode = process.env.ACCESSIBILITY_CHECK_ON_PUBLISH;
+
+    afterEach(() => {
+        if (original_mode === undefined) {
+            delete process.env.ACCESSIBILITY_CHECK_ON_PUBLISH;
+        } else {
+            process.env.ACCESSIBILITY_CHECK_ON_PUBLISH = original_mode;
+        }
+    });
+
+    // ==================== CHECKS ====================
+
+    describe('find_issues', () => {
+
+        test('reports nothing for complete content', () => {
+            expect(ACCESSIBILITY_MODEL.find_issues(content({ items: { item: [image_item()], grid_item: [], timeline_item: [] } }))).toEqual([]);
+        });
+
+        test('flags an image with no alt text that is not decorative', () => {
+            const issues = ACCESSIBILITY_MODEL.find_issues(content({
+                items: { item: [], grid_item: [image_item({ media_alt_text: null, alt_text: '  ' })], timeline_item: [] }
+            }));
+
+            expect(issues).toEqual([{
+                severity: 'error',
+                code: 'missing_alt_text',
+                record_type: 'grid_item',
+                uuid: 'item-1',
+                title: 'Campus in 1890',
+                message: 'Image has no alt text and is not marked decorative'
+            }]);
+        });
+
+        test('accepts decorative images and the item copy of alt text', () => {
+            const issues = ACCESSIBILITY_MODEL.find_issues(content({
+                items: {
+                    item: [
+                        image_item({ media_alt_text: null, media_is_alt_text_decorative: 1 }),
+                        image_item({ media_alt_text: null, alt_text: 'Aerial view' })
+                    ],
+                    grid_item: [],
+                    timeline_item: []
+                }
+            }));
+
+            expect(issues).toEqual([]);
+        });
+
+        test('does not ask for alt text on non-image media', () => {
+            const issues = ACCESSIBILITY_MODEL.find_issues(content({
+                items: { item: [image_item({ item_type: 'pdf', media_lib_media_type: 'pdf', media_alt_text: null })], grid_item: [], timeline_item: [] }
+            }));
+
+            expect(issues).toEqual([]);
+        });
+
+        test('flags media items with no media, but not text items or Kaltura items', () => {
+            const issues = ACCESSIBILITY_MODEL.find_issues(content({
+                items: {
+                    item: [
+                        image_item({ media_uuid: null, media_lib_uuid: null, media_lib_media_type: null }),
+                        { uuid: 'text-1', item_type: 'text', caption: '' },
+                        image_item({ item_type: 'video', media_uuid: null, media_lib_uuid: null, media_lib_media_type: null, is_kaltura_item: 1, media: '1_abc123' })
+                    ],
+                    grid_item: [],
+                    timeline_item: []
+                }
+            }));
+
+            expect(codes(issues)).toEqual(['error:missing_media']);
+            expect(issues[0].uuid).toBe('item-1');
+        });
+
+        test('flags references to deleted or missing media library records', () => {
+            const issues = ACCESSIBILITY_MODEL.find_issues(content({
+                items: {
+                    item: [],
+                    grid_item: [],
+                    timeline_item: [
+                        image_item({ media_lib_is_deleted: 1, thumbnail_media_uuid: 'gone', thumb_lib_uuid: null })
+                    ]
+                }
+            }));
+
+            expect(codes(issues)).toEqual(['error:broken_media_reference', 'warning:broken_media_reference']);
+            expect(issues[0].record_type).toBe('timeline_item');
+        });
+
+        test('warns on empty captions and invisible anchor headings', () => {
+            const issues = ACCESSIBILITY_MODEL.find_issues(content({
+                headings: [
+                    { uuid: 'h-1', text: 'Visible', is_anchor: 1, is_visible: 1 },
+                    { uuid: 'h-2', text: 'Hidden', is_anchor: 1, is_visible: 0 },
+                    { uuid: 'h-3', text: 'Not an anchor', is_anchor: 0, is_visible: 0 }
+                ],
+                items: { item: [image_item({ caption: '<p>&nbsp;</p>' })], grid_item: [], timeline_item: [] }
+            }));
+
+            expect(codes(issues)).toEqual(['warning:hidden_anchor_heading', 'warning:empty_caption']);
+            expect(issues[0].uuid).toBe('h-2');
+        });
+
+        test('reports each required style section with missing fields', () => {
+            const issues = ACCESSIBILITY_MODEL.find_issues(content({
+                exhibit: {
+                    uuid: EXHIBIT_UUID,
+                    title: 'Exhibit',
+                    styles: JSON.stringify({ exhibit: { introduction: COMPLETE_STYLE, navigation: { ...COMPLETE_STYLE, fontSize: '' }, heading1: COMPLETE_STYLE } })
+                }
+            }));
+
+            expect(issues.map((issue) => issue.message)).toEqual([
+                'Style section "navigation" is missing fontSize',
+                'Style section "item1" is missing backgroundColor, color, fontFamily, fontSize'
+            ]);
+            expect(codes(issues)).toEqual(['error:missing_required_styles', 'error:missing_required_styles']);
+        });
+
+        test('treats unparseable styles as empty', () => {
+            const issues = ACCESSIBILITY_MODEL.find_issues(content({
+                exhibit: { uuid: EXHIBIT_UUID, title: 'Exhibit', styles: '{not json' }
+            }));
+
+            expect(issues).toHaveLength(4);
+        });
+    });
+
+    // ==================== API ====================
+
+    describe('check_exhibit', () => {
+
+        test('returns the report with counts and the publish mode', async () => {
+            process.env.ACCESSIBILITY_CHECK_ON_PUBLISH = 'block';
+            mockAccessibilityTask.get_exhibit_content.mockResolvedValue(content({
+                items: { item: [image_item({ media_alt_text: null, caption: '' })], grid_item: [], timeline_item: [] }
+            }));
+
+            const result = await ACCESSIBILITY_MODEL.check_exhibit(EXHIBIT_UUID);
+
+            expect(result.status).toBe(200);
+            expect(result.data).toMatchObject({
+                uuid: EXHIBIT_UUID,
+                passed: false,
+                error_count: 1,
+                warning_count: 1,
+                mode: 'block'
+            });
+            expect(result.data.issues).toHaveLength(2);
+        });
+
+        test('rejects an invalid UUID', async () => {
+            const result = await ACCESSIBILITY_MODEL.check_exhibit('nope');
+
+            expect(result.status).toBe(400);
+            expect(mockAccessibilityTask.get_exhibit_content).not.toHaveBeenCalled();
+        });
+
+        test('returns 404 when the exhibit does not exist', async () => {
+            mockAccessibilityTask.get_exhibit_content.mockResolvedValue(null);
+
+            const result = await ACCESSIBILITY_MODEL.check_exhibit(EXHIBIT_UUID);
+
+            expect(result.status).toBe(404);
+        });
+
+        test('returns 400 when the content cannot be read', async () => {
+            mockAccessibilityTask.get_exhibit_content.mockRejectedValue(new Error('DB down'));
+
+            const result = await ACCESSIBILITY_MODEL.check_exhibit(EXHIBIT_UUID);
+
+            expect(result.status).toBe(400);
+        });
+    });
+
+    // ==================== PUBLISH GATE ====================
+
+    describe('get_publish_blockers', () => {
+
+        test('never blocks while the check is off', async () => {
+            delete process.env.ACCESSIBILITY_CHECK_ON_PUBLISH;
+
+            await expect(ACCESSIBILITY_MODEL.get_publish_blockers(EXHIBIT_UUID)).resolves.toEqual([]);
+            expect(mockAccessibilityTask.get_exhibit_content).not.toHaveBeenCalled();
+        });
+
+        test('returns only errors when blocking', async () => {
+            process.env.ACCESSIBILITY_CHECK_ON_PUBLISH = 'BLOCK';
+            mockAccessibilityTask.get_exhibit_content.mockResolvedValue(content({
+                items: { item: [image_item({ media_alt_text: null, caption: '' })], grid_item: [], timeline_item: [] }
+            }));
+
+            const blockers = await ACCESSIBILITY_MODEL.get_publish_blockers(EXHIBIT_UUID);
+
+            expect(codes(blockers)).toEqual(['error:missing_alt_text']);
+        });
+
+        test('throws when the content cannot be read', async () => {
+            process.env.ACCESSIBILITY_CHECK_ON_PUBLISH = 'block';
+            mockAccessibilityTask.get_exhibit_content.mockRejectedValue(new Error('DB down'));
+
+            await expect(ACCESSIBILITY_MODEL.get_publish_blockers(EXHIBIT_UUID)).rejects.toThrow('DB down');
+        });
+    });
+});
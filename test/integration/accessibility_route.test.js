@@ -0,0 +1,109 @@
+/**
+ * Integration tests for the exhibit accessibility route's wiring: token
+ * required, exhibit UUID validated, model status passed through. The model is
+ * mocked so no DB is needed.
+ */
+
+'use strict';
+
+const express = require('express');
+const request = require('supertest');
+
+// ==================== MOCKS ====================
+
+jest.mock('../../libs/log4', () => ({
+    module: () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })
+}));
+
+jest.mock('../../config/app_config', () => () => ({ app_path: '/exhibits-dashboard' }));
+
+jest.mock('../../libs/tokens', () => ({
+    verify: (req, res, next) => {
+        if (req.headers['x-access-token']) {
+            req.decoded = { sub: 'curator' };
+            return next();
+        }
+        return res.status(401).json({ message: 'Unauthorized request' });
+    }
+}));
+
+jest.mock('../../config/rate_limits_loader', () => ({
+    rate_limits: {
+        read_operations: (req, res, next) => next(),
+        write_operations: (req, res, next) => next(),
+        media_operations: (req, res, next) => next(),
+        state_change_operations: (req, res, next) => next()
+    }
+}));
+
+const mockCheckExhibit = jest.fn();
+jest.mock('../../exhibits/accessibility_model', () => ({
+    check_exhibit: (...a) => mockCheckExhibit(...a)
+}));
+
+const register_accessibility_routes = require('../../exhibits/accessibility_routes');
+
+// ==================== FIXTURE ====================
+
+const EXHIBIT_UUID = '11111111-1111-4111-8111-111111111111';
+const BASE_URL = `/exhibits-dashboard/api/v1/exhibits/${EXHIBIT_UUID}/accessibility`;
+let app;
+
+beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    register_accessibility_routes(app);
+});
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('GET /exhibits/:exhibit_id/accessibility', () => {
+
+    test('401 when no auth token; model never reached', async () => {
+        const res = await request(app).get(BASE_URL);
+
+        expect(res.status).toBe(401);
+        expect(mockCheckExhibit).not.toHaveBeenCalled();
+    });
+
+    test('returns the report', async () => {
+        mockCheckExhibit.mockResolvedValue({
+            status: 200,
+            message: 'Exhibit accessibility check complete',
+            data: { uuid: EXHIBIT_UUID, passed: true, error_count: 0, warning_count: 0, issues: [], mode: 'off' }
+        });
+
+        const res = await request(app).get(BASE_URL).set('x-access-token', 'jwt');
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ success: true, data: { passed: true, issues: [] } });
+        expect(mockCheckExhibit).toHaveBeenCalledWith(EXHIBIT_UUID);
+    });
+
+    test('passes a not-found through', async () => {
+        mockCheckExhibit.mockResolvedValue({ status: 404, message: 'Exhibit not found' });
+
+        const res = await request(app).get(BASE_URL).set('x-access-token', 'jwt');
+
+        expect(res.status).toBe(404);
+        expect(res.body).toEqual({ success: false, message: 'Exhibit not found', data: null });
+    });
+
+    test('400 on a path traversal attempt; model never reached', async () => {
+        const res = await request(app)
+            .get('/exhibits-dashboard/api/v1/exhibits/..%2F..%2Fetc/accessibility')
+            .set('x-access-token', 'jwt');
+
+        expect(res.status).toBe(400);
+        expect(mockCheckExhibit).not.toHaveBeenCalled();
+    });
+
+    test('500 when the model throws', async () => {
+        mockCheckExhibit.mockRejectedValue(new Error('boom'));
+
+        const res = await request(app).get(BASE_URL).set('x-access-token', 'jwt');
+
+        expect(res.status).toBe(500);
+        expect(res.body.success).toBe(false);
+    });
+});
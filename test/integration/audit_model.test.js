@@ -0,0 +1,204 @@
+/**
+ * Integration tests for the audit log model.
+ *
+ * The task layer is mocked: these tests cover how an entry is built from a
+ * request (actor, IP, summary), that a failed write never reaches the caller,
+ * and how the list query is validated and paged.
+ *
+ * Copyright 2026 University of Denver
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+const RECORD_UUID = '550e8400-e29b-41d4-a716-446655440000';
+
+jest.mock('../../libs/log4', () => ({
+    module: () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })
+}));
+
+jest.mock('../../config/db_config', () => () => jest.fn());
+jest.mock('../../config/db_tables_config', () => () => ({ exhibits: {} }));
+
+const mockAuditTask = {
+    insert_entry: jest.fn(),
+    get_entries: jest.fn()
+};
+
+jest.mock('../../audit/tasks/audit_tasks', () => {
+    return jest.fn().mockImplementation(() => mockAuditTask);
+});
+
+const AUDIT_MODEL = require('../../audit/model');
+
+describe('Audit Model', () => {
+
+    // ==================== WRITING ====================
+
+    describe('record', () => {
+
+        test('takes the actor and IP from the request and stores a JSON summary', async () => {
+            mockAuditTask.insert_entry.mockResolvedValue(true);
+
+            await AUDIT_MODEL.record({ decoded: { sub: 'curator' }, ip: '10.0.0.5', query: {} }, {
+                action: 'update',
+                record_type: 'item',
+                record_uuid: RECORD_UUID,
+                exhibit_uuid: 'exhibit-1',
+                after: { title: 'New title' }
+            });
+
+            const entry = mockAuditTask.insert_entry.mock.calls[0][0];
+            expect(entry).toMatchObject({
+                actor: 'curator',
+                action: 'update',
+                record_type: 'item',
+                record_uuid: RECORD_UUID,
+                exhibit_uuid: 'exhibit-1',
+                ip: '10.0.0.5'
+            });
+            expect(JSON.parse(entry.summary)).toEqual({ before: null, after: { title: 'New title' } });
+        });
+
+        test('stores the prior state alongside the new one', async () => {
+            mockAuditTask.insert_entry.mockResolvedValue(true);
+
+            await AUDIT_MODEL.record({ decoded: { sub: 'curator' } }, {
+                action: 'update',
+                record_type: 'item',
+                record_uuid: RECORD_UUID,
+                before: { title: 'Old title', is_published: 1 },
+                after: { title: 'New title' }
+            });
+
+            expect(JSON.parse(mockAuditTask.insert_entry.mock.calls[0][0].summary)).toEqual({
+                before: { title: 'Old title', is_published: 1 },
+                after: { title: 'New title' }
+            });
+        });
+
+        test('attributes API key requests to api_key', async () => {
+            mockAuditTask.insert_entry.mockResolvedValue(true);
+
+            await AUDIT_MODEL.record({ query: { api_key: 'abc123' } }, { action: 'delete', record_type: 'exhibit' });
+
+            expect(mockAuditTask.insert_entry.mock.calls[0][0]).toMatchObject({ actor: 'api_key', summary: null, ip: null });
+        });
+
+        test('never throws', async () => {
+            mockAuditTask.insert_entry.mockRejectedValue(new Error('DB down'));
+
+            await expect(AUDIT_MODEL.record({}, { action: 'create', record_type: 'exhibit' })).resolves.toBeUndefined();
+        });
+    });
+
+    describe('record_success', () => {
+
+        test('only writes for a 2xx status', async () => {
+            mockAuditTask.insert_entry.mockResolvedValue(true);
+
+            await AUDIT_MODEL.record_success({}, 400, { action: 'create', record_type: 'exhibit' });
+            expect(mockAuditTask.insert_entry).not.toHaveBeenCalled();
+
+            await AUDIT_MODEL.record_success({}, 201, { action: 'create', record_type: 'exhibit' });
+            expect(mockAuditTask.insert_entry).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('summarize', () => {
+
+        test('keeps scalars, truncates long text and drops secrets and nested data', () => {
+            const summary = AUDIT_MODEL.summarize({
+                title: 'x'.repeat(300),
+                is_published: 1,
+                password: 'hunter2',
+                token: 'jwt',
+                styles: { color: 'red' },
+                subjects: ['a', 'b']
+            });
+
+            expect(summary.title).toHaveLength(201);
+            expect(summary.is_published).toBe(1);
+            expect(summary).not.toHaveProperty('password');
+            expect(summary).not.toHaveProperty('token');
+            expect(summary.styles).toBe('[object]');
+            expect(summary.subjects).toBe('[2 items]');
+        });
+
+        test('returns null for anything that is not a plain object', () => {
+            expect(AUDIT_MODEL.summarize(null)).toBeNull();
+            expect(AUDIT_MODEL.summarize('text')).toBeNull();
+            expect(AUDIT_MODEL.summarize([1, 2])).toBeNull();
+        });
+    });
+
+    // ==================== READING ====================
+
+    describe('get_audit_records', () => {
+
+        test('defaults to the first page of 50 and parses summaries', async () => {
+            mockAuditTask.get_entries.mockResolvedValue({
+                rows: [{ id: 2, action: 'publish', summary: '{"before":{"is_published":0},"after":{"is_published":1}}' }],
+                total: 1
+            });
+
+            const result = await AUDIT_MODEL.get_audit_records({});
+
+            expect(mockAuditTask.get_entries).toHaveBeenCalledWith({}, 50, 0);
+            expect(result.status).toBe(200);
+            expect(result.data).toEqual({
+                entries: [{ id: 2, action: 'publish', summary: { before: { is_published: 0 }, after: { is_published: 1 } } }],
+                total: 1,
+                page: 1,
+                page_size: 50
+            });
+        });
+
+        test('passes filters through and makes the end date inclusive', async () => {
+            mockAuditTask.get_entries.mockResolvedValue({ rows: [], total: 0 });
+
+            await AUDIT_MODEL.get_audit_records({
+                page: '3',
+                page_size: '20',
+                actor: 'curator',
+                record_type: 'item',
+                record_uuid: RECORD_UUID,
+                from: '2026-10-01',
+                to: '2026-10-31'
+            });
+
+            expect(mockAuditTask.get_entries).toHaveBeenCalledWith({
+                actor: 'curator',
+                record_type: 'item',
+                record_uuid: RECORD_UUID,
+                from: '2026-10-01',
+                to: '2026-11-01'
+            }, 20, 40);
+        });
+
+        test('accepts a numeric user id as the record_uuid filter', async () => {
+            mockAuditTask.get_entries.mockResolvedValue({ rows: [], total: 0 });
+
+            const result = await AUDIT_MODEL.get_audit_records({ record_uuid: '42' });
+
+            expect(result.status).toBe(200);
+            expect(mockAuditTask.get_entries).toHaveBeenCalledWith({ record_uuid: '42' }, 50, 0);
+        });
+
+        test.each([
+            [{ page: '0' }],
+            [{ page_size: '500' }],
+            [{ record_uuid: 'not-a-uuid' }],
+            [{ record_uuid: '0' }],
+            [{ record_uuid: '-1' }],
+            [{ record_uuid: '1.5' }],
+            [{ from: '10/01/2026' }],
+            [{ actor: ['a', 'b'] }]
+        ])('rejects an invalid query %j', async (query) => {
+            const result = await AUDIT_MODEL.get_audit_records(query);
+
+            expect(result.status).toBe(400);
+            expect(mockAuditTask.get_entries).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * Integration tests for the audit log route's security wiring.
+ *
+ * Reading the log needs view_audit_log with no ownership fallback. The model
+ * is mocked so no DB is needed.
+ */
+
+'use strict';
+
+const express = require('express');
+const request = require('supertest');
+
+// ==================== MOCKS ====================
+
+jest.mock('../../libs/log4', () => ({
+    module: () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })
+}));
+
+jest.mock('../../config/app_config', () => () => ({ app_path: '/exhibits-dashboard' }));
+
+jest.mock('../../libs/tokens', () => ({
+    verify: (req, res, next) => {
+        if (req.headers['x-access-token']) {
+            req.decoded = { sub: 'admin' };
+            return next();
+        }
+        return res.status(401).json({ message: 'Unauthorized request' });
+    }
+}));
+
+const mockCheckPermission = jest.fn();
+jest.mock('../../auth/authorize', () => ({ check_permission: (...args) => mockCheckPermission(...args) }));
+
+jest.mock('../../config/rate_limits_loader', () => ({
+    rate_limits: {
+        read_operations: (req, res, next) => next(),
+        write_operations: (req, res, next) => next()
+    }
+}));
+
+const mockGetAuditRecords = jest.fn();
+jest.mock('../../audit/model', () => ({
+    get_audit_records: (...a) => mockGetAuditRecords(...a)
+}));
+
+const register_audit_routes = require('../../audit/routes');
+
+// ==================== FIXTURE ====================
+
+const BASE_URL = '/exhibits-dashboard/api/v1/audit';
+let app;
+
+beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    register_audit_routes(app);
+});
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('GET /audit', () => {
+
+    test('401 when no auth token; model never reached', async () => {
+        const res = await request(app).get(BASE_URL);
+
+        expect(res.status).toBe(401);
+        expect(mockGetAuditRecords).not.toHaveBeenCalled();
+    });
+
+    test('403 without view_audit_log; model never reached', async () => {
+        mockCheckPermission.mockResolvedValue(false);
+
+        const res = await request(app).get(BASE_URL).set('x-access-token', 'jwt');
+
+        expect(res.status).toBe(403);
+        expect(mockCheckPermission.mock.calls[0][0]).toMatchObject({ permissions: ['view_audit_log'], parent_id: null });
+        expect(mockGetAuditRecords).not.toHaveBeenCalled();
+    });
+
+    test('passes the query through and returns the page', async () => {
+        mockCheckPermission.mockResolvedValue(true);
+        mockGetAuditRecords.mockResolvedValue({
+            status: 200,
+            message: 'Audit log retrieved',
+            data: { entries: [{ id: 1, action: 'delete' }], total: 1, page: 2, page_size: 25 }
+        });
+
+        const res = await request(app).get(`${BASE_URL}?page=2&page_size=25&action=delete`).set('x-access-token', 'jwt');
+
+        expect(res.status).toBe(200);
+        expect(mockGetAuditRecords).toHaveBeenCalledWith({ page: '2', page_size: '25', action: 'delete' });
+        expect(res.body).toMatchObject({ success: true, data: { total: 1, page: 2 } });
+    });
+
+    test('passes a validation error through', async () => {
+        mockCheckPermission.mockResolvedValue(true);
+        mockGetAuditRecords.mockResolvedValue({ status: 400, message: 'Invalid UUID provided' });
+
+        const res = await request(app).get(`${BASE_URL}?record_uuid=nope`).set('x-access-token', 'jwt');
+
+        expect(res.status).toBe(400);
+        expect(res.body).toEqual({ success: false, message: 'Invalid UUID provided', data: null });
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * Integration tests for the bundle import model's error handling.
+ *
+ * The task layer and media storage are mocked: these tests cover which
+ * failures are reported to the importer as a bad bundle and which are
+ * reported as a server error without their details, and that stored files
+ * are removed again when an import fails.
+ *
+ * Copyright 2026 University of Denver
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const EXHIBIT_UUID = '550e8400-e29b-41d4-a716-446655440000';
+const MEDIA_UUID = '660e8400-e29b-41d4-a716-446655440001';
+
+jest.mock('../../libs/log4', () => ({
+    module: () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })
+}));
+
+jest.mock('../../config/db_config', () => () => jest.fn());
+jest.mock('../../config/db_tables_config', () => () => ({ exhibits: {} }));
+jest.mock('../../libs/dom', () => ({ sanitize_object: jest.fn() }));
+jest.mock('../../media-library/storage-adapter', () => () => ({}));
+jest.mock('../../media-library/fixity-service', () => ({ baseline: () => ({ fixity_status: 'ok' }) }));
+
+// Row checks are the real ones: they only read the bundled row
+const mockBundleTask = {
+    COMPONENTS: { headings: 'heading_records', items: 'item_records', grids: 'grid_records',
+        grid_items: 'grid_item_records', timelines: 'timeline_records', timeline_items: 'timeline_item_records' },
+    check_row_columns: (...args) => jest.requireActual('../../exhibits/tasks/exhibit_bundle_tasks').prototype.check_row_columns(...args),
+    find_media_by_identifier: jest.fn(),
+    get_media_by_size: jest.fn(),
+    import_exhibit_graph: jest.fn()
+};
+
+jest.mock('../../exhibits/tasks/exhibit_bundle_tasks', () => {
+    return jest.fn().mockImplementation(() => mockBundleTask);
+});
+
+const mockUploads = {
+    store_file: jest.fn(),
+    store_thumbnail_file: jest.fn(),
+    delete_stored_file: jest.fn(),
+    hash_stored_file: jest.fn()
+};
+jest.mock('../../media-library/uploads', () => mockUploads);
+
+const BUNDLE_MODEL = require('../../exhibits/bundle_model');
+
+const FILE = Buffer.from('image bytes');
+
+const bundle = (sha256 = crypto.createHash('sha256').update(FILE).digest('hex')) => ({
+    format: 'exhibits-bundle',
+    version: 1,
+    exhibit: { uuid: EXHIBIT_UUID, title: 'Mining the West' },
+    headings: [], items: [], grids: [], grid_items: [], timelines: [], timeline_items: [],
+    exhibit_media: [],
+    media: [{
+        record: { uuid: MEDIA_UUID, name: 'hero.jpg', media_type: 'image', mime_type: 'image/jpeg', original_filename: 'hero.jpg' },
+        file: { name: 'hero.jpg', sha256, data: FILE.toString('base64') }
+    }]
+});
+
+describe('Bundle Model import_exhibit', () => {
+
+    beforeEach(() => {
+        mockBundleTask.find_media_by_identifier.mockResolvedValue(null);
+        mockBundleTask.get_media_by_size.mockResolvedValue([]);
+        mockUploads.store_file.mockResolvedValue({
+            storage_path: 'images/ab/cd/new.jpg', thumbnail_path: 'thumbnails/new.jpg', file_size: FILE.length, content_hash: 'abc'
+        });
+        mockUploads.delete_stored_file.mockResolvedValue(undefined);
+    });
+
+    test('a checksum mismatch is a bad bundle and nothing is stored', async () => {
+        const result = await BUNDLE_MODEL.import_exhibit(bundle('0'.repeat(64)), { owner: 5 });
+
+        expect(result.status).toBe(400);
+        expect(result.message).toBe(`Unable to import exhibit: Checksum mismatch for media ${MEDIA_UUID}`);
+        expect(mockUploads.store_file).not.toHaveBeenCalled();
+        expect(mockBundleTask.import_exhibit_graph).not.toHaveBeenCalled();
+    });
+
+    test('a record with a column its table does not have is a bad bundle and nothing is stored', async () => {
+        const bundled = bundle();
+        bundled.exhibit.is_admin = 1;
+
+        const result = await BUNDLE_MODEL.import_exhibit(bundled, { owner: 5 });
+
+        expect(result.status).toBe(400);
+        expect(result.message).toBe(`Bundle has an invalid record: exhibit_records record ${EXHIBIT_UUID} has unknown column(s): is_admin`);
+        expect(mockUploads.store_file).not.toHaveBeenCalled();
+        expect(mockBundleTask.import_exhibit_graph).not.toHaveBeenCalled();
+    });
+
+    test('a record without a required column or parent link is a bad bundle', async () => {
+        const bundled = bundle();
+        bundled.grid_items = [{ uuid: '770e8400-e29b-41d4-a716-446655440002', is_member_of_exhibit: EXHIBIT_UUID, title: 'Item' }];
+
+        const result = await BUNDLE_MODEL.import_exhibit(bundled, { owner: 5 });
+
+        expect(result.status).toBe(400);
+        expect(result.message).toMatch(/grid_item_records record .+ is missing column\(s\): is_member_of_grid$/);
+        expect(mockBundleTask.import_exhibit_graph).not.toHaveBeenCalled();
+    });
+
+    test('a database failure is a server error without its details, and stored files are removed', async () => {
+        mockBundleTask.import_exhibit_graph.mockRejectedValue(new Error("ER_NO_SUCH_TABLE: Table 'exhibits.tbl_media' doesn't exist"));
+
+        const result = await BUNDLE_MODEL.import_exhibit(bundle(), { owner: 5 });
+
+        expect(result.status).toBe(500);
+        expect(result.message).toBe('Unable to import exhibit');
+        expect(mockUploads.delete_stored_file).toHaveBeenCalledWith('images/ab/cd/new.jpg', 'thumbnails/new.jpg');
+    });
+
+    test('a storage failure is a server error without its details', async () => {
+        mockUploads.store_file.mockRejectedValue(new Error('EACCES: permission denied, open /srv/storage/images/ab/cd/new.jpg'));
+
+        const result = await BUNDLE_MODEL.import_exhibit(bundle(), { owner: 5 });
+
+        expect(result.status).toBe(500);
+        expect(result.message).toBe('Unable to import exhibit');
+    });
+});
@@ -0,0 +1,203 @@
+/**
+ * Integration tests for the exhibit export/import routes' security wiring.
+ *
+ * Export hands out every component and media file of an exhibit, so it must
+ * pass AUTHORIZE.check_permission with the exhibit update permissions. Import
+ * creates an exhibit and requires add_exhibit. The bundle arrives as a
+ * multipart file and is parsed by the controller. The model is mocked so no DB
+ * or storage is needed.
+ */
+
+'use strict';
+
+const express = require('express');
+const request = require('supertest');
+
+// ==================== MOCKS ====================
+
+jest.mock('../../libs/log4', () => ({
+    module: () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })
+}));
+
+jest.mock('../../config/app_config', () => () => ({ app_path: '/exhibits-dashboard' }));
+
+jest.mock('../../libs/tokens', () => ({
+    verify: (req, res, next) => {
+        if (req.headers['x-access-token']) {
+            req.decoded = { sub: 'curator' };
+            return next();
+        }
+        return res.status(401).json({ message: 'Unauthorized request' });
+    }
+}));
+
+const mockCheckPermission = jest.fn();
+jest.mock('../../auth/authorize', () => ({ check_permission: (...args) => mockCheckPermission(...args) }));
+
+jest.mock('../../config/rate_limits_loader', () => ({
+    rate_limits: {
+        read_operations: (req, res, next) => next(),
+        write_operations: (req, res, next) => next(),
+        media_operations: (req, res, next) => next(),
+        state_change_operations: (req, res, next) => next()
+    }
+}));
+
+const mockExport = jest.fn();
+const mockImport = jest.fn();
+jest.mock('../../exhibits/bundle_model', () => ({
+    export_exhibit: (...a) => mockExport(...a),
+    import_exhibit: (...a) => mockImport(...a)
+}));
+
+const mockAuditRecordSuccess = jest.fn();
+jest.mock('../../audit/model', () => ({
+    record_success: (...a) => mockAuditRecordSuccess(...a)
+}));
+
+const register_bundle_routes = require('../../exhibits/bundle_routes');
+
+// ==================== FIXTURE ====================
+
+const EXHIBIT_UUID = '11111111-1111-4111-8111-111111111111';
+const NEW_UUID = '22222222-2222-4222-8222-222222222222';
+const EXPORT_URL = `/exhibits-dashboard/api/v1/exhibits/${EXHIBIT_UUID}/export`;
+const IMPORT_URL = '/exhibits-dashboard/api/v1/exhibits/import';
+const BUNDLE = { format: 'exhibits-bundle', version: 1, exhibit: { uuid: EXHIBIT_UUID } };
+let app;
+
+beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    register_bundle_routes(app);
+});
+
+beforeEach(() => jest.clearAllMocks());
+
+const bundle_file = (content = JSON.stringify(BUNDLE)) => [Buffer.from(content), { filename: 'exhibit.json', contentType: 'application/json' }];
+
+// ==================== EXPORT ====================
+
+describe('GET /exhibits/:exhibit_id/export', () => {
+
+    test('401 when no auth token; model never reached', async () => {
+        const res = await request(app).get(EXPORT_URL);
+
+        expect(res.status).toBe(401);
+        expect(mockExport).not.toHaveBeenCalled();
+    });
+
+    test('403 when the caller cannot update the exhibit; model never reached', async () => {
+        mockCheckPermission.mockResolvedValue(false);
+
+        const res = await request(app).get(EXPORT_URL).set('x-access-token', 'jwt');
+
+        expect(res.status).toBe(403);
+        expect(mockCheckPermission.mock.calls[0][0]).toMatchObject({
+            permissions: ['update_exhibit', 'update_any_exhibit'],
+            record_type: 'exhibit',
+            parent_id: EXHIBIT_UUID
+        });
+        expect(mockExport).not.toHaveBeenCalled();
+    });
+
+    test('returns the bundle itself as a JSON attachment', async () => {
+        mockCheckPermission.mockResolvedValue(true);
+        mockExport.mockResolvedValue({ status: 200, message: 'Exhibit exported', data: BUNDLE });
+
+        const res = await request(app).get(EXPORT_URL).set('x-access-token', 'jwt');
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-disposition']).toBe(`attachment; filename="exhibit-${EXHIBIT_UUID}.json"`);
+        expect(res.body).toEqual(BUNDLE);
+    });
+
+    test('passes a model 404 through', async () => {
+        mockCheckPermission.mockResolvedValue(true);
+        mockExport.mockResolvedValue({ status: 404, message: 'Exhibit not found', data: null });
+
+        const res = await request(app).get(EXPORT_URL).set('x-access-token', 'jwt');
+
+        expect(res.status).toBe(404);
+        expect(res.body.message).toBe('Exhibit not found');
+    });
+});
+
+// ==================== IMPORT ====================
+
+describe('POST /exhibits/import', () => {
+
+    test('401 when no auth token; model never reached', async () => {
+        const res = await request(app).post(IMPORT_URL).attach('bundle', ...bundle_file());
+
+        expect(res.status).toBe(401);
+        expect(mockImport).not.toHaveBeenCalled();
+    });
+
+    test('403 without add_exhibit; model never reached', async () => {
+        mockCheckPermission.mockResolvedValue(false);
+
+        const res = await request(app).post(IMPORT_URL)
+            .set('x-access-token', 'jwt')
+            .field('owner', '5')
+            .attach('bundle', ...bundle_file());
+
+        expect(res.status).toBe(403);
+        expect(mockCheckPermission.mock.calls[0][0]).toMatchObject({ permissions: ['add_exhibit'], record_type: 'exhibit' });
+        expect(mockImport).not.toHaveBeenCalled();
+    });
+
+    test('400 when no bundle file is attached', async () => {
+        mockCheckPermission.mockResolvedValue(true);
+
+        const res = await request(app).post(IMPORT_URL).set('x-access-token', 'jwt').field('owner', '5');
+
+        expect(res.status).toBe(400);
+        expect(mockImport).not.toHaveBeenCalled();
+    });
+
+    test('400 when the owner is missing', async () => {
+        mockCheckPermission.mockResolvedValue(true);
+
+        const res = await request(app).post(IMPORT_URL)
+            .set('x-access-token', 'jwt')
+            .attach('bundle', ...bundle_file());
+
+        expect(res.status).toBe(400);
+        expect(mockImport).not.toHaveBeenCalled();
+    });
+
+    test('400 when the bundle is not JSON', async () => {
+        mockCheckPermission.mockResolvedValue(true);
+
+        const res = await request(app).post(IMPORT_URL)
+            .set('x-access-token', 'jwt')
+            .field('owner', '5')
+            .attach('bundle', ...bundle_file('not json'));
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Bundle file is not valid JSON');
+        expect(mockImport).not.toHaveBeenCalled();
+    });
+
+    test('imports the parsed bundle for the owner and display name', async () => {
+        mockCheckPermission.mockResolvedValue(true);
+        mockImport.mockResolvedValue({ status: 201, message: 'Exhibit imported', data: { uuid: NEW_UUID, source_uuid: EXHIBIT_UUID } });
+
+        const res = await request(app).post(IMPORT_URL)
+            .set('x-access-token', 'jwt')
+            .field('owner', '5')
+            .field('created_by', 'Curator A')
+            .attach('bundle', ...bundle_file());
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.uuid).toBe(NEW_UUID);
+        expect(mockImport).toHaveBeenCalledWith(BUNDLE, { owner: 5, created_by: 'Curator A' });
+        expect(mockAuditRecordSuccess).toHaveBeenCalledWith(expect.anything(), 201, {
+            action: 'import',
+            record_type: 'exhibit',
+            record_uuid: NEW_UUID,
+            after: { source_uuid: EXHIBIT_UUID, owner: 5 }
+        });
+    });
+});
@@ -85,7 +85,9 @@ const mockExhibitsModel = {
     check_preview: jest.fn(),
     delete_exhibit_preview: jest.fn(),
     build_exhibit_preview: jest.fn(),
-    unlock_exhibit_record: jest.fn()
+    unlock_exhibit_record: jest.fn(),
+    transfer_exhibit: jest.fn(),
+    clone_exhibit: jest.fn()
 };
 
 jest.mock('../../exhibits/exhibits_model', () => mockExhibitsModel);
@@ -116,6 +118,12 @@ jest.mock('../../exhibits/endpoints/index', () => () => ({
         exhibit_suppress: {
             post: { endpoint: '/api/exhibits/v2/exhibit/:exhibit_id/suppress' }
         },
+        exhibit_transfer: {
+            post: { endpoint: '/api/exhibits/v2/exhibit/:exhibit_id/transfer' }
+        },
+        exhibit_clone: {
+            post: { endpoint: '/api/exhibits/v2/exhibit/:exhibit_id/clone' }
+        },
         exhibit_unlock_record: {
             post: { endpoint: '/api/exhibits/v2/exhibit/:exhibit_id/unlock' }
         },
@@ -734,6 +742,196 @@ describe('Exhibits Integration Tests', () => {
             });
         });
 
+        // ---------- CLONE EXHIBIT ----------
+        describe('POST /api/exhibits/v2/exhibit/:exhibit_id/clone (Clone Exhibit)', () => {
+
+            test('should clone exhibit for the requesting owner', async () => {
+                mockExhibitsModel.clone_exhibit.mockResolvedValue({
+                    status: 201,
+                    message: 'Exhibit cloned',
+                    data: { uuid: 'new-exhibit-uuid', source_uuid: TEST_UUID, counts: { exhibit: 1, items: 3, exhibit_media: 2 } }
+                });
+
+                const response = await request(app)
+                    .post(`/api/exhibits/v2/exhibit/${TEST_UUID}/clone`)
+                    .send({ owner: 7, created_by: 'Curator A' })
+                    .expect('Content-Type', /json/)
+                    .expect(201);
+
+                expect(response.body.success).toBe(true);
+                expect(response.body.data.uuid).toBe('new-exhibit-uuid');
+                expect(mockExhibitsModel.clone_exhibit).toHaveBeenCalledWith(TEST_UUID, {
+                    owner: 7,
+                    created_by: 'Curator A'
+                });
+            });
+
+            test('should check add_exhibit permission', async () => {
+                mockExhibitsModel.clone_exhibit.mockResolvedValue({ status: 201, message: 'Exhibit cloned', data: { uuid: 'new-exhibit-uuid' } });
+
+                await request(app)
+                    .post(`/api/exhibits/v2/exhibit/${TEST_UUID}/clone`)
+                    .send({ owner: 7 })
+                    .expect(201);
+
+                expect(AUTHORIZE.check_permission).toHaveBeenCalledWith(expect.objectContaining({
+                    permissions: ['add_exhibit'],
+                    record_type: 'exhibit'
+                }));
+            });
+
+            test('should check update permission on the source exhibit', async () => {
+                mockExhibitsModel.clone_exhibit.mockResolvedValue({ status: 201, message: 'Exhibit cloned', data: { uuid: 'new-exhibit-uuid' } });
+
+                await request(app)
+                    .post(`/api/exhibits/v2/exhibit/${TEST_UUID}/clone`)
+                    .send({ owner: 7 })
+                    .expect(201);
+
+                expect(AUTHORIZE.check_permission).toHaveBeenCalledWith(expect.objectContaining({
+                    permissions: ['update_exhibit', 'update_any_exhibit'],
+                    record_type: 'exhibit',
+                    parent_id: TEST_UUID
+                }));
+            });
+
+            test('should return 403 when the user cannot edit the source exhibit', async () => {
+                AUTHORIZE.check_permission.mockImplementation(async ({ permissions }) => permissions.includes('add_exhibit'));
+
+                const response = await request(app)
+                    .post(`/api/exhibits/v2/exhibit/${TEST_UUID}/clone`)
+                    .send({ owner: 7 })
+                    .expect('Content-Type', /json/)
+                    .expect(403);
+
+                expect(response.body.message).toBe('Unauthorized request');
+                expect(mockExhibitsModel.clone_exhibit).not.toHaveBeenCalled();
+            });
+
+            test('should return 400 when the owner is missing or invalid', async () => {
+                const response = await request(app)
+                    .post(`/api/exhibits/v2/exhibit/${TEST_UUID}/clone`)
+                    .send({ owner: -1 })
+                    .expect('Content-Type', /json/)
+                    .expect(400);
+
+                expect(response.body.success).toBe(false);
+                expect(mockExhibitsModel.clone_exhibit).not.toHaveBeenCalled();
+            });
+
+            test('should return 403 when user is not authorized', async () => {
+                AUTHORIZE.check_permission.mockResolvedValue(false);
+
+                const response = await request(app)
+                    .post(`/api/exhibits/v2/exhibit/${TEST_UUID}/clone`)
+                    .send({ owner: 7 })
+                    .expect('Content-Type', /json/)
+                    .expect(403);
+
+                expect(response.body.message).toBe('Unauthorized request');
+                expect(mockExhibitsModel.clone_exhibit).not.toHaveBeenCalled();
+            });
+
+            test('should pass a missing source exhibit through as 404', async () => {
+                mockExhibitsModel.clone_exhibit.mockResolvedValue({ status: 404, message: 'Exhibit not found' });
+
+                const response = await request(app)
+                    .post(`/api/exhibits/v2/exhibit/${TEST_UUID}/clone`)
+                    .send({ owner: 7 })
+                    .expect(404);
+
+                expect(response.body.success).toBe(false);
+            });
+        });
+
+        // ---------- TRANSFER EXHIBIT ----------
+        describe('POST /api/exhibits/v2/exhibit/:exhibit_id/transfer (Transfer Exhibit)', () => {
+
+            test('should transfer exhibit and its components when cascade is set', async () => {
+                mockExhibitsModel.transfer_exhibit.mockResolvedValue({
+                    status: 200,
+                    message: 'Exhibit ownership transferred',
+                    data: { previous_owner: 3, owner: 7, counts: { exhibit: 1, item: 4, media: 2 } }
+                });
+
+                const response = await request(app)
+                    .post(`/api/exhibits/v2/exhibit/${TEST_UUID}/transfer`)
+                    .send({ owner: 7, cascade: true, updated_by: 'Curator A' })
+                    .expect('Content-Type', /json/)
+                    .expect(200);
+
+                expect(response.body.success).toBe(true);
+                expect(response.body.data.counts.item).toBe(4);
+                expect(mockExhibitsModel.transfer_exhibit).toHaveBeenCalledWith(TEST_UUID, 7, {
+                    cascade: true,
+                    updated_by: 'Curator A'
+                });
+            });
+
+            test('should check transfer_exhibit / transfer_any_exhibit against the exhibit', async () => {
+                mockExhibitsModel.transfer_exhibit.mockResolvedValue({ status: 200, message: 'Exhibit ownership transferred', data: {} });
+
+                await request(app)
+                    .post(`/api/exhibits/v2/exhibit/${TEST_UUID}/transfer`)
+                    .send({ owner: 7 })
+                    .expect(200);
+
+                expect(AUTHORIZE.check_permission).toHaveBeenCalledWith(expect.objectContaining({
+                    permissions: ['transfer_exhibit', 'transfer_any_exhibit'],
+                    record_type: 'exhibit',
+                    parent_id: TEST_UUID
+                }));
+                expect(mockExhibitsModel.transfer_exhibit.mock.calls[0][2].cascade).toBe(false);
+            });
+
+            test('should return 400 when the new owner is missing or invalid', async () => {
+                const response = await request(app)
+                    .post(`/api/exhibits/v2/exhibit/${TEST_UUID}/transfer`)
+                    .send({ owner: 'abc' })
+                    .expect('Content-Type', /json/)
+                    .expect(400);
+
+                expect(response.body.success).toBe(false);
+                expect(mockExhibitsModel.transfer_exhibit).not.toHaveBeenCalled();
+            });
+
+            test('should return 400 when cascade is not a boolean', async () => {
+                await request(app)
+                    .post(`/api/exhibits/v2/exhibit/${TEST_UUID}/transfer`)
+                    .send({ owner: 7, cascade: 'yes' })
+                    .expect(400);
+
+                expect(mockExhibitsModel.transfer_exhibit).not.toHaveBeenCalled();
+            });
+
+            test('should return 403 when user is not authorized', async () => {
+                AUTHORIZE.check_permission.mockResolvedValue(false);
+
+                const response = await request(app)
+                    .post(`/api/exhibits/v2/exhibit/${TEST_UUID}/transfer`)
+                    .send({ owner: 7 })
+                    .expect('Content-Type', /json/)
+                    .expect(403);
+
+                expect(response.body.message).toBe('Unauthorized request');
+                expect(mockExhibitsModel.transfer_exhibit).not.toHaveBeenCalled();
+            });
+
+            test('should pass through a model failure', async () => {
+                mockExhibitsModel.transfer_exhibit.mockResolvedValue({
+                    status: 400,
+                    message: 'Unable to transfer exhibit: New owner not found or inactive: 7'
+                });
+
+                const response = await request(app)
+                    .post(`/api/exhibits/v2/exhibit/${TEST_UUID}/transfer`)
+                    .send({ owner: 7 })
+                    .expect(400);
+
+                expect(response.body.success).toBe(false);
+            });
+        });
+
         // ---------- UNLOCK EXHIBIT ----------
         describe('POST /api/exhibits/v2/exhibit/:exhibit_id/unlock (Unlock Exhibit)', () => {
 
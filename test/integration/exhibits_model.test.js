@@ -129,6 +129,52 @@ jest.mock('../../exhibits/tasks/exhibit_timeline_record_tasks', () => {
     }));
 });
 
+// Mock Bundle Tasks (clone reads and inserts the exhibit graph through these)
+const mockBundleTask = {
+    get_exhibit_graph: jest.fn(),
+    collect_media_uuids: jest.fn(),
+    get_media_records: jest.fn(),
+    import_exhibit_graph: jest.fn()
+};
+
+jest.mock('../../exhibits/tasks/exhibit_bundle_tasks', () => {
+    return jest.fn().mockImplementation(() => mockBundleTask);
+});
+
+const mockMediaLibraryTask = {
+    bind_media: jest.fn()
+};
+
+jest.mock('../../exhibits/tasks/exhibit_media_library_tasks', () => {
+    return jest.fn().mockImplementation(() => mockMediaLibraryTask);
+});
+
+// Mock Revision Record Tasks: the save runs with a stand-in transaction
+const mockRevisionTask = {
+    capture_save: jest.fn(async (record_type, uuid, save) => ({ result: await save(jest.fn()), before: null, after: null })),
+    record_revision: jest.fn().mockResolvedValue(null)
+};
+
+jest.mock('../../exhibits/tasks/exhibit_revision_record_tasks', () => {
+    return jest.fn().mockImplementation(() => mockRevisionTask);
+});
+
+// Mock Review Model (editorial review gate on publish)
+const mockReviewModel = {
+    is_publishable: jest.fn(),
+    record_publication: jest.fn(),
+    revoke_approval: jest.fn()
+};
+
+jest.mock('../../exhibits/review_model', () => mockReviewModel);
+
+// Mock Accessibility Model (optional accessibility gate on publish)
+const mockAccessibilityModel = {
+    get_publish_blockers: jest.fn()
+};
+
+jest.mock('../../exhibits/accessibility_model', () => mockAccessibilityModel);
+
 // Mock Indexer Model
 jest.mock('../../indexer/model', () => ({
     index_record: jest.fn().mockResolvedValue({ status: 201 }),
@@ -420,6 +466,46 @@ describe('Exhibits Model Integration Tests', () => {
             expect(result.message).toBe('Exhibit record updated');
         });
 
+        test('should return an approved exhibit to review after an edit', async () => {
+            mockExhibitRecordTask.update_exhibit_record.mockResolvedValue(true);
+
+            await EXHIBITS_MODEL.update_exhibit_record(TEST_UUID, { title: 'Updated Title' });
+
+            expect(mockReviewModel.revoke_approval).toHaveBeenCalledWith(TEST_UUID);
+        });
+
+        test('should diff the revision against the state captured in the save transaction', async () => {
+            const before = { uuid: TEST_UUID, title: 'Old Title' };
+            const after = { uuid: TEST_UUID, title: 'Updated Title' };
+
+            mockRevisionTask.capture_save.mockImplementationOnce(async (record_type, uuid, save) => ({
+                result: await save(jest.fn()),
+                before,
+                after
+            }));
+
+            await EXHIBITS_MODEL.update_exhibit_record(TEST_UUID, { title: 'Updated Title', updated_by: 'Curator' });
+
+            expect(mockRevisionTask.capture_save).toHaveBeenCalledWith('exhibit', TEST_UUID, expect.any(Function));
+            expect(mockRevisionTask.record_revision).toHaveBeenCalledWith('exhibit', before, {
+                after,
+                created_by: 'Curator',
+                restored_from: undefined
+            });
+        });
+
+        test('should only record a restore when restored_from is passed as an option', async () => {
+            const restored_from = '770e8400-e29b-41d4-a716-446655440000';
+
+            await EXHIBITS_MODEL.update_exhibit_record(TEST_UUID, { title: 'Edited', restored_from });
+
+            expect(mockRevisionTask.record_revision.mock.calls[0][2].restored_from).toBeUndefined();
+
+            await EXHIBITS_MODEL.update_exhibit_record(TEST_UUID, { title: 'Restored' }, { restored_from });
+
+            expect(mockRevisionTask.record_revision.mock.calls[1][2].restored_from).toBe(restored_from);
+        });
+
         test('should return 400 for invalid UUID', async () => {
             const result = await EXHIBITS_MODEL.update_exhibit_record(null, { title: 'Test' });
 
@@ -444,6 +530,7 @@ describe('Exhibits Model Integration Tests', () => {
 
             expect(result.status).toBe(400);
             expect(result.message).toBe('Unable to update exhibit record');
+            expect(mockReviewModel.revoke_approval).not.toHaveBeenCalled();
         });
     });
 
@@ -567,4 +654,125 @@ describe('Exhibits Model Integration Tests', () => {
             expect(result).toBe(false);
         });
     });
+
+    // ==================== CLONE EXHIBIT ====================
+
+    describe('clone_exhibit', () => {
+        const CLONE_UUID = '770e8400-e29b-41d4-a716-446655440002';
+        const HERO_UUID = '880e8400-e29b-41d4-a716-446655440003';
+        const GONE_UUID = '990e8400-e29b-41d4-a716-446655440004';
+
+        beforeEach(() => {
+            mockBundleTask.get_exhibit_graph.mockResolvedValue({
+                exhibit: { uuid: TEST_UUID, title: 'Exhibit' },
+                headings: [],
+                items: [],
+                grids: [],
+                grid_items: [],
+                timelines: [],
+                timeline_items: [],
+                exhibit_media: [
+                    { media_uuid: HERO_UUID, media_role: 'hero_image' },
+                    { media_uuid: GONE_UUID, media_role: 'thumbnail' }
+                ]
+            });
+            mockBundleTask.collect_media_uuids.mockReturnValue([HERO_UUID, GONE_UUID]);
+            mockBundleTask.get_media_records.mockResolvedValue([{ uuid: HERO_UUID }]);
+            mockBundleTask.import_exhibit_graph.mockResolvedValue({ uuid: CLONE_UUID, counts: { exhibit: 1, exhibit_media: 0 } });
+            mockMediaLibraryTask.bind_media.mockResolvedValue({});
+        });
+
+        test('should copy the graph as a titled draft that reuses active media', async () => {
+            const result = await EXHIBITS_MODEL.clone_exhibit(TEST_UUID, { owner: 5, created_by: 'Curator' });
+
+            expect(result.status).toBe(201);
+            expect(result.data).toEqual({ uuid: CLONE_UUID, source_uuid: TEST_UUID, counts: { exhibit: 1, exhibit_media: 1 } });
+
+            const [graph, plan, options] = mockBundleTask.import_exhibit_graph.mock.calls[0];
+            expect(graph.exhibit.title).toBe('Exhibit (Copy)');
+            expect(graph.exhibit_media).toEqual([]);
+            expect(plan).toEqual([{ source_uuid: HERO_UUID, uuid: HERO_UUID, record: null }]);
+            expect(options).toEqual({ owner: 5, created_by: 'Curator' });
+        });
+
+        test('should bind hero/thumbnail media only when the media is still active', async () => {
+            await EXHIBITS_MODEL.clone_exhibit(TEST_UUID, { owner: 5, created_by: 'Curator' });
+
+            expect(mockMediaLibraryTask.bind_media).toHaveBeenCalledTimes(1);
+            expect(mockMediaLibraryTask.bind_media).toHaveBeenCalledWith(CLONE_UUID, HERO_UUID, 'hero_image', 'Curator');
+        });
+
+        test('should return 404 when the source exhibit does not exist', async () => {
+            mockBundleTask.get_exhibit_graph.mockResolvedValue(null);
+
+            const result = await EXHIBITS_MODEL.clone_exhibit(TEST_UUID, { owner: 5 });
+
+            expect(result.status).toBe(404);
+            expect(mockBundleTask.import_exhibit_graph).not.toHaveBeenCalled();
+        });
+
+        test('should return 400 for an invalid owner', async () => {
+            const result = await EXHIBITS_MODEL.clone_exhibit(TEST_UUID, { owner: 0 });
+
+            expect(result.status).toBe(400);
+            expect(mockBundleTask.get_exhibit_graph).not.toHaveBeenCalled();
+        });
+
+        test('should return 400 when the copy cannot be written', async () => {
+            mockBundleTask.import_exhibit_graph.mockRejectedValue(new Error('Deadlock'));
+
+            const result = await EXHIBITS_MODEL.clone_exhibit(TEST_UUID, { owner: 5 });
+
+            expect(result.status).toBe(400);
+            expect(result.message).toContain('Deadlock');
+        });
+    });
+
+    // ==================== PUBLISH EXHIBIT ====================
+
+    describe('publish_exhibit', () => {
+
+        test('should refuse an exhibit that has not been approved in review', async () => {
+            mockReviewModel.is_publishable.mockResolvedValue(false);
+
+            const result = await EXHIBITS_MODEL.publish_exhibit(TEST_UUID);
+
+            expect(result.status).toBe('not_approved');
+            expect(mockReviewModel.is_publishable).toHaveBeenCalledWith(TEST_UUID);
+            expect(mockExhibitRecordTask.set_to_publish).not.toHaveBeenCalled();
+            expect(mockReviewModel.record_publication).not.toHaveBeenCalled();
+        });
+
+        test('should refuse an exhibit with accessibility errors when the check blocks', async () => {
+            const blocker = { severity: 'error', code: 'missing_alt_text', record_type: 'item', uuid: TEST_UUID };
+            mockReviewModel.is_publishable.mockResolvedValue(true);
+            mockAccessibilityModel.get_publish_blockers.mockResolvedValue([blocker]);
+
+            const result = await EXHIBITS_MODEL.publish_exhibit(TEST_UUID);
+
+            expect(result.status).toBe('accessibility_errors');
+            expect(result.data).toEqual([blocker]);
+            expect(mockAccessibilityModel.get_publish_blockers).toHaveBeenCalledWith(TEST_UUID);
+            expect(mockExhibitRecordTask.set_to_publish).not.toHaveBeenCalled();
+        });
+
+        test('should fail closed when the accessibility check cannot run', async () => {
+            mockReviewModel.is_publishable.mockResolvedValue(true);
+            mockAccessibilityModel.get_publish_blockers.mockRejectedValue(new Error('DB down'));
+
+            const result = await EXHIBITS_MODEL.publish_exhibit(TEST_UUID);
+
+            expect(result.status).toBe(false);
+            expect(mockExhibitRecordTask.set_to_publish).not.toHaveBeenCalled();
+        });
+
+        test('should fail closed when the review state cannot be read', async () => {
+            mockReviewModel.is_publishable.mockRejectedValue(new Error('DB down'));
+
+            const result = await EXHIBITS_MODEL.publish_exhibit(TEST_UUID);
+
+            expect(result.status).toBe(false);
+            expect(mockExhibitRecordTask.set_to_publish).not.toHaveBeenCalled();
+        });
+    });
 });
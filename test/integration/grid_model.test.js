@@ -95,6 +95,16 @@ jest.mock('../../indexer/model', () => ({
     delete_record: jest.fn().mockResolvedValue({ status: 204 })
 }));
 
+// Mock Revision Record Tasks: the save runs with a stand-in transaction
+const mockRevisionTask = {
+    capture_save: jest.fn(async (record_type, uuid, save) => ({ result: await save(jest.fn()), before: null, after: null })),
+    record_revision: jest.fn().mockResolvedValue(null)
+};
+
+jest.mock('../../exhibits/tasks/exhibit_revision_record_tasks', () => {
+    return jest.fn().mockImplementation(() => mockRevisionTask);
+});
+
 // ==================== TESTS ====================
 
 describe('Grid Model Integration Tests', () => {
@@ -0,0 +1,191 @@
+'use strict';
+
+/**
+ * IIIF Content Search 2.0 over the extracted text of uploaded PDFs.
+ *
+ * Pins the response shape viewers rely on: one supplementing annotation per
+ * hit carrying the passage and targeting the PDF canvas at the hit's page, a
+ * highlighting annotation with a TextQuoteSelector per hit, `ignored` for the
+ * unsupported parameters, and the SearchService2 link in the PDF manifest.
+ */
+
+jest.mock('../../libs/log4', () => ({
+    module: () => ({ info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() })
+}));
+
+jest.mock('../../media-library/model', () => ({
+    get_media_record: jest.fn()
+}));
+
+jest.mock('../../media-library/uploads', () => ({}));
+
+process.env.ELASTICSEARCH_HOST = process.env.ELASTICSEARCH_HOST || 'http://es.test:9200';
+process.env.REPO_ELASTICSEARCH_INDEX = process.env.REPO_ELASTICSEARCH_INDEX || 'repo-test';
+
+const MEDIA_MODEL = require('../../media-library/model');
+const CONTROLLER = require('../../media-library/controller');
+const IIIF_SERVICE = require('../../media-library/iiif-service');
+
+const PDF_UUID = 'eca4e8ba-b96a-4a6c-920c-0b5f5e88d6d0';
+const BASE = 'http://host/exhibits-dashboard/iiif';
+const SERVICE_ID = `${BASE}/${PDF_UUID}/search`;
+const CANVAS_ID = `${BASE}/${PDF_UUID}/manifest/canvas/1`;
+
+const pdf_record = (overrides = {}) => ({
+    uuid: PDF_UUID,
+    name: 'Survey notes',
+    ingest_method: 'upload',
+    mime_type: 'application/pdf',
+    media_type: 'pdf',
+    storage_path: 'documents/ec/a4/test.pdf',
+    full_text: JSON.stringify([
+        'Notes on the Front Range survey.',
+        '',
+        'The range was mapped in 1873; the RANGE party camped near Boulder.'
+    ]),
+    ...overrides
+});
+
+const mock_res = () => ({
+    set: jest.fn(),
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn()
+});
+
+beforeEach(() => {
+    MEDIA_MODEL.get_media_record.mockResolvedValue({ success: true, record: pdf_record() });
+});
+
+describe('search_full_text', () => {
+
+    test('returns a hit per occurrence, targeting the page it was found on', async () => {
+        const { results } = await IIIF_SERVICE.search_full_text(PDF_UUID, { q: 'range' }, BASE);
+
+        expect(results['@context']).toBe('http://iiif.io/api/search/2/context.json');
+        expect(results.id).toBe(`${SERVICE_ID}?q=range`);
+        expect(results.type).toBe('AnnotationPage');
+        expect(results.items.map((item) => item.target.selector.value)).toEqual(['page=1', 'page=3', 'page=3']);
+        expect(results.items[0]).toEqual({
+            id: `${SERVICE_ID}/annotation/1`,
+            type: 'Annotation',
+            motivation: 'supplementing',
+            body: { type: 'TextualBody', value: 'Notes on the Front Range survey.', format: 'text/plain' },
+            target: {
+                type: 'SpecificResource',
+                source: CANVAS_ID,
+                selector: { type: 'FragmentSelector', conformsTo: 'http://tools.ietf.org/rfc/rfc3778', value: 'page=1' }
+            }
+        });
+    });
+
+    test('highlights the matched words, keeping their original case', async () => {
+        const { results } = await IIIF_SERVICE.search_full_text(PDF_UUID, { q: 'range' }, BASE);
+        const highlights = results.annotations[0].items;
+
+        expect(highlights).toHaveLength(3);
+        expect(highlights[2]).toEqual({
+            id: `${SERVICE_ID}/match/3`,
+            type: 'Annotation',
+            motivation: 'highlighting',
+            target: {
+                type: 'SpecificResource',
+                source: `${SERVICE_ID}/annotation/3`,
+                selector: [{
+                    type: 'TextQuoteSelector',
+                    prefix: 'The range was mapped in 1873; the ',
+                    exact: 'RANGE',
+                    suffix: ' party camped near Boulder.'
+                }]
+            }
+        });
+    });
+
+    test('matches any of several terms and lists ignored parameters', async () => {
+        const { results } = await IIIF_SERVICE.search_full_text(PDF_UUID, { q: 'boulder notes', motivation: 'painting' }, BASE);
+
+        expect(results.items.map((item) => item.target.selector.value)).toEqual(['page=1', 'page=3']);
+        expect(results.ignored).toEqual(['motivation']);
+    });
+
+    test('answers an empty page when nothing matches', async () => {
+        const { results } = await IIIF_SERVICE.search_full_text(PDF_UUID, { q: 'glacier' }, BASE);
+
+        expect(results.items).toEqual([]);
+        expect(results).not.toHaveProperty('annotations');
+    });
+
+    test('treats regex characters in the query literally', async () => {
+        const { results } = await IIIF_SERVICE.search_full_text(PDF_UUID, { q: '1873;' }, BASE);
+
+        expect(results.items).toHaveLength(1);
+    });
+
+    test('400 without a query or with a bad UUID; 404 without text', async () => {
+        expect((await IIIF_SERVICE.search_full_text(PDF_UUID, { q: '  ' }, BASE)).status).toBe(400);
+        expect((await IIIF_SERVICE.search_full_text('nope', { q: 'range' }, BASE)).status).toBe(400);
+
+        MEDIA_MODEL.get_media_record.mockResolvedValue({ success: true, record: pdf_record({ full_text: null }) });
+        expect((await IIIF_SERVICE.search_full_text(PDF_UUID, { q: 'range' }, BASE)).status).toBe(404);
+
+        MEDIA_MODEL.get_media_record.mockResolvedValue({ success: false, record: null });
+        expect((await IIIF_SERVICE.search_full_text(PDF_UUID, { q: 'range' }, BASE)).status).toBe(404);
+    });
+});
+
+describe('PDF manifest search service', () => {
+
+    test('advertises SearchService2 when the PDF has text', async () => {
+        const { manifest } = await IIIF_SERVICE.build_manifest_for_uuid(PDF_UUID, BASE, 'http://host/exhibits-dashboard');
+
+        expect(manifest.service).toEqual([{ id: SERVICE_ID, type: 'SearchService2' }]);
+    });
+
+    test('leaves it out when there is no text', async () => {
+        MEDIA_MODEL.get_media_record.mockResolvedValue({ success: true, record: pdf_record({ full_text: null }) });
+
+        const { manifest } = await IIIF_SERVICE.build_manifest_for_uuid(PDF_UUID, BASE, 'http://host/exhibits-dashboard');
+
+        expect(manifest).not.toHaveProperty('service');
+    });
+});
+
+describe('get_iiif_search', () => {
+
+    const req = (media_id, query) => ({
+        params: { media_id },
+        query,
+        protocol: 'http',
+        get: () => 'host',
+        headers: {}
+    });
+
+    test('serves results as public Content Search JSON-LD', async () => {
+        const res = mock_res();
+
+        await CONTROLLER.get_iiif_search(req(PDF_UUID, { q: 'boulder' }), res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.set.mock.calls[0][0]).toMatchObject({
+            'Content-Type': 'application/ld+json;profile="http://iiif.io/api/search/2/context.json"',
+            'Access-Control-Allow-Origin': '*'
+        });
+        expect(res.json.mock.calls[0][0].items).toHaveLength(1);
+    });
+
+    test('passes service failures through with their status', async () => {
+        const res = mock_res();
+
+        await CONTROLLER.get_iiif_search(req(PDF_UUID, {}), res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test('400 for an invalid media ID without a lookup', async () => {
+        const res = mock_res();
+
+        await CONTROLLER.get_iiif_search(req('not-a-uuid', { q: 'range' }), res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(MEDIA_MODEL.get_media_record).not.toHaveBeenCalled();
+    });
+});
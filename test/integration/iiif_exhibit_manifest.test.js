@@ -0,0 +1,236 @@
+'use strict';
+
+/**
+ * IIIF exhibit manifest — one Presentation 3.0 manifest for a whole exhibit.
+ *
+ * Pins how published exhibit content becomes canvases and ranges: items with
+ * media are canvases in exhibit order labelled with their titles and captions,
+ * headings open ranges, grids and timelines are nested ranges, and text-only
+ * items or empty containers leave nothing behind. The task layer is mocked.
+ */
+
+jest.mock('../../libs/log4', () => ({
+    module: () => ({ info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() })
+}));
+
+jest.mock('../../media-library/model', () => ({
+    get_media_record: jest.fn()
+}));
+
+jest.mock('../../media-library/uploads', () => ({}));
+
+const mockGetPublishedExhibit = jest.fn();
+jest.mock('../../exhibits/tasks/exhibit_manifest_tasks', () => {
+    return jest.fn().mockImplementation(() => ({
+        get_published_exhibit: (...args) => mockGetPublishedExhibit(...args)
+    }));
+});
+
+process.env.ELASTICSEARCH_HOST = process.env.ELASTICSEARCH_HOST || 'http://es.test:9200';
+process.env.REPO_ELASTICSEARCH_INDEX = process.env.REPO_ELASTICSEARCH_INDEX || 'repo-test';
+
+const CONTROLLER = require('../../media-library/controller');
+const IIIF_SERVICE = require('../../media-library/iiif-service');
+
+const EXHIBIT_UUID = '11111111-1111-4111-8111-111111111111';
+const BASE = 'http://host/exhibits-dashboard/iiif';
+const FILE = 'http://host/exhibits-dashboard';
+const MANIFEST_ID = `${BASE}/exhibits/${EXHIBIT_UUID}/manifest`;
+
+const image = (uuid, overrides = {}) => ({
+    uuid,
+    name: `Media ${uuid}`,
+    ingest_method: 'upload',
+    media_type: 'image',
+    mime_type: 'image/jpeg',
+    media_width: 1200,
+    media_height: 800,
+    ...overrides
+});
+
+const content = () => ({
+    exhibit: {
+        uuid: EXHIBIT_UUID,
+        title: '<em>Rocky Mountain</em> Maps',
+        description: 'Maps of the Front Range &amp; beyond',
+        thumbnail_media_uuid: 'm-cover',
+        hero_image_media_uuid: null
+    },
+    headings: [
+        { uuid: 'h-1', text: 'Early surveys', order: 2 },
+        { uuid: 'h-2', text: 'Empty section', order: 5 }
+    ],
+    items: [
+        { uuid: 'i-intro', title: 'Introduction', caption: '<p>A first look</p>', media_uuid: 'm-1', order: 1 },
+        { uuid: 'i-text', title: 'Text only', media_uuid: null, order: 3 },
+        { uuid: 'i-repo', title: 'Repository item', media_uuid: 'm-repo', order: 6 }
+    ],
+    grids: [
+        { uuid: 'g-1', title: 'Survey plates', order: 4 },
+        { uuid: 'g-empty', title: 'Nothing published', order: 7 }
+    ],
+    grid_items: [
+        { uuid: 'gi-2', is_member_of_grid: 'g-1', title: 'Plate 2', media_uuid: 'm-3', order: 2 },
+        { uuid: 'gi-1', is_member_of_grid: 'g-1', title: 'Plate 1', media_uuid: 'm-2', order: 1 }
+    ],
+    timelines: [
+        { uuid: 't-1', title: null, order: 8 }
+    ],
+    timeline_items: [
+        { uuid: 'ti-1', is_member_of_timeline: 't-1', title: 'Field notes', media_uuid: 'm-pdf', order: 1 }
+    ],
+    media: [
+        image('m-1'),
+        image('m-2'),
+        image('m-3'),
+        image('m-cover'),
+        image('m-repo', { ingest_method: 'repository' }),
+        { uuid: 'm-pdf', name: 'Notes', ingest_method: 'upload', media_type: 'pdf', mime_type: 'application/pdf', thumbnail_path: 'thumbnails/x.jpg' }
+    ]
+});
+
+const mock_res = () => ({
+    set: jest.fn(),
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn()
+});
+
+beforeEach(() => {
+    mockGetPublishedExhibit.mockResolvedValue(content());
+});
+
+describe('build_manifest_for_exhibit', () => {
+
+    test('paints every item with media onto a canvas, in exhibit order', async () => {
+        const { manifest } = await IIIF_SERVICE.build_manifest_for_exhibit(EXHIBIT_UUID, BASE, FILE);
+
+        expect(manifest.id).toBe(MANIFEST_ID);
+        expect(manifest.type).toBe('Manifest');
+        expect(manifest.label).toEqual({ en: ['Rocky Mountain Maps'] });
+        expect(manifest.summary).toEqual({ en: ['Maps of the Front Range & beyond'] });
+        expect(manifest.items.map((canvas) => canvas.id)).toEqual([
+            `${MANIFEST_ID}/canvas/i-intro`,
+            `${MANIFEST_ID}/canvas/gi-1`,
+            `${MANIFEST_ID}/canvas/gi-2`,
+            `${MANIFEST_ID}/canvas/ti-1`
+        ]);
+        expect(manifest.thumbnail[0].id).toBe(`${BASE}/m-cover/full/!400,400/0/default.jpg`);
+    });
+
+    test('labels canvases with item titles and captions, keeping the media service', async () => {
+        const { manifest } = await IIIF_SERVICE.build_manifest_for_exhibit(EXHIBIT_UUID, BASE, FILE);
+        const canvas = manifest.items[0];
+
+        expect(canvas.label).toEqual({ en: ['Introduction'] });
+        expect(canvas.summary).toEqual({ en: ['A first look'] });
+        expect(canvas.items[0].items[0].body.service[0]).toEqual({
+            id: `${BASE}/m-1`,
+            type: 'ImageService3',
+            profile: 'level2'
+        });
+        expect(manifest.items[3].rendering[0].id).toBe(`${FILE}/iiif/m-pdf/file`);
+    });
+
+    test('builds ranges from headings, grids and timelines', async () => {
+        const { manifest } = await IIIF_SERVICE.build_manifest_for_exhibit(EXHIBIT_UUID, BASE, FILE);
+        const [toc] = manifest.structures;
+        const ref = (uuid) => ({ id: `${MANIFEST_ID}/canvas/${uuid}`, type: 'Canvas' });
+
+        expect(toc).toMatchObject({ id: `${MANIFEST_ID}/range/toc`, type: 'Range', label: { en: ['Rocky Mountain Maps'] } });
+        expect(toc.items).toEqual([
+            ref('i-intro'),
+            {
+                id: `${MANIFEST_ID}/range/h-1`,
+                type: 'Range',
+                label: { en: ['Early surveys'] },
+                items: [{
+                    id: `${MANIFEST_ID}/range/g-1`,
+                    type: 'Range',
+                    label: { en: ['Survey plates'] },
+                    items: [ref('gi-1'), ref('gi-2')]
+                }]
+            },
+            {
+                id: `${MANIFEST_ID}/range/h-2`,
+                type: 'Range',
+                label: { en: ['Empty section'] },
+                items: [{
+                    id: `${MANIFEST_ID}/range/t-1`,
+                    type: 'Range',
+                    label: { en: ['Timeline'] },
+                    items: [ref('ti-1')]
+                }]
+            }
+        ]);
+    });
+
+    test('drops headings left with nothing to show', async () => {
+        const data = content();
+        data.timelines = [];
+        mockGetPublishedExhibit.mockResolvedValue(data);
+
+        const { manifest } = await IIIF_SERVICE.build_manifest_for_exhibit(EXHIBIT_UUID, BASE, FILE);
+
+        expect(manifest.structures[0].items.map((node) => node.id)).toEqual([
+            `${MANIFEST_ID}/canvas/i-intro`,
+            `${MANIFEST_ID}/range/h-1`
+        ]);
+    });
+
+    test('404 when the exhibit is missing or unpublished; 400 for a bad UUID', async () => {
+        mockGetPublishedExhibit.mockResolvedValue(null);
+
+        expect((await IIIF_SERVICE.build_manifest_for_exhibit(EXHIBIT_UUID, BASE, FILE)).status).toBe(404);
+        expect((await IIIF_SERVICE.build_manifest_for_exhibit('nope', BASE, FILE)).status).toBe(400);
+    });
+
+    test('500 when the lookup fails', async () => {
+        mockGetPublishedExhibit.mockRejectedValue(new Error('DB down'));
+
+        const result = await IIIF_SERVICE.build_manifest_for_exhibit(EXHIBIT_UUID, BASE, FILE);
+
+        expect(result.success).toBe(false);
+        expect(result.status).toBe(500);
+    });
+});
+
+describe('get_iiif_exhibit_manifest', () => {
+
+    const req = (exhibit_id) => ({
+        params: { exhibit_id },
+        protocol: 'http',
+        get: () => 'host',
+        headers: {}
+    });
+
+    test('serves the manifest as public IIIF JSON-LD', async () => {
+        const res = mock_res();
+
+        await CONTROLLER.get_iiif_exhibit_manifest(req(EXHIBIT_UUID), res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.set.mock.calls[0][0]).toMatchObject({
+            'Content-Type': 'application/ld+json;profile="http://iiif.io/api/presentation/3/context.json"',
+            'Access-Control-Allow-Origin': '*'
+        });
+        expect(res.json.mock.calls[0][0].type).toBe('Manifest');
+    });
+
+    test('passes a not-found through', async () => {
+        mockGetPublishedExhibit.mockResolvedValue(null);
+        const res = mock_res();
+
+        await CONTROLLER.get_iiif_exhibit_manifest(req(EXHIBIT_UUID), res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test('400 for an invalid exhibit ID without a lookup', async () => {
+        const res = mock_res();
+
+        await CONTROLLER.get_iiif_exhibit_manifest(req('not-a-uuid'), res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(mockGetPublishedExhibit).not.toHaveBeenCalled();
+    });
+});
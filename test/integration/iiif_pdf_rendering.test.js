@@ -18,25 +18,16 @@ jest.mock('../../media-library/model', () => ({
     get_media_record: jest.fn()
 }));
 
-jest.mock('../../media-library/uploads', () => ({
-    resolve_storage_path: jest.fn()
-}));
-
-jest.mock('fs', () => {
-    const actual = jest.requireActual('fs');
-    return {
-        ...actual,
-        statSync: jest.fn(),
-        createReadStream: jest.fn()
-    };
+jest.mock('../../media-library/storage-adapter', () => {
+    const storage = { stat: jest.fn(), stream: jest.fn() };
+    return () => storage;
 });
 
 process.env.ELASTICSEARCH_HOST = process.env.ELASTICSEARCH_HOST || 'http://es.test:9200';
 process.env.REPO_ELASTICSEARCH_INDEX = process.env.REPO_ELASTICSEARCH_INDEX || 'repo-test';
 
-const FS = require('fs');
 const MEDIA_MODEL = require('../../media-library/model');
-const UPLOADS = require('../../media-library/uploads');
+const STORAGE = require('../../media-library/storage-adapter')();
 const CONTROLLER = require('../../media-library/controller');
 const IIIF_SERVICE = require('../../media-library/iiif-service');
 
@@ -91,10 +82,9 @@ describe('get_iiif_file (public PDF delivery)', () => {
 
     test('serves an uploaded PDF with CORS + inline headers and streams it', async () => {
         MEDIA_MODEL.get_media_record.mockResolvedValue({ success: true, record: pdf_record() });
-        UPLOADS.resolve_storage_path.mockResolvedValue('/resolved/test.pdf');
-        FS.statSync.mockReturnValue({ isFile: () => true, size: 1234 });
+        STORAGE.stat.mockResolvedValue({ size: 1234, modified: new Date() });
         const stream = { on: jest.fn().mockReturnThis(), pipe: jest.fn() };
-        FS.createReadStream.mockReturnValue(stream);
+        STORAGE.stream.mockResolvedValue(stream);
 
         const res = mock_res();
         await CONTROLLER.get_iiif_file({ params: { media_id: PDF_UUID } }, res);
@@ -104,6 +94,8 @@ describe('get_iiif_file (public PDF delivery)', () => {
         expect(headers['Access-Control-Allow-Origin']).toBe('*');
         expect(headers['Content-Type']).toBe('application/pdf');
         expect(headers['Content-Disposition']).toMatch(/^inline;/);
+        expect(headers['Content-Length']).toBe(1234);
+        expect(STORAGE.stream).toHaveBeenCalledWith('documents/ec/a4/test.pdf');
         expect(stream.pipe).toHaveBeenCalledWith(res);
         expect(res.status).not.toHaveBeenCalled();
     });
@@ -118,7 +110,7 @@ describe('get_iiif_file (public PDF delivery)', () => {
         await CONTROLLER.get_iiif_file({ params: { media_id: PDF_UUID } }, res);
 
         expect(res.status).toHaveBeenCalledWith(404);
-        expect(FS.createReadStream).not.toHaveBeenCalled();
+        expect(STORAGE.stream).not.toHaveBeenCalled();
     });
 
     test('refuses non-PDF uploads with 404', async () => {
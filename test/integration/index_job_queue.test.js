@@ -0,0 +1,395 @@
+/**
+ * Integration tests for the search index job queue: the job model
+ * (exhibits/index_job_model), its worker (exhibits/index_job_worker) and the
+ * coalescer that enqueues into it (exhibits/reindex_coalescer).
+ *
+ * The queue table (Index_job_tasks), the indexer model and the record models
+ * the publish jobs call are mocked, so no DB or Elasticsearch is needed.
+ */
+
+'use strict';
+
+const OS = require('os');
+
+// ==================== MOCKS ====================
+
+jest.mock('../../libs/log4', () => ({
+    module: () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })
+}));
+
+jest.mock('../../config/db_config', () => () => ({}));
+jest.mock('../../config/db_tables_config', () => () => ({ exhibits: {} }));
+
+const mockJobTasks = {
+    enqueue_job: jest.fn(),
+    lease_jobs: jest.fn(),
+    complete_job: jest.fn(),
+    fail_job: jest.fn(),
+    get_jobs: jest.fn(),
+    get_job_counts: jest.fn(),
+    retry_job: jest.fn(),
+    is_record_published: jest.fn()
+};
+jest.mock('../../exhibits/tasks/index_job_tasks', () => class {
+    constructor() {
+        return mockJobTasks;
+    }
+});
+
+const mockIndexerModel = {
+    index_exhibit_record: jest.fn(),
+    index_item_record: jest.fn(),
+    index_heading_record: jest.fn(),
+    index_grid_record: jest.fn(),
+    index_timeline_record: jest.fn(),
+    reindex_grid_record: jest.fn(),
+    reindex_timeline_record: jest.fn(),
+    delete_record: jest.fn()
+};
+jest.mock('../../indexer/model', () => mockIndexerModel);
+
+const mockPublishItem = jest.fn();
+const mockPublishGridItem = jest.fn();
+jest.mock('../../exhibits/items_model', () => ({ publish_item_record: (...args) => mockPublishItem(...args) }));
+jest.mock('../../exhibits/grid_model', () => ({ publish_grid_item_record: (...args) => mockPublishGridItem(...args) }));
+
+const INDEX_JOB_MODEL = require('../../exhibits/index_job_model');
+const INDEX_JOB_WORKER = require('../../exhibits/index_job_worker');
+const REINDEX_COALESCER = require('../../exhibits/reindex_coalescer');
+
+// ==================== FIXTURE ====================
+
+const EXHIBIT = '11111111-1111-4111-8111-111111111111';
+const ITEM = '22222222-2222-4222-8222-222222222222';
+const GRID = '33333333-3333-4333-8333-333333333333';
+const JOB = '44444444-4444-4444-8444-444444444444';
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+const job = (type, payload, changes = {}) => ({
+    uuid: JOB, type, dedupe_key: `${type}:${payload.uuid}`, payload, attempts: 1, ...changes
+});
+
+// Leases the given jobs once, then an empty queue
+const queue = (...jobs) => {
+    mockJobTasks.lease_jobs.mockResolvedValueOnce(jobs).mockResolvedValue([]);
+};
+
+beforeEach(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['setImmediate', 'nextTick'] });
+    mockJobTasks.lease_jobs.mockResolvedValue([]);
+    mockJobTasks.complete_job.mockResolvedValue(true);
+    mockJobTasks.fail_job.mockResolvedValue(true);
+    mockJobTasks.is_record_published.mockResolvedValue(true);
+});
+
+afterEach(() => {
+    INDEX_JOB_WORKER.stop();
+    jest.useRealTimers();
+});
+
+// ==================== MODEL ====================
+
+describe('enqueue_job', () => {
+
+    test('stores the job under its key, due after the delay', async () => {
+        mockJobTasks.enqueue_job.mockResolvedValue({ uuid: JOB, coalesced: false });
+
+        const result = await INDEX_JOB_MODEL.enqueue_job(`item:${ITEM}`, 'index_item', { exhibit_uuid: EXHIBIT, uuid: ITEM }, 1000);
+
+        expect(result).toEqual({ uuid: JOB, coalesced: false });
+        expect(mockJobTasks.enqueue_job).toHaveBeenCalledWith({
+            dedupe_key: `item:${ITEM}`,
+            type: 'index_item',
+            payload: { exhibit_uuid: EXHIBIT, uuid: ITEM },
+            run_at: new Date(NOW.getTime() + 1000)
+        });
+    });
+
+    test('rejects a job type with no handler', async () => {
+        await expect(INDEX_JOB_MODEL.enqueue_job(`item:${ITEM}`, 'reticulate', { uuid: ITEM })).rejects.toThrow('Unknown index job type: reticulate');
+        expect(mockJobTasks.enqueue_job).not.toHaveBeenCalled();
+    });
+});
+
+describe('process_due_jobs', () => {
+
+    test('runs a leased job and removes it from the queue', async () => {
+        mockIndexerModel.index_item_record.mockResolvedValue(true);
+        queue(job('index_item', { exhibit_uuid: EXHIBIT, uuid: ITEM }));
+
+        const summary = await INDEX_JOB_MODEL.process_due_jobs();
+
+        expect(summary).toEqual({ done: 1, skipped: 0, retrying: 0, dead: 0 });
+        expect(mockIndexerModel.index_item_record).toHaveBeenCalledWith(EXHIBIT, ITEM);
+        expect(mockJobTasks.lease_jobs).toHaveBeenCalledWith(`${OS.hostname()}:${process.pid}`, NOW, INDEX_JOB_MODEL.CONSTANTS.LEASE_MS, INDEX_JOB_MODEL.CONSTANTS.BATCH_SIZE);
+        expect(mockJobTasks.complete_job).toHaveBeenCalledWith(JOB, `${OS.hostname()}:${process.pid}`);
+        expect(mockJobTasks.fail_job).not.toHaveBeenCalled();
+    });
+
+    test('reschedules a failed job with backoff and keeps the error', async () => {
+        mockIndexerModel.reindex_grid_record.mockResolvedValue(false);
+        queue(job('reindex_grid', { exhibit_uuid: EXHIBIT, uuid: GRID }, { attempts: 3 }));
+
+        const summary = await INDEX_JOB_MODEL.process_due_jobs();
+
+        expect(summary.retrying).toBe(1);
+        expect(mockJobTasks.complete_job).not.toHaveBeenCalled();
+        expect(mockJobTasks.fail_job).toHaveBeenCalledWith(
+            JOB,
+            expect.any(String),
+            `Unable to re-index grid ${GRID}`,
+            new Date(NOW.getTime() + INDEX_JOB_MODEL.get_backoff_ms(3))
+        );
+    });
+
+    test('treats a thrown error like a failed result', async () => {
+        mockIndexerModel.index_exhibit_record.mockRejectedValue(new Error('connect ECONNREFUSED'));
+        queue(job('index_exhibit', { uuid: EXHIBIT }));
+
+        await INDEX_JOB_MODEL.process_due_jobs();
+
+        expect(mockJobTasks.fail_job).toHaveBeenCalledWith(JOB, expect.any(String), 'connect ECONNREFUSED', expect.any(Date));
+    });
+
+    test('dead-letters a job that has used its last attempt', async () => {
+        mockIndexerModel.index_item_record.mockResolvedValue(false);
+        queue(job('index_item', { exhibit_uuid: EXHIBIT, uuid: ITEM }, { attempts: INDEX_JOB_MODEL.CONSTANTS.MAX_ATTEMPTS }));
+
+        const summary = await INDEX_JOB_MODEL.process_due_jobs();
+
+        expect(summary.dead).toBe(1);
+        expect(mockJobTasks.fail_job).toHaveBeenCalledWith(JOB, expect.any(String), `Unable to index item ${ITEM}`, null);
+    });
+
+    test('drops a re-publish job for a record suppressed since it was queued', async () => {
+        mockJobTasks.is_record_published.mockResolvedValue(false);
+        queue(job('publish_item', { exhibit_uuid: EXHIBIT, uuid: ITEM }));
+
+        const summary = await INDEX_JOB_MODEL.process_due_jobs();
+
+        expect(summary.skipped).toBe(1);
+        expect(mockJobTasks.is_record_published).toHaveBeenCalledWith('item', ITEM);
+        expect(mockPublishItem).not.toHaveBeenCalled();
+        expect(mockJobTasks.complete_job).toHaveBeenCalledWith(JOB, expect.any(String));
+    });
+
+    test('re-publishes a grid item through its container', async () => {
+        mockPublishGridItem.mockResolvedValue({ status: true });
+        queue(job('publish_grid_item', { exhibit_uuid: EXHIBIT, container_uuid: GRID, uuid: ITEM }));
+
+        await INDEX_JOB_MODEL.process_due_jobs();
+
+        expect(mockJobTasks.is_record_published).toHaveBeenCalledWith('grid_item', ITEM);
+        expect(mockPublishGridItem).toHaveBeenCalledWith(EXHIBIT, GRID, ITEM);
+        expect(mockJobTasks.complete_job).toHaveBeenCalled();
+    });
+
+    test('drops a re-index from a reorder or bulk publish once its exhibit is suppressed', async () => {
+        mockJobTasks.is_record_published.mockImplementation(async (type) => type !== 'exhibit');
+        queue(job('index_item', { exhibit_uuid: EXHIBIT, uuid: ITEM }), job('reindex_grid', { exhibit_uuid: EXHIBIT, uuid: GRID }, { uuid: 'job-2' }));
+
+        const summary = await INDEX_JOB_MODEL.process_due_jobs();
+
+        expect(summary).toEqual({ done: 0, skipped: 2, retrying: 0, dead: 0 });
+        expect(mockJobTasks.is_record_published).toHaveBeenCalledWith('item', ITEM);
+        expect(mockJobTasks.is_record_published).toHaveBeenCalledWith('grid', GRID);
+        expect(mockJobTasks.is_record_published).toHaveBeenCalledWith('exhibit', EXHIBIT);
+        expect(mockIndexerModel.index_item_record).not.toHaveBeenCalled();
+        expect(mockIndexerModel.reindex_grid_record).not.toHaveBeenCalled();
+    });
+
+    test('drops a grid item re-publish once its grid is suppressed', async () => {
+        mockJobTasks.is_record_published.mockImplementation(async (type) => type !== 'grid');
+        queue(job('publish_grid_item', { exhibit_uuid: EXHIBIT, container_uuid: GRID, uuid: ITEM }));
+
+        const summary = await INDEX_JOB_MODEL.process_due_jobs();
+
+        expect(summary.skipped).toBe(1);
+        expect(mockJobTasks.is_record_published).toHaveBeenCalledWith('grid', GRID);
+        expect(mockPublishGridItem).not.toHaveBeenCalled();
+    });
+
+    test('a removal runs while the record is suppressed and is dropped once it is published again', async () => {
+        mockIndexerModel.delete_record.mockResolvedValue({ status: 204 });
+        mockJobTasks.is_record_published.mockResolvedValueOnce(false).mockResolvedValue(true);
+        const payload = { record_type: 'item', exhibit_uuid: EXHIBIT, uuid: ITEM };
+        queue(job('delete_record', payload), job('delete_record', payload, { uuid: 'job-2' }));
+
+        const summary = await INDEX_JOB_MODEL.process_due_jobs();
+
+        expect(summary).toEqual({ done: 1, skipped: 1, retrying: 0, dead: 0 });
+        expect(mockIndexerModel.delete_record).toHaveBeenCalledTimes(1);
+        expect(mockIndexerModel.delete_record).toHaveBeenCalledWith(ITEM);
+    });
+
+    test('retries a re-publish with the model\'s message when it fails', async () => {
+        mockPublishItem.mockResolvedValue({ status: false, message: 'Unable to publish item' });
+        queue(job('publish_item', { exhibit_uuid: EXHIBIT, uuid: ITEM }));
+
+        await INDEX_JOB_MODEL.process_due_jobs();
+
+        expect(mockJobTasks.fail_job).toHaveBeenCalledWith(JOB, expect.any(String), 'Unable to publish item', expect.any(Date));
+    });
+
+    test('a delete is done when the document is already gone, and retried when ES fails', async () => {
+        mockIndexerModel.delete_record
+            .mockResolvedValueOnce({ status: 200, message: 'Record not found', data: { result: 'not_found' } })
+            .mockResolvedValueOnce({ status: 200, message: 'Unable to delete record' });
+        queue(job('delete_record', { uuid: ITEM }), job('delete_record', { uuid: GRID }, { uuid: 'job-2' }));
+
+        const summary = await INDEX_JOB_MODEL.process_due_jobs();
+
+        expect(summary).toEqual({ done: 1, skipped: 0, retrying: 1, dead: 0 });
+        expect(mockJobTasks.complete_job).toHaveBeenCalledWith(JOB, expect.any(String));
+        expect(mockJobTasks.fail_job).toHaveBeenCalledWith('job-2', expect.any(String), `Unable to remove ${GRID} from the index: Unable to delete record`, expect.any(Date));
+    });
+
+    test('keeps leasing while batches come back full', async () => {
+        mockIndexerModel.index_item_record.mockResolvedValue(true);
+        const batch = Array.from({ length: INDEX_JOB_MODEL.CONSTANTS.BATCH_SIZE }, (_, i) => job('index_item', { exhibit_uuid: EXHIBIT, uuid: ITEM }, { uuid: `job-${i}` }));
+        mockJobTasks.lease_jobs.mockResolvedValueOnce(batch).mockResolvedValueOnce([job('index_item', { exhibit_uuid: EXHIBIT, uuid: ITEM })]);
+
+        const summary = await INDEX_JOB_MODEL.process_due_jobs();
+
+        expect(summary.done).toBe(INDEX_JOB_MODEL.CONSTANTS.BATCH_SIZE + 1);
+        expect(mockJobTasks.lease_jobs).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('get_backoff_ms', () => {
+
+    test('doubles per attempt up to the cap', () => {
+        const { BACKOFF_BASE_MS, BACKOFF_MAX_MS } = INDEX_JOB_MODEL.CONSTANTS;
+
+        expect(INDEX_JOB_MODEL.get_backoff_ms(1)).toBe(BACKOFF_BASE_MS);
+        expect(INDEX_JOB_MODEL.get_backoff_ms(2)).toBe(BACKOFF_BASE_MS * 2);
+        expect(INDEX_JOB_MODEL.get_backoff_ms(4)).toBe(BACKOFF_BASE_MS * 8);
+        expect(INDEX_JOB_MODEL.get_backoff_ms(30)).toBe(BACKOFF_MAX_MS);
+    });
+});
+
+describe('get_index_jobs / retry_index_job', () => {
+
+    test('returns the counts and jobs, filtered by status', async () => {
+        const counts = { pending: 1, retrying: 0, running: 0, dead: 2 };
+        mockJobTasks.get_job_counts.mockResolvedValue(counts);
+        mockJobTasks.get_jobs.mockResolvedValue([{ uuid: JOB, status: 'dead' }]);
+
+        const result = await INDEX_JOB_MODEL.get_index_jobs('dead');
+
+        expect(result.status).toBe(200);
+        expect(result.data).toEqual({ counts, max_attempts: INDEX_JOB_MODEL.CONSTANTS.MAX_ATTEMPTS, jobs: [{ uuid: JOB, status: 'dead' }] });
+        expect(mockJobTasks.get_jobs).toHaveBeenCalledWith('dead', INDEX_JOB_MODEL.CONSTANTS.LIST_LIMIT);
+    });
+
+    test('rejects an unknown status and reports a database failure', async () => {
+        expect((await INDEX_JOB_MODEL.get_index_jobs('finished')).status).toBe(400);
+
+        mockJobTasks.get_job_counts.mockRejectedValue(new Error('ER_NO_SUCH_TABLE'));
+        expect((await INDEX_JOB_MODEL.get_index_jobs()).status).toBe(500);
+    });
+
+    test('requeues a job, or reports it was not waiting', async () => {
+        mockJobTasks.retry_job.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+        expect((await INDEX_JOB_MODEL.retry_index_job(JOB)).status).toBe(200);
+        expect(mockJobTasks.retry_job).toHaveBeenCalledWith(JOB, NOW);
+        expect((await INDEX_JOB_MODEL.retry_index_job(JOB)).status).toBe(404);
+        expect((await INDEX_JOB_MODEL.retry_index_job('not-a-uuid')).status).toBe(400);
+    });
+});
+
+// ==================== COALESCER ====================
+
+describe('reindex_coalescer.schedule_reindex', () => {
+
+    test('queues the job with the debounce window and wakes the worker for it', async () => {
+        mockJobTasks.enqueue_job.mockResolvedValue({ uuid: JOB, coalesced: true });
+        const wake = jest.spyOn(INDEX_JOB_WORKER, 'wake');
+
+        await REINDEX_COALESCER.schedule_reindex(`item:${ITEM}`, 'publish_item', { exhibit_uuid: EXHIBIT, uuid: ITEM });
+
+        expect(mockJobTasks.enqueue_job).toHaveBeenCalledWith(expect.objectContaining({
+            dedupe_key: `item:${ITEM}`,
+            type: 'publish_item',
+            run_at: new Date(NOW.getTime() + REINDEX_COALESCER.DEFAULT_DEBOUNCE_MS)
+        }));
+        expect(wake).toHaveBeenCalledWith(REINDEX_COALESCER.DEFAULT_DEBOUNCE_MS);
+    });
+
+    test('a job that cannot be queued is logged, never thrown', async () => {
+        mockJobTasks.enqueue_job.mockRejectedValue(new Error('ER_LOCK_WAIT_TIMEOUT'));
+        const wake = jest.spyOn(INDEX_JOB_WORKER, 'wake');
+
+        await expect(REINDEX_COALESCER.schedule_reindex(`item:${ITEM}`, 'publish_item', { uuid: ITEM }, 250)).resolves.toBeUndefined();
+        expect(wake).not.toHaveBeenCalled();
+    });
+});
+
+// ==================== WORKER ====================
+
+describe('index_job_worker', () => {
+
+    const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+    test('wake does nothing until the worker is started', async () => {
+        INDEX_JOB_WORKER.wake(0);
+        await jest.advanceTimersByTimeAsync(1000);
+
+        expect(mockJobTasks.lease_jobs).not.toHaveBeenCalled();
+    });
+
+    test('start runs the queue right away, then on every poll', async () => {
+        INDEX_JOB_WORKER.start(10000);
+        await flush();
+
+        expect(mockJobTasks.lease_jobs).toHaveBeenCalledTimes(1);
+
+        await jest.advanceTimersByTimeAsync(10000);
+        expect(mockJobTasks.lease_jobs).toHaveBeenCalledTimes(2);
+    });
+
+    test('a burst of wake-ups runs the queue for the first job and again for the last', async () => {
+        INDEX_JOB_WORKER.start(60000);
+        await flush();
+        mockJobTasks.lease_jobs.mockClear();
+
+        INDEX_JOB_WORKER.wake(1000);
+        await jest.advanceTimersByTimeAsync(400);
+        INDEX_JOB_WORKER.wake(1000);
+        await jest.advanceTimersByTimeAsync(400);
+        INDEX_JOB_WORKER.wake(1000);
+
+        await jest.advanceTimersByTimeAsync(300);   // first job due
+        expect(mockJobTasks.lease_jobs).toHaveBeenCalledTimes(1);
+
+        await jest.advanceTimersByTimeAsync(800);   // last job due
+        expect(mockJobTasks.lease_jobs).toHaveBeenCalledTimes(2);
+
+        await jest.advanceTimersByTimeAsync(5000);
+        expect(mockJobTasks.lease_jobs).toHaveBeenCalledTimes(2);
+    });
+
+    test('a run asked for while one is in progress follows it instead of overlapping', async () => {
+        let release;
+        mockJobTasks.lease_jobs.mockImplementationOnce(() => new Promise((resolve) => { release = resolve; }));
+
+        INDEX_JOB_WORKER.start(60000);
+        await flush();
+
+        expect(await INDEX_JOB_WORKER.run_once()).toBeNull();
+        expect(mockJobTasks.lease_jobs).toHaveBeenCalledTimes(1);
+
+        release([]);
+        await flush();
+        await flush();
+
+        expect(mockJobTasks.lease_jobs).toHaveBeenCalledTimes(2);
+    });
+
+    test('a failing run is logged and the worker keeps polling', async () => {
+        mockJobTasks.lease_jobs.mockRejectedValue(new Error('ER_NO_SUCH_TABLE'));
+
+        await expect(INDEX_JOB_WORKER.run_once()).resolves.toBeNull();
+    });
+});
@@ -0,0 +1,409 @@
+/**
+ * Integration tests for index drift detection and repair (indexer/drift-service).
+ *
+ * The real Indexer_index_tasks reads an in-memory Elasticsearch stand-in;
+ * the database reads (Indexer_drift_tasks) and the model's document build,
+ * index_record and delete_record are mocked, so no ES or DB is needed.
+ */
+
+'use strict';
+
+// ==================== MOCKS ====================
+
+jest.mock('../../libs/log4', () => ({
+    module: () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })
+}));
+
+jest.mock('../../config/elasticsearch_config', () => () => ({
+    elasticsearch_index: 'exhibits_index',
+    elasticsearch_shards: 1,
+    elasticsearch_replicas: 0
+}));
+jest.mock('../../config/db_config', () => () => ({}));
+jest.mock('../../config/db_tables_config', () => () => ({ exhibits: {} }));
+
+/**
+ * In-memory stand-in for the search and refresh calls the drift check uses
+ * @returns {Object} client, plus `docs` (uuid -> _source)
+ */
+const mockCreateFakeEs = () => {
+
+    const docs = new Map();
+
+    const buckets = (values) => [...new Set(values.filter(Boolean))].map((key) => ({ key }));
+
+    const client = {
+        indices: {
+            refresh: jest.fn(async () => ({ _shards: { successful: 1 } }))
+        },
+        search: jest.fn(async ({ query, aggs }) => {
+            if (aggs) {
+                const sources = [...docs.values()];
+                return {
+                    hits: { hits: [] },
+                    aggregations: {
+                        members: { buckets: buckets(sources.map((doc) => doc.is_member_of_exhibit)) },
+                        exhibits: {
+                            uuids: { buckets: buckets(sources.filter((doc) => doc.type === 'exhibit').map((doc) => doc.uuid)) }
+                        }
+                    }
+                };
+            }
+            const exhibit_uuid = query.bool.should[0].ids.values[0];
+            const hits = [...docs.entries()]
+                .filter(([uuid, doc]) => uuid === exhibit_uuid || doc.is_member_of_exhibit === exhibit_uuid)
+                .map(([uuid, doc]) => ({ _id: uuid, _source: JSON.parse(JSON.stringify(doc)) }));
+            return { hits: { hits } };
+        })
+    };
+
+    return { client, docs };
+};
+
+const mockEs = mockCreateFakeEs();
+jest.mock('../../indexer/indexer_helper', () => ({
+    CLIENT: mockEs.client,
+    CONSTANTS: { STATUS_CODES: { OK: 200, NO_CONTENT: 204 } },
+    is_valid_uuid: (uuid) => typeof uuid === 'string' &&
+        /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(uuid)
+}));
+
+const mockGetExhibits = jest.fn();
+const mockGetExhibit = jest.fn();
+const mockGetStates = jest.fn();
+const mockGetChanged = jest.fn();
+jest.mock('../../indexer/tasks/indexer_drift_tasks', () => class {
+    get_exhibits(...args) { return mockGetExhibits(...args); }
+    get_exhibit(...args) { return mockGetExhibit(...args); }
+    get_component_states(...args) { return mockGetStates(...args); }
+    get_changed_exhibit_uuids(...args) { return mockGetChanged(...args); }
+});
+
+const mockBuild = jest.fn();
+const mockIndexRecord = jest.fn();
+const mockDeleteRecord = jest.fn();
+jest.mock('../../indexer/model', () => ({
+    build_published_documents: (...args) => mockBuild(...args),
+    index_record: (...args) => mockIndexRecord(...args),
+    delete_record: (...args) => mockDeleteRecord(...args)
+}));
+
+const DRIFT = require('../../indexer/drift-service');
+
+// ==================== FIXTURE ====================
+
+const EXHIBIT = '11111111-1111-4111-8111-111111111111';
+const OTHER_EXHIBIT = '22222222-2222-4222-8222-222222222222';
+const HEADING = '33333333-3333-4333-8333-333333333333';
+const ITEM = '44444444-4444-4444-8444-444444444444';
+const GRID = '55555555-5555-4555-8555-555555555555';
+const GRID_ITEM_A = '66666666-6666-4666-8666-666666666666';
+const GRID_ITEM_B = '77777777-7777-4777-8777-777777777777';
+
+const UPDATED = new Date('2026-10-01T10:00:00Z');
+const ITEM_EDITED = new Date('2026-10-02T10:00:00Z');
+
+// Database state, keyed by exhibit
+let exhibits;
+let states;
+
+const exhibit_row = (uuid, changes = {}) => ({
+    uuid, title: `Exhibit ${uuid.charAt(0)}`, is_published: 1, is_preview: 0, is_deleted: 0, updated: UPDATED, ...changes
+});
+
+const state = (record_type, uuid, changes = {}) => ({
+    record_type, uuid, parent_uuid: null, is_published: 1, is_deleted: 0, updated: UPDATED, ...changes
+});
+
+// What the model builds for a published exhibit: its published components,
+// with only published items nested in the grid
+const build_documents = (uuid) => {
+    const rows = states[uuid] || [];
+    const published = (type) => rows.filter((row) => row.record_type === type && row.is_published === 1 && row.is_deleted === 0);
+    return {
+        exhibit: { uuid, type: 'exhibit', title: exhibits[uuid].title, is_published: 1 },
+        headings: published('heading').map((row) => ({ uuid: row.uuid, type: 'heading', is_member_of_exhibit: uuid, text: 'Heading' })),
+        items: published('item').map((row) => ({ uuid: row.uuid, type: 'item', is_member_of_exhibit: uuid, title: 'Item' })),
+        grids: published('grid').map((row) => ({
+            uuid: row.uuid,
+            type: 'grid',
+            is_member_of_exhibit: uuid,
+            items: published('grid_item')
+                .filter((item) => item.parent_uuid === row.uuid)
+                .map((item) => ({ uuid: item.uuid, type: 'image', title: 'Grid item' }))
+        })),
+        timelines: []
+    };
+};
+
+// Indexes an exhibit exactly as the database says it should be
+const index_in_sync = (uuid) => {
+    const documents = build_documents(uuid);
+    [documents.exhibit, ...documents.headings, ...documents.items, ...documents.grids]
+        .forEach((document) => mockEs.docs.set(document.uuid, JSON.parse(JSON.stringify(document))));
+};
+
+beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    mockEs.docs.clear();
+
+    exhibits = { [EXHIBIT]: exhibit_row(EXHIBIT) };
+    states = {
+        [EXHIBIT]: [
+            state('heading', HEADING),
+            state('item', ITEM),
+            state('grid', GRID),
+            state('grid_item', GRID_ITEM_A, { parent_uuid: GRID }),
+            state('grid_item', GRID_ITEM_B, { parent_uuid: GRID })
+        ]
+    };
+
+    mockGetExhibits.mockImplementation(async () => Object.values(exhibits));
+    mockGetExhibit.mockImplementation(async (uuid) => exhibits[uuid] || null);
+    mockGetStates.mockImplementation(async (uuid) => states[uuid] || []);
+    mockBuild.mockImplementation(async (uuid) => exhibits[uuid] ? build_documents(uuid) : null);
+    mockIndexRecord.mockImplementation(async (document) => {
+        mockEs.docs.set(document.uuid, JSON.parse(JSON.stringify(document)));
+        return true;
+    });
+    mockDeleteRecord.mockImplementation(async (uuid) => {
+        mockEs.docs.delete(uuid);
+        return { status: 204, message: 'Record deleted' };
+    });
+});
+
+afterEach(() => jest.useRealTimers());
+
+const kinds = (result) => result.drift.map((entry) => [entry.uuid, entry.kind, entry.reason]).sort();
+
+// ==================== TESTS ====================
+
+describe('hash_document', () => {
+
+    test('ignores key order and the order of nested items', () => {
+        const a = { uuid: GRID, title: 'Grid', items: [{ uuid: GRID_ITEM_A, title: 'A' }, { uuid: GRID_ITEM_B, title: 'B' }] };
+        const b = { items: [{ title: 'B', uuid: GRID_ITEM_B }, { title: 'A', uuid: GRID_ITEM_A }], title: 'Grid', uuid: GRID };
+
+        expect(DRIFT.hash_document(a)).toBe(DRIFT.hash_document(b));
+        expect(DRIFT.hash_document(a)).not.toBe(DRIFT.hash_document({ ...a, title: 'Edited' }));
+    });
+});
+
+describe('check_exhibit', () => {
+
+    test('an exhibit indexed as the database says is in sync', async () => {
+        index_in_sync(EXHIBIT);
+        // Single-item indexing re-sorts nested items; order is not drift
+        mockEs.docs.get(GRID).items.reverse();
+
+        const result = await DRIFT.check_exhibit(EXHIBIT);
+
+        expect(result.status).toBe('ok');
+        expect(result.drift).toEqual([]);
+    });
+
+    test('reports missing and stale documents, dating a stale grid by its latest item edit', async () => {
+        index_in_sync(EXHIBIT);
+        mockEs.docs.delete(HEADING);
+        mockEs.docs.get(GRID).items[0].title = 'Old caption';
+        states[EXHIBIT][3].updated = ITEM_EDITED;
+
+        const result = await DRIFT.check_exhibit(EXHIBIT);
+
+        expect(result.status).toBe('drift');
+        expect(result.counts).toEqual({ missing: 1, stale: 1, unexpected: 0 });
+        expect(kinds(result)).toEqual([[HEADING, 'missing', null], [GRID, 'stale', null]].sort());
+        expect(result.drift.find((entry) => entry.uuid === GRID).updated).toEqual(ITEM_EDITED);
+    });
+
+    test('a suppressed grid item still nested in its grid makes the grid stale', async () => {
+        index_in_sync(EXHIBIT);
+        states[EXHIBIT][4].is_published = 0;
+
+        const result = await DRIFT.check_exhibit(EXHIBIT);
+
+        expect(kinds(result)).toEqual([[GRID, 'stale', null]]);
+    });
+
+    test('explains why indexed documents should not be there', async () => {
+        index_in_sync(EXHIBIT);
+        states[EXHIBIT][0].is_published = 0;  // heading suppressed
+        states[EXHIBIT][1].is_deleted = 1;    // item deleted
+
+        const result = await DRIFT.check_exhibit(EXHIBIT);
+
+        expect(kinds(result)).toEqual([
+            [HEADING, 'unexpected', 'suppressed'],
+            [ITEM, 'unexpected', 'deleted']
+        ].sort());
+    });
+
+    test('everything indexed for an unpublished exhibit is unexpected', async () => {
+        index_in_sync(EXHIBIT);
+        exhibits[EXHIBIT].is_published = 0;
+
+        const result = await DRIFT.check_exhibit(EXHIBIT);
+
+        expect(result.counts).toEqual({ missing: 0, stale: 0, unexpected: 4 });
+        expect(result.drift.every((entry) => entry.reason === 'exhibit_unpublished')).toBe(true);
+        expect(mockBuild).not.toHaveBeenCalled();
+    });
+
+    test('documents of an exhibit missing from the database are unexpected', async () => {
+        index_in_sync(EXHIBIT);
+        delete exhibits[EXHIBIT];
+
+        const result = await DRIFT.check_exhibit(EXHIBIT);
+
+        expect(result.title).toBeNull();
+        expect(result.counts.unexpected).toBe(4);
+        expect(result.drift.every((entry) => entry.reason === 'not_in_database')).toBe(true);
+    });
+
+    test('skips an exhibit in preview', async () => {
+        exhibits[EXHIBIT].is_preview = 1;
+        exhibits[EXHIBIT].is_published = 0;
+        mockEs.docs.set(HEADING, { uuid: HEADING, type: 'heading', is_member_of_exhibit: EXHIBIT });
+
+        const result = await DRIFT.check_exhibit(EXHIBIT);
+
+        expect(result.status).toBe('preview');
+        expect(result.drift).toEqual([]);
+        expect(mockEs.client.search).not.toHaveBeenCalled();
+    });
+});
+
+describe('run_check', () => {
+
+    test('checks every exhibit in the database or the index and reports only those not in sync', async () => {
+        const UNPUBLISHED = '88888888-8888-4888-8888-888888888888';
+        index_in_sync(EXHIBIT);
+        exhibits[UNPUBLISHED] = exhibit_row(UNPUBLISHED, { is_published: 0 });
+        mockEs.docs.set(OTHER_EXHIBIT, { uuid: OTHER_EXHIBIT, type: 'exhibit', title: 'Orphan' });
+
+        const report = await DRIFT.run_check();
+
+        expect(report.totals).toMatchObject({ checked: 3, in_sync: 2, drift: 1, unexpected: 1, missing: 0 });
+        expect(report.exhibits.map((entry) => entry.exhibit_uuid)).toEqual([OTHER_EXHIBIT]);
+        // The unpublished exhibit holds nothing and should hold nothing: no search for it
+        const searched = mockEs.client.search.mock.calls
+            .filter(([params]) => !params.aggs)
+            .map(([params]) => params.query.bool.should[0].ids.values[0]);
+        expect(searched.sort()).toEqual([EXHIBIT, OTHER_EXHIBIT].sort());
+    });
+});
+
+describe('repair_drift', () => {
+
+    test('re-indexes missing and stale documents, deletes unexpected ones, and re-checks', async () => {
+        index_in_sync(EXHIBIT);
+        mockEs.docs.delete(HEADING);
+        states[EXHIBIT][1].is_published = 0;   // item suppressed, still indexed
+        states[EXHIBIT][4].is_published = 0;   // grid item suppressed, still nested
+
+        const response = await DRIFT.repair_drift(EXHIBIT);
+
+        expect(response.status).toBe(200);
+        expect(response.data.repaired.sort()).toEqual([HEADING, ITEM, GRID].sort());
+        expect(response.data.failed).toEqual([]);
+        expect(response.data.result.status).toBe('ok');
+        expect(mockDeleteRecord).toHaveBeenCalledWith(ITEM, 'exhibits_index');
+        expect(mockEs.docs.get(GRID).items.map((item) => item.uuid)).toEqual([GRID_ITEM_A]);
+        expect(mockEs.client.indices.refresh).toHaveBeenCalled();
+    });
+
+    test('repairs only the selected documents', async () => {
+        index_in_sync(EXHIBIT);
+        mockEs.docs.delete(HEADING);
+        mockEs.docs.delete(ITEM);
+
+        const response = await DRIFT.repair_drift(EXHIBIT, [ITEM, GRID]);
+
+        expect(response.data.repaired).toEqual([ITEM]);
+        expect(response.data.skipped).toEqual([GRID]);
+        expect(kinds(response.data.result)).toEqual([[HEADING, 'missing', null]]);
+    });
+
+    test('reports documents that could not be repaired', async () => {
+        index_in_sync(EXHIBIT);
+        mockEs.docs.delete(HEADING);
+        mockIndexRecord.mockResolvedValue(false);
+
+        const response = await DRIFT.repair_drift(EXHIBIT);
+
+        expect(response.data.repaired).toEqual([]);
+        expect(response.data.failed).toEqual([HEADING]);
+        expect(response.data.result.counts.missing).toBe(1);
+    });
+
+    test('rejects invalid input and exhibits in preview', async () => {
+        exhibits[EXHIBIT].is_preview = 1;
+
+        expect((await DRIFT.repair_drift('not-a-uuid')).status).toBe(400);
+        expect((await DRIFT.repair_drift(EXHIBIT, 'all')).status).toBe(400);
+        expect((await DRIFT.repair_drift(EXHIBIT)).status).toBe(409);
+        expect(mockIndexRecord).not.toHaveBeenCalled();
+    });
+});
+
+describe('sync_changed_exhibits', () => {
+
+    const GENERATION = 'exhibits_index_20261019120000';
+
+    test('repairs every exhibit changed since a time in the given index', async () => {
+        const since = new Date('2026-10-19T12:00:00Z');
+        index_in_sync(EXHIBIT);
+        mockEs.docs.delete(HEADING);
+        states[EXHIBIT][1].is_published = 0;
+        mockGetChanged.mockResolvedValue([EXHIBIT]);
+
+        const summary = await DRIFT.sync_changed_exhibits(since, GENERATION);
+
+        expect(summary).toEqual({ exhibits: 1, repaired: 2, failed: [] });
+        expect(mockGetChanged).toHaveBeenCalledWith(since);
+        expect(mockEs.client.search).toHaveBeenCalledWith(expect.objectContaining({ index: GENERATION }));
+        expect(mockIndexRecord).toHaveBeenCalledWith(expect.objectContaining({ uuid: HEADING }), GENERATION);
+        expect(mockDeleteRecord).toHaveBeenCalledWith(ITEM, GENERATION);
+        expect(mockEs.docs.has(ITEM)).toBe(false);
+    });
+
+    test('lists the exhibits it could not bring in sync', async () => {
+        exhibits[OTHER_EXHIBIT] = exhibit_row(OTHER_EXHIBIT);
+        index_in_sync(OTHER_EXHIBIT);
+        mockEs.docs.delete(OTHER_EXHIBIT);
+        mockIndexRecord.mockResolvedValueOnce(false);
+        mockGetChanged.mockResolvedValue([EXHIBIT, OTHER_EXHIBIT]);
+
+        const summary = await DRIFT.sync_changed_exhibits(new Date(), GENERATION);
+
+        expect(summary.exhibits).toBe(2);
+        expect(summary.failed).toEqual([EXHIBIT]);
+    });
+});
+
+describe('start_drift_check / get_drift_report', () => {
+
+    test('runs one check at a time in the background and keeps the report, updated by repairs', async () => {
+        index_in_sync(EXHIBIT);
+        mockEs.docs.delete(HEADING);
+
+        expect((await DRIFT.start_drift_check()).status).toBe(202);
+        expect((await DRIFT.start_drift_check()).status).toBe(409);
+
+        let report = (await DRIFT.get_drift_report()).data;
+        for (let tick = 0; report.check.running && tick < 100; tick++) {
+            await new Promise((resolve) => setImmediate(resolve));
+            report = (await DRIFT.get_drift_report()).data;
+        }
+
+        expect(report.check.running).toBe(false);
+        expect(report.report.totals).toMatchObject({ checked: 1, drift: 1, missing: 1 });
+        expect(report.report.exhibits[0].drift[0]).toMatchObject({ uuid: HEADING, kind: 'missing' });
+
+        await DRIFT.repair_drift(EXHIBIT);
+
+        report = (await DRIFT.get_drift_report()).data;
+        expect(report.report.totals).toMatchObject({ checked: 1, in_sync: 1, drift: 0, missing: 0 });
+        expect(report.report.exhibits).toEqual([]);
+    });
+});
@@ -3,6 +3,7 @@
  *
  * Verifies POST {APP_PATH}/api/v1/indexer/manage enforces, in order:
  *   TOKEN.verify (auth)  ->  manage_index (authz)  ->  create_index handler
+ * and that the status and rollback routes apply the same guards.
  *
  * i.e. an unauthenticated/unauthorized caller is rejected BEFORE the
  * destructive index create/rebuild runs. Auth/authz internals are tested
@@ -42,14 +43,31 @@ jest.mock('../../auth/authorize', () => ({ check_permission: (...args) => mockCh
 // Elasticsearch or the knex/DB config.
 const mockCreateIndex = jest.fn();
 const mockGetStatus = jest.fn();
+const mockRollback = jest.fn();
 jest.mock('../../indexer/service', () => ({
     create_index: (...args) => mockCreateIndex(...args),
-    get_index_status: (...args) => mockGetStatus(...args)
+    get_index_status: (...args) => mockGetStatus(...args),
+    rollback_index: (...args) => mockRollback(...args)
+}));
+const mockStartDrift = jest.fn();
+const mockGetDrift = jest.fn();
+const mockRepairDrift = jest.fn();
+jest.mock('../../indexer/drift-service', () => ({
+    start_drift_check: (...args) => mockStartDrift(...args),
+    get_drift_report: (...args) => mockGetDrift(...args),
+    repair_drift: (...args) => mockRepairDrift(...args)
+}));
+const mockGetJobs = jest.fn();
+const mockRetryJob = jest.fn();
+jest.mock('../../exhibits/index_job_model', () => ({
+    get_index_jobs: (...args) => mockGetJobs(...args),
+    retry_index_job: (...args) => mockRetryJob(...args)
 }));
 jest.mock('../../indexer/model', () => ({}));
 jest.mock('../../indexer/indexer_helper', () => ({ is_valid_uuid: jest.fn(), is_valid_record_type: jest.fn() }));
 
 const register_indexer_routes = require('../../indexer/routes');
+const HELPER = require('../../indexer/indexer_helper');
 
 // ==================== FIXTURE ====================
 
@@ -136,3 +154,180 @@ describe('GET /api/v1/indexer/manage — auth + manage_index permission (status)
         expect(mockGetStatus).toHaveBeenCalledTimes(1);
     });
 });
+
+describe('POST /api/v1/indexer/manage/rollback — auth + manage_index permission', () => {
+
+    const ROLLBACK_URL = `${URL}/rollback`;
+    const GENERATION = 'exhibits_index_20261019120000';
+
+    test('401 when no auth token', async () => {
+        mockCheckPermission.mockResolvedValue(true);
+
+        const res = await request(app).post(ROLLBACK_URL).send({ index: GENERATION });
+
+        expect(res.status).toBe(401);
+        expect(mockRollback).not.toHaveBeenCalled();
+    });
+
+    test('403 when authenticated but lacking manage_index', async () => {
+        mockCheckPermission.mockResolvedValue(false);
+
+        const res = await request(app).post(ROLLBACK_URL).set('x-access-token', 'jwt').send({ index: GENERATION });
+
+        expect(res.status).toBe(403);
+        expect(mockRollback).not.toHaveBeenCalled();
+    });
+
+    test('400 when no index is named', async () => {
+        mockCheckPermission.mockResolvedValue(true);
+
+        const res = await request(app).post(ROLLBACK_URL).set('x-access-token', 'jwt').send({});
+
+        expect(res.status).toBe(400);
+        expect(res.body).toMatchObject({ code: 'MISSING_INDEX' });
+        expect(mockRollback).not.toHaveBeenCalled();
+    });
+
+    test('authorized request rolls back to the named generation', async () => {
+        mockCheckPermission.mockResolvedValue(true);
+        mockRollback.mockResolvedValue({ status: 200, data: { index: GENERATION, previous: 'exhibits_index_20261019130000' } });
+
+        const res = await request(app).post(ROLLBACK_URL).set('x-access-token', 'jwt').send({ index: GENERATION });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ data: { index: GENERATION } });
+        expect(mockRollback).toHaveBeenCalledWith(GENERATION);
+    });
+});
+
+describe('/api/v1/indexer/manage/drift — auth + manage_index permission', () => {
+
+    const DRIFT_URL = `${URL}/drift`;
+    const EXHIBIT = '11111111-1111-4111-8111-111111111111';
+    const HEADING = '33333333-3333-4333-8333-333333333333';
+
+    test('401 when no auth token', async () => {
+        mockCheckPermission.mockResolvedValue(true);
+
+        const res = await request(app).post(DRIFT_URL);
+
+        expect(res.status).toBe(401);
+        expect(mockStartDrift).not.toHaveBeenCalled();
+    });
+
+    test('403 when authenticated but lacking manage_index — no check, report or repair', async () => {
+        mockCheckPermission.mockResolvedValue(false);
+
+        const started = await request(app).post(DRIFT_URL).set('x-access-token', 'jwt');
+        const report = await request(app).get(DRIFT_URL).set('x-access-token', 'jwt');
+        const repaired = await request(app).post(`${DRIFT_URL}/repair`).set('x-access-token', 'jwt').send({ exhibit_id: EXHIBIT });
+
+        expect([started.status, report.status, repaired.status]).toEqual([403, 403, 403]);
+        expect(mockStartDrift).not.toHaveBeenCalled();
+        expect(mockGetDrift).not.toHaveBeenCalled();
+        expect(mockRepairDrift).not.toHaveBeenCalled();
+    });
+
+    test('authorized POST starts a check in the background', async () => {
+        mockCheckPermission.mockResolvedValue(true);
+        mockStartDrift.mockResolvedValue({ status: 202, data: 'Drift check started' });
+
+        const res = await request(app).post(DRIFT_URL).set('x-access-token', 'jwt');
+
+        expect(res.status).toBe(202);
+        expect(mockStartDrift).toHaveBeenCalledTimes(1);
+    });
+
+    test('authorized GET returns the last report', async () => {
+        mockCheckPermission.mockResolvedValue(true);
+        mockGetDrift.mockResolvedValue({ status: 200, data: { check: { running: false }, report: null } });
+
+        const res = await request(app).get(DRIFT_URL).set('x-access-token', 'jwt');
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ data: { check: { running: false }, report: null } });
+    });
+
+    test('repair is 400 without a valid exhibit UUID', async () => {
+        mockCheckPermission.mockResolvedValue(true);
+        HELPER.is_valid_uuid.mockReturnValue(false);
+
+        const res = await request(app).post(`${DRIFT_URL}/repair`).set('x-access-token', 'jwt').send({ exhibit_id: 'nope' });
+
+        expect(res.status).toBe(400);
+        expect(res.body).toMatchObject({ code: 'INVALID_UUID' });
+        expect(mockRepairDrift).not.toHaveBeenCalled();
+    });
+
+    test('authorized repair passes the exhibit and the selected documents to the service', async () => {
+        mockCheckPermission.mockResolvedValue(true);
+        HELPER.is_valid_uuid.mockReturnValue(true);
+        mockRepairDrift.mockResolvedValue({ status: 200, data: { repaired: [HEADING], failed: [], skipped: [] } });
+
+        const res = await request(app).post(`${DRIFT_URL}/repair`).set('x-access-token', 'jwt')
+            .send({ exhibit_id: EXHIBIT, uuids: [HEADING] });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ data: { repaired: [HEADING] } });
+        expect(mockRepairDrift).toHaveBeenCalledWith(EXHIBIT, [HEADING]);
+    });
+});
+
+describe('/api/v1/indexer/manage/jobs — auth + manage_index permission', () => {
+
+    const JOBS_URL = `${URL}/jobs`;
+    const JOB = '55555555-5555-4555-8555-555555555555';
+
+    test('401 when no auth token', async () => {
+        mockCheckPermission.mockResolvedValue(true);
+
+        const res = await request(app).get(JOBS_URL);
+
+        expect(res.status).toBe(401);
+        expect(mockGetJobs).not.toHaveBeenCalled();
+    });
+
+    test('403 when authenticated but lacking manage_index — no list or retry', async () => {
+        mockCheckPermission.mockResolvedValue(false);
+
+        const listed = await request(app).get(JOBS_URL).set('x-access-token', 'jwt');
+        const retried = await request(app).post(`${JOBS_URL}/retry`).set('x-access-token', 'jwt').send({ uuid: JOB });
+
+        expect([listed.status, retried.status]).toEqual([403, 403]);
+        expect(mockGetJobs).not.toHaveBeenCalled();
+        expect(mockRetryJob).not.toHaveBeenCalled();
+    });
+
+    test('authorized GET passes the status filter to the model', async () => {
+        mockCheckPermission.mockResolvedValue(true);
+        mockGetJobs.mockResolvedValue({ status: 200, data: { counts: { dead: 1 }, jobs: [{ uuid: JOB }] } });
+
+        const res = await request(app).get(`${JOBS_URL}?status=dead`).set('x-access-token', 'jwt');
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ data: { counts: { dead: 1 } } });
+        expect(mockGetJobs).toHaveBeenCalledWith('dead');
+    });
+
+    test('retry is 400 without a valid job UUID', async () => {
+        mockCheckPermission.mockResolvedValue(true);
+        HELPER.is_valid_uuid.mockReturnValue(false);
+
+        const res = await request(app).post(`${JOBS_URL}/retry`).set('x-access-token', 'jwt').send({ uuid: 'nope' });
+
+        expect(res.status).toBe(400);
+        expect(res.body).toMatchObject({ code: 'INVALID_UUID' });
+        expect(mockRetryJob).not.toHaveBeenCalled();
+    });
+
+    test('authorized retry returns the model status', async () => {
+        mockCheckPermission.mockResolvedValue(true);
+        HELPER.is_valid_uuid.mockReturnValue(true);
+        mockRetryJob.mockResolvedValue({ status: 404, message: 'Index job not found or already running' });
+
+        const res = await request(app).post(`${JOBS_URL}/retry`).set('x-access-token', 'jwt').send({ uuid: JOB });
+
+        expect(res.status).toBe(404);
+        expect(mockRetryJob).toHaveBeenCalledWith(JOB);
+    });
+});
@@ -0,0 +1,470 @@
+/**
+ * Integration tests for alias-based index rebuilds (indexer/service).
+ *
+ * A rebuild loads a new generation index, verifies its counts, swaps the
+ * alias in one _aliases request and keeps the previous generation for
+ * rollback. The real Indexer_index_utils_tasks runs against an in-memory
+ * Elasticsearch stand-in (indices, aliases, documents); the model's bulk
+ * load is mocked to write documents into it, and the drift service's re-sync
+ * of changed exhibits is mocked, so no ES or DB is needed.
+ */
+
+'use strict';
+
+// ==================== MOCKS ====================
+
+jest.mock('../../libs/log4', () => ({
+    module: () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })
+}));
+
+jest.mock('../../config/elasticsearch_config', () => () => ({
+    elasticsearch_index: 'exhibits_index',
+    elasticsearch_shards: 1,
+    elasticsearch_replicas: 0
+}));
+
+const ALIAS = 'exhibits_index';
+
+const not_found = (type) => {
+    const error = new Error(type);
+    error.meta = { statusCode: 404, body: { error: { type } } };
+    return error;
+};
+
+/**
+ * In-memory stand-in for the subset of the ES client the rebuild uses
+ * @returns {Object} client, plus `indices_data` (name -> {docs: Map, created}) and `aliases` (alias -> Set)
+ */
+const mockCreateFakeEs = () => {
+
+    const indices_data = new Map();
+    const aliases = new Map();
+    let clock = 0;
+
+    const resolve = (name) => {
+        if (aliases.has(name)) {
+            return [...aliases.get(name)];
+        }
+        if (indices_data.has(name)) {
+            return [name];
+        }
+        throw not_found('index_not_found_exception');
+    };
+
+    const client = {
+        indices: {
+            exists: jest.fn(async ({ index }) => indices_data.has(index) || aliases.has(index)),
+            create: jest.fn(async ({ index }) => {
+                indices_data.set(index, { docs: new Map(), created: ++clock });
+                return { acknowledged: true, shards_acknowledged: true, index };
+            }),
+            putMapping: jest.fn(async ({ index, body }) => {
+                indices_data.get(index).mappings = body;
+                return { acknowledged: true };
+            }),
+            getMapping: jest.fn(async ({ index }) => {
+                const response = {};
+                resolve(index).forEach((name) => {
+                    response[name] = { mappings: indices_data.get(name).mappings || { properties: {} } };
+                });
+                return response;
+            }),
+            refresh: jest.fn(async () => ({ _shards: { successful: 1 } })),
+            delete: jest.fn(async ({ index }) => {
+                if (!indices_data.has(index)) {
+                    throw not_found('index_not_found_exception');
+                }
+                indices_data.delete(index);
+                aliases.forEach((targets) => targets.delete(index));
+                return { acknowledged: true };
+            }),
+            getAlias: jest.fn(async ({ name }) => {
+                if (!aliases.has(name) || aliases.get(name).size === 0) {
+                    throw not_found('aliases_not_found_exception');
+                }
+                const response = {};
+                aliases.get(name).forEach((index) => {
+                    response[index] = { aliases: { [name]: {} } };
+                });
+                return response;
+            }),
+            updateAliases: jest.fn(async ({ actions }) => {
+                // Validate everything first: the request is all-or-nothing
+                for (const action of actions) {
+                    const [type, spec] = Object.entries(action)[0];
+                    if (!indices_data.has(spec.index)) {
+                        throw not_found('index_not_found_exception');
+                    }
+                    if (type === 'remove' && !(aliases.get(spec.alias) || new Set()).has(spec.index)) {
+                        throw not_found('aliases_not_found_exception');
+                    }
+                }
+                for (const action of actions) {
+                    const [type, spec] = Object.entries(action)[0];
+                    if (type === 'remove_index') {
+                        indices_data.delete(spec.index);
+                    } else if (type === 'remove') {
+                        aliases.get(spec.alias).delete(spec.index);
+                    } else if (type === 'add') {
+                        if (indices_data.has(spec.alias)) {
+                            throw new Error('invalid_alias_name_exception');
+                        }
+                        if (!aliases.has(spec.alias)) {
+                            aliases.set(spec.alias, new Set());
+                        }
+                        aliases.get(spec.alias).add(spec.index);
+                    }
+                }
+                return { acknowledged: true };
+            })
+        },
+        cat: {
+            indices: jest.fn(async ({ index }) => {
+                const prefix = index.replace(/\*$/, '');
+                return [...indices_data.entries()]
+                    .filter(([name]) => name.startsWith(prefix))
+                    .map(([name, data]) => ({
+                        index: name,
+                        'docs.count': String(data.docs.size),
+                        'creation.date': String(Date.UTC(2026, 9, 19) + data.created)
+                    }));
+            })
+        },
+        count: jest.fn(async ({ index, query }) => {
+            let count = 0;
+            resolve(index).forEach((name) => {
+                indices_data.get(name).docs.forEach((doc, id) => {
+                    if (!query || query.ids.values.includes(id)) {
+                        count++;
+                    }
+                });
+            });
+            return { count };
+        })
+    };
+
+    return { client, indices_data, aliases };
+};
+
+const mockEs = mockCreateFakeEs();
+jest.mock('../../indexer/indexer_helper', () => ({ CLIENT: mockEs.client }));
+
+const mockReindex = jest.fn();
+jest.mock('../../indexer/model', () => ({
+    reindex_published_exhibits: (...args) => mockReindex(...args)
+}));
+
+const mockSync = jest.fn();
+jest.mock('../../indexer/drift-service', () => ({
+    sync_changed_exhibits: (...args) => mockSync(...args)
+}));
+
+const SERVICE = require('../../indexer/service');
+
+// ==================== FIXTURE ====================
+
+const EXHIBITS = ['11111111-1111-4111-8111-111111111111', '22222222-2222-4222-8222-222222222222'];
+const COMPONENTS = ['33333333-3333-4333-8333-333333333333', '44444444-4444-4444-8444-444444444444'];
+
+/**
+ * Model load that writes the published exhibits and their components
+ * @param {Object} [options] - {skip: uuids not written, failed: exhibits reported failed}
+ */
+const load_documents = (options = {}) => async (index_name) => {
+    const docs = mockEs.indices_data.get(index_name).docs;
+    [...EXHIBITS, ...COMPONENTS]
+        .filter((uuid) => !(options.skip || []).includes(uuid))
+        .forEach((uuid) => docs.set(uuid, { uuid }));
+    return {
+        total: EXHIBITS.length,
+        indexed: EXHIBITS.length - (options.failed || 0),
+        failed: options.failed || 0,
+        documents: EXHIBITS.length + COMPONENTS.length,
+        failed_documents: 0,
+        exhibit_uuids: EXHIBITS
+    };
+};
+
+const live_targets = () => [...(mockEs.aliases.get(ALIAS) || [])];
+
+let now = Date.UTC(2026, 9, 19, 12, 0, 0);
+
+// Fake timers also keep the tasks' _with_timeout() races from leaving 30s
+// timers behind; setImmediate stays real for create_index's background run.
+beforeEach(() => {
+    jest.useFakeTimers({ now, doNotFake: ['setImmediate', 'nextTick'] });
+    mockEs.indices_data.clear();
+    mockEs.aliases.clear();
+    mockReindex.mockImplementation(load_documents());
+    mockSync.mockResolvedValue({ exhibits: 0, repaired: 0, failed: [] });
+});
+
+afterEach(() => jest.useRealTimers());
+
+// Generation names are second-resolution timestamps, so each rebuild runs a
+// second after the last
+const rebuild = () => {
+    jest.setSystemTime(now += 1000);
+    return SERVICE.rebuild_index();
+};
+
+// ==================== TESTS ====================
+
+describe('rebuild_index', () => {
+
+    test('loads a new generation and points the alias at it', async () => {
+        const result = await rebuild();
+
+        expect(result).toMatchObject({ success: true, previous: null, summary: { exhibits: 2, documents: 4 } });
+        expect(result.index).toMatch(/^exhibits_index_\d{14}$/);
+        expect(mockReindex).toHaveBeenCalledWith(result.index);
+        expect(live_targets()).toEqual([result.index]);
+        expect(mockEs.client.indices.putMapping).toHaveBeenCalledWith(expect.objectContaining({ index: result.index }));
+    });
+
+    test('replaces a legacy concrete index with the alias in the same request', async () => {
+        mockEs.indices_data.set(ALIAS, { docs: new Map([['old', {}]]), created: 0 });
+
+        const result = await rebuild();
+
+        expect(result.success).toBe(true);
+        expect(mockEs.client.indices.updateAliases).toHaveBeenCalledWith({
+            actions: [
+                { remove_index: { index: ALIAS } },
+                { add: { index: result.index, alias: ALIAS, is_write_index: true } }
+            ]
+        });
+        expect(mockEs.indices_data.has(ALIAS)).toBe(false);
+        expect(live_targets()).toEqual([result.index]);
+    });
+
+    test('keeps the previous generation for rollback and deletes older ones', async () => {
+        const first = await rebuild();
+        const second = await rebuild();
+        const third = await rebuild();
+
+        expect(third).toMatchObject({ success: true, previous: second.index });
+        expect(live_targets()).toEqual([third.index]);
+        expect(mockEs.indices_data.has(second.index)).toBe(true);
+        expect(mockEs.indices_data.has(first.index)).toBe(false);
+    });
+
+    test('discards the new generation and leaves the alias alone when an exhibit fails to load', async () => {
+        const first = await rebuild();
+        mockReindex.mockImplementation(load_documents({ failed: 1 }));
+
+        const result = await rebuild();
+
+        expect(result).toMatchObject({ success: false, step: SERVICE.REBUILD_STEPS.LOAD });
+        expect(result.message).toMatch(/1 of 2 published exhibit/);
+        expect(mockEs.indices_data.has(result.index)).toBe(false);
+        expect(live_targets()).toEqual([first.index]);
+    });
+
+    test('refuses to go live when the document count does not match the database', async () => {
+        const first = await rebuild();
+        mockReindex.mockImplementation(load_documents({ skip: [COMPONENTS[0]] }));
+
+        const result = await rebuild();
+
+        expect(result).toMatchObject({ success: false, step: SERVICE.REBUILD_STEPS.VERIFY });
+        expect(result.message).toMatch(/3 document\(s\); the database has 4/);
+        expect(mockEs.indices_data.has(result.index)).toBe(false);
+        expect(live_targets()).toEqual([first.index]);
+    });
+
+    test('re-syncs exhibits changed since the rebuild started before the swap, and again through the alias after it', async () => {
+        const first = await rebuild();
+        const started = now;
+        const live_during_sync = [];
+        mockSync.mockClear();
+        mockSync.mockImplementation(async (since, index_name) => {
+            live_during_sync.push(live_targets());
+            return { exhibits: 1, repaired: index_name ? 1 : 0, failed: [] };
+        });
+
+        const result = await rebuild();
+
+        expect(result).toMatchObject({ success: true, summary: { synced: 1 } });
+        expect(mockSync).toHaveBeenCalledTimes(2);
+        expect(mockSync.mock.calls[0][1]).toBe(result.index);
+        expect(mockSync.mock.calls[0][0].getTime()).toBeLessThanOrEqual(started + 1000);
+        expect(mockSync.mock.calls[1]).toHaveLength(1);
+        expect(live_during_sync).toEqual([[first.index], [result.index]]);
+    });
+
+    test('discards the new generation when a changed exhibit cannot be synced', async () => {
+        const first = await rebuild();
+        mockSync.mockResolvedValueOnce({ exhibits: 1, repaired: 0, failed: [EXHIBITS[0]] });
+
+        const result = await rebuild();
+
+        expect(result).toMatchObject({ success: false, step: SERVICE.REBUILD_STEPS.SYNC });
+        expect(result.message).toMatch(/1 exhibit\(s\) changed during the rebuild/);
+        expect(mockEs.indices_data.has(result.index)).toBe(false);
+        expect(live_targets()).toEqual([first.index]);
+    });
+
+    test('stays live when the re-sync after the swap fails', async () => {
+        mockSync
+            .mockResolvedValueOnce({ exhibits: 0, repaired: 0, failed: [] })
+            .mockRejectedValueOnce(new Error('Database unavailable'));
+
+        const result = await rebuild();
+
+        expect(result.success).toBe(true);
+        expect(live_targets()).toEqual([result.index]);
+    });
+
+    test('refuses to go live when a published exhibit is missing from the new index', async () => {
+        mockReindex.mockImplementation(async (index_name) => {
+            const summary = await load_documents({ skip: [EXHIBITS[1]] })(index_name);
+            // Same document total, wrong documents
+            mockEs.indices_data.get(index_name).docs.set('55555555-5555-4555-8555-555555555555', {});
+            return summary;
+        });
+
+        const result = await rebuild();
+
+        expect(result).toMatchObject({ success: false, step: SERVICE.REBUILD_STEPS.VERIFY });
+        expect(result.message).toMatch(/1 of 2 published exhibit/);
+        expect(live_targets()).toEqual([]);
+    });
+});
+
+describe('create_index', () => {
+
+    test('starts the rebuild in the background, refuses a second one meanwhile, and reports the outcome', async () => {
+        let release;
+        mockReindex.mockImplementation(async (index_name) => {
+            await new Promise((resolve) => { release = resolve; });
+            return load_documents()(index_name);
+        });
+
+        const started = await SERVICE.create_index();
+        expect(started).toEqual({ status: 202, data: 'Index rebuild started' });
+
+        const again = await SERVICE.create_index();
+        expect(again.status).toBe(409);
+
+        await new Promise((resolve) => setImmediate(resolve));
+        while (!release) {
+            await new Promise((resolve) => setImmediate(resolve));
+        }
+
+        const during = await SERVICE.get_index_status();
+        expect(during.data.rebuild).toMatchObject({ running: true, step: SERVICE.REBUILD_STEPS.LOAD });
+
+        release();
+        for (let i = 0; i < 50 && (await SERVICE.get_index_status()).data.rebuild.running; i++) {
+            await new Promise((resolve) => setImmediate(resolve));
+        }
+
+        const after = await SERVICE.get_index_status();
+        expect(after.data.rebuild).toMatchObject({ running: false, success: true });
+        expect(after.data.live_index).toBe(live_targets()[0]);
+    });
+});
+
+describe('rollback_index and get_index_status', () => {
+
+    test('lists both generations and rolls the alias back to the previous one', async () => {
+        const first = await rebuild();
+        const second = await rebuild();
+
+        const status = await SERVICE.get_index_status();
+        expect(status.data).toMatchObject({ index: ALIAS, exists: true, count: 4, live_index: second.index, legacy: false });
+        expect(status.data.generations).toEqual([
+            expect.objectContaining({ index: second.index, count: 4, live: true }),
+            expect.objectContaining({ index: first.index, count: 4, live: false })
+        ]);
+
+        const result = await SERVICE.rollback_index(first.index);
+
+        expect(result).toEqual({ status: 200, data: { index: first.index, previous: second.index } });
+        expect(live_targets()).toEqual([first.index]);
+        // Both generations are kept, so the rollback can itself be undone
+        expect(mockEs.indices_data.has(second.index)).toBe(true);
+    });
+
+    test('rejects a name that is not a generation of the alias', async () => {
+        const result = await SERVICE.rollback_index('other_index');
+
+        expect(result.status).toBe(400);
+        expect(mockEs.client.indices.updateAliases).not.toHaveBeenCalled();
+    });
+
+    test('404s an unknown generation and 409s the live one', async () => {
+        const live = await rebuild();
+
+        expect((await SERVICE.rollback_index('exhibits_index_20200101000000')).status).toBe(404);
+        expect((await SERVICE.rollback_index(live.index)).status).toBe(409);
+    });
+});
+
+describe('mapping versions', () => {
+
+    const wait_for_rebuild = async () => {
+        for (let i = 0; i < 50 && (await SERVICE.get_index_status()).data.rebuild.running; i++) {
+            await new Promise((resolve) => setImmediate(resolve));
+        }
+    };
+
+    afterEach(() => {
+        delete process.env.INDEX_AUTO_REBUILD;
+    });
+
+    test('a rebuilt generation carries the current mapping version', async () => {
+        await rebuild();
+
+        const status = await SERVICE.get_index_status();
+
+        expect(status.data.mapping).toEqual({
+            version: expect.stringMatching(/^[0-9a-f]{12}$/),
+            live_version: status.data.mapping.version,
+            current: true
+        });
+        expect(await SERVICE.ensure_current_mapping()).toMatchObject({ rebuild: false, reason: 'current' });
+    });
+
+    test('rebuilds an index built from older mappings', async () => {
+        mockEs.indices_data.set(ALIAS, { docs: new Map([['old', {}]]), created: 0 });
+
+        expect((await SERVICE.get_index_status()).data.mapping).toMatchObject({ live_version: null, current: false });
+
+        process.env.INDEX_AUTO_REBUILD = 'on';
+        jest.setSystemTime(now += 1000);
+        const result = await SERVICE.ensure_current_mapping();
+        expect(result).toMatchObject({ rebuild: true, reason: 'outdated', live_version: null });
+
+        await wait_for_rebuild();
+
+        const status = await SERVICE.get_index_status();
+        expect(status.data.rebuild).toMatchObject({ running: false, success: true });
+        expect(status.data.mapping.current).toBe(true);
+        expect(status.data.legacy).toBe(false);
+    });
+
+    test('only reports an outdated index when INDEX_AUTO_REBUILD is off', async () => {
+        mockEs.indices_data.set(ALIAS, { docs: new Map(), created: 0 });
+        process.env.INDEX_AUTO_REBUILD = 'off';
+
+        expect(await SERVICE.ensure_current_mapping()).toMatchObject({ rebuild: false, reason: 'disabled' });
+        expect(mockReindex).not.toHaveBeenCalled();
+    });
+
+    test('leaves auto-rebuild off when INDEX_AUTO_REBUILD is unset or unrecognised', async () => {
+        mockEs.indices_data.set(ALIAS, { docs: new Map(), created: 0 });
+
+        expect(await SERVICE.ensure_current_mapping()).toMatchObject({ rebuild: false, reason: 'disabled' });
+
+        process.env.INDEX_AUTO_REBUILD = 'yes';
+        expect(await SERVICE.ensure_current_mapping()).toMatchObject({ rebuild: false, reason: 'disabled' });
+        expect(mockReindex).not.toHaveBeenCalled();
+    });
+
+    test('leaves a missing index for an administrator to create', async () => {
+        expect(await SERVICE.ensure_current_mapping()).toEqual({ rebuild: false, reason: 'no_index' });
+        expect(mockEs.client.indices.create).not.toHaveBeenCalled();
+    });
+});
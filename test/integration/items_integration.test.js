@@ -54,7 +54,9 @@ const mockItemsModel = {
     unlock_item_record: jest.fn(),
     reorder_items: jest.fn(),
     reorder_exhibit_items: jest.fn(),
-    schedule_reorder_reindex: jest.fn()
+    schedule_reorder_reindex: jest.fn(),
+    bulk_update_items: jest.fn(),
+    move_item_record: jest.fn()
 };
 jest.mock('../../exhibits/items_model', () => mockItemsModel);
 
@@ -91,6 +93,14 @@ const mockExhibitsModel = {
 };
 jest.mock('../../exhibits/exhibits_model', () => mockExhibitsModel);
 
+// Mock Audit Model: entries are asserted as the calls the controller makes
+const mockAudit = {
+    record: jest.fn(),
+    record_success: jest.fn(),
+    get_record_state: jest.fn().mockResolvedValue(null)
+};
+jest.mock('../../audit/model', () => mockAudit);
+
 // ==================== TEST SETUP ====================
 
 describe('Items Integration Tests', () => {
@@ -142,6 +152,10 @@ describe('Items Integration Tests', () => {
         // Item Ordering
         app.post('/api/items/exhibit/:exhibit_id/reorder', mockTokenVerify, CONTROLLER.reorder_items);
 
+        // Bulk actions
+        app.post('/api/items/exhibit/:exhibit_id/items/bulk', mockTokenVerify, CONTROLLER.bulk_update_items);
+        app.post('/api/items/exhibit/:exhibit_id/items/move', mockTokenVerify, CONTROLLER.move_item_record);
+
         // 404 handler
         app.use('/api/items/*', (req, res) => {
             res.status(404).json({
@@ -413,6 +427,25 @@ describe('Items Integration Tests', () => {
                 expect(response.body.message).toBe('Item record updated');
             });
 
+            test('should audit the record as it was before the update', async () => {
+                const before = { uuid: TEST_ITEM_ID, title: 'Original Item' };
+                mockAudit.get_record_state.mockResolvedValue(before);
+                mockItemsModel.update_item_record.mockResolvedValue({ status: 201, message: 'Item record updated' });
+
+                await request(app)
+                    .put(`/api/items/exhibit/${TEST_EXHIBIT_ID}/item/${TEST_ITEM_ID}`)
+                    .send({ title: 'Updated Item' })
+                    .expect(201);
+
+                expect(mockAudit.get_record_state).toHaveBeenCalledWith('item', TEST_ITEM_ID);
+                expect(mockAudit.record_success).toHaveBeenCalledWith(expect.anything(), 201, expect.objectContaining({
+                    action: 'update',
+                    record_uuid: TEST_ITEM_ID,
+                    before,
+                    after: { title: 'Updated Item' }
+                }));
+            });
+
             test('should return 400 when request body is empty', async () => {
                 const response = await request(app)
                     .put(`/api/items/exhibit/${TEST_EXHIBIT_ID}/item/${TEST_ITEM_ID}`)
@@ -472,6 +505,24 @@ describe('Items Integration Tests', () => {
                 );
             });
 
+            test('should audit the deleted record', async () => {
+                const before = { uuid: TEST_ITEM_ID, title: 'Deleted Item', is_published: 0 };
+                mockAudit.get_record_state.mockResolvedValue(before);
+                mockItemsModel.delete_item_record.mockResolvedValue({ status: 204, message: 'Record deleted' });
+
+                await request(app)
+                    .delete(`/api/items/exhibit/${TEST_EXHIBIT_ID}/item/${TEST_ITEM_ID}`)
+                    .query({ type: 'heading' })
+                    .expect(204);
+
+                expect(mockAudit.get_record_state).toHaveBeenCalledWith('heading', TEST_ITEM_ID);
+                expect(mockAudit.record_success).toHaveBeenCalledWith(expect.anything(), 204, expect.objectContaining({
+                    action: 'delete',
+                    record_type: 'heading',
+                    before
+                }));
+            });
+
             test('should return 403 when user is not authorized', async () => {
                 mockAuthorize.check_permission.mockResolvedValue(false);
 
@@ -704,6 +755,13 @@ describe('Items Integration Tests', () => {
                     .expect(200);
 
                 expect(response.body.message).toBe('Item record unlocked.');
+                expect(mockAudit.record).toHaveBeenCalledWith(expect.anything(), {
+                    action: 'unlock',
+                    record_type: 'item',
+                    record_uuid: TEST_ITEM_ID,
+                    exhibit_uuid: TEST_EXHIBIT_ID,
+                    after: { uid: TEST_USER_UID, force: false }
+                });
             });
 
             test('should unlock with force parameter', async () => {
@@ -878,6 +936,161 @@ describe('Items Integration Tests', () => {
         });
     });
 
+    // ==================== BULK ACTIONS ====================
+
+    describe('POST /api/items/exhibit/:exhibit_id/items/bulk (Bulk Actions)', () => {
+
+        const BULK_URL = `/api/items/exhibit/${TEST_EXHIBIT_ID}/items/bulk`;
+        const records = [
+            { type: 'item', uuid: TEST_ITEM_ID },
+            { type: 'grid', uuid: TEST_GRID_ID }
+        ];
+
+        test('checks the permission for the action once, against the exhibit', async () => {
+            mockItemsModel.bulk_update_items.mockResolvedValue({
+                status: 200,
+                message: 'Bulk suppress complete',
+                data: {
+                    action: 'suppress',
+                    updated: 1,
+                    results: [
+                        { type: 'item', uuid: TEST_ITEM_ID, status: 'updated', message: 'Record suppressed' },
+                        { type: 'grid', uuid: TEST_GRID_ID, status: 'unchanged', message: 'Record already suppressed' }
+                    ]
+                }
+            });
+
+            const response = await request(app)
+                .post(BULK_URL)
+                .send({ action: 'suppress', records })
+                .expect(200);
+
+            expect(response.body.data.updated).toBe(1);
+            expect(mockAuthorize.check_permission).toHaveBeenCalledTimes(1);
+            expect(mockAuthorize.check_permission.mock.calls[0][0]).toMatchObject({
+                permissions: ['suppress_item', 'suppress_any_item'],
+                parent_id: TEST_EXHIBIT_ID,
+                child_id: null
+            });
+            expect(mockItemsModel.bulk_update_items).toHaveBeenCalledWith(TEST_EXHIBIT_ID, 'suppress', records);
+        });
+
+        test('passes a missing exhibit through', async () => {
+            mockItemsModel.bulk_update_items.mockResolvedValue({ status: 404, message: 'Exhibit not found' });
+
+            await request(app)
+                .post(BULK_URL)
+                .send({ action: 'delete', records })
+                .expect(404);
+
+            expect(mockAuthorize.check_permission.mock.calls[0][0].permissions).toEqual(['delete_item', 'delete_any_item']);
+        });
+
+        test('rejects an unknown action or an empty selection before authorizing', async () => {
+            await request(app).post(BULK_URL).send({ action: 'archive', records }).expect(400);
+            await request(app).post(BULK_URL).send({ action: 'publish', records: [] }).expect(400);
+
+            expect(mockAuthorize.check_permission).not.toHaveBeenCalled();
+            expect(mockItemsModel.bulk_update_items).not.toHaveBeenCalled();
+        });
+
+        test('403 when not authorized; model never reached', async () => {
+            mockAuthorize.check_permission.mockResolvedValue(false);
+
+            await request(app)
+                .post(BULK_URL)
+                .send({ action: 'publish', records })
+                .expect(403);
+
+            expect(mockItemsModel.bulk_update_items).not.toHaveBeenCalled();
+        });
+    });
+
+    // ==================== MOVE ====================
+
+    describe('POST /api/items/exhibit/:exhibit_id/items/move (Move)', () => {
+
+        const MOVE_URL = `/api/items/exhibit/${TEST_EXHIBIT_ID}/items/move`;
+        const OTHER_EXHIBIT_ID = '550e8400-e29b-41d4-a716-446655440099';
+        const moved = (to) => ({
+            status: 200,
+            message: 'Record moved',
+            data: {
+                uuid: TEST_ITEM_ID,
+                from: { exhibit_uuid: TEST_EXHIBIT_ID, type: 'item', container_uuid: null, is_published: true },
+                to
+            }
+        });
+
+        test('checks the update permission on the record, within the same exhibit', async () => {
+            mockItemsModel.move_item_record.mockResolvedValue(moved({
+                exhibit_uuid: TEST_EXHIBIT_ID, type: 'grid_item', container_uuid: TEST_GRID_ID, is_published: true
+            }));
+
+            const response = await request(app)
+                .post(MOVE_URL)
+                .send({ type: 'item', uuid: TEST_ITEM_ID, target_type: 'grid_item', target_container_id: TEST_GRID_ID })
+                .expect(200);
+
+            expect(response.body.data.to.type).toBe('grid_item');
+            expect(mockAuthorize.check_permission).toHaveBeenCalledTimes(1);
+            expect(mockAuthorize.check_permission.mock.calls[0][0]).toMatchObject({
+                permissions: ['update_item', 'update_any_item'],
+                record_type: 'item',
+                parent_id: TEST_EXHIBIT_ID,
+                child_id: TEST_ITEM_ID
+            });
+            expect(mockItemsModel.move_item_record).toHaveBeenCalledWith(TEST_EXHIBIT_ID, 'item', TEST_ITEM_ID, {
+                exhibit_id: TEST_EXHIBIT_ID,
+                type: 'grid_item',
+                container_id: TEST_GRID_ID,
+                date: undefined
+            });
+        });
+
+        test('also needs the add permission on a different target exhibit', async () => {
+            mockItemsModel.move_item_record.mockResolvedValue(moved({
+                exhibit_uuid: OTHER_EXHIBIT_ID, type: 'item', container_uuid: null, is_published: false
+            }));
+
+            await request(app)
+                .post(MOVE_URL)
+                .send({ type: 'item', uuid: TEST_ITEM_ID, target_type: 'item', target_exhibit_id: OTHER_EXHIBIT_ID })
+                .expect(200);
+
+            expect(mockAuthorize.check_permission.mock.calls[1][0]).toMatchObject({
+                permissions: ['add_item', 'add_item_to_any_exhibit'],
+                parent_id: OTHER_EXHIBIT_ID,
+                child_id: null
+            });
+        });
+
+        test('403 when the target exhibit is not authorized; model never reached', async () => {
+            mockAuthorize.check_permission.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+            await request(app)
+                .post(MOVE_URL)
+                .send({ type: 'item', uuid: TEST_ITEM_ID, target_type: 'item', target_exhibit_id: OTHER_EXHIBIT_ID })
+                .expect(403);
+
+            expect(mockItemsModel.move_item_record).not.toHaveBeenCalled();
+        });
+
+        test('rejects an unknown type before authorizing and passes conflicts through', async () => {
+            await request(app).post(MOVE_URL).send({ type: 'heading', uuid: TEST_ITEM_ID, target_type: 'item' }).expect(400);
+            expect(mockAuthorize.check_permission).not.toHaveBeenCalled();
+
+            mockItemsModel.move_item_record.mockResolvedValue({ status: 409, message: 'Record is locked for editing' });
+
+            const response = await request(app)
+                .post(MOVE_URL)
+                .send({ type: 'item', uuid: TEST_ITEM_ID, target_type: 'timeline_item', target_container_id: TEST_GRID_ID })
+                .expect(409);
+
+            expect(response.body.message).toBe('Record is locked for editing');
+        });
+    });
+
     // ==================== ERROR HANDLING ====================
 
     describe('Error Handling', () => {
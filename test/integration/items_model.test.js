@@ -150,27 +150,65 @@ jest.mock('../../exhibits/tasks/exhibit_record_tasks', () => {
     return jest.fn().mockImplementation(() => mockExhibitRecordTask);
 });
 
+// Mock Bulk Record Tasks
+const mockBulkRecordTask = {
+    apply_action: jest.fn()
+};
+
+jest.mock('../../exhibits/tasks/exhibit_bulk_record_tasks', () => {
+    const Bulk_record_tasks = jest.fn().mockImplementation(() => mockBulkRecordTask);
+    Bulk_record_tasks.RECORD_TYPES = ['item', 'heading', 'grid', 'timeline', 'grid_item', 'timeline_item'];
+    return Bulk_record_tasks;
+});
+
+// Mock Move Record Tasks
+const mockMoveRecordTask = {
+    move_record: jest.fn()
+};
+
+jest.mock('../../exhibits/tasks/exhibit_move_record_tasks', () => {
+    const Move_record_tasks = jest.fn().mockImplementation(() => mockMoveRecordTask);
+    Move_record_tasks.ITEM_TYPES = ['item', 'grid_item', 'timeline_item'];
+    return Move_record_tasks;
+});
+
+// Mock Media Library Model
+const mockMediaModel = {
+    add_exhibit_to_media_record: jest.fn(),
+    remove_exhibit_from_media_record: jest.fn()
+};
+
+jest.mock('../../media-library/model', () => mockMediaModel);
+
 // Mock Indexer Model
 const mockIndexerModel = {
     index_item_record: jest.fn().mockResolvedValue(true),
     index_heading_record: jest.fn().mockResolvedValue(true),
     index_grid_record: jest.fn().mockResolvedValue(true),
     index_timeline_record: jest.fn().mockResolvedValue(true),
+    reindex_grid_record: jest.fn().mockResolvedValue(true),
+    reindex_timeline_record: jest.fn().mockResolvedValue(true),
     delete_record: jest.fn().mockResolvedValue({ status: 204 }),
     get_indexed_record: jest.fn().mockResolvedValue({ status: 404 })
 };
 
 jest.mock('../../indexer/model', () => mockIndexerModel);
 
-// Mock the re-index coalescer to run scheduled tasks immediately, so reorder
-// re-index mapping can be asserted without driving timers.
+// Mock the re-index coalescer: scheduled work is asserted as the index jobs
+// (key, type, payload) it would queue.
 const mockCoalescer = {
-    schedule_reindex: jest.fn((key, task) => { task(); }),
-    DEFAULT_DEBOUNCE_MS: 1000,
-    _timers: new Map()
+    schedule_reindex: jest.fn(),
+    schedule_suppress: jest.fn(),
+    DEFAULT_DEBOUNCE_MS: 1000
 };
 jest.mock('../../exhibits/reindex_coalescer', () => mockCoalescer);
 
+// Mock the review model: a content save returns an approved exhibit to draft
+const mockReviewModel = {
+    revoke_approval: jest.fn()
+};
+jest.mock('../../exhibits/review_model', () => mockReviewModel);
+
 // Mock HTTP (axios)
 const mockHttp = jest.fn().mockResolvedValue({ status: 200, data: {} });
 mockHttp.get = jest.fn().mockResolvedValue({ status: 200, data: Buffer.from('test') });
@@ -202,6 +240,16 @@ jest.mock('kaltura-client', () => ({
     }
 }));
 
+// Mock Revision Record Tasks: the save runs with a stand-in transaction
+const mockRevisionTask = {
+    capture_save: jest.fn(async (record_type, uuid, save) => ({ result: await save(jest.fn()), before: null, after: null })),
+    record_revision: jest.fn().mockResolvedValue(null)
+};
+
+jest.mock('../../exhibits/tasks/exhibit_revision_record_tasks', () => {
+    return jest.fn().mockImplementation(() => mockRevisionTask);
+});
+
 // ==================== TESTS ====================
 
 describe('Items Model Integration Tests', () => {
@@ -459,6 +507,12 @@ describe('Items Model Integration Tests', () => {
             expect(mockItemRecordTask.update_item_record).toHaveBeenCalled();
         });
 
+        test('should return an approved exhibit to review after an edit', async () => {
+            await ITEMS_MODEL.update_item_record(TEST_EXHIBIT_UUID, TEST_ITEM_UUID, { title: 'Updated Item' });
+
+            expect(mockReviewModel.revoke_approval).toHaveBeenCalledWith(TEST_EXHIBIT_UUID);
+        });
+
         test('should return 400 for invalid exhibit UUID', async () => {
             const result = await ITEMS_MODEL.update_item_record('', TEST_ITEM_UUID, { title: 'Test' });
 
@@ -605,6 +659,19 @@ describe('Items Model Integration Tests', () => {
             expect(result.message).toBe('Item suppressed');
         });
 
+        test('queues removal from the index after suppressing, instead of deleting inline', async () => {
+            await ITEMS_MODEL.suppress_item_record(TEST_EXHIBIT_UUID, TEST_ITEM_UUID);
+
+            expect(mockCoalescer.schedule_suppress).toHaveBeenCalledWith(`item:${TEST_ITEM_UUID}`, 'delete_record', {
+                record_type: 'item',
+                exhibit_uuid: TEST_EXHIBIT_UUID,
+                uuid: TEST_ITEM_UUID
+            });
+            expect(mockItemRecordTask.set_item_to_suppress.mock.invocationCallOrder[0])
+                .toBeLessThan(mockCoalescer.schedule_suppress.mock.invocationCallOrder[0]);
+            expect(mockIndexerModel.delete_record).not.toHaveBeenCalled();
+        });
+
         test('should return false for invalid exhibit UUID', async () => {
             const result = await ITEMS_MODEL.suppress_item_record('', TEST_ITEM_UUID);
 
@@ -619,8 +686,8 @@ describe('Items Model Integration Tests', () => {
             expect(result.message).toBe('Invalid UUID provided');
         });
 
-        test('should return false when delete from index fails', async () => {
-            mockIndexerModel.delete_record.mockResolvedValue({ status: 500 });
+        test('should return false when removal from the index cannot be queued', async () => {
+            mockCoalescer.schedule_suppress.mockRejectedValueOnce(new Error('ER_LOCK_WAIT_TIMEOUT'));
 
             const result = await ITEMS_MODEL.suppress_item_record(TEST_EXHIBIT_UUID, TEST_ITEM_UUID);
 
@@ -764,17 +831,7 @@ describe('Items Model Integration Tests', () => {
         const EXHIBIT = TEST_EXHIBIT_UUID;
         const u = (n) => `${n}${n}${n}e8400-e29b-41d4-a716-44665544000${n}`;
 
-        beforeEach(() => {
-            // Re-establish impls wiped by restoreMocks. The coalescer mock runs the
-            // scheduled task immediately so the mapping can be asserted synchronously.
-            mockCoalescer.schedule_reindex.mockImplementation((key, task) => { task(); });
-            mockIndexerModel.index_item_record.mockResolvedValue(true);
-            mockIndexerModel.index_heading_record.mockResolvedValue(true);
-            mockIndexerModel.index_grid_record.mockResolvedValue(true);
-            mockIndexerModel.index_timeline_record.mockResolvedValue(true);
-        });
-
-        test('maps each top-level component type to its own targeted index function', async () => {
+        test('maps each top-level component type to its own targeted index job', () => {
             ITEMS_MODEL.schedule_reorder_reindex(EXHIBIT, [
                 { type: 'item', uuid: u(1), order: 1 },
                 { type: 'heading', uuid: u(2), order: 2 },
@@ -782,37 +839,39 @@ describe('Items Model Integration Tests', () => {
                 { type: 'grid', uuid: u(4), order: 4 },
                 { type: 'timeline', uuid: u(5), order: 5 }
             ]);
-            await Promise.resolve();
 
-            expect(mockIndexerModel.index_item_record).toHaveBeenCalledWith(EXHIBIT, u(1));
-            expect(mockIndexerModel.index_heading_record).toHaveBeenCalledWith(EXHIBIT, u(2));
-            expect(mockIndexerModel.index_heading_record).toHaveBeenCalledWith(EXHIBIT, u(3)); // subheading -> heading doc
-            expect(mockIndexerModel.index_grid_record).toHaveBeenCalledWith(EXHIBIT, u(4));
-            expect(mockIndexerModel.index_timeline_record).toHaveBeenCalledWith(EXHIBIT, u(5));
+            expect(mockCoalescer.schedule_reindex.mock.calls).toEqual([
+                [`item:${u(1)}`, 'index_item', { exhibit_uuid: EXHIBIT, uuid: u(1) }],
+                [`heading:${u(2)}`, 'index_heading', { exhibit_uuid: EXHIBIT, uuid: u(2) }],
+                [`heading:${u(3)}`, 'index_heading', { exhibit_uuid: EXHIBIT, uuid: u(3) }], // subheading -> heading doc
+                [`grid:${u(4)}`, 'index_grid', { exhibit_uuid: EXHIBIT, uuid: u(4) }],
+                [`timeline:${u(5)}`, 'index_timeline', { exhibit_uuid: EXHIBIT, uuid: u(5) }]
+            ]);
+            expect(mockIndexerModel.index_item_record).not.toHaveBeenCalled(); // queued, not run inline
         });
 
-        test('grid items re-index their parent grid doc, deduped to one call per grid', async () => {
+        test('grid items re-index their parent grid doc, deduped to one job per grid', () => {
             ITEMS_MODEL.schedule_reorder_reindex(EXHIBIT, [
                 { type: 'griditem', grid_id: u(4), uuid: u(6), order: 1 },
                 { type: 'griditem', grid_id: u(4), uuid: u(7), order: 2 },  // same grid
                 { type: 'griditem', grid_id: u(5), uuid: u(8), order: 1 }   // different grid
             ]);
-            await Promise.resolve();
 
-            expect(mockIndexerModel.index_grid_record).toHaveBeenCalledTimes(2);   // per distinct grid, not per item
-            expect(mockIndexerModel.index_grid_record).toHaveBeenCalledWith(EXHIBIT, u(4));
-            expect(mockIndexerModel.index_grid_record).toHaveBeenCalledWith(EXHIBIT, u(5));
+            expect(mockCoalescer.schedule_reindex.mock.calls).toEqual([   // per distinct grid, not per item
+                [`grid:${u(4)}`, 'index_grid', { exhibit_uuid: EXHIBIT, uuid: u(4) }],
+                [`grid:${u(5)}`, 'index_grid', { exhibit_uuid: EXHIBIT, uuid: u(5) }]
+            ]);
         });
 
-        test('a moved grid and grid items within it collapse to a single grid re-index', async () => {
+        test('a moved grid and grid items within it collapse to a single grid re-index', () => {
             ITEMS_MODEL.schedule_reorder_reindex(EXHIBIT, [
                 { type: 'grid', uuid: u(4), order: 1 },
                 { type: 'griditem', grid_id: u(4), uuid: u(6), order: 1 }
             ]);
-            await Promise.resolve();
 
-            expect(mockIndexerModel.index_grid_record).toHaveBeenCalledTimes(1);
-            expect(mockIndexerModel.index_grid_record).toHaveBeenCalledWith(EXHIBIT, u(4));
+            expect(mockCoalescer.schedule_reindex.mock.calls).toEqual([
+                [`grid:${u(4)}`, 'index_grid', { exhibit_uuid: EXHIBIT, uuid: u(4) }]
+            ]);
         });
 
         test('schedules one coalesced re-index per distinct component', () => {
@@ -833,22 +892,271 @@ describe('Items Model Integration Tests', () => {
             expect(mockIndexerModel.index_item_record).not.toHaveBeenCalled();
         });
 
-        test('skips entries with an invalid uuid or a grid item missing its grid id', async () => {
+        test('skips entries with an invalid uuid or a grid item missing its grid id', () => {
             ITEMS_MODEL.schedule_reorder_reindex(EXHIBIT, [
                 { type: 'item', uuid: 'bad', order: 1 },
                 { type: 'griditem', uuid: u(6), order: 1 },   // no grid_id
                 { type: 'item', uuid: u(1), order: 2 }        // the only valid entry
             ]);
-            await Promise.resolve();
 
-            expect(mockIndexerModel.index_item_record).toHaveBeenCalledTimes(1);
-            expect(mockIndexerModel.index_item_record).toHaveBeenCalledWith(EXHIBIT, u(1));
-            expect(mockIndexerModel.index_grid_record).not.toHaveBeenCalled();
+            expect(mockCoalescer.schedule_reindex.mock.calls).toEqual([
+                [`item:${u(1)}`, 'index_item', { exhibit_uuid: EXHIBIT, uuid: u(1) }]
+            ]);
         });
     });
 
     // ==================== UNLOCK ITEM RECORD ====================
 
+    // ==================== BULK UPDATE ITEMS ====================
+
+    describe('bulk_update_items', () => {
+
+        const EXHIBIT = TEST_EXHIBIT_UUID;
+        const u = (n) => `${n}${n}${n}e8400-e29b-41d4-a716-44665544000${n}`;
+        const result = (type, uuid, status, extra = {}) => ({ type, uuid, status, message: status, ...extra });
+
+        beforeEach(() => {
+            mockHelperInstance.reorder.mockResolvedValue([]);
+            mockHelperInstance.apply_reorder.mockResolvedValue({ success: true });
+        });
+
+        test('returns per-record results and re-indexes each published component once', async () => {
+            mockBulkRecordTask.apply_action.mockResolvedValue({
+                is_exhibit_published: true,
+                results: [
+                    result('item', u(1), 'updated'),
+                    result('grid', u(2), 'updated'),
+                    result('grid_item', u(3), 'updated', { parent_uuid: u(2), is_parent_published: true }),
+                    result('timeline_item', u(4), 'updated', { parent_uuid: u(5), is_parent_published: true }),
+                    result('heading', u(6), 'unchanged')
+                ]
+            });
+
+            const response = await ITEMS_MODEL.bulk_update_items(EXHIBIT, 'publish', [
+                { type: 'item', uuid: u(1) },
+                { type: 'grid', uuid: u(2) },
+                { type: 'grid_item', uuid: u(3) },
+                { type: 'timeline_item', uuid: u(4) },
+                { type: 'heading', uuid: u(6) }
+            ]);
+
+            expect(response.status).toBe(200);
+            expect(response.data.updated).toBe(4);
+            expect(response.data.results[2]).toEqual({ type: 'grid_item', uuid: u(3), status: 'updated', message: 'updated' });
+            expect(mockCoalescer.schedule_reindex.mock.calls).toEqual([
+                [`item:${u(1)}`, 'index_item', { exhibit_uuid: EXHIBIT, uuid: u(1) }],
+                [`grid:${u(2)}`, 'reindex_grid', { exhibit_uuid: EXHIBIT, uuid: u(2) }],
+                [`timeline:${u(5)}`, 'reindex_timeline', { exhibit_uuid: EXHIBIT, uuid: u(5) }]
+            ]);
+            expect(mockExhibitRecordTask.update_exhibit_timestamp).toHaveBeenCalledWith(EXHIBIT);
+        });
+
+        test('suppress removes top-level docs; items of an unpublished parent are left alone', async () => {
+            mockBulkRecordTask.apply_action.mockResolvedValue({
+                is_exhibit_published: true,
+                results: [
+                    result('heading', u(1), 'updated'),
+                    result('grid_item', u(3), 'updated', { parent_uuid: u(2), is_parent_published: false })
+                ]
+            });
+
+            await ITEMS_MODEL.bulk_update_items(EXHIBIT, 'suppress', [
+                { type: 'heading', uuid: u(1) },
+                { type: 'grid_item', uuid: u(3) }
+            ]);
+
+            expect(mockCoalescer.schedule_reindex.mock.calls).toEqual([
+                [`heading:${u(1)}`, 'delete_record', { record_type: 'heading', exhibit_uuid: EXHIBIT, uuid: u(1) }]
+            ]);
+        });
+
+        test('delete reorders the exhibit and never touches the index', async () => {
+            mockBulkRecordTask.apply_action.mockResolvedValue({
+                is_exhibit_published: true,
+                results: [result('item', u(1), 'updated'), result('item', u(2), 'rejected')]
+            });
+
+            const response = await ITEMS_MODEL.bulk_update_items(EXHIBIT, 'delete', [
+                { type: 'item', uuid: u(1) },
+                { type: 'item', uuid: u(2) }
+            ]);
+
+            expect(response.data.updated).toBe(1);
+            expect(mockHelperInstance.apply_reorder).toHaveBeenCalledTimes(1);
+            expect(mockCoalescer.schedule_reindex).not.toHaveBeenCalled();
+        });
+
+        test('skips the index while the exhibit is unpublished', async () => {
+            mockBulkRecordTask.apply_action.mockResolvedValue({
+                is_exhibit_published: false,
+                results: [result('item', u(1), 'updated')]
+            });
+
+            await ITEMS_MODEL.bulk_update_items(EXHIBIT, 'suppress', [{ type: 'item', uuid: u(1) }]);
+
+            expect(mockCoalescer.schedule_reindex).not.toHaveBeenCalled();
+        });
+
+        test('dedupes the selection before applying it', async () => {
+            mockBulkRecordTask.apply_action.mockResolvedValue({ is_exhibit_published: false, results: [] });
+
+            await ITEMS_MODEL.bulk_update_items(EXHIBIT, 'publish', [
+                { type: 'item', uuid: u(1) },
+                { type: 'item', uuid: u(1) }
+            ]);
+
+            expect(mockBulkRecordTask.apply_action).toHaveBeenCalledWith(EXHIBIT, 'publish', [{ type: 'item', uuid: u(1) }]);
+        });
+
+        test('returns 404 when the exhibit does not exist', async () => {
+            mockBulkRecordTask.apply_action.mockResolvedValue(null);
+
+            const response = await ITEMS_MODEL.bulk_update_items(EXHIBIT, 'publish', [{ type: 'item', uuid: u(1) }]);
+
+            expect(response.status).toBe(404);
+        });
+
+        test('rejects bad input without touching the database', async () => {
+            const too_many = Array.from({ length: 201 }, () => ({ type: 'item', uuid: u(1) }));
+
+            expect((await ITEMS_MODEL.bulk_update_items('bad', 'publish', [{ type: 'item', uuid: u(1) }])).status).toBe(400);
+            expect((await ITEMS_MODEL.bulk_update_items(EXHIBIT, 'archive', [{ type: 'item', uuid: u(1) }])).status).toBe(400);
+            expect((await ITEMS_MODEL.bulk_update_items(EXHIBIT, 'publish', too_many)).status).toBe(400);
+            expect((await ITEMS_MODEL.bulk_update_items(EXHIBIT, 'publish', [{ type: 'subheading', uuid: u(1) }])).status).toBe(400);
+            expect(mockBulkRecordTask.apply_action).not.toHaveBeenCalled();
+        });
+
+        test('returns 400 when the transaction fails', async () => {
+            mockBulkRecordTask.apply_action.mockRejectedValue(new Error('Lock wait timeout'));
+
+            const response = await ITEMS_MODEL.bulk_update_items(EXHIBIT, 'publish', [{ type: 'item', uuid: u(1) }]);
+
+            expect(response.status).toBe(400);
+            expect(mockExhibitRecordTask.update_exhibit_timestamp).not.toHaveBeenCalled();
+        });
+    });
+
+    // ==================== MOVE ITEM RECORD ====================
+
+    describe('move_item_record', () => {
+
+        const EXHIBIT = TEST_EXHIBIT_UUID;
+        const u = (n) => `${n}${n}${n}e8400-e29b-41d4-a716-44665544000${n}`;
+        const placement = (exhibit_uuid, type, container_uuid, is_published, is_container_published = null) => {
+            return { exhibit_uuid, type, container_uuid, is_published, is_container_published };
+        };
+
+        beforeEach(() => {
+            mockHelperInstance.reorder.mockResolvedValue([]);
+            mockHelperInstance.apply_reorder.mockResolvedValue({ success: true });
+            mockExhibitRecordTask.update_exhibit_timestamp.mockResolvedValue(true);
+            mockMediaModel.add_exhibit_to_media_record.mockResolvedValue({ success: true });
+            mockMediaModel.remove_exhibit_from_media_record.mockResolvedValue({ success: true });
+        });
+
+        test('moves a standard item into a grid in another exhibit and updates both sides', async () => {
+            mockMoveRecordTask.move_record.mockResolvedValue({
+                status: 'moved',
+                message: 'Record moved',
+                from: placement(EXHIBIT, 'item', null, true),
+                to: placement(u(2), 'grid_item', u(3), true, true),
+                media: [
+                    { media_uuid: u(4), media_role: 'item_media', is_used_by_source: false },
+                    { media_uuid: u(5), media_role: 'thumbnail', is_used_by_source: true }
+                ]
+            });
+
+            const response = await ITEMS_MODEL.move_item_record(EXHIBIT, 'item', u(1), {
+                exhibit_id: u(2),
+                type: 'grid_item',
+                container_id: u(3)
+            });
+
+            expect(response.status).toBe(200);
+            expect(response.data).toMatchObject({ uuid: u(1), to: { type: 'grid_item', container_uuid: u(3) } });
+            expect(mockMoveRecordTask.move_record).toHaveBeenCalledWith(EXHIBIT, 'item', u(1), {
+                exhibit_uuid: u(2),
+                type: 'grid_item',
+                container_uuid: u(3),
+                date: undefined
+            });
+            expect(mockHelperInstance.reorder).toHaveBeenCalledWith(EXHIBIT, expect.anything(), expect.anything());
+            expect(mockMediaModel.add_exhibit_to_media_record.mock.calls).toEqual([
+                [u(4), u(2), 'item_media'],
+                [u(5), u(2), 'thumbnail']
+            ]);
+            expect(mockMediaModel.remove_exhibit_from_media_record.mock.calls).toEqual([[u(4), EXHIBIT, 'item_media']]);
+            expect(mockExhibitRecordTask.update_exhibit_timestamp.mock.calls).toEqual([[EXHIBIT], [u(2)]]);
+            expect(mockCoalescer.schedule_reindex.mock.calls).toEqual([
+                [`item:${u(1)}`, 'delete_record', { record_type: 'item', exhibit_uuid: EXHIBIT, uuid: u(1) }],
+                [`grid:${u(3)}`, 'reindex_grid', { exhibit_uuid: u(2), uuid: u(3) }]
+            ]);
+        });
+
+        test('re-indexes a standard item that stays a standard item instead of removing it', async () => {
+            mockMoveRecordTask.move_record.mockResolvedValue({
+                status: 'moved',
+                message: 'Record moved',
+                from: placement(EXHIBIT, 'item', null, true),
+                to: placement(u(2), 'item', null, true),
+                media: []
+            });
+
+            await ITEMS_MODEL.move_item_record(EXHIBIT, 'item', u(1), { exhibit_id: u(2), type: 'item' });
+
+            expect(mockCoalescer.schedule_reindex.mock.calls).toEqual([
+                [`item:${u(1)}`, 'index_item', { exhibit_uuid: u(2), uuid: u(1) }]
+            ]);
+        });
+
+        test('rebuilds the source timeline when a published item leaves it suppressed', async () => {
+            mockMoveRecordTask.move_record.mockResolvedValue({
+                status: 'moved',
+                message: 'Record moved',
+                from: placement(EXHIBIT, 'timeline_item', u(6), true, true),
+                to: placement(EXHIBIT, 'grid_item', u(3), false, false),
+                media: []
+            });
+
+            await ITEMS_MODEL.move_item_record(EXHIBIT, 'timeline_item', u(1), { type: 'grid_item', container_id: u(3) });
+
+            expect(mockCoalescer.schedule_reindex.mock.calls).toEqual([
+                [`timeline:${u(6)}`, 'reindex_timeline', { exhibit_uuid: EXHIBIT, uuid: u(6) }]
+            ]);
+            expect(mockHelperInstance.reorder).not.toHaveBeenCalled();
+            expect(mockExhibitRecordTask.update_exhibit_timestamp).toHaveBeenCalledTimes(1);
+        });
+
+        test('maps not found to 404 and rejected moves to 409', async () => {
+            mockMoveRecordTask.move_record.mockResolvedValueOnce({ status: 'not_found', message: 'Grid not found in the target exhibit' });
+            mockMoveRecordTask.move_record.mockResolvedValueOnce({ status: 'rejected', message: 'Record is locked for editing' });
+
+            const missing = await ITEMS_MODEL.move_item_record(EXHIBIT, 'item', u(1), { type: 'grid_item', container_id: u(3) });
+            const locked = await ITEMS_MODEL.move_item_record(EXHIBIT, 'item', u(1), { type: 'grid_item', container_id: u(3) });
+
+            expect(missing).toMatchObject({ status: 404, message: 'Grid not found in the target exhibit' });
+            expect(locked).toMatchObject({ status: 409, message: 'Record is locked for editing' });
+            expect(mockExhibitRecordTask.update_exhibit_timestamp).not.toHaveBeenCalled();
+        });
+
+        test('rejects bad input without touching the database', async () => {
+            expect((await ITEMS_MODEL.move_item_record('bad', 'item', u(1), { type: 'item' })).status).toBe(400);
+            expect((await ITEMS_MODEL.move_item_record(EXHIBIT, 'heading', u(1), { type: 'item' })).status).toBe(400);
+            expect((await ITEMS_MODEL.move_item_record(EXHIBIT, 'item', u(1), { type: 'grid_item' })).status).toBe(400);
+            expect((await ITEMS_MODEL.move_item_record(EXHIBIT, 'item', u(1), { type: 'grid_item', container_id: u(3), date: '1900' })).status).toBe(400);
+            expect(mockMoveRecordTask.move_record).not.toHaveBeenCalled();
+        });
+
+        test('returns 400 when the transaction fails', async () => {
+            mockMoveRecordTask.move_record.mockRejectedValue(new Error('Duplicate entry'));
+
+            const response = await ITEMS_MODEL.move_item_record(EXHIBIT, 'item', u(1), { type: 'item', exhibit_id: u(2) });
+
+            expect(response.status).toBe(400);
+            expect(mockMediaModel.add_exhibit_to_media_record).not.toHaveBeenCalled();
+        });
+    });
+
     describe('unlock_item_record', () => {
 
         test('should unlock item record successfully', async () => {
@@ -0,0 +1,161 @@
+/**
+ * Integration tests for the embedded metadata (EXIF/GPS) privacy policy.
+ *
+ * The task layer and storage are mocked: these tests cover what reaches the
+ * IIIF manifest under each policy, that /file/:media_id streams the stripped
+ * copy, and that curators can only set a known override.
+ *
+ * Copyright 2026 University of Denver
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+jest.mock('../../libs/log4', () => ({
+    module: () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })
+}));
+
+jest.mock('../../config/db_config', () => () => jest.fn());
+jest.mock('../../config/db_tables_config', () => () => ({ exhibits: {} }));
+
+const mockMediaTask = {
+    get_media_record: jest.fn(),
+    update_media_record: jest.fn(),
+    get_user_by_username: jest.fn()
+};
+
+jest.mock('../../media-library/tasks/media_record_tasks', () => {
+    return jest.fn().mockImplementation(() => mockMediaTask);
+});
+
+jest.mock('../../media-library/storage-adapter', () => {
+    const mockStorage = { stat: jest.fn(), stream: jest.fn(), delete_prefix: jest.fn() };
+    return () => mockStorage;
+});
+
+process.env.ELASTICSEARCH_HOST = process.env.ELASTICSEARCH_HOST || 'http://es.test:9200';
+process.env.REPO_ELASTICSEARCH_INDEX = process.env.REPO_ELASTICSEARCH_INDEX || 'repo-test';
+
+const MEDIA_MODEL = require('../../media-library/model');
+const CONTROLLER = require('../../media-library/controller');
+const IIIF_SERVICE = require('../../media-library/iiif-service');
+const EXIF_PRIVACY = require('../../media-library/exif-privacy');
+const STORAGE = require('../../media-library/storage-adapter')();
+
+const MEDIA_UUID = '550e8400-e29b-41d4-a716-446655440000';
+const STORAGE_PATH = `images/55/0e/${MEDIA_UUID}.jpg`;
+const SERVED_PATH = `iiif_cache/55/0e/${MEDIA_UUID}/1759276800000/served-0123456789ab.jpg`;
+
+const record = (overrides = {}) => ({
+    uuid: MEDIA_UUID,
+    name: 'Campus survey',
+    media_type: 'image',
+    ingest_method: 'upload',
+    mime_type: 'image/jpeg',
+    storage_path: STORAGE_PATH,
+    original_filename: 'survey.jpg',
+    media_width: 4000,
+    media_height: 3000,
+    updated: new Date('2025-10-01T00:00:00Z'),
+    exif_data: JSON.stringify({
+        Make: 'Canon',
+        Model: 'EOS R5',
+        GPSLatitude: 39.6766,
+        GPSLongitude: -104.9619,
+        Artist: 'Pat Photographer',
+        DateTimeOriginal: '2024:05:01 10:00:00',
+        ImageWidth: 4000,
+        ImageHeight: 3000
+    }),
+    exif_privacy: null,
+    ...overrides
+});
+
+const labels = (manifest) => manifest.metadata.map((pair) => pair.label.en[0]);
+
+const mock_res = () => ({
+    headersSent: false,
+    set: jest.fn(),
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn()
+});
+
+beforeEach(() => {
+    mockMediaTask.get_media_record.mockResolvedValue({ success: true, record: record() });
+    mockMediaTask.update_media_record.mockImplementation(async (uuid, data) => ({ success: true, record: { ...record(), ...data } }));
+    STORAGE.delete_prefix.mockResolvedValue();
+});
+
+describe('IIIF manifest metadata', () => {
+
+    test('keeps the capture date and dimensions but not the camera, location or author', async () => {
+        const result = await IIIF_SERVICE.build_manifest_for_uuid(MEDIA_UUID, `http://host/iiif/${MEDIA_UUID}`, 'http://host');
+
+        expect(result.success).toBe(true);
+        expect(labels(result.manifest)).toEqual(expect.arrayContaining(['Date Created', 'Dimensions']));
+        expect(labels(result.manifest)).not.toContain('Camera');
+        expect(labels(result.manifest)).not.toContain('Author');
+        expect(JSON.stringify(result.manifest)).not.toContain('Pat Photographer');
+    });
+
+    test('publishes everything a curator chose to retain', async () => {
+        mockMediaTask.get_media_record.mockResolvedValue({ success: true, record: record({ exif_privacy: 'retain' }) });
+
+        const result = await IIIF_SERVICE.build_manifest_for_uuid(MEDIA_UUID, `http://host/iiif/${MEDIA_UUID}`, 'http://host');
+
+        expect(labels(result.manifest)).toEqual(expect.arrayContaining(['Camera', 'Author', 'Date Created']));
+    });
+});
+
+describe('get_media', () => {
+
+    test('streams the stripped copy, sized as served', async () => {
+        jest.spyOn(EXIF_PRIVACY, 'resolve_served_file').mockResolvedValue(SERVED_PATH);
+        STORAGE.stat.mockImplementation(async (key) => ({ size: key === SERVED_PATH ? 900 : 1200, modified: new Date() }));
+        const stream = { on: jest.fn().mockReturnThis(), pipe: jest.fn() };
+        STORAGE.stream.mockResolvedValue(stream);
+        const res = mock_res();
+
+        await CONTROLLER.get_media({ params: { media_id: MEDIA_UUID } }, res);
+
+        expect(EXIF_PRIVACY.resolve_served_file).toHaveBeenCalledWith(expect.objectContaining({ uuid: MEDIA_UUID }), STORAGE_PATH, 'image/jpeg');
+        expect(STORAGE.stream).toHaveBeenCalledWith(SERVED_PATH);
+        expect(res.set.mock.calls[0][0]['Content-Length']).toBe(900);
+        expect(stream.pipe).toHaveBeenCalledWith(res);
+    });
+
+    test('answers 500, not the original, when the copy cannot be made', async () => {
+        jest.spyOn(EXIF_PRIVACY, 'resolve_served_file').mockRejectedValue(new Error('exiftool failed'));
+        STORAGE.stat.mockResolvedValue({ size: 1200, modified: new Date() });
+        const res = mock_res();
+
+        await CONTROLLER.get_media({ params: { media_id: MEDIA_UUID } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(STORAGE.stream).not.toHaveBeenCalled();
+    });
+});
+
+describe('update_media_record', () => {
+
+    test('sets a curator override', async () => {
+        const result = await MEDIA_MODEL.update_media_record(MEDIA_UUID, { exif_privacy: 'retain' });
+
+        expect(result.success).toBe(true);
+        expect(mockMediaTask.update_media_record.mock.calls[0][1].exif_privacy).toBe('retain');
+    });
+
+    test('stores an empty override as the site policy', async () => {
+        await MEDIA_MODEL.update_media_record(MEDIA_UUID, { name: 'Campus survey', exif_privacy: '' });
+
+        expect(mockMediaTask.update_media_record.mock.calls[0][1].exif_privacy).toBeNull();
+    });
+
+    test('rejects an unknown override', async () => {
+        const result = await MEDIA_MODEL.update_media_record(MEDIA_UUID, { exif_privacy: 'publish' });
+
+        expect(result.success).toBe(false);
+        expect(result.message).toMatch(/Invalid exif_privacy/);
+        expect(mockMediaTask.update_media_record).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,228 @@
+/**
+ * Integration tests for the fixity report and single-file re-check.
+ *
+ * The task layer and storage checks are mocked: these tests cover report
+ * validation and paging, which records can be re-checked, and that both
+ * endpoints require view_fixity_report.
+ *
+ * Copyright 2026 University of Denver
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+jest.mock('../../libs/log4', () => ({
+    module: () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })
+}));
+
+jest.mock('../../config/db_config', () => () => jest.fn());
+jest.mock('../../config/db_tables_config', () => () => ({ exhibits: {} }));
+
+const mockMediaTask = {
+    get_media_record: jest.fn(),
+    update_fixity: jest.fn(),
+    get_fixity_summary: jest.fn(),
+    get_fixity_failures: jest.fn()
+};
+
+jest.mock('../../media-library/tasks/media_record_tasks', () => {
+    return jest.fn().mockImplementation(() => mockMediaTask);
+});
+
+jest.mock('../../media-library/uploads', () => ({ hash_stored_file: jest.fn() }));
+jest.mock('../../media-library/storage-adapter', () => {
+    const mockStorage = { stat: jest.fn() };
+    return () => mockStorage;
+});
+jest.mock('../../auth/authorize', () => ({ check_permission: jest.fn() }));
+
+const FIXITY = require('../../media-library/fixity-service');
+const CONTROLLER = require('../../media-library/fixity-controller');
+const UPLOADS = require('../../media-library/uploads');
+const STORAGE = require('../../media-library/storage-adapter')();
+const AUTHORIZE = require('../../auth/authorize');
+
+const MEDIA_UUID = '550e8400-e29b-41d4-a716-446655440000';
+const CONTENT_HASH = 'a'.repeat(64);
+
+const SUMMARY = { ok: 40, missing: 1, changed: 1, unreadable: 0, unchecked: 3, unhashed: 2 };
+
+const record = (overrides = {}) => ({
+    uuid: MEDIA_UUID,
+    name: 'Survey map',
+    media_type: 'image',
+    ingest_method: 'upload',
+    storage_path: 'images/55/0e/550e8400.jpg',
+    content_hash: CONTENT_HASH,
+    fixity_status: 'missing',
+    fixity_verified: new Date('2026-09-01T00:00:00Z'),
+    ...overrides
+});
+
+const mock_res = () => ({
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn()
+});
+
+beforeEach(() => {
+    mockMediaTask.get_media_record.mockResolvedValue({ success: true, record: record() });
+    mockMediaTask.update_fixity.mockResolvedValue(true);
+    mockMediaTask.get_fixity_summary.mockResolvedValue(SUMMARY);
+    mockMediaTask.get_fixity_failures.mockResolvedValue({ rows: [record()], total: 2 });
+    STORAGE.stat.mockResolvedValue({ size: 10, modified: new Date() });
+    UPLOADS.hash_stored_file.mockResolvedValue(CONTENT_HASH);
+    AUTHORIZE.check_permission.mockResolvedValue(true);
+});
+
+describe('get_fixity_report', () => {
+
+    test('returns the summary and the first page of failures of every kind', async () => {
+        const result = await FIXITY.get_fixity_report({});
+
+        expect(result).toMatchObject({ success: true, status: 200 });
+        expect(result.data).toMatchObject({ summary: SUMMARY, total: 2, page: 1, page_size: 50 });
+        expect(result.data.failures).toHaveLength(1);
+        expect(mockMediaTask.get_fixity_failures).toHaveBeenCalledWith(['missing', 'changed', 'unreadable'], 50, 0);
+    });
+
+    test('filters by one failure status and pages', async () => {
+        await FIXITY.get_fixity_report({ status: 'changed', page: '3', page_size: '20' });
+
+        expect(mockMediaTask.get_fixity_failures).toHaveBeenCalledWith(['changed'], 20, 40);
+    });
+
+    test.each([
+        [{ status: 'ok' }, /status must be one of/],
+        [{ page: '0' }, /page must be a positive integer/],
+        [{ page_size: '500' }, /page_size must be between 1 and 200/]
+    ])('rejects %j', async (query, message) => {
+        const result = await FIXITY.get_fixity_report(query);
+
+        expect(result).toMatchObject({ success: false, status: 400 });
+        expect(result.message).toMatch(message);
+        expect(mockMediaTask.get_fixity_failures).not.toHaveBeenCalled();
+    });
+
+    test('reports a database failure as a 500', async () => {
+        mockMediaTask.get_fixity_summary.mockRejectedValue(new Error('connection lost'));
+
+        expect(await FIXITY.get_fixity_report({})).toMatchObject({ success: false, status: 500 });
+    });
+});
+
+describe('verify_media', () => {
+
+    test('records a restored file as verified', async () => {
+        const result = await FIXITY.verify_media(MEDIA_UUID);
+
+        expect(result).toMatchObject({ success: true, status: 200, message: 'File verified' });
+        expect(result.data).toMatchObject({ uuid: MEDIA_UUID, status: 'ok' });
+        expect(mockMediaTask.update_fixity).toHaveBeenCalledWith(MEDIA_UUID, expect.objectContaining({
+            fixity_status: 'ok',
+            fixity_verified: expect.any(Date)
+        }));
+    });
+
+    test('records a file that is still missing and keeps its last verified date', async () => {
+        STORAGE.stat.mockResolvedValue(null);
+
+        const result = await FIXITY.verify_media(MEDIA_UUID);
+
+        expect(result).toMatchObject({ success: true, status: 200, message: 'Fixity check failed: missing' });
+        expect(result.data.verified).toEqual(new Date('2026-09-01T00:00:00Z'));
+        expect(mockMediaTask.update_fixity.mock.calls[0][1]).not.toHaveProperty('fixity_verified');
+        expect(UPLOADS.hash_stored_file).not.toHaveBeenCalled();
+    });
+
+    test('rejects an invalid media ID', async () => {
+        expect(await FIXITY.verify_media('not-a-uuid')).toMatchObject({ success: false, status: 400 });
+        expect(mockMediaTask.get_media_record).not.toHaveBeenCalled();
+    });
+
+    test('404s an unknown record', async () => {
+        mockMediaTask.get_media_record.mockResolvedValue({ success: true, record: null });
+
+        expect(await FIXITY.verify_media(MEDIA_UUID)).toMatchObject({ success: false, status: 404 });
+    });
+
+    test('refuses media that has no stored file', async () => {
+        mockMediaTask.get_media_record.mockResolvedValue({
+            success: true,
+            record: record({ ingest_method: 'kaltura', storage_path: null })
+        });
+
+        expect(await FIXITY.verify_media(MEDIA_UUID)).toMatchObject({ success: false, status: 400 });
+        expect(STORAGE.stat).not.toHaveBeenCalled();
+    });
+
+    test('refuses a file without a recorded checksum', async () => {
+        mockMediaTask.get_media_record.mockResolvedValue({ success: true, record: record({ content_hash: null }) });
+
+        const result = await FIXITY.verify_media(MEDIA_UUID);
+
+        expect(result).toMatchObject({ success: false, status: 409 });
+        expect(result.message).toMatch(/backfill-media-hashes/);
+        expect(mockMediaTask.update_fixity).not.toHaveBeenCalled();
+    });
+});
+
+describe('controller', () => {
+
+    test('requires view_fixity_report, with no record to check ownership against', async () => {
+        const req = { params: {} };
+        const next = jest.fn();
+
+        await CONTROLLER.require_fixity_permission(req, mock_res(), next);
+
+        expect(AUTHORIZE.check_permission).toHaveBeenCalledWith({
+            req,
+            permissions: ['view_fixity_report'],
+            record_type: null,
+            parent_id: null,
+            child_id: null
+        });
+        expect(next).toHaveBeenCalled();
+    });
+
+    test('403s without the permission', async () => {
+        AUTHORIZE.check_permission.mockResolvedValue(false);
+        const res = mock_res();
+        const next = jest.fn();
+
+        await CONTROLLER.require_fixity_permission({ params: {} }, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    test('403s when the permission check fails', async () => {
+        AUTHORIZE.check_permission.mockRejectedValue(new Error('token lookup failed'));
+        const res = mock_res();
+
+        await CONTROLLER.require_fixity_permission({ params: {} }, res, jest.fn());
+
+        expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('passes the report query through and replies with its status', async () => {
+        const res = mock_res();
+
+        await CONTROLLER.get_fixity_report({ query: { status: 'unreadable' } }, res);
+
+        expect(mockMediaTask.get_fixity_failures).toHaveBeenCalledWith(['unreadable'], 50, 0);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+            success: true,
+            data: expect.objectContaining({ summary: SUMMARY })
+        }));
+    });
+
+    test('re-checks the record named in the path', async () => {
+        const res = mock_res();
+
+        await CONTROLLER.verify_media_fixity({ params: { media_id: MEDIA_UUID } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json.mock.calls[0][0].data).toMatchObject({ uuid: MEDIA_UUID, status: 'ok' });
+    });
+});
@@ -0,0 +1,327 @@
+'use strict';
+
+/**
+ * Media library batch ingest (media-library/ingest-service).
+ *
+ * Archives are real zips written to a temp dir; storage, the media model, the
+ * audit log and the job table are mocked. Pins what a job does with each kind
+ * of entry (created with manifest metadata, duplicate, unsupported, mislabelled,
+ * skipped clutter), what is rejected before a job is created, the CSV parser,
+ * and that jobs are only visible to the user who started them.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+jest.mock('../../libs/log4', () => ({
+    module: () => ({ info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() })
+}));
+
+jest.mock('../../media-library/model', () => ({
+    find_upload_by_content: jest.fn(),
+    create_media_record: jest.fn()
+}));
+
+jest.mock('../../media-library/uploads', () => ({
+    is_valid_file_type: jest.requireActual('../../media-library/uploads').is_valid_file_type,
+    MAX_FILE_SIZE: 1024,
+    store_file: jest.fn(),
+    extract_metadata: jest.fn(),
+    delete_stored_file: jest.fn()
+}));
+
+jest.mock('../../audit/model', () => ({
+    record: jest.fn()
+}));
+
+// jsdom (behind DOMPurify) does not load under Jest; sanitizing is covered in test/tasks/dom_sanitizer.test.js
+jest.mock('../../libs/dom', () => ({
+    sanitize_object: jest.fn()
+}));
+
+const mock_jobs = new Map();
+jest.mock('../../media-library/tasks/media_ingest_job_tasks', () => class {
+    async create_job(job) {
+        mock_jobs.set(job.uuid, {
+            ...job, status: 'queued', total: 0, processed: 0, created_count: 0, duplicate_count: 0,
+            failed_count: 0, results: [], error: null, updated: new Date(), completed: null
+        });
+        return true;
+    }
+    async update_job(uuid, fields) {
+        Object.assign(mock_jobs.get(uuid), fields, { updated: new Date() });
+        return true;
+    }
+    async get_job(uuid) {
+        return mock_jobs.has(uuid) ? { ...mock_jobs.get(uuid) } : null;
+    }
+    async get_jobs_by_user(username) {
+        return [...mock_jobs.values()].filter((job) => job.username === username).map((job) => ({ ...job }));
+    }
+});
+
+const MEDIA_MODEL = require('../../media-library/model');
+const UPLOADS = require('../../media-library/uploads');
+const AUDIT = require('../../audit/model');
+const INGEST = require('../../media-library/ingest-service');
+
+const TMP_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'media-ingest-test-'));
+const ACTOR = { decoded: { sub: 'curator' }, query: {}, ip: '127.0.0.1' };
+
+const JPEG = Buffer.concat([Buffer.from([0xFF, 0xD8, 0xFF, 0xE0]), Buffer.alloc(16)]);
+const PNG = Buffer.concat([Buffer.from('\x89PNG\r\n\x1a\n', 'latin1'), Buffer.alloc(16)]);
+const PDF = Buffer.from('%PDF-1.4\n%%EOF\n');
+
+// Zip with every entry stored (no compression)
+const build_zip = (entries) => {
+
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const [name, data] of entries) {
+
+        const name_buffer = Buffer.from(name);
+        const crc = zlib.crc32(data);
+        const local = Buffer.alloc(30);
+        const central = Buffer.alloc(46);
+
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name_buffer.length, 26);
+
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name_buffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, name_buffer, data);
+        centrals.push(central, name_buffer);
+        offset += local.length + name_buffer.length + data.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+};
+
+let file_count = 0;
+
+// A multer-style file spooled to the temp dir
+const spool = (content, originalname) => {
+    const file_path = path.join(TMP_ROOT, `upload-${++file_count}`);
+    fs.writeFileSync(file_path, content);
+    return { path: file_path, originalname, size: content.length };
+};
+
+const wait_until = async (condition) => {
+    for (let i = 0; i < 200; i++) {
+        if (condition()) {
+            return;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    throw new Error('timed out');
+};
+
+const wait_for_job = async (uuid) => {
+    await wait_until(() => ['completed', 'failed'].includes(mock_jobs.get(uuid).status));
+    return mock_jobs.get(uuid);
+};
+
+beforeEach(() => {
+    mock_jobs.clear();
+    MEDIA_MODEL.find_upload_by_content.mockResolvedValue(null);
+    MEDIA_MODEL.create_media_record.mockImplementation(async () => ({ success: true, uuid: `uuid-${MEDIA_MODEL.create_media_record.mock.calls.length}` }));
+    UPLOADS.store_file.mockImplementation(async (buffer, name, mime_type) => ({
+        file_path: `/storage/${name}`,
+        storage_path: `stored/${name}`,
+        thumbnail_path: `thumbnails/${name}.jpg`,
+        media_type: mime_type === 'application/pdf' ? 'pdf' : 'image',
+        mime_type,
+        file_size: buffer.length,
+        media_width: 10,
+        media_height: 20
+    }));
+    UPLOADS.extract_metadata.mockResolvedValue({ Make: 'Nikon' });
+    UPLOADS.delete_stored_file.mockResolvedValue(undefined);
+});
+
+afterAll(() => {
+    fs.rmSync(TMP_ROOT, { recursive: true, force: true });
+});
+
+describe('start_ingest', () => {
+
+    test('creates a record per file with manifest metadata and reports progress', async () => {
+        const archive = spool(build_zip([
+            ['scans/Front_Range-map.jpg', JPEG],
+            ['notes.pdf', PDF],
+            ['scans/', Buffer.alloc(0)],
+            ['__MACOSX/scans/._Front_Range-map.jpg', Buffer.alloc(4)],
+            ['.DS_Store', Buffer.alloc(4)]
+        ]), 'batch.zip');
+        const manifest = spool(Buffer.from(
+            '﻿Filename,Title,Alt Text,Subjects,Call Number\r\n' +
+            'front_range-map.jpg,"Map of the Front Range, 1873",A hand-drawn map,Maps|Colorado,G4312\r\n' +
+            'missing.png,Not here,,,\r\n'
+        ), 'metadata.csv');
+
+        const result = await INGEST.start_ingest({ archive, manifest, actor: ACTOR });
+
+        expect(result.status).toBe(202);
+        expect(result.job).toMatchObject({ status: 'queued', total: 2, archive_name: 'batch.zip', manifest_name: 'metadata.csv' });
+
+        const job = await wait_for_job(result.job.uuid);
+
+        expect(job).toMatchObject({ status: 'completed', processed: 2, created_count: 2, duplicate_count: 0, failed_count: 0 });
+        expect(job.results).toEqual([
+            { file: 'scans/Front_Range-map.jpg', status: 'created', uuid: 'uuid-1', message: null },
+            { file: 'notes.pdf', status: 'created', uuid: 'uuid-2', message: null },
+            { file: 'missing.png', status: 'missing', uuid: null, message: 'Listed in the manifest but not in the archive' }
+        ]);
+
+        expect(MEDIA_MODEL.create_media_record.mock.calls[0][0]).toEqual({
+            name: 'Map of the Front Range, 1873',
+            alt_text: 'A hand-drawn map',
+            topics_subjects: 'Maps|Colorado',
+            call_number: 'G4312',
+            media_type: 'image',
+            mime_type: 'image/jpeg',
+            ingest_method: 'upload',
+            original_filename: 'Front_Range-map.jpg',
+            storage_path: 'stored/Front_Range-map.jpg',
+            thumbnail_path: 'thumbnails/Front_Range-map.jpg.jpg',
+            size: JPEG.length,
+            media_width: 10,
+            media_height: 20,
+            exif_data: JSON.stringify({ Make: 'Nikon' }),
+            username: 'curator'
+        });
+        expect(MEDIA_MODEL.create_media_record.mock.calls[1][0].name).toBe('notes');
+        expect(AUDIT.record).toHaveBeenCalledWith(ACTOR, expect.objectContaining({ action: 'create', record_type: 'media', record_uuid: 'uuid-2' }));
+
+        // Spooled uploads are removed once the job ends
+        await wait_until(() => !fs.existsSync(archive.path) && !fs.existsSync(manifest.path));
+    });
+
+    test('skips duplicates and fails unsupported, mislabelled or oversized files', async () => {
+        MEDIA_MODEL.find_upload_by_content.mockImplementation(async (media_type, buffer) => (
+            buffer.equals(PNG) ? { uuid: 'existing-uuid', name: 'Logo' } : null
+        ));
+
+        const archive = spool(build_zip([
+            ['logo.png', PNG],
+            ['readme.txt', Buffer.from('hello')],
+            ['fake.jpg', PDF],
+            ['huge.pdf', Buffer.concat([PDF, Buffer.alloc(2048)])],
+            ['photo.jpeg', JPEG]
+        ]), 'mixed.zip');
+
+        const { job: queued } = await INGEST.start_ingest({ archive, manifest: null, actor: ACTOR });
+        const job = await wait_for_job(queued.uuid);
+
+        expect(job).toMatchObject({ status: 'completed', processed: 5, created_count: 1, duplicate_count: 1, failed_count: 3 });
+        expect(job.results.map((entry) => [entry.file, entry.status, entry.message])).toEqual([
+            ['logo.png', 'duplicate', 'Already in the library as "Logo"'],
+            ['readme.txt', 'failed', 'Unsupported file type'],
+            ['fake.jpg', 'failed', 'File content does not match its extension'],
+            ['huge.pdf', 'failed', 'File exceeds maximum size of 0MB'],
+            ['photo.jpeg', 'created', 'Created without alt text']
+        ]);
+        expect(UPLOADS.store_file).toHaveBeenCalledTimes(1);
+    });
+
+    test('removes the stored file when the record cannot be created', async () => {
+        MEDIA_MODEL.create_media_record.mockResolvedValue({ success: false, message: 'Invalid media data' });
+
+        const { job: queued } = await INGEST.start_ingest({ archive: spool(build_zip([['a.pdf', PDF]]), 'a.zip'), manifest: null, actor: ACTOR });
+        const job = await wait_for_job(queued.uuid);
+
+        expect(job.results[0]).toMatchObject({ status: 'failed', message: 'Invalid media data' });
+        expect(UPLOADS.delete_stored_file).toHaveBeenCalledWith('stored/a.pdf', 'thumbnails/a.pdf.jpg');
+        expect(AUDIT.record).not.toHaveBeenCalled();
+    });
+
+    test.each([
+        ['no archive', () => ({ archive: null }), 'A zip archive is required'],
+        ['a non-zip archive', () => ({ archive: spool(Buffer.from('x'), 'photos.tar') }), 'The archive must be a .zip file'],
+        ['an unreadable zip', () => ({ archive: spool(Buffer.from('not a zip'), 'bad.zip') }), /^Unable to read the zip archive/],
+        ['an archive of folders only', () => ({ archive: spool(build_zip([['empty/', Buffer.alloc(0)]]), 'empty.zip') }), 'The archive contains no files'],
+        ['a manifest without filenames', () => ({
+            archive: spool(build_zip([['a.pdf', PDF]]), 'a.zip'),
+            manifest: spool(Buffer.from('name,description\nA,B\n'), 'm.csv')
+        }), 'The manifest needs a filename column'],
+        ['a manifest listing a file twice', () => ({
+            archive: spool(build_zip([['a.pdf', PDF]]), 'a.zip'),
+            manifest: spool(Buffer.from('filename,name\na.pdf,One\nA.PDF,Two\n'), 'm.csv')
+        }), 'The manifest lists A.PDF more than once']
+    ])('400 for %s, without creating a job', async (label, build, message) => {
+        const files = build();
+        const result = await INGEST.start_ingest({ manifest: null, ...files, actor: ACTOR });
+
+        expect(result.status).toBe(400);
+        expect(result.message).toEqual(typeof message === 'string' ? message : expect.stringMatching(message));
+        expect(mock_jobs.size).toBe(0);
+
+        for (const file of Object.values(files).filter(Boolean)) {
+            expect(fs.existsSync(file.path)).toBe(false);
+        }
+    });
+});
+
+describe('get_job / get_jobs', () => {
+
+    const JOB_UUID = '5f1c8a0e-2b7d-4c3e-9a41-0d2f6b8e7c15';
+
+    const add_job = (fields) => mock_jobs.set(JOB_UUID, {
+        uuid: JOB_UUID, status: 'completed', username: 'curator', results: [], updated: new Date(), ...fields
+    });
+
+    test('returns the job to the user who started it and 404 to anyone else', async () => {
+        add_job({});
+
+        const own = await INGEST.get_job(JOB_UUID, 'curator');
+
+        expect(own.status).toBe(200);
+        expect(own.job).not.toHaveProperty('username');
+        expect((await INGEST.get_job(JOB_UUID, 'someone-else')).status).toBe(404);
+        expect((await INGEST.get_job('nope', 'curator')).status).toBe(400);
+        expect((await INGEST.get_jobs('someone-else')).jobs).toEqual([]);
+    });
+
+    test('marks a running job that stopped moving as failed', async () => {
+        add_job({ status: 'running', updated: new Date(Date.now() - 60 * 60 * 1000) });
+
+        const { jobs } = await INGEST.get_jobs('curator');
+
+        expect(jobs[0].status).toBe('failed');
+        expect(mock_jobs.get(JOB_UUID)).toMatchObject({ status: 'failed', error: expect.stringMatching(/^Interrupted/) });
+    });
+});
+
+describe('parse_csv', () => {
+
+    test('handles quoted commas, doubled quotes, line breaks and blank lines', () => {
+        expect(INGEST.parse_csv('a,"b, c","say ""hi"""\n\n"multi\nline",,x\r\n')).toEqual([
+            ['a', 'b, c', 'say "hi"'],
+            ['multi\nline', '', 'x']
+        ]);
+    });
+});
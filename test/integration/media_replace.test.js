@@ -0,0 +1,336 @@
+/**
+ * Integration tests for replacing a media record's file in place.
+ *
+ * Storage and the task layer are mocked: these tests cover which records and
+ * files are accepted, that the old file is archived as a version and put back
+ * when the replacement fails, and that the IIIF cache, stored manifest and
+ * published items using the media are refreshed.
+ *
+ * Copyright 2026 University of Denver
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+jest.mock('../../libs/log4', () => ({
+    module: () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })
+}));
+
+jest.mock('../../config/db_config', () => () => jest.fn());
+jest.mock('../../config/db_tables_config', () => () => ({ exhibits: {} }));
+
+const mockMediaTask = {
+    get_media_record: jest.fn(),
+    get_user_by_username: jest.fn(),
+    get_next_media_version: jest.fn(),
+    replace_media_file: jest.fn(),
+    update_iiif_manifest: jest.fn(),
+    get_media_usage: jest.fn(),
+    get_media_versions: jest.fn()
+};
+
+jest.mock('../../media-library/tasks/media_record_tasks', () => {
+    return jest.fn().mockImplementation(() => mockMediaTask);
+});
+
+jest.mock('../../media-library/uploads', () => ({
+    is_valid_file_type: jest.fn(),
+    get_media_type: jest.fn(),
+    archive_stored_file: jest.fn(),
+    restore_archived_file: jest.fn(),
+    store_file: jest.fn(),
+    extract_metadata: jest.fn(),
+    read_pdf_text: jest.fn(),
+    delete_stored_file: jest.fn()
+}));
+
+jest.mock('../../media-library/iiif-cache', () => ({ purge: jest.fn() }));
+jest.mock('../../media-library/iiif-service', () => ({
+    build_manifest_for_uuid: jest.fn(),
+    derive_iiif_base: jest.fn(),
+    derive_file_base: jest.fn()
+}));
+jest.mock('../../exhibits/reindex_coalescer', () => ({ schedule_reindex: jest.fn() }));
+jest.mock('../../audit/model', () => ({ record: jest.fn() }));
+jest.mock('../../auth/authorize', () => ({ check_permission: jest.fn() }));
+
+const REPLACE_SERVICE = require('../../media-library/replace-service');
+const CONTROLLER = require('../../media-library/replace-controller');
+const UPLOADS = require('../../media-library/uploads');
+const IIIF_CACHE = require('../../media-library/iiif-cache');
+const IIIF_SERVICE = require('../../media-library/iiif-service');
+const REINDEX_COALESCER = require('../../exhibits/reindex_coalescer');
+const AUDIT = require('../../audit/model');
+const AUTHORIZE = require('../../auth/authorize');
+
+const MEDIA_UUID = '550e8400-e29b-41d4-a716-446655440000';
+const EXHIBIT_UUID = '6ba7b810-9dad-41d1-80b4-00c04fd430c8';
+const GRID_UUID = '7c9e6679-7425-40de-944b-e07fc1f90ae7';
+
+const URLS = { iiif_base: 'http://host/iiif', file_base: 'http://host' };
+
+const file = (overrides = {}) => ({
+    buffer: Buffer.from('new scan'),
+    originalname: 'better-scan.jpg',
+    mimetype: 'image/jpeg',
+    size: 8,
+    ...overrides
+});
+
+const record = (overrides = {}) => ({
+    uuid: MEDIA_UUID,
+    media_type: 'image',
+    ingest_method: 'upload',
+    filename: 'a3f7.jpg',
+    original_filename: 'first-scan.jpg',
+    mime_type: 'image/jpeg',
+    size: 4,
+    storage_path: 'images/a3/f7/a3f7.jpg',
+    thumbnail_path: 'thumbnails/a3/f7/a3f7_thumb.jpg',
+    media_width: 100,
+    media_height: 80,
+    exif_data: '{}',
+    content_hash: 'old-hash',
+    ...overrides
+});
+
+const stored = {
+    uuid: MEDIA_UUID,
+    file_path: '/storage/images/55/0e/x.jpg',
+    storage_path: `images/55/0e/${MEDIA_UUID}.jpg`,
+    thumbnail_path: `thumbnails/55/0e/${MEDIA_UUID}_thumb.jpg`,
+    extension: '.jpg',
+    mime_type: 'image/jpeg',
+    file_size: 8,
+    media_width: 2000,
+    media_height: 1600,
+    content_hash: 'new-hash',
+    perceptual_hash: '0f0f0f0f0f0f0f0f'
+};
+
+const archive = {
+    storage_path: `versions/55/0e/${MEDIA_UUID}/v3/a3f7.jpg`,
+    thumbnail_path: `versions/55/0e/${MEDIA_UUID}/v3/a3f7_thumb.jpg`,
+    moved: [['images/a3/f7/a3f7.jpg', `versions/55/0e/${MEDIA_UUID}/v3/a3f7.jpg`]]
+};
+
+const usage_item = (overrides = {}) => ({
+    uuid: 'item-1',
+    type: 'item',
+    title: 'Survey',
+    is_published: 1,
+    is_deleted: 0,
+    media_uuid: MEDIA_UUID,
+    thumbnail_media_uuid: null,
+    exhibit_uuid: EXHIBIT_UUID,
+    exhibit_title: 'Front Range',
+    exhibit_is_deleted: 0,
+    ...overrides
+});
+
+const mock_res = () => ({
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn()
+});
+
+beforeEach(() => {
+    mockMediaTask.get_media_record.mockResolvedValue({ success: true, record: record() });
+    mockMediaTask.get_user_by_username.mockResolvedValue({ success: true, full_name: 'Pat Curator' });
+    mockMediaTask.get_next_media_version.mockResolvedValue(3);
+    mockMediaTask.replace_media_file.mockImplementation(async (uuid, file_data) => ({
+        success: true,
+        record: { ...record(), ...file_data }
+    }));
+    mockMediaTask.update_iiif_manifest.mockResolvedValue(true);
+    mockMediaTask.get_media_usage.mockResolvedValue({ exhibits: [], bindings: [], items: [] });
+    mockMediaTask.get_media_versions.mockResolvedValue([]);
+
+    UPLOADS.is_valid_file_type.mockReturnValue(true);
+    UPLOADS.get_media_type.mockImplementation((mime) => (mime.startsWith('image/') ? 'image' : 'pdf'));
+    UPLOADS.archive_stored_file.mockResolvedValue(archive);
+    UPLOADS.store_file.mockResolvedValue(stored);
+    UPLOADS.extract_metadata.mockResolvedValue({ Make: 'Phase One' });
+    UPLOADS.read_pdf_text.mockResolvedValue(null);
+    UPLOADS.delete_stored_file.mockResolvedValue();
+    IIIF_SERVICE.build_manifest_for_uuid.mockResolvedValue({ success: true, manifest: { id: 'm' } });
+    IIIF_SERVICE.derive_iiif_base.mockReturnValue(URLS.iiif_base);
+    IIIF_SERVICE.derive_file_base.mockReturnValue(URLS.file_base);
+    AUTHORIZE.check_permission.mockResolvedValue(true);
+});
+
+describe('replace_media_file', () => {
+
+    test('stores the new file under the record UUID and archives the old one as a version', async () => {
+        const result = await REPLACE_SERVICE.replace_media_file(MEDIA_UUID, file(), { username: 'curator', ...URLS });
+
+        expect(result).toMatchObject({ success: true, status: 200, version: 3 });
+        expect(UPLOADS.archive_stored_file).toHaveBeenCalledWith(
+            'images/a3/f7/a3f7.jpg', 'thumbnails/a3/f7/a3f7_thumb.jpg', MEDIA_UUID, 3
+        );
+        expect(UPLOADS.store_file).toHaveBeenCalledWith(expect.any(Buffer), 'better-scan.jpg', 'image/jpeg', { uuid: MEDIA_UUID });
+
+        const [, file_data, version_data] = mockMediaTask.replace_media_file.mock.calls[0];
+
+        expect(file_data).toMatchObject({
+            filename: `${MEDIA_UUID}.jpg`,
+            original_filename: 'better-scan.jpg',
+            storage_path: stored.storage_path,
+            thumbnail_path: stored.thumbnail_path,
+            media_width: 2000,
+            media_height: 1600,
+            exif_data: JSON.stringify({ Make: 'Phase One' }),
+            content_hash: 'new-hash',
+            perceptual_hash: '0f0f0f0f0f0f0f0f',
+            updated_by: 'Pat Curator'
+        });
+        expect(version_data).toMatchObject({
+            version: 3,
+            storage_path: archive.storage_path,
+            thumbnail_path: archive.thumbnail_path,
+            original_filename: 'first-scan.jpg',
+            content_hash: 'old-hash',
+            replaced_by: 'Pat Curator'
+        });
+    });
+
+    test('purges the IIIF cache and stores a rebuilt manifest', async () => {
+        await REPLACE_SERVICE.replace_media_file(MEDIA_UUID, file(), URLS);
+
+        expect(IIIF_CACHE.purge).toHaveBeenCalledWith(MEDIA_UUID);
+        expect(IIIF_SERVICE.build_manifest_for_uuid).toHaveBeenCalledWith(MEDIA_UUID, URLS.iiif_base, URLS.file_base);
+        expect(mockMediaTask.update_iiif_manifest).toHaveBeenCalledWith(MEDIA_UUID, JSON.stringify({ id: 'm' }));
+    });
+
+    test('re-indexes only live, published items that use the media', async () => {
+        mockMediaTask.get_media_usage.mockResolvedValue({
+            exhibits: [],
+            bindings: [],
+            items: [
+                usage_item(),
+                usage_item({ uuid: 'item-2', is_published: 0 }),
+                usage_item({ uuid: 'item-3', is_deleted: 1 }),
+                usage_item({ uuid: 'grid-item-1', type: 'grid_item', container_uuid: GRID_UUID, container_is_deleted: 0 })
+            ]
+        });
+
+        const result = await REPLACE_SERVICE.replace_media_file(MEDIA_UUID, file(), URLS);
+
+        expect(result.reindexed).toBe(2);
+        expect(REINDEX_COALESCER.schedule_reindex.mock.calls).toEqual([
+            ['item:item-1', 'publish_item', { exhibit_uuid: EXHIBIT_UUID, container_uuid: null, uuid: 'item-1' }],
+            ['grid_item:grid-item-1', 'publish_grid_item', { exhibit_uuid: EXHIBIT_UUID, container_uuid: GRID_UUID, uuid: 'grid-item-1' }]
+        ]);
+    });
+
+    test('rejects a different kind of file without touching storage', async () => {
+        const result = await REPLACE_SERVICE.replace_media_file(MEDIA_UUID, file({ originalname: 'scan.pdf', mimetype: 'application/pdf' }), URLS);
+
+        expect(result).toMatchObject({ success: false, status: 400 });
+        expect(UPLOADS.archive_stored_file).not.toHaveBeenCalled();
+    });
+
+    test('rejects media that has no uploaded file', async () => {
+        mockMediaTask.get_media_record.mockResolvedValue({
+            success: true,
+            record: record({ ingest_method: 'repository', storage_path: null })
+        });
+
+        const result = await REPLACE_SERVICE.replace_media_file(MEDIA_UUID, file(), URLS);
+
+        expect(result).toMatchObject({ success: false, status: 400 });
+        expect(UPLOADS.archive_stored_file).not.toHaveBeenCalled();
+    });
+
+    test('404 for an unknown record and 400 for a bad ID or missing file', async () => {
+        mockMediaTask.get_media_record.mockResolvedValue({ success: false, record: null });
+
+        expect(await REPLACE_SERVICE.replace_media_file(MEDIA_UUID, file(), URLS)).toMatchObject({ status: 404 });
+        expect(await REPLACE_SERVICE.replace_media_file('nope', file(), URLS)).toMatchObject({ status: 400 });
+        expect(await REPLACE_SERVICE.replace_media_file(MEDIA_UUID, null, URLS)).toMatchObject({ status: 400 });
+    });
+
+    test('puts the old file back and removes the new one when the record update fails', async () => {
+        mockMediaTask.replace_media_file.mockRejectedValue(new Error('deadlock'));
+
+        const result = await REPLACE_SERVICE.replace_media_file(MEDIA_UUID, file(), URLS);
+
+        expect(result).toMatchObject({ success: false, status: 500 });
+        expect(UPLOADS.delete_stored_file).toHaveBeenCalledWith(stored.storage_path, stored.thumbnail_path);
+        expect(UPLOADS.restore_archived_file).toHaveBeenCalledWith(archive);
+        expect(IIIF_CACHE.purge).not.toHaveBeenCalled();
+    });
+
+    test('refuses a second replacement of the same record while one is running', async () => {
+        let release;
+        UPLOADS.store_file.mockImplementation(() => new Promise((resolve) => {
+            release = () => resolve(stored);
+        }));
+
+        const first = REPLACE_SERVICE.replace_media_file(MEDIA_UUID, file(), URLS);
+        await new Promise((resolve) => setImmediate(resolve));
+
+        expect(await REPLACE_SERVICE.replace_media_file(MEDIA_UUID, file(), URLS)).toMatchObject({ status: 409 });
+
+        release();
+        expect(await first).toMatchObject({ success: true });
+    });
+});
+
+describe('controller', () => {
+
+    const req = (overrides = {}) => ({
+        params: { media_id: MEDIA_UUID },
+        decoded: { sub: 'curator' },
+        file: file(),
+        ...overrides
+    });
+
+    test('replace answers the new record and archived version, and audits it', async () => {
+        const res = mock_res();
+
+        await CONTROLLER.replace_media_file(req(), res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json.mock.calls[0][0].data).toMatchObject({ version: 3, reindexed: 0 });
+        expect(AUDIT.record.mock.calls[0][1]).toMatchObject({
+            action: 'replace',
+            record_type: 'media',
+            record_uuid: MEDIA_UUID,
+            after: { original_filename: 'better-scan.jpg', content_hash: 'new-hash', archived_version: 3 }
+        });
+    });
+
+    test('passes a failure status through without auditing', async () => {
+        const res = mock_res();
+
+        await CONTROLLER.replace_media_file(req({ file: undefined }), res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(AUDIT.record).not.toHaveBeenCalled();
+    });
+
+    test('permission middleware answers 403 without reading the upload', async () => {
+        AUTHORIZE.check_permission.mockResolvedValue(false);
+        const res = mock_res();
+        const next = jest.fn();
+
+        await CONTROLLER.require_update_media_permission(req(), res, next);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(next).not.toHaveBeenCalled();
+        expect(AUTHORIZE.check_permission.mock.calls[0][0]).toMatchObject({
+            permissions: ['can_update_any_media', 'can_update_media'],
+            parent_id: MEDIA_UUID
+        });
+    });
+
+    test('versions lists the archived files', async () => {
+        mockMediaTask.get_media_versions.mockResolvedValue([{ version: 1, original_filename: 'first-scan.jpg' }]);
+        const res = mock_res();
+
+        await CONTROLLER.get_media_versions(req(), res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json.mock.calls[0][0].data).toEqual([{ version: 1, original_filename: 'first-scan.jpg' }]);
+    });
+});
@@ -0,0 +1,199 @@
+/**
+ * Integration tests for duplicate detection by content and perceptual hash.
+ *
+ * The task layer and file hashing are mocked: these tests cover how the model
+ * validates hashes, scores and orders matches, prefers the stored content
+ * hash over re-hashing files, and keeps client-supplied hashes out of new
+ * records; and the similar-check endpoint's responses.
+ *
+ * Copyright 2026 University of Denver
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+jest.mock('../../libs/log4', () => ({
+    module: () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })
+}));
+
+jest.mock('../../config/db_config', () => () => jest.fn());
+jest.mock('../../config/db_tables_config', () => () => ({ exhibits: {} }));
+
+const mockMediaTask = {
+    find_similar_media: jest.fn(),
+    find_by_content_hash: jest.fn(),
+    find_by_size: jest.fn(),
+    create_media_record: jest.fn(),
+    get_user_by_username: jest.fn()
+};
+
+jest.mock('../../media-library/tasks/media_record_tasks', () => {
+    return jest.fn().mockImplementation(() => mockMediaTask);
+});
+
+jest.mock('../../media-library/uploads', () => ({
+    hash_stored_file: jest.fn(),
+    hash_stored_media: jest.fn(),
+    read_pdf_text: jest.fn()
+}));
+
+process.env.ELASTICSEARCH_HOST = process.env.ELASTICSEARCH_HOST || 'http://es.test:9200';
+process.env.REPO_ELASTICSEARCH_INDEX = process.env.REPO_ELASTICSEARCH_INDEX || 'repo-test';
+
+const CRYPTO = require('crypto');
+const UPLOADS = require('../../media-library/uploads');
+const MEDIA_MODEL = require('../../media-library/model');
+const CONTROLLER = require('../../media-library/controller');
+
+const CONTENT_HASH = 'a'.repeat(64);
+const PERCEPTUAL_HASH = 'f0e1d2c3b4a59687';
+const MEDIA_UUID = '550e8400-e29b-41d4-a716-446655440000';
+
+const row = (overrides = {}) => ({
+    uuid: MEDIA_UUID,
+    name: 'Boulder, 1873',
+    original_filename: 'boulder.jpg',
+    media_type: 'image',
+    thumbnail_path: 'thumbnails/55/0e/thumb.jpg',
+    created: '2026-10-01T00:00:00.000Z',
+    created_by: 'Curator',
+    content_hash: 'b'.repeat(64),
+    distance: 3,
+    ...overrides
+});
+
+const mock_res = () => ({
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn()
+});
+
+beforeEach(() => {
+    mockMediaTask.find_similar_media.mockResolvedValue([]);
+    mockMediaTask.find_by_content_hash.mockResolvedValue(null);
+    mockMediaTask.find_by_size.mockResolvedValue([]);
+    mockMediaTask.get_user_by_username.mockResolvedValue({ success: false });
+    mockMediaTask.create_media_record.mockImplementation(async (data) => ({ success: true, id: 1, record: { ...data } }));
+    UPLOADS.hash_stored_media.mockResolvedValue({ content_hash: CONTENT_HASH, perceptual_hash: PERCEPTUAL_HASH });
+    UPLOADS.read_pdf_text.mockResolvedValue(null);
+});
+
+describe('find_similar_media', () => {
+
+    test('scores exact copies 1 and similar images by the bits that agree, most similar first', async () => {
+        mockMediaTask.find_similar_media.mockResolvedValue([
+            row({ uuid: 'similar', distance: 6 }),
+            row({ uuid: 'exact', content_hash: CONTENT_HASH, distance: null })
+        ]);
+
+        const result = await MEDIA_MODEL.find_similar_media({ content_hash: CONTENT_HASH, perceptual_hash: PERCEPTUAL_HASH });
+
+        expect(result.success).toBe(true);
+        expect(result.matches.map((match) => [match.uuid, match.match, match.similarity, match.distance])).toEqual([
+            ['exact', 'exact', 1, 0],
+            ['similar', 'similar', 0.91, 6]
+        ]);
+        expect(result.matches[1]).toMatchObject({ name: 'Boulder, 1873', original_filename: 'boulder.jpg', created_by: 'Curator' });
+        expect(result.matches[1]).not.toHaveProperty('content_hash');
+    });
+
+    test('queries with lowercased hashes, the similarity threshold and the exclusion', async () => {
+        await MEDIA_MODEL.find_similar_media({ perceptual_hash: PERCEPTUAL_HASH.toUpperCase(), exclude: MEDIA_UUID });
+
+        expect(mockMediaTask.find_similar_media).toHaveBeenCalledWith({
+            content_hash: null,
+            perceptual_hash: PERCEPTUAL_HASH,
+            max_distance: 10,
+            exclude: MEDIA_UUID,
+            limit: 10
+        });
+    });
+
+    test('400 without a hash, for a malformed hash or exclusion — no query', async () => {
+        expect((await MEDIA_MODEL.find_similar_media({})).status).toBe(400);
+        expect((await MEDIA_MODEL.find_similar_media({ content_hash: 'abc' })).status).toBe(400);
+        expect((await MEDIA_MODEL.find_similar_media({ content_hash: CONTENT_HASH, perceptual_hash: 'zz' })).status).toBe(400);
+        expect((await MEDIA_MODEL.find_similar_media({ perceptual_hash: PERCEPTUAL_HASH, exclude: 'nope' })).status).toBe(400);
+        expect(mockMediaTask.find_similar_media).not.toHaveBeenCalled();
+    });
+
+    test('500 when the lookup fails', async () => {
+        mockMediaTask.find_similar_media.mockRejectedValue(new Error('connection lost'));
+
+        const result = await MEDIA_MODEL.find_similar_media({ content_hash: CONTENT_HASH });
+
+        expect(result).toMatchObject({ success: false, status: 500, matches: [] });
+    });
+});
+
+describe('find_upload_by_content', () => {
+
+    const buffer = Buffer.from('same bytes');
+    const digest = CRYPTO.createHash('sha256').update(buffer).digest('hex');
+
+    test('matches on the stored content hash without re-hashing files', async () => {
+        mockMediaTask.find_by_content_hash.mockResolvedValue({ uuid: MEDIA_UUID, name: 'Boulder, 1873' });
+
+        expect(await MEDIA_MODEL.find_upload_by_content('image', buffer)).toEqual({ uuid: MEDIA_UUID, name: 'Boulder, 1873' });
+        expect(mockMediaTask.find_by_content_hash).toHaveBeenCalledWith(digest);
+        expect(mockMediaTask.find_by_size).not.toHaveBeenCalled();
+    });
+
+    test('falls back to hashing same-sized records that have no content hash yet', async () => {
+        mockMediaTask.find_by_size.mockResolvedValue([
+            { uuid: 'other', name: 'Other', storage_path: 'images/a.jpg' },
+            { uuid: MEDIA_UUID, name: 'Boulder, 1873', storage_path: 'images/b.jpg' }
+        ]);
+        UPLOADS.hash_stored_file.mockImplementation(async (storage_path) => (storage_path === 'images/b.jpg' ? digest : 'c'.repeat(64)));
+
+        expect(await MEDIA_MODEL.find_upload_by_content('image', buffer)).toEqual({ uuid: MEDIA_UUID, name: 'Boulder, 1873' });
+        expect(mockMediaTask.find_by_size).toHaveBeenCalledWith('image', buffer.length, { unhashed: true });
+    });
+});
+
+describe('create_media_record hashes', () => {
+
+    test('computes the hashes of an upload from the stored file, ignoring client values', async () => {
+        await MEDIA_MODEL.create_media_record({
+            name: 'Boulder', media_type: 'image', ingest_method: 'upload', storage_path: 'images/b.jpg',
+            content_hash: 'd'.repeat(64), perceptual_hash: '0000000000000000'
+        });
+
+        expect(UPLOADS.hash_stored_media).toHaveBeenCalledWith(expect.objectContaining({ storage_path: 'images/b.jpg' }));
+        expect(mockMediaTask.create_media_record.mock.calls[0][0]).toMatchObject({
+            content_hash: CONTENT_HASH,
+            perceptual_hash: PERCEPTUAL_HASH
+        });
+    });
+
+    test('leaves repository and Kaltura media unhashed', async () => {
+        await MEDIA_MODEL.create_media_record({
+            name: 'Repo item', media_type: 'image', ingest_method: 'repository', content_hash: CONTENT_HASH
+        });
+
+        expect(UPLOADS.hash_stored_media).not.toHaveBeenCalled();
+        expect(mockMediaTask.create_media_record.mock.calls[0][0]).not.toHaveProperty('content_hash');
+    });
+});
+
+describe('check_similar_media', () => {
+
+    test('answers the matches', async () => {
+        mockMediaTask.find_similar_media.mockResolvedValue([row()]);
+        const res = mock_res();
+
+        await CONTROLLER.check_similar_media({ query: { perceptual_hash: ` ${PERCEPTUAL_HASH} ` } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json.mock.calls[0][0].data.matches).toHaveLength(1);
+        expect(res.json.mock.calls[0][0].data.matches[0]).toMatchObject({ uuid: MEDIA_UUID, match: 'similar', similarity: 0.95 });
+    });
+
+    test('passes validation failures through as 400', async () => {
+        const res = mock_res();
+
+        await CONTROLLER.check_similar_media({ query: { content_hash: ['a', 'b'] } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json.mock.calls[0][0]).toMatchObject({ success: false, data: null });
+    });
+});
@@ -15,9 +15,7 @@
 
 const express = require('express');
 const request = require('supertest');
-const fs = require('fs');
-const os = require('os');
-const path = require('path');
+const { Readable } = require('stream');
 
 // ==================== MOCKS ====================
 
@@ -48,10 +46,12 @@ jest.mock('../../media-library/iiif-service', () => ({
     derive_iiif_base: () => '', derive_file_base: () => ''
 }));
 
-// The one dependency the new handler actually uses.
-const mockResolve = jest.fn();
-jest.mock('../../media-library/uploads', () => ({
-    resolve_storage_path: (...a) => mockResolve(...a)
+// The one dependency the handler actually uses.
+const mockStat = jest.fn();
+const mockStream = jest.fn();
+jest.mock('../../media-library/storage-adapter', () => () => ({
+    stat: (...a) => mockStat(...a),
+    stream: (...a) => mockStream(...a)
 }));
 
 const ROUTES = require('../../media-library/routes');
@@ -60,22 +60,14 @@ const ROUTES = require('../../media-library/routes');
 
 const BASE = '/exhibits-dashboard/api/v1/media/library/upload/thumbnail';
 let app;
-let tmpThumb;
 const JPEG_BYTES = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0xff, 0xd9]);
 
 beforeAll(() => {
-    tmpThumb = path.join(os.tmpdir(), 'staged_thumb_' + Date.now() + '.jpg');
-    fs.writeFileSync(tmpThumb, JPEG_BYTES);
-
     app = express();
     app.use(express.json());
     ROUTES(app);
 });
 
-afterAll(() => {
-    try { fs.unlinkSync(tmpThumb); } catch { /* already gone */ }
-});
-
 beforeEach(() => {
     jest.clearAllMocks();
 });
@@ -85,7 +77,8 @@ beforeEach(() => {
 describe('GET /upload/thumbnail (staged thumbnail)', () => {
 
     test('serves the staged thumbnail bytes as image/jpeg on success', async () => {
-        mockResolve.mockResolvedValue(tmpThumb);
+        mockStat.mockResolvedValue({ size: JPEG_BYTES.length, modified: new Date() });
+        mockStream.mockImplementation(async () => Readable.from([JPEG_BYTES]));
 
         const res = await request(app)
             .get(BASE)
@@ -95,7 +88,8 @@ describe('GET /upload/thumbnail (staged thumbnail)', () => {
         expect(res.headers['content-type']).toMatch(/image\/jpeg/);
         expect(res.headers['x-content-type-options']).toBe('nosniff');
         expect(res.headers['content-length']).toBe(String(JPEG_BYTES.length));
-        expect(mockResolve).toHaveBeenCalledWith('thumbnails/a3/f7/uuid_thumb.jpg');
+        expect(Buffer.from(res.body)).toEqual(JPEG_BYTES);
+        expect(mockStat).toHaveBeenCalledWith('thumbnails/a3/f7/uuid_thumb.jpg');
     });
 
     test('400 when the path query param is missing or blank', async () => {
@@ -104,7 +98,7 @@ describe('GET /upload/thumbnail (staged thumbnail)', () => {
             expect(res.status).toBe(400);
             expect(res.body.success).toBe(false);
         }
-        expect(mockResolve).not.toHaveBeenCalled();
+        expect(mockStat).not.toHaveBeenCalled();
     });
 
     test('400 for hostile paths (traversal / absolute) without hitting storage', async () => {
@@ -113,11 +107,11 @@ describe('GET /upload/thumbnail (staged thumbnail)', () => {
             expect(res.status).toBe(400);
             expect(res.body.message).toMatch(/invalid path/i);
         }
-        expect(mockResolve).not.toHaveBeenCalled();
+        expect(mockStat).not.toHaveBeenCalled();
     });
 
-    test('404 when resolve_storage_path rejects (missing / out of root)', async () => {
-        mockResolve.mockRejectedValue(new Error('Path traversal attempt detected'));
+    test('404 when storage has no such thumbnail', async () => {
+        mockStat.mockResolvedValue(null);
 
         const res = await request(app)
             .get(BASE)
@@ -128,14 +122,26 @@ describe('GET /upload/thumbnail (staged thumbnail)', () => {
         expect(res.body.message).toMatch(/not found/i);
     });
 
-    test('500 when the resolved file cannot be read', async () => {
-        mockResolve.mockResolvedValue(path.join(os.tmpdir(), 'definitely_not_here_' + Date.now() + '.jpg'));
+    test('404 when storage refuses the path (out of root)', async () => {
+        mockStat.mockRejectedValue(new Error('Path traversal attempt detected'));
+
+        const res = await request(app)
+            .get(BASE)
+            .query({ path: 'thumbnails/a3/f7/missing_thumb.jpg', token: 't' });
+
+        expect(res.status).toBe(404);
+        expect(mockStream).not.toHaveBeenCalled();
+    });
+
+    test('500 when the thumbnail cannot be read', async () => {
+        mockStat.mockResolvedValue({ size: JPEG_BYTES.length, modified: new Date() });
+        mockStream.mockRejectedValue(Object.assign(new Error('ENOENT'), { code: 'ENOENT' }));
 
         const res = await request(app)
             .get(BASE)
             .query({ path: 'thumbnails/a3/f7/uuid_thumb.jpg', token: 't' });
 
-        // statSync throws -> outer catch -> 500
+        // stream rejects -> outer catch -> 500
         expect(res.status).toBe(500);
         expect(res.body.success).toBe(false);
     });
@@ -0,0 +1,215 @@
+/**
+ * Integration tests for the media where-used lookup and safe delete.
+ *
+ * The task layer is mocked with the raw reference rows: these tests cover
+ * how exhibit columns and bindings merge per exhibit, when an item reference
+ * counts as live, and that deleting media still in live use needs force.
+ *
+ * Copyright 2026 University of Denver
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+jest.mock('../../libs/log4', () => ({
+    module: () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })
+}));
+
+jest.mock('../../config/db_config', () => () => jest.fn());
+jest.mock('../../config/db_tables_config', () => () => ({ exhibits: {} }));
+
+const mockMediaTask = {
+    get_media_usage: jest.fn(),
+    delete_media_record: jest.fn(),
+    get_user_by_username: jest.fn()
+};
+
+jest.mock('../../media-library/tasks/media_record_tasks', () => {
+    return jest.fn().mockImplementation(() => mockMediaTask);
+});
+
+jest.mock('../../media-library/iiif-cache', () => ({ purge: jest.fn() }));
+jest.mock('../../audit/model', () => ({ record: jest.fn() }));
+jest.mock('../../auth/authorize', () => ({ check_permission: jest.fn() }));
+
+process.env.ELASTICSEARCH_HOST = process.env.ELASTICSEARCH_HOST || 'http://es.test:9200';
+process.env.REPO_ELASTICSEARCH_INDEX = process.env.REPO_ELASTICSEARCH_INDEX || 'repo-test';
+
+const MEDIA_MODEL = require('../../media-library/model');
+const CONTROLLER = require('../../media-library/controller');
+const AUDIT = require('../../audit/model');
+const AUTHORIZE = require('../../auth/authorize');
+
+const MEDIA_UUID = '550e8400-e29b-41d4-a716-446655440000';
+const EXHIBIT_UUID = '6ba7b810-9dad-41d1-80b4-00c04fd430c8';
+
+const item = (overrides = {}) => ({
+    uuid: 'item-1',
+    type: 'item',
+    title: '<em>Survey</em> notes',
+    is_published: 1,
+    is_deleted: 0,
+    media_uuid: MEDIA_UUID,
+    thumbnail_media_uuid: null,
+    exhibit_uuid: EXHIBIT_UUID,
+    exhibit_title: 'Front Range',
+    exhibit_is_deleted: 0,
+    ...overrides
+});
+
+const rows = (overrides = {}) => ({
+    exhibits: [],
+    bindings: [],
+    items: [],
+    ...overrides
+});
+
+const mock_res = () => ({
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn()
+});
+
+beforeEach(() => {
+    mockMediaTask.get_media_usage.mockResolvedValue(rows());
+    mockMediaTask.delete_media_record.mockResolvedValue({ success: true, uuid: MEDIA_UUID });
+    mockMediaTask.get_user_by_username.mockResolvedValue({ success: false });
+    AUTHORIZE.check_permission.mockResolvedValue(true);
+});
+
+describe('get_media_usage', () => {
+
+    test('merges an exhibit\'s hero/thumbnail columns and bindings into one entry', async () => {
+        mockMediaTask.get_media_usage.mockResolvedValue(rows({
+            exhibits: [{
+                uuid: EXHIBIT_UUID, title: 'Front Range', is_published: 1, is_deleted: 0,
+                hero_image_media_uuid: MEDIA_UUID, thumbnail_media_uuid: MEDIA_UUID
+            }],
+            bindings: [
+                { exhibit_uuid: EXHIBIT_UUID, media_role: 'hero_image', is_deleted: 0, exhibit_title: 'Front Range', exhibit_is_published: 1, exhibit_is_deleted: 0 },
+                { exhibit_uuid: 'dropped', media_role: 'thumbnail', is_deleted: 1, exhibit_title: 'Old', exhibit_is_published: 0, exhibit_is_deleted: 0 },
+                { exhibit_uuid: 'purged', media_role: 'thumbnail', is_deleted: 0, exhibit_title: null, exhibit_is_published: null, exhibit_is_deleted: null }
+            ]
+        }));
+
+        const result = await MEDIA_MODEL.get_media_usage(MEDIA_UUID);
+
+        expect(result.success).toBe(true);
+        expect(result.usage.exhibits).toEqual([{
+            uuid: EXHIBIT_UUID,
+            title: 'Front Range',
+            is_published: true,
+            is_deleted: false,
+            roles: ['hero_image', 'thumbnail'],
+            status: 'live'
+        }]);
+        expect(result.usage).toMatchObject({ live_count: 1, total_count: 1 });
+    });
+
+    test('lists recycled items and items in recycled exhibits or grids, but only counts live ones', async () => {
+        mockMediaTask.get_media_usage.mockResolvedValue(rows({
+            items: [
+                item(),
+                item({ uuid: 'item-2', is_deleted: 1 }),
+                item({ uuid: 'item-3', type: 'timeline_item', exhibit_is_deleted: 1, media_uuid: null, thumbnail_media_uuid: MEDIA_UUID }),
+                item({ uuid: 'item-4', type: 'grid_item', container_uuid: 'grid-1', container_is_deleted: 1 }),
+                item({ uuid: 'item-5', exhibit_title: null, exhibit_is_deleted: null })
+            ]
+        }));
+
+        const { usage } = await MEDIA_MODEL.get_media_usage(MEDIA_UUID);
+
+        expect(usage.items.map((ref) => [ref.uuid, ref.status])).toEqual([
+            ['item-1', 'live'],
+            ['item-2', 'deleted'],
+            ['item-3', 'exhibit_deleted'],
+            ['item-4', 'container_deleted'],
+            ['item-5', 'exhibit_deleted']
+        ]);
+        expect(usage.items[0]).toMatchObject({ type: 'item', roles: ['media'], exhibit_title: 'Front Range', is_published: true });
+        expect(usage.items[2].roles).toEqual(['thumbnail']);
+        expect(usage.items[3].container_uuid).toBe('grid-1');
+        expect(usage).toMatchObject({ live_count: 1, total_count: 5 });
+    });
+
+    test('400 for an invalid media ID without a lookup', async () => {
+        const result = await MEDIA_MODEL.get_media_usage('nope');
+
+        expect(result).toMatchObject({ success: false, status: 400 });
+        expect(mockMediaTask.get_media_usage).not.toHaveBeenCalled();
+    });
+});
+
+describe('delete_media_record', () => {
+
+    test('refuses with 409 and the usage while live items use the media', async () => {
+        mockMediaTask.get_media_usage.mockResolvedValue(rows({ items: [item()] }));
+
+        const result = await MEDIA_MODEL.delete_media_record(MEDIA_UUID, 'curator');
+
+        expect(result).toMatchObject({ success: false, status: 409 });
+        expect(result.usage.live_count).toBe(1);
+        expect(mockMediaTask.delete_media_record).not.toHaveBeenCalled();
+    });
+
+    test('deletes media only referenced from the recycle bin', async () => {
+        mockMediaTask.get_media_usage.mockResolvedValue(rows({ items: [item({ is_deleted: 1 })] }));
+
+        const result = await MEDIA_MODEL.delete_media_record(MEDIA_UUID, 'curator');
+
+        expect(result).toMatchObject({ success: true, live_count: 0 });
+        expect(mockMediaTask.delete_media_record).toHaveBeenCalledWith(MEDIA_UUID, null);
+    });
+
+    test('deletes media in live use when forced', async () => {
+        mockMediaTask.get_media_usage.mockResolvedValue(rows({ items: [item()] }));
+
+        const result = await MEDIA_MODEL.delete_media_record(MEDIA_UUID, 'curator', { force: true });
+
+        expect(result).toMatchObject({ success: true, live_count: 1 });
+        expect(mockMediaTask.delete_media_record).toHaveBeenCalled();
+    });
+});
+
+describe('controller', () => {
+
+    const req = (query = {}) => ({
+        params: { media_id: MEDIA_UUID },
+        query,
+        decoded: { sub: 'curator' }
+    });
+
+    test('get_media_usage answers the usage', async () => {
+        mockMediaTask.get_media_usage.mockResolvedValue(rows({ items: [item()] }));
+        const res = mock_res();
+
+        await CONTROLLER.get_media_usage(req(), res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json.mock.calls[0][0].data.items).toHaveLength(1);
+    });
+
+    test('delete passes the 409 and usage through', async () => {
+        mockMediaTask.get_media_usage.mockResolvedValue(rows({ items: [item()] }));
+        const res = mock_res();
+
+        await CONTROLLER.delete_media_record(req(), res);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(res.json.mock.calls[0][0].data.usage.live_count).toBe(1);
+        expect(AUDIT.record).not.toHaveBeenCalled();
+    });
+
+    test('?force=true deletes and records the override in the audit log', async () => {
+        mockMediaTask.get_media_usage.mockResolvedValue(rows({ items: [item()] }));
+        const res = mock_res();
+
+        await CONTROLLER.delete_media_record(req({ force: 'true' }), res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(AUDIT.record.mock.calls[0][1]).toMatchObject({
+            action: 'delete',
+            record_uuid: MEDIA_UUID,
+            after: { forced: true, live_references: 1 }
+        });
+    });
+});
@@ -7,7 +7,7 @@
  *
  * What it verifies:
  *   1. The four canonical roles exist with the expected ids/names.
- *   2. The 36 canonical permissions exist.
+ *   2. The 41 canonical permissions exist.
  *   3. Referential integrity of user -> role assignments
  *      (every user has exactly one role; no orphan / duplicate role rows).
  *   4. The ENFORCED role -> permission matrix (ctbl_role_permissions) matches
@@ -68,7 +68,9 @@ const ALL_PERMISSIONS = [
     'update_any_item', 'unlock_record', 'update_user_role', 'publish_any_item',
     'suppress_any_item', 'add_users', 'update_users', 'delete_users', 'view_users',
     'update_user', 'can_create_media', 'can_update_media', 'can_delete_media',
-    'can_update_any_media', 'can_delete_any_media', 'manage_index', 'manage_recycle_bin'
+    'can_update_any_media', 'can_delete_any_media', 'manage_index', 'manage_recycle_bin',
+    'submit_exhibit_for_review', 'approve_exhibit', 'request_exhibit_changes', 'view_audit_log',
+    'view_fixity_report'
 ];
 
 // ENFORCED per-role permission sets (ctbl_role_permissions), source of truth.
@@ -77,27 +79,28 @@ const ALL_PERMISSIONS = [
 // so Power User holds can_delete_any_media (has delete_any_item) and Student holds
 // can_delete_media (has delete_item).
 const EXPECTED_ROLE_PERMISSIONS = {
-    1: [...ALL_PERMISSIONS], // Administrator: all 36
-    2: [ // Power User: 29
+    1: [...ALL_PERMISSIONS], // Administrator: all 41
+    2: [ // Power User: 32
         'add_exhibit', 'add_item', 'update_item', 'update_exhibit', 'publish_exhibit',
         'suppress_exhibit', 'publish_item', 'suppress_item', 'add_item_to_any_exhibit',
         'delete_exhibit', 'delete_item', 'transfer_exhibit', 'delete_any_item',
         'add_items_to_any_published_exhibit', 'publish_any_exhibit', 'suppress_any_exhibit',
         'update_any_exhibit', 'update_any_item', 'publish_any_item', 'suppress_any_item',
         'add_users', 'update_users', 'view_users', 'update_user', 'can_create_media',
-        'can_update_media', 'can_delete_media', 'can_update_any_media', 'can_delete_any_media'
+        'can_update_media', 'can_delete_media', 'can_update_any_media', 'can_delete_any_media',
+        'submit_exhibit_for_review', 'approve_exhibit', 'request_exhibit_changes'
     ],
-    3: [ // General User: 17
+    3: [ // General User: 18
         'add_exhibit', 'add_item', 'update_item', 'update_exhibit', 'publish_exhibit',
         'suppress_exhibit', 'publish_item', 'suppress_item', 'add_item_to_any_exhibit',
         'delete_exhibit', 'delete_item', 'transfer_exhibit', 'view_users', 'update_user',
-        'can_create_media', 'can_update_media', 'can_delete_media'
+        'can_create_media', 'can_update_media', 'can_delete_media', 'submit_exhibit_for_review'
     ],
-    4: [ // Student: 15
+    4: [ // Student: 16
         'add_exhibit', 'add_item', 'update_item', 'update_exhibit', 'publish_exhibit',
         'suppress_exhibit', 'publish_item', 'suppress_item', 'delete_exhibit',
         'delete_item', 'view_users', 'update_user', 'can_create_media', 'can_update_media',
-        'can_delete_media'
+        'can_delete_media', 'submit_exhibit_for_review'
     ]
 };
 
@@ -144,7 +147,7 @@ describe('exhibitsv2 — roles & permissions catalog', () => {
         expect(actual).toEqual(ROLES);
     });
 
-    test('all 36 canonical permissions exist (no missing / extra)', async () => {
+    test('all 41 canonical permissions exist (no missing / extra)', async () => {
         const rows = await db('tbl_user_permissions').select('permission');
         const actual = rows.map(r => r.permission).sort();
         expect(actual).toEqual([...ALL_PERMISSIONS].sort());
@@ -91,6 +91,25 @@ jest.mock('../../indexer/model', () => ({
     get_indexed_record: jest.fn().mockResolvedValue({ data: { found: true } })
 }));
 
+// Index removals for a suppress are queued as index jobs
+const mockScheduleSuppress = jest.fn().mockResolvedValue(undefined);
+jest.mock('../../exhibits/reindex_coalescer', () => ({
+    schedule_reindex: jest.fn(),
+    schedule_suppress: (...args) => mockScheduleSuppress(...args)
+}));
+
+// Editorial review is not under test here: every exhibit is publishable.
+jest.mock('../../exhibits/review_model', () => ({
+    is_publishable: async () => true,
+    record_publication: async () => {},
+    revoke_approval: async () => {}
+}));
+
+// Nor is the accessibility gate: nothing blocks a publish.
+jest.mock('../../exhibits/accessibility_model', () => ({
+    get_publish_blockers: async () => []
+}));
+
 const EXHIBITS_MODEL = require('../../exhibits/exhibits_model');
 const INDEXER_MODEL = require('../../indexer/model');
 
@@ -147,6 +166,24 @@ describe('suppress still suppresses container items (coverage the removed side e
         expect(mockTimelineTask.set_exhibit_timeline_items_to_suppress).toHaveBeenCalledWith(EXHIBIT_UUID);
         expect(mockExhibitTask.set_to_suppress).toHaveBeenCalledWith(EXHIBIT_UUID);
     });
+
+    test('suppress_exhibit queues removal of the exhibit and component docs instead of deleting inline', async () => {
+        const result = await EXHIBITS_MODEL.suppress_exhibit(EXHIBIT_UUID);
+
+        expect(result.status).toBe(true);
+        expect(mockScheduleSuppress).toHaveBeenCalledWith(`exhibit:${EXHIBIT_UUID}`, 'delete_record', { record_type: 'exhibit', uuid: EXHIBIT_UUID });
+        expect(mockScheduleSuppress).toHaveBeenCalledWith(`grid:${GRID_UUID}`, 'delete_record', { record_type: 'grid', exhibit_uuid: EXHIBIT_UUID, uuid: GRID_UUID });
+        expect(mockScheduleSuppress).toHaveBeenCalledWith(`timeline:${TIMELINE_UUID}`, 'delete_record', { record_type: 'timeline', exhibit_uuid: EXHIBIT_UUID, uuid: TIMELINE_UUID });
+        expect(INDEXER_MODEL.delete_record).not.toHaveBeenCalled();
+    });
+
+    test('suppress_exhibit fails when the removals cannot be queued', async () => {
+        mockScheduleSuppress.mockRejectedValueOnce(new Error('ER_LOCK_WAIT_TIMEOUT'));
+
+        const result = await EXHIBITS_MODEL.suppress_exhibit(EXHIBIT_UUID);
+
+        expect(result).toEqual({ status: false, message: 'Unable to suppress exhibit' });
+    });
 });
 
 describe('publish publishes container items through the exhibit-scoped writer', () => {
@@ -60,6 +60,16 @@ jest.mock('../../exhibits/recycle_model', () => ({
     delete_all_recycled_records: (...a) => mockDeleteAll(...a)
 }));
 
+const mockAuditRecord = jest.fn();
+jest.mock('../../audit/model', () => ({
+    record: (...a) => mockAuditRecord(...a),
+    record_success: async (req, status, entry) => {
+        if (status >= 200 && status < 300) {
+            mockAuditRecord(req, entry);
+        }
+    }
+}));
+
 const register_recycle_routes = require('../../exhibits/recycle_routes');
 
 // ==================== FIXTURE ====================
@@ -198,6 +208,7 @@ describe('DELETE /recycle/:exhibit_id/:uuid/:type — permanent delete', () => {
 
         expect(res.status).toBe(403);
         expect(mockDelete).not.toHaveBeenCalled();
+        expect(mockAuditRecord).not.toHaveBeenCalled();
     });
 
     test('authorized permanent delete reaches the model with (type, uuid)', async () => {
@@ -208,6 +219,9 @@ describe('DELETE /recycle/:exhibit_id/:uuid/:type — permanent delete', () => {
 
         expect(res.status).toBe(200);
         expect(mockDelete).toHaveBeenCalledWith('item', ITEM_UUID);
+        expect(mockAuditRecord.mock.calls[0][1]).toEqual({
+            action: 'purge', record_type: 'item', record_uuid: ITEM_UUID, exhibit_uuid: EXHIBIT_UUID
+        });
     });
 });
 
@@ -0,0 +1,294 @@
+/**
+ * Integration tests for the editorial review model.
+ *
+ * The task layer is mocked: these tests cover which transitions are allowed,
+ * when a comment is required, and when EXHIBIT_REVIEW_WORKFLOW makes approval
+ * a condition of publishing.
+ *
+ * Copyright 2026 University of Denver
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+const EXHIBIT_UUID = '550e8400-e29b-41d4-a716-446655440000';
+
+jest.mock('../../libs/log4', () => ({
+    module: () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })
+}));
+
+jest.mock('../../config/db_config', () => () => jest.fn());
+jest.mock('../../config/db_tables_config', () => () => ({ exhibits: {} }));
+
+const mockReviewTask = {
+    get_state: jest.fn(),
+    transition: jest.fn(),
+    set_state: jest.fn(),
+    get_reviews: jest.fn()
+};
+
+jest.mock('../../exhibits/tasks/exhibit_review_tasks', () => {
+    return jest.fn().mockImplementation(() => mockReviewTask);
+});
+
+const REVIEW_MODEL = require('../../exhibits/review_model');
+
+describe('Review Model', () => {
+
+    const original_mode = process.env.EXHIBIT_REVIEW_WORKFLOW;
+
+    afterEach(() => {
+        if (original_mode === undefined) {
+            delete process.env.EXHIBIT_REVIEW_WORKFLOW;
+        } else {
+            process.env.EXHIBIT_REVIEW_WORKFLOW = original_mode;
+        }
+    });
+
+    // ==================== REVIEW MODE ====================
+
+    describe('requires_review', () => {
+
+        test('is off when unset or unrecognised', () => {
+            delete process.env.EXHIBIT_REVIEW_WORKFLOW;
+            expect(REVIEW_MODEL.requires_review({ is_student_curated: 1 })).toBe(false);
+
+            process.env.EXHIBIT_REVIEW_WORKFLOW = 'sometimes';
+            expect(REVIEW_MODEL.get_review_mode()).toBe('off');
+        });
+
+        test('student_curated only applies to student-curated exhibits', () => {
+            process.env.EXHIBIT_REVIEW_WORKFLOW = 'student_curated';
+
+            expect(REVIEW_MODEL.requires_review({ is_student_curated: 1 })).toBe(true);
+            expect(REVIEW_MODEL.requires_review({ is_student_curated: 0 })).toBe(false);
+        });
+
+        test('all applies to every exhibit', () => {
+            process.env.EXHIBIT_REVIEW_WORKFLOW = 'ALL';
+
+            expect(REVIEW_MODEL.requires_review({ is_student_curated: 0 })).toBe(true);
+        });
+    });
+
+    // ==================== TRANSITIONS ====================
+
+    describe('transition_exhibit', () => {
+
+        test('submits a draft for review', async () => {
+            mockReviewTask.transition.mockResolvedValue({ changed: true, from_state: 'draft', to_state: 'in_review', review_uuid: 'r1' });
+
+            const result = await REVIEW_MODEL.transition_exhibit(EXHIBIT_UUID, 'submit', '  ready  ', 'Student A');
+
+            expect(result.status).toBe(200);
+            expect(result.data).toEqual({ uuid: EXHIBIT_UUID, workflow_state: 'in_review', review_uuid: 'r1' });
+            expect(mockReviewTask.transition).toHaveBeenCalledWith(EXHIBIT_UUID, {
+                action: 'submit',
+                from_states: ['draft', 'changes_requested'],
+                to_state: 'in_review',
+                comment: 'ready',
+                created_by: 'Student A'
+            });
+        });
+
+        test('only approves from in review', async () => {
+            mockReviewTask.transition.mockResolvedValue({ changed: false, from_state: 'draft', to_state: 'draft', review_uuid: null });
+
+            const result = await REVIEW_MODEL.transition_exhibit(EXHIBIT_UUID, 'approve');
+
+            expect(mockReviewTask.transition.mock.calls[0][1]).toMatchObject({ from_states: ['in_review'], to_state: 'approved' });
+            expect(result.status).toBe(409);
+            expect(result.message).toBe('Cannot approve an exhibit that is draft');
+        });
+
+        test('requires a comment to request changes', async () => {
+            const result = await REVIEW_MODEL.transition_exhibit(EXHIBIT_UUID, 'request_changes', '   ');
+
+            expect(result.status).toBe(400);
+            expect(mockReviewTask.transition).not.toHaveBeenCalled();
+        });
+
+        test('rejects an unknown action', async () => {
+            const result = await REVIEW_MODEL.transition_exhibit(EXHIBIT_UUID, 'publish');
+
+            expect(result.status).toBe(400);
+        });
+
+        test('returns 404 when the exhibit does not exist', async () => {
+            mockReviewTask.transition.mockResolvedValue(null);
+
+            const result = await REVIEW_MODEL.transition_exhibit(EXHIBIT_UUID, 'submit');
+
+            expect(result.status).toBe(404);
+        });
+    });
+
+    // ==================== PUBLISH GATE ====================
+
+    describe('is_publishable', () => {
+
+        test('allows any exhibit while the workflow is off', async () => {
+            delete process.env.EXHIBIT_REVIEW_WORKFLOW;
+            mockReviewTask.get_state.mockResolvedValue({ workflow_state: 'draft', is_student_curated: 1 });
+
+            await expect(REVIEW_MODEL.is_publishable(EXHIBIT_UUID)).resolves.toBe(true);
+        });
+
+        test('requires approval when the workflow applies', async () => {
+            process.env.EXHIBIT_REVIEW_WORKFLOW = 'student_curated';
+            mockReviewTask.get_state.mockResolvedValue({ workflow_state: 'in_review', is_student_curated: 1 });
+            await expect(REVIEW_MODEL.is_publishable(EXHIBIT_UUID)).resolves.toBe(false);
+
+            mockReviewTask.get_state.mockResolvedValue({ workflow_state: 'approved', is_student_curated: 1 });
+            await expect(REVIEW_MODEL.is_publishable(EXHIBIT_UUID)).resolves.toBe(true);
+        });
+
+        test('lets a published exhibit be republished while it is live', async () => {
+            process.env.EXHIBIT_REVIEW_WORKFLOW = 'all';
+            mockReviewTask.get_state.mockResolvedValue({ workflow_state: 'published', is_student_curated: 0 });
+
+            await expect(REVIEW_MODEL.is_publishable(EXHIBIT_UUID)).resolves.toBe(true);
+        });
+    });
+
+    describe('record_publication', () => {
+
+        test('marks a publish and returns a suppress to draft', async () => {
+            mockReviewTask.set_state.mockResolvedValue(true);
+
+            await REVIEW_MODEL.record_publication(EXHIBIT_UUID, true);
+            await REVIEW_MODEL.record_publication(EXHIBIT_UUID, false);
+
+            expect(mockReviewTask.set_state.mock.calls[0].slice(0, 2)).toEqual([EXHIBIT_UUID, 'published']);
+            expect(mockReviewTask.set_state.mock.calls[1]).toEqual([EXHIBIT_UUID, 'draft', ['approved', 'published']]);
+        });
+
+        test('never throws', async () => {
+            mockReviewTask.set_state.mockRejectedValue(new Error('DB down'));
+
+            await expect(REVIEW_MODEL.record_publication(EXHIBIT_UUID, true)).resolves.toBeUndefined();
+        });
+    });
+
+    describe('revoke_approval', () => {
+
+        test('returns an approved exhibit under review to draft, never a published one', async () => {
+            process.env.EXHIBIT_REVIEW_WORKFLOW = 'student_curated';
+            mockReviewTask.get_state.mockResolvedValue({ workflow_state: 'approved', is_student_curated: 1 });
+            mockReviewTask.set_state.mockResolvedValue(true);
+
+            await REVIEW_MODEL.revoke_approval(EXHIBIT_UUID);
+
+            expect(mockReviewTask.set_state).toHaveBeenCalledWith(EXHIBIT_UUID, 'draft', ['approved']);
+        });
+
+        test('leaves exhibits the workflow does not apply to alone', async () => {
+            delete process.env.EXHIBIT_REVIEW_WORKFLOW;
+            await REVIEW_MODEL.revoke_approval(EXHIBIT_UUID);
+            expect(mockReviewTask.get_state).not.toHaveBeenCalled();
+
+            process.env.EXHIBIT_REVIEW_WORKFLOW = 'student_curated';
+            mockReviewTask.get_state.mockResolvedValue({ workflow_state: 'approved', is_student_curated: 0 });
+            await REVIEW_MODEL.revoke_approval(EXHIBIT_UUID);
+            expect(mockReviewTask.set_state).not.toHaveBeenCalled();
+        });
+
+        test('never throws', async () => {
+            process.env.EXHIBIT_REVIEW_WORKFLOW = 'all';
+            mockReviewTask.get_state.mockRejectedValue(new Error('DB down'));
+
+            await expect(REVIEW_MODEL.revoke_approval(EXHIBIT_UUID)).resolves.toBeUndefined();
+        });
+    });
+
+    // ==================== APPROVAL LIFECYCLE ====================
+
+    describe('approval lifecycle', () => {
+
+        let record;
+
+        beforeEach(() => {
+            process.env.EXHIBIT_REVIEW_WORKFLOW = 'all';
+            record = { uuid: EXHIBIT_UUID, workflow_state: 'draft', is_student_curated: 0 };
+
+            mockReviewTask.get_state.mockImplementation(async () => ({ ...record }));
+            mockReviewTask.set_state.mockImplementation(async (uuid, to_state, from_states) => {
+                if (!from_states.includes(record.workflow_state)) {
+                    return false;
+                }
+                record.workflow_state = to_state;
+                return true;
+            });
+            mockReviewTask.transition.mockImplementation(async (uuid, { from_states, to_state }) => {
+                const from_state = record.workflow_state;
+                if (!from_states.includes(from_state)) {
+                    return { changed: false, from_state };
+                }
+                record.workflow_state = to_state;
+                return { changed: true, from_state, to_state, review_uuid: 'r1' };
+            });
+        });
+
+        const approve = async () => {
+            await REVIEW_MODEL.transition_exhibit(EXHIBIT_UUID, 'submit');
+            await REVIEW_MODEL.transition_exhibit(EXHIBIT_UUID, 'approve');
+        };
+
+        test('an edit after approval needs another review before publishing', async () => {
+            await approve();
+            await expect(REVIEW_MODEL.is_publishable(EXHIBIT_UUID)).resolves.toBe(true);
+
+            await REVIEW_MODEL.revoke_approval(EXHIBIT_UUID);
+
+            expect(record.workflow_state).toBe('draft');
+            await expect(REVIEW_MODEL.is_publishable(EXHIBIT_UUID)).resolves.toBe(false);
+
+            await approve();
+            await expect(REVIEW_MODEL.is_publishable(EXHIBIT_UUID)).resolves.toBe(true);
+        });
+
+        test('a suppressed exhibit needs another review before it is republished', async () => {
+            await approve();
+            await REVIEW_MODEL.record_publication(EXHIBIT_UUID, true);
+            expect(record.workflow_state).toBe('published');
+
+            await REVIEW_MODEL.record_publication(EXHIBIT_UUID, false);
+
+            expect(record.workflow_state).toBe('draft');
+            await expect(REVIEW_MODEL.is_publishable(EXHIBIT_UUID)).resolves.toBe(false);
+        });
+
+        test('an edit to a live exhibit leaves it published; review applies again once it is suppressed', async () => {
+            await approve();
+            await REVIEW_MODEL.record_publication(EXHIBIT_UUID, true);
+
+            await REVIEW_MODEL.revoke_approval(EXHIBIT_UUID);
+
+            expect(record.workflow_state).toBe('published');
+
+            await REVIEW_MODEL.record_publication(EXHIBIT_UUID, false);
+
+            expect(record.workflow_state).toBe('draft');
+            await expect(REVIEW_MODEL.is_publishable(EXHIBIT_UUID)).resolves.toBe(false);
+        });
+    });
+
+    describe('get_review', () => {
+
+        test('returns the state, whether review applies and the log', async () => {
+            process.env.EXHIBIT_REVIEW_WORKFLOW = 'all';
+            mockReviewTask.get_state.mockResolvedValue({ uuid: EXHIBIT_UUID, workflow_state: 'changes_requested', is_student_curated: 0 });
+            mockReviewTask.get_reviews.mockResolvedValue([{ action: 'request_changes', comment: 'Add alt text' }]);
+
+            const result = await REVIEW_MODEL.get_review(EXHIBIT_UUID);
+
+            expect(result.status).toBe(200);
+            expect(result.data).toEqual({
+                uuid: EXHIBIT_UUID,
+                workflow_state: 'changes_requested',
+                requires_review: true,
+                reviews: [{ action: 'request_changes', comment: 'Add alt text' }]
+            });
+        });
+    });
+});
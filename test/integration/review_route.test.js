@@ -0,0 +1,168 @@
+/**
+ * Integration tests for the editorial review routes' security wiring.
+ *
+ * Submitting needs submit_exhibit_for_review AND the right to edit the exhibit
+ * (update_exhibit / update_any_exhibit); approving and requesting changes each
+ * need their own reviewer permission. The model is mocked so no DB is needed.
+ */
+
+'use strict';
+
+const express = require('express');
+const request = require('supertest');
+
+// ==================== MOCKS ====================
+
+jest.mock('../../libs/log4', () => ({
+    module: () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })
+}));
+
+jest.mock('../../config/app_config', () => () => ({ app_path: '/exhibits-dashboard' }));
+
+jest.mock('../../libs/tokens', () => ({
+    verify: (req, res, next) => {
+        if (req.headers['x-access-token']) {
+            req.decoded = { sub: 'curator' };
+            return next();
+        }
+        return res.status(401).json({ message: 'Unauthorized request' });
+    }
+}));
+
+const mockCheckPermission = jest.fn();
+jest.mock('../../auth/authorize', () => ({ check_permission: (...args) => mockCheckPermission(...args) }));
+
+jest.mock('../../config/rate_limits_loader', () => ({
+    rate_limits: {
+        read_operations: (req, res, next) => next(),
+        write_operations: (req, res, next) => next(),
+        media_operations: (req, res, next) => next(),
+        state_change_operations: (req, res, next) => next()
+    }
+}));
+
+const mockTransition = jest.fn();
+const mockGetReview = jest.fn();
+jest.mock('../../exhibits/review_model', () => ({
+    transition_exhibit: (...a) => mockTransition(...a),
+    get_review: (...a) => mockGetReview(...a)
+}));
+
+const mockAuditRecordSuccess = jest.fn();
+jest.mock('../../audit/model', () => ({
+    record_success: (...a) => mockAuditRecordSuccess(...a)
+}));
+
+const register_review_routes = require('../../exhibits/review_routes');
+
+// ==================== FIXTURE ====================
+
+const EXHIBIT_UUID = '11111111-1111-4111-8111-111111111111';
+const BASE_URL = `/exhibits-dashboard/api/v1/exhibits/${EXHIBIT_UUID}/review`;
+let app;
+
+beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    register_review_routes(app);
+});
+
+beforeEach(() => jest.clearAllMocks());
+
+// ==================== REVIEW STATE ====================
+
+describe('GET /exhibits/:exhibit_id/review', () => {
+
+    test('401 when no auth token; model never reached', async () => {
+        const res = await request(app).get(BASE_URL);
+
+        expect(res.status).toBe(401);
+        expect(mockGetReview).not.toHaveBeenCalled();
+    });
+
+    test('returns the review state', async () => {
+        mockGetReview.mockResolvedValue({ status: 200, message: 'ok', data: { uuid: EXHIBIT_UUID, workflow_state: 'in_review', reviews: [] } });
+
+        const res = await request(app).get(BASE_URL).set('x-access-token', 'jwt');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.workflow_state).toBe('in_review');
+    });
+});
+
+// ==================== TRANSITIONS ====================
+
+describe('POST /exhibits/:exhibit_id/review/submit', () => {
+
+    test('checks the submit permission and the edit permission on the exhibit', async () => {
+        mockCheckPermission.mockResolvedValue(true);
+        mockTransition.mockResolvedValue({ status: 200, message: 'Exhibit review state updated', data: { workflow_state: 'in_review' } });
+
+        const res = await request(app).post(`${BASE_URL}/submit`)
+            .set('x-access-token', 'jwt')
+            .send({ comment: 'Ready for review', created_by: 'Student A' });
+
+        expect(res.status).toBe(200);
+        expect(mockCheckPermission.mock.calls.map((call) => call[0].permissions)).toEqual([
+            ['submit_exhibit_for_review'],
+            ['update_exhibit', 'update_any_exhibit']
+        ]);
+        expect(mockCheckPermission.mock.calls[1][0]).toMatchObject({ record_type: 'exhibit', parent_id: EXHIBIT_UUID });
+        expect(mockTransition).toHaveBeenCalledWith(EXHIBIT_UUID, 'submit', 'Ready for review', 'Student A');
+    });
+
+    test('403 when the caller cannot edit the exhibit; model never reached', async () => {
+        mockCheckPermission.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+        const res = await request(app).post(`${BASE_URL}/submit`).set('x-access-token', 'jwt').send({});
+
+        expect(res.status).toBe(403);
+        expect(mockTransition).not.toHaveBeenCalled();
+    });
+});
+
+describe('POST /exhibits/:exhibit_id/review/approve', () => {
+
+    test('403 without approve_exhibit', async () => {
+        mockCheckPermission.mockResolvedValue(false);
+
+        const res = await request(app).post(`${BASE_URL}/approve`).set('x-access-token', 'jwt').send({});
+
+        expect(res.status).toBe(403);
+        expect(mockCheckPermission.mock.calls[0][0].permissions).toEqual(['approve_exhibit']);
+        expect(mockTransition).not.toHaveBeenCalled();
+    });
+
+    test('passes a state conflict through', async () => {
+        mockCheckPermission.mockResolvedValue(true);
+        mockTransition.mockResolvedValue({ status: 409, message: 'Cannot approve an exhibit that is draft', data: { workflow_state: 'draft' } });
+
+        const res = await request(app).post(`${BASE_URL}/approve`).set('x-access-token', 'jwt').send({});
+
+        expect(res.status).toBe(409);
+        expect(res.body).toMatchObject({ success: false, message: 'Cannot approve an exhibit that is draft' });
+        expect(mockTransition).toHaveBeenCalledWith(EXHIBIT_UUID, 'approve', undefined, 'curator');
+    });
+});
+
+describe('POST /exhibits/:exhibit_id/review/request-changes', () => {
+
+    test('checks request_exhibit_changes and forwards the comment', async () => {
+        mockCheckPermission.mockResolvedValue(true);
+        mockTransition.mockResolvedValue({ status: 200, message: 'Exhibit review state updated', data: { workflow_state: 'changes_requested' } });
+
+        const res = await request(app).post(`${BASE_URL}/request-changes`)
+            .set('x-access-token', 'jwt')
+            .send({ comment: 'Add alt text to the hero image' });
+
+        expect(res.status).toBe(200);
+        expect(mockCheckPermission.mock.calls[0][0].permissions).toEqual(['request_exhibit_changes']);
+        expect(mockTransition).toHaveBeenCalledWith(EXHIBIT_UUID, 'request_changes', 'Add alt text to the hero image', 'curator');
+        expect(mockAuditRecordSuccess.mock.calls[0].slice(1)).toEqual([200, {
+            action: 'review_request_changes',
+            record_type: 'exhibit',
+            record_uuid: EXHIBIT_UUID,
+            after: { workflow_state: 'changes_requested', comment: 'Add alt text to the hero image' }
+        }]);
+    });
+});
@@ -0,0 +1,194 @@
+/**
+ * Integration tests for the revision-history routes' security wiring.
+ *
+ * Listing and viewing revisions only require a valid token. A restore is an edit
+ * of the revision's record, so it must pass AUTHORIZE.check_permission with that
+ * record type's update permissions (exhibit vs. item family) before the model's
+ * restore runs. The model is mocked so no DB is needed.
+ */
+
+'use strict';
+
+const express = require('express');
+const request = require('supertest');
+
+// ==================== MOCKS ====================
+
+jest.mock('../../libs/log4', () => ({
+    module: () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })
+}));
+
+jest.mock('../../config/app_config', () => () => ({ app_path: '/exhibits-dashboard' }));
+
+jest.mock('../../libs/tokens', () => ({
+    verify: (req, res, next) => {
+        if (req.headers['x-access-token']) {
+            req.decoded = { sub: 'curator' };
+            return next();
+        }
+        return res.status(401).json({ message: 'Unauthorized request' });
+    }
+}));
+
+const mockCheckPermission = jest.fn();
+jest.mock('../../auth/authorize', () => ({ check_permission: (...args) => mockCheckPermission(...args) }));
+
+jest.mock('../../config/rate_limits_loader', () => ({
+    rate_limits: {
+        read_operations: (req, res, next) => next(),
+        write_operations: (req, res, next) => next(),
+        state_change_operations: (req, res, next) => next()
+    }
+}));
+
+const mockGetRecords = jest.fn();
+const mockGetRecord = jest.fn();
+const mockRestore = jest.fn();
+jest.mock('../../exhibits/revisions_model', () => ({
+    get_revision_records: (...a) => mockGetRecords(...a),
+    get_revision_record: (...a) => mockGetRecord(...a),
+    restore_revision: (...a) => mockRestore(...a)
+}));
+
+const mockAuditRecordSuccess = jest.fn();
+jest.mock('../../audit/model', () => ({
+    record_success: (...a) => mockAuditRecordSuccess(...a)
+}));
+
+const register_revisions_routes = require('../../exhibits/revisions_routes');
+
+// ==================== FIXTURE ====================
+
+const EXHIBIT_UUID = '11111111-1111-4111-8111-111111111111';
+const ITEM_UUID = '22222222-2222-4222-8222-222222222222';
+const REVISION_UUID = '33333333-3333-4333-8333-333333333333';
+const BASE = `/exhibits-dashboard/api/v1/exhibits/${EXHIBIT_UUID}/revisions`;
+let app;
+
+beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    register_revisions_routes(app);
+});
+
+beforeEach(() => jest.clearAllMocks());
+
+const item_revision = (overrides = {}) => ({
+    status: 200,
+    message: 'Revision record',
+    data: { uuid: REVISION_UUID, record_type: 'item', record_uuid: ITEM_UUID, ...overrides }
+});
+
+// ==================== LIST / VIEW ====================
+
+describe('GET /exhibits/:exhibit_id/revisions', () => {
+
+    test('401 when no auth token; model never reached', async () => {
+        const res = await request(app).get(BASE);
+
+        expect(res.status).toBe(401);
+        expect(mockGetRecords).not.toHaveBeenCalled();
+    });
+
+    test('passes the optional record_id filter to the model', async () => {
+        mockGetRecords.mockResolvedValue({ status: 200, message: 'Revision records', data: [] });
+
+        const res = await request(app).get(`${BASE}?record_id=${ITEM_UUID}`).set('x-access-token', 'jwt');
+
+        expect(res.status).toBe(200);
+        expect(mockGetRecords).toHaveBeenCalledWith(EXHIBIT_UUID, ITEM_UUID);
+    });
+
+    test('returns a single revision', async () => {
+        mockGetRecord.mockResolvedValue(item_revision());
+
+        const res = await request(app).get(`${BASE}/${REVISION_UUID}`).set('x-access-token', 'jwt');
+
+        expect(res.status).toBe(200);
+        expect(mockGetRecord).toHaveBeenCalledWith(EXHIBIT_UUID, REVISION_UUID);
+    });
+});
+
+// ==================== RESTORE ====================
+
+describe('POST /exhibits/:exhibit_id/revisions/:revision_id/restore', () => {
+
+    test('401 when no auth token; restore never reached', async () => {
+        const res = await request(app).post(`${BASE}/${REVISION_UUID}/restore`);
+
+        expect(res.status).toBe(401);
+        expect(mockRestore).not.toHaveBeenCalled();
+    });
+
+    test('404 from the revision lookup is returned without an authorization check', async () => {
+        mockGetRecord.mockResolvedValue({ status: 404, message: 'Revision not found', data: null });
+
+        const res = await request(app).post(`${BASE}/${REVISION_UUID}/restore`).set('x-access-token', 'jwt');
+
+        expect(res.status).toBe(404);
+        expect(mockCheckPermission).not.toHaveBeenCalled();
+        expect(mockRestore).not.toHaveBeenCalled();
+    });
+
+    test('403 when the caller cannot update the record; restore never reached', async () => {
+        mockGetRecord.mockResolvedValue(item_revision());
+        mockCheckPermission.mockResolvedValue(false);
+
+        const res = await request(app).post(`${BASE}/${REVISION_UUID}/restore`).set('x-access-token', 'jwt');
+
+        expect(res.status).toBe(403);
+        expect(mockCheckPermission.mock.calls[0][0]).toMatchObject({
+            permissions: ['update_item', 'update_any_item'],
+            record_type: 'item',
+            parent_id: EXHIBIT_UUID,
+            child_id: ITEM_UUID
+        });
+        expect(mockRestore).not.toHaveBeenCalled();
+    });
+
+    test('exhibit revisions are checked against the exhibit update permissions', async () => {
+        mockGetRecord.mockResolvedValue(item_revision({ record_type: 'exhibit', record_uuid: EXHIBIT_UUID }));
+        mockCheckPermission.mockResolvedValue(true);
+        mockRestore.mockResolvedValue({ status: 200, message: 'Revision restored', data: {} });
+
+        const res = await request(app).post(`${BASE}/${REVISION_UUID}/restore`).set('x-access-token', 'jwt');
+
+        expect(res.status).toBe(200);
+        expect(mockCheckPermission.mock.calls[0][0]).toMatchObject({
+            permissions: ['update_exhibit', 'update_any_exhibit'],
+            record_type: 'exhibit',
+            parent_id: EXHIBIT_UUID
+        });
+    });
+
+    test('restores with the display name from the body, falling back to the token subject', async () => {
+        mockGetRecord.mockResolvedValue(item_revision());
+        mockCheckPermission.mockResolvedValue(true);
+        mockRestore.mockResolvedValue({ status: 200, message: 'Revision restored', data: {} });
+
+        await request(app).post(`${BASE}/${REVISION_UUID}/restore`)
+            .set('x-access-token', 'jwt')
+            .send({ updated_by: 'Curator A' });
+        await request(app).post(`${BASE}/${REVISION_UUID}/restore`).set('x-access-token', 'jwt');
+
+        expect(mockRestore).toHaveBeenNthCalledWith(1, EXHIBIT_UUID, REVISION_UUID, 'Curator A');
+        expect(mockRestore).toHaveBeenNthCalledWith(2, EXHIBIT_UUID, REVISION_UUID, 'curator');
+    });
+
+    test('audits the restore with the revision restored and the state it replaced', async () => {
+        mockGetRecord.mockResolvedValue(item_revision({ version: 3, current: { uuid: ITEM_UUID, title: 'Current title' } }));
+        mockCheckPermission.mockResolvedValue(true);
+        mockRestore.mockResolvedValue({ status: 200, message: 'Revision restored', data: {} });
+
+        await request(app).post(`${BASE}/${REVISION_UUID}/restore`).set('x-access-token', 'jwt');
+
+        expect(mockAuditRecordSuccess).toHaveBeenCalledWith(expect.anything(), 200, {
+            action: 'restore_revision',
+            record_type: 'item',
+            record_uuid: ITEM_UUID,
+            exhibit_uuid: EXHIBIT_UUID,
+            before: { uuid: ITEM_UUID, title: 'Current title' },
+            after: { revision_uuid: REVISION_UUID, version: 3 }
+        });
+    });
+});
@@ -0,0 +1,282 @@
+/**
+ * Integration tests for the schedule model and the in-process publish scheduler.
+ *
+ * The task layer and the exhibit/item models are mocked: these tests cover
+ * schedule validation, which transitions run, and when a schedule is cleared
+ * versus kept for the next poll.
+ *
+ * Copyright 2026 University of Denver
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+const EXHIBIT_UUID = '550e8400-e29b-41d4-a716-446655440000';
+const ITEM_UUID = '660e8400-e29b-41d4-a716-446655440001';
+
+jest.mock('../../libs/log4', () => ({
+    module: () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })
+}));
+
+jest.mock('../../config/db_config', () => () => jest.fn());
+jest.mock('../../config/db_tables_config', () => () => ({ exhibits: {} }));
+
+const mockScheduleTask = {
+    get_schedule: jest.fn(),
+    set_schedule: jest.fn(),
+    get_due_transitions: jest.fn(),
+    get_scheduled_transitions: jest.fn(),
+    clear_transition: jest.fn()
+};
+
+jest.mock('../../exhibits/tasks/exhibit_schedule_tasks', () => {
+    return jest.fn().mockImplementation(() => mockScheduleTask);
+});
+
+const mockExhibitsModel = { publish_exhibit: jest.fn(), suppress_exhibit: jest.fn() };
+jest.mock('../../exhibits/exhibits_model', () => mockExhibitsModel);
+
+const mockItemsModel = { publish_item_record: jest.fn(), suppress_item_record: jest.fn() };
+jest.mock('../../exhibits/items_model', () => mockItemsModel);
+
+const SCHEDULE_MODEL = require('../../exhibits/schedule_model');
+const PUBLISH_SCHEDULER = require('../../exhibits/publish_scheduler');
+
+const FUTURE = '2099-01-01T09:00:00.000Z';
+const LATER = '2099-02-01T09:00:00.000Z';
+
+describe('Schedule Model', () => {
+
+    beforeEach(() => {
+        mockScheduleTask.set_schedule.mockResolvedValue(true);
+        mockScheduleTask.clear_transition.mockResolvedValue(true);
+    });
+
+    // ==================== SET SCHEDULE ====================
+
+    describe('set_schedule', () => {
+
+        beforeEach(() => {
+            mockScheduleTask.get_schedule.mockResolvedValue({
+                uuid: EXHIBIT_UUID, is_published: 0, publish_at: null, suppress_at: new Date(LATER)
+            });
+        });
+
+        test('keeps omitted fields and stores parsed dates', async () => {
+            const result = await SCHEDULE_MODEL.set_schedule('exhibit', EXHIBIT_UUID, EXHIBIT_UUID, { publish_at: FUTURE }, 'Curator');
+
+            expect(result.status).toBe(200);
+            expect(result.data).toEqual({ uuid: EXHIBIT_UUID, publish_at: FUTURE, suppress_at: LATER });
+            expect(mockScheduleTask.set_schedule).toHaveBeenCalledWith('exhibit', EXHIBIT_UUID, {
+                publish_at: new Date(FUTURE),
+                suppress_at: new Date(LATER)
+            }, 'Curator');
+        });
+
+        test('clears a field sent as null', async () => {
+            const result = await SCHEDULE_MODEL.set_schedule('exhibit', EXHIBIT_UUID, EXHIBIT_UUID, { suppress_at: null });
+
+            expect(result.data.suppress_at).toBeNull();
+        });
+
+        test('rejects a time in the past', async () => {
+            const result = await SCHEDULE_MODEL.set_schedule('exhibit', EXHIBIT_UUID, EXHIBIT_UUID, { publish_at: '2001-01-01T00:00:00Z' });
+
+            expect(result.status).toBe(400);
+            expect(result.message).toBe('publish_at must be in the future');
+            expect(mockScheduleTask.set_schedule).not.toHaveBeenCalled();
+        });
+
+        test('rejects a suppress that is not after the publish', async () => {
+            const result = await SCHEDULE_MODEL.set_schedule('exhibit', EXHIBIT_UUID, EXHIBIT_UUID, { publish_at: LATER, suppress_at: FUTURE });
+
+            expect(result.status).toBe(400);
+            expect(result.message).toBe('suppress_at must be after publish_at');
+        });
+
+        test('rejects a value that is not a date', async () => {
+            const result = await SCHEDULE_MODEL.set_schedule('exhibit', EXHIBIT_UUID, EXHIBIT_UUID, { publish_at: 'tomorrow' });
+
+            expect(result.status).toBe(400);
+        });
+
+        test('returns 404 for an item of another exhibit', async () => {
+            mockScheduleTask.get_schedule.mockResolvedValue({ uuid: ITEM_UUID, is_member_of_exhibit: '770e8400-e29b-41d4-a716-446655440002' });
+
+            const result = await SCHEDULE_MODEL.set_schedule('item', EXHIBIT_UUID, ITEM_UUID, { publish_at: FUTURE });
+
+            expect(result.status).toBe(404);
+        });
+    });
+
+    // ==================== RUN DUE TRANSITIONS ====================
+
+    describe('run_due_transitions', () => {
+        const due_at = new Date('2030-01-01T09:00:00Z');
+
+        test('runs a due exhibit publish and clears it', async () => {
+            mockScheduleTask.get_due_transitions.mockResolvedValue([
+                { record_type: 'exhibit', action: 'publish', uuid: EXHIBIT_UUID, is_member_of_exhibit: EXHIBIT_UUID, due_at }
+            ]);
+            mockScheduleTask.get_schedule.mockResolvedValue({ uuid: EXHIBIT_UUID, is_published: 0 });
+            mockExhibitsModel.publish_exhibit.mockResolvedValue({ status: true, message: 'Exhibit published' });
+
+            const summary = await SCHEDULE_MODEL.run_due_transitions(new Date('2030-01-02T00:00:00Z'));
+
+            expect(summary).toEqual({ done: 1, waiting: 0, failed: 0 });
+            expect(mockExhibitsModel.publish_exhibit).toHaveBeenCalledWith(EXHIBIT_UUID);
+            expect(mockScheduleTask.clear_transition).toHaveBeenCalledWith('exhibit', EXHIBIT_UUID, 'publish', due_at);
+        });
+
+        test('clears without running when the record is already in the target state', async () => {
+            mockScheduleTask.get_due_transitions.mockResolvedValue([
+                { record_type: 'exhibit', action: 'suppress', uuid: EXHIBIT_UUID, is_member_of_exhibit: EXHIBIT_UUID, due_at }
+            ]);
+            mockScheduleTask.get_schedule.mockResolvedValue({ uuid: EXHIBIT_UUID, is_published: 0 });
+
+            const summary = await SCHEDULE_MODEL.run_due_transitions();
+
+            expect(summary.done).toBe(1);
+            expect(mockExhibitsModel.suppress_exhibit).not.toHaveBeenCalled();
+        });
+
+        test('keeps an item publish waiting until its exhibit is published', async () => {
+            mockScheduleTask.get_due_transitions.mockResolvedValue([
+                { record_type: 'item', action: 'publish', uuid: ITEM_UUID, is_member_of_exhibit: EXHIBIT_UUID, due_at }
+            ]);
+            mockScheduleTask.get_schedule
+                .mockResolvedValueOnce({ uuid: ITEM_UUID, is_published: 0 })
+                .mockResolvedValueOnce({ uuid: EXHIBIT_UUID, is_published: 0 });
+
+            const summary = await SCHEDULE_MODEL.run_due_transitions();
+
+            expect(summary).toEqual({ done: 0, waiting: 1, failed: 0 });
+            expect(mockItemsModel.publish_item_record).not.toHaveBeenCalled();
+            expect(mockScheduleTask.clear_transition).not.toHaveBeenCalled();
+        });
+
+        test('keeps a failed transition for the next run and carries on', async () => {
+            mockScheduleTask.get_due_transitions.mockResolvedValue([
+                { record_type: 'item', action: 'suppress', uuid: ITEM_UUID, is_member_of_exhibit: EXHIBIT_UUID, due_at },
+                { record_type: 'exhibit', action: 'suppress', uuid: EXHIBIT_UUID, is_member_of_exhibit: EXHIBIT_UUID, due_at }
+            ]);
+            mockScheduleTask.get_schedule.mockResolvedValue({ is_published: 1 });
+            mockItemsModel.suppress_item_record.mockRejectedValue(new Error('ES down'));
+            mockExhibitsModel.suppress_exhibit.mockResolvedValue({ status: true });
+
+            const summary = await SCHEDULE_MODEL.run_due_transitions();
+
+            expect(summary).toEqual({ done: 1, waiting: 0, failed: 1 });
+            expect(mockScheduleTask.clear_transition).toHaveBeenCalledTimes(1);
+            expect(mockScheduleTask.clear_transition).toHaveBeenCalledWith('exhibit', EXHIBIT_UUID, 'suppress', due_at);
+        });
+
+        test('keeps an exhibit publish waiting until the exhibit is approved', async () => {
+            mockScheduleTask.get_due_transitions.mockResolvedValue([
+                { record_type: 'exhibit', action: 'publish', uuid: EXHIBIT_UUID, is_member_of_exhibit: EXHIBIT_UUID, due_at }
+            ]);
+            mockScheduleTask.get_schedule.mockResolvedValue({ is_published: 0 });
+            mockExhibitsModel.publish_exhibit.mockResolvedValue({ status: 'not_approved' });
+
+            const summary = await SCHEDULE_MODEL.run_due_transitions();
+
+            expect(summary).toEqual({ done: 0, waiting: 1, failed: 0 });
+            expect(mockScheduleTask.clear_transition).not.toHaveBeenCalled();
+        });
+
+        test('keeps an exhibit publish waiting while it has accessibility errors', async () => {
+            mockScheduleTask.get_due_transitions.mockResolvedValue([
+                { record_type: 'exhibit', action: 'publish', uuid: EXHIBIT_UUID, is_member_of_exhibit: EXHIBIT_UUID, due_at }
+            ]);
+            mockScheduleTask.get_schedule.mockResolvedValue({ is_published: 0 });
+            mockExhibitsModel.publish_exhibit.mockResolvedValue({ status: 'accessibility_errors', data: [] });
+
+            const summary = await SCHEDULE_MODEL.run_due_transitions();
+
+            expect(summary).toEqual({ done: 0, waiting: 1, failed: 0 });
+            expect(mockScheduleTask.clear_transition).not.toHaveBeenCalled();
+        });
+
+        test('drops a publish that waited past suppress_at, and the suppress then finds nothing to do', async () => {
+            const suppress_at = new Date('2030-01-05T09:00:00Z');
+            const record = { uuid: EXHIBIT_UUID, is_published: 0, publish_at: due_at, suppress_at };
+            mockScheduleTask.get_due_transitions.mockResolvedValue([
+                { record_type: 'exhibit', action: 'publish', uuid: EXHIBIT_UUID, is_member_of_exhibit: EXHIBIT_UUID, due_at },
+                { record_type: 'exhibit', action: 'suppress', uuid: EXHIBIT_UUID, is_member_of_exhibit: EXHIBIT_UUID, due_at: suppress_at }
+            ]);
+            mockScheduleTask.get_schedule.mockResolvedValue(record);
+
+            const summary = await SCHEDULE_MODEL.run_due_transitions(new Date('2030-01-06T00:00:00Z'));
+
+            expect(summary).toEqual({ done: 2, waiting: 0, failed: 0 });
+            expect(mockExhibitsModel.publish_exhibit).not.toHaveBeenCalled();
+            expect(mockExhibitsModel.suppress_exhibit).not.toHaveBeenCalled();
+            expect(mockScheduleTask.clear_transition).toHaveBeenCalledWith('exhibit', EXHIBIT_UUID, 'publish', due_at);
+            expect(mockScheduleTask.clear_transition).toHaveBeenCalledWith('exhibit', EXHIBIT_UUID, 'suppress', suppress_at);
+        });
+
+        test('still runs a waiting publish while its suppress_at is ahead', async () => {
+            mockScheduleTask.get_due_transitions.mockResolvedValue([
+                { record_type: 'exhibit', action: 'publish', uuid: EXHIBIT_UUID, is_member_of_exhibit: EXHIBIT_UUID, due_at }
+            ]);
+            mockScheduleTask.get_schedule.mockResolvedValue({ is_published: 0, publish_at: due_at, suppress_at: new Date('2030-01-05T09:00:00Z') });
+            mockExhibitsModel.publish_exhibit.mockResolvedValue({ status: true });
+
+            const summary = await SCHEDULE_MODEL.run_due_transitions(new Date('2030-01-02T00:00:00Z'));
+
+            expect(summary.done).toBe(1);
+            expect(mockExhibitsModel.publish_exhibit).toHaveBeenCalledWith(EXHIBIT_UUID);
+        });
+
+        test('drops a scheduled publish of an exhibit with no content', async () => {
+            mockScheduleTask.get_due_transitions.mockResolvedValue([
+                { record_type: 'exhibit', action: 'publish', uuid: EXHIBIT_UUID, is_member_of_exhibit: EXHIBIT_UUID, due_at }
+            ]);
+            mockScheduleTask.get_schedule.mockResolvedValue({ is_published: 0 });
+            mockExhibitsModel.publish_exhibit.mockResolvedValue({ status: 'no_items' });
+
+            const summary = await SCHEDULE_MODEL.run_due_transitions();
+
+            expect(summary.done).toBe(1);
+            expect(mockScheduleTask.clear_transition).toHaveBeenCalled();
+        });
+    });
+});
+
+// ==================== SCHEDULER ====================
+
+describe('Publish scheduler', () => {
+
+    afterEach(() => {
+        PUBLISH_SCHEDULER.stop();
+        jest.useRealTimers();
+    });
+
+    test('run_once reports the transitions that ran', async () => {
+        mockScheduleTask.get_due_transitions.mockResolvedValue([]);
+
+        await expect(PUBLISH_SCHEDULER.run_once()).resolves.toEqual({ done: 0, waiting: 0, failed: 0 });
+    });
+
+    test('run_once logs and swallows a failed poll', async () => {
+        mockScheduleTask.get_due_transitions.mockRejectedValue(new Error('DB down'));
+
+        await expect(PUBLISH_SCHEDULER.run_once()).resolves.toBeNull();
+    });
+
+    test('start polls immediately and then on the interval', async () => {
+        jest.useFakeTimers();
+        mockScheduleTask.get_due_transitions.mockResolvedValue([]);
+
+        PUBLISH_SCHEDULER.start(5000);
+        await jest.advanceTimersByTimeAsync(0);
+        expect(mockScheduleTask.get_due_transitions).toHaveBeenCalledTimes(1);
+
+        await jest.advanceTimersByTimeAsync(5000);
+        expect(mockScheduleTask.get_due_transitions).toHaveBeenCalledTimes(2);
+
+        PUBLISH_SCHEDULER.stop();
+        await jest.advanceTimersByTimeAsync(10000);
+        expect(mockScheduleTask.get_due_transitions).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,188 @@
+/**
+ * Integration tests for the publish/suppress schedule routes' security wiring.
+ *
+ * Scheduling a transition must pass AUTHORIZE.check_permission with the same
+ * permission as running it by hand, once per schedule field being changed:
+ * publish_at needs the publish permissions, suppress_at the suppress ones. The
+ * model is mocked so no DB is needed.
+ */
+
+'use strict';
+
+const express = require('express');
+const request = require('supertest');
+
+// ==================== MOCKS ====================
+
+jest.mock('../../libs/log4', () => ({
+    module: () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })
+}));
+
+jest.mock('../../config/app_config', () => () => ({ app_path: '/exhibits-dashboard' }));
+
+jest.mock('../../libs/tokens', () => ({
+    verify: (req, res, next) => {
+        if (req.headers['x-access-token']) {
+            req.decoded = { sub: 'curator' };
+            return next();
+        }
+        return res.status(401).json({ message: 'Unauthorized request' });
+    }
+}));
+
+const mockCheckPermission = jest.fn();
+jest.mock('../../auth/authorize', () => ({ check_permission: (...args) => mockCheckPermission(...args) }));
+
+jest.mock('../../config/rate_limits_loader', () => ({
+    rate_limits: {
+        read_operations: (req, res, next) => next(),
+        write_operations: (req, res, next) => next(),
+        media_operations: (req, res, next) => next(),
+        state_change_operations: (req, res, next) => next()
+    }
+}));
+
+const mockSetSchedule = jest.fn();
+const mockGetTransitions = jest.fn();
+jest.mock('../../exhibits/schedule_model', () => ({
+    set_schedule: (...a) => mockSetSchedule(...a),
+    get_scheduled_transitions: (...a) => mockGetTransitions(...a)
+}));
+
+const mockAuditRecordSuccess = jest.fn();
+jest.mock('../../audit/model', () => ({
+    record_success: (...a) => mockAuditRecordSuccess(...a)
+}));
+
+const register_schedule_routes = require('../../exhibits/schedule_routes');
+
+// ==================== FIXTURE ====================
+
+const EXHIBIT_UUID = '11111111-1111-4111-8111-111111111111';
+const ITEM_UUID = '22222222-2222-4222-8222-222222222222';
+const EXHIBIT_URL = `/exhibits-dashboard/api/v1/exhibits/${EXHIBIT_UUID}/schedule`;
+const ITEM_URL = `/exhibits-dashboard/api/v1/exhibits/${EXHIBIT_UUID}/items/${ITEM_UUID}/schedule`;
+const TRANSITIONS_URL = '/exhibits-dashboard/api/v1/exhibits/schedule/transitions';
+const PUBLISH_AT = '2030-01-01T09:00:00.000Z';
+let app;
+
+beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    register_schedule_routes(app);
+});
+
+beforeEach(() => jest.clearAllMocks());
+
+// ==================== EXHIBIT SCHEDULE ====================
+
+describe('PUT /exhibits/:exhibit_id/schedule', () => {
+
+    test('401 when no auth token; model never reached', async () => {
+        const res = await request(app).put(EXHIBIT_URL).send({ publish_at: PUBLISH_AT });
+
+        expect(res.status).toBe(401);
+        expect(mockSetSchedule).not.toHaveBeenCalled();
+    });
+
+    test('400 when neither schedule field is sent', async () => {
+        const res = await request(app).put(EXHIBIT_URL).set('x-access-token', 'jwt').send({ scheduled_by: 'Curator A' });
+
+        expect(res.status).toBe(400);
+        expect(mockCheckPermission).not.toHaveBeenCalled();
+    });
+
+    test('checks publish and suppress permissions for the fields being changed', async () => {
+        mockCheckPermission.mockResolvedValue(true);
+        mockSetSchedule.mockResolvedValue({ status: 200, message: 'Schedule updated', data: { uuid: EXHIBIT_UUID } });
+
+        const res = await request(app).put(EXHIBIT_URL)
+            .set('x-access-token', 'jwt')
+            .send({ publish_at: PUBLISH_AT, suppress_at: null, scheduled_by: 'Curator A', title: 'ignored' });
+
+        expect(res.status).toBe(200);
+        expect(mockCheckPermission.mock.calls.map((call) => call[0].permissions)).toEqual([
+            ['publish_exhibit', 'publish_any_exhibit'],
+            ['suppress_exhibit', 'suppress_any_exhibit']
+        ]);
+        expect(mockCheckPermission.mock.calls[0][0]).toMatchObject({ record_type: 'exhibit', parent_id: EXHIBIT_UUID });
+        expect(mockSetSchedule).toHaveBeenCalledWith('exhibit', EXHIBIT_UUID, EXHIBIT_UUID, { publish_at: PUBLISH_AT, suppress_at: null }, 'Curator A');
+    });
+
+    test('403 when the caller cannot suppress; model never reached', async () => {
+        mockCheckPermission.mockResolvedValue(false);
+
+        const res = await request(app).put(EXHIBIT_URL).set('x-access-token', 'jwt').send({ suppress_at: PUBLISH_AT });
+
+        expect(res.status).toBe(403);
+        expect(mockCheckPermission.mock.calls[0][0].permissions).toEqual(['suppress_exhibit', 'suppress_any_exhibit']);
+        expect(mockSetSchedule).not.toHaveBeenCalled();
+    });
+
+    test('passes a model validation failure through', async () => {
+        mockCheckPermission.mockResolvedValue(true);
+        mockSetSchedule.mockResolvedValue({ status: 400, message: 'publish_at must be in the future', data: null });
+
+        const res = await request(app).put(EXHIBIT_URL).set('x-access-token', 'jwt').send({ publish_at: '2001-01-01T00:00:00Z' });
+
+        expect(res.status).toBe(400);
+        expect(res.body).toMatchObject({ success: false, message: 'publish_at must be in the future' });
+    });
+
+    test('audits setting and clearing a schedule with the resulting times', async () => {
+        mockCheckPermission.mockResolvedValue(true);
+        mockSetSchedule.mockResolvedValueOnce({ status: 200, message: 'Schedule updated', data: { uuid: EXHIBIT_UUID, publish_at: PUBLISH_AT, suppress_at: null } })
+            .mockResolvedValueOnce({ status: 200, message: 'Schedule updated', data: { uuid: EXHIBIT_UUID, publish_at: null, suppress_at: null } });
+
+        await request(app).put(EXHIBIT_URL).set('x-access-token', 'jwt').send({ publish_at: PUBLISH_AT });
+        await request(app).put(EXHIBIT_URL).set('x-access-token', 'jwt').send({ publish_at: null });
+
+        expect(mockAuditRecordSuccess.mock.calls.map((call) => call[2])).toEqual([
+            { action: 'schedule', record_type: 'exhibit', record_uuid: EXHIBIT_UUID, exhibit_uuid: EXHIBIT_UUID, after: { publish_at: PUBLISH_AT, suppress_at: null } },
+            { action: 'unschedule', record_type: 'exhibit', record_uuid: EXHIBIT_UUID, exhibit_uuid: EXHIBIT_UUID, after: { publish_at: null, suppress_at: null } }
+        ]);
+    });
+});
+
+// ==================== ITEM SCHEDULE ====================
+
+describe('PUT /exhibits/:exhibit_id/items/:item_id/schedule', () => {
+
+    test('checks item publish permission against the item', async () => {
+        mockCheckPermission.mockResolvedValue(true);
+        mockSetSchedule.mockResolvedValue({ status: 200, message: 'Schedule updated', data: { uuid: ITEM_UUID } });
+
+        const res = await request(app).put(ITEM_URL).set('x-access-token', 'jwt').send({ publish_at: PUBLISH_AT });
+
+        expect(res.status).toBe(200);
+        expect(mockCheckPermission.mock.calls[0][0]).toMatchObject({
+            permissions: ['publish_item', 'publish_any_item'],
+            record_type: 'item',
+            parent_id: EXHIBIT_UUID,
+            child_id: ITEM_UUID
+        });
+        expect(mockSetSchedule).toHaveBeenCalledWith('item', EXHIBIT_UUID, ITEM_UUID, { publish_at: PUBLISH_AT }, 'curator');
+    });
+});
+
+// ==================== TRANSITIONS ====================
+
+describe('GET /exhibits/schedule/transitions', () => {
+
+    test('401 when no auth token', async () => {
+        const res = await request(app).get(TRANSITIONS_URL);
+
+        expect(res.status).toBe(401);
+        expect(mockGetTransitions).not.toHaveBeenCalled();
+    });
+
+    test('returns pending transitions', async () => {
+        const transitions = [{ record_type: 'exhibit', action: 'publish', uuid: EXHIBIT_UUID, due_at: PUBLISH_AT }];
+        mockGetTransitions.mockResolvedValue({ status: 200, message: 'Scheduled transitions retrieved', data: transitions });
+
+        const res = await request(app).get(TRANSITIONS_URL).set('x-access-token', 'jwt');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toEqual(transitions);
+    });
+});
@@ -71,7 +71,8 @@ const mockTimelineRecordTask = {
     set_timeline_to_suppress: jest.fn().mockResolvedValue(true),
     set_to_suppressed_timeline_items: jest.fn().mockResolvedValue(true),
     reorder_timelines: jest.fn().mockResolvedValue(true),
-    reorder_timeline_items: jest.fn().mockResolvedValue(true)
+    reorder_timeline_items: jest.fn().mockResolvedValue(true),
+    order_timeline_items_by_date: jest.fn()
 };
 
 jest.mock('../../exhibits/tasks/exhibit_timeline_record_tasks', () => {
@@ -99,6 +100,23 @@ const mockIndexerModel = {
 
 jest.mock('../../indexer/model', () => mockIndexerModel);
 
+const mockScheduleReindex = jest.fn();
+const mockScheduleSuppress = jest.fn();
+jest.mock('../../exhibits/reindex_coalescer', () => ({
+    schedule_reindex: (...args) => mockScheduleReindex(...args),
+    schedule_suppress: (...args) => mockScheduleSuppress(...args)
+}));
+
+// Mock Revision Record Tasks: the save runs with a stand-in transaction
+const mockRevisionTask = {
+    capture_save: jest.fn(async (record_type, uuid, save) => ({ result: await save(jest.fn()), before: null, after: null })),
+    record_revision: jest.fn().mockResolvedValue(null)
+};
+
+jest.mock('../../exhibits/tasks/exhibit_revision_record_tasks', () => {
+    return jest.fn().mockImplementation(() => mockRevisionTask);
+});
+
 // ==================== TESTS ====================
 
 describe('Timelines Model Integration Tests', () => {
@@ -376,12 +394,50 @@ describe('Timelines Model Integration Tests', () => {
             const result = await TIMELINES_MODEL.create_timeline_item_record(
                 TEST_EXHIBIT_UUID,
                 TEST_TIMELINE_UUID,
-                { title: 'Test' }
+                { title: 'Test', date: '2024-01-01' }
             );
 
             expect(result.status).toBe(500);
             expect(result.message).toBe('Unable to create timeline item record');
         });
+
+        test('should normalize an EDTF date and store the range it covers', async () => {
+            const result = await TIMELINES_MODEL.create_timeline_item_record(
+                TEST_EXHIBIT_UUID,
+                TEST_TIMELINE_UUID,
+                { title: 'Test', date: 'circa 1920' }
+            );
+
+            expect(result.status).toBe(201);
+            expect(mockTimelineRecordTask.create_timeline_item_record).toHaveBeenCalledWith(expect.objectContaining({
+                date: '1920~',
+                date_start: '1920-01-01',
+                date_end: '1920-12-31'
+            }));
+        });
+
+        test('should return 400 without a date', async () => {
+            const result = await TIMELINES_MODEL.create_timeline_item_record(
+                TEST_EXHIBIT_UUID,
+                TEST_TIMELINE_UUID,
+                { title: 'Test' }
+            );
+
+            expect(result.status).toBe(400);
+            expect(mockTimelineRecordTask.create_timeline_item_record).not.toHaveBeenCalled();
+        });
+
+        test('should return 400 for a date that is not EDTF', async () => {
+            const result = await TIMELINES_MODEL.create_timeline_item_record(
+                TEST_EXHIBIT_UUID,
+                TEST_TIMELINE_UUID,
+                { title: 'Test', date: 'the roaring twenties' }
+            );
+
+            expect(result.status).toBe(400);
+            expect(result.message).toMatch(/Invalid timeline date "the roaring twenties"/);
+            expect(mockTimelineRecordTask.create_timeline_item_record).not.toHaveBeenCalled();
+        });
     });
 
     // ==================== GET TIMELINE ITEM RECORDS ====================
@@ -592,6 +648,47 @@ describe('Timelines Model Integration Tests', () => {
             expect(result.message).toBe('Invalid data provided');
         });
 
+        test('should store the range of an updated date, open at the end', async () => {
+            const result = await TIMELINES_MODEL.update_timeline_item_record(
+                TEST_EXHIBIT_UUID,
+                TEST_TIMELINE_UUID,
+                TEST_TIMELINE_ITEM_UUID,
+                { date: '1861/..' }
+            );
+
+            expect(result.status).toBe(201);
+            expect(mockTimelineRecordTask.update_timeline_item_record).toHaveBeenCalledWith(expect.objectContaining({
+                date: '1861/..',
+                date_start: '1861-01-01',
+                date_end: null
+            }));
+        });
+
+        test('should leave the date alone when an update does not send one', async () => {
+            await TIMELINES_MODEL.update_timeline_item_record(
+                TEST_EXHIBIT_UUID,
+                TEST_TIMELINE_UUID,
+                TEST_TIMELINE_ITEM_UUID,
+                { title: 'Renamed' }
+            );
+
+            const data = mockTimelineRecordTask.update_timeline_item_record.mock.calls[0][0];
+            expect(data).not.toHaveProperty('date_start');
+            expect(data).not.toHaveProperty('date_end');
+        });
+
+        test('should return 400 for an invalid date', async () => {
+            const result = await TIMELINES_MODEL.update_timeline_item_record(
+                TEST_EXHIBIT_UUID,
+                TEST_TIMELINE_UUID,
+                TEST_TIMELINE_ITEM_UUID,
+                { date: '1985-02-30' }
+            );
+
+            expect(result.status).toBe(400);
+            expect(mockTimelineRecordTask.update_timeline_item_record).not.toHaveBeenCalled();
+        });
+
         test('should return 500 when database operation fails', async () => {
             mockTimelineRecordTask.update_timeline_item_record.mockResolvedValue(false);
 
@@ -749,8 +846,19 @@ describe('Timelines Model Integration Tests', () => {
             expect(result.message).toBe('Invalid UUID provided');
         });
 
-        test('should return false when delete from index fails', async () => {
-            mockIndexerModel.delete_record.mockResolvedValue({ status: 500 });
+        test('queues removal from the index after suppressing', async () => {
+            await TIMELINES_MODEL.suppress_timeline_record(TEST_EXHIBIT_UUID, TEST_TIMELINE_UUID);
+
+            expect(mockScheduleSuppress).toHaveBeenCalledWith(`timeline:${TEST_TIMELINE_UUID}`, 'delete_record', {
+                record_type: 'timeline',
+                exhibit_uuid: TEST_EXHIBIT_UUID,
+                uuid: TEST_TIMELINE_UUID
+            });
+            expect(mockIndexerModel.delete_record).not.toHaveBeenCalled();
+        });
+
+        test('should return false when removal from the index cannot be queued', async () => {
+            mockScheduleSuppress.mockRejectedValueOnce(new Error('ER_LOCK_WAIT_TIMEOUT'));
 
             const result = await TIMELINES_MODEL.suppress_timeline_record(
                 TEST_EXHIBIT_UUID,
@@ -856,11 +964,6 @@ describe('Timelines Model Integration Tests', () => {
     describe('suppress_timeline_item_record', () => {
 
         test('should suppress timeline item record successfully', async () => {
-            mockIndexerModel.get_indexed_record.mockResolvedValue({
-                status: 200,
-                data: { source: { items: [{ uuid: TEST_TIMELINE_ITEM_UUID }] } }
-            });
-
             const result = await TIMELINES_MODEL.suppress_timeline_item_record(
                 TEST_EXHIBIT_UUID,
                 TEST_TIMELINE_UUID,
@@ -868,6 +971,15 @@ describe('Timelines Model Integration Tests', () => {
             );
 
             expect(result).toBe(true);
+            expect(mockTimelineRecordTask.update_timeline_item_record).toHaveBeenCalledWith(expect.objectContaining({
+                uuid: TEST_TIMELINE_ITEM_UUID,
+                is_published: 0
+            }));
+            expect(mockScheduleSuppress).toHaveBeenCalledWith(`timeline:${TEST_TIMELINE_UUID}`, 'reindex_timeline', {
+                exhibit_uuid: TEST_EXHIBIT_UUID,
+                uuid: TEST_TIMELINE_UUID
+            });
+            expect(mockIndexerModel.delete_record).not.toHaveBeenCalled();
         });
 
         test('should return false for invalid exhibit UUID', async () => {
@@ -900,27 +1012,8 @@ describe('Timelines Model Integration Tests', () => {
             expect(result).toBe(false);
         });
 
-        test('should return false when timeline not found in index', async () => {
-            mockIndexerModel.get_indexed_record.mockResolvedValue({
-                status: 200,
-                data: null
-            });
-
-            const result = await TIMELINES_MODEL.suppress_timeline_item_record(
-                TEST_EXHIBIT_UUID,
-                TEST_TIMELINE_UUID,
-                TEST_TIMELINE_ITEM_UUID
-            );
-
-            expect(result).toBe(false);
-        });
-
-        test('should return false when delete from index fails', async () => {
-            mockIndexerModel.get_indexed_record.mockResolvedValue({
-                status: 200,
-                data: { source: { items: [] } }
-            });
-            mockIndexerModel.delete_record.mockResolvedValue({ status: 500 });
+        test('should return false when the timeline re-index cannot be queued', async () => {
+            mockScheduleSuppress.mockRejectedValueOnce(new Error('ER_LOCK_WAIT_TIMEOUT'));
 
             const result = await TIMELINES_MODEL.suppress_timeline_item_record(
                 TEST_EXHIBIT_UUID,
@@ -1006,6 +1099,59 @@ describe('Timelines Model Integration Tests', () => {
         });
     });
 
+    // ==================== ORDER TIMELINE ITEMS BY DATE ====================
+
+    describe('order_timeline_items_by_date', () => {
+
+        const ordered = { changed: 2, items: [{ uuid: TEST_TIMELINE_ITEM_UUID, order: 1 }] };
+
+        beforeEach(() => {
+            mockTimelineRecordTask.get_timeline_record.mockResolvedValue({ uuid: TEST_TIMELINE_UUID, is_published: 1 });
+            mockTimelineRecordTask.order_timeline_items_by_date.mockResolvedValue(ordered);
+        });
+
+        test('should order the items and queue a re-index of a published timeline', async () => {
+            const result = await TIMELINES_MODEL.order_timeline_items_by_date(TEST_EXHIBIT_UUID, TEST_TIMELINE_UUID);
+
+            expect(result.status).toBe(200);
+            expect(result.data).toEqual(ordered);
+            expect(mockScheduleReindex).toHaveBeenCalledWith(`timeline:${TEST_TIMELINE_UUID}`, 'reindex_timeline', {
+                exhibit_uuid: TEST_EXHIBIT_UUID,
+                uuid: TEST_TIMELINE_UUID
+            });
+        });
+
+        test('should not re-index an unpublished timeline or one already in order', async () => {
+            mockTimelineRecordTask.get_timeline_record.mockResolvedValue({ uuid: TEST_TIMELINE_UUID, is_published: 0 });
+            await TIMELINES_MODEL.order_timeline_items_by_date(TEST_EXHIBIT_UUID, TEST_TIMELINE_UUID);
+
+            mockTimelineRecordTask.get_timeline_record.mockResolvedValue({ uuid: TEST_TIMELINE_UUID, is_published: 1 });
+            mockTimelineRecordTask.order_timeline_items_by_date.mockResolvedValue({ changed: 0, items: [] });
+            await TIMELINES_MODEL.order_timeline_items_by_date(TEST_EXHIBIT_UUID, TEST_TIMELINE_UUID);
+
+            expect(mockScheduleReindex).not.toHaveBeenCalled();
+        });
+
+        test('should return 400 for an invalid UUID and 404 for a missing timeline', async () => {
+            const invalid = await TIMELINES_MODEL.order_timeline_items_by_date(TEST_EXHIBIT_UUID, 'bad');
+
+            mockTimelineRecordTask.get_timeline_record.mockResolvedValue(null);
+            const missing = await TIMELINES_MODEL.order_timeline_items_by_date(TEST_EXHIBIT_UUID, TEST_TIMELINE_UUID);
+
+            expect(invalid.status).toBe(400);
+            expect(missing.status).toBe(404);
+            expect(mockTimelineRecordTask.order_timeline_items_by_date).not.toHaveBeenCalled();
+        });
+
+        test('should return 500 when the task fails', async () => {
+            mockTimelineRecordTask.order_timeline_items_by_date.mockRejectedValue(new Error('Database error'));
+
+            const result = await TIMELINES_MODEL.order_timeline_items_by_date(TEST_EXHIBIT_UUID, TEST_TIMELINE_UUID);
+
+            expect(result.status).toBe(500);
+        });
+    });
+
     // ==================== UNLOCK TIMELINE ITEM RECORD ====================
 
     describe('unlock_timeline_item_record', () => {
@@ -59,7 +59,7 @@ describe('upload thumbnail pipeline flattens transparency to white', () => {
         const thumb_path = await UPLOADS.generate_image_thumbnail(png, PNG_UUID);
 
         expect(thumb_path).toBeTruthy();
-        const [r, g, b] = await corner_pixel(thumb_path);
+        const [r, g, b] = await corner_pixel(PATH.join(TMP_STORAGE, thumb_path));
         expect(r).toBeGreaterThan(240);
         expect(g).toBeGreaterThan(240);
         expect(b).toBeGreaterThan(240);
@@ -0,0 +1,134 @@
+/**
+ * Unit tests for Audit_tasks
+ *
+ * Copyright 2026 University of Denver
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+const Audit_tasks = require('../../audit/tasks/audit_tasks');
+
+// Mock dependencies - MUST be identical across all test files to avoid conflicts
+jest.mock('../../libs/log4', () => ({
+    module: () => ({
+        error: jest.fn(),
+        warn: jest.fn(),
+        info: jest.fn(),
+        debug: jest.fn()
+    })
+}));
+
+jest.mock('../../libs/helper');
+
+describe('Audit_tasks', () => {
+    let mockDB;
+    let mockTABLE;
+    let queries;
+    let auditTasks;
+    const recordUUID = '550e8400-e29b-41d4-a716-446655440000';
+
+    const createMockQuery = () => {
+        const query = {
+            select: jest.fn().mockReturnThis(),
+            where: jest.fn().mockReturnThis(),
+            orWhere: jest.fn().mockReturnThis(),
+            count: jest.fn().mockReturnThis(),
+            first: jest.fn().mockReturnThis(),
+            orderBy: jest.fn().mockReturnThis(),
+            limit: jest.fn().mockReturnThis(),
+            offset: jest.fn().mockReturnThis(),
+            insert: jest.fn().mockReturnThis(),
+            timeout: jest.fn().mockResolvedValue([])
+        };
+        // Run nested where callbacks against the same builder
+        query.where.mockImplementation((arg) => {
+            if (typeof arg === 'function') {
+                arg(query);
+            }
+            return query;
+        });
+        return query;
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        queries = [];
+        mockDB = jest.fn(() => {
+            const query = createMockQuery();
+            queries.push(query);
+            return query;
+        });
+
+        mockTABLE = {
+            audit_records: 'tbl_audit_log'
+        };
+
+        auditTasks = new Audit_tasks(mockDB, mockTABLE);
+    });
+
+    describe('insert_entry', () => {
+        test('appends one row with nulls for missing fields', async () => {
+            const result = await auditTasks.insert_entry({
+                actor: 'curator',
+                action: 'delete',
+                record_type: 'exhibit',
+                record_uuid: recordUUID
+            });
+
+            expect(result).toBe(true);
+            expect(mockDB).toHaveBeenCalledWith('tbl_audit_log');
+            expect(queries[0].insert).toHaveBeenCalledWith({
+                actor: 'curator',
+                action: 'delete',
+                record_type: 'exhibit',
+                record_uuid: recordUUID,
+                exhibit_uuid: null,
+                summary: null,
+                ip: null
+            });
+        });
+
+        test('throws when the table is not configured', async () => {
+            auditTasks = new Audit_tasks(mockDB, {});
+
+            await expect(auditTasks.insert_entry({actor: 'a', action: 'b', record_type: 'c'})).rejects.toThrow();
+            expect(mockDB).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('get_entries', () => {
+        test('counts and pages with the same filters, newest first', async () => {
+            mockDB.mockImplementationOnce(() => {
+                const query = createMockQuery();
+                query.timeout.mockResolvedValueOnce({total: 3});
+                queries.push(query);
+                return query;
+            });
+
+            const result = await auditTasks.get_entries({actor: 'curator', action: 'update', from: '2026-10-01', to: '2026-10-20'}, 50, 100);
+
+            expect(queries).toHaveLength(2);
+
+            for (const query of queries) {
+                expect(query.where).toHaveBeenCalledWith('actor', 'curator');
+                expect(query.where).toHaveBeenCalledWith('action', 'update');
+                expect(query.where).toHaveBeenCalledWith('created', '>=', '2026-10-01');
+                expect(query.where).toHaveBeenCalledWith('created', '<', '2026-10-20');
+            }
+
+            expect(queries[1].orderBy).toHaveBeenCalledWith([{column: 'created', order: 'desc'}, {column: 'id', order: 'desc'}]);
+            expect(queries[1].limit).toHaveBeenCalledWith(50);
+            expect(queries[1].offset).toHaveBeenCalledWith(100);
+            expect(result).toEqual({rows: [], total: 3});
+        });
+
+        test('a record UUID also matches entries on its exhibit', async () => {
+            await auditTasks.get_entries({record_uuid: recordUUID}, 10, 0);
+
+            expect(queries[0].where).toHaveBeenCalledWith('record_uuid', recordUUID);
+            expect(queries[0].orWhere).toHaveBeenCalledWith('exhibit_uuid', recordUUID);
+        });
+    });
+});
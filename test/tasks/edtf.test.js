@@ -0,0 +1,78 @@
+/**
+ * Unit tests for libs/edtf
+ *
+ * Copyright 2026 University of Denver
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+const EDTF = require('../../libs/edtf');
+
+describe('EDTF.parse', () => {
+
+    test.each([
+        ['1920', '1920', '1920-01-01', '1920-12-31'],
+        ['1920-02', '1920-02', '1920-02-01', '1920-02-29'],
+        ['1921-02', '1921-02', '1921-02-01', '1921-02-28'],
+        ['1920-05-03', '1920-05-03', '1920-05-03', '1920-05-03'],
+        ['1920~', '1920~', '1920-01-01', '1920-12-31'],
+        ['1920-05?', '1920-05?', '1920-05-01', '1920-05-31'],
+        ['1920-05-03%', '1920-05-03%', '1920-05-03', '1920-05-03'],
+        ['192X', '192X', '1920-01-01', '1929-12-31'],
+        ['19XX', '19XX', '1900-01-01', '1999-12-31'],
+        ['1985-XX', '1985-XX', '1985-01-01', '1985-12-31'],
+        ['1985-04-XX', '1985-04-XX', '1985-04-01', '1985-04-30'],
+        ['1920-21', '1920-21', '1920-03-01', '1920-05-31'],
+        ['1920-24', '1920-24', '1920-12-01', '1921-02-28'],
+        ['0850', '0850', '0850-01-01', '0850-12-31']
+    ])('%s covers its whole span', (value, date, start, end) => {
+        expect(EDTF.parse(value)).toEqual({date, start, end});
+    });
+
+    test('intervals run from the start of the first date to the end of the second', () => {
+        expect(EDTF.parse('1861/1865')).toEqual({date: '1861/1865', start: '1861-01-01', end: '1865-12-31'});
+        expect(EDTF.parse('1920-05~/1921')).toEqual({date: '1920-05~/1921', start: '1920-05-01', end: '1921-12-31'});
+    });
+
+    test('open and unknown interval ends are left unbounded', () => {
+        expect(EDTF.parse('../1865')).toEqual({date: '../1865', start: null, end: '1865-12-31'});
+        expect(EDTF.parse('1861/..')).toEqual({date: '1861/..', start: '1861-01-01', end: null});
+        expect(EDTF.parse('/1865')).toEqual({date: '/1865', start: null, end: '1865-12-31'});
+    });
+
+    test('common informal spellings are normalized', () => {
+        expect(EDTF.parse('circa 1920').date).toBe('1920~');
+        expect(EDTF.parse('ca. 1920?').date).toBe('1920%');
+        expect(EDTF.parse('1920s').date).toBe('192X');
+        expect(EDTF.parse('1861-1865').date).toBe('1861/1865');
+        expect(EDTF.parse('1861 – 1865').date).toBe('1861/1865');
+        expect(EDTF.parse(' 199x ').date).toBe('199X');
+    });
+
+    test('an ISO date-time keeps only its date', () => {
+        expect(EDTF.parse('2024-01-15T00:00:00.000Z')).toEqual({date: '2024-01-15', start: '2024-01-15', end: '2024-01-15'});
+    });
+
+    test.each([
+        ['empty', ''],
+        ['not a date', 'sometime'],
+        ['month 13', '1985-13'],
+        ['not a leap year', '1900-02-29'],
+        ['day 31 in a 30-day month', '1985-04-31'],
+        ['a season with a day', '1920-21-05'],
+        ['a month after unspecified year digits', '19XX-05'],
+        ['a day after an unspecified month', '1985-XX-12'],
+        ['a reversed interval', '1865/1861'],
+        ['an interval with no ends', '/'],
+        ['three parts', '1861/1863/1865'],
+        ['a five digit year', '19200']
+    ])('rejects %s', (label, value) => {
+        expect(EDTF.parse(value)).toBeNull();
+    });
+
+    test('rejects non-strings', () => {
+        expect(EDTF.parse(null)).toBeNull();
+        expect(EDTF.parse(1920)).toBeNull();
+    });
+});
@@ -0,0 +1,134 @@
+/**
+ * Unit tests for Accessibility_tasks
+ *
+ * Copyright 2026 University of Denver
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+const Accessibility_tasks = require('../../exhibits/tasks/exhibit_accessibility_tasks');
+
+// Mock dependencies - MUST be identical across all test files to avoid conflicts
+jest.mock('../../libs/log4', () => ({
+    module: () => ({
+        error: jest.fn(),
+        warn: jest.fn(),
+        info: jest.fn(),
+        debug: jest.fn()
+    })
+}));
+
+jest.mock('../../libs/helper');
+
+describe('Accessibility_tasks', () => {
+    let mockDB;
+    let mockTABLE;
+    let queries;
+    let results;
+    let accessibilityTasks;
+    const exhibitUUID = '550e8400-e29b-41d4-a716-446655440000';
+
+    const createMockQuery = (table) => {
+        const query = {
+            table,
+            select: jest.fn().mockReturnThis(),
+            leftJoin: jest.fn().mockReturnThis(),
+            where: jest.fn().mockReturnThis(),
+            orderBy: jest.fn().mockReturnThis(),
+            first: jest.fn().mockReturnThis(),
+            timeout: jest.fn(() => Promise.resolve(results[table]))
+        };
+        return query;
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        queries = [];
+        results = {
+            tbl_exhibits: { uuid: exhibitUUID, title: 'Exhibit', styles: '{}' },
+            tbl_heading_items: [{ uuid: 'h1', text: 'Intro', is_visible: 1, is_anchor: 1 }],
+            tbl_standard_items: [{ uuid: 'i1' }],
+            tbl_grid_items: [{ uuid: 'g1' }],
+            tbl_timeline_items: []
+        };
+        mockDB = jest.fn((table) => {
+            const query = createMockQuery(table);
+            queries.push(query);
+            return query;
+        });
+
+        mockTABLE = {
+            exhibit_records: 'tbl_exhibits',
+            heading_records: 'tbl_heading_items',
+            item_records: 'tbl_standard_items',
+            grid_item_records: 'tbl_grid_items',
+            timeline_item_records: 'tbl_timeline_items',
+            media_library_records: 'tbl_media_library'
+        };
+
+        accessibilityTasks = new Accessibility_tasks(mockDB, mockTABLE);
+    });
+
+    describe('get_exhibit_content', () => {
+        test('returns the exhibit, its headings and each kind of item', async () => {
+            const result = await accessibilityTasks.get_exhibit_content(exhibitUUID);
+
+            expect(result).toEqual({
+                exhibit: results.tbl_exhibits,
+                headings: results.tbl_heading_items,
+                items: {
+                    item: [{ uuid: 'i1' }],
+                    grid_item: [{ uuid: 'g1' }],
+                    timeline_item: []
+                }
+            });
+            expect(queries.map((query) => query.table)).toEqual([
+                'tbl_exhibits', 'tbl_heading_items', 'tbl_standard_items', 'tbl_grid_items', 'tbl_timeline_items'
+            ]);
+        });
+
+        test('joins media and thumbnail records without filtering out deleted media', async () => {
+            await accessibilityTasks.get_exhibit_content(exhibitUUID);
+
+            const items_query = queries[2];
+
+            expect(items_query.leftJoin).toHaveBeenCalledWith(
+                'tbl_media_library as media_lib', 'tbl_standard_items.media_uuid', '=', 'media_lib.uuid'
+            );
+            expect(items_query.leftJoin).toHaveBeenCalledWith(
+                'tbl_media_library as thumb_lib', 'tbl_standard_items.thumbnail_media_uuid', '=', 'thumb_lib.uuid'
+            );
+            expect(items_query.select).toHaveBeenCalledWith(
+                expect.stringContaining('tbl_standard_items.*'),
+                expect.anything(),
+                'media_lib.is_deleted as media_lib_is_deleted',
+                expect.anything(),
+                expect.anything(),
+                expect.anything(),
+                expect.anything(),
+                expect.anything(),
+                'thumb_lib.is_deleted as thumb_lib_is_deleted'
+            );
+            expect(items_query.where).toHaveBeenCalledWith({
+                'tbl_standard_items.is_member_of_exhibit': exhibitUUID,
+                'tbl_standard_items.is_deleted': 0
+            });
+        });
+
+        test('returns null without further queries when the exhibit does not exist', async () => {
+            results.tbl_exhibits = undefined;
+
+            const result = await accessibilityTasks.get_exhibit_content(exhibitUUID);
+
+            expect(result).toBeNull();
+            expect(queries).toHaveLength(1);
+        });
+
+        test('rejects an invalid UUID', async () => {
+            await expect(accessibilityTasks.get_exhibit_content('not-a-uuid')).rejects.toThrow();
+            expect(mockDB).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,184 @@
+/**
+ * Unit tests for Bulk_record_tasks
+ *
+ * Copyright 2026 University of Denver
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+const Bulk_record_tasks = require('../../exhibits/tasks/exhibit_bulk_record_tasks');
+
+// Mock dependencies - MUST be identical across all test files to avoid conflicts
+jest.mock('../../libs/log4', () => ({
+    module: () => ({
+        error: jest.fn(),
+        warn: jest.fn(),
+        info: jest.fn(),
+        debug: jest.fn()
+    })
+}));
+
+jest.mock('../../libs/helper');
+
+describe('Bulk_record_tasks', () => {
+    let mockDB;
+    let mockTrx;
+    let mockTABLE;
+    let rows;
+    let updates;
+    let bulkTasks;
+    const exhibitUUID = '550e8400-e29b-41d4-a716-446655440000';
+    const itemUUID = '660e8400-e29b-41d4-a716-446655440001';
+    const gridUUID = '770e8400-e29b-41d4-a716-446655440002';
+    const gridItemUUID = '880e8400-e29b-41d4-a716-446655440003';
+
+    // Row lookups resolve from `rows` by table and uuid; updates are recorded
+    const createMockQuery = (table) => {
+        const state = {};
+        const query = {
+            select: jest.fn().mockReturnThis(),
+            where: jest.fn((where) => {
+                state.where = where;
+                return query;
+            }),
+            forUpdate: jest.fn().mockReturnThis(),
+            first: jest.fn().mockReturnThis(),
+            update: jest.fn((data) => {
+                state.update = data;
+                return query;
+            }),
+            timeout: jest.fn(() => {
+                if (state.update) {
+                    updates.push({table, where: state.where, data: state.update});
+                    return Promise.resolve(1);
+                }
+                return Promise.resolve(rows[table]?.[state.where.uuid]);
+            })
+        };
+        return query;
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        updates = [];
+        rows = {
+            tbl_exhibits: {[exhibitUUID]: {is_published: 1}},
+            tbl_standard_items: {[itemUUID]: {uuid: itemUUID, is_published: 0}},
+            tbl_grids: {[gridUUID]: {uuid: gridUUID, is_published: 0}},
+            tbl_grid_items: {[gridItemUUID]: {uuid: gridItemUUID, is_published: 0, is_member_of_grid: gridUUID}}
+        };
+
+        mockTrx = jest.fn((table) => createMockQuery(table));
+        mockTrx.fn = {now: jest.fn(() => 'NOW()')};
+        mockDB = jest.fn();
+        mockDB.transaction = jest.fn(async (callback) => callback(mockTrx));
+
+        mockTABLE = {
+            exhibit_records: 'tbl_exhibits',
+            item_records: 'tbl_standard_items',
+            heading_records: 'tbl_heading_items',
+            grid_records: 'tbl_grids',
+            grid_item_records: 'tbl_grid_items',
+            timeline_records: 'tbl_timelines',
+            timeline_item_records: 'tbl_timeline_items'
+        };
+
+        bulkTasks = new Bulk_record_tasks(mockDB, mockTABLE);
+    });
+
+    describe('apply_action', () => {
+
+        test('publishes a grid before its items and cascades to the grid\'s children', async () => {
+            // The grid is published by the batch, so the read of its state must
+            // see the update made earlier in the same transaction
+            mockTrx.mockImplementation((table) => {
+                const query = createMockQuery(table);
+                const timeout = query.timeout;
+                query.timeout = jest.fn(async () => {
+                    const value = await timeout();
+                    if (table === 'tbl_grids' && updates.some((update) => update.table === 'tbl_grids')) {
+                        return {is_published: 1};
+                    }
+                    return value;
+                });
+                return query;
+            });
+
+            const result = await bulkTasks.apply_action(exhibitUUID, 'publish', [
+                {type: 'grid_item', uuid: gridItemUUID},
+                {type: 'grid', uuid: gridUUID}
+            ]);
+
+            expect(mockDB.transaction).toHaveBeenCalledTimes(1);
+            expect(result.is_exhibit_published).toBe(true);
+            expect(result.results.map((entry) => [entry.type, entry.status])).toEqual([
+                ['grid', 'updated'],
+                ['grid_item', 'updated']
+            ]);
+            expect(result.results[1]).toMatchObject({parent_uuid: gridUUID, is_parent_published: true});
+            expect(updates[1]).toEqual({
+                table: 'tbl_grid_items',
+                where: {is_member_of_grid: gridUUID, is_deleted: 0},
+                data: {is_published: 1}
+            });
+        });
+
+        test('rejects publishing while the exhibit is unpublished', async () => {
+            rows.tbl_exhibits[exhibitUUID].is_published = 0;
+
+            const result = await bulkTasks.apply_action(exhibitUUID, 'publish', [{type: 'item', uuid: itemUUID}]);
+
+            expect(result.results[0]).toMatchObject({status: 'rejected', message: 'Exhibit must be published first'});
+            expect(updates).toEqual([]);
+        });
+
+        test('rejects publishing a grid item whose grid is unpublished', async () => {
+            const result = await bulkTasks.apply_action(exhibitUUID, 'publish', [{type: 'grid_item', uuid: gridItemUUID}]);
+
+            expect(result.results[0]).toMatchObject({status: 'rejected', message: 'Grid must be published first', is_parent_published: false});
+        });
+
+        test('reports records already in the requested state as unchanged', async () => {
+            const result = await bulkTasks.apply_action(exhibitUUID, 'suppress', [{type: 'item', uuid: itemUUID}]);
+
+            expect(result.results[0].status).toBe('unchanged');
+            expect(updates).toEqual([]);
+        });
+
+        test('only deletes unpublished records, and scopes lookups to the exhibit', async () => {
+            rows.tbl_grids[gridUUID].is_published = 1;
+
+            const result = await bulkTasks.apply_action(exhibitUUID, 'delete', [
+                {type: 'item', uuid: itemUUID},
+                {type: 'grid', uuid: gridUUID},
+                {type: 'heading', uuid: gridItemUUID}
+            ]);
+
+            expect(result.results.map((entry) => entry.status)).toEqual(['updated', 'rejected', 'not_found']);
+            expect(updates).toEqual([{
+                table: 'tbl_standard_items',
+                where: {uuid: itemUUID, is_deleted: 0},
+                data: {is_deleted: 1, updated: 'NOW()'}
+            }]);
+            expect(mockTrx.mock.results[1].value.where).toHaveBeenCalledWith({uuid: itemUUID, is_member_of_exhibit: exhibitUUID, is_deleted: 0});
+        });
+
+        test('returns null when the exhibit does not exist', async () => {
+            rows.tbl_exhibits = {};
+
+            await expect(bulkTasks.apply_action(exhibitUUID, 'publish', [{type: 'item', uuid: itemUUID}])).resolves.toBeNull();
+        });
+
+        test('rethrows database errors so the transaction rolls back', async () => {
+            mockDB.transaction.mockRejectedValue(new Error('Deadlock found'));
+
+            await expect(bulkTasks.apply_action(exhibitUUID, 'suppress', [{type: 'item', uuid: itemUUID}])).rejects.toThrow('Deadlock found');
+        });
+
+        test('rejects an unknown action', async () => {
+            await expect(bulkTasks.apply_action(exhibitUUID, 'archive', [])).rejects.toThrow('Invalid bulk action');
+        });
+    });
+});
@@ -0,0 +1,285 @@
+/**
+ * Unit tests for Bundle_tasks
+ *
+ * Copyright 2026 University of Denver
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+const Bundle_tasks = require('../../exhibits/tasks/exhibit_bundle_tasks');
+
+// Mock dependencies - MUST be identical across all test files to avoid conflicts
+jest.mock('../../libs/log4', () => ({
+    module: () => ({
+        error: jest.fn(),
+        warn: jest.fn(),
+        info: jest.fn(),
+        debug: jest.fn()
+    })
+}));
+
+jest.mock('../../libs/helper');
+
+describe('Bundle_tasks', () => {
+    let mockDB;
+    let mockTABLE;
+    let mockQuery;
+    let mockTrx;
+    let bundleTasks;
+    const exhibitUUID = '550e8400-e29b-41d4-a716-446655440000';
+    const gridUUID = '660e8400-e29b-41d4-a716-446655440000';
+    const gridItemUUID = '770e8400-e29b-41d4-a716-446655440000';
+    const mediaUUID = '880e8400-e29b-41d4-a716-446655440000';
+    const existingMediaUUID = '990e8400-e29b-41d4-a716-446655440000';
+
+    const createMockQuery = () => ({
+        select: jest.fn().mockReturnThis(),
+        where: jest.fn().mockReturnThis(),
+        whereIn: jest.fn().mockReturnThis(),
+        whereNotNull: jest.fn().mockReturnThis(),
+        andWhere: jest.fn().mockReturnThis(),
+        first: jest.fn().mockReturnThis(),
+        forUpdate: jest.fn().mockReturnThis(),
+        orderBy: jest.fn().mockReturnThis(),
+        insert: jest.fn().mockReturnThis(),
+        update: jest.fn().mockReturnThis(),
+        timeout: jest.fn().mockResolvedValue([])
+    });
+
+    const graph = () => ({
+        exhibit: {
+            uuid: exhibitUUID,
+            title: 'Exhibit',
+            hero_image_media_uuid: mediaUUID,
+            thumbnail_media_uuid: null,
+            is_published: 1,
+            is_locked: 1,
+            locked_by_user: 7,
+            owner: 3,
+            created: '2026-01-01T00:00:00.000Z'
+        },
+        headings: [],
+        items: [],
+        grids: [{uuid: gridUUID, is_member_of_exhibit: exhibitUUID, is_published: 1, owner: 3}],
+        grid_items: [{
+            uuid: gridItemUUID,
+            is_member_of_exhibit: exhibitUUID,
+            is_member_of_grid: gridUUID,
+            media_uuid: existingMediaUUID,
+            thumbnail_media_uuid: 'aa0e8400-e29b-41d4-a716-446655440000',
+            media: existingMediaUUID,
+            owner: 3
+        }],
+        timelines: [],
+        timeline_items: [],
+        exhibit_media: [{media_uuid: mediaUUID, media_role: 'hero_image'}]
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockQuery = createMockQuery();
+        mockDB = jest.fn(() => mockQuery);
+        mockTrx = jest.fn(() => mockQuery);
+        mockDB.transaction = jest.fn(async (callback) => callback(mockTrx));
+
+        mockTABLE = {
+            exhibit_records: 'tbl_exhibits',
+            heading_records: 'tbl_heading_items',
+            item_records: 'tbl_standard_items',
+            grid_records: 'tbl_grids',
+            grid_item_records: 'tbl_grid_items',
+            timeline_records: 'tbl_timelines',
+            timeline_item_records: 'tbl_timeline_items',
+            exhibit_media_records: 'tbl_exhibit_media',
+            media_library_records: 'tbl_media_library'
+        };
+
+        bundleTasks = new Bundle_tasks(mockDB, mockTABLE);
+    });
+
+    describe('collect_media_uuids', () => {
+        test('returns distinct media referenced by the exhibit, bindings and items', () => {
+            const uuids = bundleTasks.collect_media_uuids(graph());
+
+            expect(uuids).toEqual([mediaUUID, existingMediaUUID, 'aa0e8400-e29b-41d4-a716-446655440000']);
+        });
+    });
+
+    describe('get_exhibit_graph', () => {
+        test('returns null when the exhibit does not exist', async () => {
+            mockQuery.timeout.mockResolvedValueOnce(undefined);
+
+            await expect(bundleTasks.get_exhibit_graph(exhibitUUID)).resolves.toBeNull();
+        });
+
+        test('drops ids and leaves behind items of recycled grids', async () => {
+            mockQuery.timeout
+                .mockResolvedValueOnce({id: 1, uuid: exhibitUUID})                                   // exhibit
+                .mockResolvedValueOnce([])                                                          // headings
+                .mockResolvedValueOnce([])                                                          // items
+                .mockResolvedValueOnce([{id: 2, uuid: gridUUID}])                                   // grids
+                .mockResolvedValueOnce([
+                    {id: 3, uuid: gridItemUUID, is_member_of_grid: gridUUID},
+                    {id: 4, uuid: 'bb0e8400-e29b-41d4-a716-446655440000', is_member_of_grid: 'recycled-grid'}
+                ])                                                                                  // grid items
+                .mockResolvedValueOnce([])                                                          // timelines
+                .mockResolvedValueOnce([])                                                          // timeline items
+                .mockResolvedValueOnce([{media_uuid: mediaUUID, media_role: 'hero_image'}]);         // bindings
+
+            const result = await bundleTasks.get_exhibit_graph(exhibitUUID);
+
+            expect(result.exhibit).toEqual({uuid: exhibitUUID});
+            expect(result.grid_items).toEqual([{uuid: gridItemUUID, is_member_of_grid: gridUUID}]);
+            expect(result.exhibit_media).toHaveLength(1);
+        });
+
+        test('throws on an invalid UUID', async () => {
+            await expect(bundleTasks.get_exhibit_graph('invalid')).rejects.toThrow();
+        });
+    });
+
+    describe('find_media_by_identifier', () => {
+        test('matches on repo_uuid before kaltura_entry_id', async () => {
+            mockQuery.timeout.mockResolvedValueOnce({uuid: existingMediaUUID});
+
+            const match = await bundleTasks.find_media_by_identifier({repo_uuid: 'repo-1', kaltura_entry_id: '1_abc'});
+
+            expect(match).toEqual({uuid: existingMediaUUID, matched_by: 'repo_uuid'});
+            expect(mockQuery.where).toHaveBeenCalledWith({repo_uuid: 'repo-1', is_deleted: 0});
+        });
+
+        test('returns null without identifiers', async () => {
+            await expect(bundleTasks.find_media_by_identifier({repo_uuid: null})).resolves.toBeNull();
+            expect(mockDB).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('check_row_columns', () => {
+        test('accepts a row as exported, workflow and ownership columns included', () => {
+            const row = {...graph().exhibit, id: 4, workflow_state: 'published', publish_at: null, updated_by: 'Editor'};
+
+            expect(bundleTasks.check_row_columns('exhibit_records', row)).toBeNull();
+            expect(bundleTasks.check_row_columns('grid_item_records', {...graph().grid_items[0], title: 'Item'})).toBeNull();
+        });
+
+        test('reports columns the table does not have', () => {
+            const problem = bundleTasks.check_row_columns('grid_records', {...graph().grids[0], is_admin: 1, title: 'Grid'});
+
+            expect(problem).toBe(`grid_records record ${gridUUID} has unknown column(s): is_admin, title`);
+        });
+
+        test('reports missing required columns and parent links', () => {
+            const {is_member_of_grid, ...row} = graph().grid_items[0];
+
+            expect(bundleTasks.check_row_columns('grid_item_records', row))
+                .toBe(`grid_item_records record ${gridItemUUID} is missing column(s): is_member_of_grid, title`);
+            expect(bundleTasks.check_row_columns('exhibit_records', {uuid: exhibitUUID, title: null}))
+                .toMatch(/missing column\(s\): title$/);
+        });
+    });
+
+    describe('import_exhibit_graph', () => {
+        const plan = () => ([
+            {source_uuid: mediaUUID, uuid: 'cc0e8400-e29b-41d4-a716-446655440000', record: {name: 'hero.jpg', media_type: 'image'}},
+            {source_uuid: existingMediaUUID, uuid: existingMediaUUID, record: null}
+        ]);
+
+        test('inserts every record under fresh UUIDs with remapped links', async () => {
+            mockQuery.timeout.mockResolvedValueOnce([1])                                     // media insert
+                .mockResolvedValueOnce({exhibits: '["dd0e8400-e29b-41d4-a716-446655440000"]'}); // reused media
+
+            const result = await bundleTasks.import_exhibit_graph(graph(), plan(), {owner: 12, created_by: 'Curator'});
+
+            expect(result.uuid).toMatch(bundleTasks.UUID_REGEX);
+            expect(result.uuid).not.toBe(exhibitUUID);
+            expect(result.counts).toMatchObject({media_created: 1, media_reused: 1, exhibit: 1, grids: 1, grid_items: 1, exhibit_media: 1});
+
+            const inserts = mockQuery.insert.mock.calls.map((call) => call[0]);
+            const [media, exhibit, grid, grid_item, binding] = inserts;
+
+            expect(media).toMatchObject({uuid: 'cc0e8400-e29b-41d4-a716-446655440000', owner: 12, exhibits: JSON.stringify([result.uuid])});
+            expect(exhibit).toMatchObject({
+                uuid: result.uuid,
+                hero_image_media_uuid: 'cc0e8400-e29b-41d4-a716-446655440000',
+                is_published: 0,
+                is_locked: 0,
+                locked_by_user: 0,
+                owner: 12,
+                created_by: 'Curator'
+            });
+            expect(exhibit.created).toBeUndefined();
+            expect(grid.is_member_of_exhibit).toBe(result.uuid);
+            expect(grid.uuid).not.toBe(gridUUID);
+            expect(grid_item).toMatchObject({
+                is_member_of_exhibit: result.uuid,
+                is_member_of_grid: grid.uuid,
+                media_uuid: existingMediaUUID,
+                media: existingMediaUUID,
+                thumbnail_media_uuid: null
+            });
+            expect(binding).toMatchObject({exhibit_uuid: result.uuid, media_uuid: 'cc0e8400-e29b-41d4-a716-446655440000', media_role: 'hero_image'});
+
+            expect(mockQuery.update).toHaveBeenCalledWith({
+                exhibits: JSON.stringify(['dd0e8400-e29b-41d4-a716-446655440000', result.uuid])
+            });
+        });
+
+        test('inserts only table columns and resets every workflow column', async () => {
+            const bundled = graph();
+            bundled.exhibit = {...bundled.exhibit, is_admin: 1, workflow_state: 'published', publish_at: '2026-11-01 00:00:00'};
+            bundled.grids[0].text_alignment = 'left';
+            bundled.grid_items = [];
+
+            await bundleTasks.import_exhibit_graph(bundled, [], {owner: 12});
+
+            const [exhibit, grid] = mockQuery.insert.mock.calls.map((call) => call[0]);
+
+            expect(exhibit).not.toHaveProperty('is_admin');
+            expect(exhibit).toMatchObject({title: 'Exhibit', workflow_state: 'draft', publish_at: null, is_preview: 0, is_indexed: 0});
+            expect(grid).toEqual({
+                uuid: expect.any(String),
+                is_member_of_exhibit: exhibit.uuid,
+                text_alignment: 'left',
+                is_published: 0,
+                is_deleted: 0,
+                owner: 12,
+                created_by: null,
+                updated_by: null
+            });
+        });
+
+        test('skips children whose parent is not in the bundle', async () => {
+            const bundled = graph();
+            bundled.grids = [];
+
+            const result = await bundleTasks.import_exhibit_graph(bundled, [], {owner: 12});
+
+            expect(result.counts.grid_items).toBe(0);
+            expect(result.counts.exhibit_media).toBe(0);
+        });
+
+        test('copies only media library columns from a bundled media record', async () => {
+            mockQuery.timeout.mockResolvedValueOnce([1]);
+
+            await bundleTasks.import_exhibit_graph({exhibit: graph().exhibit}, [{
+                source_uuid: mediaUUID,
+                uuid: 'cc0e8400-e29b-41d4-a716-446655440000',
+                record: {id: 99, name: 'hero.jpg', media_type: 'image', owner: 1, created: '2020-01-01', is_admin: 1}
+            }], {owner: 12});
+
+            const media = mockQuery.insert.mock.calls[0][0];
+
+            expect(media).toMatchObject({name: 'hero.jpg', media_type: 'image', owner: 12});
+            expect(media).not.toHaveProperty('id');
+            expect(media).not.toHaveProperty('created');
+            expect(media).not.toHaveProperty('is_admin');
+        });
+
+        test('throws on an invalid owner', async () => {
+            await expect(bundleTasks.import_exhibit_graph(graph(), [], {owner: 0})).rejects.toThrow('Invalid owner');
+            expect(mockDB.transaction).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,141 @@
+/**
+ * Unit tests for Manifest_tasks
+ *
+ * Copyright 2026 University of Denver
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+const Manifest_tasks = require('../../exhibits/tasks/exhibit_manifest_tasks');
+
+// Mock dependencies - MUST be identical across all test files to avoid conflicts
+jest.mock('../../libs/log4', () => ({
+    module: () => ({
+        error: jest.fn(),
+        warn: jest.fn(),
+        info: jest.fn(),
+        debug: jest.fn()
+    })
+}));
+
+jest.mock('../../libs/helper');
+
+describe('Manifest_tasks', () => {
+    let mockDB;
+    let mockTABLE;
+    let queries;
+    let results;
+    let manifestTasks;
+    const exhibitUUID = '550e8400-e29b-41d4-a716-446655440000';
+
+    const createMockQuery = (table) => {
+        const query = {
+            table,
+            select: jest.fn().mockReturnThis(),
+            where: jest.fn().mockReturnThis(),
+            whereIn: jest.fn().mockReturnThis(),
+            orderBy: jest.fn().mockReturnThis(),
+            first: jest.fn().mockReturnThis(),
+            timeout: jest.fn(() => Promise.resolve(results[table]))
+        };
+        return query;
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        queries = [];
+        results = {
+            tbl_exhibits: { uuid: exhibitUUID, title: 'Exhibit', thumbnail_media_uuid: 'm-thumb', hero_image_media_uuid: null },
+            tbl_heading_items: [{ uuid: 'h1', text: 'Intro', order: 1 }],
+            tbl_standard_items: [{ uuid: 'i1', media_uuid: 'm1', order: 2 }, { uuid: 'i2', media_uuid: null, order: 3 }],
+            tbl_grids: [],
+            tbl_grid_items: [{ uuid: 'g1', media_uuid: 'm1', order: 1 }],
+            tbl_timelines: [],
+            tbl_timeline_items: [],
+            tbl_media_library: [{ uuid: 'm1' }, { uuid: 'm-thumb' }]
+        };
+        mockDB = jest.fn((table) => {
+            const query = createMockQuery(table);
+            queries.push(query);
+            return query;
+        });
+
+        mockTABLE = {
+            exhibit_records: 'tbl_exhibits',
+            heading_records: 'tbl_heading_items',
+            item_records: 'tbl_standard_items',
+            grid_records: 'tbl_grids',
+            grid_item_records: 'tbl_grid_items',
+            timeline_records: 'tbl_timelines',
+            timeline_item_records: 'tbl_timeline_items',
+            media_library_records: 'tbl_media_library'
+        };
+
+        manifestTasks = new Manifest_tasks(mockDB, mockTABLE);
+    });
+
+    describe('get_published_exhibit', () => {
+        test('returns the exhibit, its published content and the media it references', async () => {
+            const result = await manifestTasks.get_published_exhibit(exhibitUUID);
+
+            expect(result).toEqual({
+                exhibit: results.tbl_exhibits,
+                headings: results.tbl_heading_items,
+                items: results.tbl_standard_items,
+                grids: [],
+                grid_items: results.tbl_grid_items,
+                timelines: [],
+                timeline_items: [],
+                media: results.tbl_media_library
+            });
+            expect(queries.map((query) => query.table)).toEqual([
+                'tbl_exhibits', 'tbl_heading_items', 'tbl_standard_items', 'tbl_grids',
+                'tbl_grid_items', 'tbl_timelines', 'tbl_timeline_items', 'tbl_media_library'
+            ]);
+        });
+
+        test('only reads published, undeleted rows in display order', async () => {
+            await manifestTasks.get_published_exhibit(exhibitUUID);
+
+            expect(queries[0].where).toHaveBeenCalledWith({ uuid: exhibitUUID, is_published: 1, is_deleted: 0 });
+            expect(queries[2].where).toHaveBeenCalledWith({ is_member_of_exhibit: exhibitUUID, is_published: 1, is_deleted: 0 });
+            expect(queries[2].orderBy).toHaveBeenCalledWith('order');
+        });
+
+        test('looks up each referenced media record once, skipping empty references', async () => {
+            await manifestTasks.get_published_exhibit(exhibitUUID);
+
+            const media_query = queries[7];
+
+            expect(media_query.whereIn).toHaveBeenCalledWith('uuid', ['m-thumb', 'm1']);
+            expect(media_query.where).toHaveBeenCalledWith({ is_deleted: 0 });
+        });
+
+        test('skips the media query when nothing references media', async () => {
+            results.tbl_exhibits.thumbnail_media_uuid = null;
+            results.tbl_standard_items = [];
+            results.tbl_grid_items = [];
+
+            const result = await manifestTasks.get_published_exhibit(exhibitUUID);
+
+            expect(result.media).toEqual([]);
+            expect(queries).toHaveLength(7);
+        });
+
+        test('returns null when the exhibit is missing or unpublished', async () => {
+            results.tbl_exhibits = undefined;
+
+            const result = await manifestTasks.get_published_exhibit(exhibitUUID);
+
+            expect(result).toBeNull();
+            expect(queries).toHaveLength(1);
+        });
+
+        test('rejects an invalid UUID', async () => {
+            await expect(manifestTasks.get_published_exhibit('not-a-uuid')).rejects.toThrow();
+            expect(mockDB).not.toHaveBeenCalled();
+        });
+    });
+});
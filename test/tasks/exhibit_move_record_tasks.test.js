@@ -0,0 +1,271 @@
+/**
+ * Unit tests for Move_record_tasks
+ *
+ * Copyright 2026 University of Denver
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+const Move_record_tasks = require('../../exhibits/tasks/exhibit_move_record_tasks');
+
+// Mock dependencies - MUST be identical across all test files to avoid conflicts
+jest.mock('../../libs/log4', () => ({
+    module: () => ({
+        error: jest.fn(),
+        warn: jest.fn(),
+        info: jest.fn(),
+        debug: jest.fn()
+    })
+}));
+
+jest.mock('../../libs/helper');
+
+describe('Move_record_tasks', () => {
+    let mockDB;
+    let mockTrx;
+    let mockTABLE;
+    let rows;
+    let orders;
+    let mediaUsers;
+    let writes;
+    let moveTasks;
+    const exhibitUUID = '550e8400-e29b-41d4-a716-446655440000';
+    const otherExhibitUUID = '550e8400-e29b-41d4-a716-446655440009';
+    const itemUUID = '660e8400-e29b-41d4-a716-446655440001';
+    const gridUUID = '770e8400-e29b-41d4-a716-446655440002';
+    const otherGridUUID = '770e8400-e29b-41d4-a716-446655440008';
+    const timelineUUID = '990e8400-e29b-41d4-a716-446655440004';
+    const mediaUUID = 'aa0e8400-e29b-41d4-a716-446655440005';
+
+    // Lookups resolve from `rows` by table and uuid (or by exhibit for the
+    // media usage check); max() resolves from `orders`; writes are recorded
+    const createMockQuery = (table) => {
+        const state = {};
+        const query = {
+            select: jest.fn().mockReturnThis(),
+            where: jest.fn((where) => {
+                state.where = where;
+                return query;
+            }),
+            whereIn: jest.fn((column, values) => {
+                state.where_in = values;
+                return query;
+            }),
+            andWhere: jest.fn((where) => {
+                if (typeof where === 'function') {
+                    state.media_lookup = true;
+                }
+                return query;
+            }),
+            max: jest.fn(() => {
+                state.max = true;
+                return query;
+            }),
+            forUpdate: jest.fn().mockReturnThis(),
+            first: jest.fn().mockReturnThis(),
+            update: jest.fn((data) => {
+                state.write = {op: 'update', data};
+                return query;
+            }),
+            insert: jest.fn((data) => {
+                state.write = {op: 'insert', data};
+                return query;
+            }),
+            del: jest.fn(() => {
+                state.write = {op: 'delete'};
+                return query;
+            }),
+            timeout: jest.fn(() => {
+                if (state.write) {
+                    writes.push({table, where: state.where, ...state.write});
+                    return Promise.resolve(1);
+                }
+                if (state.where_in) {
+                    return Promise.resolve(state.where_in.map((uuid) => rows[table]?.[uuid]).filter(Boolean));
+                }
+                if (state.max) {
+                    return Promise.resolve({order: orders[table] ?? null});
+                }
+                if (state.media_lookup) {
+                    return Promise.resolve(mediaUsers[table]);
+                }
+                return Promise.resolve(rows[table]?.[state.where.uuid]);
+            })
+        };
+        return query;
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        writes = [];
+        mediaUsers = {};
+        orders = {tbl_standard_items: 3, tbl_heading_items: 5, tbl_grids: 2, tbl_timelines: null, tbl_grid_items: 4};
+        rows = {
+            tbl_exhibits: {
+                [exhibitUUID]: {uuid: exhibitUUID, is_published: 1, hero_image_media_uuid: null, thumbnail_media_uuid: null},
+                [otherExhibitUUID]: {uuid: otherExhibitUUID, is_published: 1, hero_image_media_uuid: null, thumbnail_media_uuid: null}
+            },
+            tbl_standard_items: {
+                [itemUUID]: {
+                    id: 7, uuid: itemUUID, is_member_of_exhibit: exhibitUUID, title: 'Letter', item_type: 'image',
+                    layout: 'media_left', media_uuid: mediaUUID, thumbnail_media_uuid: null, text_alignment: 'left',
+                    margins: 'wide', publish_at: null, order: 2, is_published: 1, is_locked: 0
+                }
+            },
+            tbl_grids: {
+                [gridUUID]: {is_published: 1},
+                [otherGridUUID]: {is_published: 0}
+            },
+            tbl_timelines: {[timelineUUID]: {is_published: 1}},
+            tbl_grid_items: {}
+        };
+
+        mockTrx = jest.fn((table) => createMockQuery(table));
+        mockTrx.fn = {now: jest.fn(() => 'NOW()')};
+        mockDB = jest.fn();
+        mockDB.transaction = jest.fn(async (callback) => callback(mockTrx));
+
+        mockTABLE = {
+            exhibit_records: 'tbl_exhibits',
+            item_records: 'tbl_standard_items',
+            heading_records: 'tbl_heading_items',
+            grid_records: 'tbl_grids',
+            grid_item_records: 'tbl_grid_items',
+            timeline_records: 'tbl_timelines',
+            timeline_item_records: 'tbl_timeline_items'
+        };
+
+        moveTasks = new Move_record_tasks(mockDB, mockTABLE);
+    });
+
+    describe('move_record', () => {
+
+        test('converts a standard item into a grid item in another exhibit', async () => {
+            const result = await moveTasks.move_record(exhibitUUID, 'item', itemUUID, {
+                exhibit_uuid: otherExhibitUUID,
+                type: 'grid_item',
+                container_uuid: gridUUID
+            });
+
+            expect(mockDB.transaction).toHaveBeenCalledTimes(1);
+            expect(result).toMatchObject({
+                status: 'moved',
+                from: {exhibit_uuid: exhibitUUID, type: 'item', container_uuid: null, is_published: true},
+                to: {exhibit_uuid: otherExhibitUUID, type: 'grid_item', container_uuid: gridUUID, is_published: true, is_container_published: true},
+                media: [{media_uuid: mediaUUID, media_role: 'item_media', is_used_by_source: false}]
+            });
+
+            const [insert, remove] = writes;
+            expect(insert.table).toBe('tbl_grid_items');
+            expect(insert.data).toMatchObject({
+                uuid: itemUUID,
+                title: 'Letter',
+                media_uuid: mediaUUID,
+                layout: 'media_top',
+                is_member_of_exhibit: otherExhibitUUID,
+                is_member_of_grid: gridUUID,
+                order: 5,
+                is_published: 1,
+                is_locked: 0
+            });
+            // Standard-item-only columns and the row id are not carried over
+            expect(insert.data).not.toHaveProperty('id');
+            expect(insert.data).not.toHaveProperty('text_alignment');
+            expect(insert.data).not.toHaveProperty('publish_at');
+            expect(remove).toEqual({table: 'tbl_standard_items', where: {uuid: itemUUID}, op: 'delete'});
+        });
+
+        test('moves a grid item to another grid in place and suppresses it under an unpublished grid', async () => {
+            rows.tbl_grid_items[itemUUID] = {uuid: itemUUID, is_member_of_grid: gridUUID, is_published: 1, is_locked: 0, media_uuid: mediaUUID};
+
+            const result = await moveTasks.move_record(exhibitUUID, 'grid_item', itemUUID, {
+                exhibit_uuid: exhibitUUID,
+                type: 'grid_item',
+                container_uuid: otherGridUUID
+            });
+
+            expect(result.from).toMatchObject({container_uuid: gridUUID, is_container_published: true});
+            expect(result.to).toMatchObject({container_uuid: otherGridUUID, is_published: false});
+            expect(result.media).toEqual([]);
+            expect(writes).toEqual([{
+                table: 'tbl_grid_items',
+                where: {uuid: itemUUID},
+                op: 'update',
+                data: {is_member_of_exhibit: exhibitUUID, is_member_of_grid: otherGridUUID, order: 5, is_published: 0, updated: 'NOW()'}
+            }]);
+        });
+
+        test('places a converted standard item at the end of the exhibit with the timeline date given', async () => {
+            rows.tbl_exhibits[otherExhibitUUID].is_published = 0;
+            rows.tbl_timeline_items = {};
+
+            const result = await moveTasks.move_record(exhibitUUID, 'item', itemUUID, {
+                exhibit_uuid: otherExhibitUUID,
+                type: 'timeline_item',
+                container_uuid: timelineUUID,
+                date: '1901-04-02'
+            });
+
+            expect(result.to.is_published).toBe(false);
+            expect(writes[0].data).toMatchObject({is_member_of_timeline: timelineUUID, date: '1901-04-02', order: 1, is_published: 0});
+            expect(writes[0].data).toMatchObject({date_start: '1901-04-02', date_end: '1901-04-02'});
+        });
+
+        test('orders a record moved out of a grid after every top-level component', async () => {
+            rows.tbl_grid_items[itemUUID] = {uuid: itemUUID, is_member_of_grid: gridUUID, layout: 'media_top', is_published: 0, is_locked: 0};
+
+            await moveTasks.move_record(exhibitUUID, 'grid_item', itemUUID, {exhibit_uuid: exhibitUUID, type: 'item'});
+
+            expect(writes[0]).toMatchObject({table: 'tbl_standard_items', op: 'insert'});
+            expect(writes[0].data).toMatchObject({layout: 'media_top', order: 6});
+            expect(writes[0].data).not.toHaveProperty('is_member_of_grid');
+        });
+
+        test('reports media the source exhibit still uses', async () => {
+            rows.tbl_standard_items[itemUUID].thumbnail_media_uuid = mediaUUID;
+            mediaUsers.tbl_grid_items = {uuid: gridUUID};
+
+            const result = await moveTasks.move_record(exhibitUUID, 'item', itemUUID, {exhibit_uuid: otherExhibitUUID, type: 'item'});
+
+            expect(result.media).toEqual([{media_uuid: mediaUUID, media_role: 'item_media', is_used_by_source: true}]);
+        });
+
+        test('rejects locked records and moves to where the record already is', async () => {
+            rows.tbl_standard_items[itemUUID].is_locked = 1;
+            await expect(moveTasks.move_record(exhibitUUID, 'item', itemUUID, {exhibit_uuid: otherExhibitUUID, type: 'item'}))
+                .resolves.toEqual({status: 'rejected', message: 'Record is locked for editing'});
+
+            rows.tbl_standard_items[itemUUID].is_locked = 0;
+            await expect(moveTasks.move_record(exhibitUUID, 'item', itemUUID, {exhibit_uuid: exhibitUUID, type: 'item'}))
+                .resolves.toEqual({status: 'rejected', message: 'Record is already there'});
+
+            expect(writes).toEqual([]);
+        });
+
+        test('reports a missing exhibit, record or container', async () => {
+            delete rows.tbl_exhibits[otherExhibitUUID];
+            await expect(moveTasks.move_record(exhibitUUID, 'item', itemUUID, {exhibit_uuid: otherExhibitUUID, type: 'item'}))
+                .resolves.toMatchObject({status: 'not_found', message: 'Target exhibit not found'});
+
+            await expect(moveTasks.move_record(exhibitUUID, 'grid_item', itemUUID, {exhibit_uuid: exhibitUUID, type: 'item'}))
+                .resolves.toMatchObject({status: 'not_found', message: 'Record not found in this exhibit'});
+
+            await expect(moveTasks.move_record(exhibitUUID, 'item', itemUUID, {exhibit_uuid: exhibitUUID, type: 'timeline_item', container_uuid: gridUUID}))
+                .resolves.toMatchObject({status: 'not_found', message: 'Timeline not found in the target exhibit'});
+        });
+
+        test('rethrows database errors so the transaction rolls back', async () => {
+            mockDB.transaction.mockRejectedValue(new Error('Deadlock found'));
+
+            await expect(moveTasks.move_record(exhibitUUID, 'item', itemUUID, {exhibit_uuid: exhibitUUID, type: 'grid_item', container_uuid: gridUUID}))
+                .rejects.toThrow('Deadlock found');
+        });
+
+        test('rejects an unknown item type', async () => {
+            await expect(moveTasks.move_record(exhibitUUID, 'heading', itemUUID, {exhibit_uuid: exhibitUUID, type: 'item'}))
+                .rejects.toThrow('Invalid item type');
+        });
+    });
+});
@@ -621,6 +621,105 @@ describe('Exhibit_record_tasks', () => {
     });
 
     // ==================== ERROR HANDLING TESTS ====================
+    describe('transfer_exhibit_record', () => {
+        let trxQuery;
+        let trx;
+
+        beforeEach(() => {
+            trxQuery = {
+                select: jest.fn().mockReturnThis(),
+                where: jest.fn().mockReturnThis(),
+                whereIn: jest.fn().mockReturnThis(),
+                andWhere: jest.fn().mockReturnThis(),
+                first: jest.fn().mockReturnThis(),
+                update: jest.fn().mockReturnThis(),
+                timeout: jest.fn()
+            };
+            trx = jest.fn(() => trxQuery);
+            mockDB.transaction = jest.fn((callback) => callback(trx));
+
+            Object.assign(mockTABLE, {
+                user_records: 'tbl_users',
+                grid_records: 'tbl_grids',
+                grid_item_records: 'tbl_grid_items',
+                timeline_records: 'tbl_timelines',
+                timeline_item_records: 'tbl_timeline_items',
+                media_library_records: 'tbl_media_library',
+                exhibit_media_records: 'tbl_exhibit_media'
+            });
+        });
+
+        const exhibit = {
+            uuid: validUUID,
+            owner: 3,
+            is_deleted: 0,
+            hero_image_media_uuid: 'media-hero',
+            thumbnail_media_uuid: null
+        };
+
+        test('should transfer only the exhibit without cascade', async () => {
+            trxQuery.timeout
+                .mockResolvedValueOnce(exhibit)
+                .mockResolvedValueOnce({id: 7, is_active: 1})
+                .mockResolvedValueOnce(1);
+
+            const result = await exhibitTasks.transfer_exhibit_record(validUUID, 7, {updated_by: 'Curator A'});
+
+            expect(result).toEqual({previous_owner: 3, owner: 7, counts: {exhibit: 1}});
+            expect(trxQuery.update).toHaveBeenCalledTimes(1);
+            expect(trxQuery.update).toHaveBeenCalledWith({owner: 7, updated_by: 'Curator A'});
+        });
+
+        test('should cascade to components and media owned by the previous owner', async () => {
+            trxQuery.timeout
+                .mockResolvedValueOnce(exhibit)
+                .mockResolvedValueOnce({id: 7, is_active: 1})
+                .mockResolvedValueOnce(1)                                       // exhibit
+                .mockResolvedValueOnce(2)                                       // headings
+                .mockResolvedValueOnce(5)                                       // items
+                .mockResolvedValueOnce(1)                                       // grids
+                .mockResolvedValueOnce(3)                                       // grid items
+                .mockResolvedValueOnce(0)                                       // timelines
+                .mockResolvedValueOnce(0)                                       // timeline items
+                .mockResolvedValueOnce([{media_uuid: 'media-thumb'}])           // bindings
+                .mockResolvedValueOnce([{media_uuid: 'media-a', thumbnail_media_uuid: null}])
+                .mockResolvedValueOnce([{media_uuid: 'media-a', thumbnail_media_uuid: 'media-b'}])
+                .mockResolvedValueOnce([])
+                .mockResolvedValueOnce(3);                                      // media
+
+            const result = await exhibitTasks.transfer_exhibit_record(validUUID, 7, {cascade: true});
+
+            expect(result.counts).toEqual({
+                exhibit: 1, heading: 2, item: 5, grid: 1, grid_item: 3, timeline: 0, timeline_item: 0, media: 3
+            });
+            expect(trxQuery.whereIn).toHaveBeenCalledWith('uuid', ['media-hero', 'media-thumb', 'media-a', 'media-b']);
+            expect(trxQuery.andWhere).toHaveBeenCalledWith({owner: 3});
+        });
+
+        test('should reject an inactive or unknown new owner', async () => {
+            trxQuery.timeout
+                .mockResolvedValueOnce(exhibit)
+                .mockResolvedValueOnce({id: 7, is_active: 0});
+
+            await expect(exhibitTasks.transfer_exhibit_record(validUUID, 7))
+                .rejects.toThrow('New owner not found or inactive: 7');
+            expect(trxQuery.update).not.toHaveBeenCalled();
+        });
+
+        test('should reject a deleted exhibit', async () => {
+            trxQuery.timeout.mockResolvedValueOnce({...exhibit, is_deleted: 1});
+
+            await expect(exhibitTasks.transfer_exhibit_record(validUUID, 7))
+                .rejects.toThrow('Cannot modify deleted exhibit record');
+        });
+
+        test('should reject an invalid owner id before querying', async () => {
+            await expect(exhibitTasks.transfer_exhibit_record(validUUID, 'abc'))
+                .rejects.toThrow('Invalid owner: abc');
+            expect(mockDB.transaction).not.toHaveBeenCalled();
+        });
+    });
+
     describe('Error Handling', () => {
         test('_handle_error should log and rethrow error', () => {
             const testError = new Error('Test error');
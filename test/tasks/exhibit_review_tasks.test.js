@@ -0,0 +1,157 @@
+/**
+ * Unit tests for Review_tasks
+ *
+ * Copyright 2026 University of Denver
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+const Review_tasks = require('../../exhibits/tasks/exhibit_review_tasks');
+
+// Mock dependencies - MUST be identical across all test files to avoid conflicts
+jest.mock('../../libs/log4', () => ({
+    module: () => ({
+        error: jest.fn(),
+        warn: jest.fn(),
+        info: jest.fn(),
+        debug: jest.fn()
+    })
+}));
+
+jest.mock('../../libs/helper');
+
+describe('Review_tasks', () => {
+    let mockDB;
+    let mockTrx;
+    let mockTABLE;
+    let mockQuery;
+    let reviewTasks;
+    const exhibitUUID = '550e8400-e29b-41d4-a716-446655440000';
+
+    const createMockQuery = () => ({
+        select: jest.fn().mockReturnThis(),
+        where: jest.fn().mockReturnThis(),
+        whereIn: jest.fn().mockReturnThis(),
+        first: jest.fn().mockReturnThis(),
+        forUpdate: jest.fn().mockReturnThis(),
+        orderBy: jest.fn().mockReturnThis(),
+        update: jest.fn().mockReturnThis(),
+        insert: jest.fn().mockReturnThis(),
+        timeout: jest.fn().mockResolvedValue([])
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockQuery = createMockQuery();
+        mockTrx = jest.fn(() => mockQuery);
+        mockDB = jest.fn(() => mockQuery);
+        mockDB.transaction = jest.fn(async (callback) => callback(mockTrx));
+
+        mockTABLE = {
+            exhibit_records: 'tbl_exhibits',
+            review_records: 'tbl_exhibit_reviews'
+        };
+
+        reviewTasks = new Review_tasks(mockDB, mockTABLE);
+    });
+
+    describe('get_state', () => {
+        test('reads the review state of a live exhibit', async () => {
+            mockQuery.timeout.mockResolvedValueOnce({uuid: exhibitUUID, workflow_state: 'draft', is_student_curated: 1});
+
+            const record = await reviewTasks.get_state(exhibitUUID);
+
+            expect(mockDB).toHaveBeenCalledWith('tbl_exhibits');
+            expect(mockQuery.where).toHaveBeenCalledWith({uuid: exhibitUUID, is_deleted: 0});
+            expect(record.workflow_state).toBe('draft');
+        });
+
+        test('returns null when the exhibit does not exist', async () => {
+            mockQuery.timeout.mockResolvedValueOnce(undefined);
+
+            await expect(reviewTasks.get_state(exhibitUUID)).resolves.toBeNull();
+        });
+
+        test('throws on an invalid UUID', async () => {
+            await expect(reviewTasks.get_state('not-a-uuid')).rejects.toThrow('Invalid exhibit UUID format');
+            expect(mockDB).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('transition', () => {
+        const submit = {action: 'submit', from_states: ['draft', 'changes_requested'], to_state: 'in_review', created_by: 'Student A'};
+
+        test('locks the row, moves the state and logs the review in one transaction', async () => {
+            mockQuery.timeout
+                .mockResolvedValueOnce({workflow_state: 'changes_requested'}) // locked read
+                .mockResolvedValueOnce(1)                                      // update
+                .mockResolvedValueOnce([1]);                                   // review insert
+
+            const result = await reviewTasks.transition(exhibitUUID, submit);
+
+            expect(mockDB.transaction).toHaveBeenCalledTimes(1);
+            expect(mockQuery.forUpdate).toHaveBeenCalled();
+            expect(mockQuery.update).toHaveBeenCalledWith({workflow_state: 'in_review'});
+            expect(mockTrx).toHaveBeenCalledWith('tbl_exhibit_reviews');
+            expect(mockQuery.insert).toHaveBeenCalledWith(expect.objectContaining({
+                exhibit_uuid: exhibitUUID,
+                action: 'submit',
+                from_state: 'changes_requested',
+                to_state: 'in_review',
+                comment: null,
+                created_by: 'Student A'
+            }));
+            expect(result).toMatchObject({changed: true, from_state: 'changes_requested', to_state: 'in_review'});
+            expect(result.review_uuid).toMatch(/^[0-9a-f-]{36}$/);
+        });
+
+        test('writes nothing when the exhibit is not in an allowed state', async () => {
+            mockQuery.timeout.mockResolvedValueOnce({workflow_state: 'approved'});
+
+            const result = await reviewTasks.transition(exhibitUUID, submit);
+
+            expect(result).toEqual({changed: false, from_state: 'approved', to_state: 'approved', review_uuid: null});
+            expect(mockQuery.update).not.toHaveBeenCalled();
+            expect(mockQuery.insert).not.toHaveBeenCalled();
+        });
+
+        test('returns null when the exhibit does not exist', async () => {
+            mockQuery.timeout.mockResolvedValueOnce(undefined);
+
+            await expect(reviewTasks.transition(exhibitUUID, submit)).resolves.toBeNull();
+        });
+    });
+
+    describe('set_state', () => {
+        test('only moves an exhibit that is in one of the given states', async () => {
+            mockQuery.timeout.mockResolvedValueOnce(1);
+
+            const changed = await reviewTasks.set_state(exhibitUUID, 'approved', ['published']);
+
+            expect(changed).toBe(true);
+            expect(mockQuery.whereIn).toHaveBeenCalledWith('workflow_state', ['published']);
+            expect(mockQuery.update).toHaveBeenCalledWith({workflow_state: 'approved'});
+        });
+
+        test('returns false when nothing changed', async () => {
+            mockQuery.timeout.mockResolvedValueOnce(0);
+
+            await expect(reviewTasks.set_state(exhibitUUID, 'published', ['approved'])).resolves.toBe(false);
+        });
+    });
+
+    describe('get_reviews', () => {
+        test('lists the review log newest first', async () => {
+            mockQuery.timeout.mockResolvedValueOnce([{uuid: 'r2'}, {uuid: 'r1'}]);
+
+            const reviews = await reviewTasks.get_reviews(exhibitUUID);
+
+            expect(mockDB).toHaveBeenCalledWith('tbl_exhibit_reviews');
+            expect(mockQuery.where).toHaveBeenCalledWith({exhibit_uuid: exhibitUUID});
+            expect(mockQuery.orderBy).toHaveBeenCalledWith([{column: 'created', order: 'desc'}, {column: 'id', order: 'desc'}]);
+            expect(reviews).toHaveLength(2);
+        });
+    });
+});
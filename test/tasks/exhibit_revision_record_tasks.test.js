@@ -0,0 +1,298 @@
+/**
+ * Unit tests for Revision_record_tasks
+ *
+ * Copyright 2026 University of Denver
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+const Revision_record_tasks = require('../../exhibits/tasks/exhibit_revision_record_tasks');
+
+// Mock dependencies - MUST be identical across all test files to avoid conflicts
+jest.mock('../../libs/log4', () => ({
+    module: () => ({
+        error: jest.fn(),
+        warn: jest.fn(),
+        info: jest.fn(),
+        debug: jest.fn()
+    })
+}));
+
+jest.mock('../../libs/helper');
+
+describe('Revision_record_tasks', () => {
+    let mockDB;
+    let mockTABLE;
+    let mockQuery;
+    let revisionTasks;
+    const exhibitUUID = '550e8400-e29b-41d4-a716-446655440000';
+    const itemUUID = '660e8400-e29b-41d4-a716-446655440000';
+    const revisionUUID = '770e8400-e29b-41d4-a716-446655440000';
+
+    const createMockQuery = () => ({
+        select: jest.fn().mockReturnThis(),
+        where: jest.fn().mockReturnThis(),
+        first: jest.fn().mockReturnThis(),
+        insert: jest.fn().mockReturnThis(),
+        orderBy: jest.fn().mockReturnThis(),
+        count: jest.fn().mockReturnThis(),
+        max: jest.fn().mockReturnThis(),
+        forUpdate: jest.fn().mockReturnThis(),
+        timeout: jest.fn().mockResolvedValue(null)
+    });
+
+    const before = {
+        id: 1,
+        uuid: itemUUID,
+        is_member_of_exhibit: exhibitUUID,
+        title: 'Old title',
+        text: 'Body',
+        order: 3,
+        updated: new Date('2026-01-01T00:00:00Z'),
+        updated_by: 'Curator A'
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockQuery = createMockQuery();
+        mockDB = jest.fn(() => mockQuery);
+        mockDB.transaction = jest.fn(async (callback) => callback(mockDB));
+
+        mockTABLE = {
+            exhibit_records: 'tbl_exhibits',
+            item_records: 'tbl_standard_items',
+            revision_records: 'tbl_revisions'
+        };
+
+        revisionTasks = new Revision_record_tasks(mockDB, mockTABLE);
+    });
+
+    describe('build_changes', () => {
+        test('returns changed content fields with before/after values', () => {
+            const after = {...before, title: 'New title', updated: new Date('2026-02-01T00:00:00Z')};
+
+            expect(revisionTasks.build_changes(before, after)).toEqual({
+                title: {before: 'Old title', after: 'New title'}
+            });
+        });
+
+        test('ignores bookkeeping fields', () => {
+            const after = {...before, order: 9, is_published: 1, updated_by: 'Curator B'};
+
+            expect(revisionTasks.build_changes(before, after)).toEqual({});
+        });
+
+        test('treats a missing pre-save state as all fields added', () => {
+            expect(revisionTasks.build_changes(null, {uuid: itemUUID, title: 'T'})).toEqual({
+                title: {before: null, after: 'T'}
+            });
+        });
+    });
+
+    describe('get_record_state', () => {
+        test('returns null for an unknown record type', async () => {
+            await expect(revisionTasks.get_record_state('widget', itemUUID)).resolves.toBeNull();
+            expect(mockDB).not.toHaveBeenCalled();
+        });
+
+        test('returns null instead of throwing on a database error', async () => {
+            mockQuery.timeout.mockRejectedValueOnce(new Error('connection lost'));
+
+            await expect(revisionTasks.get_record_state('item', itemUUID)).resolves.toBeNull();
+        });
+    });
+
+    describe('record_revision', () => {
+        test('writes a baseline and an update revision for a record without history', async () => {
+            const after = {...before, title: 'New title'};
+
+            mockQuery.timeout
+                .mockResolvedValueOnce(after)           // re-read
+                .mockResolvedValueOnce(undefined)       // latest version (none)
+                .mockResolvedValueOnce([1])             // baseline insert
+                .mockResolvedValueOnce([2]);            // update insert
+
+            const uuid = await revisionTasks.record_revision('item', before, {created_by: 'Curator B'});
+
+            expect(uuid).toMatch(revisionTasks.UUID_REGEX);
+            expect(mockDB.transaction).toHaveBeenCalledTimes(1);
+            expect(mockQuery.forUpdate).toHaveBeenCalled();
+            expect(mockQuery.insert).toHaveBeenCalledTimes(2);
+
+            const baseline = mockQuery.insert.mock.calls[0][0];
+            expect(baseline).toMatchObject({action: 'baseline', version: 1, created_by: 'Curator A'});
+            expect(JSON.parse(baseline.snapshot).title).toBe('Old title');
+
+            const update = mockQuery.insert.mock.calls[1][0];
+            expect(update).toMatchObject({
+                action: 'update',
+                version: 2,
+                record_type: 'item',
+                record_uuid: itemUUID,
+                is_member_of_exhibit: exhibitUUID,
+                restored_from: null,
+                created_by: 'Curator B'
+            });
+            expect(JSON.parse(update.changes)).toEqual({title: {before: 'Old title', after: 'New title'}});
+        });
+
+        test('writes a single restore revision when the record already has history', async () => {
+            mockQuery.timeout
+                .mockResolvedValueOnce({...before, title: 'Restored'})
+                .mockResolvedValueOnce({version: 4})
+                .mockResolvedValueOnce([5]);
+
+            await revisionTasks.record_revision('item', before, {created_by: 'Curator B', restored_from: revisionUUID});
+
+            expect(mockQuery.insert).toHaveBeenCalledTimes(1);
+            expect(mockQuery.insert.mock.calls[0][0]).toMatchObject({
+                action: 'restore',
+                version: 5,
+                restored_from: revisionUUID
+            });
+        });
+
+        test('ignores a malformed restored_from value', async () => {
+            mockQuery.timeout
+                .mockResolvedValueOnce({...before, title: 'Edited'})
+                .mockResolvedValueOnce({version: 1})
+                .mockResolvedValueOnce([2]);
+
+            await revisionTasks.record_revision('item', before, {restored_from: 'not-a-uuid'});
+
+            expect(mockQuery.insert.mock.calls[0][0]).toMatchObject({action: 'update', restored_from: null});
+        });
+
+        test('retries at the next version when a concurrent save took this one', async () => {
+            const duplicate = Object.assign(new Error('Duplicate entry'), {code: 'ER_DUP_ENTRY'});
+
+            mockQuery.timeout
+                .mockResolvedValueOnce({...before, title: 'Edited'})
+                .mockResolvedValueOnce({version: 1})
+                .mockRejectedValueOnce(duplicate)       // version 2 taken
+                .mockResolvedValueOnce({version: 2})
+                .mockResolvedValueOnce([3]);
+
+            await expect(revisionTasks.record_revision('item', before)).resolves.toMatch(revisionTasks.UUID_REGEX);
+            expect(mockDB.transaction).toHaveBeenCalledTimes(2);
+            expect(mockQuery.insert.mock.calls.map((call) => call[0].version)).toEqual([2, 3]);
+        });
+
+        test('records nothing when no content field changed', async () => {
+            mockQuery.timeout.mockResolvedValueOnce({...before, order: 7});
+
+            await expect(revisionTasks.record_revision('item', before)).resolves.toBeNull();
+            expect(mockQuery.insert).not.toHaveBeenCalled();
+        });
+
+        test('records nothing without a pre-save state', async () => {
+            await expect(revisionTasks.record_revision('item', null)).resolves.toBeNull();
+            expect(mockDB).not.toHaveBeenCalled();
+        });
+
+        test('never throws when the revision insert fails', async () => {
+            mockQuery.timeout
+                .mockResolvedValueOnce({...before, title: 'Edited'})
+                .mockResolvedValueOnce({version: 1})
+                .mockRejectedValueOnce(new Error('insert failed'));
+
+            await expect(revisionTasks.record_revision('item', before)).resolves.toBeNull();
+        });
+
+        test('uses a captured post-save state instead of re-reading the record', async () => {
+            mockQuery.timeout
+                .mockResolvedValueOnce({version: 1})
+                .mockResolvedValueOnce([2]);
+
+            await revisionTasks.record_revision('item', before, {after: {...before, title: 'Captured'}});
+
+            expect(mockQuery.insert).toHaveBeenCalledTimes(1);
+            expect(JSON.parse(mockQuery.insert.mock.calls[0][0].changes)).toEqual({
+                title: {before: 'Old title', after: 'Captured'}
+            });
+        });
+    });
+
+    describe('capture_save', () => {
+        test('locks and reads the record, saves, then re-reads it in one transaction', async () => {
+            const after = {...before, title: 'New title'};
+            const save = jest.fn().mockResolvedValue(true);
+
+            mockQuery.timeout
+                .mockResolvedValueOnce(before)
+                .mockResolvedValueOnce(after);
+
+            const saved = await revisionTasks.capture_save('item', itemUUID, save);
+
+            expect(saved).toEqual({result: true, before, after});
+            expect(mockDB.transaction).toHaveBeenCalledTimes(1);
+            expect(save).toHaveBeenCalledWith(mockDB);
+            expect(mockQuery.forUpdate).toHaveBeenCalledTimes(1);
+            expect(mockQuery.forUpdate.mock.invocationCallOrder[0]).toBeLessThan(save.mock.invocationCallOrder[0]);
+            expect(mockQuery.timeout).toHaveBeenCalledTimes(2);
+        });
+
+        test('skips the re-read when the record did not exist', async () => {
+            const save = jest.fn().mockResolvedValue(false);
+
+            mockQuery.timeout.mockResolvedValueOnce(undefined);
+
+            await expect(revisionTasks.capture_save('item', itemUUID, save)).resolves.toEqual({
+                result: false,
+                before: null,
+                after: null
+            });
+            expect(mockQuery.timeout).toHaveBeenCalledTimes(1);
+        });
+
+        test('rejects with the save error', async () => {
+            mockQuery.timeout.mockResolvedValueOnce(before);
+
+            await expect(revisionTasks.capture_save('item', itemUUID, () => {
+                throw new Error('update failed');
+            })).rejects.toThrow('update failed');
+        });
+
+        test('rejects an invalid record UUID before opening a transaction', async () => {
+            await expect(revisionTasks.capture_save('item', 'bad', jest.fn())).rejects.toThrow();
+            expect(mockDB.transaction).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('get_revision_records', () => {
+        test('returns parsed revisions filtered by exhibit and record', async () => {
+            mockQuery.timeout.mockResolvedValueOnce([
+                {uuid: revisionUUID, record_uuid: itemUUID, changes: '{"title":{"before":"a","after":"b"}}'}
+            ]);
+
+            const records = await revisionTasks.get_revision_records(exhibitUUID, itemUUID);
+
+            expect(mockQuery.where).toHaveBeenCalledWith({is_member_of_exhibit: exhibitUUID, record_uuid: itemUUID});
+            expect(records[0].changes).toEqual({title: {before: 'a', after: 'b'}});
+            expect(records[0].snapshot).toBeUndefined();
+        });
+
+        test('throws on an invalid exhibit UUID', async () => {
+            await expect(revisionTasks.get_revision_records('invalid')).rejects.toThrow();
+        });
+    });
+
+    describe('get_revision_record', () => {
+        test('returns null when the revision does not exist', async () => {
+            mockQuery.timeout.mockResolvedValueOnce(undefined);
+
+            await expect(revisionTasks.get_revision_record(exhibitUUID, revisionUUID)).resolves.toBeNull();
+        });
+
+        test('parses the snapshot of a revision', async () => {
+            mockQuery.timeout.mockResolvedValueOnce({uuid: revisionUUID, snapshot: '{"title":"T"}', changes: '{}'});
+
+            const revision = await revisionTasks.get_revision_record(exhibitUUID, revisionUUID);
+
+            expect(revision.snapshot).toEqual({title: 'T'});
+            expect(revision.changes).toEqual({});
+        });
+    });
+});
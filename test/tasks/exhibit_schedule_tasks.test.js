@@ -0,0 +1,148 @@
+/**
+ * Unit tests for Schedule_tasks
+ *
+ * Copyright 2026 University of Denver
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+const Schedule_tasks = require('../../exhibits/tasks/exhibit_schedule_tasks');
+
+// Mock dependencies - MUST be identical across all test files to avoid conflicts
+jest.mock('../../libs/log4', () => ({
+    module: () => ({
+        error: jest.fn(),
+        warn: jest.fn(),
+        info: jest.fn(),
+        debug: jest.fn()
+    })
+}));
+
+jest.mock('../../libs/helper');
+
+describe('Schedule_tasks', () => {
+    let mockDB;
+    let mockTABLE;
+    let mockQuery;
+    let scheduleTasks;
+    const exhibitUUID = '550e8400-e29b-41d4-a716-446655440000';
+    const itemUUID = '660e8400-e29b-41d4-a716-446655440000';
+
+    const createMockQuery = () => ({
+        select: jest.fn().mockReturnThis(),
+        where: jest.fn().mockReturnThis(),
+        whereNotNull: jest.fn().mockReturnThis(),
+        first: jest.fn().mockReturnThis(),
+        orderBy: jest.fn().mockReturnThis(),
+        update: jest.fn().mockReturnThis(),
+        timeout: jest.fn().mockResolvedValue([])
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockQuery = createMockQuery();
+        mockDB = jest.fn(() => mockQuery);
+
+        mockTABLE = {
+            exhibit_records: 'tbl_exhibits',
+            item_records: 'tbl_standard_items'
+        };
+
+        scheduleTasks = new Schedule_tasks(mockDB, mockTABLE);
+    });
+
+    describe('get_schedule', () => {
+        test('reads an item with its parent exhibit', async () => {
+            mockQuery.timeout.mockResolvedValueOnce({uuid: itemUUID, is_published: 0, is_member_of_exhibit: exhibitUUID});
+
+            const record = await scheduleTasks.get_schedule('item', itemUUID);
+
+            expect(mockDB).toHaveBeenCalledWith('tbl_standard_items');
+            expect(mockQuery.select).toHaveBeenCalledWith(expect.arrayContaining(['publish_at', 'suppress_at', 'is_member_of_exhibit']));
+            expect(mockQuery.where).toHaveBeenCalledWith({uuid: itemUUID, is_deleted: 0});
+            expect(record.is_member_of_exhibit).toBe(exhibitUUID);
+        });
+
+        test('returns null when the record does not exist', async () => {
+            mockQuery.timeout.mockResolvedValueOnce(undefined);
+
+            await expect(scheduleTasks.get_schedule('exhibit', exhibitUUID)).resolves.toBeNull();
+        });
+
+        test('throws on a record type that cannot be scheduled', async () => {
+            await expect(scheduleTasks.get_schedule('grid', exhibitUUID)).rejects.toThrow('Invalid record type: grid');
+            expect(mockDB).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('set_schedule', () => {
+        test('writes both columns and who set them', async () => {
+            const publish_at = new Date('2030-01-01T09:00:00Z');
+            mockQuery.timeout.mockResolvedValueOnce(1);
+
+            const result = await scheduleTasks.set_schedule('exhibit', exhibitUUID, {publish_at, suppress_at: null}, 'Curator');
+
+            expect(result).toBe(true);
+            expect(mockQuery.update).toHaveBeenCalledWith({publish_at, suppress_at: null, scheduled_by: 'Curator'});
+        });
+
+        test('returns false when no record was updated', async () => {
+            mockQuery.timeout.mockResolvedValueOnce(0);
+
+            await expect(scheduleTasks.set_schedule('item', itemUUID, {})).resolves.toBe(false);
+        });
+    });
+
+    describe('get_due_transitions', () => {
+        test('merges both tables and actions, oldest first, publish before suppress', async () => {
+            const now = new Date('2030-01-02T00:00:00Z');
+            const same_time = new Date('2030-01-01T09:00:00Z');
+
+            mockQuery.timeout
+                .mockResolvedValueOnce([{uuid: exhibitUUID, is_member_of_exhibit: exhibitUUID, due_at: same_time}])  // exhibit publish
+                .mockResolvedValueOnce([{uuid: exhibitUUID, is_member_of_exhibit: exhibitUUID, due_at: same_time}])  // exhibit suppress
+                .mockResolvedValueOnce([{uuid: itemUUID, is_member_of_exhibit: exhibitUUID, due_at: new Date('2030-01-01T08:00:00Z')}]) // item publish
+                .mockResolvedValueOnce([]);                                                                          // item suppress
+
+            const due = await scheduleTasks.get_due_transitions(now);
+
+            expect(due.map((t) => `${t.record_type}:${t.action}`)).toEqual(['item:publish', 'exhibit:publish', 'exhibit:suppress']);
+            expect(mockQuery.where).toHaveBeenCalledWith('publish_at', '<=', now);
+            expect(mockQuery.where).toHaveBeenCalledWith('suppress_at', '<=', now);
+        });
+    });
+
+    describe('get_scheduled_transitions', () => {
+        test('selects titles and applies the limit', async () => {
+            mockQuery.timeout.mockResolvedValue([
+                {uuid: exhibitUUID, due_at: new Date('2030-01-01T00:00:00Z')},
+                {uuid: itemUUID, due_at: new Date('2030-02-01T00:00:00Z')}
+            ]);
+
+            const transitions = await scheduleTasks.get_scheduled_transitions(3);
+
+            expect(transitions).toHaveLength(3);
+            expect(mockQuery.whereNotNull).toHaveBeenCalledWith('publish_at');
+            expect(mockQuery.select).toHaveBeenCalledWith(expect.arrayContaining(['title', 'scheduled_by']));
+        });
+    });
+
+    describe('clear_transition', () => {
+        test('only clears the column while it still holds the time that ran', async () => {
+            const due_at = new Date('2030-01-01T09:00:00Z');
+            mockQuery.timeout.mockResolvedValueOnce(1);
+
+            const cleared = await scheduleTasks.clear_transition('item', itemUUID, 'suppress', due_at);
+
+            expect(cleared).toBe(true);
+            expect(mockQuery.where).toHaveBeenCalledWith({uuid: itemUUID, suppress_at: due_at});
+            expect(mockQuery.update).toHaveBeenCalledWith({suppress_at: null});
+        });
+
+        test('throws on an unknown action', async () => {
+            await expect(scheduleTasks.clear_transition('item', itemUUID, 'delete', new Date())).rejects.toThrow('Invalid schedule action');
+        });
+    });
+});
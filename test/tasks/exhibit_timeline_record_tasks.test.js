@@ -637,6 +637,65 @@ describe('Exhibit_timeline_record_tasks', () => {
                     .rejects.toThrow('Invalid timeline UUID format');
             });
         });
+
+        describe('order_timeline_items_by_date', () => {
+            const row = (uuid, order, date_start, date_end) => ({
+                uuid,
+                order,
+                date_start: date_start ? new Date(`${date_start}T00:00:00Z`) : null,
+                date_end: date_end ? new Date(`${date_end}T00:00:00Z`) : null
+            });
+
+            let trxQuery;
+
+            beforeEach(() => {
+                trxQuery = createMockQuery();
+                trxQuery.forUpdate = jest.fn().mockReturnThis();
+                mockDB.transaction = jest.fn(async (callback) => callback(jest.fn(() => trxQuery)));
+            });
+
+            test('renumbers items by start, then end, with open starts first and undated items last', async () => {
+                trxQuery.timeout.mockResolvedValueOnce([
+                    row('undated', 1, null, null),
+                    row('1920', 2, '1920-01-01', '1920-12-31'),
+                    row('1920-05', 3, '1920-05-01', '1920-05-31'),
+                    row('to-1865', 4, null, '1865-12-31'),
+                    row('1861-1865', 5, '1861-01-01', '1865-12-31'),
+                    row('1920-too', 6, '1920-01-01', '1920-12-31')
+                ]);
+
+                const result = await timelineTasks.order_timeline_items_by_date(exhibitUUID, timelineUUID);
+
+                expect(result.items.map((item) => item.uuid)).toEqual(['to-1865', '1861-1865', '1920', '1920-too', '1920-05', 'undated']);
+                expect(result.items.map((item) => item.order)).toEqual([1, 2, 3, 4, 5, 6]);
+                expect(trxQuery.where).toHaveBeenCalledWith({
+                    is_member_of_exhibit: exhibitUUID,
+                    is_member_of_timeline: timelineUUID,
+                    is_deleted: 0
+                });
+                expect(trxQuery.forUpdate).toHaveBeenCalled();
+            });
+
+            test('only writes items whose position changes', async () => {
+                trxQuery.timeout.mockResolvedValueOnce([
+                    row('first', 1, '1900-01-01', '1900-12-31'),
+                    row('third', 2, '1950-01-01', '1950-12-31'),
+                    row('second', 3, '1920-01-01', '1920-12-31')
+                ]);
+
+                const result = await timelineTasks.order_timeline_items_by_date(exhibitUUID, timelineUUID);
+
+                expect(result.changed).toBe(2);
+                expect(trxQuery.update).toHaveBeenCalledTimes(2);
+                expect(trxQuery.update).toHaveBeenCalledWith({order: 2});
+                expect(trxQuery.update).toHaveBeenCalledWith({order: 3});
+            });
+
+            test('should throw error for invalid timeline UUID', async () => {
+                await expect(timelineTasks.order_timeline_items_by_date(exhibitUUID, 'invalid'))
+                    .rejects.toThrow('Invalid timeline UUID format');
+            });
+        });
     });
 
     // ==================== INTEGRATION TESTS ====================
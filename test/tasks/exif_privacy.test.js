@@ -0,0 +1,172 @@
+'use strict';
+
+/**
+ * Embedded metadata privacy (media-library/exif-privacy).
+ *
+ *  - the site policy and a record's override decide what is published;
+ *  - under strip, manifest metadata keeps only the retain fields;
+ *  - resolve_served_file serves a copy of a JPEG without its GPS and
+ *    personal tags, leaving the stored original untouched.
+ *
+ * Storage and exiftool run for real against a throwaway STORAGE_PATH (set
+ * BEFORE require), with the default policy (EXIF_PRIVACY_POLICY unset).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { exiftool } = require('exiftool-vendored');
+
+vi.mock('../../libs/log4', () => ({
+    module: () => ({ info: vi.fn(), error: vi.fn(), warn: vi.fn(), debug: vi.fn() })
+}));
+
+const TMP_ROOT = path.join(os.tmpdir(), `exif-privacy-test-${process.pid}-${Date.now()}`);
+process.env.STORAGE_PATH = TMP_ROOT;
+delete process.env.EXIF_PRIVACY_POLICY;
+delete process.env.EXIF_RETAIN_FIELDS;
+
+const UPLOADS = require('../../media-library/uploads');
+const EXIF_PRIVACY = require('../../media-library/exif-privacy');
+
+const RECORD_UUID = '3f2a9c1e-7b4d-4e8a-9c2f-1a2b3c4d5e6f';
+const STORAGE_PATH = `images/3f/2a/${RECORD_UUID}.jpg`;
+
+const METADATA = {
+    Make: 'Canon',
+    Model: 'EOS R5',
+    SerialNumber: '032021000123',
+    Artist: 'Pat Photographer',
+    GPSLatitude: 39.6766,
+    GPSLongitude: -104.9619,
+    DateTimeOriginal: '2024:05:01 10:00:00',
+    ImageWidth: 64,
+    ImageHeight: 48,
+    ColorSpace: 'sRGB'
+};
+
+const record = (overrides = {}) => ({
+    uuid: RECORD_UUID,
+    updated: new Date('2026-10-01T00:00:00Z'),
+    storage_path: STORAGE_PATH,
+    exif_data: JSON.stringify(METADATA),
+    exif_privacy: null,
+    ...overrides
+});
+
+const absolute = (relative) => path.join(TMP_ROOT, relative);
+
+beforeAll(async () => {
+    fs.mkdirSync(path.dirname(absolute(STORAGE_PATH)), { recursive: true });
+    await sharp({ create: { width: 64, height: 48, channels: 3, background: '#8a6d3b' } })
+        .jpeg()
+        .withMetadata()
+        .toFile(absolute(STORAGE_PATH));
+    await exiftool.write(absolute(STORAGE_PATH), {
+        Make: 'Canon',
+        SerialNumber: '032021000123',
+        Artist: 'Pat Photographer',
+        GPSLatitude: 39.6766,
+        GPSLatitudeRef: 'N',
+        GPSLongitude: -104.9619,
+        GPSLongitudeRef: 'W',
+        DateTimeOriginal: '2024:05:01 10:00:00'
+    }, { writeArgs: ['-overwrite_original'] });
+});
+
+afterAll(async () => {
+    fs.rmSync(TMP_ROOT, { recursive: true, force: true });
+    await UPLOADS.shutdown_exiftool();
+});
+
+describe('policy', () => {
+
+    it('strips by default', () => {
+        expect(EXIF_PRIVACY.site_policy()).toBe('strip');
+        expect(EXIF_PRIVACY.resolve_policy(record())).toBe('strip');
+    });
+
+    it('follows a curator override', () => {
+        expect(EXIF_PRIVACY.resolve_policy(record({ exif_privacy: 'retain' }))).toBe('retain');
+        expect(EXIF_PRIVACY.resolve_policy(record({ exif_privacy: 'strip' }))).toBe('strip');
+    });
+
+    it('accepts only known overrides, or empty for the site policy', () => {
+        for (const value of [null, undefined, '', 'strip', 'retain']) {
+            expect(EXIF_PRIVACY.is_valid_override(value)).toBe(true);
+        }
+        expect(EXIF_PRIVACY.is_valid_override('keep')).toBe(false);
+        expect(EXIF_PRIVACY.is_valid_override(1)).toBe(false);
+    });
+});
+
+describe('public_metadata', () => {
+
+    it('keeps only the capture date, dimensions and color profile under strip', () => {
+        expect(EXIF_PRIVACY.public_metadata(record())).toEqual({
+            DateTimeOriginal: '2024:05:01 10:00:00',
+            ImageWidth: 64,
+            ImageHeight: 48,
+            ColorSpace: 'sRGB'
+        });
+    });
+
+    it('publishes everything a curator retains', () => {
+        expect(EXIF_PRIVACY.public_metadata(record({ exif_privacy: 'retain' }))).toEqual(METADATA);
+    });
+
+    it('accepts exif_data already parsed, and none at all', () => {
+        expect(EXIF_PRIVACY.public_metadata(record({ exif_data: METADATA }))).not.toHaveProperty('GPSLatitude');
+        expect(EXIF_PRIVACY.public_metadata(record({ exif_data: null }))).toEqual({});
+    });
+});
+
+describe('resolve_served_file', () => {
+
+    it('serves a copy without location or personal tags, leaving the original as stored', async () => {
+        const original = fs.readFileSync(absolute(STORAGE_PATH));
+
+        const served_path = await EXIF_PRIVACY.resolve_served_file(record(), STORAGE_PATH, 'image/jpeg');
+
+        expect(served_path).toMatch(new RegExp(`^iiif_cache/3f/2a/${RECORD_UUID}/\\d+/served-[0-9a-f]{12}\\.jpg$`));
+
+        const served = await exiftool.read(absolute(served_path));
+        expect(served.GPSLatitude).toBeUndefined();
+        expect(served.SerialNumber).toBeUndefined();
+        expect(served.Artist).toBeUndefined();
+        expect(served.Make).toBeUndefined();
+        expect(String(served.DateTimeOriginal)).toContain('2024-05-01T10:00:00');
+        expect(served.ImageWidth).toBe(64);
+
+        expect(fs.readFileSync(absolute(STORAGE_PATH)).equals(original)).toBe(true);
+        expect((await exiftool.read(absolute(STORAGE_PATH))).GPSLatitude).toBeCloseTo(39.6766, 3);
+    });
+
+    it('reuses the copy until the record changes', async () => {
+        const strip = vi.spyOn(UPLOADS, 'strip_embedded_metadata');
+
+        const first = await EXIF_PRIVACY.resolve_served_file(record(), STORAGE_PATH, 'image/jpeg');
+        const again = await EXIF_PRIVACY.resolve_served_file(record(), STORAGE_PATH, 'image/jpeg');
+        const updated = await EXIF_PRIVACY.resolve_served_file(record({ updated: new Date('2026-10-02T00:00:00Z') }), STORAGE_PATH, 'image/jpeg');
+
+        expect(again).toBe(first);
+        expect(updated).not.toBe(first);
+        expect(strip).toHaveBeenCalledTimes(1);
+    });
+
+    it('serves the original when the record publishes its metadata', async () => {
+        expect(await EXIF_PRIVACY.resolve_served_file(record({ exif_privacy: 'retain' }), STORAGE_PATH, 'image/jpeg')).toBe(STORAGE_PATH);
+    });
+
+    it('serves PDFs as stored', async () => {
+        expect(await EXIF_PRIVACY.resolve_served_file(record(), 'pdfs/3f/2a/file.pdf', 'application/pdf')).toBe('pdfs/3f/2a/file.pdf');
+    });
+
+    it('fails rather than serve the original when the file cannot be stripped', async () => {
+        vi.spyOn(UPLOADS, 'strip_embedded_metadata').mockRejectedValue(new Error('exiftool failed'));
+
+        await expect(EXIF_PRIVACY.resolve_served_file(record({ updated: new Date('2026-10-03T00:00:00Z') }), STORAGE_PATH, 'image/jpeg'))
+            .rejects.toThrow('exiftool failed');
+    });
+});
@@ -0,0 +1,185 @@
+'use strict';
+
+/**
+ * Fixity checks (media-library/fixity-service).
+ *
+ *  - check_file re-hashes a stored original and reports ok, missing, changed
+ *    or unreadable against its recorded SHA-256;
+ *  - verify_record records the outcome, keeping the last verified date when
+ *    a check fails;
+ *  - run_audit counts outcomes over the candidates the record tasks return.
+ *
+ * Storage runs for real against a throwaway STORAGE_PATH (set BEFORE
+ * require); the record tasks are spied on, so no database is needed.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+vi.mock('../../libs/log4', () => ({
+    module: () => ({ info: vi.fn(), error: vi.fn(), warn: vi.fn(), debug: vi.fn() })
+}));
+
+const TMP_ROOT = path.join(os.tmpdir(), `fixity-test-${process.pid}-${Date.now()}`);
+process.env.STORAGE_PATH = TMP_ROOT;
+
+const MEDIA_TASKS = require('../../media-library/tasks/media_record_tasks');
+const UPLOADS = require('../../media-library/uploads');
+const FIXITY = require('../../media-library/fixity-service');
+
+const RECORD_UUID = '3f2a9c1e-7b4d-4e8a-9c2f-1a2b3c4d5e6f';
+const STORAGE_PATH = 'images/a3/f7/a3f7b2c1-89d4-4e2a-b5c6-1234abcd5678.jpg';
+const CONTENT = 'original bytes';
+const CONTENT_HASH = crypto.createHash('sha256').update(CONTENT).digest('hex');
+
+const write = (relative, content) => {
+    const absolute = path.join(TMP_ROOT, relative);
+    fs.mkdirSync(path.dirname(absolute), { recursive: true });
+    fs.writeFileSync(absolute, content);
+};
+
+const record = (overrides = {}) => ({
+    uuid: RECORD_UUID,
+    storage_path: STORAGE_PATH,
+    content_hash: CONTENT_HASH,
+    fixity_verified: new Date('2026-01-01T00:00:00Z'),
+    ...overrides
+});
+
+let update_fixity;
+
+beforeEach(() => {
+    fs.rmSync(TMP_ROOT, { recursive: true, force: true });
+    write(STORAGE_PATH, CONTENT);
+    update_fixity = vi.spyOn(MEDIA_TASKS.prototype, 'update_fixity').mockResolvedValue(true);
+});
+
+afterAll(async () => {
+    fs.rmSync(TMP_ROOT, { recursive: true, force: true });
+    await UPLOADS.shutdown_exiftool();
+});
+
+describe('check_file', () => {
+
+    it('passes a file that matches its recorded checksum', async () => {
+        expect(await FIXITY.check_file(record())).toEqual({ status: 'ok', message: null });
+    });
+
+    it('compares checksums case-insensitively', async () => {
+        expect((await FIXITY.check_file(record({ content_hash: CONTENT_HASH.toUpperCase() }))).status).toBe('ok');
+    });
+
+    it('reports a file that is no longer in storage as missing', async () => {
+        fs.unlinkSync(path.join(TMP_ROOT, STORAGE_PATH));
+
+        const result = await FIXITY.check_file(record());
+
+        expect(result.status).toBe('missing');
+        expect(result.message).toContain(STORAGE_PATH);
+    });
+
+    it('reports a file whose content changed', async () => {
+        write(STORAGE_PATH, 'altered bytes');
+
+        const result = await FIXITY.check_file(record());
+
+        expect(result.status).toBe('changed');
+        expect(result.message).toContain(`recorded ${CONTENT_HASH}`);
+    });
+
+    it('reports a file that could not be read as unreadable', async () => {
+        vi.spyOn(UPLOADS, 'hash_stored_file').mockRejectedValue(new Error('EIO: i/o error'));
+
+        const result = await FIXITY.check_file(record());
+
+        expect(result.status).toBe('unreadable');
+        expect(result.message).toContain('EIO');
+    });
+
+    it('has nothing to check without a recorded checksum', async () => {
+        expect((await FIXITY.check_file(record({ content_hash: null }))).status).toBeNull();
+    });
+});
+
+describe('verify_record', () => {
+
+    it('records a pass as checked and verified now', async () => {
+        const now = new Date('2026-10-19T12:00:00Z');
+
+        const result = await FIXITY.verify_record(record(), now);
+
+        expect(update_fixity).toHaveBeenCalledWith(RECORD_UUID, {
+            fixity_status: 'ok',
+            fixity_message: null,
+            fixity_checked: now,
+            fixity_verified: now
+        });
+        expect(result).toMatchObject({ status: 'ok', checked: now, verified: now });
+    });
+
+    it('records a failure without touching the last verified date', async () => {
+        const now = new Date('2026-10-19T12:00:00Z');
+        fs.unlinkSync(path.join(TMP_ROOT, STORAGE_PATH));
+
+        const result = await FIXITY.verify_record(record(), now);
+
+        const [, fixity] = update_fixity.mock.calls[0];
+        expect(fixity).toMatchObject({ fixity_status: 'missing', fixity_checked: now });
+        expect(fixity).not.toHaveProperty('fixity_verified');
+        expect(result.verified).toEqual(new Date('2026-01-01T00:00:00Z'));
+    });
+
+    it('truncates the message to the column width', async () => {
+        vi.spyOn(UPLOADS, 'hash_stored_file').mockRejectedValue(new Error('x'.repeat(400)));
+
+        await FIXITY.verify_record(record());
+
+        expect(update_fixity.mock.calls[0][1].fixity_message).toHaveLength(255);
+    });
+
+    it('records nothing for a record without a checksum', async () => {
+        await FIXITY.verify_record(record({ content_hash: null }));
+
+        expect(update_fixity).not.toHaveBeenCalled();
+    });
+});
+
+describe('run_audit', () => {
+
+    it('counts each outcome and reports every result', async () => {
+        write('images/b1/b2/changed.jpg', 'altered bytes');
+        vi.spyOn(MEDIA_TASKS.prototype, 'get_fixity_candidates').mockResolvedValue([
+            record(),
+            record({ uuid: 'b1b2c3d4-0000-4000-8000-000000000001', storage_path: 'images/b1/b2/missing.jpg' }),
+            record({ uuid: 'b1b2c3d4-0000-4000-8000-000000000002', storage_path: 'images/b1/b2/changed.jpg' })
+        ]);
+        const on_result = vi.fn();
+
+        const stats = await FIXITY.run_audit({ on_result });
+
+        expect(stats).toEqual({ checked: 3, ok: 1, missing: 1, changed: 1, unreadable: 0, errors: 0 });
+        expect(on_result).toHaveBeenCalledTimes(3);
+    });
+
+    it('asks only for files not checked within max_age_days', async () => {
+        const candidates = vi.spyOn(MEDIA_TASKS.prototype, 'get_fixity_candidates').mockResolvedValue([]);
+        const before = Date.now();
+
+        await FIXITY.run_audit({ limit: 10, max_age_days: 30 });
+
+        const { limit, checked_before } = candidates.mock.calls[0][0];
+        expect(limit).toBe(10);
+        expect(before - checked_before.getTime()).toBeGreaterThanOrEqual(30 * 24 * 60 * 60 * 1000);
+    });
+
+    it('counts a result that could not be recorded as an error and carries on', async () => {
+        vi.spyOn(MEDIA_TASKS.prototype, 'get_fixity_candidates').mockResolvedValue([record(), record()]);
+        update_fixity.mockRejectedValueOnce(new Error('connection lost'));
+
+        const stats = await FIXITY.run_audit();
+
+        expect(stats).toMatchObject({ checked: 1, ok: 1, errors: 1 });
+    });
+});
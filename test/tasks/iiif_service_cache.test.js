@@ -6,16 +6,17 @@
  * Proves the headline behavior of the derivative-cache fix:
  *  - a cache MISS transcodes once (reads the source, runs sharp);
  *  - an identical request is a cache HIT served WITHOUT re-reading the source
- *    (resolve_storage_path is not called) and returns the same bytes;
+ *    (the original is not read from storage) and returns the same bytes;
  *  - a strong ETag is returned and a matching If-None-Match yields not_modified;
  *  - bumping the record version (the `updated` timestamp) invalidates the cache
  *    (the source is read and transcoded again);
  *  - the existing validation contract (bad uuid / format / rotation) is intact.
  *
- * The model and uploads layers are mocked so no DB or real storage is involved;
- * sharp runs for real against a generated PNG. STORAGE_PATH points the cache at
- * a throwaway temp dir and is set BEFORE the service (and its cache) is required.
- * The mocked functions are reassigned fresh in beforeEach so the suite's
+ * The model and uploads layers are mocked so no DB is involved; the source and
+ * the cache live in local storage under a throwaway STORAGE_PATH, set BEFORE
+ * the service (and its cache) is required, and reads of the source are
+ * counted through a spy on the storage adapter. sharp runs for real against a
+ * generated PNG. The mocks are set fresh in beforeEach so the suite's
  * restoreMocks setting can't strip their mock methods mid-run.
  */
 
@@ -32,41 +33,45 @@ vi.mock('../../media-library/model', () => ({
     get_media_record: vi.fn()
 }));
 
-vi.mock('../../media-library/uploads', () => ({
-    resolve_storage_path: vi.fn()
-}));
+vi.mock('../../media-library/uploads', () => ({}));
 
 const TMP_ROOT = path.join(os.tmpdir(), `iiif-service-test-${process.pid}-${Date.now()}`);
 process.env.STORAGE_PATH = TMP_ROOT;
 
 const MEDIA_MODEL = require('../../media-library/model');
-const UPLOADS = require('../../media-library/uploads');
+const STORAGE = require('../../media-library/storage-adapter')();
 const IIIF_SERVICE = require('../../media-library/iiif-service');
 
 const UUID = 'a3f7b2c1-89d4-4e2a-b5c6-1234abcd5678';
-const SOURCE_PATH = path.join(TMP_ROOT, 'source.png');
+const SOURCE_KEY = 'images/a3/f7/source.png';
 
 const make_record = (updated) => ({
     success: true,
     record: {
         uuid: UUID,
         media_type: 'image',
-        storage_path: 'images/a3/f7/source.png',
+        storage_path: SOURCE_KEY,
         updated
     }
 });
 
-// Fresh mocks each test (robust to the suite-wide restoreMocks/clearMocks).
+// Fresh spy each test (robust to the suite-wide restoreMocks/clearMocks).
+// Cache lookups go through storage too, so only reads of the source count.
 const reset_source_mock = () => {
-    UPLOADS.resolve_storage_path = vi.fn().mockResolvedValue(SOURCE_PATH);
+    if (!vi.isMockFunction(STORAGE.get)) {
+        vi.spyOn(STORAGE, 'get');
+    }
+    STORAGE.get.mockClear();
 };
 
+const source_reads = () => STORAGE.get.mock.calls.filter(([key]) => key === SOURCE_KEY).length;
+
 beforeAll(async () => {
-    fs.mkdirSync(TMP_ROOT, { recursive: true });
+    fs.mkdirSync(path.join(TMP_ROOT, path.dirname(SOURCE_KEY)), { recursive: true });
     const png = await sharp({
         create: { width: 300, height: 200, channels: 3, background: { r: 200, g: 30, b: 30 } }
     }).png().toBuffer();
-    fs.writeFileSync(SOURCE_PATH, png);
+    fs.writeFileSync(path.join(TMP_ROOT, SOURCE_KEY), png);
 });
 
 afterAll(() => {
@@ -88,7 +93,7 @@ describe('get_image — derivative cache', () => {
         expect(first.content_type).toBe('image/jpeg');
         expect(first.etag).toMatch(/^".*"$/);
         expect(first.cached).toBe(false);
-        expect(UPLOADS.resolve_storage_path).toHaveBeenCalledTimes(1); // source read once
+        expect(source_reads()).toBe(1); // source read once
 
         reset_source_mock(); // isolate the next call's count
         const second = await IIIF_SERVICE.get_image(UUID, 'full', '!100,100', '0', 'default.jpg');
@@ -97,7 +102,7 @@ describe('get_image — derivative cache', () => {
         expect(second.cached).toBe(true);
         expect(second.etag).toBe(first.etag);
         expect(second.image.equals(first.image)).toBe(true);
-        expect(UPLOADS.resolve_storage_path).toHaveBeenCalledTimes(0); // hit never touches the original
+        expect(source_reads()).toBe(0); // hit never touches the original
     });
 
     it('answers a matching If-None-Match with not_modified and no body', async () => {
@@ -112,7 +117,7 @@ describe('get_image — derivative cache', () => {
         expect(conditional.not_modified).toBe(true);
         expect(conditional.image).toBeNull();
         expect(conditional.etag).toBe(seed.etag);
-        expect(UPLOADS.resolve_storage_path).toHaveBeenCalledTimes(0); // 304 resolves before any read
+        expect(source_reads()).toBe(0); // 304 resolves before any read
     });
 
     it('a non-matching If-None-Match still returns the image', async () => {
@@ -134,7 +139,7 @@ describe('get_image — derivative cache', () => {
 
         expect(after.success).toBe(true);
         expect(after.cached).toBe(false);
-        expect(UPLOADS.resolve_storage_path).toHaveBeenCalledTimes(1); // source read again
+        expect(source_reads()).toBe(1); // source read again
     });
 
     it('honors quality/format — grayscale PNG round-trips through the cache', async () => {
@@ -155,7 +160,7 @@ describe('get_image — derivative cache', () => {
         const bad_format = await IIIF_SERVICE.get_image(UUID, 'full', 'max', '0', 'default.tiff');
         expect(bad_format.success).toBe(false);
 
-        const bad_rotation = await IIIF_SERVICE.get_image(UUID, 'full', 'max', '90', 'default.jpg');
+        const bad_rotation = await IIIF_SERVICE.get_image(UUID, 'full', 'max', '45', 'default.jpg');
         expect(bad_rotation.success).toBe(false);
     });
 });
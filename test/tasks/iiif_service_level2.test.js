@@ -0,0 +1,199 @@
+'use strict';
+
+/**
+ * IIIF Image API level 2 (media-library/iiif-service + uploads pyramids).
+ *
+ *  - info.json advertises level2 with a tile grid and whole-image sizes;
+ *  - uploads.generate_image_pyramid writes a tiled, multi-level TIFF next to
+ *    the original, and delete_stored_file removes it with the original;
+ *  - tile requests are served from the pyramid and cached;
+ *  - pct: regions and sizes, ^ upscaling, rotation by 90s, mirroring and the
+ *    bitonal quality produce the expected pixels, and bad values are a 400.
+ *
+ * Uploads runs for real against a throwaway STORAGE_PATH (set BEFORE require);
+ * only the model lookup is replaced.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+vi.mock('../../libs/log4', () => ({
+    module: () => ({ info: vi.fn(), error: vi.fn(), warn: vi.fn(), debug: vi.fn() })
+}));
+
+vi.mock('../../media-library/model', () => ({
+    get_media_record: vi.fn()
+}));
+
+const TMP_ROOT = path.join(os.tmpdir(), `iiif-level2-test-${process.pid}-${Date.now()}`);
+process.env.STORAGE_PATH = TMP_ROOT;
+
+const MEDIA_MODEL = require('../../media-library/model');
+const UPLOADS = require('../../media-library/uploads');
+const IIIF_SERVICE = require('../../media-library/iiif-service');
+
+const BASE = 'https://host/exhibits-dashboard/iiif';
+const LARGE_UUID = 'b1c2d3e4-89d4-4e2a-b5c6-1234abcd5678';
+const SMALL_UUID = 'c1d2e3f4-89d4-4e2a-b5c6-1234abcd5678';
+const LARGE_PATH = 'images/b1/c2/b1c2d3e4-89d4-4e2a-b5c6-1234abcd5678.png';
+const SMALL_PATH = 'images/c1/d2/c1d2e3f4-89d4-4e2a-b5c6-1234abcd5678.png';
+
+const RECORDS = {
+    [LARGE_UUID]: { uuid: LARGE_UUID, media_type: 'image', storage_path: LARGE_PATH, media_width: 1200, media_height: 800, updated: '2026-10-01T10:00:00Z' },
+    [SMALL_UUID]: { uuid: SMALL_UUID, media_type: 'image', storage_path: SMALL_PATH, media_width: 100, media_height: 50, updated: '2026-10-01T10:00:00Z' }
+};
+
+// Left half red, right half blue
+const two_tone = (width, height) => sharp({
+    create: { width, height, channels: 3, background: { r: 220, g: 20, b: 20 } }
+}).composite([{
+    input: { create: { width: width / 2, height, channels: 3, background: { r: 20, g: 20, b: 220 } } },
+    left: width / 2,
+    top: 0
+}]).png().toBuffer();
+
+const write_original = async (relative_path, buffer) => {
+    const absolute = path.join(TMP_ROOT, relative_path);
+    fs.mkdirSync(path.dirname(absolute), { recursive: true });
+    fs.writeFileSync(absolute, buffer);
+    return absolute;
+};
+
+const pixel = async (buffer, x, y) => {
+    const { data, info } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+    const offset = (y * info.width + x) * info.channels;
+    return Array.from(data.subarray(offset, offset + info.channels));
+};
+
+beforeAll(async () => {
+    const large = await two_tone(1200, 800);
+    await write_original(LARGE_PATH, large);
+    await UPLOADS.generate_image_pyramid(large, LARGE_PATH);
+    await write_original(SMALL_PATH, await two_tone(100, 50));
+});
+
+afterAll(() => {
+    fs.rmSync(TMP_ROOT, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    MEDIA_MODEL.get_media_record = vi.fn(async (uuid) => ({ success: true, record: RECORDS[uuid] }));
+});
+
+describe('pyramidal derivatives', () => {
+
+    it('writes a tiled pyramid next to the original', async () => {
+        const pyramid = path.join(TMP_ROOT, UPLOADS.build_pyramid_path(LARGE_PATH));
+        const metadata = await sharp(pyramid).metadata();
+
+        expect(path.basename(pyramid)).toBe(`${LARGE_UUID}_pyramid.tif`);
+        expect(metadata.format).toBe('tiff');
+        expect(metadata.pages).toBeGreaterThanOrEqual(2);
+        expect((await sharp(pyramid, { page: 1 }).metadata()).width).toBe(600);
+    });
+
+    it('skips images that fit in a single tile', async () => {
+        const small = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#000' } }).png().toBuffer();
+        await write_original('images/aa/bb/single-tile.png', small);
+
+        expect(await UPLOADS.generate_image_pyramid(small, 'images/aa/bb/single-tile.png')).toBeNull();
+        expect(fs.existsSync(path.join(TMP_ROOT, 'images/aa/bb/single-tile_pyramid.tif'))).toBe(false);
+    });
+
+    it('deletes the pyramid with the original', async () => {
+        const buffer = await two_tone(1000, 600);
+        await write_original('images/dd/ee/doomed.png', buffer);
+        const pyramid = path.join(TMP_ROOT, await UPLOADS.generate_image_pyramid(buffer, 'images/dd/ee/doomed.png'));
+
+        expect(fs.existsSync(pyramid)).toBe(true);
+
+        await UPLOADS.delete_stored_file('images/dd/ee/doomed.png');
+
+        expect(fs.existsSync(pyramid)).toBe(false);
+        expect(fs.existsSync(path.join(TMP_ROOT, 'images/dd'))).toBe(false);
+    });
+});
+
+describe('get_info', () => {
+
+    it('advertises level 2 with tiles and sizes', async () => {
+        const { info } = await IIIF_SERVICE.get_info(LARGE_UUID, BASE);
+
+        expect(info.profile).toBe('level2');
+        expect(info.tiles).toEqual([{ width: 512, height: 512, scaleFactors: [1, 2, 4] }]);
+        expect(info.sizes).toEqual([
+            { width: 300, height: 200 },
+            { width: 600, height: 400 },
+            { width: 1200, height: 800 }
+        ]);
+        expect(info.extraQualities).toContain('bitonal');
+        expect(info.extraFeatures).toEqual(expect.arrayContaining(['mirroring', 'sizeUpscaling']));
+    });
+});
+
+describe('get_image — level 2 requests', () => {
+
+    it('serves a tile from the pyramid and caches it', async () => {
+        const first = await IIIF_SERVICE.get_image(LARGE_UUID, '0,0,1024,800', '256,', '0', 'default.png');
+        const second = await IIIF_SERVICE.get_image(LARGE_UUID, '0,0,1024,800', '256,', '0', 'default.png');
+
+        expect(first.success).toBe(true);
+        expect(await sharp(first.image).metadata()).toMatchObject({ width: 256, height: 200 });
+        expect(second.cached).toBe(true);
+        expect(second.image.equals(first.image)).toBe(true);
+    });
+
+    it('resolves pct: regions and sizes against the full image', async () => {
+        const r = await IIIF_SERVICE.get_image(LARGE_UUID, 'pct:50,0,50,50', 'pct:50', '0', 'default.png');
+
+        expect(await sharp(r.image).metadata()).toMatchObject({ width: 300, height: 200 });
+        expect((await pixel(r.image, 10, 10))[2]).toBeGreaterThan(150); // right (blue) half
+    });
+
+    it('only upscales with ^', async () => {
+        const plain = await IIIF_SERVICE.get_image(SMALL_UUID, 'full', '200,', '0', 'default.png');
+        const upscaled = await IIIF_SERVICE.get_image(SMALL_UUID, 'full', '^200,', '0', 'default.png');
+
+        expect(await sharp(plain.image).metadata()).toMatchObject({ width: 100, height: 50 });
+        expect(await sharp(upscaled.image).metadata()).toMatchObject({ width: 200, height: 100 });
+    });
+
+    it('rotates by 90s and mirrors before rotating', async () => {
+        const rotated = await IIIF_SERVICE.get_image(SMALL_UUID, 'full', 'max', '90', 'default.png');
+        const mirrored = await IIIF_SERVICE.get_image(SMALL_UUID, 'full', 'max', '!0', 'default.png');
+        const both = await IIIF_SERVICE.get_image(SMALL_UUID, 'full', 'max', '!90', 'default.png');
+
+        expect(await sharp(rotated.image).metadata()).toMatchObject({ width: 50, height: 100 });
+        expect((await pixel(rotated.image, 25, 5))[0]).toBeGreaterThan(150); // red now on top
+        expect((await pixel(mirrored.image, 5, 25))[2]).toBeGreaterThan(150); // blue now on the left
+        expect((await pixel(both.image, 25, 5))[2]).toBeGreaterThan(150); // mirrored blue rotated to the top
+    });
+
+    it('renders bitonal as pure black and white', async () => {
+        const r = await IIIF_SERVICE.get_image(SMALL_UUID, 'full', 'max', '0', 'bitonal.png');
+        const { data } = await sharp(r.image).raw().toBuffer({ resolveWithObject: true });
+
+        expect(new Set(data).size).toBeLessThanOrEqual(2);
+        expect([...new Set(data)].every((value) => value === 0 || value === 255)).toBe(true);
+    });
+
+    it('rejects invalid rotation, region and size values with 400', async () => {
+        for (const rotation of ['45', '450', '-90', '!']) {
+            expect((await IIIF_SERVICE.get_image(SMALL_UUID, 'full', 'max', rotation, 'default.jpg')).status).toBe(400);
+        }
+
+        expect((await IIIF_SERVICE.get_image(SMALL_UUID, '500,0,10,10', 'max', '0', 'default.jpg')).status).toBe(400);
+        expect((await IIIF_SERVICE.get_image(SMALL_UUID, 'pct:0,0,0,50', 'max', '0', 'default.jpg')).status).toBe(400);
+        expect((await IIIF_SERVICE.get_image(SMALL_UUID, 'full', 'pct:0', '0', 'default.jpg')).status).toBe(400);
+        expect((await IIIF_SERVICE.get_image(SMALL_UUID, 'full', ',', '0', 'default.jpg')).status).toBe(400);
+    });
+
+    it('applies the dimension cap to ^pct: sizes once resolved', async () => {
+        const r = await IIIF_SERVICE.get_image(SMALL_UUID, 'full', '^pct:5000', '0', 'default.jpg');
+
+        expect(r.status).toBe(400);
+        expect(r.message).toMatch(/exceeds the maximum/);
+    });
+});
@@ -12,8 +12,9 @@
  *   - image source missing                                -> 404
  *   - unexpected processing/build failure                 -> 500
  *
- * Model and uploads are mocked; sharp runs for real (a garbage source triggers
- * the 500 path). STORAGE_PATH points the cache at a temp dir, set BEFORE require.
+ * Model and uploads are mocked; sources are files in local storage under a temp
+ * STORAGE_PATH (set BEFORE require), which also holds the cache. sharp runs for
+ * real (a garbage source triggers the 500 path).
  */
 
 const fs = require('fs');
@@ -28,34 +29,34 @@ vi.mock('../../media-library/model', () => ({
     get_media_record: vi.fn()
 }));
 
-vi.mock('../../media-library/uploads', () => ({
-    resolve_storage_path: vi.fn()
-}));
+vi.mock('../../media-library/uploads', () => ({}));
 
 const TMP_ROOT = path.join(os.tmpdir(), `iiif-status-test-${process.pid}-${Date.now()}`);
 process.env.STORAGE_PATH = TMP_ROOT;
 
 const MEDIA_MODEL = require('../../media-library/model');
-const UPLOADS = require('../../media-library/uploads');
 const IIIF_SERVICE = require('../../media-library/iiif-service');
 
 const UUID = 'a3f7b2c1-89d4-4e2a-b5c6-1234abcd5678';
-const GOOD_SOURCE = path.join(TMP_ROOT, 'good.png');
-const GARBAGE_SOURCE = path.join(TMP_ROOT, 'garbage.bin');
+const GOOD_SOURCE = 'images/a3/f7/good.png';
+const GARBAGE_SOURCE = 'images/a3/f7/garbage.bin';
+const MISSING_SOURCE = 'images/a3/f7/missing.png';
 
 const found = (record) => ({ success: true, record });
 const not_found = () => ({ success: false, record: null, message: 'Media record not found' });
 
 const set_record = (resolved) => { MEDIA_MODEL.get_media_record = vi.fn().mockResolvedValue(resolved); };
-const set_source = (impl) => { UPLOADS.resolve_storage_path = impl; };
+const set_source = (storage_path) => {
+    set_record(found({ uuid: UUID, media_type: 'image', storage_path, updated: '2026-06-16T10:00:00Z' }));
+};
 
 beforeAll(async () => {
     const sharp = require('sharp');
-    fs.mkdirSync(TMP_ROOT, { recursive: true });
-    fs.writeFileSync(GOOD_SOURCE, await sharp({
+    fs.mkdirSync(path.join(TMP_ROOT, 'images/a3/f7'), { recursive: true });
+    fs.writeFileSync(path.join(TMP_ROOT, GOOD_SOURCE), await sharp({
         create: { width: 64, height: 64, channels: 3, background: { r: 10, g: 20, b: 30 } }
     }).png().toBuffer());
-    fs.writeFileSync(GARBAGE_SOURCE, 'this is definitely not an image');
+    fs.writeFileSync(path.join(TMP_ROOT, GARBAGE_SOURCE), 'this is definitely not an image');
 });
 
 afterAll(() => {
@@ -63,8 +64,7 @@ afterAll(() => {
 });
 
 beforeEach(() => {
-    set_source(vi.fn().mockResolvedValue(GOOD_SOURCE));
-    set_record(found({ uuid: UUID, media_type: 'image', storage_path: 'images/a3/f7/good.png', updated: '2026-06-16T10:00:00Z' }));
+    set_source(GOOD_SOURCE);
 });
 
 describe('get_image — failure statuses', () => {
@@ -81,7 +81,7 @@ describe('get_image — failure statuses', () => {
     });
 
     it('unsupported rotation -> 400', async () => {
-        const r = await IIIF_SERVICE.get_image(UUID, 'full', 'max', '90', 'default.jpg');
+        const r = await IIIF_SERVICE.get_image(UUID, 'full', 'max', '45', 'default.jpg');
         expect(r.status).toBe(400);
     });
 
@@ -92,14 +92,14 @@ describe('get_image — failure statuses', () => {
     });
 
     it('image source not available -> 404', async () => {
-        set_source(vi.fn().mockRejectedValue(new Error('ENOENT')));
+        set_source(MISSING_SOURCE);
         const r = await IIIF_SERVICE.get_image(UUID, 'full', 'max', '0', 'default.jpg');
         expect(r.success).toBe(false);
         expect(r.status).toBe(404);
     });
 
     it('processing failure (corrupt source) -> 500', async () => {
-        set_source(vi.fn().mockResolvedValue(GARBAGE_SOURCE));
+        set_source(GARBAGE_SOURCE);
         const r = await IIIF_SERVICE.get_image(UUID, 'full', 'max', '0', 'default.jpg');
         expect(r.success).toBe(false);
         expect(r.status).toBe(500);
@@ -0,0 +1,298 @@
+/**
+ * Unit tests for Index_job_tasks
+ *
+ * Copyright 2026 University of Denver
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+const Index_job_tasks = require('../../exhibits/tasks/index_job_tasks');
+
+// Mock dependencies - MUST be identical across all test files to avoid conflicts
+jest.mock('../../libs/log4', () => ({
+    module: () => ({
+        error: jest.fn(),
+        warn: jest.fn(),
+        info: jest.fn(),
+        debug: jest.fn()
+    })
+}));
+
+jest.mock('../../libs/helper');
+
+describe('Index_job_tasks', () => {
+    let mockDB;
+    let queries;
+    let jobTasks;
+    const jobUUID = '550e8400-e29b-41d4-a716-446655440000';
+    const itemUUID = '660e8400-e29b-41d4-a716-446655440001';
+    const now = new Date('2026-10-19T12:00:00Z');
+
+    const createMockQuery = () => {
+        const query = {
+            select: jest.fn().mockReturnThis(),
+            where: jest.fn((arg) => {
+                if (typeof arg === 'function') {
+                    arg(query);
+                }
+                return query;
+            }),
+            andWhere: jest.fn().mockReturnThis(),
+            orWhere: jest.fn((arg) => {
+                arg(query);
+                return query;
+            }),
+            whereIn: jest.fn().mockReturnThis(),
+            forUpdate: jest.fn().mockReturnThis(),
+            first: jest.fn().mockReturnThis(),
+            orderBy: jest.fn().mockReturnThis(),
+            limit: jest.fn().mockReturnThis(),
+            count: jest.fn().mockReturnThis(),
+            groupBy: jest.fn().mockReturnThis(),
+            insert: jest.fn().mockReturnThis(),
+            update: jest.fn().mockReturnThis(),
+            delete: jest.fn().mockReturnThis(),
+            timeout: jest.fn().mockResolvedValue([])
+        };
+        return query;
+    };
+
+    // The next query created resolves to `value`
+    const nextResolves = (value) => {
+        mockDB.mockImplementationOnce(() => {
+            const query = createMockQuery();
+            query.timeout.mockResolvedValueOnce(value);
+            queries.push(query);
+            return query;
+        });
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        queries = [];
+        mockDB = jest.fn(() => {
+            const query = createMockQuery();
+            queries.push(query);
+            return query;
+        });
+        mockDB.transaction = jest.fn(async (callback) => callback(mockDB));
+        mockDB.raw = jest.fn((sql) => sql);
+
+        jobTasks = new Index_job_tasks(mockDB, {
+            index_job_records: 'tbl_index_jobs',
+            item_records: 'tbl_standard_items'
+        });
+    });
+
+    describe('enqueue_job', () => {
+        const job = {dedupe_key: `item:${itemUUID}`, type: 'publish_item', payload: {uuid: itemUUID}, run_at: now};
+
+        test('inserts a pending job when none is waiting under the key', async () => {
+            nextResolves(undefined);
+
+            const result = await jobTasks.enqueue_job(job);
+
+            expect(result.coalesced).toBe(false);
+            expect(queries[0].where).toHaveBeenCalledWith({dedupe_key: `item:${itemUUID}`, status: 'pending'});
+            expect(queries[0].forUpdate).toHaveBeenCalled();
+            expect(queries[1].insert).toHaveBeenCalledWith({
+                uuid: result.uuid,
+                dedupe_key: `item:${itemUUID}`,
+                status: 'pending',
+                type: 'publish_item',
+                payload: JSON.stringify({uuid: itemUUID}),
+                run_at: now,
+                attempts: 0,
+                last_error: null
+            });
+        });
+
+        test('replaces the work of the pending job under the same key', async () => {
+            nextResolves({uuid: jobUUID});
+
+            const result = await jobTasks.enqueue_job(job);
+
+            expect(result).toEqual({uuid: jobUUID, coalesced: true});
+            expect(queries[1].where).toHaveBeenCalledWith({uuid: jobUUID});
+            expect(queries[1].update).toHaveBeenCalledWith(expect.objectContaining({run_at: now, attempts: 0}));
+            expect(queries[1].insert).not.toHaveBeenCalled();
+        });
+
+        test('coalesces when another enqueue inserted the pending job first', async () => {
+            const duplicate = Object.assign(new Error('Duplicate entry'), {code: 'ER_DUP_ENTRY'});
+            mockDB.transaction
+                .mockImplementationOnce(async () => { throw duplicate; })
+                .mockImplementationOnce(async (callback) => callback(mockDB));
+            nextResolves({uuid: jobUUID});
+
+            await expect(jobTasks.enqueue_job(job)).resolves.toEqual({uuid: jobUUID, coalesced: true});
+            expect(mockDB.transaction).toHaveBeenCalledTimes(2);
+        });
+
+        test('gives up on a key after repeated conflicts', async () => {
+            const duplicate = Object.assign(new Error('Duplicate entry'), {code: 'ER_DUP_ENTRY'});
+            mockDB.transaction.mockRejectedValue(duplicate);
+
+            await expect(jobTasks.enqueue_job(job)).rejects.toThrow('Duplicate entry');
+            expect(mockDB.transaction).toHaveBeenCalledTimes(3);
+        });
+
+        test('throws when the table is not configured', async () => {
+            jobTasks = new Index_job_tasks(mockDB, {});
+
+            await expect(jobTasks.enqueue_job(job)).rejects.toThrow('Table name "index_job_records" is not defined');
+        });
+    });
+
+    describe('lease_jobs', () => {
+        test('claims due and expired jobs for the worker and counts an attempt', async () => {
+            nextResolves([{uuid: jobUUID, type: 'index_item', dedupe_key: `item:${itemUUID}`, payload: '{"uuid":"x"}', attempts: 2}]);
+
+            const jobs = await jobTasks.lease_jobs('host:1', now, 60000, 10);
+
+            expect(jobs).toEqual([{uuid: jobUUID, type: 'index_item', dedupe_key: `item:${itemUUID}`, payload: {uuid: 'x'}, attempts: 3}]);
+            expect(queries[0].where).toHaveBeenCalledWith({status: 'pending'});
+            expect(queries[0].andWhere).toHaveBeenCalledWith('run_at', '<=', now);
+            expect(queries[0].where).toHaveBeenCalledWith({status: 'running'});
+            expect(queries[0].andWhere).toHaveBeenCalledWith('leased_until', '<', now);
+            expect(queries[0].limit).toHaveBeenCalledWith(10);
+            expect(queries[1].update).toHaveBeenCalledWith({
+                status: 'running',
+                attempts: 3,
+                leased_until: new Date(now.getTime() + 60000),
+                lease_owner: 'host:1'
+            });
+        });
+    });
+
+    describe('complete_job / fail_job', () => {
+        test('deletes a finished job only while the worker holds it', async () => {
+            nextResolves(0);
+
+            await expect(jobTasks.complete_job(jobUUID, 'host:1')).resolves.toBe(false);
+            expect(queries[0].where).toHaveBeenCalledWith({uuid: jobUUID, status: 'running', lease_owner: 'host:1'});
+            expect(queries[0].delete).toHaveBeenCalled();
+        });
+
+        test('puts a failed job back with its next run time', async () => {
+            const retry_at = new Date(now.getTime() + 5000);
+            nextResolves({dedupe_key: `item:${itemUUID}`});
+            nextResolves(undefined);
+
+            await expect(jobTasks.fail_job(jobUUID, 'host:1', 'ES down', retry_at)).resolves.toBe(true);
+            expect(queries[0].where).toHaveBeenCalledWith({uuid: jobUUID, status: 'running', lease_owner: 'host:1'});
+            expect(queries[0].forUpdate).toHaveBeenCalled();
+            expect(queries[1].where).toHaveBeenCalledWith({dedupe_key: `item:${itemUUID}`, status: 'pending'});
+            expect(queries[2].update).toHaveBeenCalledWith({
+                status: 'pending',
+                run_at: retry_at,
+                leased_until: null,
+                lease_owner: null,
+                last_error: 'ES down'
+            });
+        });
+
+        test('removes a failed job when newer work is already pending under its key', async () => {
+            nextResolves({dedupe_key: `item:${itemUUID}`});
+            nextResolves({uuid: itemUUID});
+
+            await expect(jobTasks.fail_job(jobUUID, 'host:1', 'ES down', now)).resolves.toBe(true);
+            expect(queries[2].where).toHaveBeenCalledWith({uuid: jobUUID});
+            expect(queries[2].delete).toHaveBeenCalled();
+            expect(queries[2].update).not.toHaveBeenCalled();
+        });
+
+        test('marks a job dead when there is no next run', async () => {
+            nextResolves({dedupe_key: `item:${itemUUID}`});
+
+            await jobTasks.fail_job(jobUUID, 'host:1', 'x'.repeat(1200), null);
+
+            const update = queries[1].update.mock.calls[0][0];
+            expect(update.status).toBe('dead');
+            expect(update).not.toHaveProperty('run_at');
+            expect(update.last_error).toHaveLength(1000);
+        });
+
+        test('leaves a job the worker no longer holds', async () => {
+            nextResolves(undefined);
+
+            await expect(jobTasks.fail_job(jobUUID, 'host:1', 'ES down', now)).resolves.toBe(false);
+            expect(queries).toHaveLength(1);
+        });
+    });
+
+    describe('get_jobs / get_job_counts', () => {
+        test('lists jobs of one status with their payload parsed', async () => {
+            nextResolves([{uuid: jobUUID, status: 'dead', payload: '{"uuid":"x"}'}, {uuid: itemUUID, status: 'dead', payload: 'not json'}]);
+
+            const jobs = await jobTasks.get_jobs('dead', 50);
+
+            expect(jobs.map((job) => job.payload)).toEqual([{uuid: 'x'}, {}]);
+            expect(queries[0].where).toHaveBeenCalledWith({status: 'dead'});
+            expect(queries[0].limit).toHaveBeenCalledWith(50);
+        });
+
+        test('splits pending jobs that have failed before into retrying', async () => {
+            nextResolves([
+                {status: 'pending', failed: '2', count: 5},
+                {status: 'dead', failed: '1', count: 1}
+            ]);
+
+            await expect(jobTasks.get_job_counts()).resolves.toEqual({pending: 3, retrying: 2, running: 0, dead: 1});
+        });
+    });
+
+    describe('retry_job', () => {
+        test('requeues a dead or waiting job with its attempts reset', async () => {
+            nextResolves({dedupe_key: `item:${itemUUID}`, status: 'dead'});
+            nextResolves(undefined);
+
+            await expect(jobTasks.retry_job(jobUUID, now)).resolves.toBe(true);
+            expect(queries[0].whereIn).toHaveBeenCalledWith('status', ['dead', 'pending']);
+            expect(queries[0].forUpdate).toHaveBeenCalled();
+            expect(queries[2].where).toHaveBeenCalledWith({uuid: jobUUID});
+            expect(queries[2].update).toHaveBeenCalledWith({status: 'pending', attempts: 0, run_at: now, last_error: null});
+        });
+
+        test('brings the pending job forward in place of a dead job with the same key', async () => {
+            nextResolves({dedupe_key: `item:${itemUUID}`, status: 'dead'});
+            nextResolves({uuid: itemUUID});
+
+            await expect(jobTasks.retry_job(jobUUID, now)).resolves.toBe(true);
+            expect(queries[2].where).toHaveBeenCalledWith({uuid: jobUUID});
+            expect(queries[2].delete).toHaveBeenCalled();
+            expect(queries[3].where).toHaveBeenCalledWith({uuid: itemUUID});
+            expect(queries[3].update).toHaveBeenCalledWith({status: 'pending', attempts: 0, run_at: now, last_error: null});
+        });
+
+        test('returns false when there is no such job waiting', async () => {
+            nextResolves(undefined);
+
+            await expect(jobTasks.retry_job(jobUUID, now)).resolves.toBe(false);
+            expect(queries).toHaveLength(1);
+        });
+
+        test('rejects an invalid UUID', async () => {
+            await expect(jobTasks.retry_job('bad', now)).rejects.toThrow('Invalid job UUID format');
+        });
+    });
+
+    describe('is_record_published', () => {
+        test('reads the publish flag of a live record', async () => {
+            nextResolves({is_published: 1});
+
+            await expect(jobTasks.is_record_published('item', itemUUID)).resolves.toBe(true);
+            expect(mockDB).toHaveBeenCalledWith('tbl_standard_items');
+            expect(queries[0].where).toHaveBeenCalledWith({uuid: itemUUID, is_deleted: 0});
+        });
+
+        test('is false for a deleted or missing record, and throws on an unknown type', async () => {
+            nextResolves(undefined);
+
+            await expect(jobTasks.is_record_published('item', itemUUID)).resolves.toBe(false);
+            await expect(jobTasks.is_record_published('page', itemUUID)).rejects.toThrow('Invalid record type: page');
+        });
+    });
+});
@@ -0,0 +1,41 @@
+'use strict';
+
+/**
+ * Timeline items are indexed with their EDTF display date and the span it
+ * covers, as an Elasticsearch date_range the frontend can filter on.
+ */
+
+process.env.API_URL = process.env.API_URL || 'http://localhost:8004';
+process.env.APP_PATH = process.env.APP_PATH || '/exhibits-dashboard';
+
+const {construct_item_index_record} = require('../../indexer/indexer_helper');
+
+const timeline_item = (date) => construct_item_index_record({
+    uuid: '9a8403ea-6016-4942-a611-a07140106c4f',
+    is_member_of_exhibit: 'e5b0c3d2-0000-4000-8000-000000000000',
+    type: 'item',
+    item_type: 'text',
+    order: 1,
+    is_published: 1,
+    date
+});
+
+describe('construct_item_index_record date_range', () => {
+
+    test('an approximate year spans the whole year and keeps its display string', () => {
+        const doc = timeline_item('1920~');
+        expect(doc.date).toBe('1920~');
+        expect(doc.date_range).toEqual({gte: '1920-01-01', lte: '1920-12-31'});
+    });
+
+    test('an open interval leaves that side unbounded', () => {
+        expect(timeline_item('1861/..').date_range).toEqual({gte: '1861-01-01'});
+        expect(timeline_item('../1865').date_range).toEqual({lte: '1865-12-31'});
+    });
+
+    test('items without a usable date have no range', () => {
+        expect(timeline_item(null).date_range).toBeNull();
+        expect(timeline_item('').date_range).toBeNull();
+        expect(timeline_item('Spring, long ago').date_range).toBeNull();
+    });
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+/**
+ * Index definitions: analysis settings are sent when an index is created,
+ * and every index records the mapping version it was built with, so the
+ * server can tell an index built from older definitions and rebuild it.
+ */
+
+vi.mock('../../libs/log4', () => ({
+    module: () => ({ error: vi.fn(), warn: vi.fn(), info: vi.fn(), debug: vi.fn() })
+}));
+
+const MAPPINGS = require('../../indexer/mappings.json');
+const SETTINGS = require('../../indexer/index_settings.json');
+const Indexer_index_utils_tasks = require('../../indexer/tasks/indexer_index_utils_tasks');
+
+const INDEX = 'exhibits_test';
+const CONFIG = { elasticsearch_shards: 1, elasticsearch_replicas: 0 };
+
+function build(indices = {}) {
+    const client = {
+        indices: {
+            create: vi.fn(async ({ index }) => ({ acknowledged: true, shards_acknowledged: true, index })),
+            putMapping: vi.fn(async () => ({ acknowledged: true })),
+            ...indices
+        }
+    };
+    return { tasks: new Indexer_index_utils_tasks(INDEX, client, { ...CONFIG }), client };
+}
+
+/**
+ * Collects every analyzer a mapping (and its multi-fields) refers to
+ * @param {Object} properties - Mapping properties
+ * @returns {Set<string>}
+ */
+const referenced_analyzers = (properties, found = new Set()) => {
+    Object.values(properties).forEach((field) => {
+        ['analyzer', 'search_analyzer'].forEach((key) => field[key] && found.add(field[key]));
+        [field.properties, field.fields].forEach((nested) => nested && referenced_analyzers(nested, found));
+    });
+    return found;
+};
+
+describe('index definitions', () => {
+
+    // _with_timeout() leaves a timer behind for each call
+    beforeEach(() => vi.useFakeTimers());
+    afterEach(() => vi.useRealTimers());
+
+    test('every analyzer the mappings use is built in or defined in index_settings.json', () => {
+        const built_in = ['standard', 'simple', 'whitespace', 'keyword', 'english'];
+        const missing = [...referenced_analyzers(MAPPINGS)]
+            .filter((name) => !built_in.includes(name) && !SETTINGS.analysis.analyzer[name]);
+
+        expect(missing).toEqual([]);
+    });
+
+    test('the mapping version is a stable fingerprint of the definitions', async () => {
+        const first = await build().tasks.get_mapping_version();
+        const second = await build().tasks.get_mapping_version();
+
+        expect(first).toMatch(/^[0-9a-f]{12}$/);
+        expect(second).toBe(first);
+    });
+
+    test('the mapping version changes with the analysis settings', async () => {
+        const { tasks } = build();
+        const before = await tasks.get_mapping_version();
+
+        tasks._analysis_cache = { ...SETTINGS.analysis, normalizer: { folded: { type: 'custom', filter: ['lowercase'] } } };
+
+        expect(await tasks.get_mapping_version()).not.toBe(before);
+    });
+
+    test('creates the index with the analysis settings and stamps the mapping version', async () => {
+        const { tasks, client } = build();
+
+        await tasks.create_index();
+        const mapping_result = await tasks.create_mappings();
+
+        expect(client.indices.create.mock.calls[0][0].body.settings.analysis).toEqual(SETTINGS.analysis);
+        const body = client.indices.putMapping.mock.calls[0][0].body;
+        expect(body._meta.mapping_version).toBe(await tasks.get_mapping_version());
+        expect(body.properties).toEqual(MAPPINGS);
+        expect(mapping_result.mapping_version).toBe(body._meta.mapping_version);
+    });
+
+    test('reads the version of the index an alias points at, null for an unversioned one', async () => {
+        const versioned = build({
+            getMapping: vi.fn(async () => ({ exhibits_test_20261019120000: { mappings: { _meta: { mapping_version: 'abc123abc123' } } } }))
+        });
+        const legacy = build({
+            getMapping: vi.fn(async () => ({ exhibits_test: { mappings: { properties: {} } } }))
+        });
+
+        expect(await versioned.tasks.get_index_mapping_version()).toEqual({
+            success: true, index: 'exhibits_test_20261019120000', mapping_version: 'abc123abc123'
+        });
+        expect(await legacy.tasks.get_index_mapping_version()).toMatchObject({ success: true, mapping_version: null });
+    });
+
+    test('reports a failure reading the mapping', async () => {
+        const { tasks } = build({
+            getMapping: vi.fn(async () => { throw new Error('connection refused'); })
+        });
+
+        expect(await tasks.get_index_mapping_version()).toMatchObject({ success: false, error: 'connection refused' });
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * Unit tests for reindex_container_record — rebuilds a grid or timeline doc
+ * from the database with only its published items, without publishing the
+ * rest (bulk publish/suppress relies on this).
+ *
+ * Copyright 2026 University of Denver
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+// Mock dependencies - MUST be identical across all test files to avoid conflicts
+jest.mock('../../libs/log4', () => {
+    const mockLogger = {
+        error: jest.fn(),
+        warn: jest.fn(),
+        info: jest.fn(),
+        debug: jest.fn()
+    };
+    return {
+        module: jest.fn(() => mockLogger)
+    };
+});
+
+const {reindex_container_record} = require('../../indexer/indexer_helper');
+
+describe('reindex_container_record', () => {
+
+    const EXHIBIT_ID = '550e8400-e29b-41d4-a716-446655440000';
+    const GRID_ID = '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+
+    const make_config = (record, items) => {
+        const record_task = {
+            get_grid_record: jest.fn().mockResolvedValue(record),
+            get_grid_item_records: jest.fn().mockResolvedValue(items)
+        };
+        const index_tasks = {index_record: jest.fn().mockResolvedValue({success: true})};
+
+        return {
+            exhibit_id: EXHIBIT_ID,
+            container_id: GRID_ID,
+            record_task,
+            get_record_method: 'get_grid_record',
+            get_items_method: 'get_grid_item_records',
+            construct_parent: jest.fn((parent) => ({uuid: parent.uuid, items: parent.items})),
+            index_tasks,
+            label: 'Grid'
+        };
+    };
+
+    test('indexes the container with only its published items', async () => {
+        const config = make_config({uuid: GRID_ID}, [
+            {uuid: 'a', is_published: 1, order: 1},
+            {uuid: 'b', is_published: 0, order: 2}
+        ]);
+
+        const result = await reindex_container_record(config);
+
+        expect(result).toBe(true);
+        const doc = config.index_tasks.index_record.mock.calls[0][0];
+        expect(doc.items.map((item) => item.uuid)).toEqual(['a']);
+        expect(config.record_task.get_grid_item_records).toHaveBeenCalledWith(EXHIBIT_ID, GRID_ID);
+    });
+
+    test('returns false without indexing when the container is gone', async () => {
+        const config = make_config(null, []);
+
+        await expect(reindex_container_record(config)).resolves.toBe(false);
+        expect(config.index_tasks.index_record).not.toHaveBeenCalled();
+    });
+
+    test('returns false for an invalid UUID', async () => {
+        const config = {...make_config({uuid: GRID_ID}, []), container_id: 'not-a-uuid'};
+
+        await expect(reindex_container_record(config)).resolves.toBe(false);
+        expect(config.record_task.get_grid_record).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * Subjects are indexed as keyword facets split into topical, geographic and
+ * genre, alongside the existing subjects/media_subjects text fields.
+ */
+
+process.env.API_URL = process.env.API_URL || 'http://localhost:8004';
+process.env.APP_PATH = process.env.APP_PATH || '/exhibits-dashboard';
+
+const {
+    build_subject_facets,
+    construct_item_index_record,
+    construct_exhibit_index_record,
+    construct_grid_index_record
+} = require('../../indexer/indexer_helper');
+
+const EXHIBIT_UUID = 'e5b0c3d2-0000-4000-8000-000000000000';
+
+describe('build_subject_facets', () => {
+
+    test('record subjects and media topics are topical; places and genre/form are split out', () => {
+        expect(build_subject_facets(['Mining'], {
+            topics: ['Railroads'],
+            places: ['Denver (Colo.)'],
+            genre_form: ['Photographs']
+        })).toEqual({
+            topical: ['Mining', 'Railroads'],
+            geographic: ['Denver (Colo.)'],
+            genre: ['Photographs']
+        });
+    });
+
+    test('trims terms and drops duplicates that differ only in case, accents or spacing', () => {
+        const facets = build_subject_facets([' Mining ', 'mining', 'Café  culture'], {topics: ['Cafe culture']});
+        expect(facets.topical).toEqual(['Mining', 'Café culture']);
+    });
+
+    test('empty groups are null', () => {
+        expect(build_subject_facets(null, null)).toEqual({topical: null, geographic: null, genre: null});
+        expect(build_subject_facets(['  '], {places: []})).toEqual({topical: null, geographic: null, genre: null});
+    });
+});
+
+describe('index records', () => {
+
+    test('an item carries facets from its own subjects and its media library subjects', () => {
+        const doc = construct_item_index_record({
+            uuid: '9a8403ea-6016-4942-a611-a07140106c4f',
+            is_member_of_exhibit: EXHIBIT_UUID,
+            type: 'item',
+            item_type: 'image',
+            item_subjects: 'Mining|Labor',
+            media_topics_subjects: 'Labor|Unions',
+            media_places_subjects: 'Leadville (Colo.)',
+            media_genre_form_subjects: 'Photographs'
+        });
+
+        expect(doc.subjects).toEqual(['Mining', 'Labor']);
+        expect(doc.subject_facets).toEqual({
+            topical: ['Mining', 'Labor', 'Unions'],
+            geographic: ['Leadville (Colo.)'],
+            genre: ['Photographs']
+        });
+    });
+
+    test('an exhibit takes its geographic and genre facets from the hero image', () => {
+        const doc = construct_exhibit_index_record({
+            uuid: EXHIBIT_UUID,
+            type: 'exhibit',
+            title: 'Mining the West',
+            exhibit_subjects: 'Mining',
+            hero_places_subjects: 'Colorado',
+            hero_genre_form_subjects: 'Maps'
+        });
+
+        expect(doc.subject_facets).toEqual({topical: ['Mining'], geographic: ['Colorado'], genre: ['Maps']});
+        expect(doc.media_subjects).toEqual({topics: null, genre_form: ['Maps'], places: ['Colorado']});
+    });
+
+    test('a grid has topical facets only', () => {
+        const doc = construct_grid_index_record({
+            uuid: '11111111-1111-4111-8111-111111111111',
+            is_member_of_exhibit: EXHIBIT_UUID,
+            type: 'grid',
+            item_subjects: 'Mining'
+        });
+
+        expect(doc.subject_facets).toEqual({topical: ['Mining'], geographic: null, genre: null});
+    });
+});
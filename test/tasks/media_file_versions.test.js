@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * File versions for in-place replacement (media-library/uploads).
+ *
+ *  - archive_stored_file moves an original with its pyramid, text sidecar and
+ *    thumbnail into versions/<b1>/<b2>/<uuid>/v<N>/ and clears the old paths;
+ *  - restore_archived_file puts them back;
+ *  - store_file with {uuid} stores the replacement under the record's UUID.
+ *
+ * Uploads runs for real against a throwaway STORAGE_PATH (set BEFORE require).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+vi.mock('../../libs/log4', () => ({
+    module: () => ({ info: vi.fn(), error: vi.fn(), warn: vi.fn(), debug: vi.fn() })
+}));
+
+const TMP_ROOT = path.join(os.tmpdir(), `media-version-test-${process.pid}-${Date.now()}`);
+process.env.STORAGE_PATH = TMP_ROOT;
+
+const UPLOADS = require('../../media-library/uploads');
+
+const RECORD_UUID = '3f2a9c1e-7b4d-4e8a-9c2f-1a2b3c4d5e6f';
+const FILE_UUID = 'a3f7b2c1-89d4-4e2a-b5c6-1234abcd5678';
+
+const ORIGINAL = `images/a3/f7/${FILE_UUID}.jpg`;
+const PYRAMID = `images/a3/f7/${FILE_UUID}_pyramid.tif`;
+const THUMBNAIL = `thumbnails/a3/f7/${FILE_UUID}_thumb.jpg`;
+
+const absolute = (relative) => path.join(TMP_ROOT, relative);
+
+const write = (relative, content) => {
+    fs.mkdirSync(path.dirname(absolute(relative)), { recursive: true });
+    fs.writeFileSync(absolute(relative), content);
+};
+
+beforeEach(() => {
+    fs.rmSync(TMP_ROOT, { recursive: true, force: true });
+    write(ORIGINAL, 'original');
+    write(PYRAMID, 'pyramid');
+    write(THUMBNAIL, 'thumbnail');
+});
+
+afterAll(async () => {
+    fs.rmSync(TMP_ROOT, { recursive: true, force: true });
+    await UPLOADS.shutdown_exiftool();
+});
+
+describe('archive_stored_file', () => {
+
+    it('moves the original, its derivatives and thumbnail into the version directory', async () => {
+        const archive = await UPLOADS.archive_stored_file(ORIGINAL, THUMBNAIL, RECORD_UUID, 2);
+        const version_dir = `versions/3f/2a/${RECORD_UUID}/v2`;
+
+        expect(archive.storage_path).toBe(`${version_dir}/${FILE_UUID}.jpg`);
+        expect(archive.thumbnail_path).toBe(`${version_dir}/${FILE_UUID}_thumb.jpg`);
+        expect(fs.readFileSync(absolute(archive.storage_path), 'utf8')).toBe('original');
+        expect(fs.readFileSync(absolute(`${version_dir}/${FILE_UUID}_pyramid.tif`), 'utf8')).toBe('pyramid');
+
+        // The missing text sidecar is skipped; emptied buckets are pruned
+        expect(archive.moved).toHaveLength(3);
+        expect(fs.existsSync(absolute('images/a3'))).toBe(false);
+        expect(fs.existsSync(absolute('thumbnails/a3'))).toBe(false);
+    });
+
+    it('fails without moving anything when the original is missing', async () => {
+        fs.unlinkSync(absolute(ORIGINAL));
+
+        await expect(UPLOADS.archive_stored_file(ORIGINAL, THUMBNAIL, RECORD_UUID, 1)).rejects.toThrow();
+        expect(fs.existsSync(absolute(PYRAMID))).toBe(true);
+        expect(fs.existsSync(absolute(THUMBNAIL))).toBe(true);
+    });
+
+    it('refuses paths outside storage', async () => {
+        await expect(UPLOADS.archive_stored_file('../outside.jpg', null, RECORD_UUID, 1)).rejects.toThrow(/Path traversal/);
+    });
+});
+
+describe('restore_archived_file', () => {
+
+    it('puts every archived file back where it was', async () => {
+        const archive = await UPLOADS.archive_stored_file(ORIGINAL, THUMBNAIL, RECORD_UUID, 1);
+
+        await UPLOADS.restore_archived_file(archive);
+
+        expect(fs.readFileSync(absolute(ORIGINAL), 'utf8')).toBe('original');
+        expect(fs.readFileSync(absolute(PYRAMID), 'utf8')).toBe('pyramid');
+        expect(fs.readFileSync(absolute(THUMBNAIL), 'utf8')).toBe('thumbnail');
+        expect(archive.moved).toEqual([]);
+    });
+});
+
+describe('store_file with an existing UUID', () => {
+
+    it('stores the replacement and its thumbnail under the record UUID', async () => {
+        const buffer = await sharp({
+            create: { width: 64, height: 48, channels: 3, background: { r: 200, g: 80, b: 40 } }
+        }).jpeg().toBuffer();
+
+        const stored = await UPLOADS.store_file(buffer, 'better-scan.jpg', 'image/jpeg', { uuid: RECORD_UUID });
+
+        expect(stored.uuid).toBe(RECORD_UUID);
+        expect(stored.storage_path).toBe(`images/3f/2a/${RECORD_UUID}.jpg`);
+        expect(stored.thumbnail_path).toBe(`thumbnails/3f/2a/${RECORD_UUID}_thumb.jpg`);
+        expect(stored).toMatchObject({ media_width: 64, media_height: 48 });
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * Unit tests for Media_ingest_job_tasks
+ *
+ * Copyright 2026 University of Denver
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+const Media_ingest_job_tasks = require('../../media-library/tasks/media_ingest_job_tasks');
+
+// Mock dependencies - MUST be identical across all test files to avoid conflicts
+jest.mock('../../libs/log4', () => ({
+    module: () => ({
+        error: jest.fn(),
+        warn: jest.fn(),
+        info: jest.fn(),
+        debug: jest.fn()
+    })
+}));
+
+jest.mock('../../libs/helper');
+
+describe('Media_ingest_job_tasks', () => {
+    let mockDB;
+    let queries;
+    let jobTasks;
+    const jobUUID = '550e8400-e29b-41d4-a716-446655440000';
+
+    const createMockQuery = () => ({
+        select: jest.fn().mockReturnThis(),
+        where: jest.fn().mockReturnThis(),
+        first: jest.fn().mockReturnThis(),
+        orderBy: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        insert: jest.fn().mockReturnThis(),
+        update: jest.fn().mockReturnThis(),
+        timeout: jest.fn().mockResolvedValue([])
+    });
+
+    const nextResolves = (value) => {
+        mockDB.mockImplementationOnce(() => {
+            const query = createMockQuery();
+            query.timeout.mockResolvedValueOnce(value);
+            queries.push(query);
+            return query;
+        });
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        queries = [];
+        mockDB = jest.fn(() => {
+            const query = createMockQuery();
+            queries.push(query);
+            return query;
+        });
+
+        jobTasks = new Media_ingest_job_tasks(mockDB, {media_ingest_job_records: 'tbl_media_ingest_jobs'});
+    });
+
+    describe('create_job', () => {
+        test('inserts a queued job with empty results', async () => {
+            await jobTasks.create_job({uuid: jobUUID, archive_name: 'batch.zip', username: 'curator'});
+
+            expect(mockDB).toHaveBeenCalledWith('tbl_media_ingest_jobs');
+            expect(queries[0].insert).toHaveBeenCalledWith({
+                uuid: jobUUID,
+                status: 'queued',
+                archive_name: 'batch.zip',
+                manifest_name: null,
+                results: '[]',
+                username: 'curator'
+            });
+        });
+
+        test('throws when the table is not configured', async () => {
+            jobTasks = new Media_ingest_job_tasks(mockDB, {});
+
+            await expect(jobTasks.create_job({uuid: jobUUID})).rejects.toThrow();
+            expect(mockDB).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('update_job', () => {
+        test('stores results as JSON alongside the counters', async () => {
+            const results = [{file: 'a.jpg', status: 'created', uuid: 'x', message: null}];
+
+            await jobTasks.update_job(jobUUID, {processed: 1, created_count: 1, results});
+
+            expect(queries[0].where).toHaveBeenCalledWith({uuid: jobUUID});
+            expect(queries[0].update).toHaveBeenCalledWith({processed: 1, created_count: 1, results: JSON.stringify(results)});
+        });
+    });
+
+    describe('get_job', () => {
+        test('parses the stored results', async () => {
+            nextResolves({uuid: jobUUID, status: 'completed', results: '[{"file":"a.jpg","status":"created"}]'});
+
+            const job = await jobTasks.get_job(jobUUID);
+
+            expect(job.results).toEqual([{file: 'a.jpg', status: 'created'}]);
+        });
+
+        test('returns null for an unknown job and [] for unreadable results', async () => {
+            nextResolves(undefined);
+            expect(await jobTasks.get_job(jobUUID)).toBeNull();
+
+            nextResolves({uuid: jobUUID, results: 'not json'});
+            expect((await jobTasks.get_job(jobUUID)).results).toEqual([]);
+        });
+    });
+
+    describe('get_jobs_by_user', () => {
+        test('lists one user\'s jobs newest first, without results', async () => {
+            nextResolves([{uuid: jobUUID}]);
+
+            const jobs = await jobTasks.get_jobs_by_user('curator', 10);
+
+            expect(jobs).toEqual([{uuid: jobUUID}]);
+            expect(queries[0].where).toHaveBeenCalledWith({username: 'curator'});
+            expect(queries[0].select.mock.calls[0][0]).not.toContain('results');
+            expect(queries[0].orderBy).toHaveBeenCalledWith([{column: 'created', order: 'desc'}, {column: 'id', order: 'desc'}]);
+            expect(queries[0].limit).toHaveBeenCalledWith(10);
+        });
+    });
+});
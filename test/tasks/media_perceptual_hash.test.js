@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * Content and perceptual hashes (media-library/uploads).
+ *
+ *  - compute_perceptual_hash keeps resized and recompressed copies of an image
+ *    within a few bits, and different images far apart;
+ *  - store_file returns the SHA-256 and perceptual hash of an uploaded image,
+ *    and hash_stored_media recomputes the same pair from the stored file.
+ *
+ * Uploads runs for real against a throwaway STORAGE_PATH (set BEFORE require).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+vi.mock('../../libs/log4', () => ({
+    module: () => ({ info: vi.fn(), error: vi.fn(), warn: vi.fn(), debug: vi.fn() })
+}));
+
+const TMP_ROOT = path.join(os.tmpdir(), `media-hash-test-${process.pid}-${Date.now()}`);
+process.env.STORAGE_PATH = TMP_ROOT;
+
+const UPLOADS = require('../../media-library/uploads');
+
+const WIDTH = 240;
+const HEIGHT = 160;
+
+// Greyscale scene: a horizontal gradient with a dark block, placed per `variant`
+const build_scene = (variant) => {
+
+    const pixels = Buffer.alloc(WIDTH * HEIGHT);
+
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            const in_block = variant === 'left'
+                ? x > 30 && x < 100 && y > 40 && y < 120
+                : x > 140 && x < 220 && y > 10 && y < 70;
+            const gradient = variant === 'left' ? x : WIDTH - x;
+            pixels[y * WIDTH + x] = in_block ? 20 : Math.round(60 + gradient * 0.8);
+        }
+    }
+
+    return sharp(pixels, { raw: { width: WIDTH, height: HEIGHT, channels: 1 } });
+};
+
+const distance = (a, b) => {
+    let bits = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let count = 0;
+    while (bits) {
+        count += Number(bits & 1n);
+        bits >>= 1n;
+    }
+    return count;
+};
+
+afterAll(async () => {
+    await UPLOADS.shutdown_exiftool().catch(() => {});
+    fs.rmSync(TMP_ROOT, { recursive: true, force: true });
+});
+
+describe('perceptual hash', () => {
+
+    it('is 64 bits in hex', async () => {
+        const hash = await UPLOADS.compute_perceptual_hash(await build_scene('left').png().toBuffer());
+
+        expect(hash).toMatch(/^[0-9a-f]{16}$/);
+    });
+
+    it('stays close for a resized, recompressed copy', async () => {
+        const original = await UPLOADS.compute_perceptual_hash(await build_scene('left').png().toBuffer());
+        const copy = await UPLOADS.compute_perceptual_hash(
+            await build_scene('left').resize(120, 80).jpeg({ quality: 40 }).toBuffer()
+        );
+
+        expect(distance(original, copy)).toBeLessThanOrEqual(4);
+    });
+
+    it('is far apart for a different image', async () => {
+        const left = await UPLOADS.compute_perceptual_hash(await build_scene('left').png().toBuffer());
+        const right = await UPLOADS.compute_perceptual_hash(await build_scene('right').png().toBuffer());
+
+        expect(distance(left, right)).toBeGreaterThan(10);
+    });
+
+    it('returns null for something that is not an image', async () => {
+        expect(await UPLOADS.compute_perceptual_hash(Buffer.from('not an image'))).toBeNull();
+    });
+});
+
+describe('hashes at upload', () => {
+
+    it('store_file returns the hashes that hash_stored_media recomputes', async () => {
+        const buffer = await build_scene('left').png().toBuffer();
+        const stored = await UPLOADS.store_file(buffer, 'scene.png', 'image/png');
+
+        expect(stored.content_hash).toBe(crypto.createHash('sha256').update(buffer).digest('hex'));
+        expect(stored.perceptual_hash).toBe(await UPLOADS.compute_perceptual_hash(buffer));
+        expect(await UPLOADS.hash_stored_media(stored)).toEqual({
+            content_hash: stored.content_hash,
+            perceptual_hash: stored.perceptual_hash
+        });
+    });
+
+    it('hash_stored_media gives nulls for a missing file instead of throwing', async () => {
+        expect(await UPLOADS.hash_stored_media({ storage_path: 'images/no/ne/missing.png', media_type: 'image' }))
+            .toEqual({ content_hash: null, perceptual_hash: null });
+    });
+});
@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * PDF full text (media-library/uploads + indexer_helper).
+ *
+ *  - uploads.extract_pdf_text returns one string per page;
+ *  - store_file writes the `_text.json` sidecar next to an uploaded PDF, which
+ *    read_pdf_text returns and delete_stored_file removes with the original;
+ *  - a PDF with no text layer gets no sidecar;
+ *  - construct_item_index_record joins the pages into `media_text`.
+ *
+ * Uploads runs for real against a throwaway STORAGE_PATH (set BEFORE require).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+vi.mock('../../libs/log4', () => ({
+    module: () => ({ info: vi.fn(), error: vi.fn(), warn: vi.fn(), debug: vi.fn() })
+}));
+
+const TMP_ROOT = path.join(os.tmpdir(), `pdf-text-test-${process.pid}-${Date.now()}`);
+process.env.STORAGE_PATH = TMP_ROOT;
+
+const UPLOADS = require('../../media-library/uploads');
+const { construct_item_index_record, flatten_media_text } = require('../../indexer/indexer_helper');
+
+// Minimal PDF with one Helvetica text run per page (null = a blank page)
+const build_pdf = (page_texts) => {
+
+    const font_id = 3 + page_texts.length * 2;
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${page_texts.map((_, i) => `${3 + i * 2} 0 R`).join(' ')}] /Count ${page_texts.length} >>`
+    ];
+
+    page_texts.forEach((text, i) => {
+        const stream = text === null ? '' : `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 ${font_id} 0 R >> >> /Contents ${4 + i * 2} 0 R >>`);
+        objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    });
+
+    objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+};
+
+afterAll(async () => {
+    await UPLOADS.shutdown_exiftool().catch(() => {});
+    fs.rmSync(TMP_ROOT, { recursive: true, force: true });
+});
+
+describe('PDF text extraction', () => {
+
+    it('returns the text of each page in order', async () => {
+        const pages = await UPLOADS.extract_pdf_text(build_pdf(['Survey of the   Front Range', null, 'Field notes']));
+
+        expect(pages).toEqual(['Survey of the Front Range', '', 'Field notes']);
+    });
+
+    it('stores a sidecar at upload that is read back and deleted with the PDF', async () => {
+        const stored = await UPLOADS.store_file(build_pdf(['Denver', 'Boulder']), 'towns.pdf', 'application/pdf');
+        const sidecar = path.join(TMP_ROOT, UPLOADS.build_text_path(stored.storage_path));
+
+        expect(path.basename(sidecar)).toBe(`${stored.uuid}_text.json`);
+        expect(await UPLOADS.read_pdf_text(stored.storage_path)).toEqual(['Denver', 'Boulder']);
+
+        await UPLOADS.delete_stored_file(stored.storage_path, stored.thumbnail_path);
+
+        expect(fs.existsSync(sidecar)).toBe(false);
+        expect(fs.existsSync(path.join(TMP_ROOT, stored.storage_path))).toBe(false);
+    });
+
+    it('writes no sidecar for a PDF without a text layer', async () => {
+        const stored = await UPLOADS.store_file(build_pdf([null]), 'scan.pdf', 'application/pdf');
+
+        expect(await UPLOADS.read_pdf_text(stored.storage_path)).toBeNull();
+    });
+
+    it('returns null for an unreadable PDF instead of throwing', async () => {
+        expect(await UPLOADS.generate_pdf_text(Buffer.from('not a pdf'), 'pdfs/br/ok/broken.pdf')).toBeNull();
+    });
+});
+
+describe('media_text in item index records', () => {
+
+    it('joins the page texts of the item media, skipping blank pages', () => {
+        const doc = construct_item_index_record({
+            uuid: 'item-1',
+            is_member_of_exhibit: 'exhibit-1',
+            media_full_text: JSON.stringify(['First page', '', 'Third page'])
+        });
+
+        expect(doc.media_text).toBe('First page\n\nThird page');
+    });
+
+    it('is null when the media has no text', () => {
+        expect(construct_item_index_record({ uuid: 'item-2' }).media_text).toBeNull();
+        expect(flatten_media_text('not json')).toBeNull();
+        expect(flatten_media_text(JSON.stringify(['', '']))).toBeNull();
+    });
+});
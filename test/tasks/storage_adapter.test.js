@@ -0,0 +1,279 @@
+'use strict';
+
+/**
+ * Storage adapter contract (media-library/storage-adapter).
+ *
+ * The same cases run against both backends:
+ *  - local: a throwaway directory;
+ *  - s3: an in-process, path-style S3 stand-in (the subset of the API the
+ *    adapter uses, as MinIO serves it), so the real SDK requests are exercised
+ *    without a network or a MinIO install.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const create_storage = require('../../media-library/storage-adapter');
+
+const BUCKET = 'exhibits-test';
+const TMP_ROOT = path.join(os.tmpdir(), `storage-adapter-test-${process.pid}-${Date.now()}`);
+
+const xml_escape = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const no_such_key = (res, key) => {
+    res.writeHead(404, { 'Content-Type': 'application/xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>NoSuchKey</Code><Message>The specified key does not exist.</Message><Key>${xml_escape(key)}</Key></Error>`);
+};
+
+/**
+ * Minimal S3 server: PUT (and copy), GET, HEAD, DELETE and ListObjectsV2 on
+ * one bucket, objects held in a Map
+ * @returns {Object} {server, objects}
+ */
+const create_fake_s3 = () => {
+
+    const objects = new Map();
+
+    const server = http.createServer((req, res) => {
+
+        const url = new URL(req.url, 'http://localhost');
+        const [, bucket, ...rest] = url.pathname.split('/');
+        const key = rest.map(decodeURIComponent).join('/');
+
+        if (bucket !== BUCKET) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+
+        if (req.method === 'GET' && !key && url.searchParams.get('list-type') === '2') {
+            const prefix = url.searchParams.get('prefix') || '';
+            const contents = [...objects.entries()]
+                .filter(([name]) => name.startsWith(prefix))
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([name, object]) => `<Contents><Key>${xml_escape(name)}</Key><Size>${object.body.length}</Size><LastModified>${object.modified.toISOString()}</LastModified></Contents>`)
+                .join('');
+
+            res.writeHead(200, { 'Content-Type': 'application/xml' });
+            res.end(`<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Name>${BUCKET}</Name><Prefix>${xml_escape(prefix)}</Prefix><IsTruncated>false</IsTruncated>${contents}</ListBucketResult>`);
+            return;
+        }
+
+        if (req.method === 'PUT') {
+            const copy_source = req.headers['x-amz-copy-source'];
+            const chunks = [];
+
+            req.on('data', (chunk) => chunks.push(chunk));
+            req.on('end', () => {
+
+                if (copy_source) {
+                    const source_key = decodeURIComponent(copy_source.replace(/^\/?[^/]+\//, ''));
+                    const source = objects.get(source_key);
+
+                    if (!source) {
+                        no_such_key(res, source_key);
+                        return;
+                    }
+
+                    objects.set(key, { ...source, modified: new Date() });
+                    res.writeHead(200, { 'Content-Type': 'application/xml' });
+                    res.end(`<?xml version="1.0" encoding="UTF-8"?><CopyObjectResult><ETag>"copied"</ETag><LastModified>${new Date().toISOString()}</LastModified></CopyObjectResult>`);
+                    return;
+                }
+
+                objects.set(key, {
+                    body: Buffer.concat(chunks),
+                    content_type: req.headers['content-type'],
+                    modified: new Date()
+                });
+                res.writeHead(200, { ETag: '"stored"' });
+                res.end();
+            });
+            return;
+        }
+
+        const object = objects.get(key);
+
+        if (req.method === 'DELETE') {
+            objects.delete(key);
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        if (!object) {
+            if (req.method === 'HEAD') {
+                res.writeHead(404);
+                res.end();
+            } else {
+                no_such_key(res, key);
+            }
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Length': object.body.length,
+            'Content-Type': object.content_type || 'application/octet-stream',
+            'Last-Modified': object.modified.toUTCString()
+        });
+        res.end(req.method === 'HEAD' ? undefined : object.body);
+    });
+
+    return { server, objects };
+};
+
+const read_stream = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks).toString('utf8');
+};
+
+const fake_s3 = create_fake_s3();
+
+beforeAll(async () => {
+    await new Promise((resolve) => fake_s3.server.listen(0, '127.0.0.1', resolve));
+});
+
+afterAll(async () => {
+    fs.rmSync(TMP_ROOT, { recursive: true, force: true });
+    await new Promise((resolve) => fake_s3.server.close(resolve));
+});
+
+const backends = [
+    ['local', () => {
+        fs.rmSync(TMP_ROOT, { recursive: true, force: true });
+        return create_storage({ backend: 'local', storage_path: TMP_ROOT });
+    }],
+    ['s3', () => {
+        fake_s3.objects.clear();
+        return create_storage({
+            backend: 's3',
+            s3: {
+                endpoint: `http://127.0.0.1:${fake_s3.server.address().port}`,
+                region: 'us-east-1',
+                bucket: BUCKET,
+                access_key_id: 'test-key',
+                secret_access_key: 'test-secret',
+                force_path_style: true
+            }
+        });
+    }]
+];
+
+describe.each(backends)('%s backend', (backend, setup) => {
+
+    let storage;
+
+    beforeEach(() => {
+        storage = setup();
+    });
+
+    it('reports its backend', () => {
+        expect(storage.backend).toBe(backend);
+    });
+
+    it('round-trips a file through put, get, stream and stat', async () => {
+        await storage.put('images/a3/f7/file.jpg', Buffer.from('jpeg bytes'), { content_type: 'image/jpeg' });
+
+        expect((await storage.get('images/a3/f7/file.jpg')).toString('utf8')).toBe('jpeg bytes');
+        expect(await read_stream(await storage.stream('images/a3/f7/file.jpg'))).toBe('jpeg bytes');
+
+        const stats = await storage.stat('images/a3/f7/file.jpg');
+        expect(stats.size).toBe(10);
+        expect(stats.modified).toBeInstanceOf(Date);
+    });
+
+    it('replaces an existing key on put', async () => {
+        await storage.put('texts/a3/f7/file.json', '{"v":1}');
+        await storage.put('texts/a3/f7/file.json', '{"v":2}');
+
+        expect((await storage.get('texts/a3/f7/file.json')).toString('utf8')).toBe('{"v":2}');
+    });
+
+    it('reports a missing key as ENOENT from get and stream, and null from stat', async () => {
+        await expect(storage.get('images/a3/f7/missing.jpg')).rejects.toMatchObject({ code: 'ENOENT' });
+        await expect(storage.stream('images/a3/f7/missing.jpg')).rejects.toMatchObject({ code: 'ENOENT' });
+        expect(await storage.stat('images/a3/f7/missing.jpg')).toBeNull();
+    });
+
+    it('deletes a key, returning false when there was nothing to delete', async () => {
+        await storage.put('thumbnails/a3/f7/file_thumb.jpg', 'thumb');
+
+        expect(await storage.delete('thumbnails/a3/f7/file_thumb.jpg')).toBe(true);
+        expect(await storage.stat('thumbnails/a3/f7/file_thumb.jpg')).toBeNull();
+        expect(await storage.delete('thumbnails/a3/f7/file_thumb.jpg')).toBe(false);
+    });
+
+    it('lists the files under a prefix and nothing beside it', async () => {
+        await storage.put('iiif_cache/a3/f7/uuid-1/v1/a.jpg', 'a');
+        await storage.put('iiif_cache/a3/f7/uuid-1/v2/b.png', 'bb');
+        await storage.put('iiif_cache/a3/f7/uuid-10/v1/c.jpg', 'c');
+
+        const files = await storage.list('iiif_cache/a3/f7/uuid-1');
+
+        expect(files.map((file) => file.key).sort()).toEqual([
+            'iiif_cache/a3/f7/uuid-1/v1/a.jpg',
+            'iiif_cache/a3/f7/uuid-1/v2/b.png'
+        ]);
+        expect(files.find((file) => file.key.endsWith('b.png')).size).toBe(2);
+        expect(await storage.list('pdfs/')).toEqual([]);
+    });
+
+    it('moves a key, and rejects with ENOENT when the source is missing', async () => {
+        await storage.put('images/a3/f7/file.jpg', 'original');
+        await storage.move('images/a3/f7/file.jpg', 'versions/3f/2a/record/v1/file.jpg');
+
+        expect(await storage.stat('images/a3/f7/file.jpg')).toBeNull();
+        expect((await storage.get('versions/3f/2a/record/v1/file.jpg')).toString('utf8')).toBe('original');
+
+        await expect(storage.move('images/a3/f7/file.jpg', 'versions/x.jpg')).rejects.toMatchObject({ code: 'ENOENT' });
+    });
+
+    it('deletes everything under a prefix', async () => {
+        await storage.put('iiif_cache/a3/f7/uuid-1/v1/a.jpg', 'a');
+        await storage.put('iiif_cache/a3/f7/uuid-1/v2/b.jpg', 'b');
+        await storage.put('iiif_cache/a3/f7/uuid-2/v1/c.jpg', 'c');
+
+        await storage.delete_prefix('iiif_cache/a3/f7/uuid-1');
+
+        expect((await storage.list('iiif_cache/')).map((file) => file.key)).toEqual(['iiif_cache/a3/f7/uuid-2/v1/c.jpg']);
+    });
+
+    it('hands with_local_file a readable path', async () => {
+        await storage.put('pdfs/a3/f7/file.pdf', 'pdf bytes');
+
+        const content = await storage.with_local_file('pdfs/a3/f7/file.pdf', (file_path) => fs.promises.readFile(file_path, 'utf8'));
+
+        expect(content).toBe('pdf bytes');
+    });
+
+    it('refuses keys outside storage', async () => {
+        for (const key of ['../outside.jpg', 'images/../../outside.jpg', '/etc/passwd', '']) {
+            await expect(storage.get(key)).rejects.toThrow(/Path traversal/);
+            await expect(storage.put(key, 'x')).rejects.toThrow(/Path traversal/);
+        }
+    });
+});
+
+describe('backend selection', () => {
+
+    it('exposes a path on disk only for local storage', () => {
+        const local = create_storage({ backend: 'local', storage_path: TMP_ROOT });
+        expect(local.local_path('images/a3/f7/file.jpg')).toBe(path.join(TMP_ROOT, 'images/a3/f7/file.jpg'));
+
+        const s3 = create_storage({ backend: 's3', s3: { bucket: BUCKET, region: 'us-east-1' } });
+        expect(s3.local_path('images/a3/f7/file.jpg')).toBeNull();
+    });
+
+    it('requires a bucket for s3', () => {
+        expect(() => create_storage({ backend: 's3', s3: { bucket: null } })).toThrow(/STORAGE_S3_BUCKET/);
+    });
+
+    it('rejects an unknown backend', () => {
+        expect(() => create_storage({ backend: 'ftp', storage_path: TMP_ROOT })).toThrow(/Unknown STORAGE_BACKEND "ftp"/);
+    });
+});
@@ -0,0 +1,73 @@
+// @vitest-environment jsdom
+//
+// Unit tests for helperMediaLibraryModule.build_media_usage_html — the
+// where-used list shared by the edit modal's usage panel and the delete
+// modal's "still in use" warning.
+//
+// Module-load shim mirrors helper.media.library.module.test.js.
+//
+// Copyright 2026 University of Denver
+// Licensed under the Apache License, Version 2.0
+
+'use strict';
+
+const { readFileSync } = require('node:fs');
+const { resolve } = require('node:path');
+
+const MODULE_PATH = resolve(
+    __dirname,
+    '../../public/app/media-library/helper.media.library.module.js',
+);
+
+describe('helperMediaLibraryModule.build_media_usage_html', () => {
+
+    beforeAll(() => {
+        globalThis.endpointsModule = { get_media_library_endpoints: () => ({}) };
+        globalThis.authModule = { get_user_token: () => 'unit-test-token' };
+
+        const src = readFileSync(MODULE_PATH, 'utf8');
+        const patched = src.replace(
+            /^const\s+helperMediaLibraryModule\s*=/m,
+            'globalThis.helperMediaLibraryModule =',
+        );
+        // eslint-disable-next-line no-eval
+        (0, eval)(patched);
+    });
+
+    const render = (usage) => {
+        const container = document.createElement('div');
+        container.innerHTML = helperMediaLibraryModule.build_media_usage_html(usage);
+        return container;
+    };
+
+    it('says so when nothing uses the media', () => {
+        expect(render({ exhibits: [], items: [] }).textContent).toBe('Not used in any exhibit or item.');
+    });
+
+    it('lists live references first, with type, roles and exhibit', () => {
+        const container = render({
+            exhibits: [{ uuid: 'e1', title: 'Old Show', roles: ['hero_image'], status: 'deleted' }],
+            items: [{
+                uuid: 'i1', type: 'grid_item', title: '<p>Survey notes</p>', roles: ['media', 'thumbnail'],
+                exhibit_title: 'Front Range', status: 'live'
+            }]
+        });
+        const rows = [...container.querySelectorAll('li')].map((li) => li.textContent);
+
+        expect(rows).toEqual([
+            'LiveSurvey notes — Grid item (media, thumbnail) in "Front Range"',
+            'In recycle binOld Show — Exhibit (hero image)'
+        ]);
+    });
+
+    it('escapes titles so markup in them is never rendered', () => {
+        const container = render({
+            exhibits: [],
+            items: [{ uuid: 'i1', type: 'item', title: '&lt;img src=x onerror=alert(1)&gt;', roles: ['media'], exhibit_title: null, status: 'exhibit_deleted' }]
+        });
+
+        expect(container.querySelector('img')).toBeNull();
+        expect(container.textContent).toContain('<img src=x onerror=alert(1)>');
+        expect(container.textContent).toContain('in a removed exhibit');
+    });
+});
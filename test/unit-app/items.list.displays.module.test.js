@@ -358,6 +358,38 @@ describe('itemsListDisplayModule', () => {
         });
     });
 
+    describe('bulk selection checkbox', () => {
+
+        const checkbox_of = (html) => {
+            const tbody = document.createElement('tbody');
+            tbody.innerHTML = html;
+            return tbody.querySelector('input.bulk-select');
+        };
+
+        it('renders one per row, carrying the bulk endpoint record type', async () => {
+            const rows = [
+                [await itemsListDisplayModule.display_standard_items(standard_text_item()), 'item', 'item-uuid-1'],
+                [await itemsListDisplayModule.display_heading_items(heading_item()), 'heading', 'heading-uuid-1'],
+                [await itemsListDisplayModule.display_grids(grid_item()), 'grid', 'grid-uuid-1'],
+                [await itemsListDisplayModule.display_grid_items(grid_member_item()), 'grid_item', 'grid-item-uuid-1'],
+            ];
+
+            for (const [html, record_type, uuid] of rows) {
+                const checkbox = checkbox_of(html);
+                expect(checkbox.getAttribute('data-record-type')).toBe(record_type);
+                expect(checkbox.value).toBe(uuid);
+            }
+        });
+
+        it('labels the checkbox with the record title', async () => {
+            const html = await itemsListDisplayModule.display_standard_items(
+                standard_text_item({ title: 'Hello world' })
+            );
+
+            expect(checkbox_of(html).getAttribute('aria-label')).toBe('Select Hello world');
+        });
+    });
+
     describe('init', () => {
         it('returns true and is safe to call repeatedly', () => {
             expect(itemsListDisplayModule.init()).toBe(true);
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+'use strict';
+
+/**
+ * Backfills `content_hash` and `perceptual_hash` for uploaded media stored
+ * before uploads started hashing their files, so duplicate detection also
+ * finds the older records. Records that already have a content_hash are left
+ * alone unless --force is given (e.g. after a change to the perceptual hash).
+ *
+ * Dry run (default):  node tools/backfill-media-hashes.js
+ * Apply:              node tools/backfill-media-hashes.js --apply [--force]
+ */
+
+require('dotenv').config();
+
+const knex = require('knex');
+const UPLOADS = require('../media-library/uploads');
+const STORAGE = require('../media-library/storage-adapter')();
+
+const APPLY = process.argv.includes('--apply');
+const FORCE = process.argv.includes('--force');
+
+const DB = knex({
+    client: 'mysql2',
+    connection: {
+        host: process.env.DB_HOST,
+        user: process.env.DB_USER,
+        password: process.env.DB_PASSWORD,
+        database: process.env.DB_NAME
+    }
+});
+
+(async () => {
+
+    const query = DB('tbl_media_library')
+        .select('uuid', 'name', 'media_type', 'storage_path', 'thumbnail_path')
+        .where({ ingest_method: 'upload', is_deleted: 0 });
+
+    if (!FORCE) {
+        query.whereNull('content_hash');
+    }
+
+    const records = await query;
+
+    console.log(`${records.length} uploaded file(s) to hash${APPLY ? '' : ' (dry run — pass --apply to hash)'}\n`);
+
+    let hashed = 0;
+    let skipped = 0;
+
+    for (const record of records) {
+
+        if (!record.storage_path) {
+            console.log(`  SKIP  ${record.uuid}  (no storage_path)`);
+            skipped++;
+            continue;
+        }
+
+        if (!(await STORAGE.stat(record.storage_path).catch(() => null))) {
+            console.log(`  SKIP  ${record.uuid}  (original not in storage: ${record.storage_path})`);
+            skipped++;
+            continue;
+        }
+
+        if (!APPLY) {
+            console.log(`  WOULD hash  ${record.uuid}  ${record.name || ''}`);
+            continue;
+        }
+
+        const hashes = await UPLOADS.hash_stored_media(record);
+
+        if (!hashes.content_hash) {
+            console.log(`  SKIP  ${record.uuid}  (unreadable — see log)`);
+            skipped++;
+            continue;
+        }
+
+        // updated is left as is: the media itself has not changed
+        await DB('tbl_media_library')
+            .where({ uuid: record.uuid })
+            .update({ ...hashes, updated: DB.ref('updated') });
+
+        hashed++;
+        console.log(`  OK    ${record.uuid}  ${hashes.perceptual_hash || '(no perceptual hash)'}  ${record.name || ''}`);
+    }
+
+    console.log(`\nDone. hashed=${hashed} skipped=${skipped}${APPLY ? '' : ' (dry run)'}`);
+
+    await UPLOADS.shutdown_exiftool().catch(() => {});
+    await DB.destroy();
+})().catch(async (error) => {
+    console.error('FAILED:', error.message);
+    await DB.destroy();
+    process.exit(1);
+});
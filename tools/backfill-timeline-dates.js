@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+'use strict';
+
+/**
+ * Fills `date_start` / `date_end` on timeline items saved before timeline
+ * dates became EDTF, so they sort and range-search with the newer items.
+ * Rows that already have a date_start are left alone unless --force is given
+ * (e.g. after a change to libs/edtf.js). Dates that do not parse as EDTF are
+ * reported and skipped; fix them in the dashboard and they are filled on save.
+ *
+ * Dry run (default):  node tools/backfill-timeline-dates.js
+ * Apply:              node tools/backfill-timeline-dates.js --apply [--force]
+ */
+
+require('dotenv').config();
+
+const knex = require('knex');
+const EDTF = require('../libs/edtf');
+
+const APPLY = process.argv.includes('--apply');
+const FORCE = process.argv.includes('--force');
+
+const DB = knex({
+    client: 'mysql2',
+    connection: {
+        host: process.env.DB_HOST,
+        user: process.env.DB_USER,
+        password: process.env.DB_PASSWORD,
+        database: process.env.DB_NAME
+    }
+});
+
+(async () => {
+
+    const query = DB('tbl_timeline_items')
+        .select('uuid', 'date')
+        .where({ is_deleted: 0 })
+        .whereNotNull('date');
+
+    if (!FORCE) {
+        query.whereNull('date_start');
+    }
+
+    const records = await query;
+
+    console.log(`${records.length} timeline item(s) to date${APPLY ? '' : ' (dry run — pass --apply to write)'}\n`);
+
+    let dated = 0;
+    let skipped = 0;
+
+    for (const record of records) {
+
+        const parsed = EDTF.parse(record.date);
+
+        if (!parsed) {
+            console.log(`  SKIP  ${record.uuid}  (not EDTF: ${record.date})`);
+            skipped++;
+            continue;
+        }
+
+        if (!APPLY) {
+            console.log(`  WOULD date  ${record.uuid}  ${parsed.date}  ${parsed.start || '..'} -> ${parsed.end || '..'}`);
+            continue;
+        }
+
+        // updated is left as is: the curator did not change the item
+        await DB('tbl_timeline_items')
+            .where({ uuid: record.uuid })
+            .update({
+                date: parsed.date,
+                date_start: parsed.start,
+                date_end: parsed.end,
+                updated: DB.ref('updated')
+            });
+
+        dated++;
+        console.log(`  OK    ${record.uuid}  ${parsed.date}  ${parsed.start || '..'} -> ${parsed.end || '..'}`);
+    }
+
+    console.log(`\nDone. dated=${dated} skipped=${skipped}${APPLY ? '' : ' (dry run)'}`);
+
+    await DB.destroy();
+})().catch(async (error) => {
+    console.error('FAILED:', error.message);
+    await DB.destroy();
+    process.exit(1);
+});
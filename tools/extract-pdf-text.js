@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+'use strict';
+
+/**
+ * Backfills `full_text` for uploaded PDFs stored before uploads started
+ * extracting their text. Writes the `_text.json` sidecar next to each PDF and
+ * the page texts to the media record. Records that already have full_text are
+ * left alone unless --force is given (e.g. after an extraction fix).
+ *
+ * The search index only picks the text up when the exhibits using these PDFs
+ * are next indexed, so re-index them afterwards.
+ *
+ * Dry run (default):  node tools/extract-pdf-text.js
+ * Apply:              node tools/extract-pdf-text.js --apply [--force]
+ */
+
+require('dotenv').config();
+
+const knex = require('knex');
+const UPLOADS = require('../media-library/uploads');
+const STORAGE = require('../media-library/storage-adapter')();
+
+const APPLY = process.argv.includes('--apply');
+const FORCE = process.argv.includes('--force');
+
+const DB = knex({
+    client: 'mysql2',
+    connection: {
+        host: process.env.DB_HOST,
+        user: process.env.DB_USER,
+        password: process.env.DB_PASSWORD,
+        database: process.env.DB_NAME
+    }
+});
+
+(async () => {
+
+    const query = DB('tbl_media_library')
+        .select('uuid', 'name', 'storage_path')
+        .where({ ingest_method: 'upload', media_type: 'pdf', is_deleted: 0 });
+
+    if (!FORCE) {
+        query.whereNull('full_text');
+    }
+
+    const records = await query;
+
+    console.log(`${records.length} uploaded PDF(s) to process${APPLY ? '' : ' (dry run — pass --apply to extract)'}\n`);
+
+    let extracted = 0;
+    let skipped = 0;
+
+    for (const record of records) {
+
+        if (!record.storage_path) {
+            console.log(`  SKIP  ${record.uuid}  (no storage_path)`);
+            skipped++;
+            continue;
+        }
+
+        if (!(await STORAGE.stat(record.storage_path).catch(() => null))) {
+            console.log(`  SKIP  ${record.uuid}  (original not in storage: ${record.storage_path})`);
+            skipped++;
+            continue;
+        }
+
+        if (!APPLY) {
+            console.log(`  WOULD extract  ${record.uuid}  ${record.name || ''}`);
+            continue;
+        }
+
+        const pages = await UPLOADS.generate_pdf_text(await STORAGE.get(record.storage_path), record.storage_path);
+
+        if (!pages) {
+            console.log(`  SKIP  ${record.uuid}  (no text layer, or extraction failed — see log)`);
+            skipped++;
+            continue;
+        }
+
+        // updated is left as is: the document itself has not changed
+        await DB('tbl_media_library')
+            .where({ uuid: record.uuid })
+            .update({ full_text: JSON.stringify(pages), updated: DB.ref('updated') });
+
+        extracted++;
+        console.log(`  OK    ${record.uuid}  ${pages.length} page(s)  ${record.name || ''}`);
+    }
+
+    console.log(`\nDone. extracted=${extracted} skipped=${skipped}${APPLY ? '' : ' (dry run)'}`);
+
+    if (APPLY && extracted > 0) {
+        console.log('Re-index the exhibits that use these PDFs to make the text searchable.');
+    }
+
+    await UPLOADS.shutdown_exiftool().catch(() => {});
+    await DB.destroy();
+})().catch(async (error) => {
+    console.error('FAILED:', error.message);
+    await DB.destroy();
+    process.exit(1);
+});
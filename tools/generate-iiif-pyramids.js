@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+'use strict';
+
+/**
+ * Backfills the pyramidal tiled derivative (`<uuid>_pyramid.tif`) for uploaded
+ * images stored before uploads started writing one. Without it the IIIF image
+ * service still answers tile requests, but by decoding the whole original each
+ * time. Images that already have a pyramid, or fit in a single tile, are left
+ * alone. Cached IIIF derivatives stay valid — the pixels do not change.
+ *
+ * Dry run (default):  node tools/generate-iiif-pyramids.js
+ * Apply:              node tools/generate-iiif-pyramids.js --apply
+ */
+
+require('dotenv').config();
+
+const knex = require('knex');
+const UPLOADS = require('../media-library/uploads');
+const STORAGE = require('../media-library/storage-adapter')();
+
+const APPLY = process.argv.includes('--apply');
+
+const DB = knex({
+    client: 'mysql2',
+    connection: {
+        host: process.env.DB_HOST,
+        user: process.env.DB_USER,
+        password: process.env.DB_PASSWORD,
+        database: process.env.DB_NAME
+    }
+});
+
+(async () => {
+
+    // Pyramids are read in place, so object storage does without them
+    if (STORAGE.backend !== 'local') {
+        console.log(`Pyramids are only written on local storage (STORAGE_BACKEND=${STORAGE.backend}). Nothing to do.`);
+        await UPLOADS.shutdown_exiftool().catch(() => {});
+        await DB.destroy();
+        return;
+    }
+
+    const records = await DB('tbl_media_library')
+        .select('uuid', 'name', 'storage_path')
+        .where({ ingest_method: 'upload', media_type: 'image', is_deleted: 0 });
+
+    console.log(`${records.length} uploaded image(s) found${APPLY ? '' : ' (dry run — pass --apply to generate)'}\n`);
+
+    let generated = 0;
+    let skipped = 0;
+
+    for (const record of records) {
+
+        if (!record.storage_path) {
+            console.log(`  SKIP  ${record.uuid}  (no storage_path)`);
+            skipped++;
+            continue;
+        }
+
+        if (!(await STORAGE.stat(record.storage_path).catch(() => null))) {
+            console.log(`  SKIP  ${record.uuid}  (original not in storage: ${record.storage_path})`);
+            skipped++;
+            continue;
+        }
+
+        const has_pyramid = (await STORAGE.stat(UPLOADS.build_pyramid_path(record.storage_path)).catch(() => null)) !== null;
+
+        if (has_pyramid) {
+            skipped++;
+            continue;
+        }
+
+        if (!APPLY) {
+            console.log(`  WOULD generate  ${record.uuid}  ${record.name || ''}`);
+            continue;
+        }
+
+        const pyramid = await UPLOADS.generate_image_pyramid(await STORAGE.get(record.storage_path), record.storage_path);
+
+        if (pyramid) {
+            generated++;
+            console.log(`  OK    ${record.uuid}  ${record.name || ''}`);
+        } else {
+            console.log(`  SKIP  ${record.uuid}  (fits in one tile, or generation failed — see log)`);
+            skipped++;
+        }
+    }
+
+    console.log(`\nDone. generated=${generated} skipped=${skipped}${APPLY ? '' : ' (dry run)'}`);
+
+    await UPLOADS.shutdown_exiftool().catch(() => {});
+    await DB.destroy();
+})().catch(async (error) => {
+    console.error('FAILED:', error.message);
+    await DB.destroy();
+    process.exit(1);
+});
@@ -15,9 +15,9 @@
 
 require('dotenv').config();
 
-const FS = require('fs');
 const knex = require('knex');
 const UPLOADS = require('../media-library/uploads');
+const STORAGE = require('../media-library/storage-adapter')();
 const IIIF_CACHE = require('../media-library/iiif-cache');
 
 const APPLY = process.argv.includes('--apply');
@@ -53,12 +53,8 @@ const DB = knex({
             continue;
         }
 
-        let resolved;
-
-        try {
-            resolved = await UPLOADS.resolve_storage_path(record.storage_path);
-        } catch (error) {
-            console.log(`  SKIP  ${record.uuid}  (original not on disk: ${record.storage_path})`);
+        if (!(await STORAGE.stat(record.storage_path).catch(() => null))) {
+            console.log(`  SKIP  ${record.uuid}  (original not in storage: ${record.storage_path})`);
             skipped++;
             continue;
         }
@@ -68,7 +64,7 @@ const DB = knex({
             continue;
         }
 
-        const buffer = FS.readFileSync(resolved);
+        const buffer = await STORAGE.get(record.storage_path);
         const thumb = await UPLOADS.generate_image_thumbnail(buffer, record.uuid);
 
         if (thumb) {
@@ -21,6 +21,7 @@
 const MODEL = require('../users/model');
 const LOGGER = require("../libs/log4");
 const AUTHORIZE = require("../auth/authorize");
+const AUDIT = require('../audit/model');
 
 /**
  * Gets all users
@@ -298,6 +299,14 @@ exports.update_user = async function (req, res) {
             `INFO: [/user/controller (update_user)] user updated (id: ${parsed_user_id}) by ${req.decoded?.sub || 'unknown'}`
         );
 
+        // Account and role only; names and email stay out of the audit log
+        await AUDIT.record(req, {
+            action: 'update',
+            record_type: 'user',
+            record_uuid: parsed_user_id,
+            after: {du_id: user_data.du_id, role_id: user_data.role_id, is_active: user_data.is_active}
+        });
+
         // Return successful response with updated user data
         return res.status(201).json({
             message: 'User updated successfully.',
@@ -397,6 +406,13 @@ exports.save_user = async function (req, res) {
             `INFO: [/user/controller (save_user)] user created (id: ${saved_user.data}) by ${req.decoded?.sub || 'unknown'}`
         );
 
+        await AUDIT.record(req, {
+            action: 'create',
+            record_type: 'user',
+            record_uuid: saved_user.data,
+            after: {du_id: user_data.du_id, role_id: user_data.role_id}
+        });
+
         // Return successful response with saved user data
         return res.status(201).json({
             message: 'User created successfully.',
@@ -499,6 +515,12 @@ exports.delete_user = async function (req, res) {
             `INFO: [/user/controller (delete_user)] user deleted (id: ${parsed_user_id}) by ${req.decoded?.sub || 'unknown'}`
         );
 
+        await AUDIT.record(req, {
+            action: 'delete',
+            record_type: 'user',
+            record_uuid: parsed_user_id
+        });
+
         // Return successful response (204 No Content for DELETE operations)
         return res.status(204).send();
 
@@ -618,6 +640,13 @@ exports.update_status = async function (req, res) {
             `INFO: [/user/controller (update_status)] user status changed (id: ${parsed_user_id}, is_active: ${parsed_is_active}) by ${req.decoded?.sub || 'unknown'}`
         );
 
+        await AUDIT.record(req, {
+            action: 'update_status',
+            record_type: 'user',
+            record_uuid: parsed_user_id,
+            after: {is_active: parsed_is_active}
+        });
+
         // Return successful response
         return res.status(200).json({
             message: 'User status updated successfully.',